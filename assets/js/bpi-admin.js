@@ -24,1211 +24,4329 @@
 	}
 
 	/**
-	 * Main BPI Upload App.
+	 * Format a change in bytes as a signed size string.
+	 *
+	 * @param {number} bytes Size change in bytes.
+	 * @return {string} Formatted change (e.g. "+1.5 KB" or "-300 B").
 	 */
-	const BPIUpload = {
-		/** @type {Array} Queue of uploaded file data from server responses. */
-		queue: [],
+	function formatSizeDelta(bytes) {
+		return (bytes < 0 ? '-' : '+') + formatFileSize(Math.abs(bytes));
+	}
 
-		/** @type {jQuery|null} Container element. */
-		$app: null,
+	/**
+	 * Format an elapsed duration into a short string.
+	 *
+	 * @param {number} seconds Elapsed time in seconds.
+	 * @return {string} Formatted duration (e.g. "4.2s" or "1m 05s").
+	 */
+	function formatElapsed(seconds) {
+		if (seconds < 60) return seconds.toFixed(1) + 's';
+		const mins = Math.floor(seconds / 60);
+		const secs = Math.floor(seconds % 60);
+		return mins + 'm ' + (secs < 10 ? '0' : '') + secs + 's';
+	}
 
-		/** @type {jQuery|null} ARIA live region for announcements. */
-		$liveRegion: null,
+	/**
+	 * Format a Unix timestamp as the value of a datetime-local input.
+	 *
+	 * @param {number} timestamp Unix timestamp in seconds.
+	 * @return {string} Local date and time (e.g. "2026-10-19T22:30").
+	 */
+	function toDateTimeLocal(timestamp) {
+		const date = new Date(timestamp * 1000);
+		const pad = function (n) { return (n < 10 ? '0' : '') + n; };
+		return date.getFullYear() + '-' + pad(date.getMonth() + 1) + '-' + pad(date.getDate()) + 'T' + pad(date.getHours()) + ':' + pad(date.getMinutes());
+	}
 
-		/** @type {HTMLDivElement|null} Reusable element for HTML escaping. */
-		_escDiv: null,
+	/**
+	 * Parse the value of a datetime-local input as a Unix timestamp.
+	 *
+	 * @param {string} value Local date and time from the input.
+	 * @return {number} Unix timestamp in seconds, or 0 when the value is empty or invalid.
+	 */
+	function fromDateTimeLocal(value) {
+		const time = value ? new Date(value).getTime() : NaN;
+		return isNaN(time) ? 0 : Math.floor(time / 1000);
+	}
 
-		/**
-		 * Initialize the upload UI.
-		 */
-		init: function () {
-			this.$app = $('#bpi-bulk-upload-app');
-			if (!this.$app.length) return;
+	/**
+	 * Call a route of the plugin's REST API through wp.apiFetch.
+	 *
+	 * Resolves with the same {success, data} shape for every outcome: a REST
+	 * error resolves as {success: false} with its message and error data, so
+	 * the promise is only rejected when the request itself fails. In Network
+	 * Admin the `network` parameter is added.
+	 *
+	 * @param {string} method HTTP method.
+	 * @param {string} path   Route below the bpi/v1 namespace.
+	 * @param {Object} [data] Parameters; sent in the query string for GET requests.
+	 * @return {jQuery.Promise} Promise resolved with {success, data}.
+	 */
+	function apiRequest(method, path, data) {
+		const deferred = $.Deferred();
+		const params = $.extend(bpiAdmin.isNetworkAdmin ? { network: true } : {}, data);
+		const options = { path: '/bpi/v1/' + path, method: method };
+
+		if (method === 'GET') {
+			options.path = wp.url.addQueryArgs(options.path, params);
+		} else {
+			options.data = params;
+		}
 
-			this.render();
-			this.bindEvents();
-		},
+		wp.apiFetch(options).then(function (body) {
+			deferred.resolve({ success: true, data: body });
+		}, function (error) {
+			if (!error || !error.code || error.code === 'fetch_error' || error.code === 'invalid_json') {
+				deferred.reject(error);
+				return;
+			}
+			deferred.resolve({ success: false, data: $.extend({}, error.data, { message: error.message }) });
+		});
 
-		/**
-		 * Render the initial UI structure.
-		 */
-		render: function () {
-			const t = this.i18n();
-			let html = '';
+		return deferred.promise();
+	}
 
-			// ARIA live region for dynamic announcements.
-			html += '<div id="bpi-live-region" class="bpi-sr-only" aria-live="polite" aria-atomic="true"></div>';
+	/**
+	 * Open an upload request to a route of the plugin's REST API.
+	 *
+	 * Uploads use XMLHttpRequest rather than wp.apiFetch to report progress.
+	 *
+	 * @param {XMLHttpRequest} xhr      Request to open.
+	 * @param {string}         path     Route below the bpi/v1 namespace.
+	 * @param {FormData}       formData Form data to be sent.
+	 */
+	function openApiUpload(xhr, path, formData) {
+		if (bpiAdmin.isNetworkAdmin) {
+			formData.append('network', '1');
+		}
+		xhr.open('POST', bpiAdmin.restUrl + path);
+		xhr.setRequestHeader('X-WP-Nonce', bpiAdmin.restNonce);
+	}
 
-			// Upload zone.
-			html += '<div id="bpi-upload-zone" class="bpi-upload-zone" role="button" tabindex="0" aria-label="' + this.escAttr(t.dropZoneLabel) + '">';
-			html += '<span class="bpi-upload-zone__icon dashicons dashicons-upload"></span>';
-			html += '<p class="bpi-upload-zone__text">' + this.esc(t.dropZoneText) + '</p>';
-			html += '<p class="bpi-upload-zone__subtext">' + this.esc(t.dropZoneSubtext) + '</p>';
-			html += '<input type="file" id="bpi-file-input" class="bpi-upload-zone__input" multiple accept=".zip" aria-label="' + this.escAttr(t.selectFilesLabel) + '" />';
-			html += '</div>';
+	/**
+	 * Read the response of an upload opened with openApiUpload().
+	 *
+	 * @param {XMLHttpRequest} xhr Completed request.
+	 * @return {Object} {success, data} as resolved by apiRequest().
+	 * @throws {SyntaxError} When the response is not JSON.
+	 */
+	function parseApiResponse(xhr) {
+		const body = JSON.parse(xhr.responseText);
+		if (xhr.status >= 200 && xhr.status < 300) {
+			return { success: true, data: body };
+		}
+		return { success: false, data: $.extend({}, body && body.data, { message: body && body.message }) };
+	}
 
-			// Notices area.
-			html += '<div id="bpi-notices" role="alert"></div>';
+	/**
+	 * Reads a plugin ZIP's central directory in the browser.
+	 *
+	 * Mirrors the checks of BPIBulkUploader::validateZip closely enough to
+	 * reject broken or unsafe archives, nested archives and themes before any
+	 * bytes are uploaded. Anything the browser cannot read (ZIP64, encrypted
+	 * entries, no DecompressionStream) is left to the server.
+	 */
+	const ZipInspector = {
+		/** @type {number} Largest possible end of central directory record (22 bytes + 64 KB comment). */
+		maxEocdSize: 65557,
 
-			// Queue section (hidden initially).
-			html += '<div id="bpi-queue-section" class="bpi-queue-section" style="display:none;">';
-			html += '<div class="bpi-queue-header">';
-			html += '<h2>' + this.esc(t.uploadQueue) + '</h2>';
-			html += '<span id="bpi-queue-summary" class="bpi-queue-summary"></span>';
-			html += '</div>';
-			html += '<ul id="bpi-queue-list" class="bpi-queue-list" aria-label="' + this.escAttr(t.queuedFilesLabel) + '"></ul>';
-			html += '<div class="bpi-actions">';
-			html += '<button type="button" id="bpi-add-more" class="button button-secondary" aria-label="' + this.escAttr(t.addMoreLabel) + '">' + this.esc(t.addMoreFiles) + '</button>';
-			html += '<button type="button" id="bpi-continue-preview" class="button button-primary" disabled aria-disabled="true" aria-label="' + this.escAttr(t.continuePreviewLabel) + '">' + this.esc(t.continueToPreview) + '</button>';
-			html += '</div>';
-			html += '</div>';
+		/** @type {number} Entry limit enforced by the server. */
+		maxEntries: 10000,
 
-			this.$app.html(html);
+		/** @type {number} Compression ratio above which the server rejects an archive. */
+		maxRatio: 100,
 
-			this.$liveRegion = $('#bpi-live-region');
-		},
+		/** @type {number} Largest compressed PHP file read when looking for the plugin header. */
+		maxHeaderFileSize: 1048576,
 
 		/**
-		 * Bind all event handlers.
+		 * Inspect a ZIP file.
+		 *
+		 * Error and warning messages are i18n keys.
+		 *
+		 * @param {File} file The ZIP file.
+		 * @return {Promise<Object|null>} {slug, pluginName, errors, warnings}, or null if the browser cannot inspect files.
 		 */
-		bindEvents: function () {
+		inspect: function (file) {
 			const self = this;
-			const $zone = $('#bpi-upload-zone');
-			const $input = $('#bpi-file-input');
-
-			// Drag-and-drop events.
-			$zone.on('dragenter dragover', function (e) {
-				e.preventDefault();
-				e.stopPropagation();
-				$zone.addClass('bpi-dragover');
-			});
 
-			$zone.on('dragleave drop', function (e) {
-				e.preventDefault();
-				e.stopPropagation();
-				$zone.removeClass('bpi-dragover');
-			});
+			if (!file.slice || !window.Blob || !Blob.prototype.arrayBuffer || !window.TextDecoder) {
+				return Promise.resolve(null);
+			}
 
-			$zone.on('drop', function (e) {
-				const files = e.originalEvent.dataTransfer.files;
-				if (files && files.length) {
-					self.handleFiles(files);
-				}
-			});
+			const result = { slug: '', pluginName: '', errors: [], warnings: [] };
+			const tailStart = Math.max(0, file.size - this.maxEocdSize);
 
-			// Click to browse.
-			$zone.on('click', function (e) {
-				if (e.target !== $input[0]) {
-					$input.trigger('click');
+			return file.slice(tailStart).arrayBuffer().then(function (tail) {
+				const eocd = self.findEocd(new DataView(tail));
+				if (!eocd) {
+					result.errors.push('zipInvalid');
+					return result;
 				}
-			});
 
-			// Keyboard activation for the zone.
-			$zone.on('keydown', function (e) {
-				if (e.key === 'Enter' || e.key === ' ') {
-					e.preventDefault();
-					$input.trigger('click');
+				// ZIP64 archives are left to the server.
+				if (eocd.entries === 0xFFFF || eocd.cdOffset === 0xFFFFFFFF) {
+					return result;
 				}
-			});
 
-			// File input change.
-			$input.on('change', function () {
-				if (this.files && this.files.length) {
-					self.handleFiles(this.files);
+				if (eocd.entries > self.maxEntries) {
+					result.errors.push('zipTooManyEntries');
+					return result;
 				}
-				// Reset so the same file can be re-selected.
-				this.value = '';
-			});
-
-			// Add More Files button.
-			$(document).on('click', '#bpi-add-more', function () {
-				$input.trigger('click');
-			});
 
-			// Remove item from queue.
-			$(document).on('click', '.bpi-queue-item__remove', function () {
-				const slug = $(this).data('slug');
-				self.removeFromQueue(slug);
+				return file.slice(eocd.cdOffset, eocd.cdOffset + eocd.cdSize).arrayBuffer().then(function (cd) {
+					const entries = self.readEntries(new DataView(cd));
+					if (!entries) {
+						result.errors.push('zipInvalid');
+						return result;
+					}
+					return self.checkEntries(file, entries, result);
+				});
+			}).catch(function () {
+				return null;
 			});
+		},
 
-			// Continue to Preview.
-			$(document).on('click', '#bpi-continue-preview', function () {
-				if (!$(this).prop('disabled')) {
-					self.loadPreview();
+		/**
+		 * Locate the end of central directory record.
+		 *
+		 * @param {DataView} view The last bytes of the file.
+		 * @return {Object|null} {entries, cdSize, cdOffset}, or null if not found.
+		 */
+		findEocd: function (view) {
+			for (let i = view.byteLength - 22; i >= 0; i--) {
+				if (view.getUint32(i, true) === 0x06054b50) {
+					return {
+						entries: view.getUint16(i + 10, true),
+						cdSize: view.getUint32(i + 12, true),
+						cdOffset: view.getUint32(i + 16, true)
+					};
 				}
-			});
+			}
+			return null;
 		},
 
 		/**
-		 * Load preview data via AJAX and render the preview screen.
+		 * Parse the central directory file headers.
+		 *
+		 * @param {DataView} view The central directory.
+		 * @return {Array|null} Entry descriptors, or null if the directory is malformed.
 		 */
-		loadPreview: function () {
-			const self = this;
-			const t = this.i18n();
-			const $btn = $('#bpi-continue-preview');
-			$btn.prop('disabled', true).text(t.loadingPreview);
-
-			$.post(bpiAdmin.ajaxUrl, {
-				action: 'bpi_preview',
-				_wpnonce: bpiAdmin.previewNonce || bpiAdmin.nonce
-			}, function (response) {
-				if (response.success && response.data && response.data.plugins) {
-					self.showPreviewScreen(response.data.plugins);
-				} else {
-					const msg = (response.data && response.data.message) ? response.data.message : t.failedLoadPreview;
-					self.showNotice(msg, 'error');
-					$btn.prop('disabled', false).text(t.continueToPreview);
+		readEntries: function (view) {
+			const decoder = new TextDecoder('utf-8');
+			const entries = [];
+			let pos = 0;
+
+			while (pos + 46 <= view.byteLength) {
+				if (view.getUint32(pos, true) !== 0x02014b50) {
+					return null;
 				}
-			}).fail(function () {
-				self.showNotice(t.networkErrorPreview, 'error');
-				$btn.prop('disabled', false).text(t.continueToPreview);
-			});
+				const nameLength = view.getUint16(pos + 28, true);
+				const extraLength = view.getUint16(pos + 30, true);
+				const commentLength = view.getUint16(pos + 32, true);
+
+				entries.push({
+					name: decoder.decode(new Uint8Array(view.buffer, view.byteOffset + pos + 46, nameLength)),
+					encrypted: (view.getUint16(pos + 8, true) & 1) === 1,
+					method: view.getUint16(pos + 10, true),
+					compressedSize: view.getUint32(pos + 20, true),
+					size: view.getUint32(pos + 24, true),
+					externalAttr: view.getUint32(pos + 38, true),
+					offset: view.getUint32(pos + 42, true)
+				});
+
+				pos += 46 + nameLength + extraLength + commentLength;
+			}
+
+			return entries;
 		},
 
 		/**
-		 * Render the preview/confirmation screen.
+		 * Run the structural checks and look for the plugin header.
 		 *
-		 * @param {Array} plugins Array of plugin preview data from server.
+		 * @param {File}   file    The ZIP file.
+		 * @param {Array}  entries Central directory entries.
+		 * @param {Object} result  Result object to fill.
+		 * @return {Promise<Object>|Object} The result.
 		 */
-		showPreviewScreen: function (plugins) {
-			const self = this;
-			const t = this.i18n();
-			this.previewPlugins = plugins;
+		checkEntries: function (file, entries, result) {
+			let totalSize = 0;
+			let firstPhp = '';
+			const phpEntries = [];
+			let hasZip = false;
 
-			let html = '';
+			for (let i = 0; i < entries.length; i++) {
+				const name = entries[i].name;
 
-			// ARIA live region.
-			html += '<div id="bpi-live-region" class="bpi-sr-only" aria-live="polite" aria-atomic="true"></div>';
+				if (name.indexOf('../') !== -1 || name.indexOf('..\\') !== -1 || /^(\/|[A-Za-z]:[\\/])/.test(name)) {
+					result.errors.push('zipPathTraversal');
+					return result;
+				}
+				if (((entries[i].externalAttr >>> 16) & 0o120000) === 0o120000) {
+					result.errors.push('zipSymlink');
+					return result;
+				}
 
-			// Header with back button.
-			html += '<div class="bpi-preview-header">';
-			html += '<button type="button" id="bpi-back-to-queue" class="button button-secondary" aria-label="' + this.escAttr(t.backToQueueLabel) + '">&larr; ' + this.esc(t.backToQueue) + '</button>';
-			html += '<h2>' + this.esc(t.previewConfirm) + '</h2>';
-			html += '</div>';
+				totalSize += entries[i].size;
 
-			// Select All / Deselect All toggle.
-			html += '<div class="bpi-preview-controls">';
-			html += '<button type="button" id="bpi-select-all" class="button button-link" aria-label="' + this.escAttr(t.selectAllLabel) + '">' + this.esc(t.selectAll) + '</button>';
-			html += '<span class="bpi-preview-controls__sep">|</span>';
-			html += '<button type="button" id="bpi-deselect-all" class="button button-link" aria-label="' + this.escAttr(t.deselectAllLabel) + '">' + this.esc(t.deselectAll) + '</button>';
-			html += '<span id="bpi-preview-count" class="bpi-preview-count"></span>';
-			html += '</div>';
+				const parts = name.split('/');
+				if (!result.slug && parts.length > 1 && parts[0] !== '') {
+					result.slug = parts[0];
+				}
 
-			// Plugin list.
-			html += '<div id="bpi-preview-list" class="bpi-preview-list" role="list" aria-label="' + this.escAttr(t.pluginsListLabel) + '">';
-			for (let i = 0; i < plugins.length; i++) {
-				html += this.renderPreviewItem(plugins[i], i);
+				const lower = name.toLowerCase();
+				if (lower.slice(-4) === '.php') {
+					phpEntries.push(entries[i]);
+					if (!firstPhp) {
+						firstPhp = parts[parts.length - 1].slice(0, -4);
+					}
+				} else if (lower.slice(-4) === '.zip') {
+					hasZip = true;
+				}
 			}
-			html += '</div>';
 
-			// Action buttons.
-			html += '<div class="bpi-preview-actions">';
-			html += '<button type="button" id="bpi-install-selected" class="button button-primary" aria-label="' + this.escAttr(t.installSelectedLabel) + '">' + this.esc(t.installSelected) + '</button>';
-			html += '<button type="button" id="bpi-dry-run" class="button button-secondary" aria-label="' + this.escAttr(t.dryRunLabel) + '">' + this.esc(t.dryRunBtn) + '</button>';
-			html += '</div>';
+			if (!result.slug) {
+				result.slug = firstPhp;
+			}
 
-			this.$app.html(html);
-			this.$liveRegion = $('#bpi-live-region');
+			if (file.size > 0 && totalSize / file.size > this.maxRatio) {
+				result.errors.push('zipBomb');
+				return result;
+			}
 
-			// Bind preview events.
-			this.bindPreviewEvents();
-			this.updatePreviewState();
+			if (!phpEntries.length) {
+				result.errors.push(hasZip ? 'zipNested' : 'zipNoPlugin');
+				return result;
+			}
 
-			// Focus management: move focus to the preview heading.
-			this.$app.find('.bpi-preview-header h2').attr('tabindex', '-1').trigger('focus');
+			// WordPress only looks for the main plugin file at the top of the plugin folder.
+			const candidates = phpEntries.filter(function (entry) {
+				return entry.name.split('/').length <= 2;
+			});
+			const hasStyleCss = entries.some(function (entry) {
+				return /^[^/]+\/style\.css$/i.test(entry.name);
+			});
+
+			return this.findPluginName(file, candidates, 0).then(function (pluginName) {
+				if (pluginName) {
+					result.pluginName = pluginName;
+				} else if (pluginName === '' && hasStyleCss) {
+					result.errors.push('zipTheme');
+				} else if (pluginName === '') {
+					result.warnings.push('zipNoHeader');
+				}
+				return result;
+			});
 		},
 
 		/**
-		 * Render a single preview item.
+		 * Read candidate PHP files in turn until one has a Plugin Name header.
 		 *
-		 * @param {Object} plugin Plugin preview data.
-		 * @param {number} index  Index in the list.
-		 * @return {string} HTML string.
+		 * @param {File}   file       The ZIP file.
+		 * @param {Array}  candidates PHP entries to check.
+		 * @param {number} index      Candidate to check next.
+		 * @return {Promise<string|null>} The plugin name, '' if none was found, or null if a file could not be read.
 		 */
-		renderPreviewItem: function (plugin, index) {
-			const t = this.i18n();
-			const isUpdate = plugin.action === 'update';
-			const hasIssues = !plugin.compatible;
-			let itemClass = 'bpi-preview-item';
-			if (hasIssues) itemClass += ' bpi-preview-item--incompatible';
+		findPluginName: function (file, candidates, index) {
+			const self = this;
 
-			let html = '<div class="' + itemClass + '" role="listitem" data-index="' + index + '" data-slug="' + this.escAttr(plugin.slug) + '">';
+			if (index >= candidates.length) {
+				return Promise.resolve('');
+			}
 
-			// Checkbox.
-			html += '<div class="bpi-preview-item__check">';
-			html += '<input type="checkbox" id="bpi-check-' + index + '" class="bpi-preview-checkbox" data-index="' + index + '"';
-			html += ' aria-label="' + this.escAttr(t.selectPlugin.replace('%s', plugin.plugin_name)) + '"';
-			if (plugin.checked) html += ' checked';
-			html += ' />';
-			html += '</div>';
+			return this.readEntryText(file, candidates[index]).then(function (text) {
+				if (text === null) {
+					return null;
+				}
+				const match = /^\s*\*?\s*Plugin Name\s*:\s*(.+)$/mi.exec(text.slice(0, 8192));
+				if (match) {
+					return match[1].trim();
+				}
+				return self.findPluginName(file, candidates, index + 1);
+			});
+		},
 
-			// Main info.
-			html += '<div class="bpi-preview-item__info">';
+		/**
+		 * Read the beginning of an entry's content as text.
+		 *
+		 * @param {File}   file  The ZIP file.
+		 * @param {Object} entry Central directory entry.
+		 * @return {Promise<string|null>} The text, or null if the entry cannot be read in the browser.
+		 */
+		readEntryText: function (file, entry) {
+			const canInflate = typeof window.DecompressionStream === 'function';
 
-			// Name + version badge + action label.
-			html += '<div class="bpi-preview-item__title">';
-			html += '<strong>' + this.esc(plugin.plugin_name) + '</strong>';
-			html += ' <span class="bpi-version-badge">' + this.esc(plugin.plugin_version) + '</span>';
-			if (isUpdate && plugin.update_type) {
-				html += ' <span class="bpi-update-badge bpi-update-badge--' + this.escAttr(plugin.update_type) + '">' + this.esc(plugin.update_type) + '</span>';
-			}
-			html += ' <span class="bpi-action-label bpi-action-label--' + this.escAttr(plugin.action) + '">' + this.esc(plugin.action_label) + '</span>';
-			html += '</div>';
-
-			// Installed version for updates.
-			if (isUpdate && plugin.installed_version) {
-				html += '<div class="bpi-preview-item__versions">';
-				html += this.esc(t.installed + ' ' + plugin.installed_version) + ' &rarr; ' + this.esc(plugin.plugin_version);
-				html += '</div>';
-			}
-
-			// Author.
-			if (plugin.plugin_author) {
-				html += '<div class="bpi-preview-item__author">' + this.esc(t.by + ' ' + plugin.plugin_author) + '</div>';
-			}
-
-			// Description.
-			if (plugin.plugin_description) {
-				html += '<div class="bpi-preview-item__desc">' + this.esc(plugin.plugin_description) + '</div>';
-			}
-
-			// Last Updated and Tested up to.
-			if (plugin.changelog && (plugin.changelog.last_updated || plugin.changelog.tested_up_to)) {
-				html += '<div class="bpi-preview-item__meta">';
-				if (plugin.changelog.last_updated) {
-					html += '<span class="bpi-meta-tag">' + this.esc(t.lastUpdated + ' ' + plugin.changelog.last_updated) + '</span>';
-				}
-				if (plugin.changelog.tested_up_to) {
-					html += '<span class="bpi-meta-tag">' + this.esc(t.testedUpTo + ' ' + plugin.changelog.tested_up_to) + '</span>';
-				}
-				html += '</div>';
+			if (entry.encrypted || entry.compressedSize > this.maxHeaderFileSize
+				|| (entry.method !== 0 && (entry.method !== 8 || !canInflate))) {
+				return Promise.resolve(null);
 			}
 
-			// Compatibility warnings.
-			if (hasIssues && plugin.compatibility_issues && plugin.compatibility_issues.length) {
-				html += '<div class="bpi-preview-item__warnings">';
-				for (let w = 0; w < plugin.compatibility_issues.length; w++) {
-					const issue = plugin.compatibility_issues[w];
-					html += '<div class="bpi-compat-warning" role="alert">';
-					html += '<span class="dashicons dashicons-warning bpi-warning-icon" aria-hidden="true"></span>';
-					html += '<span>' + this.esc(issue.message) + '</span>';
-					html += '</div>';
+			return file.slice(entry.offset, entry.offset + 30).arrayBuffer().then(function (buf) {
+				const local = new DataView(buf);
+				if (local.byteLength < 30 || local.getUint32(0, true) !== 0x04034b50) {
+					return null;
 				}
-				html += '<button type="button" class="bpi-override-compat button button-link" data-index="' + index + '" aria-label="' + this.escAttr(t.overrideCompatLabel.replace('%s', plugin.plugin_name)) + '">';
-				html += this.esc(t.installAnyway);
-				html += '</button>';
-				html += '</div>';
-			}
+				const start = entry.offset + 30 + local.getUint16(26, true) + local.getUint16(28, true);
+				const data = file.slice(start, start + entry.compressedSize);
 
-			// Changelog section (collapsible, for updates only).
-			if (isUpdate) {
-				html += '<details class="bpi-changelog-section">';
-				html += '<summary class="bpi-changelog-toggle" aria-label="' + this.escAttr(t.toggleChangelogLabel.replace('%s', plugin.plugin_name)) + '">' + this.esc(t.changelog) + '</summary>';
-				if (plugin.changelog && plugin.changelog.entries && plugin.changelog.entries.length) {
-					html += '<div class="bpi-changelog-content">';
-					for (let c = 0; c < plugin.changelog.entries.length; c++) {
-						const entry = plugin.changelog.entries[c];
-						html += '<div class="bpi-changelog-entry">';
-						html += '<strong>' + this.esc(entry.version);
-						if (entry.date) html += ' — ' + this.esc(entry.date);
-						html += '</strong>';
-						if (entry.changes && entry.changes.length) {
-							html += '<ul>';
-							for (let ch = 0; ch < entry.changes.length; ch++) {
-								html += '<li>' + this.esc(entry.changes[ch]) + '</li>';
-							}
-							html += '</ul>';
-						}
-						html += '</div>';
-					}
-					html += '</div>';
-				} else {
-					html += '<p class="bpi-changelog-empty">' + this.esc(t.noChangelog) + '</p>';
+				if (entry.method === 0) {
+					return data.text();
 				}
-				html += '</details>';
-			}
-
-			html += '</div>'; // .bpi-preview-item__info
-
-			// Network Activate toggle (only in Network Admin context).
-			if (bpiAdmin.isNetworkAdmin) {
-				html += '<div class="bpi-preview-item__network-activate">';
-				html += '<label class="bpi-toggle-label" for="bpi-network-activate-' + index + '">';
-				html += '<input type="checkbox" id="bpi-network-activate-' + index + '" class="bpi-network-activate-toggle" data-index="' + index + '"';
-				html += ' aria-label="' + this.escAttr(t.networkActivateLabel.replace('%s', plugin.plugin_name)) + '"';
-				if (plugin.network_activate) html += ' checked';
-				html += ' />';
-				html += '<span class="bpi-toggle-text">' + this.esc(t.networkActivate) + '</span>';
-				html += '</label>';
-				html += '</div>';
-			}
+				return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).text();
+			}).then(function (text) {
+				return typeof text === 'string' ? text : null;
+			}).catch(function () {
+				return null;
+			});
+		}
+	};
 
-			// Activate after install toggle.
-			html += '<div class="bpi-preview-item__activate">';
-			html += '<label class="bpi-toggle-label" for="bpi-activate-' + index + '">';
-			html += '<input type="checkbox" id="bpi-activate-' + index + '" class="bpi-activate-toggle" data-index="' + index + '"';
-			html += ' aria-label="' + this.escAttr(t.activateAfterLabel.replace('%s', plugin.plugin_name)) + '" />';
-			html += '<span class="bpi-toggle-text">' + this.esc(t.activate) + '</span>';
-			html += '</label>';
-			html += '</div>';
+	/**
+	 * Main BPI Upload App.
+	 */
+	const BPIUpload = {
+		/** @type {Array} Queue of uploaded file data from server responses. */
+		queue: [],
 
-			html += '</div>'; // .bpi-preview-item
-			return html;
-		},
+		/** @type {jQuery|null} Container element. */
+		$app: null,
 
-		/**
-		 * Bind event handlers for the preview screen.
-		 */
-		bindPreviewEvents: function () {
-			const self = this;
-			const t = this.i18n();
+		/** @type {jQuery|null} ARIA live region for announcements. */
+		$liveRegion: null,
 
-			// Clean up any previous preview bindings.
-			$(document).off('.bpiPreview');
+		/** @type {HTMLDivElement|null} Reusable element for HTML escaping. */
+		_escDiv: null,
 
-			// Back to queue.
-			$(document).on('click.bpiPreview', '#bpi-back-to-queue', function () {
-				self.render();
-				self.bindEvents();
-				self.renderQueue();
-			});
+		/** @type {number|null} Timer for batch status polling while a step runs. */
+		_statusTimer: null,
 
-			// Select All.
-			$(document).on('click.bpiPreview', '#bpi-select-all', function () {
-				$('.bpi-preview-checkbox').prop('checked', true);
-				self.updatePreviewState();
-				self.announce(t.allSelected);
-			});
+		/** @type {number} Interval between batch status polls, in milliseconds. */
+		statusPollInterval: 1000,
 
-			// Deselect All.
-			$(document).on('click.bpiPreview', '#bpi-deselect-all', function () {
-				$('.bpi-preview-checkbox').prop('checked', false);
-				self.updatePreviewState();
-				self.announce(t.allDeselected);
-			});
+		/** @type {number} Times a failed upload chunk is resent before the upload fails. */
+		maxChunkRetries: 3,
 
-			// Individual checkbox change.
-			$(document).on('change.bpiPreview', '.bpi-preview-checkbox', function () {
-				self.updatePreviewState();
-			});
+		/** @type {Object|null} Step-wise batch currently being processed ({batchId, plugins, dryRun}). */
+		currentBatch: null,
 
-			// Override compatibility warning.
-			$(document).on('click.bpiPreview', '.bpi-override-compat', function () {
-				const idx = $(this).data('index');
-				const $item = $('[data-index="' + idx + '"].bpi-preview-item');
-				$item.removeClass('bpi-preview-item--incompatible');
-				$item.find('.bpi-preview-item__warnings').remove();
-				$item.find('.bpi-preview-checkbox').prop('checked', true);
-				self.updatePreviewState();
-				self.announce(t.overrideApplied);
-			});
+		/** @type {Array} Saved profiles with their install status, for the profile picker. */
+		profiles: [],
 
-			// Install Selected.
-			$(document).on('click.bpiPreview', '#bpi-install-selected', function () {
-				if (!$(this).prop('disabled')) {
-					self.startProcessing(false);
-				}
-			});
+		/** @type {number} ID of the profile applied on the preview screen (0 for none). */
+		activeProfileId: 0,
 
-			// Dry Run.
-			$(document).on('click.bpiPreview', '#bpi-dry-run', function () {
-				if (!$(this).prop('disabled')) {
-					self.startProcessing(true);
-				}
-			});
-		},
+		/** @type {Object} Expected checksums read from .sha256 files, keyed by lowercase ZIP file name, until the ZIP is queued. */
+		pendingChecksums: {},
 
 		/**
-		 * Update the preview state: count checked plugins, toggle Install button.
+		 * Initialize the upload UI.
 		 */
-		updatePreviewState: function () {
-			const t = this.i18n();
-			const checked = $('.bpi-preview-checkbox:checked').length;
-			const total = $('.bpi-preview-checkbox').length;
-			const $installBtn = $('#bpi-install-selected');
-			const $dryRunBtn = $('#bpi-dry-run');
-			const $count = $('#bpi-preview-count');
+		init: function () {
+			this.$app = $('#bpi-bulk-upload-app');
+			if (!this.$app.length) return;
 
-			$count.text(t.selectedCount.replace('%1$s', checked).replace('%2$s', total));
+			this.render();
+			this.bindEvents();
+			this.loadQueue();
+			this.loadProfiles();
 
-			if (checked === 0) {
-				$installBtn.prop('disabled', true).attr('aria-disabled', 'true');
-				$dryRunBtn.prop('disabled', true).attr('aria-disabled', 'true');
-			} else {
-				$installBtn.prop('disabled', false).attr('aria-disabled', 'false');
-				$dryRunBtn.prop('disabled', false).attr('aria-disabled', 'false');
+			if (bpiAdmin.inflightBatch) {
+				this.renderInflightBatchNotice(bpiAdmin.inflightBatch);
 			}
 		},
 
 		/**
-		 * Start processing selected plugins.
+		 * Restore the files uploaded before the page was loaded.
 		 *
-		 * Collects checked plugin slugs and activate toggles from the preview
-		 * screen, renders the processing screen, and sends the AJAX request.
-		 *
-		 * @param {boolean} dryRun Whether to perform a dry run.
+		 * The server keeps the queue per user, so uploads survive a reload.
 		 */
-		startProcessing: function (dryRun) {
+		loadQueue: function () {
 			const self = this;
-			const plugins = [];
-
-			$('.bpi-preview-item').each(function () {
-				const $item = $(this);
-				const idx = parseInt($item.data('index'), 10);
-				const $checkbox = $item.find('.bpi-preview-checkbox');
-
-				if (!$checkbox.prop('checked')) return;
 
-				const previewData = self.previewPlugins[idx];
-				if (!previewData) return;
-
-				const activate = $item.find('.bpi-activate-toggle').prop('checked');
-				const networkActivate = bpiAdmin.isNetworkAdmin ? $item.find('.bpi-network-activate-toggle').prop('checked') : false;
-
-				plugins.push({
-					slug: previewData.slug,
-					plugin_name: previewData.plugin_name,
-					plugin_version: previewData.plugin_version,
-					action: previewData.action,
-					action_label: previewData.action_label,
-					installed_version: previewData.installed_version || '',
-					file_path: previewData.file_path || '',
-					plugin_file: previewData.plugin_file || '',
-					activate: activate,
-					network_activate: networkActivate
+			apiRequest('GET', 'queue').done(function (response) {
+				if (!response.success || !response.data || !response.data.queue) return;
+
+				const restored = [];
+				response.data.queue.forEach(function (item) {
+					// Uploads finished since the page loaded are already listed.
+					const known = self.queue.some(function (q) { return q.slug === item.slug; });
+					if (!known) {
+						restored.push({
+							slug: item.slug,
+							file_name: item.file_name,
+							file_size: item.file_size,
+							plugin_name: item.plugin_name || item.file_name,
+							plugin_version: item.plugin_version,
+							sha256: item.sha256 || '',
+							expected_sha256: item.expected_sha256 || '',
+							checksum_source: item.checksum_source || '',
+							checksum_status: item.checksum_status || 'unverified',
+							_uploading: false,
+							_progress: 100,
+							_status: 'restored'
+						});
+					}
 				});
-			});
-
-			if (!plugins.length) return;
 
-			this.showProcessingScreen(plugins, dryRun);
+				if (restored.length) {
+					self.queue = restored.concat(self.queue);
+					self.renderQueue();
+					self.applyPendingChecksums();
+				}
+			});
+		},
 
-			const postData = {
-				action: 'bpi_process',
-				_wpnonce: bpiAdmin.processNonce || bpiAdmin.nonce,
-				selected_plugins: plugins,
-				dry_run: dryRun ? 1 : 0
-			};
+		/**
+		 * Remove every file from the queue, cancelling running uploads.
+		 */
+		clearQueue: function () {
+			const self = this;
+			const t = this.i18n();
 
-			// Mark all as installing sequentially via single AJAX call.
-			const slugMap = {};
-			for (let i = 0; i < plugins.length; i++) {
-				slugMap[plugins[i].slug] = i;
-			}
+			if (!confirm(t.confirmClearQueue)) return;
 
-			// Simulate sequential status updates.
-			let currentIdx = 0;
-			const statusInterval = setInterval(function () {
-				if (currentIdx < plugins.length) {
-					self.updatePluginStatus(plugins[currentIdx].slug, 'installing');
-					self.announce(self.i18n().installingPlugin.replace('%s', plugins[currentIdx].plugin_name));
-					currentIdx++;
+			this.queue.forEach(function (item) {
+				if (item._tempId) {
+					self.abortUpload(item);
 				}
-			}, 800);
-
-			$.post(bpiAdmin.ajaxUrl, postData, function (response) {
-				clearInterval(statusInterval);
-
-				if (response.success && response.data) {
-					const results = response.data.results || [];
-					const summary = response.data.summary || {};
-					const batchId = response.data.batch_id || '';
-
-					// Update each plugin's final status.
-					for (let r = 0; r < results.length; r++) {
-						const res = results[r];
-						self.updatePluginStatus(res.slug, res.status, res.messages);
-					}
+			});
+			this.queue = [];
+			this.renderQueue();
 
-					// Show results screen after a brief delay.
-					setTimeout(function () {
-						self.showResultsScreen(results, summary, batchId, dryRun);
-					}, 600);
+			apiRequest('DELETE', 'queue').done(function (response) {
+				if (response.success) {
+					self.announce(t.queueCleared);
 				} else {
-					const msg = (response.data && response.data.message) ? response.data.message : self.i18n().processingFailed;
-					self.showProcessingError(msg);
+					self.showNotice((response.data && response.data.message) || t.clearQueueFailed, 'error');
 				}
 			}).fail(function () {
-				clearInterval(statusInterval);
-				self.showProcessingError(self.i18n().networkErrorProcessing);
+				self.showNotice(t.clearQueueFailed, 'error');
 			});
 		},
 
 		/**
-		 * Render the processing screen with plugin status list.
+		 * Download the pasted ZIP URLs and WordPress.org slugs into the queue.
 		 *
-		 * @param {Array}   plugins Array of plugin objects being processed.
-		 * @param {boolean} dryRun  Whether this is a dry run.
+		 * The server fetches each source and queues it like an uploaded ZIP.
+		 * Lines that fail stay in the textarea so they can be corrected.
 		 */
-		showProcessingScreen: function (plugins, dryRun) {
+		addRemoteSources: function () {
+			const self = this;
 			const t = this.i18n();
-			let html = '';
+			const $input = $('#bpi-remote-input');
+			const $btn = $('#bpi-remote-add');
+			const sources = $.trim($input.val());
 
-			// ARIA live region for status announcements.
-			html += '<div id="bpi-live-region" class="bpi-sr-only" aria-live="polite" aria-atomic="true"></div>';
+			if (!sources) {
+				$input.trigger('focus');
+				return;
+			}
 
-			// Header.
-			html += '<div class="bpi-processing-header">';
-			html += '<span class="bpi-processing-spinner dashicons dashicons-update bpi-spin" aria-hidden="true"></span>';
-			html += '<h2>' + this.esc(dryRun ? t.dryRunInProgress : t.installingPlugins) + '</h2>';
-			html += '</div>';
+			$btn.prop('disabled', true).text(t.fetchingRemote);
+			$input.prop('readonly', true);
+			this.announce(t.fetchingRemote);
 
-			// Plugin status list.
-			html += '<div id="bpi-processing-list" class="bpi-processing-list" role="list" aria-label="' + this.escAttr(t.processingStatusLabel) + '">';
-			for (let i = 0; i < plugins.length; i++) {
-				const p = plugins[i];
-				html += '<div class="bpi-processing-item bpi-processing-item--pending" role="listitem" data-slug="' + this.escAttr(p.slug) + '">';
-				html += '<span class="bpi-processing-item__icon dashicons dashicons-clock" aria-hidden="true"></span>';
-				html += '<div class="bpi-processing-item__info">';
-				html += '<strong>' + this.esc(p.plugin_name) + '</strong>';
-				html += ' <span class="bpi-version-badge">' + this.esc(p.plugin_version) + '</span>';
-				html += ' <span class="bpi-action-label bpi-action-label--' + this.escAttr(p.action) + '">' + this.esc(p.action_label) + '</span>';
-				html += '</div>';
-				html += '<span class="bpi-processing-item__status">' + this.esc(t.pending) + '</span>';
-				html += '</div>';
-			}
-			html += '</div>';
-
-			// ARIA status region for real-time updates.
-			html += '<div id="bpi-processing-status" class="bpi-sr-only" aria-live="assertive" aria-atomic="true"></div>';
-
-			this.$app.html(html);
-			this.$liveRegion = $('#bpi-live-region');
+			apiRequest('POST', 'queue/remote', {
+				sources: sources
+			}).done(function (response) {
+				if (!response.success || !response.data) {
+					self.showNotice((response.data && response.data.message) || t.remoteAddFailed, 'error');
+					return;
+				}
 
-			// Focus management: move focus to the processing heading.
-			this.$app.find('.bpi-processing-header h2').attr('tabindex', '-1').trigger('focus');
+				$input.val(self.addRemoteResults(response.data.results).join('\n'));
+			}).fail(function () {
+				self.showNotice(t.remoteAddFailed, 'error');
+			}).always(function () {
+				$btn.prop('disabled', false).text(t.addRemote);
+				$input.prop('readonly', false);
+			});
 		},
 
 		/**
-		 * Update a plugin's status indicator on the processing screen.
+		 * Queue the plugins of a bpi.json or YAML manifest file.
 		 *
-		 * @param {string} slug     Plugin slug.
-		 * @param {string} status   New status: 'pending', 'installing', 'success', 'failed'.
-		 * @param {Array}  [messages] Optional messages array.
+		 * The server downloads each plugin and queues it with the checksum
+		 * and activation choice from the manifest.
+		 *
+		 * @param {File} file Manifest file.
 		 */
-		updatePluginStatus: function (slug, status, messages) {
+		importManifest: function (file) {
+			const self = this;
 			const t = this.i18n();
-			const $item = $('.bpi-processing-item[data-slug="' + slug + '"]');
-			if (!$item.length) return;
-
-			// Remove previous status classes.
-			$item.removeClass('bpi-processing-item--pending bpi-processing-item--installing bpi-processing-item--success bpi-processing-item--failed');
-			$item.addClass('bpi-processing-item--' + status);
-
-			// Update icon.
-			const $icon = $item.find('.bpi-processing-item__icon');
-			$icon.removeClass('dashicons-clock dashicons-update dashicons-yes-alt dashicons-dismiss bpi-spin');
-
-			const iconMap = {
-				pending: 'dashicons-clock',
-				installing: 'dashicons-update bpi-spin',
-				success: 'dashicons-yes-alt',
-				failed: 'dashicons-dismiss'
+			const $input = $('#bpi-manifest-input');
+			const reader = new FileReader();
+
+			reader.onload = function () {
+				self.announce(t.fetchingRemote);
+
+				apiRequest('POST', 'queue/manifest', {
+					manifest: String(reader.result),
+					format: /\.ya?ml$/i.test(file.name) ? 'yaml' : 'json'
+				}).done(function (response) {
+					if (!response.success || !response.data) {
+						const errors = (response.data && response.data.errors) || [];
+						self.showNotice(errors.length ? errors.join(' ') : ((response.data && response.data.message) || t.manifestImportFailed), 'error');
+						return;
+					}
+					self.addRemoteResults(response.data.results);
+				}).fail(function () {
+					self.showNotice(t.manifestImportFailed, 'error');
+				}).always(function () {
+					$input.prop('disabled', false).val('');
+				});
 			};
-			$icon.addClass(iconMap[status] || 'dashicons-clock');
-
-			// Update status text.
-			const statusLabels = {
-				pending: t.pending,
-				installing: t.installing,
-				success: t.success,
-				failed: t.failed
+			reader.onerror = function () {
+				self.showNotice(t.manifestImportFailed, 'error');
+				$input.prop('disabled', false).val('');
 			};
-			$item.find('.bpi-processing-item__status').text(statusLabels[status] || status);
 
-			// Announce to screen readers.
-			const pluginName = $item.find('strong').text();
-			$('#bpi-processing-status').text(pluginName + ': ' + (statusLabels[status] || status));
+			$input.prop('disabled', true);
+			reader.readAsText(file);
 		},
 
 		/**
-		 * Show an error message on the processing screen.
+		 * Add downloaded plugins to the queue list and report the failures.
 		 *
-		 * @param {string} message Error message.
+		 * @param {Array} results Per-source results from the queue/remote or queue/manifest route.
+		 * @return {Array} Inputs of the sources that failed.
 		 */
-		showProcessingError: function (message) {
+		addRemoteResults: function (results) {
+			const self = this;
 			const t = this.i18n();
-			const $header = $('.bpi-processing-header');
-			$header.find('.bpi-processing-spinner').removeClass('bpi-spin').addClass('dashicons-warning');
-			$header.find('h2').text(t.processingError);
+			const failed = [];
 
-			let html = '<div class="bpi-notice bpi-notice--error" role="alert">' + this.esc(message) + '</div>';
-			html += '<div class="bpi-results-actions">';
-			html += '<button type="button" id="bpi-back-to-upload" class="button button-primary" aria-label="' + this.escAttr(t.backToUploadLabel) + '">' + this.esc(t.backToUpload) + '</button>';
-			html += '</div>';
+			results.forEach(function (result) {
+				if (!result.success) {
+					failed.push(result.input);
+					self.showNotice(result.message, 'error');
+					return;
+				}
+				self.addQueuedItem({
+					slug: result.slug,
+					file_name: result.file_name,
+					file_size: result.file_size,
+					plugin_name: (result.headers && result.headers.plugin_name) || result.file_name,
+					sha256: result.sha256 || '',
+					checksum_status: 'unverified',
+					_uploading: false,
+					_progress: 100,
+					_status: 'success'
+				});
+				self.announce(t.uploaded.replace('%s', result.file_name));
+			});
 
-			this.$app.find('.bpi-processing-list').after(html);
+			this.renderQueue();
+			return failed;
+		},
 
-			$(document).off('.bpiResults').on('click.bpiResults', '#bpi-back-to-upload', function () {
-				BPIUpload.render();
-				BPIUpload.bindEvents();
-				BPIUpload.renderQueue();
+		/**
+		 * Add a queued plugin, replacing any entry with the same slug.
+		 *
+		 * @param {Object} data Queue item data.
+		 */
+		addQueuedItem: function (data) {
+			for (let i = 0; i < this.queue.length; i++) {
+				if (this.queue[i].slug === data.slug) {
+					this.queue.splice(i, 1);
+					this.showNotice(this.i18n().duplicateDetected.replace('%s', data.slug), 'info');
+					break;
+				}
+			}
+			this.queue.push(data);
+		},
+
+		/**
+		 * Load the saved profiles with their install status for the profile picker.
+		 */
+		loadProfiles: function () {
+			const self = this;
+
+			apiRequest('GET', 'profiles').done(function (response) {
+				if (!response.success || !response.data) return;
+				self.profiles = response.data.profiles || [];
+				self.renderProfilePicker();
 			});
+		},
 
-			this.announce(message);
+		/**
+		 * Get the profile chosen in the profile picker.
+		 *
+		 * @return {Object|null} Profile data, or null when none is chosen.
+		 */
+		getActiveProfile: function () {
+			const id = this.activeProfileId;
+			return (this.profiles || []).find(function (profile) { return profile.id === id; }) || null;
 		},
 
 		/**
-		 * Render the results/summary screen after processing completes.
+		 * Render the profile picker and the chosen profile's plugins.
 		 *
-		 * @param {Array}   results Array of per-plugin result objects.
-		 * @param {Object}  summary Batch summary with counts.
-		 * @param {string}  batchId Batch ID from server.
-		 * @param {boolean} dryRun  Whether this was a dry run.
+		 * Queue marks come from the local queue so they follow uploads as
+		 * they finish; install status comes from the server.
 		 */
-		showResultsScreen: function (results, summary, batchId, dryRun) {
+		renderProfilePicker: function () {
 			const self = this;
 			const t = this.i18n();
-			let html = '';
+			const $picker = $('#bpi-profile-picker');
+			const profiles = this.profiles || [];
 
-			// ARIA live region.
-			html += '<div id="bpi-live-region" class="bpi-sr-only" aria-live="polite" aria-atomic="true"></div>';
+			if (!$picker.length || !profiles.length) {
+				$picker.hide();
+				return;
+			}
 
-			// Header.
-			html += '<div class="bpi-results-header">';
-			if (dryRun) {
-				html += '<span class="dashicons dashicons-visibility bpi-results-header__icon" aria-hidden="true"></span>';
-				html += '<h2>' + this.esc(t.dryRunComplete) + '</h2>';
-			} else {
-				html += '<span class="dashicons dashicons-yes-alt bpi-results-header__icon bpi-results-header__icon--success" aria-hidden="true"></span>';
-				html += '<h2>' + this.esc(t.processingComplete) + '</h2>';
+			let options = '<option value="0">' + this.esc(t.noProfile) + '</option>';
+			profiles.forEach(function (profile) {
+				options += '<option value="' + self.escAttr(profile.id) + '"' + (profile.id === self.activeProfileId ? ' selected' : '') + '>';
+				options += self.esc(profile.name) + '</option>';
+			});
+			$('#bpi-profile-select').html(options);
+			$picker.show();
+
+			const profile = this.getActiveProfile();
+			const $details = $('#bpi-profile-details');
+			if (!profile) {
+				$details.empty();
+				return;
 			}
-			html += '</div>';
 
-			// Dry run notice.
-			if (dryRun) {
-				html += '<div class="bpi-notice bpi-notice--info" role="status">';
-				html += this.esc(t.dryRunNotice);
-				html += '</div>';
+			const queued = {};
+			this.queue.forEach(function (item) {
+				if (item.slug && !item._tempId) {
+					queued[item.slug] = true;
+				}
+			});
+
+			const missing = [];
+			let html = '<ul class="bpi-profile-details__list">';
+			profile.plugins.forEach(function (plugin) {
+				let status = 'missing';
+				let label = t.profileZipMissing;
+				if (queued[plugin.slug]) {
+					status = 'queued';
+					label = t.profileInQueue;
+				} else if (plugin.installed) {
+					status = 'installed';
+					label = t.profileInstalled.replace('%s', plugin.installed_version);
+				} else {
+					missing.push(plugin.name || plugin.slug);
+				}
+
+				html += '<li class="bpi-profile-details__item">';
+				html += '<span class="bpi-profile-details__name">' + self.esc(plugin.name || plugin.slug) + '</span>';
+				if (plugin.version) {
+					html += ' <span class="bpi-version-badge">' + self.esc(plugin.version) + '</span>';
+				}
+				html += ' <span class="bpi-profile-status bpi-profile-status--' + status + '">' + self.esc(label) + '</span>';
+				html += '</li>';
+			});
+			html += '</ul>';
+
+			if (missing.length) {
+				html += '<p class="bpi-profile-details__missing">' + this.esc(t.profileMissingZips.replace('%s', missing.join(', '))) + '</p>';
+			} else {
+				html += '<p class="bpi-profile-details__ready">' + this.esc(t.profileReady) + '</p>';
 			}
 
-			// Summary cards.
-			html += '<div class="bpi-results-summary" role="status" aria-label="' + this.escAttr(t.batchSummaryLabel) + '">';
-			html += '<div class="bpi-summary-card bpi-summary-card--installed">';
-			html += '<span class="bpi-summary-card__count">' + (summary.installed || 0) + '</span>';
-			html += '<span class="bpi-summary-card__label">' + this.esc(t.installedLabel) + '</span>';
-			html += '</div>';
-			html += '<div class="bpi-summary-card bpi-summary-card--updated">';
-			html += '<span class="bpi-summary-card__count">' + (summary.updated || 0) + '</span>';
-			html += '<span class="bpi-summary-card__label">' + this.esc(t.updatedLabel) + '</span>';
-			html += '</div>';
-			html += '<div class="bpi-summary-card bpi-summary-card--failed">';
-			html += '<span class="bpi-summary-card__count">' + (summary.failed || 0) + '</span>';
-			html += '<span class="bpi-summary-card__label">' + this.esc(t.failedLabel) + '</span>';
+			$details.html(html);
+		},
+
+		/**
+		 * Render the notice offering to resume an unfinished batch.
+		 *
+		 * @param {Object} batch Progress data of the unfinished batch from the server.
+		 */
+		renderInflightBatchNotice: function (batch) {
+			const self = this;
+			const t = this.i18n();
+			const text = (batch.dry_run ? t.unfinishedDryRunText : t.unfinishedBatchText)
+				.replace('%1$s', batch.processed || 0)
+				.replace('%2$s', (batch.plugins || []).length);
+
+			let html = '<div id="bpi-inflight-batch" class="bpi-inflight-batch" role="region" aria-label="' + this.escAttr(t.unfinishedBatch) + '">';
+			html += '<span class="dashicons dashicons-backup bpi-inflight-batch__icon" aria-hidden="true"></span>';
+			html += '<p class="bpi-inflight-batch__text"><strong>' + this.esc(t.unfinishedBatch) + '</strong> ' + this.esc(text) + '</p>';
+			html += '<div class="bpi-inflight-batch__actions">';
+			html += '<button type="button" id="bpi-resume-batch" class="button button-primary" aria-label="' + this.escAttr(t.resumeBatchLabel) + '">' + this.esc(t.resumeBatch) + '</button>';
+			html += '<button type="button" id="bpi-view-batch" class="button button-secondary" aria-label="' + this.escAttr(t.viewBatchLabel) + '">' + this.esc(t.viewBatch) + '</button>';
+			html += '<button type="button" id="bpi-discard-batch" class="button button-link-delete" aria-label="' + this.escAttr(t.discardBatchLabel) + '">' + this.esc(t.discardBatch) + '</button>';
 			html += '</div>';
 			html += '</div>';
 
-			// Per-plugin result list.
-			html += '<div class="bpi-results-list" role="list" aria-label="' + this.escAttr(t.perPluginResultsLabel) + '">';
-			for (let i = 0; i < results.length; i++) {
-				const r = results[i];
-				const statusClass = r.status === 'success' ? 'success' : 'failed';
-				const statusIcon = r.status === 'success' ? 'dashicons-yes-alt' : 'dashicons-dismiss';
-				const statusText = r.status === 'success' ? t.success : t.failed;
+			$('#bpi-upload-zone').before(html);
+
+			$(document).off('.bpiResume')
+				.on('click.bpiResume', '#bpi-resume-batch', function () {
+					self.showBatchProgress(batch, true);
+				})
+				.on('click.bpiResume', '#bpi-view-batch', function () {
+					self.showBatchProgress(batch, false);
+				})
+				.on('click.bpiResume', '#bpi-discard-batch', function () {
+					if (!confirm(t.confirmDiscardBatch)) return;
+					self.discardBatch(batch.batch_id);
+				});
+		},
 
-				html += '<div class="bpi-results-item bpi-results-item--' + statusClass + '" role="listitem">';
-				html += '<span class="bpi-results-item__icon dashicons ' + statusIcon + '" aria-hidden="true"></span>';
-				html += '<div class="bpi-results-item__info">';
-				html += '<strong>' + this.esc(r.plugin_name || r.slug) + '</strong>';
-				html += ' <span class="bpi-results-item__status-text">' + this.esc(statusText) + '</span>';
-				if (r.messages && r.messages.length) {
-					html += '<div class="bpi-results-item__messages">';
-					for (let m = 0; m < r.messages.length; m++) {
-						html += '<p>' + this.esc(r.messages[m]) + '</p>';
-					}
-					html += '</div>';
-				}
-				if (r.rolled_back) {
-					html += '<span class="bpi-results-item__rolled-back">' + this.esc(t.rolledBack) + '</span>';
+		/**
+		 * Show the processing screen for a previously started batch.
+		 *
+		 * Restores each plugin's recorded status and elapsed time, then either
+		 * continues from the first unprocessed plugin or waits for the user.
+		 *
+		 * @param {Object}  batch  Progress data from the server.
+		 * @param {boolean} resume Whether to continue processing immediately.
+		 */
+		showBatchProgress: function (batch, resume) {
+			const self = this;
+			const t = this.i18n();
+			const plugins = (batch.plugins || []).map(function (p) {
+				return $.extend({}, p, { action_label: p.action === 'update' ? t.update : t.install });
+			});
+
+			$(document).off('.bpiResume');
+			this.showProcessingScreen(plugins, batch.dry_run);
+
+			for (let i = 0; i < plugins.length; i++) {
+				const p = plugins[i];
+				if (p.status !== 'pending') {
+					self.updatePluginStatus(p.slug, p.status, p.messages, p.elapsed, p.stage);
 				}
-				html += '</div>';
-				html += '</div>';
 			}
-			html += '</div>';
 
-			// Action buttons.
-			html += '<div class="bpi-results-actions">';
+			this.currentBatch = { batchId: batch.batch_id, plugins: plugins, dryRun: batch.dry_run };
 
-			// Rollback Entire Batch button (only for non-dry-run with a batch_id).
-			if (!dryRun && batchId) {
-				html += '<button type="button" id="bpi-rollback-batch" class="button button-secondary" data-batch-id="' + this.escAttr(batchId) + '" aria-label="' + this.escAttr(t.rollbackBatchLabel) + '">';
-				html += this.esc(t.rollbackBatch);
-				html += '</button>';
+			if (resume) {
+				this.processNextStep(batch.batch_id, plugins, batch.dry_run);
+				return;
 			}
 
-			// Save as Profile button (only if any successes and not dry run).
-			const hasSuccess = (summary.installed || 0) + (summary.updated || 0) > 0;
-			if (!dryRun && hasSuccess) {
-				html += '<button type="button" id="bpi-save-profile" class="button button-secondary" aria-label="' + this.escAttr(t.saveProfileLabel) + '">';
-				html += this.esc(t.saveAsProfile);
-				html += '</button>';
-			}
+			const $header = $('.bpi-processing-header');
+			$header.find('.bpi-processing-spinner').removeClass('bpi-spin dashicons-update').addClass('dashicons-controls-pause');
+			$header.find('h2').text(t.batchPaused);
+			this.renderBatchActions();
+		},
 
-			html += '<button type="button" id="bpi-back-to-upload" class="button button-primary" aria-label="' + this.escAttr(t.backToUploadLabel) + '">' + this.esc(t.backToUpload) + '</button>';
+		/**
+		 * Render Resume / Discard / Back actions below the processing list.
+		 *
+		 * Used when a batch is viewed without resuming it and when a step
+		 * fails, so the batch can be continued from where it stopped.
+		 */
+		renderBatchActions: function () {
+			const self = this;
+			const t = this.i18n();
+			const batch = this.currentBatch;
+
+			let html = '<div class="bpi-results-actions">';
+			if (batch) {
+				html += '<button type="button" id="bpi-resume-batch" class="button button-primary" aria-label="' + this.escAttr(t.resumeBatchLabel) + '">' + this.esc(t.resumeBatch) + '</button>';
+				html += '<button type="button" id="bpi-discard-batch" class="button button-link-delete" aria-label="' + this.escAttr(t.discardBatchLabel) + '">' + this.esc(t.discardBatch) + '</button>';
+			}
+			html += '<button type="button" id="bpi-back-to-upload" class="button ' + (batch ? 'button-secondary' : 'button-primary') + '" aria-label="' + this.escAttr(t.backToUploadLabel) + '">' + this.esc(t.backToUpload) + '</button>';
 			html += '</div>';
 
-			this.$app.html(html);
-			this.$liveRegion = $('#bpi-live-region');
+			this.$app.find('.bpi-processing-list').after(html);
 
-			// Bind results screen events.
-			$(document).off('.bpiResults').on('click.bpiResults', '#bpi-back-to-upload', function () {
-				self.queue = [];
+			$(document).off('.bpiResults')
+				.on('click.bpiResults', '#bpi-resume-batch', function () {
+					self.$app.find('.bpi-results-actions, .bpi-processing-list ~ .bpi-notice').remove();
+					const $header = $('.bpi-processing-header');
+					$header.find('.bpi-processing-spinner').removeClass('dashicons-warning dashicons-controls-pause').addClass('dashicons-update bpi-spin');
+					$header.find('h2').text(batch.dryRun ? t.dryRunInProgress : t.installingPlugins);
+					self.processNextStep(batch.batchId, batch.plugins, batch.dryRun);
+				})
+				.on('click.bpiResults', '#bpi-discard-batch', function () {
+					if (!confirm(t.confirmDiscardBatch)) return;
+					self.discardBatch(batch.batchId);
+				})
+				.on('click.bpiResults', '#bpi-back-to-upload', function () {
+					self.currentBatch = null;
+					self.render();
+					self.bindEvents();
+					self.renderQueue();
+				});
+		},
+
+		/**
+		 * Discard an unfinished batch on the server and return to the upload screen.
+		 *
+		 * @param {string} batchId Batch ID to discard.
+		 */
+		discardBatch: function (batchId) {
+			const self = this;
+			apiRequest('DELETE', 'batches/' + encodeURIComponent(batchId)).done(function (response) {
+				bpiAdmin.inflightBatch = null;
+				self.currentBatch = null;
 				self.render();
 				self.bindEvents();
+				self.renderQueue();
+				if (response.success) {
+					self.showNotice(response.data.message, 'info');
+				} else {
+					self.showNotice((response.data && response.data.message) || self.i18n().processingFailed, 'error');
+				}
+			}).fail(function () {
+				self.showNotice(self.i18n().networkErrorProcessing, 'error');
 			});
+		},
 
-			// Rollback batch handler.
-			$(document).on('click.bpiResults', '#bpi-rollback-batch', function () {
-				if (!confirm(t.confirmRollback || 'Are you sure you want to rollback the entire batch? This will revert all installed/updated plugins.')) return;
-				const $btn = $(this);
-				const batchId = $btn.data('batch-id');
-				$btn.prop('disabled', true).text('Rolling back...');
-				$.post(bpiAdmin.ajaxUrl, {
-					action: 'bpi_batch_rollback',
-					_wpnonce: bpiAdmin.rollbackNonce,
-					batch_id: batchId
-				}, function (response) {
-					if (response.success) {
-						self.showNotice(response.data.message || 'Rollback complete.', 'success');
-						$btn.text('Rolled Back').prop('disabled', true);
-					} else {
-						self.showNotice((response.data && response.data.message) || 'Rollback failed.', 'error');
-						$btn.prop('disabled', false).text(t.rollbackBatch);
-					}
-				}).fail(function () {
-					self.showNotice('Network error during rollback.', 'error');
-					$btn.prop('disabled', false).text(t.rollbackBatch);
-				});
-			});
+		/**
+		 * Render the initial UI structure.
+		 */
+		render: function () {
+			const t = this.i18n();
+			let html = '';
 
-			// Save as profile handler.
-			$(document).on('click.bpiResults', '#bpi-save-profile', function () {
-				const profileName = prompt(t.enterProfileName || 'Enter a name for this profile:');
-				if (!profileName || !profileName.trim()) return;
-				const $btn = $(this);
-				$btn.prop('disabled', true);
-				const plugins = [];
+			// ARIA live region for dynamic announcements.
+			html += '<div id="bpi-live-region" class="bpi-sr-only" aria-live="polite" aria-atomic="true"></div>';
+
+			// Upload zone.
+			html += '<div id="bpi-upload-zone" class="bpi-upload-zone" role="button" tabindex="0" aria-label="' + this.escAttr(t.dropZoneLabel) + '">';
+			html += '<span class="bpi-upload-zone__icon dashicons dashicons-upload"></span>';
+			html += '<p class="bpi-upload-zone__text">' + this.esc(t.dropZoneText) + '</p>';
+			html += '<p class="bpi-upload-zone__subtext">' + this.esc(t.dropZoneSubtext) + '</p>';
+			html += '<input type="file" id="bpi-file-input" class="bpi-upload-zone__input" multiple accept=".zip" aria-label="' + this.escAttr(t.selectFilesLabel) + '" />';
+			html += '</div>';
+
+			// Remote sources: ZIP URLs and WordPress.org slugs.
+			html += '<details id="bpi-remote-sources" class="bpi-remote-sources">';
+			html += '<summary class="bpi-remote-sources__toggle">' + this.esc(t.addFromUrls) + '</summary>';
+			html += '<label for="bpi-remote-input" class="bpi-remote-sources__label">' + this.esc(t.remoteSourcesHelp) + '</label>';
+			html += '<textarea id="bpi-remote-input" class="bpi-remote-sources__input large-text code" rows="4" placeholder="' + this.escAttr(t.remotePlaceholder) + '"></textarea>';
+			html += '<button type="button" id="bpi-remote-add" class="button button-secondary">' + this.esc(t.addRemote) + '</button>';
+			html += '<label for="bpi-manifest-input" class="bpi-remote-sources__label">' + this.esc(t.manifestHelp) + '</label>';
+			html += '<input type="file" id="bpi-manifest-input" class="bpi-remote-sources__manifest" accept=".json,.yaml,.yml" />';
+			html += '</details>';
+
+			// Saved profile picker (shown once profiles are loaded).
+			html += '<div id="bpi-profile-picker" class="bpi-profile-picker" style="display:none;">';
+			html += '<label for="bpi-profile-select" class="bpi-profile-picker__label">' + this.esc(t.applyProfile) + '</label>';
+			html += '<select id="bpi-profile-select" class="bpi-profile-picker__select"></select>';
+			html += '<div id="bpi-profile-details" class="bpi-profile-details"></div>';
+			html += '</div>';
+
+			// Notices area.
+			html += '<div id="bpi-notices" role="alert"></div>';
+
+			// Queue section (hidden initially).
+			html += '<div id="bpi-queue-section" class="bpi-queue-section" style="display:none;">';
+			html += '<div class="bpi-queue-header">';
+			html += '<h2>' + this.esc(t.uploadQueue) + '</h2>';
+			html += '<span id="bpi-queue-summary" class="bpi-queue-summary"></span>';
+			html += '<button type="button" id="bpi-clear-queue" class="button-link bpi-queue-clear" aria-label="' + this.escAttr(t.clearQueueLabel) + '">' + this.esc(t.clearQueue) + '</button>';
+			html += '</div>';
+			html += '<ul id="bpi-queue-list" class="bpi-queue-list" aria-label="' + this.escAttr(t.queuedFilesLabel) + '"></ul>';
+			html += '<div class="bpi-actions">';
+			html += '<button type="button" id="bpi-add-more" class="button button-secondary" aria-label="' + this.escAttr(t.addMoreLabel) + '">' + this.esc(t.addMoreFiles) + '</button>';
+			html += '<button type="button" id="bpi-continue-preview" class="button button-primary" disabled aria-disabled="true" aria-label="' + this.escAttr(t.continuePreviewLabel) + '">' + this.esc(t.continueToPreview) + '</button>';
+			html += '</div>';
+			html += '</div>';
+
+			this.$app.html(html);
+
+			this.$liveRegion = $('#bpi-live-region');
+		},
+
+		/**
+		 * Bind all event handlers.
+		 */
+		bindEvents: function () {
+			const self = this;
+			const t = this.i18n();
+			const $zone = $('#bpi-upload-zone');
+			const $input = $('#bpi-file-input');
+
+			// Drag-and-drop events.
+			$zone.on('dragenter dragover', function (e) {
+				e.preventDefault();
+				e.stopPropagation();
+				$zone.addClass('bpi-dragover');
+			});
+
+			$zone.on('dragleave drop', function (e) {
+				e.preventDefault();
+				e.stopPropagation();
+				$zone.removeClass('bpi-dragover');
+			});
+
+			$zone.on('drop', function (e) {
+				const files = e.originalEvent.dataTransfer.files;
+				if (files && files.length) {
+					self.handleFiles(files);
+				}
+			});
+
+			// Click to browse.
+			$zone.on('click', function (e) {
+				if (e.target !== $input[0]) {
+					$input.trigger('click');
+				}
+			});
+
+			// Keyboard activation for the zone.
+			$zone.on('keydown', function (e) {
+				if (e.key === 'Enter' || e.key === ' ') {
+					e.preventDefault();
+					$input.trigger('click');
+				}
+			});
+
+			// File input change.
+			$input.on('change', function () {
+				if (this.files && this.files.length) {
+					self.handleFiles(this.files);
+				}
+				// Reset so the same file can be re-selected.
+				this.value = '';
+			});
+
+			// Add More Files button.
+			$(document).on('click', '#bpi-add-more', function () {
+				$input.trigger('click');
+			});
+
+			// Remove item from queue.
+			$(document).on('click', '.bpi-queue-item__remove', function () {
+				const slug = $(this).data('slug');
+				self.removeFromQueue(slug);
+			});
+
+			// Enter, save or cancel the expected checksum of a queued file.
+			$(document).on('click', '.bpi-checksum-edit, .bpi-checksum-cancel', function () {
+				const item = self.findQueued(String($(this).data('slug')));
+				if (item) {
+					item._editingChecksum = $(this).hasClass('bpi-checksum-edit');
+					self.renderQueue();
+					$(document.getElementById('bpi-checksum-' + item.slug)).trigger('focus');
+				}
+			});
+
+			$(document).on('click', '.bpi-checksum-save', function () {
+				const slug = String($(this).data('slug'));
+				self.saveChecksum(slug, $.trim($(this).siblings('.bpi-checksum-input').val()), 'manual');
+			});
+
+			$(document).on('keydown', '.bpi-checksum-input', function (e) {
+				if (e.key === 'Enter') {
+					e.preventDefault();
+					$(this).siblings('.bpi-checksum-save').trigger('click');
+				}
+			});
+
+			// Pause, resume, retry or cancel an upload.
+			$(document).on('click', '.bpi-queue-item__action', function () {
+				const tempId = String($(this).data('temp-id'));
+				const actions = {
+					pause: 'pauseUpload',
+					resume: 'resumeUpload',
+					retry: 'retryUpload',
+					cancel: 'cancelUpload'
+				};
+				const method = actions[$(this).data('upload-action')];
+				if (method) {
+					self[method](tempId);
+				}
+			});
+
+			// Clear the whole queue.
+			$(document).on('click', '#bpi-clear-queue', function () {
+				self.clearQueue();
+			});
+
+			// Choose the profile to apply on the preview screen.
+			$(document).on('change', '#bpi-profile-select', function () {
+				self.activeProfileId = parseInt($(this).val(), 10) || 0;
+				self.renderProfilePicker();
+				const profile = self.getActiveProfile();
+				if (profile) {
+					self.announce(t.profileApplied.replace('%s', profile.name));
+				}
+			});
+
+			// Download pasted URLs and slugs into the queue.
+			$(document).on('click', '#bpi-remote-add', function () {
+				if (!$(this).prop('disabled')) {
+					self.addRemoteSources();
+				}
+			});
+
+			// Queue the plugins of a manifest file.
+			$(document).on('change', '#bpi-manifest-input', function () {
+				if (this.files && this.files.length) {
+					self.importManifest(this.files[0]);
+				}
+			});
+
+			// Continue to Preview.
+			$(document).on('click', '#bpi-continue-preview', function () {
+				if (!$(this).prop('disabled')) {
+					self.loadPreview();
+				}
+			});
+		},
+
+		/**
+		 * Load preview data via AJAX and render the preview screen.
+		 */
+		loadPreview: function () {
+			const self = this;
+			const t = this.i18n();
+			const $btn = $('#bpi-continue-preview');
+			$btn.prop('disabled', true).text(t.loadingPreview);
+
+			apiRequest('GET', 'preview', {
+				profile_id: this.activeProfileId
+			}).done(function (response) {
+				if (response.success && response.data && response.data.plugins) {
+					self.showPreviewScreen(response.data.plugins);
+				} else {
+					const msg = (response.data && response.data.message) ? response.data.message : t.failedLoadPreview;
+					self.showNotice(msg, 'error');
+					$btn.prop('disabled', false).text(t.continueToPreview);
+				}
+			}).fail(function () {
+				self.showNotice(t.networkErrorPreview, 'error');
+				$btn.prop('disabled', false).text(t.continueToPreview);
+			});
+		},
+
+		/**
+		 * Render the preview/confirmation screen.
+		 *
+		 * @param {Array} plugins Array of plugin preview data from server.
+		 */
+		showPreviewScreen: function (plugins) {
+			const self = this;
+			const t = this.i18n();
+			const profile = this.getActiveProfile();
+			this.previewPlugins = plugins;
+
+			// Pre-select the profile's plugins and their activation choices.
+			if (profile) {
+				plugins.forEach(function (plugin) {
+					const entry = profile.plugins.find(function (p) { return p.slug === plugin.slug; });
+					plugin.checked = plugin.checked && !!entry;
+					plugin.activate = !!(entry && entry.activate);
+				});
+			}
+
+			let html = '';
+
+			// ARIA live region.
+			html += '<div id="bpi-live-region" class="bpi-sr-only" aria-live="polite" aria-atomic="true"></div>';
+
+			// Header with back button.
+			html += '<div class="bpi-preview-header">';
+			html += '<button type="button" id="bpi-back-to-queue" class="button button-secondary" aria-label="' + this.escAttr(t.backToQueueLabel) + '">&larr; ' + this.esc(t.backToQueue) + '</button>';
+			html += '<h2>' + this.esc(t.previewConfirm) + '</h2>';
+			html += '</div>';
+
+			// Select All / Deselect All toggle.
+			html += '<div class="bpi-preview-controls">';
+			html += '<button type="button" id="bpi-select-all" class="button button-link" aria-label="' + this.escAttr(t.selectAllLabel) + '">' + this.esc(t.selectAll) + '</button>';
+			html += '<span class="bpi-preview-controls__sep">|</span>';
+			html += '<button type="button" id="bpi-deselect-all" class="button button-link" aria-label="' + this.escAttr(t.deselectAllLabel) + '">' + this.esc(t.deselectAll) + '</button>';
+			html += '<span id="bpi-preview-count" class="bpi-preview-count"></span>';
+			html += '</div>';
+
+			if (profile) {
+				html += '<p class="bpi-preview-profile">' + this.esc(t.profilePreselected.replace('%s', profile.name)) + '</p>';
+			}
+
+			// Plugin list.
+			html += '<div id="bpi-preview-list" class="bpi-preview-list" role="list" aria-label="' + this.escAttr(t.pluginsListLabel) + '">';
+			for (let i = 0; i < plugins.length; i++) {
+				html += this.renderPreviewItem(plugins[i], i);
+			}
+			html += '</div>';
+
+			// Action buttons.
+			html += '<div class="bpi-preview-actions">';
+			html += '<button type="button" id="bpi-install-selected" class="button button-primary" aria-label="' + this.escAttr(t.installSelectedLabel) + '">' + this.esc(t.installSelected) + '</button>';
+			html += '<button type="button" id="bpi-dry-run" class="button button-secondary" aria-label="' + this.escAttr(t.dryRunLabel) + '">' + this.esc(t.dryRunBtn) + '</button>';
+			html += '<label class="bpi-maintenance-option"><input type="checkbox" id="bpi-maintenance-mode"> ' + this.esc(t.maintenanceMode) + '</label>';
+			html += '</div>';
+
+			// Schedule for a maintenance window.
+			html += '<details class="bpi-schedule">';
+			html += '<summary>' + this.esc(t.scheduleForLater) + '</summary>';
+			html += '<p class="description">' + this.esc(t.scheduleHelp) + '</p>';
+			html += '<label for="bpi-schedule-at">' + this.esc(t.scheduleAt) + '</label> ';
+			html += '<input type="datetime-local" id="bpi-schedule-at" class="bpi-schedule__time" value="' + this.escAttr(toDateTimeLocal(Math.floor(Date.now() / 1000) + 3600)) + '"> ';
+			html += '<button type="button" id="bpi-schedule-confirm" class="button button-secondary">' + this.esc(t.scheduleBatch) + '</button>';
+			html += '</details>';
+
+			this.$app.html(html);
+			this.$liveRegion = $('#bpi-live-region');
+
+			// Bind preview events.
+			this.bindPreviewEvents();
+			this.updatePreviewState();
+
+			// Focus management: move focus to the preview heading.
+			this.$app.find('.bpi-preview-header h2').attr('tabindex', '-1').trigger('focus');
+		},
+
+		/**
+		 * Render a single preview item.
+		 *
+		 * @param {Object} plugin Plugin preview data.
+		 * @param {number} index  Index in the list.
+		 * @return {string} HTML string.
+		 */
+		renderPreviewItem: function (plugin, index) {
+			const t = this.i18n();
+			const isUpdate = plugin.action === 'update';
+			const hasIssues = !plugin.compatible;
+			let itemClass = 'bpi-preview-item';
+			if (hasIssues) itemClass += ' bpi-preview-item--incompatible';
+			const checksumMismatch = plugin.checksum_status === 'mismatch';
+			if (plugin.security_blocked || checksumMismatch) itemClass += ' bpi-preview-item--blocked';
+
+			let html = '<div class="' + itemClass + '" role="listitem" data-index="' + index + '" data-slug="' + this.escAttr(plugin.slug) + '">';
+
+			// Checkbox.
+			html += '<div class="bpi-preview-item__check">';
+			html += '<input type="checkbox" id="bpi-check-' + index + '" class="bpi-preview-checkbox" data-index="' + index + '"';
+			html += ' aria-label="' + this.escAttr(t.selectPlugin.replace('%s', plugin.plugin_name)) + '"';
+			if (plugin.checked) html += ' checked';
+			if (plugin.security_blocked || checksumMismatch) html += ' disabled';
+			html += ' />';
+			html += '</div>';
+
+			// Main info.
+			html += '<div class="bpi-preview-item__info">';
+
+			// Name + version badge + action label.
+			html += '<div class="bpi-preview-item__title">';
+			html += '<strong>' + this.esc(plugin.plugin_name) + '</strong>';
+			html += ' <span class="bpi-version-badge">' + this.esc(plugin.plugin_version) + '</span>';
+			if (isUpdate && plugin.update_type) {
+				html += ' <span class="bpi-update-badge bpi-update-badge--' + this.escAttr(plugin.update_type) + '">' + this.esc(plugin.update_type) + '</span>';
+			}
+			html += ' <span class="bpi-action-label bpi-action-label--' + this.escAttr(plugin.action) + '">' + this.esc(plugin.action_label) + '</span>';
+			html += '</div>';
+
+			// Installed version for updates.
+			if (isUpdate && plugin.installed_version) {
+				html += '<div class="bpi-preview-item__versions">';
+				html += this.esc(t.installed + ' ' + plugin.installed_version) + ' &rarr; ' + this.esc(plugin.plugin_version);
+				html += '</div>';
+			}
+
+			// Author.
+			if (plugin.plugin_author) {
+				html += '<div class="bpi-preview-item__author">' + this.esc(t.by + ' ' + plugin.plugin_author) + '</div>';
+			}
+
+			// Description.
+			if (plugin.plugin_description) {
+				html += '<div class="bpi-preview-item__desc">' + this.esc(plugin.plugin_description) + '</div>';
+			}
+
+			// Last Updated and Tested up to.
+			if (plugin.changelog && (plugin.changelog.last_updated || plugin.changelog.tested_up_to)) {
+				html += '<div class="bpi-preview-item__meta">';
+				if (plugin.changelog.last_updated) {
+					html += '<span class="bpi-meta-tag">' + this.esc(t.lastUpdated + ' ' + plugin.changelog.last_updated) + '</span>';
+				}
+				if (plugin.changelog.tested_up_to) {
+					html += '<span class="bpi-meta-tag">' + this.esc(t.testedUpTo + ' ' + plugin.changelog.tested_up_to) + '</span>';
+				}
+				html += '</div>';
+			}
+
+			// Required plugins.
+			if (plugin.requires_plugins && plugin.requires_plugins.length) {
+				html += '<div class="bpi-preview-item__meta">';
+				html += '<span class="bpi-meta-tag">' + this.esc(t.requiresPlugins + ' ' + plugin.requires_plugins.join(', ')) + '</span>';
+				html += '</div>';
+			}
+
+			// Current activation state of an installed plugin.
+			const activeSites = plugin.active_site_ids || [];
+			let activeState = '';
+			if (plugin.network_active) {
+				activeState = t.currentlyNetworkActive;
+			} else if (bpiAdmin.isNetworkAdmin && activeSites.length) {
+				activeState = t.activeOnSites.replace('%s', activeSites.length);
+			} else if (plugin.currently_active) {
+				activeState = t.currentlyActive;
+			}
+			if (activeState) {
+				html += '<div class="bpi-preview-item__meta">';
+				html += '<span class="bpi-meta-tag bpi-meta-tag--active">' + this.esc(activeState) + '</span>';
+				html += '</div>';
+			}
+
+			// Compatibility warnings: blocking issues can be overridden,
+			// advisory issues are shown as notices only.
+			const issues = plugin.compatibility_issues || [];
+			const blocking = issues.filter(function (issue) { return issue.severity !== 'advisory'; });
+			const advisory = issues.filter(function (issue) { return issue.severity === 'advisory'; });
+
+			if (advisory.length) {
+				html += '<div class="bpi-preview-item__notices">';
+				for (let a = 0; a < advisory.length; a++) {
+					html += '<div class="bpi-compat-warning bpi-compat-warning--advisory" role="note">';
+					html += '<span class="dashicons dashicons-info-outline bpi-warning-icon" aria-hidden="true"></span>';
+					html += '<span class="bpi-compat-warning__severity">' + this.esc(t.severityAdvisory) + '</span>';
+					html += '<span>' + this.esc(advisory[a].message) + '</span>';
+					html += '</div>';
+				}
+				html += '</div>';
+			}
+
+			if (hasIssues && blocking.length) {
+				html += '<div class="bpi-preview-item__warnings">';
+				for (let w = 0; w < blocking.length; w++) {
+					html += '<div class="bpi-compat-warning" role="alert">';
+					html += '<span class="dashicons dashicons-warning bpi-warning-icon" aria-hidden="true"></span>';
+					html += '<span class="bpi-compat-warning__severity">' + this.esc(t.severityBlocking) + '</span>';
+					html += '<span>' + this.esc(blocking[w].message) + '</span>';
+					html += '</div>';
+				}
+				html += '<button type="button" class="bpi-override-compat button button-link" data-index="' + index + '" aria-label="' + this.escAttr(t.overrideCompatLabel.replace('%s', plugin.plugin_name)) + '">';
+				html += this.esc(t.installAnyway);
+				html += '</button>';
+				html += '</div>';
+			}
+
+			// Security scan findings; high-severity findings may block the plugin.
+			const findings = plugin.security_findings || [];
+			if (findings.length) {
+				html += '<div class="bpi-preview-item__security" role="' + (plugin.security_blocked ? 'alert' : 'note') + '">';
+				html += '<div class="bpi-security-heading">';
+				html += '<span class="dashicons dashicons-shield bpi-warning-icon" aria-hidden="true"></span>';
+				html += this.esc(plugin.security_blocked ? t.securityBlocked : t.securityFindings);
+				html += '</div>';
+				html += '<ul class="bpi-security-findings">';
+				for (let f = 0; f < findings.length; f++) {
+					const finding = findings[f];
+					const location = finding.line ? finding.file + ':' + finding.line : finding.file;
+					html += '<li class="bpi-security-finding bpi-security-finding--' + this.escAttr(finding.severity) + '">';
+					html += '<span class="bpi-security-finding__severity">' + this.esc(finding.severity === 'high' ? t.severityHigh : t.severityMedium) + '</span> ';
+					html += '<code>' + this.esc(location) + '</code> ';
+					html += this.esc(finding.message);
+					html += '</li>';
+				}
+				html += '</ul>';
+				html += '</div>';
+			}
+
+			// SHA-256 of the uploaded ZIP; a mismatch with the expected checksum blocks the plugin.
+			if (plugin.sha256) {
+				html += '<div class="bpi-preview-item__checksum"' + (checksumMismatch ? ' role="alert"' : '') + '>';
+				html += this.renderChecksum(plugin);
+				if (checksumMismatch) {
+					html += '<div class="bpi-checksum-blocked">';
+					html += '<span class="dashicons dashicons-warning bpi-warning-icon" aria-hidden="true"></span>';
+					html += this.esc(t.checksumBlocked.replace('%s', plugin.expected_sha256));
+					html += '</div>';
+				}
+				html += '</div>';
+			}
+
+			// Changelog section (collapsible, for updates only).
+			if (isUpdate) {
+				html += '<details class="bpi-changelog-section">';
+				html += '<summary class="bpi-changelog-toggle" aria-label="' + this.escAttr(t.toggleChangelogLabel.replace('%s', plugin.plugin_name)) + '">' + this.esc(t.changelog);
+				if (plugin.changelog && plugin.changelog.highlights) {
+					html += this.renderChangelogHighlights(plugin.changelog.highlights);
+				}
+				html += '</summary>';
+				if (plugin.changelog && plugin.changelog.entries && plugin.changelog.entries.length) {
+					html += '<div class="bpi-changelog-content">';
+					for (let c = 0; c < plugin.changelog.entries.length; c++) {
+						const entry = plugin.changelog.entries[c];
+						const highlights = entry.highlights || [];
+						html += '<div class="bpi-changelog-entry' + (highlights.length ? ' bpi-changelog-entry--highlight' : '') + '">';
+						html += '<strong>' + this.esc(entry.version);
+						if (entry.date) html += ' — ' + this.esc(entry.date);
+						html += '</strong>';
+						html += this.renderChangelogHighlights(highlights);
+						if (entry.blocks && entry.blocks.length) {
+							html += this.renderChangelogBlocks(entry.blocks);
+						} else if (entry.changes && entry.changes.length) {
+							html += '<ul>';
+							for (let ch = 0; ch < entry.changes.length; ch++) {
+								html += '<li>' + this.esc(entry.changes[ch]) + '</li>';
+							}
+							html += '</ul>';
+						}
+						html += '</div>';
+					}
+					html += '</div>';
+				} else {
+					html += '<p class="bpi-changelog-empty">' + this.esc(t.noChangelog) + '</p>';
+				}
+				html += '</details>';
+			}
+
+			// File changes against the installed copy, loaded when first opened.
+			if (isUpdate) {
+				html += '<details class="bpi-diff-section" data-slug="' + this.escAttr(plugin.slug) + '">';
+				html += '<summary class="bpi-diff-toggle" aria-label="' + this.escAttr(t.toggleWhatChangedLabel.replace('%s', plugin.plugin_name)) + '">' + this.esc(t.whatChanged) + '</summary>';
+				html += '<div class="bpi-diff-content" aria-live="polite"></div>';
+				html += '</details>';
+			}
+
+			// Per-site activation (only in Network Admin context).
+			if (bpiAdmin.isNetworkAdmin && bpiAdmin.sites && bpiAdmin.sites.length) {
+				html += '<details class="bpi-activate-sites"' + (activeSites.length && !plugin.network_active ? ' open' : '') + '>';
+				html += '<summary class="bpi-activate-sites__toggle">' + this.esc(t.activateOnSites) + '</summary>';
+				html += '<fieldset class="bpi-activate-sites__list">';
+				html += '<legend class="bpi-sr-only">' + this.esc(t.activateOnSitesLabel.replace('%s', plugin.plugin_name)) + '</legend>';
+				for (let s = 0; s < bpiAdmin.sites.length; s++) {
+					const site = bpiAdmin.sites[s];
+					html += '<label class="bpi-activate-sites__site">';
+					html += '<input type="checkbox" class="bpi-activate-site" value="' + this.escAttr(site.id) + '"';
+					if (activeSites.indexOf(site.id) !== -1) html += ' checked';
+					html += ' /> ' + this.esc(site.name);
+					html += '</label>';
+				}
+				html += '</fieldset>';
+				html += '</details>';
+			}
+
+			html += '</div>'; // .bpi-preview-item__info
+
+			// Network Activate toggle (only in Network Admin context).
+			if (bpiAdmin.isNetworkAdmin) {
+				html += '<div class="bpi-preview-item__network-activate">';
+				html += '<label class="bpi-toggle-label" for="bpi-network-activate-' + index + '">';
+				html += '<input type="checkbox" id="bpi-network-activate-' + index + '" class="bpi-network-activate-toggle" data-index="' + index + '"';
+				html += ' aria-label="' + this.escAttr(t.networkActivateLabel.replace('%s', plugin.plugin_name)) + '"';
+				if (plugin.network_activate) html += ' checked';
+				html += ' />';
+				html += '<span class="bpi-toggle-text">' + this.esc(t.networkActivate) + '</span>';
+				html += '</label>';
+				html += '</div>';
+			}
+
+			// Activate after install toggle.
+			html += '<div class="bpi-preview-item__activate">';
+			html += '<label class="bpi-toggle-label" for="bpi-activate-' + index + '">';
+			html += '<input type="checkbox" id="bpi-activate-' + index + '" class="bpi-activate-toggle" data-index="' + index + '"';
+			html += ' aria-label="' + this.escAttr(t.activateAfterLabel.replace('%s', plugin.plugin_name)) + '"';
+			if (plugin.activate) html += ' checked';
+			html += ' />';
+			html += '<span class="bpi-toggle-text">' + this.esc(t.activate) + '</span>';
+			html += '</label>';
+			html += '</div>';
+
+			html += '</div>'; // .bpi-preview-item
+			return html;
+		},
+
+		/**
+		 * Bind event handlers for the preview screen.
+		 */
+		bindPreviewEvents: function () {
+			const self = this;
+			const t = this.i18n();
+
+			// Clean up any previous preview bindings.
+			$(document).off('.bpiPreview');
+
+			// Back to queue.
+			$(document).on('click.bpiPreview', '#bpi-back-to-queue', function () {
+				self.render();
+				self.bindEvents();
+				self.renderQueue();
+			});
+
+			// Select All.
+			$(document).on('click.bpiPreview', '#bpi-select-all', function () {
+				$('.bpi-preview-checkbox:not(:disabled)').prop('checked', true);
+				self.updatePreviewState();
+				self.announce(t.allSelected);
+			});
+
+			// Deselect All.
+			$(document).on('click.bpiPreview', '#bpi-deselect-all', function () {
+				$('.bpi-preview-checkbox').prop('checked', false);
+				self.updatePreviewState();
+				self.announce(t.allDeselected);
+			});
+
+			// Individual checkbox change.
+			$(document).on('change.bpiPreview', '.bpi-preview-checkbox', function () {
+				self.updatePreviewState();
+			});
+
+			// Choosing a site to activate on turns activation on.
+			$(document).on('change.bpiPreview', '.bpi-activate-site', function () {
+				if ($(this).prop('checked')) {
+					$(this).closest('.bpi-preview-item').find('.bpi-activate-toggle').prop('checked', true);
+				}
+			});
+
+			// Override compatibility warning.
+			$(document).on('click.bpiPreview', '.bpi-override-compat', function () {
+				const idx = $(this).data('index');
+				const $item = $('[data-index="' + idx + '"].bpi-preview-item');
+				$item.removeClass('bpi-preview-item--incompatible');
+				$item.find('.bpi-preview-item__warnings').remove();
+				$item.find('.bpi-preview-checkbox:not(:disabled)').prop('checked', true);
+				self.updatePreviewState();
+				self.announce(t.overrideApplied);
+			});
+
+			// What changed: load the file comparison once.
+			$(document).on('click.bpiPreview', '.bpi-diff-toggle', function () {
+				const $section = $(this).closest('.bpi-diff-section');
+				if (!$section.data('loaded')) {
+					$section.data('loaded', true);
+					self.loadPluginDiff($section);
+				}
+			});
+
+			// Install Selected.
+			$(document).on('click.bpiPreview', '#bpi-install-selected', function () {
+				if (!$(this).prop('disabled')) {
+					self.startProcessing(false);
+				}
+			});
+
+			// Dry Run.
+			$(document).on('click.bpiPreview', '#bpi-dry-run', function () {
+				if (!$(this).prop('disabled')) {
+					self.startProcessing(true);
+				}
+			});
+
+			// Schedule for later.
+			$(document).on('click.bpiPreview', '#bpi-schedule-confirm', function () {
+				if (!$(this).prop('disabled')) {
+					self.scheduleBatch($(this));
+				}
+			});
+		},
+
+		/**
+		 * Load the file comparison for a queued update into its panel.
+		 *
+		 * @param {jQuery} $section The .bpi-diff-section element.
+		 */
+		loadPluginDiff: function ($section) {
+			const self = this;
+			const t = this.i18n();
+			const $content = $section.find('.bpi-diff-content');
+
+			const showError = function (msg) {
+				$content.html('<p class="bpi-diff-error">' + self.esc(msg) + '</p>');
+				$section.removeData('loaded');
+			};
+
+			$content.html('<p class="bpi-diff-loading">' + this.esc(t.loadingDiff) + '</p>');
+
+			apiRequest('GET', 'preview/' + encodeURIComponent($section.attr('data-slug')) + '/diff').done(function (response) {
+				if (response.success && response.data) {
+					$content.html(self.renderPluginDiff(response.data));
+				} else {
+					showError((response.data && response.data.message) ? response.data.message : t.diffFailed);
+				}
+			}).fail(function () {
+				showError(t.diffFailed);
+			});
+		},
+
+		/**
+		 * Render the file comparison of an update.
+		 *
+		 * @param {Object} diff Comparison from the server: added, removed, modified and summary.
+		 * @return {string} HTML string.
+		 */
+		renderPluginDiff: function (diff) {
+			const t = this.i18n();
+			const summary = diff.summary || {};
+
+			if (!summary.added && !summary.removed && !summary.modified) {
+				return '<p class="bpi-diff-empty">' + this.esc(t.noFileChanges) + '</p>';
+			}
+
+			let html = '<p class="bpi-diff-summary">';
+			html += this.esc(t.diffSummary.replace('%1$s', summary.added).replace('%2$s', summary.removed).replace('%3$s', summary.modified));
+			html += ' &middot; ' + this.esc(t.sizeChange.replace('%s', formatSizeDelta(summary.size_delta)));
+			html += '</p>';
+
+			html += '<ul class="bpi-diff-files">';
+			for (let a = 0; a < diff.added.length; a++) {
+				html += '<li class="bpi-diff-file bpi-diff-file--added">';
+				html += this.renderDiffFileLabel(t.fileAdded, diff.added[a].path, diff.added[a].size);
+				html += '</li>';
+			}
+			for (let r = 0; r < diff.removed.length; r++) {
+				html += '<li class="bpi-diff-file bpi-diff-file--removed">';
+				html += this.renderDiffFileLabel(t.fileRemoved, diff.removed[r].path, -diff.removed[r].size);
+				html += '</li>';
+			}
+			for (let m = 0; m < diff.modified.length; m++) {
+				const file = diff.modified[m];
+				const label = this.renderDiffFileLabel(t.fileModified, file.path, file.size_delta);
+				html += '<li class="bpi-diff-file bpi-diff-file--modified">';
+				if (file.diff_status === 'none') {
+					html += label;
+				} else {
+					html += '<details><summary>' + label + '</summary>';
+					html += this.renderTextDiff(file);
+					html += '</details>';
+				}
+				html += '</li>';
+			}
+			html += '</ul>';
+
+			return html;
+		},
+
+		/**
+		 * Render the release-notes highlight badges of a changelog.
+		 *
+		 * @param {string[]} highlights Any of 'security', 'breaking' and 'deprecated'.
+		 * @return {string} HTML string.
+		 */
+		renderChangelogHighlights: function (highlights) {
+			const t = this.i18n();
+			const labels = { security: t.highlightSecurity, breaking: t.highlightBreaking, deprecated: t.highlightDeprecated };
+			let html = '';
+			for (let h = 0; h < highlights.length; h++) {
+				if (labels[highlights[h]]) {
+					html += ' <span class="bpi-changelog-badge bpi-changelog-badge--' + this.escAttr(highlights[h]) + '">' + this.esc(labels[highlights[h]]) + '</span>';
+				}
+			}
+			return html;
+		},
+
+		/**
+		 * Render the structured blocks of a changelog entry.
+		 *
+		 * @param {Object[]} blocks Heading, list and paragraph blocks.
+		 * @return {string} HTML string.
+		 */
+		renderChangelogBlocks: function (blocks) {
+			let html = '';
+			for (let b = 0; b < blocks.length; b++) {
+				const block = blocks[b];
+				if (block.type === 'heading') {
+					html += '<h5 class="bpi-changelog-heading">' + this.renderChangelogInline(block.content) + '</h5>';
+				} else if (block.type === 'list') {
+					html += this.renderChangelogList(block.items);
+				} else if (block.type === 'paragraph') {
+					html += '<p>' + this.renderChangelogInline(block.content) + '</p>';
+				}
+			}
+			return html;
+		},
+
+		/**
+		 * Render changelog list items, recursing into nested lists.
+		 *
+		 * @param {Object[]} items List items with content and children.
+		 * @return {string} HTML string.
+		 */
+		renderChangelogList: function (items) {
+			let html = '<ul>';
+			for (let i = 0; i < items.length; i++) {
+				html += '<li>' + this.renderChangelogInline(items[i].content);
+				if (items[i].children && items[i].children.length) {
+					html += this.renderChangelogList(items[i].children);
+				}
+				html += '</li>';
+			}
+			return html + '</ul>';
+		},
+
+		/**
+		 * Render inline changelog nodes: text, code, bold text and links.
+		 *
+		 * @param {Object[]} nodes Inline nodes.
+		 * @return {string} HTML string.
+		 */
+		renderChangelogInline: function (nodes) {
+			let html = '';
+			for (let n = 0; n < nodes.length; n++) {
+				const node = nodes[n];
+				if (node.type === 'code') {
+					html += '<code>' + this.esc(node.text) + '</code>';
+				} else if (node.type === 'strong') {
+					html += '<strong>' + this.esc(node.text) + '</strong>';
+				} else if (node.type === 'link' && /^https?:\/\//i.test(node.url)) {
+					html += '<a href="' + this.escAttr(node.url) + '" target="_blank" rel="noopener noreferrer">' + this.esc(node.text) + '</a>';
+				} else {
+					html += this.esc(node.text);
+				}
+			}
+			return html;
+		},
+
+		/**
+		 * Render the status badge, path and size change of a changed file.
+		 *
+		 * @param {string} status Translated status label.
+		 * @param {string} path   File path relative to the plugin directory.
+		 * @param {number} delta  Size change in bytes.
+		 * @return {string} HTML string.
+		 */
+		renderDiffFileLabel: function (status, path, delta) {
+			let html = '<span class="bpi-diff-badge">' + this.esc(status) + '</span> ';
+			html += '<code class="bpi-diff-path">' + this.esc(path) + '</code> ';
+			html += '<span class="bpi-diff-size">' + this.esc(formatSizeDelta(delta)) + '</span>';
+			return html;
+		},
+
+		/**
+		 * Render the side-by-side line diff of a modified text file.
+		 *
+		 * @param {Object} file Modified file entry with diff_status and hunks.
+		 * @return {string} HTML string.
+		 */
+		renderTextDiff: function (file) {
+			const t = this.i18n();
+			const notes = { too_large: t.diffTooLarge, limit: t.diffLimit };
+
+			if (notes[file.diff_status]) {
+				return '<p class="bpi-diff-note">' + this.esc(notes[file.diff_status]) + '</p>';
+			}
+			if (!file.hunks.length) {
+				return '<p class="bpi-diff-note">' + this.esc(t.noLineChanges) + '</p>';
+			}
+
+			let html = '<table class="bpi-diff-table">';
+			html += '<thead><tr><th scope="col" colspan="2">' + this.esc(t.installedFile) + '</th><th scope="col" colspan="2">' + this.esc(t.uploadedFile) + '</th></tr></thead>';
+			for (let h = 0; h < file.hunks.length; h++) {
+				html += '<tbody class="bpi-diff-hunk">';
+				for (let r = 0; r < file.hunks[h].rows.length; r++) {
+					const row = file.hunks[h].rows[r];
+					html += '<tr class="bpi-diff-row bpi-diff-row--' + this.escAttr(row.type) + '">';
+					html += '<td class="bpi-diff-line">' + (row.old_line === null ? '' : row.old_line) + '</td>';
+					html += '<td class="bpi-diff-code bpi-diff-code--old">' + (row.old === null ? '' : this.esc(row.old)) + '</td>';
+					html += '<td class="bpi-diff-line">' + (row.new_line === null ? '' : row.new_line) + '</td>';
+					html += '<td class="bpi-diff-code bpi-diff-code--new">' + (row.new === null ? '' : this.esc(row.new)) + '</td>';
+					html += '</tr>';
+				}
+				html += '</tbody>';
+			}
+			html += '</table>';
+
+			if (file.diff_status === 'truncated') {
+				html += '<p class="bpi-diff-note">' + this.esc(t.diffTruncated) + '</p>';
+			}
+
+			return html;
+		},
+
+		/**
+		 * Update the preview state: count checked plugins, toggle Install button.
+		 */
+		updatePreviewState: function () {
+			const t = this.i18n();
+			const checked = $('.bpi-preview-checkbox:checked').length;
+			const total = $('.bpi-preview-checkbox').length;
+			const $installBtn = $('#bpi-install-selected');
+			const $dryRunBtn = $('#bpi-dry-run');
+			const $scheduleBtn = $('#bpi-schedule-confirm');
+			const $count = $('#bpi-preview-count');
+
+			$count.text(t.selectedCount.replace('%1$s', checked).replace('%2$s', total));
+
+			if (checked === 0) {
+				$installBtn.prop('disabled', true).attr('aria-disabled', 'true');
+				$dryRunBtn.prop('disabled', true).attr('aria-disabled', 'true');
+				$scheduleBtn.prop('disabled', true).attr('aria-disabled', 'true');
+			} else {
+				$installBtn.prop('disabled', false).attr('aria-disabled', 'false');
+				$dryRunBtn.prop('disabled', false).attr('aria-disabled', 'false');
+				$scheduleBtn.prop('disabled', false).attr('aria-disabled', 'false');
+			}
+		},
+
+		/**
+		 * Collect the checked plugins and their activate toggles from the preview screen.
+		 *
+		 * @return {Array} Selected plugin entries for the server.
+		 */
+		collectSelectedPlugins: function () {
+			const self = this;
+			const plugins = [];
+
+			$('.bpi-preview-item').each(function () {
+				const $item = $(this);
+				const idx = parseInt($item.data('index'), 10);
+				const $checkbox = $item.find('.bpi-preview-checkbox');
+
+				if (!$checkbox.prop('checked')) return;
+
+				const previewData = self.previewPlugins[idx];
+				if (!previewData) return;
+
+				const activate = $item.find('.bpi-activate-toggle').prop('checked');
+				const networkActivate = bpiAdmin.isNetworkAdmin ? $item.find('.bpi-network-activate-toggle').prop('checked') : false;
+				const activateSites = $item.find('.bpi-activate-site:checked').map(function () {
+					return parseInt($(this).val(), 10);
+				}).get();
+
+				plugins.push({
+					slug: previewData.slug,
+					plugin_name: previewData.plugin_name,
+					plugin_version: previewData.plugin_version,
+					action: previewData.action,
+					action_label: previewData.action_label,
+					installed_version: previewData.installed_version || '',
+					file_path: previewData.file_path || '',
+					plugin_file: previewData.plugin_file || '',
+					requires_plugins: previewData.requires_plugins || [],
+					expected_sha256: previewData.expected_sha256 || '',
+					activate: activate,
+					network_activate: networkActivate,
+					activate_sites: activateSites
+				});
+			});
+
+			return plugins;
+		},
+
+		/**
+		 * Schedule the selected plugins to be processed on WP-Cron.
+		 *
+		 * The scheduled plugins leave the queue, so the upload screen is shown
+		 * again and the batch history lists the new schedule.
+		 *
+		 * @param {jQuery} $btn Schedule button.
+		 */
+		scheduleBatch: function ($btn) {
+			const self = this;
+			const t = this.i18n();
+			const plugins = this.collectSelectedPlugins();
+			const timestamp = fromDateTimeLocal($('#bpi-schedule-at').val());
+
+			if (!plugins.length) return;
+			if (!timestamp) {
+				this.showNotice(t.scheduleTimeRequired, 'error');
+				return;
+			}
+
+			$btn.prop('disabled', true);
+
+			apiRequest('POST', 'schedules', {
+				selected_plugins: plugins,
+				timestamp: timestamp,
+				maintenance_mode: $('#bpi-maintenance-mode').prop('checked')
+			}).done(function (response) {
+				if (response.success && response.data) {
+					const slugs = plugins.map(function (plugin) { return plugin.slug; });
+					self.queue = self.queue.filter(function (item) { return slugs.indexOf(item.slug) === -1; });
+					self.render();
+					self.bindEvents();
+					self.renderQueue();
+					self.showNotice(response.data.message, 'success');
+					BPIBatchHistory.load();
+				} else {
+					$btn.prop('disabled', false);
+					self.showNotice((response.data && response.data.message) ? response.data.message : t.scheduleFailed, 'error');
+				}
+			}).fail(function () {
+				$btn.prop('disabled', false);
+				self.showNotice(t.scheduleFailed, 'error');
+			});
+		},
+
+		/**
+		 * Start processing selected plugins.
+		 *
+		 * Collects checked plugin slugs and activate toggles from the preview
+		 * screen, renders the processing screen, and starts a step-wise batch
+		 * on the server.
+		 *
+		 * @param {boolean} dryRun Whether to perform a dry run.
+		 */
+		startProcessing: function (dryRun) {
+			const self = this;
+			const plugins = this.collectSelectedPlugins();
+
+			if (!plugins.length) return;
+
+			this.currentBatch = null;
+			this.showProcessingScreen(plugins, dryRun);
+
+			apiRequest('POST', 'batches', {
+				selected_plugins: plugins,
+				dry_run: !!dryRun,
+				maintenance_mode: !dryRun && $('#bpi-maintenance-mode').prop('checked')
+			}).done(function (response) {
+				if (response.success && response.data) {
+					self.processNextStep(response.data.batch_id, response.data.plugins || [], dryRun);
+				} else {
+					const msg = (response.data && response.data.message) ? response.data.message : self.i18n().processingFailed;
+					self.showProcessingError(msg);
+				}
+			}).fail(function () {
+				self.showProcessingError(self.i18n().networkErrorProcessing);
+			});
+		},
+
+		/**
+		 * Process the next pending plugin of a step-wise batch.
+		 *
+		 * Sends one `bpi_process_step` request, polls the batch status while
+		 * it runs so the current stage and elapsed time stay accurate, then
+		 * recurses until the server reports the batch as done.
+		 *
+		 * @param {string}  batchId Batch ID from the server.
+		 * @param {Array}   plugins Plugin progress entries, in processing order.
+		 * @param {boolean} dryRun  Whether this is a dry run.
+		 */
+		processNextStep: function (batchId, plugins, dryRun) {
+			const self = this;
+			const t = this.i18n();
+
+			this.currentBatch = { batchId: batchId, plugins: plugins, dryRun: dryRun };
+
+			const running = plugins.filter(function (p) { return p.status === 'installing'; })[0];
+			const next = plugins.filter(function (p) { return p.status === 'pending'; })[0];
+			if (next && !running) {
+				next.status = 'installing';
+				self.updatePluginStatus(next.slug, 'installing');
+				self.announce(t.installingPlugin.replace('%s', next.plugin_name));
+			}
+
+			self.startStatusPolling(batchId);
+
+			apiRequest('POST', 'batches/' + encodeURIComponent(batchId) + '/step').done(function (response) {
+				self.stopStatusPolling();
+
+				if (!response.success || !response.data) {
+					const msg = (response.data && response.data.message) ? response.data.message : t.processingFailed;
+					self.showProcessingError(msg);
+					return;
+				}
+
+				const data = response.data;
+
+				// A previous request may still be working on a plugin; wait for it.
+				if (data.busy) {
+					$('#bpi-processing-status').text(t.waitingForPrevious);
+					self.startStatusPolling(batchId);
+					setTimeout(function () {
+						self.processNextStep(batchId, plugins, dryRun);
+					}, self.statusPollInterval * 3);
+					return;
+				}
+
+				const finished = [data.interrupted, data.result];
+				for (let f = 0; f < finished.length; f++) {
+					const res = finished[f];
+					if (!res) continue;
+					for (let i = 0; i < plugins.length; i++) {
+						if (plugins[i].slug === res.slug && (plugins[i].status === 'pending' || plugins[i].status === 'installing')) {
+							plugins[i].status = res.status;
+							break;
+						}
+					}
+					self.updatePluginStatus(res.slug, res.status, res.messages, res === data.result ? data.elapsed : undefined);
+				}
+
+				if (data.done) {
+					self.currentBatch = null;
+					bpiAdmin.inflightBatch = null;
+					// Show results screen after a brief delay.
+					setTimeout(function () {
+						self.showResultsScreen(data.results || [], data.summary || {}, batchId, dryRun);
+					}, 600);
+					return;
+				}
+
+				self.processNextStep(batchId, plugins, dryRun);
+			}).fail(function () {
+				self.stopStatusPolling();
+				self.showProcessingError(t.networkErrorProcessing);
+			});
+		},
+
+		/**
+		 * Start polling the batch status endpoint.
+		 *
+		 * Each response refreshes the stage and elapsed time of the plugin
+		 * the server is currently working on.
+		 *
+		 * @param {string} batchId Batch ID from the server.
+		 */
+		startStatusPolling: function (batchId) {
+			const self = this;
+			this.stopStatusPolling();
+
+			const poll = function () {
+				apiRequest('GET', 'batches/' + encodeURIComponent(batchId)).done(function (response) {
+					if (!self._statusTimer || !response.success || !response.data) return;
+					const items = response.data.plugins || [];
+					for (let i = 0; i < items.length; i++) {
+						if (items[i].status === 'installing') {
+							self.updatePluginStatus(items[i].slug, 'installing', null, items[i].elapsed, items[i].stage);
+						}
+					}
+				}).always(function () {
+					if (self._statusTimer) {
+						self._statusTimer = setTimeout(poll, self.statusPollInterval);
+					}
+				});
+			};
+
+			this._statusTimer = setTimeout(poll, this.statusPollInterval);
+		},
+
+		/**
+		 * Stop polling the batch status endpoint.
+		 */
+		stopStatusPolling: function () {
+			if (this._statusTimer) {
+				clearTimeout(this._statusTimer);
+			}
+			this._statusTimer = null;
+		},
+
+		/**
+		 * Render the processing screen with plugin status list.
+		 *
+		 * @param {Array}   plugins Array of plugin objects being processed.
+		 * @param {boolean} dryRun  Whether this is a dry run.
+		 */
+		showProcessingScreen: function (plugins, dryRun) {
+			const t = this.i18n();
+			let html = '';
+
+			// ARIA live region for status announcements.
+			html += '<div id="bpi-live-region" class="bpi-sr-only" aria-live="polite" aria-atomic="true"></div>';
+
+			// Header.
+			html += '<div class="bpi-processing-header">';
+			html += '<span class="bpi-processing-spinner dashicons dashicons-update bpi-spin" aria-hidden="true"></span>';
+			html += '<h2>' + this.esc(dryRun ? t.dryRunInProgress : t.installingPlugins) + '</h2>';
+			html += '</div>';
+
+			// Plugin status list.
+			html += '<div id="bpi-processing-list" class="bpi-processing-list" role="list" aria-label="' + this.escAttr(t.processingStatusLabel) + '">';
+			for (let i = 0; i < plugins.length; i++) {
+				const p = plugins[i];
+				html += '<div class="bpi-processing-item bpi-processing-item--pending" role="listitem" data-slug="' + this.escAttr(p.slug) + '">';
+				html += '<span class="bpi-processing-item__icon dashicons dashicons-clock" aria-hidden="true"></span>';
+				html += '<div class="bpi-processing-item__info">';
+				html += '<strong>' + this.esc(p.plugin_name) + '</strong>';
+				html += ' <span class="bpi-version-badge">' + this.esc(p.plugin_version) + '</span>';
+				html += ' <span class="bpi-action-label bpi-action-label--' + this.escAttr(p.action) + '">' + this.esc(p.action_label) + '</span>';
+				html += '</div>';
+				html += '<span class="bpi-processing-item__elapsed"></span>';
+				html += '<span class="bpi-processing-item__status">' + this.esc(t.pending) + '</span>';
+				html += '</div>';
+			}
+			html += '</div>';
+
+			// ARIA status region for real-time updates.
+			html += '<div id="bpi-processing-status" class="bpi-sr-only" aria-live="assertive" aria-atomic="true"></div>';
+
+			this.$app.html(html);
+			this.$liveRegion = $('#bpi-live-region');
+
+			// Focus management: move focus to the processing heading.
+			this.$app.find('.bpi-processing-header h2').attr('tabindex', '-1').trigger('focus');
+		},
+
+		/**
+		 * Update a plugin's status indicator on the processing screen.
+		 *
+		 * @param {string} slug       Plugin slug.
+		 * @param {string} status     New status: 'pending', 'installing', 'success', 'failed', 'incompatible'.
+		 * @param {Array}  [messages] Optional messages array.
+		 * @param {number} [elapsed]  Optional elapsed processing time in seconds.
+		 * @param {string} [stage]    Optional server-reported stage while installing.
+		 */
+		updatePluginStatus: function (slug, status, messages, elapsed, stage) {
+			const t = this.i18n();
+			const $item = $('.bpi-processing-item[data-slug="' + slug + '"]');
+			if (!$item.length) return;
+
+			// Remove previous status classes.
+			$item.removeClass('bpi-processing-item--pending bpi-processing-item--installing bpi-processing-item--success bpi-processing-item--failed bpi-processing-item--incompatible');
+			$item.addClass('bpi-processing-item--' + status);
+
+			// Update icon.
+			const $icon = $item.find('.bpi-processing-item__icon');
+			$icon.removeClass('dashicons-clock dashicons-update dashicons-yes-alt dashicons-dismiss dashicons-warning bpi-spin');
+
+			const iconMap = {
+				pending: 'dashicons-clock',
+				installing: 'dashicons-update bpi-spin',
+				success: 'dashicons-yes-alt',
+				failed: 'dashicons-dismiss',
+				incompatible: 'dashicons-warning'
+			};
+			$icon.addClass(iconMap[status] || 'dashicons-clock');
+
+			// Update status text.
+			const statusLabels = {
+				pending: t.pending,
+				installing: t.installing,
+				success: t.success,
+				failed: t.failed,
+				incompatible: t.incompatible
+			};
+			const stageLabels = {
+				backing_up: t.stageBackingUp,
+				extracting: t.stageExtracting,
+				activating: t.stageActivating,
+				rolling_back: t.stageRollingBack,
+				simulating: t.stageSimulating,
+				checking_health: t.stageCheckingHealth
+			};
+			const label = (status === 'installing' && stage && stageLabels[stage]) ? stageLabels[stage] : (statusLabels[status] || status);
+			const $status = $item.find('.bpi-processing-item__status');
+			const changed = $status.text() !== label;
+			$status.text(label);
+
+			if (typeof elapsed === 'number') {
+				$item.find('.bpi-processing-item__elapsed').text(formatElapsed(elapsed));
+			}
+
+			// Announce to screen readers (only when the label changes, since polling repeats it).
+			if (changed) {
+				const pluginName = $item.find('strong').text();
+				$('#bpi-processing-status').text(pluginName + ': ' + label);
+			}
+		},
+
+		/**
+		 * Show an error message on the processing screen.
+		 *
+		 * When a step-wise batch is in progress, the user can resume it from
+		 * the first unprocessed plugin instead of starting over.
+		 *
+		 * @param {string} message Error message.
+		 */
+		showProcessingError: function (message) {
+			const t = this.i18n();
+			const $header = $('.bpi-processing-header');
+			$header.find('.bpi-processing-spinner').removeClass('bpi-spin').addClass('dashicons-warning');
+			$header.find('h2').text(t.processingError);
+
+			this.$app.find('.bpi-processing-list').after('<div class="bpi-notice bpi-notice--error" role="alert">' + this.esc(message) + '</div>');
+
+			// Offers Resume/Discard when a step-wise batch was interrupted.
+			this.renderBatchActions();
+
+			this.announce(message);
+		},
+
+		/**
+		 * Render the results/summary screen after processing completes.
+		 *
+		 * @param {Array}   results Array of per-plugin result objects.
+		 * @param {Object}  summary Batch summary with counts.
+		 * @param {string}  batchId Batch ID from server.
+		 * @param {boolean} dryRun  Whether this was a dry run.
+		 */
+		showResultsScreen: function (results, summary, batchId, dryRun) {
+			const self = this;
+			const t = this.i18n();
+			let html = '';
+
+			// ARIA live region.
+			html += '<div id="bpi-live-region" class="bpi-sr-only" aria-live="polite" aria-atomic="true"></div>';
+
+			// Header.
+			html += '<div class="bpi-results-header">';
+			if (dryRun) {
+				html += '<span class="dashicons dashicons-visibility bpi-results-header__icon" aria-hidden="true"></span>';
+				html += '<h2>' + this.esc(t.dryRunComplete) + '</h2>';
+			} else {
+				html += '<span class="dashicons dashicons-yes-alt bpi-results-header__icon bpi-results-header__icon--success" aria-hidden="true"></span>';
+				html += '<h2>' + this.esc(t.processingComplete) + '</h2>';
+			}
+			html += '</div>';
+
+			// Dry run notice.
+			if (dryRun) {
+				html += '<div class="bpi-notice bpi-notice--info" role="status">';
+				html += this.esc(t.dryRunNotice);
+				html += '</div>';
+			}
+
+			// Summary cards.
+			html += '<div class="bpi-results-summary" role="status" aria-label="' + this.escAttr(t.batchSummaryLabel) + '">';
+			html += '<div class="bpi-summary-card bpi-summary-card--installed">';
+			html += '<span class="bpi-summary-card__count">' + (summary.installed || 0) + '</span>';
+			html += '<span class="bpi-summary-card__label">' + this.esc(t.installedLabel) + '</span>';
+			html += '</div>';
+			html += '<div class="bpi-summary-card bpi-summary-card--updated">';
+			html += '<span class="bpi-summary-card__count">' + (summary.updated || 0) + '</span>';
+			html += '<span class="bpi-summary-card__label">' + this.esc(t.updatedLabel) + '</span>';
+			html += '</div>';
+			html += '<div class="bpi-summary-card bpi-summary-card--failed">';
+			html += '<span class="bpi-summary-card__count">' + (summary.failed || 0) + '</span>';
+			html += '<span class="bpi-summary-card__label">' + this.esc(t.failedLabel) + '</span>';
+			html += '</div>';
+			html += '</div>';
+
+			// Per-plugin result list.
+			html += '<div class="bpi-results-list" role="list" aria-label="' + this.escAttr(t.perPluginResultsLabel) + '">';
+			for (let i = 0; i < results.length; i++) {
+				const r = results[i];
+				const statusClass = r.status === 'success' ? 'success' : 'failed';
+				const statusIcon = r.status === 'success' ? 'dashicons-yes-alt' : 'dashicons-dismiss';
+				const statusText = r.status === 'success' ? t.success : t.failed;
+
+				html += '<div class="bpi-results-item bpi-results-item--' + statusClass + '" role="listitem">';
+				if (!dryRun && batchId && r.status === 'success' && !r.rolled_back) {
+					html += '<input type="checkbox" class="bpi-results-item__select" value="' + this.escAttr(r.slug) + '" aria-label="' + this.escAttr(t.selectForRollbackLabel.replace('%s', r.plugin_name || r.slug)) + '">';
+				}
+				html += '<span class="bpi-results-item__icon dashicons ' + statusIcon + '" aria-hidden="true"></span>';
+				html += '<div class="bpi-results-item__info">';
+				html += '<strong>' + this.esc(r.plugin_name || r.slug) + '</strong>';
+				html += ' <span class="bpi-results-item__status-text">' + this.esc(statusText) + '</span>';
+				if (r.messages && r.messages.length) {
+					html += '<div class="bpi-results-item__messages">';
+					for (let m = 0; m < r.messages.length; m++) {
+						html += '<p>' + this.esc(r.messages[m]) + '</p>';
+					}
+					html += '</div>';
+				}
+				if (r.rolled_back) {
+					html += '<span class="bpi-results-item__rolled-back">' + this.esc(r.health_check === 'failed' ? t.healthCheckRolledBack : t.rolledBack) + '</span>';
+				}
+				html += '</div>';
+				html += '</div>';
+			}
+			html += '</div>';
+
+			// Action buttons.
+			html += '<div class="bpi-results-actions">';
+
+			// Rollback Entire Batch button (only for non-dry-run with a batch_id).
+			if (!dryRun && batchId) {
+				html += '<button type="button" id="bpi-rollback-batch" class="button button-secondary" data-batch-id="' + this.escAttr(batchId) + '" aria-label="' + this.escAttr(t.rollbackBatchLabel) + '">';
+				html += this.esc(t.rollbackBatch);
+				html += '</button>';
+				html += '<button type="button" id="bpi-rollback-selected" class="button button-secondary" data-batch-id="' + this.escAttr(batchId) + '" aria-label="' + this.escAttr(t.rollbackSelectedLabel) + '" disabled>';
+				html += this.esc(t.rollbackSelected);
+				html += '</button>';
+			}
+
+			// Save as Profile button (only if any successes and not dry run).
+			const hasSuccess = (summary.installed || 0) + (summary.updated || 0) > 0;
+			if (!dryRun && hasSuccess) {
+				html += '<button type="button" id="bpi-save-profile" class="button button-secondary" aria-label="' + this.escAttr(t.saveProfileLabel) + '">';
+				html += this.esc(t.saveAsProfile);
+				html += '</button>';
+			}
+
+			html += '<button type="button" id="bpi-back-to-upload" class="button button-primary" aria-label="' + this.escAttr(t.backToUploadLabel) + '">' + this.esc(t.backToUpload) + '</button>';
+			html += '</div>';
+
+			this.$app.html(html);
+			this.$liveRegion = $('#bpi-live-region');
+
+			// A finished batch can now be rolled back from the history.
+			if (!dryRun) BPIBatchHistory.load();
+
+			// Bind results screen events.
+			$(document).off('.bpiResults').on('click.bpiResults', '#bpi-back-to-upload', function () {
+				self.queue = [];
+				self.render();
+				self.bindEvents();
+			});
+
+			// Rollback batch handler.
+			$(document).on('click.bpiResults', '#bpi-rollback-batch', function () {
+				if (!confirm(t.confirmRollback || 'Are you sure you want to rollback the entire batch? This will revert all installed/updated plugins.')) return;
+				const $btn = $(this);
+				const batchId = $btn.data('batch-id');
+				$btn.prop('disabled', true).text('Rolling back...');
+				apiRequest('POST', 'batches/' + encodeURIComponent(batchId) + '/rollback').done(function (response) {
+					if (response.success) {
+						self.showNotice(response.data.message || 'Rollback complete.', 'success');
+						$btn.text('Rolled Back').prop('disabled', true);
+						BPIBatchHistory.load();
+					} else {
+						self.showNotice((response.data && response.data.message) || 'Rollback failed.', 'error');
+						$btn.prop('disabled', false).text(t.rollbackBatch);
+					}
+				}).fail(function () {
+					self.showNotice('Network error during rollback.', 'error');
+					$btn.prop('disabled', false).text(t.rollbackBatch);
+				});
+			});
+
+			// Selective rollback handlers.
+			$(document).on('change.bpiResults', '.bpi-results-item__select', function () {
+				$('#bpi-rollback-selected').prop('disabled', !$('.bpi-results-item__select:checked').length);
+			});
+
+			$(document).on('click.bpiResults', '#bpi-rollback-selected', function () {
+				const slugs = $('.bpi-results-item__select:checked').map(function () { return this.value; }).get();
+				if (!slugs.length || !confirm(t.confirmRollbackSelected)) return;
+				const $btn = $(this);
+				$btn.prop('disabled', true).text(t.rollingBack);
+				apiRequest('POST', 'batches/' + encodeURIComponent($btn.data('batch-id')) + '/rollback', {
+					slugs: slugs
+				}).done(function (response) {
+					const data = response.data || {};
+					(data.results || []).forEach(function (result) {
+						if (result.status !== 'success') return;
+						const $item = $('.bpi-results-item__select').filter(function () { return this.value === result.slug; }).closest('.bpi-results-item');
+						$item.find('.bpi-results-item__select').remove();
+						$item.find('.bpi-results-item__info').append('<span class="bpi-results-item__rolled-back">' + self.esc(t.rolledBack) + '</span>');
+					});
+					self.showNotice(data.message || t.rollbackRequestFailed, response.success ? 'success' : 'error');
+					$btn.text(t.rollbackSelected).prop('disabled', !$('.bpi-results-item__select:checked').length);
+					BPIBatchHistory.load();
+				}).fail(function () {
+					self.showNotice(t.rollbackRequestFailed, 'error');
+					$btn.prop('disabled', false).text(t.rollbackSelected);
+				});
+			});
+
+			// Save as profile handler.
+			$(document).on('click.bpiResults', '#bpi-save-profile', function () {
+				const profileName = prompt(t.enterProfileName || 'Enter a name for this profile:');
+				if (!profileName || !profileName.trim()) return;
+				const $btn = $(this);
+				$btn.prop('disabled', true);
+				const plugins = [];
 				for (let i = 0; i < results.length; i++) {
 					if (results[i].status === 'success') {
 						plugins.push({
 							slug: results[i].slug,
 							name: results[i].plugin_name || results[i].slug,
-							version: results[i].plugin_version || ''
+							version: results[i].plugin_version || '',
+							activate: !!results[i].activated,
+							sha256: results[i].sha256 || ''
 						});
 					}
 				}
-				$.post(bpiAdmin.ajaxUrl, {
-					action: 'bpi_save_profile',
-					_wpnonce: bpiAdmin.saveProfileNonce,
-					name: profileName.trim(),
-					plugins: plugins
-				}, function (response) {
-					if (response.success) {
-						self.showNotice(response.data.message || 'Profile saved.', 'success');
-						$btn.text('Saved!').prop('disabled', true);
-					} else {
-						self.showNotice((response.data && response.data.message) || 'Failed to save profile.', 'error');
-						$btn.prop('disabled', false);
-					}
-				}).fail(function () {
-					self.showNotice('Network error saving profile.', 'error');
-					$btn.prop('disabled', false);
-				});
+				apiRequest('POST', 'profiles', {
+					name: profileName.trim(),
+					plugins: plugins
+				}).done(function (response) {
+					if (response.success) {
+						self.showNotice(response.data.message || 'Profile saved.', 'success');
+						$btn.text('Saved!').prop('disabled', true);
+					} else {
+						self.showNotice((response.data && response.data.message) || 'Failed to save profile.', 'error');
+						$btn.prop('disabled', false);
+					}
+				}).fail(function () {
+					self.showNotice('Network error saving profile.', 'error');
+					$btn.prop('disabled', false);
+				});
+			});
+
+			// Focus management: move focus to the results heading.
+			this.$app.find('.bpi-results-header h2').attr('tabindex', '-1').trigger('focus');
+
+			// Announce summary to screen readers.
+			let summaryText = t.summaryAnnounce.replace('%1$s', summary.installed || 0).replace('%2$s', summary.updated || 0).replace('%3$s', summary.failed || 0);
+			if (dryRun) {
+				summaryText = t.dryRunCompleteAnnounce + ' ' + summaryText;
+			}
+			this.announce(summaryText);
+		},
+
+		/**
+		 * Handle selected/dropped files.
+		 *
+		 * Filters to .zip only, then uploads each file.
+		 *
+		 * @param {FileList} fileList Files from input or drop.
+		 */
+		handleFiles: function (fileList) {
+			const self = this;
+			const t = this.i18n();
+			let validFiles = [];
+			const rejectedNames = [];
+
+			for (let i = 0; i < fileList.length; i++) {
+				const file = fileList[i];
+				// Checksum files dropped alongside a ZIP hold its expected SHA-256.
+				if (file.name.toLowerCase().endsWith('.sha256')) {
+					self.readChecksumFile(file);
+					continue;
+				}
+				if (!file.name.toLowerCase().endsWith('.zip')) {
+					rejectedNames.push(file.name);
+					continue;
+				}
+				const maxFileSize = bpiAdmin.maxFileSize || 0; // in MB, 0 = no limit
+				if (maxFileSize > 0 && file.size > maxFileSize * 1024 * 1024) {
+					rejectedNames.push(file.name + ' (exceeds ' + maxFileSize + 'MB)');
+					continue;
+				}
+				validFiles.push(file);
+			}
+
+			// Show rejection notices.
+			if (rejectedNames.length) {
+				this.showNotice(
+					t.onlyZipAccepted + ' ' + rejectedNames.join(', '),
+					'warning'
+				);
+			}
+
+			if (!validFiles.length) return;
+
+			// Queue limit validation.
+			const maxPlugins = bpiAdmin.maxPlugins || 100;
+			const currentCount = self.queue.filter(function (q) { return !q._uploading; }).length;
+			if (currentCount + validFiles.length > maxPlugins) {
+				self.showNotice('Queue limit of ' + maxPlugins + ' plugins would be exceeded.', 'warning');
+				validFiles = validFiles.slice(0, Math.max(0, maxPlugins - currentCount));
+				if (!validFiles.length) return;
+			}
+
+			// Add each valid file to the upload pool.
+			for (let j = 0; j < validFiles.length; j++) {
+				self.uploadFile(validFiles[j]);
+			}
+		},
+
+		/**
+		 * Inspect a file and add it to the upload pool.
+		 *
+		 * The ZIP is checked locally first, so broken or unsafe archives are
+		 * rejected before any bytes are sent. The file then waits in the queue
+		 * until a slot is free; at most bpiAdmin.uploadConcurrency uploads run
+		 * at the same time.
+		 *
+		 * @param {File} file The file to upload.
+		 */
+		uploadFile: function (file) {
+			const self = this;
+
+			// Create a temporary queue item for progress display.
+			const tempId = 'temp-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5);
+			const tempItem = {
+				_tempId: tempId,
+				file_name: file.name,
+				file_size: file.size,
+				_uploading: true,
+				_progress: 0,
+				_state: 'inspecting',
+				_file: file,
+				_xhr: null,
+				_chunk: null,
+				_retryTimer: null,
+				_error: '',
+				_warnings: []
+			};
+
+			this.queue.push(tempItem);
+			this.renderQueue();
+
+			ZipInspector.inspect(file).then(function (result) {
+				self.applyInspection(tempId, result);
+			});
+		},
+
+		/**
+		 * Reject an inspected file or release it to the upload pool.
+		 *
+		 * @param {string}      tempId Temporary item ID.
+		 * @param {Object|null} result ZipInspector result, or null if the file could not be inspected.
+		 */
+		applyInspection: function (tempId, result) {
+			const t = this.i18n();
+			const item = this.findUpload(tempId);
+
+			// Cancelled while being inspected.
+			if (!item || item._state !== 'inspecting') return;
+
+			if (result && result.errors.length) {
+				this.queue.splice(this.queue.indexOf(item), 1);
+				this.renderQueue();
+				this.showNotice(
+					t.zipRejected.replace('%1$s', item.file_name).replace('%2$s', t[result.errors[0]]),
+					'error'
+				);
+				return;
+			}
+
+			if (result) {
+				item._warnings = result.warnings.map(function (key) { return t[key]; });
+				if (result.pluginName) {
+					item.plugin_name = result.pluginName;
+				}
+			}
+
+			item._state = 'waiting';
+			this.renderQueue();
+			this.pumpUploads();
+		},
+
+		/**
+		 * Start waiting uploads until the concurrency limit is reached.
+		 */
+		pumpUploads: function () {
+			const limit = Math.max(1, parseInt(bpiAdmin.uploadConcurrency, 10) || 3);
+			let active = this.queue.filter(function (q) { return q._state === 'uploading'; }).length;
+
+			for (let i = 0; i < this.queue.length && active < limit; i++) {
+				if (this.queue[i]._state === 'waiting') {
+					this.startUpload(this.queue[i]);
+					active++;
+				}
+			}
+		},
+
+		/**
+		 * Send a pooled file to the server.
+		 *
+		 * @param {Object} item Temporary queue item.
+		 */
+		startUpload: function (item) {
+			item._state = 'uploading';
+			item._error = '';
+			this.renderQueue();
+
+			if (bpiAdmin.chunkSize && item._file.size > bpiAdmin.chunkSize) {
+				this.uploadFileChunked(item);
+				return;
+			}
+
+			const self = this;
+			const file = item._file;
+			const tempId = item._tempId;
+
+			const formData = new FormData();
+			formData.append('plugin_zip', file);
+
+			const xhr = new XMLHttpRequest();
+			item._xhr = xhr;
+
+			// Track upload progress.
+			xhr.upload.addEventListener('progress', function (e) {
+				if (e.lengthComputable) {
+					const pct = Math.round((e.loaded / e.total) * 100);
+					self.updateItemProgress(tempId, pct);
+				}
+			});
+
+			xhr.addEventListener('load', function () {
+				let response;
+				try {
+					response = parseApiResponse(xhr);
+				} catch (e) {
+					self.replaceTemp(tempId, null, self.i18n().uploadFailedInvalid);
+					return;
+				}
+				self.handleUploadResponse(tempId, file, response);
+			});
+
+			xhr.addEventListener('error', function () {
+				self.replaceTemp(tempId, null, self.i18n().networkErrorUpload);
+			});
+
+			openApiUpload(xhr, 'queue', formData);
+			xhr.send(formData);
+		},
+
+		/**
+		 * Upload a large file in chunks, retrying failed chunks individually.
+		 *
+		 * Chunks are sent one at a time with a shared upload ID; the server
+		 * reassembles them once the last one has arrived. A chunk that fails
+		 * because of a network or server error is resent up to maxChunkRetries
+		 * times without resending the chunks already received. The position is
+		 * kept on the item, so a paused upload resumes from its current chunk.
+		 *
+		 * @param {Object} item Temporary queue item.
+		 */
+		uploadFileChunked: function (item) {
+			const self = this;
+			const file = item._file;
+			const tempId = item._tempId;
+			const chunkSize = bpiAdmin.chunkSize;
+			const totalChunks = Math.ceil(file.size / chunkSize);
+
+			if (!item._chunk) {
+				item._chunk = {
+					uploadId: Date.now().toString(36) + '-' + Math.random().toString(36).substr(2, 10),
+					index: 0,
+					sentBytes: 0
+				};
+			}
+			const state = item._chunk;
+
+			function sendChunk(attempt) {
+				const start = state.index * chunkSize;
+				const chunk = file.slice(start, Math.min(start + chunkSize, file.size));
+
+				const formData = new FormData();
+				formData.append('upload_id', state.uploadId);
+				formData.append('chunk_index', state.index);
+				formData.append('total_chunks', totalChunks);
+				formData.append('file_name', file.name);
+				formData.append('file_size', file.size);
+				formData.append('chunk', chunk, file.name + '.part');
+
+				const xhr = new XMLHttpRequest();
+				item._xhr = xhr;
+
+				// Progress reflects the bytes of the whole file, not the chunk.
+				xhr.upload.addEventListener('progress', function (e) {
+					if (e.lengthComputable) {
+						const loaded = state.sentBytes + Math.min(e.loaded, chunk.size);
+						self.updateItemProgress(tempId, Math.min(99, Math.round((loaded / file.size) * 100)));
+					}
+				});
+
+				function retry(fallbackMsg) {
+					if (attempt >= self.maxChunkRetries) {
+						self.replaceTemp(tempId, null, fallbackMsg);
+						return;
+					}
+					$('#bpi-status-' + tempId).text(self.i18n().retryingChunk);
+					item._retryTimer = setTimeout(function () {
+						item._retryTimer = null;
+						if (item._state === 'uploading') {
+							sendChunk(attempt + 1);
+						}
+					}, 1000 * Math.pow(2, attempt));
+				}
+
+				xhr.addEventListener('load', function () {
+					let response;
+					try {
+						response = parseApiResponse(xhr);
+					} catch {
+						retry(self.i18n().uploadFailedInvalid);
+						return;
+					}
+
+					if (response.success && response.data && response.data.complete === false) {
+						state.index++;
+						state.sentBytes += chunk.size;
+						self.updateItemProgress(tempId, Math.round((state.sentBytes / file.size) * 100));
+						sendChunk(0);
+						return;
+					}
+
+					// Server errors may be transient; validation errors are final.
+					if (!response.success && xhr.status >= 500) {
+						retry((response.data && response.data.message) || self.i18n().uploadFailed);
+						return;
+					}
+
+					self.handleUploadResponse(tempId, file, response);
+				});
+
+				xhr.addEventListener('error', function () {
+					retry(self.i18n().networkErrorUpload);
+				});
+
+				openApiUpload(xhr, 'queue/chunks', formData);
+				xhr.send(formData);
+			}
+
+			sendChunk(0);
+		},
+
+		/**
+		 * Find a temporary upload item by its ID.
+		 *
+		 * @param {string} tempId Temporary item ID.
+		 * @return {Object|null} Queue item, or null if not found.
+		 */
+		findUpload: function (tempId) {
+			for (let i = 0; i < this.queue.length; i++) {
+				if (this.queue[i]._tempId === tempId) {
+					return this.queue[i];
+				}
+			}
+			return null;
+		},
+
+		/**
+		 * Stop the request of a pooled upload, if one is running.
+		 *
+		 * @param {Object} item Temporary queue item.
+		 */
+		abortUpload: function (item) {
+			if (item._retryTimer) {
+				clearTimeout(item._retryTimer);
+				item._retryTimer = null;
+			}
+			if (item._xhr) {
+				const xhr = item._xhr;
+				item._xhr = null;
+				xhr.abort();
+			}
+		},
+
+		/**
+		 * Pause a waiting or running upload, freeing its slot in the pool.
+		 *
+		 * Chunked uploads resume from their current chunk; others restart.
+		 *
+		 * @param {string} tempId Temporary item ID.
+		 */
+		pauseUpload: function (tempId) {
+			const item = this.findUpload(tempId);
+			if (!item || (item._state !== 'waiting' && item._state !== 'uploading')) return;
+
+			this.abortUpload(item);
+			item._state = 'paused';
+			if (!item._chunk) {
+				item._progress = 0;
+			}
+			this.renderQueue();
+			this.announce(this.i18n().uploadPausedAnnounce.replace('%s', item.file_name));
+			this.pumpUploads();
+		},
+
+		/**
+		 * Put a paused upload back in line for a slot in the pool.
+		 *
+		 * @param {string} tempId Temporary item ID.
+		 */
+		resumeUpload: function (tempId) {
+			const item = this.findUpload(tempId);
+			if (!item || item._state !== 'paused') return;
+
+			item._state = 'waiting';
+			this.renderQueue();
+			this.pumpUploads();
+		},
+
+		/**
+		 * Upload a failed file again from the start.
+		 *
+		 * @param {string} tempId Temporary item ID.
+		 */
+		retryUpload: function (tempId) {
+			const item = this.findUpload(tempId);
+			if (!item || item._state !== 'error') return;
+
+			item._state = 'waiting';
+			item._error = '';
+			item._chunk = null;
+			item._progress = 0;
+			this.renderQueue();
+			this.pumpUploads();
+		},
+
+		/**
+		 * Cancel an upload, aborting its request, and drop it from the queue.
+		 *
+		 * @param {string} tempId Temporary item ID.
+		 */
+		cancelUpload: function (tempId) {
+			const item = this.findUpload(tempId);
+			if (!item) return;
+
+			this.abortUpload(item);
+			this.queue.splice(this.queue.indexOf(item), 1);
+			this.renderQueue();
+			this.announce(this.i18n().uploadCancelled.replace('%s', item.file_name));
+			this.pumpUploads();
+		},
+
+		/**
+		 * Apply the server response for a completed upload to its queue item.
+		 *
+		 * @param {string} tempId   Temporary queue item ID.
+		 * @param {File}   file     The uploaded file.
+		 * @param {Object} response Parsed JSON response.
+		 */
+		handleUploadResponse: function (tempId, file, response) {
+			const t = this.i18n();
+
+			if (response.success && response.data) {
+				const data = response.data;
+				this.replaceTemp(tempId, {
+					slug: data.slug,
+					file_name: data.file_name || file.name,
+					file_size: data.file_size || file.size,
+					plugin_name: (data.headers && data.headers.plugin_name) || data.file_name || file.name,
+					sha256: data.sha256 || '',
+					checksum_status: 'unverified',
+					_uploading: false,
+					_progress: 100,
+					_status: 'success'
+				});
+				this.announce(t.uploaded.replace('%s', data.file_name || file.name));
+				this.applyPendingChecksums();
+			} else {
+				const msg = (response.data && response.data.message) ? response.data.message : t.uploadFailed;
+				this.replaceTemp(tempId, null, msg);
+			}
+		},
+
+		/**
+		 * Update the progress of a temporary upload item.
+		 *
+		 * @param {string} tempId Temporary item ID.
+		 * @param {number} pct    Progress percentage (0-100).
+		 */
+		updateItemProgress: function (tempId, pct) {
+			for (let i = 0; i < this.queue.length; i++) {
+				if (this.queue[i]._tempId === tempId) {
+					this.queue[i]._progress = pct;
+					break;
+				}
+			}
+			const $bar = $('#bpi-progress-' + tempId + ' .bpi-progress-bar__fill');
+			if ($bar.length) {
+				$bar.css('width', pct + '%');
+				$bar.parent().attr('aria-valuenow', pct);
+			}
+			const $status = $('#bpi-status-' + tempId);
+			if ($status.length) {
+				$status.text(pct + '%');
+			}
+		},
+
+		/**
+		 * Replace a temporary upload item with the server response, or mark it as failed.
+		 *
+		 * @param {string}      tempId   Temporary item ID.
+		 * @param {Object|null} data     Server data on success, null on failure.
+		 * @param {string}      [errMsg] Error message on failure.
+		 */
+		replaceTemp: function (tempId, data, errMsg) {
+			for (let i = 0; i < this.queue.length; i++) {
+				if (this.queue[i]._tempId === tempId) {
+					if (data) {
+						// Check for duplicate slug — replace existing.
+						let existingIdx = -1;
+						for (let j = 0; j < this.queue.length; j++) {
+							if (j !== i && this.queue[j].slug === data.slug) {
+								existingIdx = j;
+								break;
+							}
+						}
+						if (existingIdx >= 0) {
+							this.queue.splice(existingIdx, 1);
+							if (existingIdx < i) i--;
+							this.showNotice(
+								this.i18n().duplicateDetected.replace('%s', data.slug),
+								'info'
+							);
+						}
+						this.queue[i] = data;
+					} else {
+						// Keep the failed item so it can be retried.
+						this.queue[i]._state = 'error';
+						this.queue[i]._error = errMsg || this.i18n().uploadFailed;
+						this.queue[i]._xhr = null;
+						this.announce(this.queue[i]._error);
+					}
+					break;
+				}
+			}
+			this.renderQueue();
+			this.pumpUploads();
+		},
+
+		/**
+		 * Find a queued (fully uploaded) item by slug.
+		 *
+		 * @param {string} slug Plugin slug.
+		 * @return {Object|null} Queue item, or null if not queued.
+		 */
+		findQueued: function (slug) {
+			return this.queue.find(function (item) { return !item._uploading && item.slug === slug; }) || null;
+		},
+
+		/**
+		 * Read a .sha256 file and remember the checksum for its ZIP.
+		 *
+		 * `plugin.zip.sha256` and `plugin.sha256` both belong to `plugin.zip`.
+		 * The checksum is sent to the server as soon as the ZIP is queued.
+		 *
+		 * @param {File} file The checksum file.
+		 */
+		readChecksumFile: function (file) {
+			const self = this;
+			const reader = new FileReader();
+			let zipName = file.name.replace(/\.sha256$/i, '');
+			if (!zipName.toLowerCase().endsWith('.zip')) {
+				zipName += '.zip';
+			}
+
+			reader.onload = function () {
+				self.pendingChecksums[zipName.toLowerCase()] = String(reader.result || '');
+				self.applyPendingChecksums();
+			};
+			reader.readAsText(file);
+		},
+
+		/**
+		 * Send remembered .sha256 checksums for ZIPs that are now queued.
+		 */
+		applyPendingChecksums: function () {
+			const self = this;
+
+			this.queue.forEach(function (item) {
+				const key = (item.file_name || '').toLowerCase();
+				if (item._uploading || !item.slug || !Object.prototype.hasOwnProperty.call(self.pendingChecksums, key)) return;
+
+				self.saveChecksum(item.slug, self.pendingChecksums[key], 'sidecar');
+				delete self.pendingChecksums[key];
+			});
+		},
+
+		/**
+		 * Save the expected checksum of a queued plugin and show the comparison.
+		 *
+		 * @param {string} slug     Plugin slug.
+		 * @param {string} expected Checksum or .sha256 file contents; empty to remove it.
+		 * @param {string} source   'manual' or 'sidecar'.
+		 */
+		saveChecksum: function (slug, expected, source) {
+			const self = this;
+			const t = this.i18n();
+
+			apiRequest('PUT', 'queue/' + encodeURIComponent(slug), {
+				expected_sha256: expected,
+				checksum_source: source
+			}).done(function (response) {
+				if (!response.success || !response.data) {
+					self.showNotice((response.data && response.data.message) || t.checksumSaveFailed, 'error');
+					return;
+				}
+
+				const data = response.data.item;
+				const item = self.findQueued(slug);
+				if (!item) return;
+
+				item.sha256 = data.sha256;
+				item.expected_sha256 = data.expected_sha256;
+				item.checksum_source = data.checksum_source;
+				item.checksum_status = data.checksum_status;
+				item._editingChecksum = false;
+				self.renderQueue();
+
+				const name = item.file_name || slug;
+				if (data.checksum_status === 'mismatch') {
+					self.showNotice(t.checksumMismatchNotice.replace('%s', name), 'error');
+				} else if (data.checksum_status === 'match') {
+					self.announce(t.checksumVerified.replace('%s', name));
+				}
+			}).fail(function () {
+				self.showNotice(t.checksumSaveFailed, 'error');
+			});
+		},
+
+		/**
+		 * Render the SHA-256 of a ZIP with the result of the checksum comparison.
+		 *
+		 * @param {Object} item Queue or preview item with sha256, checksum_status and checksum_source.
+		 * @return {string} HTML string.
+		 */
+		renderChecksum: function (item) {
+			const t = this.i18n();
+			const status = item.checksum_status || 'unverified';
+			const labels = {
+				match: t.checksumMatch,
+				mismatch: t.checksumMismatch,
+				unverified: t.checksumUnverified
+			};
+			const sources = {
+				manual: t.checksumSourceManual,
+				sidecar: t.checksumSourceSidecar,
+				profile: t.checksumSourceProfile,
+				manifest: t.checksumSourceManifest
+			};
+
+			let html = '<span class="bpi-checksum">';
+			html += '<span class="bpi-checksum__label">' + this.esc(t.checksumLabel) + '</span> ';
+			html += '<code class="bpi-checksum__hash" title="' + this.escAttr(item.sha256) + '">' + this.esc(item.sha256.substr(0, 12)) + '&hellip;</code> ';
+			html += '<span class="bpi-checksum-badge bpi-checksum-badge--' + this.escAttr(status) + '"';
+			if (status !== 'unverified' && sources[item.checksum_source]) {
+				html += ' title="' + this.escAttr(sources[item.checksum_source]) + '"';
+			}
+			html += '>' + this.esc(labels[status] || labels.unverified) + '</span>';
+			html += '</span>';
+			return html;
+		},
+
+		/**
+		 * Remove an item from the queue by slug.
+		 *
+		 * Sends AJAX to server and updates local state.
+		 *
+		 * @param {string} slug Plugin slug to remove.
+		 */
+		removeFromQueue: function (slug) {
+			const self = this;
+			const t = this.i18n();
+
+			// Remove locally first for responsiveness.
+			for (let i = 0; i < this.queue.length; i++) {
+				if (this.queue[i].slug === slug) {
+					this.queue.splice(i, 1);
+					break;
+				}
+			}
+			this.renderQueue();
+			this.announce(t.removedFromQueue.replace('%s', slug));
+
+			// Notify server.
+			apiRequest('DELETE', 'queue/' + encodeURIComponent(slug), {
+			});
+		},
+
+		/**
+		 * Render the queue list UI.
+		 */
+		renderQueue: function () {
+			this.renderProfilePicker();
+
+			const $section = $('#bpi-queue-section');
+			const $list = $('#bpi-queue-list');
+			const $summary = $('#bpi-queue-summary');
+			const $continueBtn = $('#bpi-continue-preview');
+
+			// Filter to completed (non-uploading or uploading) items.
+			const completedItems = [];
+			let totalSize = 0;
+
+			for (let i = 0; i < this.queue.length; i++) {
+				const item = this.queue[i];
+				if (!item._uploading || item._tempId) {
+					completedItems.push(item);
+				}
+				if (!item._uploading && item.file_size) {
+					totalSize += item.file_size;
+				}
+			}
+
+			if (!this.queue.length) {
+				$section.hide();
+				$continueBtn.prop('disabled', true).attr('aria-disabled', 'true');
+				return;
+			}
+
+			$section.show();
+
+			// Count only fully uploaded items.
+			let readyCount = 0;
+			for (let k = 0; k < this.queue.length; k++) {
+				if (!this.queue[k]._uploading) readyCount++;
+			}
+
+			$summary.text(this.i18n().queueSummary.replace('%1$s', readyCount).replace('%2$s', formatFileSize(totalSize)));
+
+			// Build list HTML.
+			let html = '';
+			for (let m = 0; m < this.queue.length; m++) {
+				html += this.renderQueueItem(this.queue[m]);
+			}
+			$list.html(html);
+
+			// Enable/disable continue button.
+			if (readyCount > 0) {
+				$continueBtn.prop('disabled', false).attr('aria-disabled', 'false');
+			} else {
+				$continueBtn.prop('disabled', true).attr('aria-disabled', 'true');
+			}
+		},
+
+		/**
+		 * Render a single queue item.
+		 *
+		 * @param {Object} item Queue item data.
+		 * @return {string} HTML string.
+		 */
+		renderQueueItem: function (item) {
+			const t = this.i18n();
+			const itemLabel = this.escAttr(item.file_name || item.slug || 'file');
+			let html = '<li class="bpi-queue-item" aria-label="' + itemLabel + '">';
+			html += '<div class="bpi-queue-item__info">';
+			html += '<div class="bpi-queue-item__name">' + this.esc(item.plugin_name || item.file_name || item.slug || '') + '</div>';
+			html += '<div class="bpi-queue-item__size">' + formatFileSize(item.file_size || 0);
+			if (item.plugin_name && item.file_name && item.plugin_name !== item.file_name) {
+				html += ' &middot; ' + this.esc(item.file_name);
+			}
+			html += '</div>';
+
+			// Checksum of the queued ZIP with a form for the expected checksum.
+			if (!item._uploading && item.sha256) {
+				html += '<div class="bpi-queue-item__checksum">';
+				html += this.renderChecksum(item);
+				if (item._editingChecksum) {
+					const inputId = 'bpi-checksum-' + this.escAttr(item.slug);
+					html += '<div class="bpi-checksum-form">';
+					html += '<label class="bpi-sr-only" for="' + inputId + '">' + this.esc(t.setChecksumLabel.replace('%s', item.file_name || item.slug)) + '</label>';
+					html += '<input type="text" id="' + inputId + '" class="bpi-checksum-input regular-text code" spellcheck="false" autocomplete="off" placeholder="' + this.escAttr(t.checksumPlaceholder) + '" value="' + this.escAttr(item.expected_sha256 || '') + '" />';
+					html += '<button type="button" class="button button-small bpi-checksum-save" data-slug="' + this.escAttr(item.slug) + '">' + this.esc(t.verifyChecksum) + '</button>';
+					html += '<button type="button" class="button-link bpi-checksum-cancel" data-slug="' + this.escAttr(item.slug) + '">' + this.esc(t.cancelUpload) + '</button>';
+					html += '</div>';
+				} else {
+					html += ' <button type="button" class="button-link bpi-checksum-edit" data-slug="' + this.escAttr(item.slug) + '" aria-label="' + this.escAttr(t.setChecksumLabel.replace('%s', item.file_name || item.slug)) + '">' + this.esc(t.setChecksum) + '</button>';
+				}
+				html += '</div>';
+			}
+
+			// Inspection warnings, e.g. no plugin header in the main folder.
+			if (item._warnings && item._warnings.length) {
+				for (let w = 0; w < item._warnings.length; w++) {
+					html += '<div class="bpi-queue-item__warning">' + this.esc(item._warnings[w]) + '</div>';
+				}
+			}
+
+			// Progress bar for uploading items, or the error of a failed upload.
+			if (item._state === 'error') {
+				html += '<div class="bpi-queue-item__error">' + this.esc(item._error) + '</div>';
+			} else if (item._uploading && item._tempId) {
+				html += '<div class="bpi-progress-bar" id="bpi-progress-' + this.esc(item._tempId) + '" role="progressbar" aria-valuenow="' + (item._progress || 0) + '" aria-valuemin="0" aria-valuemax="100" aria-label="' + this.escAttr(t.uploadProgressLabel.replace('%s', item.file_name || '')) + '">';
+				html += '<div class="bpi-progress-bar__fill" style="width:' + (item._progress || 0) + '%;"></div>';
+				html += '</div>';
+			}
+
+			html += '</div>';
+
+			// Status.
+			if (item._uploading && item._tempId) {
+				html += this.renderUploadControls(item);
+			} else if (item._status === 'success') {
+				html += '<span class="bpi-queue-item__status bpi-status--success">&#10003; ' + this.esc(t.uploadedStatus) + '</span>';
+			} else if (item._status === 'restored') {
+				html += '<span class="bpi-queue-item__status bpi-status--success">&#10003; ' + this.esc(t.restoredStatus) + '</span>';
+			}
+
+			// Remove button (only for completed uploads).
+			if (!item._uploading && item.slug) {
+				html += '<button type="button" class="bpi-queue-item__remove" data-slug="' + this.escAttr(item.slug) + '" aria-label="' + this.escAttr(t.removeFromQueueLabel.replace('%s', item.file_name || item.slug)) + '">' + this.esc(t.remove) + '</button>';
+			}
+
+			html += '</li>';
+			return html;
+		},
+
+		/**
+		 * Render the status and Pause/Resume/Retry/Cancel buttons of a pooled upload.
+		 *
+		 * @param {Object} item Temporary queue item.
+		 * @return {string} HTML string.
+		 */
+		renderUploadControls: function (item) {
+			const t = this.i18n();
+			const name = item.file_name || '';
+			let statusClass = 'bpi-status--uploading';
+			let statusText = (item._progress || 0) + '%';
+			let primary = 'pause';
+
+			if (item._state === 'inspecting') {
+				statusText = t.inspectingZip;
+				primary = '';
+			} else if (item._state === 'waiting') {
+				statusText = t.uploadWaiting;
+			} else if (item._state === 'paused') {
+				statusClass = 'bpi-status--paused';
+				statusText = t.uploadPaused;
+				primary = 'resume';
+			} else if (item._state === 'error') {
+				statusClass = 'bpi-status--error';
+				statusText = t.uploadFailedStatus;
+				primary = 'retry';
+			}
+
+			const labels = {
+				pause: [t.pauseUpload, t.pauseUploadLabel],
+				resume: [t.resumeUpload, t.resumeUploadLabel],
+				retry: [t.retryUpload, t.retryUploadLabel]
+			};
+			const cancel = item._state === 'error' ? [t.remove, t.removeFromQueueLabel] : [t.cancelUpload, t.cancelUploadLabel];
+
+			let html = '<span id="bpi-status-' + this.esc(item._tempId) + '" class="bpi-queue-item__status ' + statusClass + '">' + this.esc(statusText) + '</span>';
+			if (primary) {
+				html += '<button type="button" class="bpi-queue-item__action" data-upload-action="' + primary + '" data-temp-id="' + this.escAttr(item._tempId) + '" aria-label="' + this.escAttr(labels[primary][1].replace('%s', name)) + '">' + this.esc(labels[primary][0]) + '</button>';
+			}
+			html += '<button type="button" class="bpi-queue-item__action bpi-queue-item__action--cancel" data-upload-action="cancel" data-temp-id="' + this.escAttr(item._tempId) + '" aria-label="' + this.escAttr(cancel[1].replace('%s', name)) + '">' + this.esc(cancel[0]) + '</button>';
+			return html;
+		},
+
+		/**
+		 * Show a notice message.
+		 *
+		 * @param {string} message Notice text.
+		 * @param {string} type    Notice type: 'error', 'warning', 'info'.
+		 */
+		showNotice: function (message, type) {
+			const $notices = $('#bpi-notices');
+			const $notice = $('<div class="bpi-notice bpi-notice--' + type + '" role="alert">' + this.esc(message) + '</div>');
+			$notices.append($notice);
+
+			if (type === 'error') {
+				const $dismiss = $('<button type="button" class="bpi-notice-dismiss" aria-label="Dismiss">&times;</button>');
+				$notice.append($dismiss);
+				$dismiss.on('click', function () { $notice.fadeOut(300, function () { $(this).remove(); }); });
+			} else {
+				setTimeout(function () {
+					$notice.fadeOut(300, function () {
+						$(this).remove();
+					});
+				}, 8000);
+			}
+		},
+
+		/**
+		 * Announce a message to screen readers via ARIA live region.
+		 *
+		 * @param {string} message Message to announce.
+		 */
+		announce: function (message) {
+			if (this.$liveRegion) {
+				this.$liveRegion.text(message);
+			}
+		},
+
+		/**
+		 * Get the i18n strings from the localized data.
+		 *
+		 * @return {Object} Localized strings object.
+		 */
+		i18n: function () {
+			return (bpiAdmin && bpiAdmin.i18n) ? bpiAdmin.i18n : {};
+		},
+
+		/**
+		 * Escape HTML entities for safe insertion.
+		 *
+		 * @param {string} str Input string.
+		 * @return {string} Escaped string.
+		 */
+		esc: function (str) {
+			if (!this._escDiv) this._escDiv = document.createElement('div');
+			this._escDiv.textContent = str;
+			return this._escDiv.innerHTML;
+		},
+
+		/**
+		 * Escape a string for use in an HTML attribute.
+		 *
+		 * @param {string} str Input string.
+		 * @return {string} Escaped string.
+		 */
+		escAttr: function (str) {
+			return this.esc(str).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+		}
+	};
+
+	/**
+	 * Profile manager on the Settings page.
+	 *
+	 * Lists saved profiles and lets users download, import, rename, edit and
+	 * delete them. Escaping and strings are shared with BPIUpload.
+	 */
+	const BPIProfiles = {
+		/** @type {jQuery|null} Container element. */
+		$root: null,
+
+		/** @type {Array} Saved profiles from the server. */
+		profiles: [],
+
+		/** @type {Object|null} Copy of the profile being edited ({id, name, plugins}). */
+		editing: null,
+
+		/** @type {string} Status message shown above the table, kept across re-renders. */
+		message: '',
+
+		/**
+		 * Initialize the profile manager.
+		 */
+		init: function () {
+			this.$root = $('#bpi-profile-manager');
+			if (!this.$root.length) return;
+
+			this.bindEvents();
+			this.load();
+		},
+
+		/**
+		 * Load the saved profiles and render them.
+		 */
+		load: function () {
+			const self = this;
+
+			apiRequest('GET', 'profiles').done(function (response) {
+				if (response.success && response.data) {
+					self.profiles = response.data.profiles || [];
+					self.render();
+				}
 			});
+		},
+
+		/**
+		 * Find a loaded profile by ID.
+		 *
+		 * @param {number} id Profile ID.
+		 * @return {Object|null} Profile data.
+		 */
+		findProfile: function (id) {
+			return this.profiles.find(function (profile) { return profile.id === id; }) || null;
+		},
+
+		/**
+		 * Render the profile table, the editor and the import form.
+		 */
+		render: function () {
+			const self = this;
+			const t = BPIUpload.i18n();
+			let html = '<h3>' + BPIUpload.esc(t.profilesHeading) + '</h3>';
+
+			html += '<p id="bpi-profile-message" class="bpi-profile-message" role="status" aria-live="polite">' + BPIUpload.esc(this.message) + '</p>';
+
+			if (!this.profiles.length) {
+				html += '<p>' + BPIUpload.esc(t.noProfiles) + '</p>';
+			} else {
+				html += '<table class="widefat striped bpi-profile-table">';
+				html += '<thead><tr>';
+				html += '<th scope="col">' + BPIUpload.esc(t.profileName) + '</th>';
+				html += '<th scope="col">' + BPIUpload.esc(t.profileCreated) + '</th>';
+				html += '<th scope="col">' + BPIUpload.esc(t.profilePlugins) + '</th>';
+				html += '<th scope="col">' + BPIUpload.esc(t.profileActions) + '</th>';
+				html += '</tr></thead><tbody>';
+				this.profiles.forEach(function (profile) {
+					const id = BPIUpload.escAttr(profile.id);
+					html += '<tr>';
+					html += '<td>' + BPIUpload.esc(profile.name) + '</td>';
+					html += '<td>' + BPIUpload.esc(profile.created_at || '') + '</td>';
+					html += '<td>' + BPIUpload.esc(String((profile.plugins || []).length)) + '</td>';
+					html += '<td class="bpi-profile-table__actions">';
+					html += '<button type="button" class="button bpi-profile-edit" data-profile-id="' + id + '" aria-label="' + BPIUpload.escAttr(t.editProfileLabel.replace('%s', profile.name)) + '">' + BPIUpload.esc(t.editProfile) + '</button>';
+					html += '<button type="button" class="button bpi-profile-download" data-profile-id="' + id + '" aria-label="' + BPIUpload.escAttr(t.downloadProfileLabel.replace('%s', profile.name)) + '">' + BPIUpload.esc(t.downloadProfile) + '</button>';
+					html += '<button type="button" class="button bpi-profile-download" data-profile-id="' + id + '" data-format="manifest" aria-label="' + BPIUpload.escAttr(t.downloadManifestLabel.replace('%s', profile.name)) + '">' + BPIUpload.esc(t.downloadManifest) + '</button>';
+					html += '<button type="button" class="button button-link-delete bpi-profile-delete" data-profile-id="' + id + '" aria-label="' + BPIUpload.escAttr(t.deleteProfileLabel.replace('%s', profile.name)) + '">' + BPIUpload.esc(t.deleteProfile) + '</button>';
+					html += '</td>';
+					html += '</tr>';
+				});
+				html += '</tbody></table>';
+			}
 
-			// Focus management: move focus to the results heading.
-			this.$app.find('.bpi-results-header h2').attr('tabindex', '-1').trigger('focus');
+			html += '<div id="bpi-profile-editor"></div>';
+
+			// Import by file or paste.
+			html += '<details class="bpi-profile-import">';
+			html += '<summary class="bpi-profile-import__toggle">' + BPIUpload.esc(t.importProfile) + '</summary>';
+			html += '<p class="description">' + BPIUpload.esc(t.importProfileHelp) + '</p>';
+			html += '<p><label for="bpi-profile-import-file">' + BPIUpload.esc(t.importProfileFile) + '</label> ';
+			html += '<input type="file" id="bpi-profile-import-file" accept=".json,application/json" /></p>';
+			html += '<p><label for="bpi-profile-import-json">' + BPIUpload.esc(t.importProfileJson) + '</label>';
+			html += '<textarea id="bpi-profile-import-json" class="large-text code" rows="6"></textarea></p>';
+			html += '<div id="bpi-profile-import-errors" class="bpi-profile-errors" role="alert"></div>';
+			html += '<p><button type="button" id="bpi-profile-import" class="button button-secondary">' + BPIUpload.esc(t.importProfileBtn) + '</button></p>';
+			html += '</details>';
+
+			this.$root.html(html);
+			self.renderEditor();
+		},
 
-			// Announce summary to screen readers.
-			let summaryText = t.summaryAnnounce.replace('%1$s', summary.installed || 0).replace('%2$s', summary.updated || 0).replace('%3$s', summary.failed || 0);
-			if (dryRun) {
-				summaryText = t.dryRunCompleteAnnounce + ' ' + summaryText;
+		/**
+		 * Render the editor for the profile being edited.
+		 */
+		renderEditor: function () {
+			const t = BPIUpload.i18n();
+			const $editor = $('#bpi-profile-editor');
+			const profile = this.editing;
+
+			if (!profile) {
+				$editor.empty();
+				return;
 			}
-			this.announce(summaryText);
+
+			let html = '<div class="bpi-profile-editor" role="region" aria-label="' + BPIUpload.escAttr(t.editProfileLabel.replace('%s', profile.name)) + '">';
+			html += '<h4>' + BPIUpload.esc(t.editProfileHeading) + '</h4>';
+			html += '<p><label for="bpi-profile-name">' + BPIUpload.esc(t.profileName) + '</label> ';
+			html += '<input type="text" id="bpi-profile-name" class="regular-text" value="' + BPIUpload.escAttr(profile.name) + '" /></p>';
+
+			html += '<table class="widefat bpi-profile-entries">';
+			html += '<thead><tr>';
+			html += '<th scope="col">' + BPIUpload.esc(t.pluginSlug) + '</th>';
+			html += '<th scope="col">' + BPIUpload.esc(t.profileName) + '</th>';
+			html += '<th scope="col">' + BPIUpload.esc(t.pinnedVersion) + '</th>';
+			html += '<th scope="col">' + BPIUpload.esc(t.activate) + '</th>';
+			html += '<th scope="col">' + BPIUpload.esc(t.checksumLabel) + '</th>';
+			html += '<th scope="col"><span class="bpi-sr-only">' + BPIUpload.esc(t.profileActions) + '</span></th>';
+			html += '</tr></thead><tbody>';
+
+			profile.plugins.forEach(function (plugin, index) {
+				const label = plugin.slug || String(index + 1);
+				const last = index === profile.plugins.length - 1;
+				html += '<tr class="bpi-profile-entry" data-index="' + index + '">';
+				html += '<td><input type="text" class="bpi-profile-entry__slug" value="' + BPIUpload.escAttr(plugin.slug) + '" aria-label="' + BPIUpload.escAttr(t.pluginSlugLabel.replace('%s', index + 1)) + '" /></td>';
+				html += '<td><input type="text" class="bpi-profile-entry__name" value="' + BPIUpload.escAttr(plugin.name) + '" aria-label="' + BPIUpload.escAttr(t.pluginNameLabel.replace('%s', index + 1)) + '" /></td>';
+				html += '<td><input type="text" class="bpi-profile-entry__version small-text" value="' + BPIUpload.escAttr(plugin.version) + '" placeholder="' + BPIUpload.escAttr(t.anyVersion) + '" aria-label="' + BPIUpload.escAttr(t.pinnedVersionLabel.replace('%s', label)) + '" /></td>';
+				html += '<td><input type="checkbox" class="bpi-profile-entry__activate"' + (plugin.activate ? ' checked' : '') + ' aria-label="' + BPIUpload.escAttr(t.activateAfterLabel.replace('%s', label)) + '" /></td>';
+				html += '<td><input type="text" class="bpi-profile-entry__sha256 code" spellcheck="false" value="' + BPIUpload.escAttr(plugin.sha256 || '') + '" placeholder="' + BPIUpload.escAttr(t.checksumOptional) + '" aria-label="' + BPIUpload.escAttr(t.checksumEntryLabel.replace('%s', label)) + '" /></td>';
+				html += '<td class="bpi-profile-entry__actions">';
+				html += '<button type="button" class="button-link bpi-profile-entry__action bpi-profile-entry__move" data-index="' + index + '" data-offset="-1"' + (index === 0 ? ' disabled' : '') + ' aria-label="' + BPIUpload.escAttr(t.moveUpLabel.replace('%s', label)) + '"><span class="dashicons dashicons-arrow-up-alt2" aria-hidden="true"></span></button>';
+				html += '<button type="button" class="button-link bpi-profile-entry__action bpi-profile-entry__move" data-index="' + index + '" data-offset="1"' + (last ? ' disabled' : '') + ' aria-label="' + BPIUpload.escAttr(t.moveDownLabel.replace('%s', label)) + '"><span class="dashicons dashicons-arrow-down-alt2" aria-hidden="true"></span></button>';
+				html += '<button type="button" class="button-link button-link-delete bpi-profile-entry__action bpi-profile-entry__remove" data-index="' + index + '" aria-label="' + BPIUpload.escAttr(t.removeEntryLabel.replace('%s', label)) + '">' + BPIUpload.esc(t.remove) + '</button>';
+				html += '</td>';
+				html += '</tr>';
+			});
+
+			html += '</tbody></table>';
+			html += '<p><button type="button" id="bpi-profile-add-entry" class="button button-secondary">' + BPIUpload.esc(t.addProfileEntry) + '</button></p>';
+			html += '<div id="bpi-profile-editor-errors" class="bpi-profile-errors" role="alert"></div>';
+			html += '<p class="bpi-profile-editor__actions">';
+			html += '<button type="button" id="bpi-profile-save" class="button button-primary">' + BPIUpload.esc(t.saveProfile) + '</button> ';
+			html += '<button type="button" id="bpi-profile-cancel" class="button button-secondary">' + BPIUpload.esc(t.cancelUpload) + '</button>';
+			html += '</p>';
+			html += '</div>';
+
+			$editor.html(html);
 		},
 
 		/**
-		 * Handle selected/dropped files.
-		 *
-		 * Filters to .zip only, then uploads each file.
-		 *
-		 * @param {FileList} fileList Files from input or drop.
+		 * Copy the editor fields into the profile being edited.
 		 */
-		handleFiles: function (fileList) {
+		readEditor: function () {
+			if (!this.editing) return;
+
+			this.editing.name = $.trim($('#bpi-profile-name').val() || '');
+			this.editing.plugins = $('.bpi-profile-entry').map(function () {
+				const $row = $(this);
+				return {
+					slug: $.trim($row.find('.bpi-profile-entry__slug').val()),
+					name: $.trim($row.find('.bpi-profile-entry__name').val()),
+					version: $.trim($row.find('.bpi-profile-entry__version').val()),
+					activate: $row.find('.bpi-profile-entry__activate').prop('checked'),
+					sha256: $.trim($row.find('.bpi-profile-entry__sha256').val())
+				};
+			}).get();
+		},
+
+		/**
+		 * Bind delegated event handlers on the container.
+		 */
+		bindEvents: function () {
 			const self = this;
-			const t = this.i18n();
-			let validFiles = [];
-			const rejectedNames = [];
+			const t = BPIUpload.i18n();
+
+			this.$root.on('click', '.bpi-profile-edit', function () {
+				const profile = self.findProfile(parseInt($(this).data('profile-id'), 10));
+				if (!profile) return;
+
+				self.editing = {
+					id: profile.id,
+					name: profile.name,
+					plugins: (profile.plugins || []).map(function (plugin) {
+						return {
+							slug: plugin.slug || '',
+							name: plugin.name || '',
+							version: plugin.version || '',
+							activate: !!plugin.activate
+						};
+					})
+				};
+				self.renderEditor();
+				$('#bpi-profile-name').trigger('focus');
+			});
 
-			for (let i = 0; i < fileList.length; i++) {
-				const file = fileList[i];
-				if (!file.name.toLowerCase().endsWith('.zip')) {
-					rejectedNames.push(file.name);
-					continue;
-				}
-				const maxFileSize = bpiAdmin.maxFileSize || 0; // in MB, 0 = no limit
-				if (maxFileSize > 0 && file.size > maxFileSize * 1024 * 1024) {
-					rejectedNames.push(file.name + ' (exceeds ' + maxFileSize + 'MB)');
-					continue;
-				}
-				validFiles.push(file);
-			}
+			this.$root.on('click', '.bpi-profile-download', function () {
+				self.download(parseInt($(this).data('profile-id'), 10), $(this).data('format') || 'profile');
+			});
 
-			// Show rejection notices.
-			if (rejectedNames.length) {
-				this.showNotice(
-					t.onlyZipAccepted + ' ' + rejectedNames.join(', '),
-					'warning'
-				);
-			}
+			this.$root.on('click', '.bpi-profile-delete', function () {
+				const profile = self.findProfile(parseInt($(this).data('profile-id'), 10));
+				if (!profile || !confirm(t.confirmDeleteProfile.replace('%s', profile.name))) return;
+				self.remove(profile.id);
+			});
 
-			if (!validFiles.length) return;
+			this.$root.on('click', '.bpi-profile-entry__move', function () {
+				const index = parseInt($(this).data('index'), 10);
+				const target = index + parseInt($(this).data('offset'), 10);
+				self.readEditor();
+				const plugins = self.editing.plugins;
+				if (target < 0 || target >= plugins.length) return;
+				plugins.splice(target, 0, plugins.splice(index, 1)[0]);
+				self.renderEditor();
+				$('.bpi-profile-entry[data-index="' + target + '"] .bpi-profile-entry__slug').trigger('focus');
+			});
 
-			// Queue limit validation.
-			const maxPlugins = bpiAdmin.maxPlugins || 100;
-			const currentCount = self.queue.filter(function (q) { return !q._uploading; }).length;
-			if (currentCount + validFiles.length > maxPlugins) {
-				self.showNotice('Queue limit of ' + maxPlugins + ' plugins would be exceeded.', 'warning');
-				validFiles = validFiles.slice(0, Math.max(0, maxPlugins - currentCount));
-				if (!validFiles.length) return;
-			}
+			this.$root.on('click', '.bpi-profile-entry__remove', function () {
+				self.readEditor();
+				self.editing.plugins.splice(parseInt($(this).data('index'), 10), 1);
+				self.renderEditor();
+				$('#bpi-profile-add-entry').trigger('focus');
+			});
 
-			// Upload each valid file.
-			for (let j = 0; j < validFiles.length; j++) {
-				self.uploadFile(validFiles[j]);
-			}
+			this.$root.on('click', '#bpi-profile-add-entry', function () {
+				self.readEditor();
+				self.editing.plugins.push({ slug: '', name: '', version: '', activate: false });
+				self.renderEditor();
+				$('.bpi-profile-entry').last().find('.bpi-profile-entry__slug').trigger('focus');
+			});
+
+			this.$root.on('click', '#bpi-profile-cancel', function () {
+				self.editing = null;
+				self.renderEditor();
+			});
+
+			this.$root.on('click', '#bpi-profile-save', function () {
+				self.save();
+			});
+
+			// Load a chosen JSON file into the paste field.
+			this.$root.on('change', '#bpi-profile-import-file', function () {
+				const file = this.files && this.files[0];
+				if (!file) return;
+				file.text().then(function (text) {
+					$('#bpi-profile-import-json').val(text);
+					self.showErrors('#bpi-profile-import-errors', []);
+				});
+			});
+
+			this.$root.on('click', '#bpi-profile-import', function () {
+				self.importJson($.trim($('#bpi-profile-import-json').val()));
+			});
 		},
 
 		/**
-		 * Upload a single file via AJAX with progress tracking.
-		 *
-		 * @param {File} file The file to upload.
+		 * Save the profile being edited.
 		 */
-		uploadFile: function (file) {
+		save: function () {
 			const self = this;
+			const t = BPIUpload.i18n();
 
-			// Create a temporary queue item for progress display.
-			const tempId = 'temp-' + Date.now() + '-' + Math.random().toString(36).substr(2, 5);
-			const tempItem = {
-				_tempId: tempId,
-				file_name: file.name,
-				file_size: file.size,
-				_uploading: true,
-				_progress: 0
-			};
+			this.readEditor();
+			if (!this.editing.name) {
+				this.showErrors('#bpi-profile-editor-errors', [t.profileNameRequired]);
+				return;
+			}
 
-			this.queue.push(tempItem);
-			this.renderQueue();
+			const $btn = $('#bpi-profile-save').prop('disabled', true);
 
-			const formData = new FormData();
-			formData.append('action', 'bpi_upload');
-			formData.append('_wpnonce', bpiAdmin.uploadNonce || bpiAdmin.nonce);
-			formData.append('plugin_zip', file);
+			apiRequest('PUT', 'profiles/' + this.editing.id, {
+				name: this.editing.name,
+				plugins: this.editing.plugins
+			}).done(function (response) {
+				if (response.success) {
+					self.editing = null;
+					self.load();
+					self.showMessage(response.data.message);
+				} else {
+					self.showErrors('#bpi-profile-editor-errors', self.responseErrors(response));
+					$btn.prop('disabled', false);
+				}
+			}).fail(function () {
+				self.showErrors('#bpi-profile-editor-errors', [t.profileRequestFailed]);
+				$btn.prop('disabled', false);
+			});
+		},
 
-			const xhr = new XMLHttpRequest();
+		/**
+		 * Validate and import a pasted or loaded profile JSON.
+		 *
+		 * @param {string} json Profile JSON.
+		 */
+		importJson: function (json) {
+			const self = this;
+			const t = BPIUpload.i18n();
 
-			// Track upload progress.
-			xhr.upload.addEventListener('progress', function (e) {
-				if (e.lengthComputable) {
-					const pct = Math.round((e.loaded / e.total) * 100);
-					self.updateItemProgress(tempId, pct);
+			if (!json) {
+				this.showErrors('#bpi-profile-import-errors', [t.importProfileEmpty]);
+				return;
+			}
+
+			try {
+				JSON.parse(json);
+			} catch (e) {
+				this.showErrors('#bpi-profile-import-errors', [t.invalidProfileJson.replace('%s', e.message)]);
+				return;
+			}
+
+			apiRequest('POST', 'profiles/import', {
+				profile_json: json
+			}).done(function (response) {
+				if (response.success) {
+					self.load();
+					self.showMessage(response.data.message);
+				} else {
+					self.showErrors('#bpi-profile-import-errors', self.responseErrors(response));
 				}
+			}).fail(function () {
+				self.showErrors('#bpi-profile-import-errors', [t.profileRequestFailed]);
 			});
+		},
 
-			xhr.addEventListener('load', function () {
-				const t = self.i18n();
-				let response;
-				try {
-					response = JSON.parse(xhr.responseText);
-				} catch (e) {
-					self.replaceTemp(tempId, null, t.uploadFailedInvalid);
+		/**
+		 * Download a profile as a JSON file.
+		 *
+		 * @param {number} id     Profile ID.
+		 * @param {string} format 'profile' for the profile JSON or 'manifest' for bpi.json.
+		 */
+		download: function (id, format) {
+			const self = this;
+			const t = BPIUpload.i18n();
+			const profile = this.findProfile(id);
+
+			apiRequest('GET', 'profiles/' + id + '/export', { format: format }).done(function (response) {
+				if (!response.success || !response.data) {
+					self.showMessage(self.responseErrors(response).join(' '));
 					return;
 				}
 
-				if (response.success && response.data) {
-					const data = response.data;
-					self.replaceTemp(tempId, {
-						slug: data.slug,
-						file_name: data.file_name || file.name,
-						file_size: data.file_size || file.size,
-						plugin_name: (data.headers && data.headers.plugin_name) || data.file_name || file.name,
-						_uploading: false,
-						_progress: 100,
-						_status: 'success'
-					});
-					self.announce(t.uploaded.replace('%s', data.file_name || file.name));
+				const name = (profile ? profile.name : String(id)).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+				const url = URL.createObjectURL(new Blob([response.data.json], { type: 'application/json' }));
+				const link = document.createElement('a');
+				link.href = url;
+				link.download = format === 'manifest' ? 'bpi.json' : 'bpi-profile-' + (name || id) + '.json';
+				document.body.appendChild(link);
+				link.click();
+				link.remove();
+				URL.revokeObjectURL(url);
+			}).fail(function () {
+				self.showMessage(t.profileRequestFailed);
+			});
+		},
+
+		/**
+		 * Delete a profile.
+		 *
+		 * @param {number} id Profile ID.
+		 */
+		remove: function (id) {
+			const self = this;
+			const t = BPIUpload.i18n();
+
+			apiRequest('DELETE', 'profiles/' + id).done(function (response) {
+				if (response.success) {
+					if (self.editing && self.editing.id === id) {
+						self.editing = null;
+					}
+					self.load();
+					self.showMessage(response.data.message);
 				} else {
-					const msg = (response.data && response.data.message) ? response.data.message : t.uploadFailed;
-					self.replaceTemp(tempId, null, msg);
+					self.showMessage(self.responseErrors(response).join(' '));
 				}
+			}).fail(function () {
+				self.showMessage(t.profileRequestFailed);
 			});
+		},
 
-			xhr.addEventListener('error', function () {
-				self.replaceTemp(tempId, null, self.i18n().networkErrorUpload);
-			});
+		/**
+		 * Get the error messages from a failed response.
+		 *
+		 * @param {Object} response Parsed JSON response.
+		 * @return {string[]} Error messages.
+		 */
+		responseErrors: function (response) {
+			const data = response.data || {};
+			if (data.errors && data.errors.length) return data.errors;
+			return [data.message || BPIUpload.i18n().profileRequestFailed];
+		},
 
-			xhr.open('POST', bpiAdmin.ajaxUrl);
-			xhr.send(formData);
+		/**
+		 * Show validation errors next to a form.
+		 *
+		 * @param {string}   selector Error container selector.
+		 * @param {string[]} errors   Error messages; empty to clear.
+		 */
+		showErrors: function (selector, errors) {
+			let html = '';
+			if (errors.length) {
+				html = '<ul class="bpi-profile-errors__list">';
+				errors.forEach(function (error) {
+					html += '<li>' + BPIUpload.esc(error) + '</li>';
+				});
+				html += '</ul>';
+			}
+			$(selector).html(html);
 		},
 
 		/**
-		 * Update the progress of a temporary upload item.
+		 * Show a status message above the profile table.
 		 *
-		 * @param {string} tempId Temporary item ID.
-		 * @param {number} pct    Progress percentage (0-100).
+		 * @param {string} message Message text.
 		 */
-		updateItemProgress: function (tempId, pct) {
-			for (let i = 0; i < this.queue.length; i++) {
-				if (this.queue[i]._tempId === tempId) {
-					this.queue[i]._progress = pct;
-					break;
+		showMessage: function (message) {
+			this.message = message || '';
+			$('#bpi-profile-message').text(this.message);
+		}
+	};
+
+	/**
+	 * Activity log viewer on the Settings page.
+	 *
+	 * Pages through log entries with filters, expandable details, export
+	 * of the filtered view and a confirmed clear. Escaping and strings are
+	 * shared with BPIUpload.
+	 */
+	const BPILogViewer = {
+		/** @type {jQuery|null} Container element. */
+		$root: null,
+
+		/** @type {number} Entries per page. */
+		perPage: 20,
+
+		/** @type {number} Current page, starting at 1. */
+		page: 1,
+
+		/** @type {number} Number of entries matching the filters. */
+		total: 0,
+
+		/** @type {Object} Active filters, keyed by request parameter. */
+		filters: {},
+
+		/** @type {Array} Entries on the current page. */
+		entries: [],
+
+		/**
+		 * Initialize the log viewer.
+		 */
+		init: function () {
+			this.$root = $('#bpi-log-viewer');
+			if (!this.$root.length) return;
+
+			this.render();
+			this.bindEvents();
+			this.load();
+		},
+
+		/**
+		 * Render the filter form, toolbar and empty table container.
+		 */
+		render: function () {
+			const t = BPIUpload.i18n();
+			const actions = bpiAdmin.logActions || {};
+
+			let html = '<form id="bpi-log-filters" class="bpi-log-filters" role="search" aria-label="' + BPIUpload.escAttr(t.logFiltersLabel) + '">';
+			html += '<label for="bpi-log-filter-action">' + BPIUpload.esc(t.logAction) + '</label>';
+			html += '<select id="bpi-log-filter-action" name="log_action">';
+			html += '<option value="">' + BPIUpload.esc(t.allActions) + '</option>';
+			Object.keys(actions).forEach(function (action) {
+				html += '<option value="' + BPIUpload.escAttr(action) + '">' + BPIUpload.esc(actions[action]) + '</option>';
+			});
+			html += '</select>';
+			html += '<label for="bpi-log-filter-user">' + BPIUpload.esc(t.logUser) + '</label>';
+			html += '<select id="bpi-log-filter-user" name="user_id"><option value="">' + BPIUpload.esc(t.allUsers) + '</option></select>';
+			html += '<label for="bpi-log-filter-slug">' + BPIUpload.esc(t.logPluginSlug) + '</label>';
+			html += '<input type="text" id="bpi-log-filter-slug" name="plugin_slug" class="regular-text" />';
+			html += '<label for="bpi-log-filter-batch">' + BPIUpload.esc(t.logBatchId) + '</label>';
+			html += '<input type="text" id="bpi-log-filter-batch" name="batch_id" class="regular-text" />';
+			html += '<label for="bpi-log-filter-from">' + BPIUpload.esc(t.logDateFrom) + '</label>';
+			html += '<input type="date" id="bpi-log-filter-from" name="date_from" />';
+			html += '<label for="bpi-log-filter-to">' + BPIUpload.esc(t.logDateTo) + '</label>';
+			html += '<input type="date" id="bpi-log-filter-to" name="date_to" />';
+			html += '<button type="submit" class="button">' + BPIUpload.esc(t.applyLogFilters) + '</button>';
+			html += '<button type="reset" class="button button-link">' + BPIUpload.esc(t.resetLogFilters) + '</button>';
+			html += '</form>';
+
+			html += '<p class="bpi-log-toolbar">';
+			html += '<button type="button" class="button bpi-log-export" data-format="csv">' + BPIUpload.esc(t.exportLogCsv) + '</button>';
+			html += '<button type="button" class="button bpi-log-export" data-format="json">' + BPIUpload.esc(t.exportLogJson) + '</button>';
+			html += '<button type="button" id="bpi-log-clear" class="button button-link-delete">' + BPIUpload.esc(t.clearLog) + '</button>';
+			html += '</p>';
+
+			html += '<p id="bpi-log-status" class="bpi-log-status" role="status" aria-live="polite"></p>';
+			html += '<div id="bpi-log-entries"></div>';
+			html += '<div id="bpi-log-pagination" class="bpi-log-pagination"></div>';
+
+			this.$root.html(html);
+		},
+
+		/**
+		 * Load the current page of entries for the active filters.
+		 */
+		load: function () {
+			const self = this;
+			const t = BPIUpload.i18n();
+
+			this.showStatus(t.loadingLog);
+
+			apiRequest('GET', 'log', $.extend({
+				limit: this.perPage,
+				offset: (this.page - 1) * this.perPage
+			}, this.filters)).done(function (response) {
+				if (!response.success || !response.data) {
+					self.showStatus((response.data && response.data.message) || t.logRequestFailed);
+					return;
 				}
-			}
-			const $bar = $('#bpi-progress-' + tempId + ' .bpi-progress-bar__fill');
-			if ($bar.length) {
-				$bar.css('width', pct + '%');
-				$bar.parent().attr('aria-valuenow', pct);
-			}
-			const $status = $('#bpi-status-' + tempId);
-			if ($status.length) {
-				$status.text(pct + '%');
-			}
+
+				self.entries = response.data.entries || [];
+				self.total = parseInt(response.data.total, 10) || 0;
+				self.showStatus('');
+				self.renderUsers(response.data.users || []);
+				self.renderEntries();
+				self.renderPagination();
+			}).fail(function () {
+				self.showStatus(t.logRequestFailed);
+			});
 		},
 
 		/**
-		 * Replace a temporary upload item with the server response or an error.
+		 * Fill the user filter with the users that have log entries.
 		 *
-		 * @param {string}      tempId   Temporary item ID.
-		 * @param {Object|null} data     Server data on success, null on failure.
-		 * @param {string}      [errMsg] Error message on failure.
+		 * @param {Array} users Users ({id, name}).
 		 */
-		replaceTemp: function (tempId, data, errMsg) {
-			for (let i = 0; i < this.queue.length; i++) {
-				if (this.queue[i]._tempId === tempId) {
-					if (data) {
-						// Check for duplicate slug — replace existing.
-						let existingIdx = -1;
-						for (let j = 0; j < this.queue.length; j++) {
-							if (j !== i && this.queue[j].slug === data.slug) {
-								existingIdx = j;
-								break;
-							}
-						}
-						if (existingIdx >= 0) {
-							this.queue.splice(existingIdx, 1);
-							if (existingIdx < i) i--;
-							this.showNotice(
-								this.i18n().duplicateDetected.replace('%s', data.slug),
-								'info'
-							);
-						}
-						this.queue[i] = data;
-					} else {
-						// Remove failed item.
-						this.queue.splice(i, 1);
-						if (errMsg) {
-							this.showNotice(errMsg, 'error');
-						}
-					}
-					break;
+		renderUsers: function (users) {
+			const t = BPIUpload.i18n();
+			const $select = $('#bpi-log-filter-user');
+			const selected = $select.val();
+
+			let html = '<option value="">' + BPIUpload.esc(t.allUsers) + '</option>';
+			users.forEach(function (user) {
+				html += '<option value="' + BPIUpload.escAttr(String(user.id)) + '">' + BPIUpload.esc(user.name) + '</option>';
+			});
+			$select.html(html).val(selected);
+		},
+
+		/**
+		 * Render the entries table for the current page.
+		 */
+		renderEntries: function () {
+			const self = this;
+			const t = BPIUpload.i18n();
+			const $entries = $('#bpi-log-entries');
+
+			if (!this.entries.length) {
+				const filtered = Object.keys(this.filters).length > 0;
+				$entries.html('<p>' + BPIUpload.esc(filtered ? t.noMatchingLogEntries : t.noLogEntries) + '</p>');
+				return;
+			}
+
+			let html = '<table class="widefat fixed striped bpi-log-table">';
+			html += '<thead><tr>';
+			html += '<th scope="col" class="bpi-log-table__toggle"><span class="bpi-sr-only">' + BPIUpload.esc(t.logDetails) + '</span></th>';
+			html += '<th scope="col">' + BPIUpload.esc(t.logTimestamp) + '</th>';
+			html += '<th scope="col">' + BPIUpload.esc(t.logAction) + '</th>';
+			html += '<th scope="col">' + BPIUpload.esc(t.logUser) + '</th>';
+			html += '<th scope="col">' + BPIUpload.esc(t.logPlugin) + '</th>';
+			html += '<th scope="col">' + BPIUpload.esc(t.logStatus) + '</th>';
+			html += '<th scope="col">' + BPIUpload.esc(t.logMessage) + '</th>';
+			html += '</tr></thead><tbody>';
+
+			this.entries.forEach(function (entry) {
+				const id = BPIUpload.escAttr(String(entry.id));
+				html += '<tr>';
+				html += '<td class="bpi-log-table__toggle"><button type="button" class="button-link bpi-log-details-toggle" aria-expanded="false" aria-controls="bpi-log-details-' + id + '" aria-label="' + BPIUpload.escAttr(t.logDetailsLabel.replace('%s', entry.id)) + '"><span class="dashicons dashicons-arrow-right-alt2" aria-hidden="true"></span></button></td>';
+				html += '<td>' + BPIUpload.esc(entry.timestamp || '') + '</td>';
+				html += '<td>' + BPIUpload.esc(self.actionLabel(entry.action));
+				if (parseInt(entry.is_dry_run, 10)) {
+					html += ' <span class="bpi-dry-run-badge">(' + BPIUpload.esc(t.dryRunBadge) + ')</span>';
 				}
+				html += '</td>';
+				html += '<td>' + BPIUpload.esc(entry.user_name || '') + '</td>';
+				html += '<td>' + BPIUpload.esc(entry.plugin_name || entry.plugin_slug || '') + '</td>';
+				html += '<td>' + BPIUpload.esc(entry.status || '') + '</td>';
+				html += '<td class="bpi-log-table__message">' + BPIUpload.esc(entry.message || '') + '</td>';
+				html += '</tr>';
+				html += '<tr id="bpi-log-details-' + id + '" class="bpi-log-details" hidden><td colspan="7">' + self.detailsHtml(entry) + '</td></tr>';
+			});
+
+			html += '</tbody></table>';
+			$entries.html(html);
+		},
+
+		/**
+		 * Build the expanded details of an entry.
+		 *
+		 * @param {Object} entry Log entry.
+		 * @return {string} HTML.
+		 */
+		detailsHtml: function (entry) {
+			const t = BPIUpload.i18n();
+			const version = entry.from_version ? entry.from_version + ' → ' + (entry.to_version || '') : (entry.to_version || '');
+			const rows = [
+				[t.logEntryId, entry.id],
+				[t.logBatchId, entry.batch_id],
+				[t.logPluginSlug, entry.plugin_slug],
+				[t.logVersion, version],
+				[t.logUser, entry.user_name + ' (#' + entry.user_id + ')'],
+				[t.logMessage, entry.message]
+			];
+
+			let html = '<dl class="bpi-log-details__list">';
+			rows.forEach(function (row) {
+				html += '<dt>' + BPIUpload.esc(row[0]) + '</dt>';
+				html += '<dd>' + BPIUpload.esc(String(row[1] || '—')) + '</dd>';
+			});
+			html += '</dl>';
+
+			return html;
+		},
+
+		/**
+		 * Render the previous/next page controls.
+		 */
+		renderPagination: function () {
+			const t = BPIUpload.i18n();
+			const pages = Math.max(1, Math.ceil(this.total / this.perPage));
+
+			if (!this.total) {
+				$('#bpi-log-pagination').empty();
+				return;
 			}
-			this.renderQueue();
+
+			let html = '<button type="button" class="button bpi-log-page" data-offset="-1"' + (this.page <= 1 ? ' disabled' : '') + '>' + BPIUpload.esc(t.logPrevPage) + '</button>';
+			html += '<span class="bpi-log-pagination__label">' + BPIUpload.esc(t.logPageOf.replace('%1$s', this.page).replace('%2$s', pages).replace('%3$s', this.total)) + '</span>';
+			html += '<button type="button" class="button bpi-log-page" data-offset="1"' + (this.page >= pages ? ' disabled' : '') + '>' + BPIUpload.esc(t.logNextPage) + '</button>';
+
+			$('#bpi-log-pagination').html(html);
 		},
 
 		/**
-		 * Remove an item from the queue by slug.
+		 * Get the display label of an action type.
 		 *
-		 * Sends AJAX to server and updates local state.
+		 * @param {string} action Action type.
+		 * @return {string} Label.
+		 */
+		actionLabel: function (action) {
+			const actions = bpiAdmin.logActions || {};
+			return actions[action] || action || '';
+		},
+
+		/**
+		 * Read the non-empty filter values from the form.
 		 *
-		 * @param {string} slug Plugin slug to remove.
+		 * @return {Object} Filters keyed by request parameter.
 		 */
-		removeFromQueue: function (slug) {
+		readFilters: function () {
+			const filters = {};
+			$('#bpi-log-filters').serializeArray().forEach(function (field) {
+				const value = $.trim(field.value);
+				if (value) filters[field.name] = value;
+			});
+			return filters;
+		},
+
+		/**
+		 * Download the filtered log.
+		 *
+		 * @param {string} format Export format: 'csv' or 'json'.
+		 */
+		exportLog: function (format) {
 			const self = this;
-			const t = this.i18n();
+			const t = BPIUpload.i18n();
 
-			// Remove locally first for responsiveness.
-			for (let i = 0; i < this.queue.length; i++) {
-				if (this.queue[i].slug === slug) {
-					this.queue.splice(i, 1);
-					break;
+			apiRequest('GET', 'log/export', $.extend({
+				format: format
+			}, this.filters)).done(function (response) {
+				if (!response.success || !response.data) {
+					self.showStatus((response.data && response.data.message) || t.logRequestFailed);
+					return;
 				}
-			}
-			this.renderQueue();
-			this.announce(t.removedFromQueue.replace('%s', slug));
 
-			// Notify server.
-			$.post(bpiAdmin.ajaxUrl, {
-				action: 'bpi_queue_remove',
-				_wpnonce: bpiAdmin.queueRemoveNonce || bpiAdmin.nonce,
-				slug: slug
+				const url = URL.createObjectURL(new Blob([response.data.content], { type: response.data.type }));
+				const link = document.createElement('a');
+				link.href = url;
+				link.download = response.data.filename;
+				document.body.appendChild(link);
+				link.click();
+				link.remove();
+				URL.revokeObjectURL(url);
+			}).fail(function () {
+				self.showStatus(t.logRequestFailed);
 			});
 		},
 
 		/**
-		 * Render the queue list UI.
+		 * Clear the whole log after confirmation.
 		 */
-		renderQueue: function () {
-			const $section = $('#bpi-queue-section');
-			const $list = $('#bpi-queue-list');
-			const $summary = $('#bpi-queue-summary');
-			const $continueBtn = $('#bpi-continue-preview');
+		clearLog: function () {
+			const self = this;
+			const t = BPIUpload.i18n();
 
-			// Filter to completed (non-uploading or uploading) items.
-			const completedItems = [];
-			let totalSize = 0;
+			if (!confirm(t.confirmClearLog)) return;
 
-			for (let i = 0; i < this.queue.length; i++) {
-				const item = this.queue[i];
-				if (!item._uploading || item._tempId) {
-					completedItems.push(item);
-				}
-				if (!item._uploading && item.file_size) {
-					totalSize += item.file_size;
+			apiRequest('DELETE', 'log').done(function (response) {
+				if (!response.success) {
+					self.showStatus((response.data && response.data.message) || t.logRequestFailed);
+					return;
 				}
-			}
 
-			if (!this.queue.length) {
-				$section.hide();
-				$continueBtn.prop('disabled', true).attr('aria-disabled', 'true');
-				return;
-			}
+				self.page = 1;
+				self.load();
+			}).fail(function () {
+				self.showStatus(t.logRequestFailed);
+			});
+		},
 
-			$section.show();
+		/**
+		 * Bind delegated event handlers on the container.
+		 */
+		bindEvents: function () {
+			const self = this;
 
-			// Count only fully uploaded items.
-			let readyCount = 0;
-			for (let k = 0; k < this.queue.length; k++) {
-				if (!this.queue[k]._uploading) readyCount++;
-			}
+			this.$root.on('submit', '#bpi-log-filters', function (e) {
+				e.preventDefault();
+				self.filters = self.readFilters();
+				self.page = 1;
+				self.load();
+			});
 
-			$summary.text(this.i18n().queueSummary.replace('%1$s', readyCount).replace('%2$s', formatFileSize(totalSize)));
+			this.$root.on('reset', '#bpi-log-filters', function () {
+				self.filters = {};
+				self.page = 1;
+				self.load();
+			});
 
-			// Build list HTML.
-			let html = '';
-			for (let m = 0; m < this.queue.length; m++) {
-				html += this.renderQueueItem(this.queue[m]);
-			}
-			$list.html(html);
+			this.$root.on('click', '.bpi-log-page', function () {
+				self.page += parseInt($(this).data('offset'), 10);
+				self.load();
+			});
 
-			// Enable/disable continue button.
-			if (readyCount > 0) {
-				$continueBtn.prop('disabled', false).attr('aria-disabled', 'false');
-			} else {
-				$continueBtn.prop('disabled', true).attr('aria-disabled', 'true');
-			}
+			this.$root.on('click', '.bpi-log-details-toggle', function () {
+				const $btn = $(this);
+				const expanded = $btn.attr('aria-expanded') === 'true';
+				$btn.attr('aria-expanded', expanded ? 'false' : 'true');
+				$btn.find('.dashicons').toggleClass('dashicons-arrow-right-alt2 dashicons-arrow-down-alt2');
+				$('#' + $btn.attr('aria-controls')).prop('hidden', expanded);
+			});
+
+			this.$root.on('click', '.bpi-log-export', function () {
+				self.exportLog($(this).data('format'));
+			});
+
+			this.$root.on('click', '#bpi-log-clear', function () {
+				self.clearLog();
+			});
 		},
 
 		/**
-		 * Render a single queue item.
+		 * Show a status message above the table.
 		 *
-		 * @param {Object} item Queue item data.
-		 * @return {string} HTML string.
+		 * @param {string} message Message text.
 		 */
-		renderQueueItem: function (item) {
-			const t = this.i18n();
-			const itemLabel = this.escAttr(item.file_name || item.slug || 'file');
-			let html = '<li class="bpi-queue-item" aria-label="' + itemLabel + '">';
-			html += '<div class="bpi-queue-item__info">';
-			html += '<div class="bpi-queue-item__name">' + this.esc(item.file_name || item.slug || '') + '</div>';
-			html += '<div class="bpi-queue-item__size">' + formatFileSize(item.file_size || 0) + '</div>';
+		showStatus: function (message) {
+			$('#bpi-log-status').text(message || '');
+		}
+	};
 
-			// Progress bar for uploading items.
-			if (item._uploading && item._tempId) {
-				html += '<div class="bpi-progress-bar" id="bpi-progress-' + this.esc(item._tempId) + '" role="progressbar" aria-valuenow="' + (item._progress || 0) + '" aria-valuemin="0" aria-valuemax="100" aria-label="' + this.escAttr(t.uploadProgressLabel.replace('%s', item.file_name || '')) + '">';
-				html += '<div class="bpi-progress-bar__fill" style="width:' + (item._progress || 0) + '%;"></div>';
-				html += '</div>';
-			}
+	/**
+	 * Batch history on the Bulk Upload page.
+	 *
+	 * Lists the batches whose backups are still retained, with who ran them,
+	 * when, the per-plugin outcomes and the time left before their backups
+	 * are purged, and rolls back any of them with a per-plugin report.
+	 * Batches scheduled on WP-Cron are listed first, and can be cancelled
+	 * or rescheduled until they start.
+	 */
+	const BPIBatchHistory = {
+		/** @type {jQuery|null} Container element. */
+		$root: null,
 
-			html += '</div>';
+		/** @type {Array} Batches from the server. */
+		batches: [],
 
-			// Status.
-			if (item._uploading && item._tempId) {
-				html += '<span id="bpi-status-' + this.esc(item._tempId) + '" class="bpi-queue-item__status bpi-status--uploading">' + (item._progress || 0) + '%</span>';
-			} else if (item._status === 'success') {
-				html += '<span class="bpi-queue-item__status bpi-status--success">&#10003; ' + this.esc(t.uploadedStatus) + '</span>';
-			}
+		/** @type {Array} Scheduled batches from the server. */
+		scheduled: [],
 
-			// Remove button (only for completed uploads).
-			if (!item._uploading && item.slug) {
-				html += '<button type="button" class="bpi-queue-item__remove" data-slug="' + this.escAttr(item.slug) + '" aria-label="' + this.escAttr(t.removeFromQueueLabel.replace('%s', item.file_name || item.slug)) + '">' + this.esc(t.remove) + '</button>';
+		/** @type {Object|null} Report of the last rollback ({title, message, results}), kept across re-renders. */
+		report: null,
+
+		/**
+		 * Initialize the batch history.
+		 */
+		init: function () {
+			this.$root = $('#bpi-batch-history');
+			if (!this.$root.length) return;
+
+			this.bindEvents();
+			this.load();
+		},
+
+		/**
+		 * Load the active batches and render them.
+		 */
+		load: function () {
+			const self = this;
+			if (!this.$root || !this.$root.length) return;
+
+			apiRequest('GET', 'batches').done(function (response) {
+				if (response.success && response.data) {
+					self.batches = response.data.batches || [];
+					self.scheduled = response.data.scheduled || [];
+					self.render();
+				}
+			});
+		},
+
+		/**
+		 * Render the rollback report and the batch list.
+		 */
+		render: function () {
+			const self = this;
+			const t = BPIUpload.i18n();
+			let html = '<h2>' + BPIUpload.esc(t.batchHistory) + '</h2>';
+			html += '<p class="description">' + BPIUpload.esc(t.batchHistoryHelp) + '</p>';
+			html += this.reportHtml();
+			html += this.scheduledHtml();
+
+			if (!this.batches.length) {
+				html += '<p>' + BPIUpload.esc(t.noBatchHistory) + '</p>';
+				this.$root.html(html);
+				return;
 			}
 
-			html += '</li>';
+			html += '<ul class="bpi-batch-history__list">';
+			this.batches.forEach(function (batch) {
+				const when = batch.timestamp || batch.batch_id;
+				const summary = batch.summary || {};
+
+				html += '<li class="bpi-batch-history__item">';
+				html += '<div class="bpi-batch-history__header">';
+				html += '<div class="bpi-batch-history__meta">';
+				html += '<strong>' + BPIUpload.esc(t.batchRunBy.replace('%1$s', when).replace('%2$s', batch.user_name || t.unknownUser)) + '</strong>';
+				html += '<span>' + BPIUpload.esc(t.batchSummary.replace('%1$s', summary.installed || 0).replace('%2$s', summary.updated || 0).replace('%3$s', summary.failed || 0)) + '</span>';
+				html += '<span class="bpi-batch-history__expires">' + BPIUpload.esc(self.expiresText(batch.expires_in)) + '</span>';
+				html += '</div>';
+				html += '<button type="button" class="button button-secondary bpi-batch-history__rollback" data-batch-id="' + BPIUpload.escAttr(batch.batch_id) + '" aria-label="' + BPIUpload.escAttr(t.rollbackHistoryLabel.replace('%s', when)) + '">' + BPIUpload.esc(t.rollbackBatch) + '</button>';
+				html += '</div>';
+
+				html += '<details class="bpi-batch-history__plugins">';
+				html += '<summary>' + BPIUpload.esc(t.batchPluginsToggle) + ' (' + (batch.plugins || []).length + ')</summary>';
+				html += '<ul aria-label="' + BPIUpload.escAttr(t.batchPluginsLabel.replace('%s', when)) + '">';
+				(batch.plugins || []).forEach(function (plugin) {
+					const success = plugin.status === 'success';
+					html += '<li class="bpi-batch-history__plugin bpi-batch-history__plugin--' + (success ? 'success' : 'failed') + '">';
+					if (plugin.can_rollback) {
+						html += '<input type="checkbox" class="bpi-batch-history__select" value="' + BPIUpload.escAttr(plugin.slug) + '" aria-label="' + BPIUpload.escAttr(t.selectForRollbackLabel.replace('%s', plugin.plugin_name || plugin.slug)) + '"> ';
+					}
+					html += '<strong>' + BPIUpload.esc(plugin.plugin_name || plugin.slug) + '</strong> ';
+					html += '<span>' + BPIUpload.esc(plugin.action === 'update' ? t.update : t.install) + ' — ' + BPIUpload.esc(success ? t.success : t.failed) + '</span>';
+					if (plugin.rolled_back) {
+						html += ' <span class="bpi-results-item__rolled-back">' + BPIUpload.esc(plugin.health_check === 'failed' ? t.healthCheckRolledBack : t.rolledBack) + '</span>';
+					}
+					if (plugin.sha256) {
+						html += ' <code class="bpi-checksum__hash" title="' + BPIUpload.escAttr(plugin.sha256) + '">' + BPIUpload.esc(t.checksumLabel + ' ' + plugin.sha256.substr(0, 12)) + '&hellip;</code>';
+					}
+					(plugin.messages || []).forEach(function (message) {
+						html += '<p>' + BPIUpload.esc(message) + '</p>';
+					});
+					html += '</li>';
+				});
+				html += '</ul>';
+				if ((batch.plugins || []).some(function (plugin) { return plugin.can_rollback; })) {
+					html += '<button type="button" class="button button-secondary bpi-batch-history__rollback-selected" data-batch-id="' + BPIUpload.escAttr(batch.batch_id) + '" aria-label="' + BPIUpload.escAttr(t.rollbackSelectedLabel) + '" disabled>' + BPIUpload.esc(t.rollbackSelected) + '</button>';
+				}
+				html += '</details>';
+				html += '</li>';
+			});
+			html += '</ul>';
+
+			this.$root.html(html);
+		},
+
+		/**
+		 * Build the list of scheduled batches.
+		 *
+		 * @return {string} HTML, or an empty string when nothing is scheduled.
+		 */
+		scheduledHtml: function () {
+			const t = BPIUpload.i18n();
+			const labels = {
+				scheduled: t.scheduleStatusScheduled,
+				running: t.scheduleStatusRunning,
+				complete: t.scheduleStatusComplete,
+				failed: t.scheduleStatusFailed,
+				cancelled: t.scheduleStatusCancelled
+			};
+			if (!this.scheduled.length) return '';
+
+			let html = '<h3>' + BPIUpload.esc(t.scheduledBatches) + '</h3>';
+			html += '<ul class="bpi-batch-history__list bpi-batch-history__list--scheduled">';
+			this.scheduled.forEach(function (job) {
+				const when = new Date(job.timestamp * 1000).toLocaleString();
+				const names = (job.plugins || []).map(function (plugin) { return plugin.plugin_name || plugin.slug; });
+
+				html += '<li class="bpi-batch-history__item bpi-batch-history__item--' + BPIUpload.escAttr(job.status) + '" data-schedule-id="' + BPIUpload.escAttr(job.id) + '">';
+				html += '<div class="bpi-batch-history__header">';
+				html += '<div class="bpi-batch-history__meta">';
+				html += '<strong>' + BPIUpload.esc(t.scheduledFor.replace('%1$s', when).replace('%2$s', job.user_name || t.unknownUser)) + '</strong>';
+				html += '<span class="bpi-batch-history__status">' + BPIUpload.esc(labels[job.status] || job.status) + '</span>';
+				html += '<span>' + BPIUpload.esc(names.join(', ')) + '</span>';
+				if (job.status === 'complete' && job.summary) {
+					html += '<span>' + BPIUpload.esc(t.batchSummary.replace('%1$s', job.summary.installed || 0).replace('%2$s', job.summary.updated || 0).replace('%3$s', job.summary.failed || 0)) + '</span>';
+				}
+				if (job.maintenance) {
+					html += '<span>' + BPIUpload.esc(t.maintenanceModeOn) + '</span>';
+				}
+				if (job.message) {
+					html += '<span>' + BPIUpload.esc(job.message) + '</span>';
+				}
+				html += '</div>';
+				if (job.status === 'scheduled') {
+					html += '<div class="bpi-batch-history__schedule-actions">';
+					html += '<input type="datetime-local" class="bpi-batch-history__schedule-time" value="' + BPIUpload.escAttr(toDateTimeLocal(job.timestamp)) + '" aria-label="' + BPIUpload.escAttr(t.rescheduleLabel.replace('%s', when)) + '"> ';
+					html += '<button type="button" class="button button-secondary bpi-batch-history__reschedule">' + BPIUpload.esc(t.reschedule) + '</button> ';
+					html += '<button type="button" class="button button-secondary bpi-batch-history__cancel-schedule">' + BPIUpload.esc(t.cancelSchedule) + '</button>';
+					html += '</div>';
+				}
+				html += '</div>';
+				html += '</li>';
+			});
+			html += '</ul>';
+
 			return html;
 		},
 
 		/**
-		 * Show a notice message.
+		 * Reschedule or cancel a scheduled batch and reload the history.
 		 *
-		 * @param {string} message Notice text.
-		 * @param {string} type    Notice type: 'error', 'warning', 'info'.
+		 * @param {string} method     'PUT' to reschedule, 'DELETE' to cancel.
+		 * @param {string} scheduleId Schedule ID.
+		 * @param {jQuery} $btn       Clicked button.
+		 * @param {Object} [data]     Request parameters.
 		 */
-		showNotice: function (message, type) {
-			const $notices = $('#bpi-notices');
-			const $notice = $('<div class="bpi-notice bpi-notice--' + type + '" role="alert">' + this.esc(message) + '</div>');
-			$notices.append($notice);
+		updateSchedule: function (method, scheduleId, $btn, data) {
+			const self = this;
+			const t = BPIUpload.i18n();
 
-			if (type === 'error') {
-				const $dismiss = $('<button type="button" class="bpi-notice-dismiss" aria-label="Dismiss">&times;</button>');
-				$notice.append($dismiss);
-				$dismiss.on('click', function () { $notice.fadeOut(300, function () { $(this).remove(); }); });
-			} else {
-				setTimeout(function () {
-					$notice.fadeOut(300, function () {
-						$(this).remove();
-					});
-				}, 8000);
-			}
+			$btn.prop('disabled', true);
+
+			apiRequest(method, 'schedules/' + encodeURIComponent(scheduleId), data).done(function (response) {
+				if (response.success) {
+					self.load();
+				} else {
+					$btn.prop('disabled', false);
+					BPIUpload.showNotice((response.data && response.data.message) ? response.data.message : t.scheduleUpdateFailed, 'error');
+				}
+			}).fail(function () {
+				$btn.prop('disabled', false);
+				BPIUpload.showNotice(t.scheduleUpdateFailed, 'error');
+			});
 		},
 
 		/**
-		 * Announce a message to screen readers via ARIA live region.
+		 * Build the report of the last rollback.
 		 *
-		 * @param {string} message Message to announce.
+		 * @return {string} HTML, or an empty string when there is no report.
 		 */
-		announce: function (message) {
-			if (this.$liveRegion) {
-				this.$liveRegion.text(message);
+		reportHtml: function () {
+			const t = BPIUpload.i18n();
+			const report = this.report;
+			if (!report) return '';
+
+			const labels = {
+				restore: t.rollbackRestored,
+				remove: t.rollbackRemoved,
+				skipped: t.rollbackSkipped
+			};
+
+			let html = '<div class="bpi-batch-history__report' + (report.success ? '' : ' bpi-batch-history__report--failed') + '" role="status" aria-live="polite">';
+			html += '<strong>' + BPIUpload.esc(report.message) + '</strong>';
+			if (report.results.length) {
+				html += '<ul aria-label="' + BPIUpload.escAttr(t.rollbackReport) + '">';
+				report.results.forEach(function (result) {
+					const label = result.status === 'failed' ? t.failed : (labels[result.action] || result.action);
+					html += '<li class="bpi-batch-history__plugin bpi-batch-history__plugin--' + (result.status === 'failed' ? 'failed' : 'success') + '">';
+					html += '<strong>' + BPIUpload.esc(report.names[result.slug] || result.slug) + '</strong> — ' + BPIUpload.esc(label) + ': ' + BPIUpload.esc(result.message || '');
+					html += '</li>';
+				});
+				html += '</ul>';
 			}
+			html += '</div>';
+
+			return html;
 		},
 
 		/**
-		 * Get the i18n strings from the localized data.
+		 * Describe how long the backups of a batch are kept.
 		 *
-		 * @return {Object} Localized strings object.
+		 * @param {number} seconds Seconds until the batch expires.
+		 * @return {string} Text.
 		 */
-		i18n: function () {
-			return (bpiAdmin && bpiAdmin.i18n) ? bpiAdmin.i18n : {};
+		expiresText: function (seconds) {
+			const t = BPIUpload.i18n();
+			const minutes = Math.floor((seconds || 0) / 60);
+
+			if (minutes < 1) return t.batchExpiringSoon;
+
+			const duration = minutes >= 60
+				? t.durationHours.replace('%1$s', Math.floor(minutes / 60)).replace('%2$s', minutes % 60)
+				: t.durationMinutes.replace('%s', minutes);
+
+			return t.batchExpiresIn.replace('%s', duration);
 		},
 
 		/**
-		 * Escape HTML entities for safe insertion.
+		 * Roll back a batch, or only some of its plugins, and report the
+		 * outcome for each plugin.
 		 *
-		 * @param {string} str Input string.
-		 * @return {string} Escaped string.
+		 * @param {string}   batchId Batch ID.
+		 * @param {jQuery}   $btn    Rollback button.
+		 * @param {string[]} [slugs] Plugins to roll back; the whole batch when omitted.
 		 */
-		esc: function (str) {
-			if (!this._escDiv) this._escDiv = document.createElement('div');
-			this._escDiv.textContent = str;
-			return this._escDiv.innerHTML;
+		rollback: function (batchId, $btn, slugs) {
+			const self = this;
+			const t = BPIUpload.i18n();
+			const batch = this.batches.find(function (b) { return b.batch_id === batchId; });
+			const names = {};
+
+			(batch ? batch.plugins : []).forEach(function (plugin) {
+				names[plugin.slug] = plugin.plugin_name || plugin.slug;
+			});
+
+			$btn.prop('disabled', true).text(t.rollingBack);
+
+			const request = {};
+			if (slugs && slugs.length) request.slugs = slugs;
+
+			apiRequest('POST', 'batches/' + encodeURIComponent(batchId) + '/rollback', request).done(function (response) {
+				const data = response.data || {};
+				self.report = {
+					success: !!response.success,
+					message: data.message || t.rollbackRequestFailed,
+					results: data.results || [],
+					names: names
+				};
+				self.load();
+			}).fail(function () {
+				self.report = { success: false, message: t.rollbackRequestFailed, results: [], names: names };
+				self.render();
+			});
 		},
 
 		/**
-		 * Escape a string for use in an HTML attribute.
-		 *
-		 * @param {string} str Input string.
-		 * @return {string} Escaped string.
+		 * Bind delegated event handlers on the container.
 		 */
-		escAttr: function (str) {
-			return this.esc(str).replace(/"/g, '&quot;').replace(/'/g, '&#39;');
+		bindEvents: function () {
+			const self = this;
+			const t = BPIUpload.i18n();
+
+			this.$root.on('click', '.bpi-batch-history__rollback', function () {
+				if (!confirm(t.confirmRollback)) return;
+				self.rollback(String($(this).data('batch-id')), $(this));
+			});
+
+			this.$root.on('change', '.bpi-batch-history__select', function () {
+				const $plugins = $(this).closest('.bpi-batch-history__plugins');
+				$plugins.find('.bpi-batch-history__rollback-selected').prop('disabled', !$plugins.find('.bpi-batch-history__select:checked').length);
+			});
+
+			this.$root.on('click', '.bpi-batch-history__rollback-selected', function () {
+				const slugs = $(this).closest('.bpi-batch-history__plugins').find('.bpi-batch-history__select:checked').map(function () { return this.value; }).get();
+				if (!slugs.length || !confirm(t.confirmRollbackSelected)) return;
+				self.rollback(String($(this).data('batch-id')), $(this), slugs);
+			});
+
+			this.$root.on('click', '.bpi-batch-history__reschedule', function () {
+				const $item = $(this).closest('.bpi-batch-history__item');
+				const timestamp = fromDateTimeLocal($item.find('.bpi-batch-history__schedule-time').val());
+				if (!timestamp) {
+					BPIUpload.showNotice(t.scheduleTimeRequired, 'error');
+					return;
+				}
+				self.updateSchedule('PUT', String($item.data('schedule-id')), $(this), { timestamp: timestamp });
+			});
+
+			this.$root.on('click', '.bpi-batch-history__cancel-schedule', function () {
+				if (!confirm(t.confirmCancelSchedule)) return;
+				self.updateSchedule('DELETE', String($(this).closest('.bpi-batch-history__item').data('schedule-id')), $(this));
+			});
 		}
 	};
 
 	// Initialize on DOM ready.
 	$(function () {
 		BPIUpload.init();
+		BPIProfiles.init();
+		BPILogViewer.init();
+		BPIBatchHistory.init();
 	});
 
 })(jQuery);
@@ -87,6 +87,11 @@ class BulkPluginInstaller {
      */
     private ?BPILogManager $log_manager = null;
 
+    /**
+     * @var BPIMaintenanceMode|null
+     */
+    private ?BPIMaintenanceMode $maintenance_mode = null;
+
     /**
      * @var BPIRollbackManager|null
      */
@@ -169,6 +174,10 @@ class BulkPluginInstaller {
         $this->notification_manager = new BPINotificationManager( $this->settings_manager );
         $this->notification_manager->registerHooks();
 
+        // Maintenance mode (eager — registers template_redirect for the maintenance page).
+        $this->maintenance_mode = new BPIMaintenanceMode( $this->settings_manager );
+        $this->maintenance_mode->registerHooks();
+
         // Admin page: registers admin_menu, plugin_install_action_links, and wp_ajax_bpi_preview (eager).
         $this->admin_page = new BPIAdminPage();
         $this->admin_page->registerHooks();
@@ -177,27 +186,59 @@ class BulkPluginInstaller {
         add_action( 'admin_init', array( $this->settings_manager, 'registerSettings' ) );
         add_action( 'admin_menu', array( $this->settings_manager, 'addMenuPage' ) );
 
-        // Bulk uploader: wp_ajax_bpi_upload (deferred).
+        // Bulk uploader: wp_ajax_bpi_upload, wp_ajax_bpi_upload_chunk and wp_ajax_bpi_add_remote (deferred).
         add_action( 'wp_ajax_bpi_upload', function () {
             if ( null === $this->bulk_uploader ) {
                 $this->bulk_uploader = new BPIBulkUploader();
             }
             $this->bulk_uploader->handleUpload();
         } );
+        add_action( 'wp_ajax_bpi_upload_chunk', function () {
+            if ( null === $this->bulk_uploader ) {
+                $this->bulk_uploader = new BPIBulkUploader();
+            }
+            $this->bulk_uploader->handleChunkUpload();
+        } );
+        add_action( 'wp_ajax_bpi_add_remote', function () {
+            if ( null === $this->bulk_uploader ) {
+                $this->bulk_uploader = new BPIBulkUploader();
+            }
+            $this->bulk_uploader->handleRemoteAdd();
+        } );
 
-        // Queue manager: wp_ajax_bpi_queue_remove (deferred).
+        // Queue manager: wp_ajax_bpi_queue_remove, wp_ajax_bpi_queue_list, wp_ajax_bpi_queue_clear and wp_ajax_bpi_queue_checksum (deferred).
         add_action( 'wp_ajax_bpi_queue_remove', function () {
             if ( null === $this->queue_manager ) {
                 $this->queue_manager = new BPIQueueManager();
             }
             $this->queue_manager->handleQueueRemove();
         } );
+        add_action( 'wp_ajax_bpi_queue_list', function () {
+            if ( null === $this->queue_manager ) {
+                $this->queue_manager = new BPIQueueManager();
+            }
+            $this->queue_manager->handleQueueList();
+        } );
+        add_action( 'wp_ajax_bpi_queue_clear', function () {
+            if ( null === $this->queue_manager ) {
+                $this->queue_manager = new BPIQueueManager();
+            }
+            $this->queue_manager->handleQueueClear();
+        } );
+        add_action( 'wp_ajax_bpi_queue_checksum', function () {
+            if ( null === $this->queue_manager ) {
+                $this->queue_manager = new BPIQueueManager();
+            }
+            $this->queue_manager->handleQueueChecksum();
+        } );
 
-        // Plugin processor: wp_ajax_bpi_process, wp_ajax_bpi_dry_run (deferred).
+        // Plugin processor: wp_ajax_bpi_process, wp_ajax_bpi_dry_run and step-wise processing (deferred).
         $lazy_processor = function () {
             if ( null === $this->plugin_processor ) {
                 $this->plugin_processor = new BPIPluginProcessor( $this->rollback_manager, $this->log_manager, $this->settings_manager );
                 $this->plugin_processor->setNotificationManager( $this->notification_manager );
+                $this->plugin_processor->setProgressTracker( new BPIBatchProgressTracker() );
+                $this->plugin_processor->setMaintenanceMode( $this->maintenance_mode );
                 if ( null === $this->batch_rollback_manager ) {
                     $this->batch_rollback_manager = new BPIBatchRollbackManager( $this->rollback_manager, $this->settings_manager, $this->log_manager );
                     $this->batch_rollback_manager->setNotificationManager( $this->notification_manager );
@@ -212,17 +253,41 @@ class BulkPluginInstaller {
         add_action( 'wp_ajax_bpi_dry_run', function () use ( $lazy_processor ) {
             $lazy_processor()->handleAjaxDryRun();
         } );
+        add_action( 'wp_ajax_bpi_process_start', function () use ( $lazy_processor ) {
+            $lazy_processor()->handleAjaxProcessStart();
+        } );
+        add_action( 'wp_ajax_bpi_process_step', function () use ( $lazy_processor ) {
+            $lazy_processor()->handleAjaxProcessStep();
+        } );
+        add_action( 'wp_ajax_bpi_batch_status', function () use ( $lazy_processor ) {
+            $lazy_processor()->handleAjaxBatchStatus();
+        } );
+        add_action( 'wp_ajax_bpi_discard_batch', function () use ( $lazy_processor ) {
+            $lazy_processor()->handleAjaxDiscardBatch();
+        } );
+
+        // Scheduled batches: run on WP-Cron as the user who scheduled them (deferred).
+        add_action( BPIBatchScheduler::CRON_HOOK, function ( $schedule_id ) use ( $lazy_processor ) {
+            ( new BPIBatchScheduler( $lazy_processor ) )->run( (string) $schedule_id );
+        } );
 
-        // Batch rollback manager: wp_ajax_bpi_batch_rollback (deferred).
-        add_action( 'wp_ajax_bpi_batch_rollback', function () {
+        // Batch rollback manager: wp_ajax_bpi_batch_rollback, wp_ajax_bpi_batch_history (deferred).
+        $lazy_batch_rollback = function () {
             if ( null === $this->batch_rollback_manager ) {
                 $this->batch_rollback_manager = new BPIBatchRollbackManager( $this->rollback_manager, $this->settings_manager, $this->log_manager );
                 $this->batch_rollback_manager->setNotificationManager( $this->notification_manager );
             }
-            $this->batch_rollback_manager->handleAjaxRollback();
+            return $this->batch_rollback_manager;
+        };
+        add_action( 'wp_ajax_bpi_batch_rollback', function () use ( $lazy_batch_rollback ) {
+            $lazy_batch_rollback()->handleAjaxRollback();
+        } );
+        add_action( 'wp_ajax_bpi_batch_history', function () use ( $lazy_batch_rollback ) {
+            $lazy_batch_rollback()->handleAjaxBatchHistory();
         } );
 
-        // Profile manager: wp_ajax_bpi_save_profile, wp_ajax_bpi_import_profile, wp_ajax_bpi_export_profile (deferred).
+        // Profile manager: wp_ajax_bpi_save_profile, wp_ajax_bpi_import_profile, wp_ajax_bpi_export_profile,
+        // wp_ajax_bpi_list_profiles, wp_ajax_bpi_update_profile, wp_ajax_bpi_delete_profile (deferred).
         $lazy_profile = function () {
             if ( null === $this->profile_manager ) {
                 $this->profile_manager = new BPIProfileManager();
@@ -238,11 +303,27 @@ class BulkPluginInstaller {
         add_action( 'wp_ajax_bpi_export_profile', function () use ( $lazy_profile ) {
             $lazy_profile()->handleAjaxExportProfile();
         } );
+        add_action( 'wp_ajax_bpi_list_profiles', function () use ( $lazy_profile ) {
+            $lazy_profile()->handleAjaxListProfiles();
+        } );
+        add_action( 'wp_ajax_bpi_update_profile', function () use ( $lazy_profile ) {
+            $lazy_profile()->handleAjaxUpdateProfile();
+        } );
+        add_action( 'wp_ajax_bpi_delete_profile', function () use ( $lazy_profile ) {
+            $lazy_profile()->handleAjaxDeleteProfile();
+        } );
 
-        // Log manager AJAX: wp_ajax_bpi_get_log, wp_ajax_bpi_clear_log.
+        // Log manager AJAX: wp_ajax_bpi_get_log, wp_ajax_bpi_export_log, wp_ajax_bpi_clear_log.
         add_action( 'wp_ajax_bpi_get_log', array( $this->log_manager, 'handleGetLog' ) );
+        add_action( 'wp_ajax_bpi_export_log', array( $this->log_manager, 'handleExportLog' ) );
         add_action( 'wp_ajax_bpi_clear_log', array( $this->log_manager, 'handleClearLog' ) );
 
+        // REST API: the bpi/v1 routes share the components of the AJAX handlers above.
+        add_action( 'rest_api_init', function () use ( $lazy_processor, $lazy_batch_rollback, $lazy_profile ) {
+            $controller = new BPIRestController( $lazy_processor, $lazy_batch_rollback, $lazy_profile, $this->log_manager, $this->admin_page );
+            $controller->registerRoutes();
+        } );
+
         // GitHub update checker: notifies of new versions and shows changelog in Plugins UI (eager).
         $this->github_updater = new BPIGithubUpdater();
         $this->github_updater->registerHooks();
@@ -302,10 +383,16 @@ class BulkPluginInstaller {
             'bpi_auto_activate'            => false,
             'bpi_max_plugins'              => 20,
             'bpi_auto_rollback'            => true,
+            'bpi_health_check'             => 'off',
+            'bpi_known_conflicts'          => '',
+            'bpi_security_scan'            => 'warn',
             'bpi_max_file_size'            => 0, // 0 means use server default.
+            'bpi_upload_concurrency'       => 3,
             'bpi_rollback_retention'       => 24,
             'bpi_email_notifications'      => false,
             'bpi_email_recipients'         => '',
+            'bpi_maintenance_message'      => '',
+            'bpi_maintenance_allowed_ips'  => '',
             'bpi_delete_data_on_uninstall' => false,
         );
 
@@ -335,6 +422,8 @@ class BulkPluginInstaller {
             '_transient_timeout_bpi_queue_',
             '_transient_bpi_batch_',
             '_transient_timeout_bpi_batch_',
+            '_transient_bpi_progress_',
+            '_transient_timeout_bpi_progress_',
             '_transient_bpi_admin_notice_',
             '_transient_timeout_bpi_admin_notice_',
         );
@@ -367,6 +456,13 @@ class BulkPluginInstaller {
 
         // Clear the expired backup cleanup cron.
         wp_clear_scheduled_hook( 'bpi_cleanup_expired_backups' );
+
+        // Scheduled batches cannot run once their uploads in bpi-tmp are gone.
+        wp_clear_scheduled_hook( BPIBatchScheduler::CRON_HOOK );
+        delete_option( 'bpi_scheduled_batches' );
+
+        // Never leave visitors on the maintenance page of a batch.
+        delete_option( 'bpi_maintenance_mode' );
     }
 
     /**
@@ -438,5 +534,7 @@ if ( defined( 'WP_CLI' ) && WP_CLI ) {
         $processor,
         new BPIProfileManager()
     );
+    $bpi_cli->setBatchRollbackManager( $batch_rollback_mgr );
+    $bpi_cli->setLogManager( $log_manager );
     $bpi_cli->registerCommands();
 }
@@ -23,6 +23,8 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class BPIAdminPage {
 
+    use BPIAjaxResponder;
+
     /**
      * Menu slug for the bulk upload admin page.
      *
@@ -54,6 +56,27 @@ class BPIAdminPage {
      */
     const PREVIEW_NONCE_ACTION = 'bpi_preview';
 
+    /**
+     * Preferred size in bytes of a single chunk for chunked uploads (2 MB).
+     *
+     * @var int
+     */
+    const UPLOAD_CHUNK_SIZE = 2097152;
+
+    /**
+     * Hook suffix of the Settings > Bulk Plugin Installer page, which also loads the admin assets.
+     *
+     * @var string
+     */
+    const SETTINGS_HOOK_SUFFIX = 'settings_page_bpi-settings';
+
+    /**
+     * Maximum number of network sites offered for per-site activation.
+     *
+     * @var int
+     */
+    const MAX_ACTIVATION_SITES = 200;
+
     /**
      * Register hooks for the admin page.
      *
@@ -64,6 +87,7 @@ class BPIAdminPage {
         add_action( 'admin_enqueue_scripts', array( $this, 'enqueueAssets' ) );
         add_filter( 'plugin_install_action_links', array( $this, 'addBulkUploadLink' ), 10, 1 );
         add_action( 'wp_ajax_bpi_preview', array( $this, 'handlePreview' ) );
+        add_action( 'wp_ajax_bpi_plugin_diff', array( $this, 'handlePluginDiff' ) );
     }
 
     /**
@@ -149,6 +173,7 @@ class BPIAdminPage {
         echo '<h1>' . esc_html__( 'Bulk Upload Plugins', 'bulk-plugin-installer' ) . '</h1>';
         wp_nonce_field( self::NONCE_ACTION, 'bpi_bulk_upload_nonce' );
         echo '<div id="bpi-bulk-upload-app"></div>';
+        echo '<div id="bpi-batch-history" class="bpi-batch-history"></div>';
         echo '</div>';
     }
 
@@ -160,7 +185,7 @@ class BPIAdminPage {
      * @param string $hook_suffix The current admin page hook suffix.
      */
     public function enqueueAssets( string $hook_suffix ): void {
-        if ( 'plugins_page_' . self::MENU_SLUG !== $hook_suffix ) {
+        if ( 'plugins_page_' . self::MENU_SLUG !== $hook_suffix && self::SETTINGS_HOOK_SUFFIX !== $hook_suffix ) {
             return;
         }
 
@@ -176,7 +201,7 @@ class BPIAdminPage {
         wp_enqueue_script(
             'bpi-admin',
             BPI_PLUGIN_URL . 'assets/js/bpi-admin' . $suffix . '.js',
-            array( 'jquery' ),
+            array( 'jquery', 'wp-api-fetch', 'wp-url' ),
             BPI_VERSION,
             true
         );
@@ -184,20 +209,40 @@ class BPIAdminPage {
         $is_network_admin = function_exists( 'is_multisite' ) && is_multisite()
             && function_exists( 'is_network_admin' ) && is_network_admin();
 
+        // Offer to resume a batch left unfinished by a reload or timed-out request.
+        $progress_tracker = new BPIBatchProgressTracker();
+        $inflight_batch   = $progress_tracker->getInFlight();
+
         $localize_data = array(
             'ajaxUrl'          => admin_url( 'admin-ajax.php' ),
+            'restUrl'          => esc_url_raw( rest_url( BPIRestController::NAMESPACE . '/' ) ),
+            'restNonce'        => wp_create_nonce( 'wp_rest' ),
             'nonce'            => wp_create_nonce( self::NONCE_ACTION ),
             'uploadNonce'      => wp_create_nonce( 'bpi_upload' ),
             'queueRemoveNonce' => wp_create_nonce( 'bpi_queue_remove' ),
+            'queueListNonce'   => wp_create_nonce( 'bpi_queue_list' ),
+            'queueClearNonce'  => wp_create_nonce( 'bpi_queue_clear' ),
+            'queueChecksumNonce' => wp_create_nonce( 'bpi_queue_checksum' ),
             'previewNonce'     => wp_create_nonce( self::PREVIEW_NONCE_ACTION ),
             'processNonce'       => wp_create_nonce( 'bpi_process' ),
             'dryRunNonce'        => wp_create_nonce( 'bpi_process' ),
             'rollbackNonce'      => wp_create_nonce( 'bpi_batch_rollback' ),
+            'batchHistoryNonce'  => wp_create_nonce( 'bpi_batch_history' ),
             'saveProfileNonce'   => wp_create_nonce( 'bpi_save_profile' ),
             'deleteProfileNonce' => wp_create_nonce( 'bpi_delete_profile' ),
+            'listProfilesNonce'  => wp_create_nonce( 'bpi_list_profiles' ),
+            'exportProfileNonce' => wp_create_nonce( 'bpi_export_profile' ),
+            'importProfileNonce' => wp_create_nonce( 'bpi_import_profile' ),
+            'updateProfileNonce' => wp_create_nonce( 'bpi_update_profile' ),
+            'getLogNonce'        => wp_create_nonce( 'bpi_get_log' ),
+            'clearLogNonce'      => wp_create_nonce( 'bpi_clear_log' ),
+            'logActions'         => ( new BPILogManager() )->getActionLabels(),
             'isNetworkAdmin'   => $is_network_admin,
             'maxFileSize'      => (int) get_option( 'bpi_max_file_size', 0 ),
             'maxPlugins'       => (int) get_option( 'bpi_max_plugins', 20 ),
+            'chunkSize'        => $this->getUploadChunkSize(),
+            'uploadConcurrency' => (int) get_option( 'bpi_upload_concurrency', 3 ),
+            'inflightBatch'    => empty( $inflight_batch ) ? null : $progress_tracker->toResponse( $inflight_batch ),
             'i18n'             => array(
                 'dropZoneLabel'          => __( 'Drop ZIP files here or click to browse', 'bulk-plugin-installer' ),
                 'dropZoneText'           => __( 'Drag & drop plugin ZIP files here', 'bulk-plugin-installer' ),
@@ -224,25 +269,70 @@ class BPIAdminPage {
                 'installSelected'        => __( 'Install Selected', 'bulk-plugin-installer' ),
                 'dryRunLabel'            => __( 'Simulate installation without making changes', 'bulk-plugin-installer' ),
                 'dryRunBtn'              => __( 'Dry Run', 'bulk-plugin-installer' ),
+                'maintenanceMode'        => __( 'Show visitors a maintenance page while the batch runs', 'bulk-plugin-installer' ),
+                'scheduleForLater'       => __( 'Schedule for later', 'bulk-plugin-installer' ),
+                'scheduleHelp'           => __( 'The selected plugins leave the queue and are processed by WP-Cron at the chosen time. On sites where WP-Cron is disabled, run `wp cron event run --due-now` from a system cron job.', 'bulk-plugin-installer' ),
+                'scheduleAt'             => __( 'Run at', 'bulk-plugin-installer' ),
+                'scheduleBatch'          => __( 'Schedule Batch', 'bulk-plugin-installer' ),
+                'scheduleTimeRequired'   => __( 'Choose a date and time for the batch.', 'bulk-plugin-installer' ),
+                'scheduleFailed'         => __( 'The batch could not be scheduled.', 'bulk-plugin-installer' ),
                 /* translators: %s: plugin name */
                 'selectPlugin'           => __( 'Select %s', 'bulk-plugin-installer' ),
                 'installed'              => __( 'Installed:', 'bulk-plugin-installer' ),
                 'by'                     => __( 'By', 'bulk-plugin-installer' ),
                 'lastUpdated'            => __( 'Last Updated:', 'bulk-plugin-installer' ),
                 'testedUpTo'             => __( 'Tested up to:', 'bulk-plugin-installer' ),
+                'requiresPlugins'        => __( 'Requires:', 'bulk-plugin-installer' ),
                 /* translators: %s: plugin name */
                 'overrideCompatLabel'    => __( 'Override incompatibility warning for %s', 'bulk-plugin-installer' ),
                 'installAnyway'          => __( 'Install anyway (override)', 'bulk-plugin-installer' ),
+                'severityBlocking'       => __( 'Blocking', 'bulk-plugin-installer' ),
+                'severityAdvisory'       => __( 'Advisory', 'bulk-plugin-installer' ),
+                'securityFindings'       => __( 'Security scan findings', 'bulk-plugin-installer' ),
+                'securityBlocked'        => __( 'Blocked by the security scan', 'bulk-plugin-installer' ),
+                'severityHigh'           => __( 'High', 'bulk-plugin-installer' ),
+                'severityMedium'         => __( 'Medium', 'bulk-plugin-installer' ),
+                /* translators: %s: expected SHA-256 checksum */
+                'checksumBlocked'        => __( 'The ZIP does not match the expected checksum %s. It may have been modified and will not be installed.', 'bulk-plugin-installer' ),
                 /* translators: %s: plugin name */
                 'toggleChangelogLabel'   => __( 'Toggle changelog for %s', 'bulk-plugin-installer' ),
                 'changelog'              => __( 'Changelog', 'bulk-plugin-installer' ),
                 'noChangelog'            => __( 'No changelog available', 'bulk-plugin-installer' ),
+                'highlightSecurity'      => __( 'Security', 'bulk-plugin-installer' ),
+                'highlightBreaking'      => __( 'Breaking change', 'bulk-plugin-installer' ),
+                'highlightDeprecated'    => __( 'Deprecation', 'bulk-plugin-installer' ),
+                /* translators: %s: plugin name */
+                'toggleWhatChangedLabel' => __( 'Toggle file changes for %s', 'bulk-plugin-installer' ),
+                'whatChanged'            => __( 'What changed', 'bulk-plugin-installer' ),
+                'loadingDiff'            => __( 'Comparing files…', 'bulk-plugin-installer' ),
+                'diffFailed'             => __( 'The file comparison could not be loaded.', 'bulk-plugin-installer' ),
+                'noFileChanges'          => __( 'No files changed.', 'bulk-plugin-installer' ),
+                /* translators: 1: added file count, 2: removed file count, 3: modified file count */
+                'diffSummary'            => __( '%1$s added, %2$s removed, %3$s modified', 'bulk-plugin-installer' ),
+                /* translators: %s: signed size change, e.g. +1.2 KB */
+                'sizeChange'             => __( 'Size change: %s', 'bulk-plugin-installer' ),
+                'fileAdded'              => __( 'Added', 'bulk-plugin-installer' ),
+                'fileRemoved'            => __( 'Removed', 'bulk-plugin-installer' ),
+                'fileModified'           => __( 'Modified', 'bulk-plugin-installer' ),
+                'installedFile'          => __( 'Installed', 'bulk-plugin-installer' ),
+                'uploadedFile'           => __( 'Uploaded', 'bulk-plugin-installer' ),
+                'noLineChanges'          => __( 'Only line endings or whitespace at the end of the file changed.', 'bulk-plugin-installer' ),
+                'diffTooLarge'           => __( 'Too many changes to show inline.', 'bulk-plugin-installer' ),
+                'diffLimit'              => __( 'Inline diffs are only shown for a limited number of modified files.', 'bulk-plugin-installer' ),
+                'diffTruncated'          => __( 'The diff was shortened; more changes follow.', 'bulk-plugin-installer' ),
                 /* translators: %s: plugin name */
                 'networkActivateLabel'   => __( 'Network Activate %s', 'bulk-plugin-installer' ),
                 'networkActivate'        => __( 'Network Activate', 'bulk-plugin-installer' ),
                 /* translators: %s: plugin name */
                 'activateAfterLabel'     => __( 'Activate %s after install', 'bulk-plugin-installer' ),
                 'activate'               => __( 'Activate', 'bulk-plugin-installer' ),
+                'currentlyActive'        => __( 'Currently active', 'bulk-plugin-installer' ),
+                'currentlyNetworkActive' => __( 'Currently network active', 'bulk-plugin-installer' ),
+                /* translators: %s: number of sites */
+                'activeOnSites'          => __( 'Currently active on %s site(s)', 'bulk-plugin-installer' ),
+                'activateOnSites'        => __( 'Activate on specific sites', 'bulk-plugin-installer' ),
+                /* translators: %s: plugin name */
+                'activateOnSitesLabel'   => __( 'Sites to activate %s on', 'bulk-plugin-installer' ),
                 'allSelected'            => __( 'All plugins selected', 'bulk-plugin-installer' ),
                 'allDeselected'          => __( 'All plugins deselected', 'bulk-plugin-installer' ),
                 'overrideApplied'        => __( 'Incompatibility override applied', 'bulk-plugin-installer' ),
@@ -252,6 +342,28 @@ class BPIAdminPage {
                 'installing'             => __( 'Installing…', 'bulk-plugin-installer' ),
                 'success'                => __( 'Success', 'bulk-plugin-installer' ),
                 'failed'                 => __( 'Failed', 'bulk-plugin-installer' ),
+                'incompatible'           => __( 'Incompatible', 'bulk-plugin-installer' ),
+                'stageBackingUp'         => __( 'Backing up…', 'bulk-plugin-installer' ),
+                'stageExtracting'        => __( 'Extracting…', 'bulk-plugin-installer' ),
+                'stageActivating'        => __( 'Activating…', 'bulk-plugin-installer' ),
+                'stageRollingBack'       => __( 'Rolling back…', 'bulk-plugin-installer' ),
+                'stageSimulating'        => __( 'Simulating…', 'bulk-plugin-installer' ),
+                'stageCheckingHealth'    => __( 'Checking site health…', 'bulk-plugin-installer' ),
+                'unfinishedBatch'        => __( 'Unfinished batch', 'bulk-plugin-installer' ),
+                /* translators: 1: processed count, 2: total count */
+                'unfinishedBatchText'    => __( 'A previous batch stopped before finishing: %1$s of %2$s plugins were processed.', 'bulk-plugin-installer' ),
+                'unfinishedDryRunText'   => __( 'A previous dry run stopped before finishing: %1$s of %2$s plugins were processed.', 'bulk-plugin-installer' ),
+                'resumeBatch'            => __( 'Resume', 'bulk-plugin-installer' ),
+                'resumeBatchLabel'       => __( 'Resume the unfinished batch from the first unprocessed plugin', 'bulk-plugin-installer' ),
+                'viewBatch'              => __( 'View Progress', 'bulk-plugin-installer' ),
+                'viewBatchLabel'         => __( 'View the progress of the unfinished batch', 'bulk-plugin-installer' ),
+                'discardBatch'           => __( 'Discard', 'bulk-plugin-installer' ),
+                'discardBatchLabel'      => __( 'Discard the unfinished batch', 'bulk-plugin-installer' ),
+                'confirmDiscardBatch'    => __( 'Discard the unfinished batch? Plugins already processed will not be changed.', 'bulk-plugin-installer' ),
+                'batchPaused'            => __( 'Batch Paused', 'bulk-plugin-installer' ),
+                'waitingForPrevious'     => __( 'Waiting for the previous request to finish…', 'bulk-plugin-installer' ),
+                'install'                => __( 'Install', 'bulk-plugin-installer' ),
+                'update'                 => __( 'Update', 'bulk-plugin-installer' ),
                 'processingStatusLabel'  => __( 'Plugin processing status', 'bulk-plugin-installer' ),
                 'dryRunInProgress'       => __( 'Dry Run in Progress…', 'bulk-plugin-installer' ),
                 'installingPlugins'      => __( 'Installing Plugins…', 'bulk-plugin-installer' ),
@@ -271,21 +383,228 @@ class BPIAdminPage {
                 'failedLabel'            => __( 'Failed', 'bulk-plugin-installer' ),
                 'perPluginResultsLabel'  => __( 'Per-plugin results', 'bulk-plugin-installer' ),
                 'rolledBack'             => __( 'Rolled back', 'bulk-plugin-installer' ),
+                'healthCheckRolledBack'  => __( 'Rolled back: site health check failed', 'bulk-plugin-installer' ),
                 'rollbackBatchLabel'     => __( 'Rollback entire batch', 'bulk-plugin-installer' ),
                 'rollbackBatch'          => __( 'Rollback Entire Batch', 'bulk-plugin-installer' ),
+                'batchHistory'           => __( 'Batch History', 'bulk-plugin-installer' ),
+                'batchHistoryHelp'       => __( 'Batches whose backups are still retained can be rolled back until the retention period ends.', 'bulk-plugin-installer' ),
+                'noBatchHistory'         => __( 'No batches can be rolled back.', 'bulk-plugin-installer' ),
+                'scheduledBatches'       => __( 'Scheduled batches', 'bulk-plugin-installer' ),
+                /* translators: 1: date and time, 2: user name */
+                'scheduledFor'           => __( '%1$s, scheduled by %2$s', 'bulk-plugin-installer' ),
+                'scheduleStatusScheduled' => __( 'Scheduled', 'bulk-plugin-installer' ),
+                'scheduleStatusRunning'  => __( 'Running', 'bulk-plugin-installer' ),
+                'scheduleStatusComplete' => __( 'Completed', 'bulk-plugin-installer' ),
+                'scheduleStatusFailed'   => __( 'Failed', 'bulk-plugin-installer' ),
+                'scheduleStatusCancelled' => __( 'Cancelled', 'bulk-plugin-installer' ),
+                'maintenanceModeOn'      => __( 'With maintenance page', 'bulk-plugin-installer' ),
+                'reschedule'             => __( 'Reschedule', 'bulk-plugin-installer' ),
+                /* translators: %s: date and time the batch is scheduled for */
+                'rescheduleLabel'        => __( 'New date and time for the batch scheduled for %s', 'bulk-plugin-installer' ),
+                'cancelSchedule'         => __( 'Cancel', 'bulk-plugin-installer' ),
+                'confirmCancelSchedule'  => __( 'Cancel this scheduled batch? Its plugins will not be installed and their uploads will be deleted.', 'bulk-plugin-installer' ),
+                'scheduleUpdateFailed'   => __( 'The scheduled batch could not be changed.', 'bulk-plugin-installer' ),
+                /* translators: 1: date and time, 2: user name */
+                'batchRunBy'             => __( '%1$s by %2$s', 'bulk-plugin-installer' ),
+                'unknownUser'            => __( 'unknown user', 'bulk-plugin-installer' ),
+                /* translators: %s: remaining time, e.g. "5 h 20 min" */
+                'batchExpiresIn'         => __( 'Backups kept for %s', 'bulk-plugin-installer' ),
+                'batchExpiringSoon'      => __( 'Backups are about to be removed', 'bulk-plugin-installer' ),
+                /* translators: 1: hours, 2: minutes */
+                'durationHours'          => __( '%1$s h %2$s min', 'bulk-plugin-installer' ),
+                /* translators: %s: minutes */
+                'durationMinutes'        => __( '%s min', 'bulk-plugin-installer' ),
+                /* translators: 1: installed count, 2: updated count, 3: failed count */
+                'batchSummary'           => __( '%1$s installed, %2$s updated, %3$s failed', 'bulk-plugin-installer' ),
+                /* translators: %s: batch date and time */
+                'batchPluginsLabel'      => __( 'Plugins in the batch from %s', 'bulk-plugin-installer' ),
+                'batchPluginsToggle'     => __( 'Show plugins', 'bulk-plugin-installer' ),
+                /* translators: %s: batch date and time */
+                'rollbackHistoryLabel'   => __( 'Roll back the batch from %s', 'bulk-plugin-installer' ),
+                'rollingBack'            => __( 'Rolling back…', 'bulk-plugin-installer' ),
+                'rollbackReport'         => __( 'Rollback report', 'bulk-plugin-installer' ),
+                'rollbackRequestFailed'  => __( 'The rollback request failed. Please try again.', 'bulk-plugin-installer' ),
+                'rollbackRestored'       => __( 'Restored', 'bulk-plugin-installer' ),
+                'rollbackRemoved'        => __( 'Removed', 'bulk-plugin-installer' ),
+                'rollbackSkipped'        => __( 'Skipped', 'bulk-plugin-installer' ),
+                'rollbackSelected'       => __( 'Roll Back Selected', 'bulk-plugin-installer' ),
+                'rollbackSelectedLabel'  => __( 'Roll back the selected plugins', 'bulk-plugin-installer' ),
+                /* translators: %s: plugin name */
+                'selectForRollbackLabel' => __( 'Select %s for rollback', 'bulk-plugin-installer' ),
                 'saveProfileLabel'       => __( 'Save installed plugins as a profile', 'bulk-plugin-installer' ),
                 'saveAsProfile'          => __( 'Save as Profile', 'bulk-plugin-installer' ),
-                'onlyZipAccepted'        => __( 'Only .zip files are accepted. Skipped:', 'bulk-plugin-installer' ),
+                'onlyZipAccepted'        => __( 'Only .zip files and their .sha256 checksum files are accepted. Skipped:', 'bulk-plugin-installer' ),
                 /* translators: %s: file name */
                 'uploaded'               => __( 'Uploaded %s', 'bulk-plugin-installer' ),
                 'uploadFailedInvalid'    => __( 'Upload failed: invalid server response.', 'bulk-plugin-installer' ),
                 'uploadFailed'           => __( 'Upload failed.', 'bulk-plugin-installer' ),
                 'networkErrorUpload'     => __( 'Network error during upload.', 'bulk-plugin-installer' ),
+                'retryingChunk'          => __( 'Retrying…', 'bulk-plugin-installer' ),
+                'inspectingZip'          => __( 'Checking…', 'bulk-plugin-installer' ),
+                /* translators: 1: file name, 2: reason */
+                'zipRejected'            => __( '%1$s was not uploaded: %2$s', 'bulk-plugin-installer' ),
+                'zipInvalid'             => __( 'The file is not a valid ZIP archive.', 'bulk-plugin-installer' ),
+                'zipTooManyEntries'      => __( 'The archive contains too many files.', 'bulk-plugin-installer' ),
+                'zipPathTraversal'       => __( 'The archive contains unsafe file paths and was rejected for security.', 'bulk-plugin-installer' ),
+                'zipSymlink'             => __( 'The archive contains symbolic links and was rejected for security.', 'bulk-plugin-installer' ),
+                'zipBomb'                => __( 'Suspicious compression ratio detected.', 'bulk-plugin-installer' ),
+                'zipNested'              => __( 'The archive contains another ZIP file instead of a plugin. Extract it and upload the inner ZIP.', 'bulk-plugin-installer' ),
+                'zipTheme'               => __( 'The archive looks like a theme, not a plugin. Install themes from Appearance > Themes.', 'bulk-plugin-installer' ),
+                'zipNoPlugin'            => __( 'The archive does not contain a valid WordPress plugin.', 'bulk-plugin-installer' ),
+                'zipNoHeader'            => __( 'No Plugin Name header was found in the main plugin folder. The upload may be rejected.', 'bulk-plugin-installer' ),
+                'uploadWaiting'          => __( 'Waiting…', 'bulk-plugin-installer' ),
+                'uploadPaused'           => __( 'Paused', 'bulk-plugin-installer' ),
+                'uploadFailedStatus'     => __( 'Failed', 'bulk-plugin-installer' ),
+                'pauseUpload'            => __( 'Pause', 'bulk-plugin-installer' ),
+                'resumeUpload'           => __( 'Resume', 'bulk-plugin-installer' ),
+                'retryUpload'            => __( 'Retry', 'bulk-plugin-installer' ),
+                'cancelUpload'           => __( 'Cancel', 'bulk-plugin-installer' ),
+                /* translators: %s: file name */
+                'pauseUploadLabel'       => __( 'Pause upload of %s', 'bulk-plugin-installer' ),
+                /* translators: %s: file name */
+                'resumeUploadLabel'      => __( 'Resume upload of %s', 'bulk-plugin-installer' ),
+                /* translators: %s: file name */
+                'retryUploadLabel'       => __( 'Retry upload of %s', 'bulk-plugin-installer' ),
+                /* translators: %s: file name */
+                'cancelUploadLabel'      => __( 'Cancel upload of %s', 'bulk-plugin-installer' ),
+                /* translators: %s: file name */
+                'uploadPausedAnnounce'   => __( 'Paused upload of %s', 'bulk-plugin-installer' ),
+                /* translators: %s: file name */
+                'uploadCancelled'        => __( 'Cancelled upload of %s', 'bulk-plugin-installer' ),
                 /* translators: %s: plugin slug */
                 'duplicateDetected'      => __( "Duplicate plugin '%s' detected. Only one copy was kept in the queue.", 'bulk-plugin-installer' ),
                 /* translators: %s: plugin slug */
                 'removedFromQueue'       => __( 'Removed %s from queue', 'bulk-plugin-installer' ),
                 'uploadedStatus'         => __( 'Uploaded', 'bulk-plugin-installer' ),
+                'restoredStatus'         => __( 'Uploaded earlier', 'bulk-plugin-installer' ),
+                'clearQueue'             => __( 'Clear Queue', 'bulk-plugin-installer' ),
+                'clearQueueLabel'        => __( 'Remove all files from the upload queue', 'bulk-plugin-installer' ),
+                'confirmClearQueue'      => __( 'Remove all files from the upload queue?', 'bulk-plugin-installer' ),
+                'queueCleared'           => __( 'Upload queue cleared.', 'bulk-plugin-installer' ),
+                'clearQueueFailed'       => __( 'Failed to clear the upload queue.', 'bulk-plugin-installer' ),
+                'checksumLabel'          => __( 'SHA-256', 'bulk-plugin-installer' ),
+                'checksumMatch'          => __( 'Checksum matches', 'bulk-plugin-installer' ),
+                'checksumMismatch'       => __( 'Checksum mismatch', 'bulk-plugin-installer' ),
+                'checksumUnverified'     => __( 'Not verified', 'bulk-plugin-installer' ),
+                'checksumSourceManual'   => __( 'Entered on this screen', 'bulk-plugin-installer' ),
+                'checksumSourceSidecar'  => __( 'From a .sha256 file', 'bulk-plugin-installer' ),
+                'checksumSourceProfile'  => __( 'From the profile', 'bulk-plugin-installer' ),
+                'checksumSourceManifest' => __( 'From the manifest', 'bulk-plugin-installer' ),
+                'setChecksum'            => __( 'Expected checksum', 'bulk-plugin-installer' ),
+                /* translators: %s: file name */
+                'setChecksumLabel'       => __( 'Enter the expected SHA-256 checksum of %s', 'bulk-plugin-installer' ),
+                'checksumPlaceholder'    => __( 'Paste the SHA-256 checksum', 'bulk-plugin-installer' ),
+                'checksumOptional'       => __( 'Optional', 'bulk-plugin-installer' ),
+                /* translators: %s: plugin slug or entry number */
+                'checksumEntryLabel'     => __( 'Expected SHA-256 checksum of %s', 'bulk-plugin-installer' ),
+                'verifyChecksum'         => __( 'Verify', 'bulk-plugin-installer' ),
+                'checksumSaveFailed'     => __( 'Failed to save the expected checksum.', 'bulk-plugin-installer' ),
+                /* translators: %s: file name */
+                'checksumVerified'       => __( '%s matches the expected checksum.', 'bulk-plugin-installer' ),
+                /* translators: %s: file name */
+                'checksumMismatchNotice' => __( '%s does not match the expected checksum. It may have been modified.', 'bulk-plugin-installer' ),
+                'addFromUrls'            => __( 'Add from URL or WordPress.org', 'bulk-plugin-installer' ),
+                'remoteSourcesHelp'      => __( 'One per line: a ZIP URL, a WordPress.org plugin slug, or slug@version to pin a version.', 'bulk-plugin-installer' ),
+                'remotePlaceholder'      => "akismet\nclassic-editor@1.6.3\nhttps://example.com/my-plugin.zip",
+                'addRemote'              => __( 'Add to Queue', 'bulk-plugin-installer' ),
+                'fetchingRemote'         => __( 'Downloading…', 'bulk-plugin-installer' ),
+                'remoteAddFailed'        => __( 'Failed to download the plugins. Please try again.', 'bulk-plugin-installer' ),
+                'manifestHelp'           => __( 'Or import a bpi.json or YAML manifest:', 'bulk-plugin-installer' ),
+                'manifestImportFailed'   => __( 'Failed to import the manifest. Please try again.', 'bulk-plugin-installer' ),
+                'applyProfile'           => __( 'Apply a saved profile', 'bulk-plugin-installer' ),
+                'noProfile'              => __( '— No profile —', 'bulk-plugin-installer' ),
+                'profileInQueue'         => __( 'In queue', 'bulk-plugin-installer' ),
+                /* translators: %s: installed version */
+                'profileInstalled'       => __( 'Installed %s', 'bulk-plugin-installer' ),
+                'profileZipMissing'      => __( 'ZIP missing', 'bulk-plugin-installer' ),
+                /* translators: %s: comma-separated plugin names */
+                'profileMissingZips'     => __( 'Upload the missing ZIPs to install the full profile: %s', 'bulk-plugin-installer' ),
+                'profileReady'           => __( 'Every plugin in this profile is queued or installed. Matching plugins will be pre-selected on the preview screen.', 'bulk-plugin-installer' ),
+                /* translators: %s: profile name */
+                'profileApplied'         => __( "Profile '%s' will be applied on the preview screen.", 'bulk-plugin-installer' ),
+                /* translators: %s: profile name */
+                'profilePreselected'     => __( "Plugins and activation choices pre-selected from profile '%s'.", 'bulk-plugin-installer' ),
+                'profilesHeading'        => __( 'Plugin Profiles', 'bulk-plugin-installer' ),
+                'noProfiles'             => __( 'No profiles saved yet.', 'bulk-plugin-installer' ),
+                'profileName'            => __( 'Name', 'bulk-plugin-installer' ),
+                'profileCreated'         => __( 'Created', 'bulk-plugin-installer' ),
+                'profilePlugins'         => __( 'Plugins', 'bulk-plugin-installer' ),
+                'profileActions'         => __( 'Actions', 'bulk-plugin-installer' ),
+                'editProfile'            => __( 'Edit', 'bulk-plugin-installer' ),
+                /* translators: %s: profile name */
+                'editProfileLabel'       => __( 'Edit profile: %s', 'bulk-plugin-installer' ),
+                'editProfileHeading'     => __( 'Edit Profile', 'bulk-plugin-installer' ),
+                'downloadProfile'        => __( 'Download', 'bulk-plugin-installer' ),
+                /* translators: %s: profile name */
+                'downloadProfileLabel'   => __( 'Download profile as JSON: %s', 'bulk-plugin-installer' ),
+                'downloadManifest'       => __( 'Download bpi.json', 'bulk-plugin-installer' ),
+                /* translators: %s: profile name */
+                'downloadManifestLabel'  => __( 'Download profile as a bpi.json manifest: %s', 'bulk-plugin-installer' ),
+                'deleteProfile'          => __( 'Delete', 'bulk-plugin-installer' ),
+                /* translators: %s: profile name */
+                'deleteProfileLabel'     => __( 'Delete profile: %s', 'bulk-plugin-installer' ),
+                /* translators: %s: profile name */
+                'confirmDeleteProfile'   => __( "Delete profile '%s'? This cannot be undone.", 'bulk-plugin-installer' ),
+                'pluginSlug'             => __( 'Slug', 'bulk-plugin-installer' ),
+                /* translators: %s: entry position */
+                'pluginSlugLabel'        => __( 'Slug of plugin %s', 'bulk-plugin-installer' ),
+                /* translators: %s: entry position */
+                'pluginNameLabel'        => __( 'Name of plugin %s', 'bulk-plugin-installer' ),
+                'pinnedVersion'          => __( 'Pinned version', 'bulk-plugin-installer' ),
+                /* translators: %s: plugin slug */
+                'pinnedVersionLabel'     => __( 'Pinned version of %s', 'bulk-plugin-installer' ),
+                'anyVersion'             => __( 'Any', 'bulk-plugin-installer' ),
+                /* translators: %s: plugin slug */
+                'moveUpLabel'            => __( 'Move %s up', 'bulk-plugin-installer' ),
+                /* translators: %s: plugin slug */
+                'moveDownLabel'          => __( 'Move %s down', 'bulk-plugin-installer' ),
+                /* translators: %s: plugin slug */
+                'removeEntryLabel'       => __( 'Remove %s from the profile', 'bulk-plugin-installer' ),
+                'addProfileEntry'        => __( 'Add Plugin', 'bulk-plugin-installer' ),
+                'saveProfile'            => __( 'Save Profile', 'bulk-plugin-installer' ),
+                'profileNameRequired'    => __( 'Profile name is required.', 'bulk-plugin-installer' ),
+                'importProfile'          => __( 'Import Profile', 'bulk-plugin-installer' ),
+                'importProfileHelp'      => __( 'Choose a profile JSON file or paste its contents, then click Import.', 'bulk-plugin-installer' ),
+                'importProfileFile'      => __( 'Profile file', 'bulk-plugin-installer' ),
+                'importProfileJson'      => __( 'Profile JSON', 'bulk-plugin-installer' ),
+                'importProfileBtn'       => __( 'Import', 'bulk-plugin-installer' ),
+                'importProfileEmpty'     => __( 'Choose a file or paste the profile JSON first.', 'bulk-plugin-installer' ),
+                /* translators: %s: JSON parser error */
+                'invalidProfileJson'     => __( 'The profile is not valid JSON: %s', 'bulk-plugin-installer' ),
+                'profileRequestFailed'   => __( 'The request failed. Please try again.', 'bulk-plugin-installer' ),
+                'logFiltersLabel'        => __( 'Filter the activity log', 'bulk-plugin-installer' ),
+                'logAction'              => __( 'Action', 'bulk-plugin-installer' ),
+                'allActions'             => __( 'All actions', 'bulk-plugin-installer' ),
+                'logUser'                => __( 'User', 'bulk-plugin-installer' ),
+                'allUsers'               => __( 'All users', 'bulk-plugin-installer' ),
+                'logPluginSlug'          => __( 'Plugin slug', 'bulk-plugin-installer' ),
+                'logBatchId'             => __( 'Batch ID', 'bulk-plugin-installer' ),
+                'logDateFrom'            => __( 'From', 'bulk-plugin-installer' ),
+                'logDateTo'              => __( 'To', 'bulk-plugin-installer' ),
+                'applyLogFilters'        => __( 'Filter', 'bulk-plugin-installer' ),
+                'resetLogFilters'        => __( 'Reset', 'bulk-plugin-installer' ),
+                'exportLogCsv'           => __( 'Export CSV', 'bulk-plugin-installer' ),
+                'exportLogJson'          => __( 'Export JSON', 'bulk-plugin-installer' ),
+                'clearLog'               => __( 'Clear Log', 'bulk-plugin-installer' ),
+                'confirmClearLog'        => __( 'Are you sure you want to clear the activity log? This cannot be undone.', 'bulk-plugin-installer' ),
+                'loadingLog'             => __( 'Loading log entries…', 'bulk-plugin-installer' ),
+                'noLogEntries'           => __( 'No log entries found.', 'bulk-plugin-installer' ),
+                'noMatchingLogEntries'   => __( 'No log entries match these filters.', 'bulk-plugin-installer' ),
+                'logTimestamp'           => __( 'Timestamp', 'bulk-plugin-installer' ),
+                'logPlugin'              => __( 'Plugin', 'bulk-plugin-installer' ),
+                'logStatus'              => __( 'Status', 'bulk-plugin-installer' ),
+                'logMessage'             => __( 'Message', 'bulk-plugin-installer' ),
+                'logVersion'             => __( 'Version', 'bulk-plugin-installer' ),
+                'logEntryId'             => __( 'Entry ID', 'bulk-plugin-installer' ),
+                'logDetails'             => __( 'Details', 'bulk-plugin-installer' ),
+                /* translators: %s: log entry ID */
+                'logDetailsLabel'        => __( 'Show details for log entry %s', 'bulk-plugin-installer' ),
+                'dryRunBadge'            => __( 'Dry Run', 'bulk-plugin-installer' ),
+                'logPrevPage'            => __( 'Previous', 'bulk-plugin-installer' ),
+                'logNextPage'            => __( 'Next', 'bulk-plugin-installer' ),
+                /* translators: 1: current page, 2: total pages, 3: total entries */
+                'logPageOf'              => __( 'Page %1$s of %2$s (%3$s entries)', 'bulk-plugin-installer' ),
+                'logRequestFailed'       => __( 'The activity log could not be loaded. Please try again.', 'bulk-plugin-installer' ),
                 'remove'                 => __( 'Remove', 'bulk-plugin-installer' ),
                 /* translators: %s: file name */
                 'removeFromQueueLabel'   => __( 'Remove %s from queue', 'bulk-plugin-installer' ),
@@ -297,6 +616,7 @@ class BPIAdminPage {
                 /* translators: 1: count, 2: formatted size */
                 'queueSummary'           => __( '%1$s file(s) — %2$s', 'bulk-plugin-installer' ),
                 'confirmRollback'        => __( 'Are you sure you want to rollback the entire batch? This will revert all installed/updated plugins.', 'bulk-plugin-installer' ),
+                'confirmRollbackSelected' => __( 'Are you sure you want to roll back the selected plugins? The rest of the batch is kept.', 'bulk-plugin-installer' ),
                 'enterProfileName'       => __( 'Enter a name for this profile:', 'bulk-plugin-installer' ),
                 /* translators: %d: max plugins allowed */
                 'queueLimitExceeded'     => __( 'Queue limit of %d plugins would be exceeded.', 'bulk-plugin-installer' ),
@@ -307,6 +627,7 @@ class BPIAdminPage {
 
         if ( $is_network_admin ) {
             $localize_data['networkActivateNonce'] = wp_create_nonce( 'bpi_network_activate' );
+            $localize_data['sites']                = $this->getActivationSites();
         }
 
         wp_localize_script(
@@ -327,88 +648,147 @@ class BPIAdminPage {
      * @since 1.0.0
      */
     public function handlePreview(): void {
-        // Verify nonce.
-        $nonce = isset( $_POST['_wpnonce'] ) ? wp_unslash( $_POST['_wpnonce'] ) : '';
-        if ( ! wp_verify_nonce( $nonce, self::PREVIEW_NONCE_ACTION ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'Security verification failed. Please refresh the page and try again.', 'bulk-plugin-installer' ) ),
-                403
-            );
+        if ( ! $this->verifyAjaxRequest( self::PREVIEW_NONCE_ACTION ) ) {
             return;
         }
 
-        // Verify capability (network context uses manage_network_plugins).
-        $required_cap = $this->getRequiredCapability();
-        if ( ! current_user_can( $required_cap ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'You do not have permission to install plugins.', 'bulk-plugin-installer' ) ),
-                403
-            );
-            return;
-        }
+        $profile_id = isset( $_POST['profile_id'] ) ? absint( wp_unslash( $_POST['profile_id'] ) ) : 0;
 
-        // Determine if we are in network admin context.
-        $is_network_admin = $this->isNetworkAdminContext();
+        $this->sendJsonResult( $this->buildPreview( $profile_id, $this->isNetworkAdminContext() ) );
+    }
 
+    /**
+     * Build the preview data for the current user's queue.
+     *
+     * @since 1.1.0
+     *
+     * @param int  $profile_id       Profile whose pinned checksums apply, or 0 for none.
+     * @param bool $is_network_admin Whether to preview for Network Admin.
+     * @return array|\WP_Error Preview items under 'plugins', or WP_Error with an HTTP 'status'.
+     */
+    public function buildPreview( int $profile_id, bool $is_network_admin ): array|\WP_Error {
         // Get queued items.
         $queue_manager = new BPIQueueManager();
         $queue         = $queue_manager->getAll();
 
         if ( empty( $queue ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'No plugins in the upload queue.', 'bulk-plugin-installer' ) ),
-                400
-            );
-            return;
+            return new \WP_Error( 'bpi_empty_queue', __( 'No plugins in the upload queue.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
         }
 
         // Run compatibility checks.
-        $compat_checker = new BPICompatibilityChecker();
+        $compat_checker = new BPICompatibilityChecker( $is_network_admin );
         $queue          = $compat_checker->checkAll( $queue );
 
-        // Get installed plugins for action labeling.
+        // Get installed plugins for action labeling and their activation state.
         $installed_plugins = function_exists( 'get_plugins' ) ? get_plugins() : array();
+        $active_site_ids   = $is_network_admin ? $this->getActiveSiteIds() : array();
         $installed_by_slug = array();
         foreach ( $installed_plugins as $plugin_file => $plugin_info ) {
             $slug = dirname( $plugin_file );
             if ( '.' !== $slug ) {
                 $installed_by_slug[ $slug ] = array(
-                    'version'     => $plugin_info['Version'] ?? '',
-                    'plugin_file' => $plugin_file,
+                    'version'         => $plugin_info['Version'] ?? '',
+                    'plugin_file'     => $plugin_file,
+                    'active'          => is_plugin_active( $plugin_file ),
+                    'network_active'  => $is_network_admin && is_plugin_active_for_network( $plugin_file ),
+                    'active_site_ids' => $active_site_ids[ $plugin_file ] ?? array(),
                 );
             }
         }
 
+        // Checksums pinned in the chosen profile apply to plugins without one.
+        $profile_checksums = $this->getProfileChecksums( $profile_id );
+
         // Build preview data for each plugin.
         $changelog_extractor = new BPIChangelogExtractor();
+        $security_scanner    = new BPISecurityScanner();
+        $checksum_verifier   = new BPIChecksumVerifier();
         $preview_items       = array();
 
         foreach ( $queue as $item ) {
-            $preview_items[] = $this->buildPreviewItem( $item, $installed_by_slug, $changelog_extractor, $is_network_admin );
+            $slug = $item['slug'] ?? '';
+            if ( empty( $item['expected_sha256'] ) && isset( $profile_checksums[ $slug ] ) ) {
+                $item['expected_sha256'] = $profile_checksums[ $slug ];
+                $item['checksum_source'] = 'profile';
+            }
+
+            $preview_items[] = $this->buildPreviewItem( $item, $installed_by_slug, $changelog_extractor, $compat_checker, $security_scanner, $checksum_verifier, $is_network_admin );
         }
 
         $preview_items = apply_filters( 'bpi_preview_items', $preview_items, $queue );
 
-        wp_send_json_success( array( 'plugins' => $preview_items ) );
+        return array( 'plugins' => $preview_items );
+    }
+
+    /**
+     * AJAX handler for wp_ajax_bpi_plugin_diff.
+     *
+     * Compares a queued update against the installed plugin directory for
+     * the "What changed" panel of the preview screen.
+     *
+     * @since 1.1.0
+     */
+    public function handlePluginDiff(): void {
+        if ( ! $this->verifyAjaxRequest( self::PREVIEW_NONCE_ACTION ) ) {
+            return;
+        }
+
+        $slug = isset( $_POST['slug'] ) ? sanitize_text_field( wp_unslash( $_POST['slug'] ) ) : '';
+
+        $this->sendJsonResult( $this->getPluginDiff( $slug ) );
+    }
+
+    /**
+     * Compare a queued update against the installed plugin directory.
+     *
+     * @since 1.1.0
+     *
+     * @param string $slug Plugin slug.
+     * @return array|\WP_Error Diff from BPIPluginDiff::compare(), or WP_Error with an HTTP 'status'.
+     */
+    public function getPluginDiff( string $slug ): array|\WP_Error {
+        $queued = null;
+        foreach ( ( new BPIQueueManager() )->getAll() as $item ) {
+            if ( '' !== $slug && $slug === ( $item['slug'] ?? '' ) ) {
+                $queued = $item;
+                break;
+            }
+        }
+
+        if ( null === $queued ) {
+            return new \WP_Error( 'bpi_not_queued', __( 'Plugin not found in queue.', 'bulk-plugin-installer' ), array( 'status' => 404 ) );
+        }
+
+        $diff = ( new BPIPluginDiff() )->compare( $queued['file_path'] ?? '', WP_CONTENT_DIR . '/plugins/' . $slug );
+
+        if ( is_wp_error( $diff ) ) {
+            return new \WP_Error( $diff->get_error_code(), $diff->get_error_message(), array( 'status' => 400 ) );
+        }
+
+        return $diff;
     }
 
     /**
      * Build a single preview item for a queued plugin.
      *
-     * @param array                $item                Queued plugin data.
-     * @param array                $installed_by_slug   Installed plugins indexed by slug.
-     * @param BPIChangelogExtractor $changelog_extractor Changelog extractor instance.
-     * @param bool                 $is_network_admin    Whether in network admin context.
+     * @param array                   $item                Queued plugin data.
+     * @param array                   $installed_by_slug   Installed plugins indexed by slug.
+     * @param BPIChangelogExtractor   $changelog_extractor Changelog extractor instance.
+     * @param BPICompatibilityChecker $compat_checker      Compatibility checker instance.
+     * @param BPISecurityScanner      $security_scanner    Security scanner instance.
+     * @param BPIChecksumVerifier     $checksum_verifier   Checksum verifier instance.
+     * @param bool                    $is_network_admin    Whether in network admin context.
      * @return array Preview item data.
      */
-    private function buildPreviewItem( array $item, array $installed_by_slug, BPIChangelogExtractor $changelog_extractor, bool $is_network_admin ): array {
-        $slug = $item['slug'] ?? '';
+    private function buildPreviewItem( array $item, array $installed_by_slug, BPIChangelogExtractor $changelog_extractor, BPICompatibilityChecker $compat_checker, BPISecurityScanner $security_scanner, BPIChecksumVerifier $checksum_verifier, bool $is_network_admin ): array {
+        $slug      = $item['slug'] ?? '';
+        $installed = $installed_by_slug[ $slug ] ?? array();
 
         // Determine action: install or update.
         $action            = 'install';
         $installed_version = null;
         $update_type       = '';
-        if ( isset( $installed_by_slug[ $slug ] ) ) {
+        if ( ! empty( $installed ) ) {
             $action            = 'update';
             $installed_version = $installed_by_slug[ $slug ]['version'];
             $update_type       = $changelog_extractor->classifyUpdate(
@@ -418,7 +798,19 @@ class BPIAdminPage {
         }
 
         $changelog_data = $this->extractChangelogData( $item, $action, $installed_version, $changelog_extractor );
-        $is_compatible  = empty( $item['compatibility_issues'] );
+        $is_compatible  = ! $compat_checker->hasBlockingIssues( $item['compatibility_issues'] ?? array() );
+
+        // Plugins queued while the scan was off are scanned now.
+        $security_findings = array();
+        if ( 'off' !== $security_scanner->getMode() ) {
+            $security_findings = $item['security_findings'] ?? $security_scanner->scan( $item['file_path'] ?? '' );
+        }
+        $security_blocked = $security_scanner->blocksInstall( $security_findings );
+
+        // Plugins queued before checksums were recorded are hashed now.
+        $sha256          = ! empty( $item['sha256'] ) ? $item['sha256'] : $checksum_verifier->hashFile( $item['file_path'] ?? '' );
+        $expected_sha256 = $item['expected_sha256'] ?? '';
+        $checksum_status = $checksum_verifier->verify( $sha256, $expected_sha256 );
 
         return array(
             'slug'                 => $slug,
@@ -434,12 +826,81 @@ class BPIAdminPage {
             'update_type'          => $update_type,
             'compatible'           => $is_compatible,
             'compatibility_issues' => $item['compatibility_issues'] ?? array(),
+            'requires_plugins'     => $compat_checker->getRequiredPlugins( $item ),
+            'security_findings'    => $security_findings,
+            'security_blocked'     => $security_blocked,
+            'sha256'               => $sha256,
+            'expected_sha256'      => $expected_sha256,
+            'checksum_source'      => $item['checksum_source'] ?? '',
+            'checksum_status'      => $checksum_status,
             'changelog'            => $changelog_data,
-            'checked'              => $is_compatible,
-            'network_activate'     => $is_network_admin,
+            'checked'              => $is_compatible && ! $security_blocked && BPIChecksumVerifier::STATUS_MISMATCH !== $checksum_status,
+            'currently_active'     => ! empty( $installed['active'] ),
+            'network_active'       => ! empty( $installed['network_active'] ),
+            'active_site_ids'      => $installed['active_site_ids'] ?? array(),
+            // A manifest's choice comes first. Otherwise updates keep the current
+            // state and new installs follow the auto-activate setting.
+            'activate'             => $item['activate'] ?? ( 'update' === $action
+                ? ! empty( $installed['active'] ) || ! empty( $installed['network_active'] ) || ! empty( $installed['active_site_ids'] )
+                : (bool) ( new BPISettingsManager() )->getOption( 'bpi_auto_activate' ) ),
+            'network_activate'     => $is_network_admin && isset( $item['network_activate'] )
+                ? (bool) $item['network_activate']
+                : ( 'update' === $action ? ! empty( $installed['network_active'] ) : $is_network_admin ),
         );
     }
 
+    /**
+     * Get the sites of the network that plugins can be activated on.
+     *
+     * @return array[] Sites, each with an 'id' and a 'name' (domain and path).
+     */
+    private function getActivationSites(): array {
+        $sites = array();
+        foreach ( get_sites( array( 'number' => self::MAX_ACTIVATION_SITES ) ) as $site ) {
+            $sites[] = array(
+                'id'   => (int) $site->blog_id,
+                'name' => untrailingslashit( $site->domain . $site->path ),
+            );
+        }
+        return $sites;
+    }
+
+    /**
+     * Get the sites each plugin is active on, without network activations.
+     *
+     * @return array<string, int[]> Site IDs keyed by plugin file.
+     */
+    private function getActiveSiteIds(): array {
+        $active = array();
+        foreach ( get_sites( array( 'fields' => 'ids', 'number' => self::MAX_ACTIVATION_SITES ) ) as $site_id ) {
+            foreach ( (array) get_blog_option( (int) $site_id, 'active_plugins', array() ) as $plugin_file ) {
+                $active[ $plugin_file ][] = (int) $site_id;
+            }
+        }
+        return $active;
+    }
+
+    /**
+     * Get the expected checksums pinned in a profile.
+     *
+     * @param int $profile_id Profile ID; 0 when no profile is chosen.
+     * @return array<string, string> Checksums keyed by plugin slug.
+     */
+    private function getProfileChecksums( int $profile_id ): array {
+        $profile = $profile_id > 0 ? ( new BPIProfileManager() )->getProfile( $profile_id ) : null;
+        if ( null === $profile ) {
+            return array();
+        }
+
+        $checksums = array();
+        foreach ( $profile['plugins'] ?? array() as $plugin ) {
+            if ( ! empty( $plugin['slug'] ) && ! empty( $plugin['sha256'] ) ) {
+                $checksums[ $plugin['slug'] ] = (string) $plugin['sha256'];
+            }
+        }
+        return $checksums;
+    }
+
     /**
      * Extract changelog data for a preview item.
      *
@@ -466,8 +927,14 @@ class BPIAdminPage {
             );
         }
 
+        $highlights = array();
+        foreach ( $filtered_entries as $entry ) {
+            $highlights = array_merge( $highlights, $entry['highlights'] ?? array() );
+        }
+
         return array(
             'entries'      => $filtered_entries,
+            'highlights'   => array_values( array_unique( $highlights ) ),
             'last_updated' => $raw_changelog['last_updated'] ?? '',
             'tested_up_to' => $raw_changelog['tested_up_to'] ?? '',
         );
@@ -501,4 +968,29 @@ class BPIAdminPage {
         return function_exists( 'is_multisite' ) && is_multisite()
             && function_exists( 'is_network_admin' ) && is_network_admin();
     }
+
+    /**
+     * Get the size of a single chunk for chunked uploads.
+     *
+     * Files larger than this are split client-side so they are not subject
+     * to the server's upload_max_filesize and post_max_size limits. The chunk
+     * is kept below the server limit, leaving room for the other form fields.
+     *
+     * @since 1.1.0
+     *
+     * @return int Chunk size in bytes.
+     */
+    public function getUploadChunkSize(): int {
+        $server_limit = (int) wp_max_upload_size() - 65536;
+        $chunk_size   = $server_limit > 0 ? min( self::UPLOAD_CHUNK_SIZE, $server_limit ) : self::UPLOAD_CHUNK_SIZE;
+
+        /**
+         * Filters the chunk size used for chunked plugin ZIP uploads.
+         *
+         * @since 1.1.0
+         *
+         * @param int $chunk_size Chunk size in bytes.
+         */
+        return max( 65536, (int) apply_filters( 'bpi_upload_chunk_size', $chunk_size ) );
+    }
 }
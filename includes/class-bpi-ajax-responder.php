@@ -0,0 +1,91 @@
+<?php
+/**
+ * AJAX Responder for Bulk Plugin Installer.
+ *
+ * Shared request verification and responses of the AJAX handlers.
+ *
+ * @package BulkPluginInstaller
+ */
+
+// Abort if this file is called directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Verifies AJAX requests and sends operation results as JSON.
+ *
+ * Used by the classes whose AJAX handlers wrap an operation that returns
+ * an array or a WP_Error, the same operations the REST API calls.
+ *
+ * @since 1.1.0
+ */
+trait BPIAjaxResponder {
+
+    /**
+     * Verify the nonce and capability of an AJAX request.
+     *
+     * Sends a 403 JSON error when verification fails.
+     *
+     * @param string     $nonce_action       Nonce action name.
+     * @param string     $capability         Required capability; getRequiredCapability() when empty.
+     * @param string     $permission_message Message sent when the capability check fails; a generic one when empty.
+     * @param array|null $input              Request data that holds the nonce; $_POST when null.
+     * @return bool True if verified, false if an error response was sent.
+     */
+    private function verifyAjaxRequest( string $nonce_action, string $capability = '', string $permission_message = '', ?array $input = null ): bool {
+        $input ??= $_POST;
+
+        if ( ! isset( $input['_wpnonce'] ) || ! wp_verify_nonce( wp_unslash( $input['_wpnonce'] ), $nonce_action ) ) {
+            wp_send_json_error(
+                array( 'message' => __( 'Security verification failed. Please refresh the page and try again.', 'bulk-plugin-installer' ) ),
+                403
+            );
+            return false;
+        }
+
+        if ( ! current_user_can( '' !== $capability ? $capability : $this->getRequiredCapability() ) ) {
+            wp_send_json_error(
+                array( 'message' => '' !== $permission_message ? $permission_message : __( 'You do not have permission to install plugins.', 'bulk-plugin-installer' ) ),
+                403
+            );
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Send the result of an operation as the AJAX response.
+     *
+     * Error data other than the HTTP 'status' is added to the response.
+     *
+     * @param array|\WP_Error $result Response data, or WP_Error with an HTTP 'status'.
+     */
+    private function sendJsonResult( array|\WP_Error $result ): void {
+        if ( is_wp_error( $result ) ) {
+            $data = $result->get_error_data();
+            $data = is_array( $data ) ? $data : array();
+            wp_send_json_error(
+                array( 'message' => $result->get_error_message() ) + array_diff_key( $data, array( 'status' => true ) ),
+                $data['status'] ?? 400
+            );
+            return;
+        }
+
+        wp_send_json_success( $result );
+    }
+
+    /**
+     * Get the capability AJAX requests need by default.
+     *
+     * @return string 'manage_network_plugins' in the Network Admin, 'install_plugins' elsewhere.
+     */
+    private function getRequiredCapability(): string {
+        if ( function_exists( 'is_multisite' ) && is_multisite()
+            && function_exists( 'is_network_admin' ) && is_network_admin() ) {
+            return 'manage_network_plugins';
+        }
+        return 'install_plugins';
+    }
+}
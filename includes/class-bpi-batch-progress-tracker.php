@@ -0,0 +1,471 @@
+<?php
+/**
+ * Batch Progress Tracker for Bulk Plugin Installer.
+ *
+ * Stores the live processing state of a batch in a WordPress transient
+ * so the admin UI can process plugins in server-tracked steps and poll
+ * for the stage each plugin is currently in.
+ *
+ * @package BulkPluginInstaller
+ */
+
+// Abort if this file is called directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Tracks per-plugin progress for an in-flight batch.
+ *
+ * Each batch gets a transient keyed by `bpi_progress_{batch_id}` holding
+ * the selected plugin data, the dry run flag, and for every plugin its
+ * status, current stage (extracting, activating, rolling back, ...),
+ * timing information and final result. A per-user pointer keyed by
+ * `bpi_progress_current_{user_id}` remembers the batch still in flight so
+ * it can be resumed after a page reload or a timed-out request.
+ *
+ * @since 1.1.0
+ */
+class BPIBatchProgressTracker {
+
+    /**
+     * Transient key prefix for batch progress state.
+     *
+     * @var string
+     */
+    private const TRANSIENT_PREFIX = 'bpi_progress_';
+
+    /**
+     * Transient expiration in seconds (1 hour, refreshed on every write).
+     *
+     * @var int
+     */
+    private const TRANSIENT_EXPIRATION = 3600;
+
+    /**
+     * Transient key prefix for the per-user in-flight batch pointer.
+     *
+     * @var string
+     */
+    private const CURRENT_PREFIX = 'bpi_progress_current_';
+
+    /**
+     * Grace period in seconds added to the PHP time limit before a plugin
+     * stuck in the installing state is considered interrupted.
+     *
+     * @var int
+     */
+    private const STALE_GRACE = 30;
+
+    /**
+     * Fallback time limit in seconds when PHP has no execution time limit.
+     *
+     * @var int
+     */
+    private const DEFAULT_TIME_LIMIT = 300;
+
+    /**
+     * Start tracking a new batch.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id    Unique batch identifier.
+     * @param array  $plugins     Sanitized plugin data arrays, in processing order.
+     * @param bool   $dry_run     Whether the batch is a dry run.
+     * @param bool   $maintenance Whether the batch shows the maintenance page.
+     * @return array The initial progress state.
+     */
+    public function start( string $batch_id, array $plugins, bool $dry_run, bool $maintenance = false ): array {
+        $items = array();
+        foreach ( array_values( $plugins ) as $plugin_data ) {
+            $items[] = array(
+                'slug'        => $plugin_data['slug'] ?? '',
+                'plugin_name' => $plugin_data['plugin_name'] ?? ( $plugin_data['slug'] ?? '' ),
+                'status'      => 'pending',
+                'stage'       => '',
+                'started_at'  => null,
+                'finished_at' => null,
+                'data'        => $plugin_data,
+                'result'      => null,
+            );
+        }
+
+        $state = array(
+            'batch_id'    => $batch_id,
+            'user_id'     => get_current_user_id(),
+            'dry_run'     => $dry_run,
+            'maintenance' => $maintenance,
+            'status'      => 'running',
+            'started_at'  => microtime( true ),
+            'finished_at' => null,
+            'plugins'     => $items,
+        );
+
+        $this->save( $state );
+        set_transient( self::CURRENT_PREFIX . $state['user_id'], $batch_id, self::TRANSIENT_EXPIRATION );
+
+        return $state;
+    }
+
+    /**
+     * Get the progress state for a batch.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id Batch identifier.
+     * @return array Progress state, or an empty array if not found.
+     */
+    public function get( string $batch_id ): array {
+        $state = get_transient( self::TRANSIENT_PREFIX . $batch_id );
+
+        if ( false === $state || ! is_array( $state ) ) {
+            return array();
+        }
+
+        return $state;
+    }
+
+    /**
+     * Get the progress state for a batch owned by the current user.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id Batch identifier.
+     * @return array Progress state, or an empty array if not found or owned by another user.
+     */
+    public function getForCurrentUser( string $batch_id ): array {
+        $state = $this->get( $batch_id );
+
+        if ( empty( $state ) || (int) ( $state['user_id'] ?? 0 ) !== get_current_user_id() ) {
+            return array();
+        }
+
+        return $state;
+    }
+
+    /**
+     * Get the unfinished batch of the current user, if any.
+     *
+     * @since 1.1.0
+     *
+     * @return array Progress state, or an empty array if no batch is in flight.
+     */
+    public function getInFlight(): array {
+        $batch_id = get_transient( self::CURRENT_PREFIX . get_current_user_id() );
+
+        if ( ! is_string( $batch_id ) || '' === $batch_id ) {
+            return array();
+        }
+
+        $state = $this->getForCurrentUser( $batch_id );
+
+        if ( empty( $state ) || 'complete' === ( $state['status'] ?? '' ) ) {
+            return array();
+        }
+
+        return $state;
+    }
+
+    /**
+     * Get the index of the plugin currently marked as installing.
+     *
+     * @since 1.1.0
+     *
+     * @param array $state Progress state.
+     * @return int|null Plugin index, or null when no plugin is in progress.
+     */
+    public function getRunningIndex( array $state ): ?int {
+        foreach ( $state['plugins'] ?? array() as $index => $item ) {
+            if ( 'installing' === ( $item['status'] ?? '' ) ) {
+                return $index;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Determine whether an installing plugin has outlived any request that could still be processing it.
+     *
+     * @since 1.1.0
+     *
+     * @param array      $item Plugin progress item.
+     * @param float|null $now  Reference time (defaults to the current time).
+     * @return bool True if the plugin's request must have been interrupted.
+     */
+    public function isStale( array $item, ?float $now = null ): bool {
+        if ( null === ( $item['started_at'] ?? null ) ) {
+            return true;
+        }
+
+        $limit = (int) ini_get( 'max_execution_time' );
+        if ( $limit <= 0 ) {
+            $limit = self::DEFAULT_TIME_LIMIT;
+        }
+
+        return ( $now ?? microtime( true ) ) - $item['started_at'] > $limit + self::STALE_GRACE;
+    }
+
+    /**
+     * Get the index of the next plugin waiting to be processed.
+     *
+     * @since 1.1.0
+     *
+     * @param array $state Progress state.
+     * @return int|null Plugin index, or null when every plugin has been processed.
+     */
+    public function getNextIndex( array $state ): ?int {
+        foreach ( $state['plugins'] ?? array() as $index => $item ) {
+            if ( 'pending' === ( $item['status'] ?? '' ) ) {
+                return $index;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Mark a plugin as installing before it is processed.
+     *
+     * Claims the plugin for the current request, so a step request that
+     * arrives while it is checked and scanned reports the batch as busy
+     * instead of processing the plugin a second time.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id Batch identifier.
+     * @param int    $index    Plugin index within the batch.
+     * @return array The updated progress state.
+     */
+    public function markInstalling( string $batch_id, int $index ): array {
+        $state = $this->get( $batch_id );
+
+        if ( ! isset( $state['plugins'][ $index ] ) ) {
+            return $state;
+        }
+
+        $state['plugins'][ $index ]['status']     = 'installing';
+        $state['plugins'][ $index ]['stage']      = '';
+        $state['plugins'][ $index ]['started_at'] = microtime( true );
+
+        $this->save( $state );
+
+        return $state;
+    }
+
+    /**
+     * Record the stage a plugin has entered.
+     *
+     * The first stage recorded for a plugin marks it as installing and
+     * starts its elapsed-time clock.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id Batch identifier.
+     * @param string $slug     Plugin slug.
+     * @param string $stage    Stage name (e.g. 'extracting', 'activating', 'rolling_back').
+     */
+    public function setStage( string $batch_id, string $slug, string $stage ): void {
+        $state = $this->get( $batch_id );
+        $index = $this->findIndex( $state, $slug );
+
+        if ( null === $index ) {
+            return;
+        }
+
+        $state['plugins'][ $index ]['status'] = 'installing';
+        $state['plugins'][ $index ]['stage']  = $stage;
+
+        if ( null === $state['plugins'][ $index ]['started_at'] ) {
+            $state['plugins'][ $index ]['started_at'] = microtime( true );
+        }
+
+        $this->save( $state );
+    }
+
+    /**
+     * Record the final result for a plugin.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id Batch identifier.
+     * @param int    $index    Plugin index within the batch.
+     * @param array  $result   Result array returned by the processor.
+     * @return array The updated progress state.
+     */
+    public function recordResult( string $batch_id, int $index, array $result ): array {
+        $state = $this->get( $batch_id );
+
+        if ( ! isset( $state['plugins'][ $index ] ) ) {
+            return $state;
+        }
+
+        $now = microtime( true );
+
+        $state['plugins'][ $index ]['status']      = $result['status'] ?? 'failed';
+        $state['plugins'][ $index ]['stage']       = '';
+        $state['plugins'][ $index ]['started_at']  = $state['plugins'][ $index ]['started_at'] ?? $now;
+        $state['plugins'][ $index ]['finished_at'] = $now;
+        $state['plugins'][ $index ]['result']      = $result;
+
+        $this->save( $state );
+
+        return $state;
+    }
+
+    /**
+     * Mark a batch as complete.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id Batch identifier.
+     */
+    public function complete( string $batch_id ): void {
+        $state = $this->get( $batch_id );
+
+        if ( empty( $state ) ) {
+            return;
+        }
+
+        $state['status']      = 'complete';
+        $state['finished_at'] = microtime( true );
+
+        $this->save( $state );
+        $this->clearCurrent( $state );
+    }
+
+    /**
+     * Get the collected results for a batch, in processing order.
+     *
+     * @since 1.1.0
+     *
+     * @param array $state Progress state.
+     * @return array Per-plugin result arrays for processed plugins.
+     */
+    public function getResults( array $state ): array {
+        $results = array();
+
+        foreach ( $state['plugins'] ?? array() as $item ) {
+            if ( is_array( $item['result'] ?? null ) ) {
+                $results[] = $item['result'];
+            }
+        }
+
+        return $results;
+    }
+
+    /**
+     * Build the client-facing view of a batch's progress.
+     *
+     * Strips internal plugin data (file paths) and adds per-plugin
+     * elapsed time in seconds.
+     *
+     * @since 1.1.0
+     *
+     * @param array $state Progress state.
+     * @return array Public progress data.
+     */
+    public function toResponse( array $state ): array {
+        $now     = microtime( true );
+        $plugins = array();
+
+        foreach ( $state['plugins'] ?? array() as $item ) {
+            $plugins[] = array(
+                'slug'           => $item['slug'],
+                'plugin_name'    => $item['plugin_name'],
+                'plugin_version' => $item['data']['plugin_version'] ?? '',
+                'action'         => $item['data']['action'] ?? 'install',
+                'status'         => $item['status'],
+                'stage'          => $item['stage'],
+                'elapsed'        => $this->getElapsed( $item, $now ),
+                'messages'       => $item['result']['messages'] ?? array(),
+            );
+        }
+
+        return array(
+            'batch_id'  => $state['batch_id'] ?? '',
+            'status'    => $state['status'] ?? '',
+            'dry_run'   => ! empty( $state['dry_run'] ),
+            'processed' => count( $this->getResults( $state ) ),
+            'plugins'   => $plugins,
+        );
+    }
+
+    /**
+     * Get the elapsed processing time for a plugin.
+     *
+     * @since 1.1.0
+     *
+     * @param array      $item Plugin progress item.
+     * @param float|null $now  Reference time for plugins still in progress.
+     * @return float|null Elapsed seconds, or null if the plugin has not started.
+     */
+    public function getElapsed( array $item, ?float $now = null ): ?float {
+        if ( null === ( $item['started_at'] ?? null ) ) {
+            return null;
+        }
+
+        $end = $item['finished_at'] ?? $now ?? microtime( true );
+
+        return round( max( 0, $end - $item['started_at'] ), 2 );
+    }
+
+    /**
+     * Delete the progress state for a batch.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id Batch identifier.
+     */
+    public function delete( string $batch_id ): void {
+        $state = $this->get( $batch_id );
+        if ( ! empty( $state ) ) {
+            $this->clearCurrent( $state );
+        }
+
+        delete_transient( self::TRANSIENT_PREFIX . $batch_id );
+    }
+
+    // ------------------------------------------------------------------
+    // Private helpers
+    // ------------------------------------------------------------------
+
+    /**
+     * Persist a progress state.
+     *
+     * @param array $state Progress state.
+     */
+    private function save( array $state ): void {
+        set_transient( self::TRANSIENT_PREFIX . $state['batch_id'], $state, self::TRANSIENT_EXPIRATION );
+    }
+
+    /**
+     * Clear the in-flight pointer of the batch owner if it points at this batch.
+     *
+     * @param array $state Progress state.
+     */
+    private function clearCurrent( array $state ): void {
+        $key = self::CURRENT_PREFIX . (int) ( $state['user_id'] ?? 0 );
+
+        if ( get_transient( $key ) === $state['batch_id'] ) {
+            delete_transient( $key );
+        }
+    }
+
+    /**
+     * Find the index of the first unfinished plugin with the given slug.
+     *
+     * @param array  $state Progress state.
+     * @param string $slug  Plugin slug.
+     * @return int|null Plugin index or null if not found.
+     */
+    private function findIndex( array $state, string $slug ): ?int {
+        foreach ( $state['plugins'] ?? array() as $index => $item ) {
+            if ( $slug === $item['slug'] && null === $item['finished_at'] ) {
+                return $index;
+            }
+        }
+
+        return null;
+    }
+}
@@ -25,6 +25,8 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class BPIBatchRollbackManager {
 
+    use BPIAjaxResponder;
+
     /**
      * Transient key prefix for batch manifests.
      *
@@ -39,6 +41,16 @@ class BPIBatchRollbackManager {
      */
     private const ACTIVE_BATCHES_KEY = 'bpi_active_batches';
 
+    /**
+     * Option key for the backup paths of each active batch.
+     *
+     * Kept outside the manifest transient so backups can still be removed
+     * after the transient itself has expired.
+     *
+     * @var string
+     */
+    private const BATCH_BACKUPS_KEY = 'bpi_batch_backups';
+
     /**
      * Success message for batch rollback completion.
      */
@@ -139,6 +151,13 @@ class BPIBatchRollbackManager {
             $active[] = $batch_id;
         }
         update_option( self::ACTIVE_BATCHES_KEY, $active, false );
+
+        $backup_paths = array_values( array_filter( array_column( $manifest['plugins'] ?? array(), 'backup_path' ) ) );
+        if ( ! empty( $backup_paths ) ) {
+            $backups              = $this->getTrackedBackups();
+            $backups[ $batch_id ] = $backup_paths;
+            update_option( self::BATCH_BACKUPS_KEY, $backups, false );
+        }
     }
 
     /**
@@ -194,9 +213,85 @@ class BPIBatchRollbackManager {
             )
         );
 
-        // Clean up the batch transient after rollback.
+        // Clean up the batch transient after rollback. Backups that could not
+        // be restored are left on disk for manual recovery.
         delete_transient( self::BATCH_TRANSIENT_PREFIX . $batch_id );
         $this->removeBatchId( $batch_id );
+        $this->forgetBackups( $batch_id );
+
+        return array(
+            'success'  => empty( $failures ),
+            'failures' => $failures,
+            'results'  => $results,
+        );
+    }
+
+    /**
+     * Rollback selected plugins within a batch.
+     *
+     * Restores or removes only the given plugins and marks them as rolled
+     * back in the manifest, so a later full-batch rollback skips them. The
+     * batch is retired once none of its plugins are left to roll back.
+     *
+     * @since 1.1.0
+     *
+     * @param string   $batch_id Batch identifier.
+     * @param string[] $slugs    Slugs of the plugins to roll back.
+     * @return array Rollback results with 'success', 'failures', and 'results' keys.
+     */
+    public function rollbackPlugins( string $batch_id, array $slugs ): array {
+        $manifest = $this->getBatchManifest( $batch_id );
+
+        if ( empty( $manifest ) ) {
+            return array(
+                'success'  => false,
+                'failures' => array( __( 'Batch manifest not found.', 'bulk-plugin-installer' ) ),
+                'results'  => array(),
+            );
+        }
+
+        $results  = array();
+        $failures = array();
+        $plugins  = $manifest['plugins'] ?? array();
+        $found    = array();
+
+        foreach ( $plugins as $index => $plugin ) {
+            $slug = $plugin['slug'] ?? '';
+            if ( ! in_array( $slug, $slugs, true ) ) {
+                continue;
+            }
+
+            $found[] = $slug;
+            $count   = count( $results );
+
+            if ( $this->rollbackSinglePlugin( $plugin, $results, $failures ) ) {
+                $plugins[ $index ]['rolled_back']    = true;
+                $plugins[ $index ]['rolled_back_at'] = gmdate( 'Y-m-d\TH:i:s\Z' );
+                unset( $plugins[ $index ]['backup_path'] );
+            }
+
+            $this->logger->log(
+                'rollback',
+                array(
+                    'batch_id'    => $batch_id,
+                    'plugin_slug' => $slug,
+                    'plugin_name' => $plugin['plugin_name'] ?? $slug,
+                    'status'      => $results[ $count ]['status'] ?? '',
+                    'message'     => $results[ $count ]['message'] ?? '',
+                )
+            );
+        }
+
+        foreach ( array_diff( $slugs, $found ) as $slug ) {
+            $failures[] = sprintf(
+                /* translators: %s: plugin slug */
+                __( '"%s" is not part of this batch.', 'bulk-plugin-installer' ),
+                $slug
+            );
+        }
+
+        $manifest['plugins'] = $plugins;
+        $this->updateBatch( $batch_id, $manifest );
 
         return array(
             'success'  => empty( $failures ),
@@ -211,8 +306,9 @@ class BPIBatchRollbackManager {
      * @param array $plugin   Plugin data from the batch manifest.
      * @param array &$results Results array (modified by reference).
      * @param array &$failures Failures array (modified by reference).
+     * @return bool True if the plugin was restored or removed.
      */
-    private function rollbackSinglePlugin( array $plugin, array &$results, array &$failures ): void {
+    private function rollbackSinglePlugin( array $plugin, array &$results, array &$failures ): bool {
         $slug   = $plugin['slug'] ?? '';
         $action = $plugin['action'] ?? '';
         $status = $plugin['status'] ?? '';
@@ -225,13 +321,24 @@ class BPIBatchRollbackManager {
                 'status' => 'skipped',
                 'message' => __( 'Plugin was not successfully processed; skipping rollback.', 'bulk-plugin-installer' ),
             );
-            return;
+            return false;
+        }
+
+        // Skip plugins already reverted by a selective rollback.
+        if ( ! empty( $plugin['rolled_back'] ) ) {
+            $results[] = array(
+                'slug'    => $slug,
+                'action'  => 'skipped',
+                'status'  => 'skipped',
+                'message' => __( 'Plugin was already rolled back; skipping.', 'bulk-plugin-installer' ),
+            );
+            return false;
         }
 
         $plugin_dir = $this->getPluginDir( $slug );
 
         if ( 'update' === $action ) {
-            $this->rollbackUpdatedPlugin( $plugin, $slug, $plugin_dir, $results, $failures );
+            return $this->rollbackUpdatedPlugin( $plugin, $slug, $plugin_dir, $results, $failures );
         } elseif ( 'install' === $action ) {
             $this->rollback->removePartialInstall( $plugin_dir );
             $results[] = array(
@@ -244,7 +351,10 @@ class BPIBatchRollbackManager {
                     $slug
                 ),
             );
+            return true;
         }
+
+        return false;
     }
 
     /**
@@ -255,8 +365,9 @@ class BPIBatchRollbackManager {
      * @param string $plugin_dir Plugin directory path.
      * @param array  &$results   Results array (modified by reference).
      * @param array  &$failures  Failures array (modified by reference).
+     * @return bool True if the plugin was restored.
      */
-    private function rollbackUpdatedPlugin( array $plugin, string $slug, string $plugin_dir, array &$results, array &$failures ): void {
+    private function rollbackUpdatedPlugin( array $plugin, string $slug, string $plugin_dir, array &$results, array &$failures ): bool {
         $backup_path = $plugin['backup_path'] ?? '';
         if ( empty( $backup_path ) ) {
             $failures[] = sprintf(
@@ -270,7 +381,7 @@ class BPIBatchRollbackManager {
                 'status'  => 'failed',
                 'message' => __( 'No backup path available.', 'bulk-plugin-installer' ),
             );
-            return;
+            return false;
         }
 
         $restore_result = $this->rollback->restoreBackup( $backup_path, $plugin_dir );
@@ -288,18 +399,21 @@ class BPIBatchRollbackManager {
                 'status'  => 'failed',
                 'message' => $restore_result->get_error_message(),
             );
-        } else {
-            $results[] = array(
-                'slug'    => $slug,
-                'action'  => 'restore',
-                'status'  => 'success',
-                'message' => sprintf(
-                    /* translators: %s: plugin slug */
-                    __( 'Restored "%s" to previous version.', 'bulk-plugin-installer' ),
-                    $slug
-                ),
-            );
+            return false;
         }
+
+        $this->rollback->cleanupBackup( $backup_path );
+        $results[] = array(
+            'slug'    => $slug,
+            'action'  => 'restore',
+            'status'  => 'success',
+            'message' => sprintf(
+                /* translators: %s: plugin slug */
+                __( 'Restored "%s" to previous version.', 'bulk-plugin-installer' ),
+                $slug
+            ),
+        );
+        return true;
     }
 
     /**
@@ -339,9 +453,12 @@ class BPIBatchRollbackManager {
             $manifest = get_transient( self::BATCH_TRANSIENT_PREFIX . $batch_id );
 
             if ( false === $manifest ) {
-                // Transient expired — clean up any remaining backup directories.
-                // We can't know the backup paths without the manifest, so just
-                // remove the batch ID from tracking.
+                // Transient expired — clean up the backup directories tracked
+                // for this batch and remove the batch ID from tracking.
+                foreach ( $this->getTrackedBackups()[ $batch_id ] ?? array() as $backup_path ) {
+                    $this->rollback->cleanupBackup( $backup_path );
+                }
+                $this->forgetBackups( $batch_id );
                 continue;
             }
 
@@ -352,6 +469,7 @@ class BPIBatchRollbackManager {
                     // Expired — clean up backups.
                     $this->cleanupBatchBackups( $manifest );
                     delete_transient( self::BATCH_TRANSIENT_PREFIX . $batch_id );
+                    $this->forgetBackups( $batch_id );
                     continue;
                 }
             }
@@ -362,6 +480,59 @@ class BPIBatchRollbackManager {
         update_option( self::ACTIVE_BATCHES_KEY, $still_active, false );
     }
 
+    /**
+     * Get the active batches for the batch history screen.
+     *
+     * Each batch lists who ran it, when, the per-plugin outcomes and how
+     * long its backups are kept. Backup paths are not included. Batches
+     * are ordered most recent first.
+     *
+     * @since 1.1.0
+     *
+     * @return array List of batch history entries.
+     */
+    public function getBatchHistory(): array {
+        $history = array();
+
+        foreach ( $this->getActiveBatches() as $manifest ) {
+            $expires = isset( $manifest['expires_at'] ) ? strtotime( $manifest['expires_at'] ) : false;
+            $user_id = (int) ( $manifest['user_id'] ?? 0 );
+            $user    = $user_id > 0 ? get_userdata( $user_id ) : false;
+            $plugins = array();
+
+            foreach ( $manifest['plugins'] ?? array() as $plugin ) {
+                $plugins[] = array(
+                    'slug'         => $plugin['slug'] ?? '',
+                    'plugin_name'  => $plugin['plugin_name'] ?? ( $plugin['slug'] ?? '' ),
+                    'action'       => $plugin['action'] ?? '',
+                    'status'       => $plugin['status'] ?? '',
+                    'messages'     => $plugin['messages'] ?? array(),
+                    'activated'    => ! empty( $plugin['activated'] ),
+                    'rolled_back'  => ! empty( $plugin['rolled_back'] ),
+                    'health_check' => $plugin['health_check'] ?? '',
+                    'sha256'       => $plugin['sha256'] ?? '',
+                    'has_backup'   => ! empty( $plugin['backup_path'] ),
+                    'can_rollback' => $this->canRollback( $plugin ),
+                );
+            }
+
+            $history[] = array(
+                'batch_id'   => $manifest['batch_id'] ?? '',
+                'user_id'    => $user_id,
+                'user_name'  => $user ? (string) $user->display_name : '',
+                'timestamp'  => $manifest['timestamp'] ?? '',
+                'expires_at' => $manifest['expires_at'] ?? '',
+                'expires_in' => false !== $expires ? max( 0, $expires - time() ) : 0,
+                'summary'    => $manifest['summary'] ?? array(),
+                'plugins'    => $plugins,
+            );
+        }
+
+        usort( $history, fn( $a, $b ) => strcmp( (string) $b['timestamp'], (string) $a['timestamp'] ) );
+
+        return $history;
+    }
+
     /**
      * Get the manifest for a specific batch.
      *
@@ -387,48 +558,63 @@ class BPIBatchRollbackManager {
      */
     public function registerAjaxHandler(): void {
         add_action( 'wp_ajax_bpi_batch_rollback', array( $this, 'handleAjaxRollback' ) );
+        add_action( 'wp_ajax_bpi_batch_history', array( $this, 'handleAjaxBatchHistory' ) );
     }
 
     /**
-     * AJAX handler for wp_ajax_bpi_batch_rollback.
+     * AJAX handler for wp_ajax_bpi_batch_history.
      *
-     * Verifies nonce and capability, then performs the batch rollback.
+     * Returns the batches that can still be rolled back.
      *
-     * @since 1.0.0
+     * @since 1.1.0
      */
-    public function handleAjaxRollback(): void {
-        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( wp_unslash( $_POST['_wpnonce'] ), 'bpi_batch_rollback' ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'Security verification failed. Please refresh the page and try again.', 'bulk-plugin-installer' ) ),
-                403
-            );
+    public function handleAjaxBatchHistory(): void {
+        if ( ! $this->verifyAjaxRequest( 'bpi_batch_history' ) ) {
             return;
         }
 
-        $required_cap = 'install_plugins';
-        if ( function_exists( 'is_multisite' ) && is_multisite()
-            && function_exists( 'is_network_admin' ) && is_network_admin() ) {
-            $required_cap = 'manage_network_plugins';
-        }
+        wp_send_json_success(
+            array( 'batches' => $this->getBatchHistory() )
+        );
+    }
 
-        if ( ! current_user_can( $required_cap ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'You do not have permission to install plugins.', 'bulk-plugin-installer' ) ),
-                403
-            );
+    /**
+     * AJAX handler for wp_ajax_bpi_batch_rollback.
+     *
+     * Verifies nonce and capability, then performs the batch rollback.
+     *
+     * @since 1.0.0
+     */
+    public function handleAjaxRollback(): void {
+        if ( ! $this->verifyAjaxRequest( 'bpi_batch_rollback' ) ) {
             return;
         }
 
         $batch_id = isset( $_POST['batch_id'] ) ? sanitize_text_field( wp_unslash( $_POST['batch_id'] ) ) : '';
+        $slugs    = isset( $_POST['slugs'] ) && is_array( $_POST['slugs'] ) ? wp_unslash( $_POST['slugs'] ) : array();
 
-        if ( empty( $batch_id ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'No batch ID provided.', 'bulk-plugin-installer' ) )
-            );
-            return;
+        $this->sendJsonResult( $this->performRollback( $batch_id, $slugs ) );
+    }
+
+    /**
+     * Roll back a batch, or selected plugins of it, and notify the admin.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id Batch ID.
+     * @param array  $slugs    Slugs of the plugins to roll back; empty for the whole batch.
+     * @return array|\WP_Error Message and per-plugin results, or WP_Error with an
+     *                         HTTP 'status' and, when plugins failed to roll back,
+     *                         the 'failures' and 'results'.
+     */
+    public function performRollback( string $batch_id, array $slugs = array() ): array|\WP_Error {
+        if ( '' === $batch_id ) {
+            return new \WP_Error( 'bpi_missing_batch_id', __( 'No batch ID provided.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
         }
 
-        $result = $this->rollbackBatch( $batch_id );
+        // Roll back only the selected plugins when slugs are given.
+        $slugs  = array_values( array_filter( array_map( 'sanitize_text_field', array_filter( $slugs, 'is_string' ) ) ) );
+        $result = empty( $slugs ) ? $this->rollbackBatch( $batch_id ) : $this->rollbackPlugins( $batch_id, $slugs );
 
         // Send rollback notification email.
         if ( null !== $this->notificationManager ) {
@@ -437,7 +623,9 @@ class BPIBatchRollbackManager {
                 'timestamp' => current_time( 'mysql' ),
                 'user_id'   => get_current_user_id(),
                 'plugins'   => $result['results'] ?? array(),
-                'reason'    => __( 'Manual batch rollback triggered by admin.', 'bulk-plugin-installer' ),
+                'reason'    => empty( $slugs )
+                    ? __( 'Manual batch rollback triggered by admin.', 'bulk-plugin-installer' )
+                    : __( 'Manual rollback of selected plugins triggered by admin.', 'bulk-plugin-installer' ),
             ) );
             $this->notificationManager->queueAdminNotice(
                 $result['success']
@@ -447,22 +635,22 @@ class BPIBatchRollbackManager {
             );
         }
 
-        if ( $result['success'] ) {
-            wp_send_json_success(
-                array(
-                    'message' => __( self::MSG_ROLLBACK_SUCCESS, 'bulk-plugin-installer' ),
-                    'results' => $result['results'],
-                )
-            );
-        } else {
-            wp_send_json_error(
+        if ( ! $result['success'] ) {
+            return new \WP_Error(
+                'bpi_rollback_failed',
+                __( 'Batch rollback completed with errors.', 'bulk-plugin-installer' ),
                 array(
-                    'message'  => __( 'Batch rollback completed with errors.', 'bulk-plugin-installer' ),
+                    'status'   => 500,
                     'failures' => $result['failures'],
                     'results'  => $result['results'],
                 )
             );
         }
+
+        return array(
+            'message' => __( self::MSG_ROLLBACK_SUCCESS, 'bulk-plugin-installer' ),
+            'results' => $result['results'],
+        );
     }
 
     // ------------------------------------------------------------------
@@ -490,6 +678,76 @@ class BPIBatchRollbackManager {
         update_option( self::ACTIVE_BATCHES_KEY, $active, false );
     }
 
+    /**
+     * Check whether a manifest plugin can still be rolled back.
+     *
+     * @param array $plugin Plugin data from the batch manifest.
+     * @return bool True if the plugin can be restored or removed.
+     */
+    private function canRollback( array $plugin ): bool {
+        if ( 'failed' === ( $plugin['status'] ?? '' ) || ! empty( $plugin['rolled_back'] ) ) {
+            return false;
+        }
+
+        $action = $plugin['action'] ?? '';
+
+        return 'install' === $action || ( 'update' === $action && ! empty( $plugin['backup_path'] ) );
+    }
+
+    /**
+     * Save an updated batch manifest for the rest of its retention period.
+     *
+     * Retires the batch once none of its plugins can be rolled back.
+     *
+     * @param string $batch_id Batch identifier.
+     * @param array  $manifest Updated batch manifest.
+     */
+    private function updateBatch( string $batch_id, array $manifest ): void {
+        $backup_paths = array_values( array_filter( array_column( $manifest['plugins'] ?? array(), 'backup_path' ) ) );
+
+        if ( empty( array_filter( $manifest['plugins'] ?? array(), array( $this, 'canRollback' ) ) ) ) {
+            delete_transient( self::BATCH_TRANSIENT_PREFIX . $batch_id );
+            $this->removeBatchId( $batch_id );
+            $this->forgetBackups( $batch_id );
+            return;
+        }
+
+        $expires   = isset( $manifest['expires_at'] ) ? strtotime( $manifest['expires_at'] ) : false;
+        $remaining = false !== $expires ? max( 1, $expires - time() ) : 0;
+        set_transient( self::BATCH_TRANSIENT_PREFIX . $batch_id, $manifest, $remaining );
+
+        $backups = $this->getTrackedBackups();
+        if ( empty( $backup_paths ) ) {
+            unset( $backups[ $batch_id ] );
+        } else {
+            $backups[ $batch_id ] = $backup_paths;
+        }
+        update_option( self::BATCH_BACKUPS_KEY, $backups, false );
+    }
+
+    /**
+     * Get the tracked backup paths, keyed by batch ID.
+     *
+     * @return array Map of batch ID to backup paths.
+     */
+    private function getTrackedBackups(): array {
+        $backups = get_option( self::BATCH_BACKUPS_KEY, array() );
+        return is_array( $backups ) ? $backups : array();
+    }
+
+    /**
+     * Stop tracking the backup paths of a batch.
+     *
+     * @param string $batch_id Batch ID.
+     */
+    private function forgetBackups( string $batch_id ): void {
+        $backups = $this->getTrackedBackups();
+        if ( isset( $backups[ $batch_id ] ) ) {
+            unset( $backups[ $batch_id ] );
+            update_option( self::BATCH_BACKUPS_KEY, $backups, false );
+        }
+    }
+
     /**
      * Clean up backup directories for a batch manifest.
      *
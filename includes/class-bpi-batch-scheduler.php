@@ -0,0 +1,416 @@
+<?php
+/**
+ * Batch Scheduler for Bulk Plugin Installer.
+ *
+ * Stores batches selected on the preview screen and runs them later on
+ * WP-Cron, e.g. during a maintenance window.
+ *
+ * @package BulkPluginInstaller
+ */
+
+// Abort if this file is called directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Schedules, reschedules, cancels and runs batches on WP-Cron.
+ *
+ * Scheduled batches are kept in a single option, keyed by schedule ID, with
+ * one single WP-Cron event each. When the event fires, the batch is run as
+ * the user who scheduled it through BPIPluginProcessor::processBatch(), so
+ * it is logged, recorded for rollback and notified like any other batch.
+ *
+ * @since 1.1.0
+ */
+class BPIBatchScheduler {
+
+    /**
+     * WP-Cron hook that runs a scheduled batch.
+     *
+     * @var string
+     */
+    public const CRON_HOOK = 'bpi_run_scheduled_batch';
+
+    /**
+     * Option key for the scheduled batches.
+     *
+     * @var string
+     */
+    private const OPTION = 'bpi_scheduled_batches';
+
+    /**
+     * Number of finished (complete, failed or cancelled) schedules kept for the history.
+     *
+     * @var int
+     */
+    private const FINISHED_LIMIT = 10;
+
+    /**
+     * Returns the plugin processor, created on first use.
+     *
+     * @var \Closure
+     */
+    private \Closure $processor;
+
+    /**
+     * Constructor.
+     *
+     * @since 1.1.0
+     *
+     * @param \Closure $processor Returns the BPIPluginProcessor.
+     */
+    public function __construct( \Closure $processor ) {
+        $this->processor = $processor;
+    }
+
+    /**
+     * Schedule the selected plugins to be processed at a given time.
+     *
+     * The plugins are taken out of the current user's queue, so that they
+     * are not installed twice.
+     *
+     * @since 1.1.0
+     *
+     * @param array $selected    Selected plugin entries, unsanitized.
+     * @param int   $timestamp   Unix timestamp to run the batch at.
+     * @param bool  $maintenance Whether to show the maintenance page while the batch runs.
+     * @return array|\WP_Error Message and schedule, or WP_Error with an HTTP 'status'.
+     */
+    public function schedule( array $selected, int $timestamp, bool $maintenance = false ): array|\WP_Error {
+        if ( empty( $selected ) ) {
+            return new \WP_Error( 'bpi_no_selection', __( 'No plugins selected for processing.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
+        }
+
+        $time_error = $this->validateTimestamp( $timestamp );
+        if ( null !== $time_error ) {
+            return $time_error;
+        }
+
+        $plugins = ( $this->processor )()->prepareSelection( $selected );
+        foreach ( $plugins as $plugin ) {
+            if ( '' === $plugin['file_path'] ) {
+                return new \WP_Error(
+                    'bpi_not_queued',
+                    sprintf(
+                        /* translators: %s: plugin name */
+                        __( '%s is no longer in the upload queue. Upload it again before scheduling.', 'bulk-plugin-installer' ),
+                        '' !== $plugin['plugin_name'] ? $plugin['plugin_name'] : $plugin['slug']
+                    ),
+                    array( 'status' => 400 )
+                );
+            }
+        }
+
+        $schedule = array(
+            'id'          => 'bpi_schedule_' . wp_generate_uuid4(),
+            'status'      => 'scheduled',
+            'timestamp'   => $timestamp,
+            'user_id'     => get_current_user_id(),
+            'created_at'  => gmdate( 'Y-m-d\TH:i:s\Z' ),
+            'started_at'  => '',
+            'finished_at' => '',
+            'plugins'     => $plugins,
+            'maintenance' => $maintenance,
+            'batch_id'    => '',
+            'summary'     => array(),
+            'message'     => '',
+        );
+
+        wp_schedule_single_event( $timestamp, self::CRON_HOOK, array( $schedule['id'] ) );
+        $this->saveSchedule( $schedule );
+
+        $queue = new BPIQueueManager();
+        foreach ( $plugins as $plugin ) {
+            $queue->remove( $plugin['slug'] );
+        }
+
+        return array(
+            'message'  => sprintf(
+                /* translators: %d: number of plugins */
+                __( '%d plugin(s) scheduled.', 'bulk-plugin-installer' ),
+                count( $plugins )
+            ),
+            'schedule' => $this->toResponse( $schedule ),
+        );
+    }
+
+    /**
+     * Move a scheduled batch to another time.
+     *
+     * @since 1.1.0
+     *
+     * @param string $schedule_id Schedule ID.
+     * @param int    $timestamp   Unix timestamp to run the batch at.
+     * @return array|\WP_Error Message and schedule, or WP_Error with an HTTP 'status'.
+     */
+    public function reschedule( string $schedule_id, int $timestamp ): array|\WP_Error {
+        $schedule = $this->getPendingSchedule( $schedule_id );
+        if ( is_wp_error( $schedule ) ) {
+            return $schedule;
+        }
+
+        $time_error = $this->validateTimestamp( $timestamp );
+        if ( null !== $time_error ) {
+            return $time_error;
+        }
+
+        wp_unschedule_event( $schedule['timestamp'], self::CRON_HOOK, array( $schedule_id ) );
+        wp_schedule_single_event( $timestamp, self::CRON_HOOK, array( $schedule_id ) );
+
+        $schedule['timestamp'] = $timestamp;
+        $this->saveSchedule( $schedule );
+
+        return array(
+            'message'  => __( 'The batch was rescheduled.', 'bulk-plugin-installer' ),
+            'schedule' => $this->toResponse( $schedule ),
+        );
+    }
+
+    /**
+     * Cancel a scheduled batch.
+     *
+     * Its plugins left the upload queue when it was scheduled, so their
+     * uploaded ZIPs are deleted; upload them again to install them.
+     *
+     * @since 1.1.0
+     *
+     * @param string $schedule_id Schedule ID.
+     * @return array|\WP_Error Message and schedule, or WP_Error with an HTTP 'status'.
+     */
+    public function cancel( string $schedule_id ): array|\WP_Error {
+        $schedule = $this->getPendingSchedule( $schedule_id );
+        if ( is_wp_error( $schedule ) ) {
+            return $schedule;
+        }
+
+        wp_unschedule_event( $schedule['timestamp'], self::CRON_HOOK, array( $schedule_id ) );
+
+        foreach ( $schedule['plugins'] as $plugin ) {
+            if ( '' !== $plugin['file_path'] && is_file( $plugin['file_path'] ) ) {
+                unlink( $plugin['file_path'] );
+            }
+        }
+
+        $schedule['status']      = 'cancelled';
+        $schedule['finished_at'] = gmdate( 'Y-m-d\TH:i:s\Z' );
+        $this->saveSchedule( $schedule );
+
+        return array(
+            'message'  => __( 'The scheduled batch was cancelled.', 'bulk-plugin-installer' ),
+            'schedule' => $this->toResponse( $schedule ),
+        );
+    }
+
+    /**
+     * Run a scheduled batch.
+     *
+     * Hooked to the CRON_HOOK event, so it also runs with
+     * `wp cron event run bpi_run_scheduled_batch`. Schedules that are not
+     * pending, e.g. cancelled or already running, are ignored. An exception
+     * thrown while processing marks the schedule as failed.
+     *
+     * @since 1.1.0
+     *
+     * @param string $schedule_id Schedule ID.
+     */
+    public function run( string $schedule_id ): void {
+        $schedule = $this->claimSchedule( $schedule_id );
+        if ( null === $schedule ) {
+            return;
+        }
+
+        $capability = in_array( true, array_column( $schedule['plugins'], 'network_activate' ), true ) ? 'manage_network_plugins' : 'install_plugins';
+        if ( ! user_can( $schedule['user_id'], $capability ) ) {
+            $schedule['status']      = 'failed';
+            $schedule['finished_at'] = gmdate( 'Y-m-d\TH:i:s\Z' );
+            $schedule['message']     = __( 'The user who scheduled the batch may no longer install plugins.', 'bulk-plugin-installer' );
+            $this->saveSchedule( $schedule );
+            return;
+        }
+
+        // Run as the user who scheduled the batch, for the log and the notifications.
+        $previous_user = get_current_user_id();
+        wp_set_current_user( $schedule['user_id'] );
+        $this->loadUpgrader();
+
+        try {
+            $batch = ( $this->processor )()->runPreparedBatch( $schedule['plugins'], ! empty( $schedule['maintenance'] ) );
+
+            $schedule['status']   = 'complete';
+            $schedule['batch_id'] = $batch['batch_id'];
+            $schedule['summary']  = $batch['summary'];
+        } catch ( \Throwable $e ) {
+            // An upgrader or a plugin's activation code threw; do not leave the schedule running forever.
+            $schedule['status']  = 'failed';
+            $schedule['message'] = $e->getMessage();
+        } finally {
+            wp_set_current_user( $previous_user );
+
+            $schedule['finished_at'] = gmdate( 'Y-m-d\TH:i:s\Z' );
+            $this->saveSchedule( $schedule );
+        }
+    }
+
+    /**
+     * Get the scheduled batches for the batch history.
+     *
+     * Server paths are not included. Schedules are ordered by the time they
+     * run at, latest first.
+     *
+     * @since 1.1.0
+     *
+     * @return array List of schedules.
+     */
+    public function getHistory(): array {
+        $history = array_map( array( $this, 'toResponse' ), array_values( $this->getSchedules() ) );
+
+        usort( $history, fn( $a, $b ) => $b['timestamp'] <=> $a['timestamp'] );
+
+        return $history;
+    }
+
+    // ------------------------------------------------------------------
+    // Private helpers
+    // ------------------------------------------------------------------
+
+    /**
+     * Get the stored schedules, keyed by schedule ID.
+     *
+     * @return array Schedules.
+     */
+    private function getSchedules(): array {
+        $schedules = get_option( self::OPTION, array() );
+
+        return is_array( $schedules ) ? $schedules : array();
+    }
+
+    /**
+     * Check that a batch can be scheduled at a given time.
+     *
+     * @param int $timestamp Unix timestamp.
+     * @return \WP_Error|null WP_Error if the time is in the past, null if OK.
+     */
+    private function validateTimestamp( int $timestamp ): ?\WP_Error {
+        if ( $timestamp <= time() ) {
+            return new \WP_Error( 'bpi_invalid_schedule', __( 'Choose a date and time in the future.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
+        }
+
+        return null;
+    }
+
+    /**
+     * Get a schedule that has not run yet.
+     *
+     * @param string $schedule_id Schedule ID.
+     * @return array|\WP_Error Schedule, or WP_Error with an HTTP 'status'.
+     */
+    private function getPendingSchedule( string $schedule_id ): array|\WP_Error {
+        $schedule = $this->getSchedules()[ $schedule_id ] ?? null;
+
+        if ( null === $schedule ) {
+            return new \WP_Error( 'bpi_schedule_not_found', __( 'Scheduled batch not found.', 'bulk-plugin-installer' ), array( 'status' => 404 ) );
+        }
+
+        if ( 'scheduled' !== $schedule['status'] ) {
+            return new \WP_Error( 'bpi_schedule_started', __( 'This batch has already started and can no longer be changed.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
+        }
+
+        return $schedule;
+    }
+
+    /**
+     * Mark a pending schedule as running, for the current request only.
+     *
+     * The status is checked and changed under a lock taken with add_option(),
+     * which fails when the option already exists, so overlapping cron runs
+     * cannot both start the batch.
+     *
+     * @param string $schedule_id Schedule ID.
+     * @return array|null Running schedule, or null if it is not pending or another run claimed it.
+     */
+    private function claimSchedule( string $schedule_id ): ?array {
+        $lock = self::OPTION . '_lock_' . $schedule_id;
+        if ( ! add_option( $lock, time(), '', false ) ) {
+            return null;
+        }
+
+        try {
+            $schedule = $this->getSchedules()[ $schedule_id ] ?? null;
+            if ( null === $schedule || 'scheduled' !== $schedule['status'] ) {
+                return null;
+            }
+
+            $schedule['status']     = 'running';
+            $schedule['started_at'] = gmdate( 'Y-m-d\TH:i:s\Z' );
+            $this->saveSchedule( $schedule );
+
+            return $schedule;
+        } finally {
+            delete_option( $lock );
+        }
+    }
+
+    /**
+     * Store a schedule, dropping the oldest finished schedules beyond FINISHED_LIMIT.
+     *
+     * @param array $schedule Schedule.
+     */
+    private function saveSchedule( array $schedule ): void {
+        $schedules                    = $this->getSchedules();
+        $schedules[ $schedule['id'] ] = $schedule;
+
+        $finished = array_filter( $schedules, fn( $item ) => in_array( $item['status'], array( 'complete', 'failed', 'cancelled' ), true ) );
+        uasort( $finished, fn( $a, $b ) => strcmp( (string) $b['finished_at'], (string) $a['finished_at'] ) );
+
+        foreach ( array_slice( array_keys( $finished ), self::FINISHED_LIMIT ) as $schedule_id ) {
+            unset( $schedules[ $schedule_id ] );
+        }
+
+        update_option( self::OPTION, $schedules, false );
+    }
+
+    /**
+     * Build the response for a schedule.
+     *
+     * @param array $schedule Schedule.
+     * @return array Schedule without server paths, with the name of its user.
+     */
+    private function toResponse( array $schedule ): array {
+        $user = $schedule['user_id'] > 0 ? get_userdata( $schedule['user_id'] ) : false;
+
+        return array(
+            'id'          => $schedule['id'],
+            'status'      => $schedule['status'],
+            'timestamp'   => $schedule['timestamp'],
+            'user_id'     => $schedule['user_id'],
+            'user_name'   => $user ? (string) $user->display_name : '',
+            'created_at'  => $schedule['created_at'],
+            'started_at'  => $schedule['started_at'],
+            'finished_at' => $schedule['finished_at'],
+            'batch_id'    => $schedule['batch_id'],
+            'summary'     => $schedule['summary'],
+            'message'     => $schedule['message'],
+            'maintenance' => ! empty( $schedule['maintenance'] ),
+            'plugins'     => array_map( fn( $plugin ) => array(
+                'slug'        => $plugin['slug'],
+                'plugin_name' => $plugin['plugin_name'],
+                'action'      => $plugin['action'],
+            ), $schedule['plugins'] ),
+        );
+    }
+
+    /**
+     * Load the WordPress admin code the upgrader needs outside wp-admin.
+     */
+    private function loadUpgrader(): void {
+        if ( class_exists( 'Plugin_Upgrader' ) ) {
+            return;
+        }
+
+        require_once ABSPATH . 'wp-admin/includes/file.php'; // phpcs:ignore PHPMD -- WordPress core file, no namespace available.
+        require_once ABSPATH . 'wp-admin/includes/misc.php'; // phpcs:ignore PHPMD -- WordPress core file, no namespace available.
+        require_once ABSPATH . 'wp-admin/includes/plugin.php'; // phpcs:ignore PHPMD -- WordPress core file, no namespace available.
+        require_once ABSPATH . 'wp-admin/includes/class-wp-upgrader.php'; // phpcs:ignore PHPMD -- WordPress core file, no namespace available.
+    }
+}
@@ -24,48 +24,61 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class BPIBulkUploader {
 
+    use BPIAjaxResponder;
+
     /**
      * Standard WordPress plugin headers to extract.
      *
      * @var array<string, string>
      */
     private const PLUGIN_HEADERS = array(
-        'Plugin Name'       => 'plugin_name',
-        'Version'           => 'version',
-        'Author'            => 'author',
-        'Description'       => 'description',
-        'Requires PHP'      => 'requires_php',
-        'Requires at least' => 'requires_wp',
+        'Plugin Name'             => 'plugin_name',
+        'Version'                 => 'version',
+        'Author'                  => 'author',
+        'Description'             => 'description',
+        'Requires PHP'            => 'requires_php',
+        'Requires at least'       => 'requires_wp',
+        'Requires Plugins'        => 'requires_plugins',
+        'Requires PHP Extensions' => 'requires_extensions',
+        'Network'                 => 'network',
+        'Tested up to'            => 'tested_up_to',
     );
 
     /**
-     * Verify nonce and capability for an AJAX upload request.
+     * Sub-directory of bpi-tmp where upload chunks are collected.
      *
-     * @return bool True if verified, false if error response was sent.
+     * @var string
      */
-    private function verifyAjaxRequest(): bool {
-        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( wp_unslash( $_POST['_wpnonce'] ), 'bpi_upload' ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'Security verification failed. Please refresh the page and try again.', 'bulk-plugin-installer' ) ),
-                403
-            );
-            return false;
-        }
+    private const CHUNK_DIR = 'chunks';
 
-        $required_cap = 'install_plugins';
-        if ( function_exists( 'is_multisite' ) && is_multisite()
-            && function_exists( 'is_network_admin' ) && is_network_admin() ) {
-            $required_cap = 'manage_network_plugins';
-        }
-        if ( ! current_user_can( $required_cap ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'You do not have permission to install plugins.', 'bulk-plugin-installer' ) ),
-                403
-            );
-            return false;
-        }
+    /**
+     * Maximum number of chunks accepted for a single file.
+     *
+     * @var int
+     */
+    private const MAX_CHUNKS = 10000;
+
+    /**
+     * Age in seconds after which abandoned chunk directories are removed (24 hours).
+     *
+     * @var int
+     */
+    private const CHUNK_TTL = 86400;
 
-        return true;
+    /**
+     * Source used to download remote plugin ZIPs.
+     *
+     * @var BPIHttpSource
+     */
+    private BPIHttpSource $http_source;
+
+    /**
+     * Constructor.
+     *
+     * @param BPIHttpSource|null $http_source Source for remote downloads (defaults to the WordPress HTTP API).
+     */
+    public function __construct( ?BPIHttpSource $http_source = null ) {
+        $this->http_source = $http_source ?? new BPIHttpSource();
     }
 
     /**
@@ -77,37 +90,338 @@ class BPIBulkUploader {
      * @since 1.0.0
      */
     public function handleUpload(): void {
-        if ( ! $this->verifyAjaxRequest() ) {
+        if ( ! $this->verifyAjaxRequest( 'bpi_upload' ) ) {
             return;
         }
 
-        $upload_error = $this->validateUploadedFile();
-        if ( null !== $upload_error ) {
-            wp_send_json_error( array( 'message' => $upload_error ), 400 );
+        $this->sendJsonResult( $this->uploadFile( $_FILES['plugin_zip'] ?? array() ) );
+    }
+
+    /**
+     * AJAX handler for a single chunk of a chunked upload.
+     *
+     * See uploadChunk(). Registered on `wp_ajax_bpi_upload_chunk`.
+     *
+     * @since 1.1.0
+     */
+    public function handleChunkUpload(): void {
+        if ( ! $this->verifyAjaxRequest( 'bpi_upload' ) ) {
             return;
         }
 
-        $file      = $_FILES['plugin_zip'];
-        $file_path = $file['tmp_name'];
-        $file_name = sanitize_text_field( $file['name'] ?? '' );
-        $file_size = (int) ( $file['size'] ?? 0 );
+        $this->sendJsonResult(
+            $this->uploadChunk(
+                isset( $_POST['upload_id'] ) ? sanitize_text_field( wp_unslash( $_POST['upload_id'] ) ) : '',
+                isset( $_POST['chunk_index'] ) ? absint( $_POST['chunk_index'] ) : 0,
+                isset( $_POST['total_chunks'] ) ? absint( $_POST['total_chunks'] ) : 0,
+                isset( $_POST['file_name'] ) ? sanitize_text_field( wp_unslash( $_POST['file_name'] ) ) : '',
+                isset( $_POST['file_size'] ) ? absint( $_POST['file_size'] ) : 0,
+                $_FILES['chunk'] ?? array()
+            )
+        );
+    }
+
+    /**
+     * AJAX handler for adding plugins from ZIP URLs and WordPress.org slugs.
+     *
+     * See addRemoteSources(). Registered on `wp_ajax_bpi_add_remote`.
+     *
+     * @since 1.1.0
+     */
+    public function handleRemoteAdd(): void {
+        if ( ! $this->verifyAjaxRequest( 'bpi_upload' ) ) {
+            return;
+        }
+
+        $input = isset( $_POST['sources'] ) ? sanitize_textarea_field( wp_unslash( $_POST['sources'] ) ) : '';
+
+        $this->sendJsonResult( $this->addRemoteSources( $input ) );
+    }
+
+    /**
+     * Validate an uploaded plugin ZIP and add it to the queue.
+     *
+     * @since 1.1.0
+     *
+     * @param array $file Entry of `$_FILES` for the upload.
+     * @return \WP_Error|array Upload data on success, or WP_Error with an HTTP 'status' on failure.
+     */
+    public function uploadFile( array $file ): \WP_Error|array {
+        $upload_error = $this->validateUploadedFile( $file );
+        if ( null !== $upload_error ) {
+            return new \WP_Error( 'bpi_invalid_upload', $upload_error, array( 'status' => 400 ) );
+        }
+
+        return $this->queueZip(
+            $file['tmp_name'],
+            sanitize_text_field( $file['name'] ?? '' ),
+            (int) ( $file['size'] ?? 0 )
+        );
+    }
+
+    /**
+     * Store a single chunk of a chunked upload.
+     *
+     * Large ZIPs are split client-side and sent as numbered chunks sharing an
+     * upload ID. Each chunk is stored as its own part file, so a failed chunk
+     * can simply be sent again. Once every chunk has arrived, the parts are
+     * reassembled and the ZIP goes through the same validation and queueing
+     * as a regular upload.
+     *
+     * @since 1.1.0
+     *
+     * @param string $upload_id    Client-generated upload ID.
+     * @param int    $chunk_index  Zero-based index of this chunk.
+     * @param int    $total_chunks Number of chunks in the upload.
+     * @param string $file_name    Original file name.
+     * @param int    $file_size    Size of the whole file in bytes.
+     * @param array  $chunk        Entry of `$_FILES` for the chunk.
+     * @return \WP_Error|array Progress data, upload data with 'complete' => true
+     *                         once the last chunk has arrived, or WP_Error with
+     *                         an HTTP 'status' on failure.
+     */
+    public function uploadChunk( string $upload_id, int $chunk_index, int $total_chunks, string $file_name, int $file_size, array $chunk ): \WP_Error|array {
+        if ( ! preg_match( '/^[A-Za-z0-9-]{8,64}$/', $upload_id )
+            || $total_chunks < 1 || $total_chunks > self::MAX_CHUNKS
+            || $chunk_index >= $total_chunks || $file_size < 1 ) {
+            return new \WP_Error( 'bpi_invalid_chunk', __( 'Invalid chunk upload request.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
+        }
+
+        if ( empty( $chunk['tmp_name'] ) ) {
+            return new \WP_Error( 'bpi_invalid_upload', __( 'No file was uploaded.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
+        }
+
+        $size_error = $this->checkFileSizeLimit( $file_name, $file_size );
+        if ( null !== $size_error ) {
+            return new \WP_Error( 'file_too_large', $size_error, array( 'status' => 400 ) );
+        }
+
+        if ( 0 === $chunk_index ) {
+            $this->cleanupStaleChunks();
+        }
+
+        $chunk_dir = $this->getChunkDir( $upload_id );
+        wp_mkdir_p( $chunk_dir );
+
+        $chunk_tmp  = $chunk['tmp_name'];
+        $chunk_path = $chunk_dir . $chunk_index . '.part';
+
+        // Stop as soon as the parts outgrow the declared size, which is
+        // already within the size limit, rather than after the last chunk.
+        if ( $this->getReceivedBytes( $chunk_dir, $chunk_path ) + (int) filesize( $chunk_tmp ) > $file_size ) {
+            $this->removeChunkDir( $chunk_dir );
+            return new \WP_Error(
+                'chunk_size_mismatch',
+                sprintf(
+                    /* translators: %s: file name */
+                    __( "File '%s': The uploaded parts exceed the original size. Please upload it again.", 'bulk-plugin-installer' ),
+                    $file_name
+                ),
+                array( 'status' => 400 )
+            );
+        }
+
+        if ( ! move_uploaded_file( $chunk_tmp, $chunk_path ) && ! copy( $chunk_tmp, $chunk_path ) ) {
+            return new \WP_Error( 'save_failed', __( 'Failed to save uploaded file.', 'bulk-plugin-installer' ), array( 'status' => 500 ) );
+        }
+
+        $parts    = glob( $chunk_dir . '*.part' );
+        $received = is_array( $parts ) ? count( $parts ) : 0;
+
+        if ( $received < $total_chunks ) {
+            return array(
+                'upload_id' => $upload_id,
+                'received'  => $received,
+                'complete'  => false,
+            );
+        }
+
+        $assembled = $this->assembleChunks( $chunk_dir, $total_chunks, $file_size );
+        if ( is_wp_error( $assembled ) ) {
+            $this->removeChunkDir( $chunk_dir );
+            return new \WP_Error(
+                $assembled->get_error_code(),
+                sprintf(
+                    /* translators: 1: file name, 2: error message */
+                    __( "File '%1\$s': %2\$s", 'bulk-plugin-installer' ),
+                    $file_name,
+                    $assembled->get_error_message()
+                ),
+                array( 'status' => 400 )
+            );
+        }
+
+        $result = $this->queueZip( $assembled, $file_name, $file_size );
+        $this->removeChunkDir( $chunk_dir );
+
+        return is_wp_error( $result ) ? $result : $result + array( 'complete' => true );
+    }
+
+    /**
+     * Add plugins from ZIP URLs and WordPress.org slugs.
+     *
+     * Expects one source per line (see BPIRemoteSource). Each source is
+     * downloaded server-side and queued like an uploaded ZIP, so it flows
+     * through the same preview and processing. Sources are handled
+     * independently; the result lists the outcome of each.
+     *
+     * @since 1.1.0
+     *
+     * @param string $input Sources, one per line.
+     * @return \WP_Error|array Per-source results and the queue totals, or WP_Error with an HTTP 'status'.
+     */
+    public function addRemoteSources( string $input ): \WP_Error|array {
+        $remote_source = new BPIRemoteSource();
+        $lines         = $remote_source->parseList( $input );
+
+        if ( empty( $lines ) ) {
+            return new \WP_Error(
+                'bpi_no_sources',
+                __( 'Enter at least one ZIP URL or WordPress.org plugin slug.', 'bulk-plugin-installer' ),
+                array( 'status' => 400 )
+            );
+        }
+
+        $max_plugins = (int) get_option( 'bpi_max_plugins', 20 );
+        if ( count( $lines ) > $max_plugins ) {
+            return new \WP_Error(
+                'bpi_too_many_sources',
+                sprintf(
+                    /* translators: %d: maximum number of plugins */
+                    __( 'You can add at most %d plugins at once.', 'bulk-plugin-installer' ),
+                    $max_plugins
+                ),
+                array( 'status' => 400 )
+            );
+        }
+
+        $results = array();
+        foreach ( $lines as $line ) {
+            $results[] = array( 'input' => $line ) + $this->queueRemoteSource( $remote_source, $line );
+        }
+
+        $queue_manager = new BPIQueueManager();
+
+        return array(
+            'results'     => $results,
+            'queue_count' => $queue_manager->getCount(),
+            'queue_size'  => $queue_manager->getTotalSize(),
+        );
+    }
+
+    /**
+     * Add the plugins of a manifest to the queue.
+     *
+     * Remote entries are downloaded and queued in manifest order with
+     * their expected checksum and activation choice. A plugin whose slug
+     * or version does not match its entry is taken off the queue again.
+     * Local ZIP paths are only supported by WP-CLI.
+     *
+     * @since 1.1.0
+     *
+     * @param string $content Manifest contents (see BPIManifest).
+     * @param string $format  'json' or 'yaml'; detected from the contents when empty.
+     * @return \WP_Error|array Per-plugin results and the queue totals, or WP_Error with an HTTP 'status'.
+     */
+    public function addManifest( string $content, string $format = '' ): \WP_Error|array {
+        $manifest_parser = new BPIManifest();
+        $manifest        = $manifest_parser->parse( $content, $format );
+
+        if ( is_wp_error( $manifest ) ) {
+            return new \WP_Error(
+                $manifest->get_error_code(),
+                $manifest->get_error_message(),
+                array( 'status' => 400 ) + (array) $manifest->get_error_data()
+            );
+        }
+
+        $max_plugins = (int) get_option( 'bpi_max_plugins', 20 );
+        if ( count( $manifest['plugins'] ) > $max_plugins ) {
+            return new \WP_Error(
+                'bpi_too_many_sources',
+                sprintf(
+                    /* translators: %d: maximum number of plugins */
+                    __( 'You can add at most %d plugins at once.', 'bulk-plugin-installer' ),
+                    $max_plugins
+                ),
+                array( 'status' => 400 )
+            );
+        }
+
+        $remote_source = new BPIRemoteSource();
+        $results       = array();
+
+        foreach ( $manifest['plugins'] as $entry ) {
+            $input = '' !== $entry['slug'] ? $entry['slug'] : $entry['source'];
+
+            if ( 'path' === $entry['source_type'] ) {
+                $results[] = array(
+                    'input'   => $input,
+                    'success' => false,
+                    'message' => sprintf(
+                        /* translators: %s: file path */
+                        __( 'Local ZIP paths can only be installed with WP-CLI: %s', 'bulk-plugin-installer' ),
+                        $entry['source']
+                    ),
+                );
+                continue;
+            }
+
+            $result = $this->queueRemoteSource( $remote_source, $manifest_parser->getSourceLine( $entry ), array(
+                'expected_sha256'  => $entry['sha256'],
+                'checksum_source'  => '' !== $entry['sha256'] ? 'manifest' : '',
+                'activate'         => $entry['activate'],
+                'network_activate' => $entry['network'] ? true : null,
+            ) );
+
+            $mismatch = $result['success'] ? $manifest_parser->checkPlugin( $entry, $result['slug'], $result['headers']['version'] ?? '' ) : '';
+            if ( '' !== $mismatch ) {
+                ( new BPIQueueManager() )->remove( $result['slug'] );
+                $result = array(
+                    'success' => false,
+                    'message' => $mismatch,
+                );
+            }
+
+            $results[] = array( 'input' => $input ) + $result;
+        }
+
+        $queue_manager = new BPIQueueManager();
+
+        return array(
+            'name'        => $manifest['name'],
+            'results'     => $results,
+            'queue_count' => $queue_manager->getCount(),
+            'queue_size'  => $queue_manager->getTotalSize(),
+        );
+    }
 
+    /**
+     * Validate a ZIP, copy it into bpi-tmp and add it to the queue.
+     *
+     * @since 1.1.0
+     *
+     * @param string $file_path Path to the ZIP file.
+     * @param string $file_name Original file name.
+     * @param int    $file_size File size in bytes.
+     * @param array  $extra     Additional plugin data stored with the queue item (e.g. 'source').
+     * @return \WP_Error|array Upload data on success, or WP_Error with an HTTP 'status' on failure.
+     */
+    public function queueZip( string $file_path, string $file_name, int $file_size, array $extra = array() ): \WP_Error|array {
         // Single-pass: validate, extract headers, and determine slug.
         $analysis = $this->analyzeZip( $file_path );
 
         if ( is_wp_error( $analysis ) ) {
-            wp_send_json_error(
-                array(
-                    'message' => sprintf(
-                        /* translators: 1: file name, 2: error message */
-                        __( "File '%1\$s': %2\$s", 'bulk-plugin-installer' ),
-                        $file_name,
-                        $analysis->get_error_message()
-                    ),
+            return new \WP_Error(
+                $analysis->get_error_code(),
+                sprintf(
+                    /* translators: 1: file name, 2: error message */
+                    __( "File '%1\$s': %2\$s", 'bulk-plugin-installer' ),
+                    $file_name,
+                    $analysis->get_error_message()
                 ),
-                400
+                array( 'status' => 400 )
             );
-            return;
         }
 
         $headers = $analysis['headers'];
@@ -120,11 +434,11 @@ class BPIBulkUploader {
 
         $dest_path = $bpi_tmp_dir . sanitize_file_name( $slug . '-' . time() . '.zip' );
         if ( ! move_uploaded_file( $file_path, $dest_path ) && ! copy( $file_path, $dest_path ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'Failed to save uploaded file.', 'bulk-plugin-installer' ) ),
-                500
+            return new \WP_Error(
+                'save_failed',
+                __( 'Failed to save uploaded file.', 'bulk-plugin-installer' ),
+                array( 'status' => 500 )
             );
-            return;
         }
 
         // Determine install vs update.
@@ -142,6 +456,19 @@ class BPIBulkUploader {
             }
         }
 
+        // "Tested up to" usually lives in readme.txt rather than the plugin header.
+        $tested_up_to = $headers['tested_up_to'] ?? '';
+        if ( '' === $tested_up_to ) {
+            $tested_up_to = ( new BPIChangelogExtractor() )->extract( $dest_path )['tested_up_to'] ?? '';
+        }
+
+        // Scan the code on upload so the preview can show the findings;
+        // null marks a plugin that was not scanned.
+        $scanner           = new BPISecurityScanner();
+        $security_findings = 'off' === $scanner->getMode() ? null : $scanner->scan( $dest_path );
+
+        $sha256 = ( new BPIChecksumVerifier() )->hashFile( $dest_path );
+
         // Add to the queue.
         $queue_manager = new BPIQueueManager();
         $was_duplicate = $queue_manager->hasDuplicate( $slug );
@@ -155,36 +482,92 @@ class BPIBulkUploader {
             'plugin_description' => $headers['description'] ?? '',
             'requires_php'       => $headers['requires_php'] ?? '',
             'requires_wp'        => $headers['requires_wp'] ?? '',
+            'requires_plugins'   => $headers['requires_plugins'] ?? '',
+            'requires_extensions' => $headers['requires_extensions'] ?? '',
+            'network'            => $headers['network'] ?? '',
+            'tested_up_to'       => $tested_up_to,
             'action'             => $action,
             'installed_version'  => $installed_version,
-        ) );
-
-        wp_send_json_success(
-            array(
-                'slug'          => $slug,
-                'file_name'     => $file_name,
-                'file_size'     => $file_size,
-                'headers'       => $headers,
-                'action'        => $action,
-                'was_duplicate' => $was_duplicate,
-                'queue_count'   => $queue_manager->getCount(),
-                'queue_size'    => $queue_manager->getTotalSize(),
-            )
+            'security_findings'  => $security_findings,
+            'sha256'             => $sha256,
+        ) + $extra );
+
+        return array(
+            'slug'          => $slug,
+            'file_name'     => $file_name,
+            'file_size'     => $file_size,
+            'headers'       => $headers,
+            'action'        => $action,
+            'was_duplicate' => $was_duplicate,
+            'queue_count'   => $queue_manager->getCount(),
+            'queue_size'    => $queue_manager->getTotalSize(),
+            'sha256'        => $sha256,
         );
     }
 
+    /**
+     * Download a remote source and add it to the queue.
+     *
+     * @param BPIRemoteSource $remote_source Source resolver.
+     * @param string          $line          Source line.
+     * @param array           $extra         Additional plugin data stored with the queue item.
+     * @return array Upload data with 'success' => true, or 'success' => false and a 'message'.
+     */
+    private function queueRemoteSource( BPIRemoteSource $remote_source, string $line, array $extra = array() ): array {
+        $source = $remote_source->resolve( $line );
+        if ( is_wp_error( $source ) ) {
+            return array(
+                'success' => false,
+                'message' => $source->get_error_message(),
+            );
+        }
+
+        $tmp_file = $this->http_source->download( $source['url'], (int) get_option( 'bpi_max_file_size', 0 ) * 1024 * 1024 );
+        if ( is_wp_error( $tmp_file ) ) {
+            return array(
+                'success' => false,
+                'message' => sprintf(
+                    /* translators: 1: source, 2: error message */
+                    __( 'Could not download %1$s: %2$s', 'bulk-plugin-installer' ),
+                    $line,
+                    $tmp_file->get_error_message()
+                ),
+            );
+        }
+
+        $file_size  = (int) filesize( $tmp_file );
+        $size_error = $this->checkFileSizeLimit( $source['file_name'], $file_size );
+        $result     = null === $size_error
+            ? $this->queueZip( $tmp_file, $source['file_name'], $file_size, array( 'source' => $source['url'] ) + $extra )
+            : new \WP_Error( 'file_too_large', $size_error );
+
+        if ( file_exists( $tmp_file ) ) {
+            unlink( $tmp_file );
+        }
+
+        if ( is_wp_error( $result ) ) {
+            return array(
+                'success' => false,
+                'message' => $result->get_error_message(),
+            );
+        }
+
+        return array( 'success' => true ) + $result;
+    }
+
     /**
      * Validate that a file was uploaded and meets size constraints.
      *
+     * @param array $file Entry of `$_FILES` for the upload.
      * @return string|null Error message if invalid, null if OK.
      */
-    private function validateUploadedFile(): ?string {
-        if ( empty( $_FILES['plugin_zip'] ) || empty( $_FILES['plugin_zip']['tmp_name'] ) ) {
+    private function validateUploadedFile( array $file ): ?string {
+        if ( empty( $file['tmp_name'] ) ) {
             return __( 'No file was uploaded.', 'bulk-plugin-installer' );
         }
 
-        $file_name = sanitize_text_field( $_FILES['plugin_zip']['name'] ?? '' );
-        $file_size = (int) ( $_FILES['plugin_zip']['size'] ?? 0 );
+        $file_name = sanitize_text_field( $file['name'] ?? '' );
+        $file_size = (int) ( $file['size'] ?? 0 );
 
         return $this->checkFileSizeLimit( $file_name, $file_size );
     }
@@ -479,12 +862,16 @@ class BPIBulkUploader {
      */
     private function emptyHeaders(): array {
         return array(
-            'plugin_name'  => '',
-            'version'      => '',
-            'author'       => '',
-            'description'  => '',
-            'requires_php' => '',
-            'requires_wp'  => '',
+            'plugin_name'         => '',
+            'version'             => '',
+            'author'              => '',
+            'description'         => '',
+            'requires_php'        => '',
+            'requires_wp'         => '',
+            'requires_plugins'    => '',
+            'requires_extensions' => '',
+            'network'             => '',
+            'tested_up_to'        => '',
         );
     }
 
@@ -586,4 +973,109 @@ class BPIBulkUploader {
 
         return $first_php_file;
     }
+
+    // ------------------------------------------------------------------
+    // Chunked upload helpers
+    // ------------------------------------------------------------------
+
+    /**
+     * Get the directory collecting the chunks of an upload.
+     *
+     * Scoped to the current user so upload IDs cannot collide across users.
+     *
+     * @param string $upload_id Client-generated upload ID.
+     * @return string Absolute directory path with trailing slash.
+     */
+    private function getChunkDir( string $upload_id ): string {
+        $upload_dir = wp_upload_dir();
+        return trailingslashit( $upload_dir['basedir'] ) . 'bpi-tmp/' . self::CHUNK_DIR . '/' . get_current_user_id() . '-' . $upload_id . '/';
+    }
+
+    /**
+     * Get the number of bytes stored in the part files of an upload.
+     *
+     * @param string $chunk_dir Directory holding the part files.
+     * @param string $exclude   Part file left out, as it is about to be replaced.
+     * @return int Total size in bytes.
+     */
+    private function getReceivedBytes( string $chunk_dir, string $exclude ): int {
+        $total = 0;
+        foreach ( glob( $chunk_dir . '*.part' ) ?: array() as $part ) {
+            if ( $part !== $exclude ) {
+                $total += (int) filesize( $part );
+            }
+        }
+        return $total;
+    }
+
+    /**
+     * Concatenate chunk part files, in order, into a single ZIP file.
+     *
+     * @param string $chunk_dir    Directory holding the part files.
+     * @param int    $total_chunks Number of chunks expected.
+     * @param int    $file_size    Expected size of the assembled file in bytes.
+     * @return \WP_Error|string Path to the assembled file, or WP_Error on failure.
+     */
+    private function assembleChunks( string $chunk_dir, int $total_chunks, int $file_size ): \WP_Error|string {
+        $assembled_path = $chunk_dir . 'assembled.zip';
+        $out            = fopen( $assembled_path, 'wb' );
+
+        if ( false === $out ) {
+            return new \WP_Error( 'chunk_assembly_failed', __( 'Failed to save uploaded file.', 'bulk-plugin-installer' ) );
+        }
+
+        for ( $i = 0; $i < $total_chunks; $i++ ) {
+            $in = is_file( $chunk_dir . $i . '.part' ) ? fopen( $chunk_dir . $i . '.part', 'rb' ) : false;
+            if ( false === $in ) {
+                fclose( $out );
+                return new \WP_Error( 'chunk_missing', __( 'A part of the file is missing. Please upload it again.', 'bulk-plugin-installer' ) );
+            }
+            stream_copy_to_stream( $in, $out );
+            fclose( $in );
+        }
+
+        fclose( $out );
+
+        if ( filesize( $assembled_path ) !== $file_size ) {
+            return new \WP_Error( 'chunk_size_mismatch', __( 'The reassembled file does not match the original size. Please upload it again.', 'bulk-plugin-installer' ) );
+        }
+
+        return $assembled_path;
+    }
+
+    /**
+     * Remove chunk directories that have not been touched for a day.
+     *
+     * Abandoned uploads (closed tab, cancelled file) would otherwise
+     * accumulate until the plugin is deactivated.
+     */
+    private function cleanupStaleChunks(): void {
+        $upload_dir = wp_upload_dir();
+        $dirs       = glob( trailingslashit( $upload_dir['basedir'] ) . 'bpi-tmp/' . self::CHUNK_DIR . '/*', GLOB_ONLYDIR );
+
+        foreach ( is_array( $dirs ) ? $dirs : array() as $dir ) {
+            if ( time() - (int) filemtime( $dir ) > self::CHUNK_TTL ) {
+                $this->removeChunkDir( trailingslashit( $dir ) );
+            }
+        }
+    }
+
+    /**
+     * Delete a chunk directory and its part files.
+     *
+     * @param string $chunk_dir Directory path with trailing slash.
+     */
+    private function removeChunkDir( string $chunk_dir ): void {
+        $files = glob( $chunk_dir . '*' );
+
+        foreach ( is_array( $files ) ? $files : array() as $file ) {
+            if ( is_file( $file ) ) {
+                unlink( $file );
+            }
+        }
+
+        if ( is_dir( $chunk_dir ) ) {
+            rmdir( $chunk_dir );
+        }
+    }
 }
@@ -20,6 +20,17 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class BPIChangelogExtractor {
 
+    /**
+     * Patterns of the release-notes highlights, keyed by highlight.
+     *
+     * @var array<string, string>
+     */
+    private const HIGHLIGHT_PATTERNS = array(
+        'security'   => '/\bsecurity\b/i',
+        'breaking'   => '/\bbreaking\b/i',
+        'deprecated' => '/\bdeprecat(?:ed|es|ions?)\b/i',
+    );
+
     /**
      * Extract changelog data from a plugin ZIP archive.
      *
@@ -164,6 +175,11 @@ class BPIChangelogExtractor {
     /**
      * Parse version entries from lines using a version header pattern.
      *
+     * Each entry keeps its bullet points as plain strings in `changes`, and
+     * as a structured representation in `blocks` (see parseBlocks()).
+     * `highlights` lists which of 'security', 'breaking' and 'deprecated'
+     * the entry mentions.
+     *
      * @param array  $lines          Lines to parse.
      * @param string $version_pattern Regex pattern for version headers.
      * @return array Array of changelog entries.
@@ -171,34 +187,177 @@ class BPIChangelogExtractor {
     private function parseVersionEntries( array $lines, string $version_pattern ): array {
         $entries       = array();
         $current_entry = null;
+        $entry_lines   = array();
 
         foreach ( $lines as $line ) {
             $line = rtrim( $line );
 
             if ( preg_match( $version_pattern, $line, $ver_match ) ) {
                 if ( null !== $current_entry ) {
-                    $entries[] = $current_entry;
+                    $entries[] = $this->finishEntry( $current_entry, $entry_lines );
                 }
                 $current_entry = array(
                     'version' => trim( $ver_match[1] ),
                     'date'    => isset( $ver_match[2] ) ? trim( $ver_match[2] ) : '',
                     'changes' => array(),
                 );
+                $entry_lines   = array();
                 continue;
             }
 
-            if ( null !== $current_entry && preg_match( '/^\s*[\*\-]\s+(.+)$/', $line, $bullet ) ) {
+            if ( null === $current_entry ) {
+                continue;
+            }
+
+            $entry_lines[] = $line;
+            if ( preg_match( '/^\s*[\*\-]\s+(.+)$/', $line, $bullet ) ) {
                 $current_entry['changes'][] = trim( $bullet[1] );
             }
         }
 
         if ( null !== $current_entry ) {
-            $entries[] = $current_entry;
+            $entries[] = $this->finishEntry( $current_entry, $entry_lines );
         }
 
         return $entries;
     }
 
+    /**
+     * Add the structured blocks and highlights to a parsed entry.
+     *
+     * @param array    $entry Entry with version, date and changes.
+     * @param string[] $lines Lines of the entry below its version header.
+     * @return array Completed entry.
+     */
+    private function finishEntry( array $entry, array $lines ): array {
+        $text       = implode( "\n", $lines );
+        $highlights = array();
+
+        foreach ( self::HIGHLIGHT_PATTERNS as $highlight => $pattern ) {
+            if ( 1 === preg_match( $pattern, $text ) ) {
+                $highlights[] = $highlight;
+            }
+        }
+
+        $entry['blocks']     = $this->parseBlocks( $lines );
+        $entry['highlights'] = $highlights;
+
+        return $entry;
+    }
+
+    /**
+     * Parse the Markdown of a changelog entry into safe structured blocks.
+     *
+     * Supported are headings (`### Added`, or a line that is only
+     * `**Bold**`), nested bullet and numbered lists, and paragraphs. Their
+     * text is split into inline nodes by parseInline(). Everything else,
+     * including HTML, is kept as plain text for the browser to escape.
+     *
+     * @since 1.1.0
+     *
+     * @param string[] $lines Markdown lines.
+     * @return array[] {
+     *     Blocks in document order.
+     *
+     *     @type string  $type    'heading', 'list' or 'paragraph'.
+     *     @type array[] $content Inline nodes of a heading or paragraph.
+     *     @type array[] $items   List items of a list, each with 'content'
+     *                            inline nodes and nested 'children' items.
+     * }
+     */
+    public function parseBlocks( array $lines ): array {
+        $blocks     = array();
+        $list_lines = array();
+        $paragraph  = array();
+
+        $flush_paragraph = function () use ( &$blocks, &$paragraph ) {
+            if ( ! empty( $paragraph ) ) {
+                $blocks[]  = array( 'type' => 'paragraph', 'content' => $this->parseInline( implode( ' ', $paragraph ) ) );
+                $paragraph = array();
+            }
+        };
+        $flush_list = function () use ( &$blocks, &$list_lines ) {
+            if ( ! empty( $list_lines ) ) {
+                $index      = 0;
+                $blocks[]   = array( 'type' => 'list', 'items' => $this->buildListItems( $list_lines, $index, min( array_column( $list_lines, 'indent' ) ) ) );
+                $list_lines = array();
+            }
+        };
+
+        foreach ( $lines as $line ) {
+            $line = str_replace( "\t", '    ', rtrim( $line ) );
+
+            if ( '' === trim( $line ) ) {
+                $flush_paragraph();
+            } elseif ( preg_match( '/^\s*#{1,6}\s+(.+?)\s*#*$/', $line, $match ) || preg_match( '/^\s*\*\*([^*]+)\*\*:?\s*$/', $line, $match ) ) {
+                $flush_paragraph();
+                $flush_list();
+                $blocks[] = array( 'type' => 'heading', 'content' => $this->parseInline( $match[1] ) );
+            } elseif ( preg_match( '/^(\s*)(?:[\*\-+]|\d+[.)])\s+(.+)$/', $line, $match ) ) {
+                $flush_paragraph();
+                $list_lines[] = array( 'indent' => strlen( $match[1] ), 'text' => trim( $match[2] ) );
+            } elseif ( ! empty( $list_lines ) && empty( $paragraph ) && preg_match( '/^\s+\S/', $line ) ) {
+                // An indented line continues the previous list item.
+                $list_lines[ count( $list_lines ) - 1 ]['text'] .= ' ' . trim( $line );
+            } else {
+                $flush_list();
+                $paragraph[] = trim( $line );
+            }
+        }
+
+        $flush_paragraph();
+        $flush_list();
+
+        return $blocks;
+    }
+
+    /**
+     * Split Markdown text into inline nodes.
+     *
+     * Recognizes `code`, [links](https://…), <https://…> autolinks and
+     * **bold** text. Only http(s) links are kept as links; any other link
+     * becomes plain text.
+     *
+     * @since 1.1.0
+     *
+     * @param string $text Markdown text.
+     * @return array[] Nodes with a 'type' ('text', 'code', 'strong' or 'link'),
+     *                 their 'text' and, for links, the 'url'.
+     */
+    public function parseInline( string $text ): array {
+        $pattern = '/`([^`]+)`|\[([^\]]+)\]\(\s*([^)\s]+)\s*\)|<(https?:\/\/[^>\s]+)>|\*\*([^*]+)\*\*/';
+        $nodes   = array();
+        $offset  = 0;
+
+        preg_match_all( $pattern, $text, $matches, PREG_SET_ORDER | PREG_OFFSET_CAPTURE );
+
+        foreach ( $matches as $match ) {
+            $start = $match[0][1];
+            if ( $start > $offset ) {
+                $nodes[] = array( 'type' => 'text', 'text' => substr( $text, $offset, $start - $offset ) );
+            }
+            $offset = $start + strlen( $match[0][0] );
+
+            if ( isset( $match[1] ) && '' !== $match[1][0] ) {
+                $nodes[] = array( 'type' => 'code', 'text' => $match[1][0] );
+            } elseif ( isset( $match[2] ) && '' !== $match[2][0] ) {
+                $nodes[] = $this->isSafeUrl( $match[3][0] )
+                    ? array( 'type' => 'link', 'text' => $match[2][0], 'url' => $match[3][0] )
+                    : array( 'type' => 'text', 'text' => $match[2][0] );
+            } elseif ( isset( $match[4] ) && '' !== $match[4][0] ) {
+                $nodes[] = array( 'type' => 'link', 'text' => $match[4][0], 'url' => $match[4][0] );
+            } else {
+                $nodes[] = array( 'type' => 'strong', 'text' => $match[5][0] );
+            }
+        }
+
+        if ( $offset < strlen( $text ) ) {
+            $nodes[] = array( 'type' => 'text', 'text' => substr( $text, $offset ) );
+        }
+
+        return $nodes;
+    }
+
     /**
      * Parse a CHANGELOG.md file (Keep a Changelog format).
      *
@@ -239,9 +398,10 @@ class BPIChangelogExtractor {
                     if ( '' === $version ) {
                         return false;
                     }
-                    // version > $from AND version <= $to
-                    return version_compare( $version, $from, '>' )
-                        && version_compare( $version, $to, '<=' );
+                    // version > $from AND version <= $to; "2.0" and "2.0.0" are the same release.
+                    $version = $this->trimZeroParts( $version );
+                    return version_compare( $version, $this->trimZeroParts( $from ), '>' )
+                        && version_compare( $version, $this->trimZeroParts( $to ), '<=' );
                 }
             )
         );
@@ -274,6 +434,65 @@ class BPIChangelogExtractor {
         return 'patch';
     }
 
+    /**
+     * Build nested list items from indented list lines.
+     *
+     * Lines indented deeper than the current level become the children of
+     * the item above them. A line indented deeper than the level but with
+     * no item above it starts the level, so no line is dropped.
+     *
+     * @param array[] $lines  List lines, each with 'indent' and 'text'.
+     * @param int     $index  Position of the next line to read; advanced as lines are consumed.
+     * @param int     $indent Indentation of the current level.
+     * @return array[] List items with 'content' and 'children'.
+     */
+    private function buildListItems( array $lines, int &$index, int $indent ): array {
+        $items = array();
+
+        while ( $index < count( $lines ) ) {
+            $line = $lines[ $index ];
+
+            if ( $line['indent'] < $indent && ! empty( $items ) ) {
+                break;
+            }
+
+            if ( $line['indent'] > $indent && ! empty( $items ) ) {
+                $last                       = count( $items ) - 1;
+                $items[ $last ]['children'] = array_merge( $items[ $last ]['children'], $this->buildListItems( $lines, $index, $line['indent'] ) );
+                continue;
+            }
+
+            $items[] = array(
+                'content'  => $this->parseInline( $line['text'] ),
+                'children' => array(),
+            );
+            $index++;
+        }
+
+        return $items;
+    }
+
+    /**
+     * Drop trailing ".0" parts so that version_compare() treats "2.0" and
+     * "2.0.0" as equal.
+     *
+     * @param string $version Version string.
+     * @return string Version without trailing zero parts.
+     */
+    private function trimZeroParts( string $version ): string {
+        return (string) preg_replace( '/(?<=\d)(?:\.0+)+$/', '', $version );
+    }
+
+    /**
+     * Check that a changelog link points to an http(s) URL.
+     *
+     * @param string $url Link target.
+     * @return bool True if the link may be rendered.
+     */
+    private function isSafeUrl( string $url ): bool {
+        return 1 === preg_match( '#^https?://[^\s"\'<>]+$#i', $url );
+    }
+
     /**
      * Parse a version string into major, minor, and patch integers.
      *
@@ -0,0 +1,133 @@
+<?php
+/**
+ * Checksum Verifier for Bulk Plugin Installer.
+ *
+ * Computes and compares SHA-256 checksums of plugin ZIPs.
+ *
+ * @package BulkPluginInstaller
+ */
+
+// Abort if this file is called directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Verifies plugin ZIPs against expected SHA-256 checksums.
+ *
+ * Expected checksums are entered per file on the Bulk Upload screen,
+ * stored in a profile entry or read from a sidecar `.sha256` file next to
+ * the ZIP. Sidecar files may use the `sha256sum` output format
+ * (`<hash>  <file name>`); only the hash is used.
+ *
+ * @since 1.1.0
+ */
+class BPIChecksumVerifier {
+
+    /**
+     * The ZIP matches the expected checksum.
+     *
+     * @var string
+     */
+    public const STATUS_MATCH = 'match';
+
+    /**
+     * The ZIP does not match the expected checksum.
+     *
+     * @var string
+     */
+    public const STATUS_MISMATCH = 'mismatch';
+
+    /**
+     * No expected checksum was supplied.
+     *
+     * @var string
+     */
+    public const STATUS_UNVERIFIED = 'unverified';
+
+    /**
+     * Allowed sources of an expected checksum.
+     *
+     * @var string[]
+     */
+    public const SOURCES = array( 'manual', 'sidecar', 'profile', 'manifest' );
+
+    /**
+     * Compute the SHA-256 checksum of a file.
+     *
+     * @since 1.1.0
+     *
+     * @param string $file_path Path to the file.
+     * @return string Lowercase hex checksum, or an empty string if the file cannot be read.
+     */
+    public function hashFile( string $file_path ): string {
+        if ( '' === $file_path || ! is_file( $file_path ) || ! is_readable( $file_path ) ) {
+            return '';
+        }
+
+        $hash = hash_file( 'sha256', $file_path );
+        return false === $hash ? '' : $hash;
+    }
+
+    /**
+     * Extract a SHA-256 checksum from user input or sidecar file contents.
+     *
+     * @since 1.1.0
+     *
+     * @param string $value Raw value, e.g. a bare hash or a `sha256sum` line.
+     * @return string Lowercase hex checksum, or an empty string if none was found.
+     */
+    public function normalize( string $value ): string {
+        if ( 1 !== preg_match( '/(?<![a-f0-9])([a-f0-9]{64})(?![a-f0-9])/i', $value, $matches ) ) {
+            return '';
+        }
+        return strtolower( $matches[1] );
+    }
+
+    /**
+     * Read the expected checksum from a sidecar file next to a ZIP.
+     *
+     * Looks for `plugin.zip.sha256` first, then `plugin.sha256`.
+     *
+     * @since 1.1.0
+     *
+     * @param string $zip_path Path to the ZIP.
+     * @return string Lowercase hex checksum, or an empty string if there is no valid sidecar.
+     */
+    public function readSidecar( string $zip_path ): string {
+        $candidates = array(
+            $zip_path . '.sha256',
+            preg_replace( '/\.zip$/i', '', $zip_path ) . '.sha256',
+        );
+
+        foreach ( array_unique( $candidates ) as $candidate ) {
+            if ( is_file( $candidate ) && is_readable( $candidate ) ) {
+                $contents = file_get_contents( $candidate );
+                $hash     = false === $contents ? '' : $this->normalize( $contents );
+                if ( '' !== $hash ) {
+                    return $hash;
+                }
+            }
+        }
+
+        return '';
+    }
+
+    /**
+     * Compare a computed checksum with the expected one.
+     *
+     * @since 1.1.0
+     *
+     * @param string $actual   Computed checksum.
+     * @param string $expected Expected checksum; empty if none was supplied.
+     * @return string STATUS_MATCH, STATUS_MISMATCH or STATUS_UNVERIFIED.
+     */
+    public function verify( string $actual, string $expected ): string {
+        $expected = $this->normalize( $expected );
+        if ( '' === $expected ) {
+            return self::STATUS_UNVERIFIED;
+        }
+
+        return hash_equals( $expected, strtolower( $actual ) ) ? self::STATUS_MATCH : self::STATUS_MISMATCH;
+    }
+}
@@ -4,7 +4,8 @@
  *
  * Provides WP-CLI integration for bulk plugin operations from the command line.
  * Registers `wp bulk-plugin install` command with support for file paths,
- * profiles, dry-run mode, and non-interactive confirmation.
+ * profiles, manifests, dry-run mode, and non-interactive confirmation, and the
+ * `rollback`, `batches`, `profile`, `log` and `queue` subcommands.
  *
  * @package BulkPluginInstaller
  */
@@ -24,6 +25,13 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class BPICLIInterface {
 
+    /**
+     * Output formats accepted by --format.
+     *
+     * @var string[]
+     */
+    private const OUTPUT_FORMATS = array( 'table', 'json', 'csv', 'yaml' );
+
     /**
      * Bulk uploader instance.
      *
@@ -59,6 +67,34 @@ class BPICLIInterface {
      */
     private BPIProfileManager $profiles;
 
+    /**
+     * Batch rollback manager instance, created on first use if not set.
+     *
+     * @var BPIBatchRollbackManager|null
+     */
+    private ?BPIBatchRollbackManager $batchRollbackManager = null;
+
+    /**
+     * Log manager instance, created on first use if not set.
+     *
+     * @var BPILogManager|null
+     */
+    private ?BPILogManager $logManager = null;
+
+    /**
+     * HTTP source used to download the remote plugins of a manifest.
+     *
+     * @var BPIHttpSource|null
+     */
+    private ?BPIHttpSource $httpSource = null;
+
+    /**
+     * Temporary files downloaded for the current command.
+     *
+     * @var string[]
+     */
+    private array $downloads = array();
+
 
     /**
      * Constructor.
@@ -83,18 +119,73 @@ class BPICLIInterface {
         $this->profiles  = $profiles;
     }
 
+    /**
+     * Set the batch rollback manager used by `rollback` and `batches list`.
+     *
+     * @since 1.1.0
+     *
+     * @param BPIBatchRollbackManager $batchRollbackManager Batch rollback manager instance.
+     */
+    public function setBatchRollbackManager( BPIBatchRollbackManager $batchRollbackManager ): void {
+        $this->batchRollbackManager = $batchRollbackManager;
+    }
+
+    /**
+     * Set the log manager used by the `log` subcommands.
+     *
+     * @since 1.1.0
+     *
+     * @param BPILogManager $logManager Log manager instance.
+     */
+    public function setLogManager( BPILogManager $logManager ): void {
+        $this->logManager = $logManager;
+    }
+
+    /**
+     * Set the HTTP source used to download the remote plugins of a manifest.
+     *
+     * @since 1.1.0
+     *
+     * @param BPIHttpSource $httpSource HTTP source instance.
+     */
+    public function setHttpSource( BPIHttpSource $httpSource ): void {
+        $this->httpSource = $httpSource;
+    }
+
     /**
      * Register WP-CLI commands.
      *
-     * Registers the `wp bulk-plugin install` command with WP-CLI.
+     * Registers the `wp bulk-plugin install` command and its companion
+     * subcommands with WP-CLI.
      *
      * @since 1.0.0
+     * @since 1.1.0 Added the rollback, batches, profile, log and queue subcommands.
      */
     public function registerCommands(): void {
         if ( ! class_exists( 'WP_CLI' ) ) {
             return;
         }
 
+        $format = array(
+            'type'        => 'assoc',
+            'name'        => 'format',
+            'description' => __( 'Output format.', 'bulk-plugin-installer' ),
+            'optional'    => true,
+            'default'     => 'table',
+            'options'     => self::OUTPUT_FORMATS,
+        );
+        $yes    = array(
+            'type'        => 'flag',
+            'name'        => 'yes',
+            'description' => __( 'Skip confirmation prompt.', 'bulk-plugin-installer' ),
+            'optional'    => true,
+        );
+        $profile = array(
+            'type'        => 'positional',
+            'name'        => 'profile',
+            'description' => __( 'Profile ID or name.', 'bulk-plugin-installer' ),
+        );
+
         \WP_CLI::add_command( 'bulk-plugin install', array( $this, 'install' ), array(
             'shortdesc' => __( 'Install or update multiple plugins from ZIP files.', 'bulk-plugin-installer' ),
             'synopsis'  => array(
@@ -108,7 +199,19 @@ class BPICLIInterface {
                 array(
                     'type'        => 'assoc',
                     'name'        => 'profile',
-                    'description' => __( 'Load a saved plugin profile by name.', 'bulk-plugin-installer' ),
+                    'description' => __( 'Load a saved plugin profile by ID or name.', 'bulk-plugin-installer' ),
+                    'optional'    => true,
+                ),
+                array(
+                    'type'        => 'assoc',
+                    'name'        => 'manifest',
+                    'description' => __( 'Install the plugins listed in a bpi.json (or YAML) manifest.', 'bulk-plugin-installer' ),
+                    'optional'    => true,
+                ),
+                array(
+                    'type'        => 'flag',
+                    'name'        => 'lock',
+                    'description' => __( 'With --manifest, record the resolved versions and checksums in <manifest>.lock.json.', 'bulk-plugin-installer' ),
                     'optional'    => true,
                 ),
                 array(
@@ -119,12 +222,133 @@ class BPICLIInterface {
                 ),
                 array(
                     'type'        => 'flag',
-                    'name'        => 'yes',
-                    'description' => __( 'Skip confirmation prompt.', 'bulk-plugin-installer' ),
+                    'name'        => 'activate',
+                    'description' => __( 'Activate every plugin after install or update (--no-activate to never activate), overriding the auto-activate setting.', 'bulk-plugin-installer' ),
+                    'optional'    => true,
+                ),
+                array(
+                    'type'        => 'flag',
+                    'name'        => 'network',
+                    'description' => __( 'Network-activate the plugins on a multisite network.', 'bulk-plugin-installer' ),
                     'optional'    => true,
                 ),
+                array(
+                    'type'        => 'flag',
+                    'name'        => 'maintenance',
+                    'description' => __( 'Show visitors the maintenance page while the plugins are processed.', 'bulk-plugin-installer' ),
+                    'optional'    => true,
+                ),
+                $format,
+                $yes,
             ),
         ) );
+
+        \WP_CLI::add_command( 'bulk-plugin rollback', array( $this, 'rollback' ), array(
+            'shortdesc' => __( 'Roll back a batch, or selected plugins of it.', 'bulk-plugin-installer' ),
+            'synopsis'  => array(
+                array(
+                    'type'        => 'positional',
+                    'name'        => 'batch-id',
+                    'description' => __( 'ID of the batch, as listed by `wp bulk-plugin batches list`.', 'bulk-plugin-installer' ),
+                ),
+                array(
+                    'type'        => 'assoc',
+                    'name'        => 'plugins',
+                    'description' => __( 'Comma-separated slugs of the plugins to roll back. Default: the whole batch.', 'bulk-plugin-installer' ),
+                    'optional'    => true,
+                ),
+                $yes,
+            ),
+        ) );
+
+        \WP_CLI::add_command( 'bulk-plugin batches list', array( $this, 'listBatches' ), array(
+            'shortdesc' => __( 'List the batches that can still be rolled back.', 'bulk-plugin-installer' ),
+            'synopsis'  => array( $format ),
+        ) );
+
+        \WP_CLI::add_command( 'bulk-plugin profile list', array( $this, 'listProfiles' ), array(
+            'shortdesc' => __( 'List the saved profiles.', 'bulk-plugin-installer' ),
+            'synopsis'  => array( $format ),
+        ) );
+
+        \WP_CLI::add_command( 'bulk-plugin profile show', array( $this, 'showProfile' ), array(
+            'shortdesc' => __( 'List the plugins of a profile.', 'bulk-plugin-installer' ),
+            'synopsis'  => array( $profile, $format ),
+        ) );
+
+        \WP_CLI::add_command( 'bulk-plugin profile export', array( $this, 'exportProfile' ), array(
+            'shortdesc' => __( 'Export a profile as JSON.', 'bulk-plugin-installer' ),
+            'synopsis'  => array(
+                $profile,
+                array(
+                    'type'        => 'flag',
+                    'name'        => 'manifest',
+                    'description' => __( 'Export a bpi.json manifest instead of the profile format.', 'bulk-plugin-installer' ),
+                    'optional'    => true,
+                ),
+                array(
+                    'type'        => 'assoc',
+                    'name'        => 'file',
+                    'description' => __( 'Write the JSON to this file instead of STDOUT.', 'bulk-plugin-installer' ),
+                    'optional'    => true,
+                ),
+            ),
+        ) );
+
+        \WP_CLI::add_command( 'bulk-plugin profile import', array( $this, 'importProfile' ), array(
+            'shortdesc' => __( 'Import a profile from a JSON file.', 'bulk-plugin-installer' ),
+            'synopsis'  => array(
+                array(
+                    'type'        => 'positional',
+                    'name'        => 'file',
+                    'description' => __( 'Path to the profile JSON file, or "-" to read from STDIN.', 'bulk-plugin-installer' ),
+                ),
+            ),
+        ) );
+
+        \WP_CLI::add_command( 'bulk-plugin profile delete', array( $this, 'deleteProfile' ), array(
+            'shortdesc' => __( 'Delete a profile.', 'bulk-plugin-installer' ),
+            'synopsis'  => array( $profile, $yes ),
+        ) );
+
+        $log_filters = array();
+        foreach ( array(
+            'action' => __( 'Only entries of this action type (install, update, rollback, batch_rollback, dry_run).', 'bulk-plugin-installer' ),
+            'user'   => __( 'Only entries of this user ID.', 'bulk-plugin-installer' ),
+            'plugin' => __( 'Only entries for this plugin slug.', 'bulk-plugin-installer' ),
+            'batch'  => __( 'Only entries of this batch ID.', 'bulk-plugin-installer' ),
+            'from'   => __( 'Only entries on or after this date (YYYY-MM-DD).', 'bulk-plugin-installer' ),
+            'to'     => __( 'Only entries on or before this date (YYYY-MM-DD).', 'bulk-plugin-installer' ),
+            'limit'  => __( 'Maximum number of entries. Default: 50.', 'bulk-plugin-installer' ),
+            'offset' => __( 'Number of entries to skip.', 'bulk-plugin-installer' ),
+        ) as $name => $description ) {
+            $log_filters[] = array(
+                'type'        => 'assoc',
+                'name'        => $name,
+                'description' => $description,
+                'optional'    => true,
+            );
+        }
+
+        \WP_CLI::add_command( 'bulk-plugin log list', array( $this, 'listLog' ), array(
+            'shortdesc' => __( 'List activity log entries, most recent first.', 'bulk-plugin-installer' ),
+            'synopsis'  => array_merge( $log_filters, array( $format ) ),
+        ) );
+
+        \WP_CLI::add_command( 'bulk-plugin log clear', array( $this, 'clearLog' ), array(
+            'shortdesc' => __( 'Delete all activity log entries.', 'bulk-plugin-installer' ),
+            'synopsis'  => array( $yes ),
+        ) );
+
+        \WP_CLI::add_command( 'bulk-plugin queue list', array( $this, 'listQueue' ), array(
+            'shortdesc' => __( "List the current user's upload queue.", 'bulk-plugin-installer' ),
+            'synopsis'  => array( $format ),
+        ) );
+
+        \WP_CLI::add_command( 'bulk-plugin queue clear', array( $this, 'clearQueue' ), array(
+            'shortdesc' => __( "Clear the current user's upload queue.", 'bulk-plugin-installer' ),
+            'synopsis'  => array( $yes ),
+        ) );
     }
 
     /**
@@ -134,25 +358,40 @@ class BPICLIInterface {
      * prompts for confirmation, processes plugins, and outputs summary.
      *
      * @since 1.0.0
+     * @since 1.1.0 Added the --manifest, --lock, --activate, --network, --maintenance and --format arguments.
      *
      * @param array $args       Positional arguments (file paths).
-     * @param array $assoc_args Associative arguments (--profile, --dry-run, --yes).
+     * @param array $assoc_args Associative arguments (--profile, --manifest, --lock,
+     *                          --dry-run, --yes, --activate, --network, --maintenance, --format).
      */
     public function install( array $args, array $assoc_args ): void {
         $dry_run      = isset( $assoc_args['dry-run'] );
         $skip_confirm = isset( $assoc_args['yes'] );
         $profile_name = $assoc_args['profile'] ?? '';
+        $network      = ! empty( $assoc_args['network'] );
 
-        $plugins = $this->resolvePlugins( $args, $profile_name );
+        $format = $this->getFormat( $assoc_args );
+        if ( null === $format ) {
+            return;
+        }
+
+        if ( $network && ! is_multisite() ) {
+            \WP_CLI::error( __( '--network can only be used on a multisite network.', 'bulk-plugin-installer' ) );
+            \WP_CLI::halt( 2 );
+            return;
+        }
+
+        $plugins = $this->resolvePlugins( $args, $profile_name, (string) ( $assoc_args['manifest'] ?? '' ), isset( $assoc_args['lock'] ) );
         if ( null === $plugins ) {
             return;
         }
 
-        // Run compatibility checks.
-        $plugins = $this->checker->checkAll( $plugins );
+        // Run compatibility checks, in the Network Admin context for --network.
+        $checker = $network ? new BPICompatibilityChecker( true ) : $this->checker;
+        $plugins = $this->applyActivationOverrides( $checker->checkAll( $plugins ), $assoc_args );
 
         // Display preview table.
-        $this->displayPreviewTable( $plugins );
+        $this->displayPreviewTable( $plugins, $format );
 
         // Prompt for confirmation unless --yes is set.
         if ( ! $skip_confirm && ! $dry_run ) {
@@ -165,6 +404,7 @@ class BPICLIInterface {
                 )
             );
             \WP_CLI::line( __( 'Use --yes to skip this prompt.', 'bulk-plugin-installer' ) );
+            $this->removeDownloads();
             \WP_CLI::halt( 0 );
             return;
         }
@@ -175,23 +415,30 @@ class BPICLIInterface {
         }
 
         // Process plugins.
-        $exit_code = $this->processWithProgress( $plugins, $dry_run );
+        $exit_code = $this->processWithProgress( $plugins, $dry_run, isset( $assoc_args['maintenance'] ) );
+        $this->removeDownloads();
 
         \WP_CLI::halt( $exit_code );
     }
 
     /**
-     * Resolve plugins from file arguments or a profile name.
+     * Resolve plugins from file arguments, a profile name or a manifest.
      *
-     * @param array  $args         Positional arguments (file paths).
-     * @param string $profile_name Profile name to load (empty for file-based).
+     * @param array  $args          Positional arguments (file paths).
+     * @param string $profile_name  Profile name to load (empty for file-based).
+     * @param string $manifest_path Manifest to load (empty for file-based).
+     * @param bool   $lock          Whether to write a lock file for the manifest.
      * @return array|null Array of plugin data, or null on failure.
      */
-    private function resolvePlugins( array $args, string $profile_name ): ?array {
+    private function resolvePlugins( array $args, string $profile_name, string $manifest_path = '', bool $lock = false ): ?array {
         if ( '' !== $profile_name ) {
             return $this->loadFromProfile( $profile_name );
         }
 
+        if ( '' !== $manifest_path ) {
+            return $this->loadFromManifest( $manifest_path, $lock );
+        }
+
         $plugins = ! empty( $args ) ? $this->validateFiles( $args ) : null;
         if ( empty( $plugins ) ) {
             $message = empty( $args )
@@ -212,10 +459,12 @@ class BPICLIInterface {
      * Shows columns: Name, Version, Action, Installed Version.
      *
      * @since 1.0.0
+     * @since 1.1.0 Added the `$format` parameter.
      *
-     * @param array $plugins Array of plugin data arrays.
+     * @param array  $plugins Array of plugin data arrays.
+     * @param string $format  Output format: table, json, csv or yaml. Default table.
      */
-    public function displayPreviewTable( array $plugins ): void {
+    public function displayPreviewTable( array $plugins, string $format = 'table' ): void {
         $items = array();
 
         foreach ( $plugins as $plugin ) {
@@ -236,19 +485,25 @@ class BPICLIInterface {
             );
         }
 
-        \WP_CLI\Utils\format_items( 'table', $items, array( 'Name', 'Version', 'Action', 'Installed Version' ) );
+        \WP_CLI\Utils\format_items( $format, $items, array( 'Name', 'Version', 'Action', 'Installed Version' ) );
     }
 
     /**
      * Process plugins with a progress bar and per-plugin status output.
      *
+     * A real run goes through the same finalization as a batch from the
+     * admin: the batch is recorded for `wp bulk-plugin rollback` and the
+     * batch email is sent.
+     *
      * @since 1.0.0
+     * @since 1.1.0 Added the `$maintenance` parameter; real runs are recorded as batches.
      *
-     * @param array $plugins Array of plugin data arrays.
-     * @param bool  $dry_run Whether to simulate without making changes.
+     * @param array $plugins     Array of plugin data arrays.
+     * @param bool  $dry_run     Whether to simulate without making changes.
+     * @param bool  $maintenance Whether to show the maintenance page while the plugins are processed.
      * @return int Exit code: 0 = all success, 1 = partial failures, 2 = all failed.
      */
-    public function processWithProgress( array $plugins, bool $dry_run ): int {
+    public function processWithProgress( array $plugins, bool $dry_run, bool $maintenance = false ): int {
         $total     = count( $plugins );
         $successes = 0;
         $failures  = 0;
@@ -262,7 +517,14 @@ class BPICLIInterface {
             $total
         );
 
-        $results = $this->processor->processBatch( $plugins, $dry_run );
+        $batch_id = '';
+        if ( $dry_run ) {
+            $results = $this->processor->processBatch( $plugins, true );
+        } else {
+            $batch    = $this->processor->runPreparedBatch( $plugins, $maintenance );
+            $results  = $batch['results'];
+            $batch_id = $batch['batch_id'];
+        }
 
         foreach ( $results as $result ) {
             $progress->tick();
@@ -290,6 +552,16 @@ class BPICLIInterface {
             )
         );
 
+        if ( '' !== $batch_id ) {
+            \WP_CLI::line(
+                sprintf(
+                    /* translators: %s: batch ID */
+                    __( 'Batch ID: %s', 'bulk-plugin-installer' ),
+                    $batch_id
+                )
+            );
+        }
+
         // Determine exit code.
         if ( $failures === 0 ) {
             return 0;
@@ -297,6 +569,415 @@ class BPICLIInterface {
         return $successes > 0 ? 1 : 2;
     }
 
+    /**
+     * Handle the `wp bulk-plugin rollback <batch-id>` command.
+     *
+     * Rolls back the whole batch, or only the plugins given in --plugins,
+     * and prints the per-plugin results.
+     *
+     * @since 1.1.0
+     *
+     * @param array $args       Positional arguments (batch ID).
+     * @param array $assoc_args Associative arguments (--plugins, --yes).
+     */
+    public function rollback( array $args, array $assoc_args ): void {
+        $batch_id = (string) ( $args[0] ?? '' );
+        $slugs    = array_values( array_filter( array_map( 'trim', explode( ',', (string) ( $assoc_args['plugins'] ?? '' ) ) ) ) );
+        $manager  = $this->getBatchRollbackManager();
+
+        if ( '' === $batch_id || empty( $manager->getBatchManifest( $batch_id ) ) ) {
+            \WP_CLI::error(
+                sprintf(
+                    /* translators: %s: batch ID */
+                    __( "Batch '%s' not found or no longer available for rollback.", 'bulk-plugin-installer' ),
+                    $batch_id
+                )
+            );
+            \WP_CLI::halt( 2 );
+            return;
+        }
+
+        $message = empty( $slugs )
+            /* translators: %s: batch ID */
+            ? sprintf( __( 'About to roll back batch %s.', 'bulk-plugin-installer' ), $batch_id )
+            /* translators: 1: comma-separated plugin slugs, 2: batch ID */
+            : sprintf( __( 'About to roll back %1$s from batch %2$s.', 'bulk-plugin-installer' ), implode( ', ', $slugs ), $batch_id );
+        if ( ! $this->confirm( $message, $assoc_args ) ) {
+            return;
+        }
+
+        $result  = $manager->performRollback( $batch_id, $slugs );
+        $data    = is_wp_error( $result ) ? (array) $result->get_error_data() : $result;
+        $results = $data['results'] ?? array();
+
+        if ( ! empty( $results ) ) {
+            \WP_CLI\Utils\format_items( 'table', $results, array( 'slug', 'action', 'status', 'message' ) );
+        }
+
+        if ( is_wp_error( $result ) ) {
+            foreach ( $data['failures'] ?? array() as $failure ) {
+                \WP_CLI::warning( $failure );
+            }
+            \WP_CLI::error( $result->get_error_message() );
+            \WP_CLI::halt( 1 );
+            return;
+        }
+
+        \WP_CLI::success( $result['message'] );
+    }
+
+    /**
+     * Handle the `wp bulk-plugin batches list` command.
+     *
+     * @since 1.1.0
+     *
+     * @param array $args       Positional arguments (unused).
+     * @param array $assoc_args Associative arguments (--format).
+     */
+    public function listBatches( array $args, array $assoc_args ): void {
+        $format = $this->getFormat( $assoc_args );
+        if ( null === $format ) {
+            return;
+        }
+
+        $items = array();
+        foreach ( $this->getBatchRollbackManager()->getBatchHistory() as $batch ) {
+            $items[] = array(
+                'batch_id'     => $batch['batch_id'],
+                'timestamp'    => $batch['timestamp'],
+                'user'         => $batch['user_name'],
+                'plugins'      => implode( ', ', array_column( $batch['plugins'], 'slug' ) ),
+                'can_rollback' => count( array_filter( array_column( $batch['plugins'], 'can_rollback' ) ) ),
+                'expires_at'   => $batch['expires_at'],
+            );
+        }
+
+        \WP_CLI\Utils\format_items( $format, $items, array( 'batch_id', 'timestamp', 'user', 'plugins', 'can_rollback', 'expires_at' ) );
+    }
+
+    /**
+     * Handle the `wp bulk-plugin profile list` command.
+     *
+     * @since 1.1.0
+     *
+     * @param array $args       Positional arguments (unused).
+     * @param array $assoc_args Associative arguments (--format).
+     */
+    public function listProfiles( array $args, array $assoc_args ): void {
+        $format = $this->getFormat( $assoc_args );
+        if ( null === $format ) {
+            return;
+        }
+
+        $items = array();
+        foreach ( $this->profiles->getAllProfiles() as $profile ) {
+            $items[] = array(
+                'id'         => (int) ( $profile['id'] ?? 0 ),
+                'name'       => $profile['name'] ?? '',
+                'plugins'    => count( $profile['plugins'] ?? array() ),
+                'created_at' => $profile['created_at'] ?? '',
+            );
+        }
+
+        \WP_CLI\Utils\format_items( $format, $items, array( 'id', 'name', 'plugins', 'created_at' ) );
+    }
+
+    /**
+     * Handle the `wp bulk-plugin profile show <profile>` command.
+     *
+     * @since 1.1.0
+     *
+     * @param array $args       Positional arguments (profile ID or name).
+     * @param array $assoc_args Associative arguments (--format).
+     */
+    public function showProfile( array $args, array $assoc_args ): void {
+        $format = $this->getFormat( $assoc_args );
+        if ( null === $format ) {
+            return;
+        }
+
+        $profile = $this->requireProfile( (string) ( $args[0] ?? '' ) );
+        if ( null === $profile ) {
+            return;
+        }
+
+        $items = array();
+        foreach ( $profile['plugins'] ?? array() as $plugin ) {
+            $activate = '';
+            if ( isset( $plugin['activate'] ) ) {
+                $activate = $plugin['activate'] ? 'yes' : 'no';
+            }
+
+            $items[] = array(
+                'slug'     => $plugin['slug'] ?? '',
+                'name'     => $plugin['name'] ?? '',
+                'version'  => $plugin['version'] ?? '',
+                'activate' => $activate,
+                'sha256'   => $plugin['sha256'] ?? '',
+            );
+        }
+
+        \WP_CLI\Utils\format_items( $format, $items, array( 'slug', 'name', 'version', 'activate', 'sha256' ) );
+    }
+
+    /**
+     * Handle the `wp bulk-plugin profile export <profile>` command.
+     *
+     * @since 1.1.0
+     *
+     * @param array $args       Positional arguments (profile ID or name).
+     * @param array $assoc_args Associative arguments (--file, --manifest).
+     */
+    public function exportProfile( array $args, array $assoc_args ): void {
+        $profile = $this->requireProfile( (string) ( $args[0] ?? '' ) );
+        if ( null === $profile ) {
+            return;
+        }
+
+        $json = $this->profiles->exportProfile( (int) $profile['id'], isset( $assoc_args['manifest'] ) ? 'manifest' : 'profile' );
+
+        if ( empty( $assoc_args['file'] ) ) {
+            \WP_CLI::line( $json );
+            return;
+        }
+
+        $file = (string) $assoc_args['file'];
+        if ( false === file_put_contents( $file, $json . "\n" ) ) { // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+            \WP_CLI::error(
+                sprintf(
+                    /* translators: %s: file path */
+                    __( 'Could not write to %s.', 'bulk-plugin-installer' ),
+                    $file
+                )
+            );
+            \WP_CLI::halt( 1 );
+            return;
+        }
+
+        \WP_CLI::success(
+            sprintf(
+                /* translators: 1: profile name, 2: file path */
+                __( 'Exported profile "%1$s" to %2$s.', 'bulk-plugin-installer' ),
+                $profile['name'] ?? '',
+                $file
+            )
+        );
+    }
+
+    /**
+     * Handle the `wp bulk-plugin profile import <file>` command.
+     *
+     * @since 1.1.0
+     *
+     * @param array $args       Positional arguments (file path, or "-" for STDIN).
+     * @param array $assoc_args Associative arguments (unused).
+     */
+    public function importProfile( array $args, array $assoc_args ): void {
+        $file = (string) ( $args[0] ?? '' );
+        $json = false;
+
+        if ( '-' === $file ) {
+            $json = file_get_contents( 'php://stdin' ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+        } elseif ( '' !== $file && is_readable( $file ) ) {
+            $json = file_get_contents( $file ); // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+        }
+
+        if ( false === $json ) {
+            \WP_CLI::error(
+                sprintf(
+                    /* translators: %s: file path */
+                    __( 'File not found: %s', 'bulk-plugin-installer' ),
+                    $file
+                )
+            );
+            \WP_CLI::halt( 2 );
+            return;
+        }
+
+        $id = $this->profiles->importProfile( $json );
+
+        if ( is_wp_error( $id ) ) {
+            \WP_CLI::error( $id->get_error_message() );
+            \WP_CLI::halt( 1 );
+            return;
+        }
+
+        $profile = $this->profiles->getProfile( $id );
+        \WP_CLI::success(
+            sprintf(
+                /* translators: 1: profile name, 2: profile ID */
+                __( 'Imported profile "%1$s" (ID %2$d).', 'bulk-plugin-installer' ),
+                $profile['name'] ?? '',
+                $id
+            )
+        );
+    }
+
+    /**
+     * Handle the `wp bulk-plugin profile delete <profile>` command.
+     *
+     * @since 1.1.0
+     *
+     * @param array $args       Positional arguments (profile ID or name).
+     * @param array $assoc_args Associative arguments (--yes).
+     */
+    public function deleteProfile( array $args, array $assoc_args ): void {
+        $profile = $this->requireProfile( (string) ( $args[0] ?? '' ) );
+        if ( null === $profile ) {
+            return;
+        }
+
+        /* translators: %s: profile name */
+        $message = sprintf( __( 'About to delete profile "%s".', 'bulk-plugin-installer' ), $profile['name'] ?? '' );
+        if ( ! $this->confirm( $message, $assoc_args ) ) {
+            return;
+        }
+
+        $this->profiles->deleteProfile( (int) $profile['id'] );
+
+        \WP_CLI::success(
+            sprintf(
+                /* translators: %s: profile name */
+                __( 'Deleted profile "%s".', 'bulk-plugin-installer' ),
+                $profile['name'] ?? ''
+            )
+        );
+    }
+
+    /**
+     * Handle the `wp bulk-plugin log list` command.
+     *
+     * The filters are those of the activity log viewer: --action, --user,
+     * --plugin, --batch, --from and --to.
+     *
+     * @since 1.1.0
+     *
+     * @param array $args       Positional arguments (unused).
+     * @param array $assoc_args Associative arguments (filters, --limit, --offset, --format).
+     */
+    public function listLog( array $args, array $assoc_args ): void {
+        $format = $this->getFormat( $assoc_args );
+        if ( null === $format ) {
+            return;
+        }
+
+        $params = array();
+        foreach ( array(
+            'action' => 'log_action',
+            'user'   => 'user_id',
+            'plugin' => 'plugin_slug',
+            'batch'  => 'batch_id',
+            'from'   => 'date_from',
+            'to'     => 'date_to',
+            'limit'  => 'limit',
+            'offset' => 'offset',
+        ) as $arg => $param ) {
+            if ( isset( $assoc_args[ $arg ] ) ) {
+                $params[ $param ] = (string) $assoc_args[ $arg ];
+            }
+        }
+
+        $page  = $this->getLogManager()->getLogPage( $params );
+        $items = array();
+
+        foreach ( $page['entries'] as $entry ) {
+            $items[] = array(
+                'id'           => (int) $entry->id,
+                'timestamp'    => $entry->timestamp,
+                'user'         => $entry->user_name,
+                'action'       => $entry->action,
+                'plugin'       => $entry->plugin_slug,
+                'from_version' => $entry->from_version,
+                'to_version'   => $entry->to_version,
+                'status'       => $entry->status,
+                'batch_id'     => $entry->batch_id,
+                'dry_run'      => (bool) $entry->is_dry_run,
+                'message'      => $entry->message,
+            );
+        }
+
+        \WP_CLI\Utils\format_items(
+            $format,
+            $items,
+            array( 'id', 'timestamp', 'user', 'action', 'plugin', 'from_version', 'to_version', 'status', 'batch_id', 'dry_run', 'message' )
+        );
+
+        // The count would break machine-readable output.
+        if ( 'table' === $format ) {
+            \WP_CLI::log(
+                sprintf(
+                    /* translators: 1: number of entries shown, 2: number of matching entries */
+                    __( 'Showing %1$d of %2$d entries.', 'bulk-plugin-installer' ),
+                    count( $items ),
+                    $page['total']
+                )
+            );
+        }
+    }
+
+    /**
+     * Handle the `wp bulk-plugin log clear` command.
+     *
+     * @since 1.1.0
+     *
+     * @param array $args       Positional arguments (unused).
+     * @param array $assoc_args Associative arguments (--yes).
+     */
+    public function clearLog( array $args, array $assoc_args ): void {
+        if ( ! $this->confirm( __( 'About to delete all activity log entries.', 'bulk-plugin-installer' ), $assoc_args ) ) {
+            return;
+        }
+
+        $this->getLogManager()->clear();
+
+        \WP_CLI::success( __( 'Activity log cleared.', 'bulk-plugin-installer' ) );
+    }
+
+    /**
+     * Handle the `wp bulk-plugin queue list` command.
+     *
+     * The queue belongs to the user given with --user.
+     *
+     * @since 1.1.0
+     *
+     * @param array $args       Positional arguments (unused).
+     * @param array $assoc_args Associative arguments (--format).
+     */
+    public function listQueue( array $args, array $assoc_args ): void {
+        $format = $this->getFormat( $assoc_args );
+        if ( null === $format ) {
+            return;
+        }
+
+        \WP_CLI\Utils\format_items(
+            $format,
+            $this->queue->getAllForDisplay(),
+            array( 'slug', 'plugin_name', 'plugin_version', 'action', 'file_name', 'file_size', 'source', 'checksum_status', 'added_at' )
+        );
+    }
+
+    /**
+     * Handle the `wp bulk-plugin queue clear` command.
+     *
+     * @since 1.1.0
+     *
+     * @param array $args       Positional arguments (unused).
+     * @param array $assoc_args Associative arguments (--yes).
+     */
+    public function clearQueue( array $args, array $assoc_args ): void {
+        $count = $this->queue->getCount();
+
+        /* translators: %d: number of queued plugins */
+        $message = sprintf( __( 'About to remove %d plugin(s) from the upload queue.', 'bulk-plugin-installer' ), $count );
+        if ( ! $this->confirm( $message, $assoc_args ) ) {
+            return;
+        }
+
+        $this->queue->clear();
+
+        \WP_CLI::success( __( 'Upload queue cleared.', 'bulk-plugin-installer' ) );
+    }
+
     /**
      * Log a single plugin result to the CLI output.
      *
@@ -417,6 +1098,8 @@ class BPICLIInterface {
     /**
      * Build plugin data array from a validated ZIP file.
      *
+     * A `.sha256` sidecar file next to the ZIP supplies the expected checksum.
+     *
      * @param string $path Path to the validated ZIP file.
      * @return array|null Plugin data array or null if no valid header found.
      */
@@ -456,43 +1139,31 @@ class BPICLIInterface {
             'file_name'         => basename( $path ),
             'file_size'         => filesize( $path ),
             'plugin_name'       => $headers['plugin_name'] ?? '',
-            'plugin_version'    => $headers['plugin_version'] ?? '',
-            'plugin_author'     => $headers['plugin_author'] ?? '',
-            'plugin_description' => $headers['plugin_description'] ?? '',
+            'plugin_version'    => $headers['version'] ?? '',
+            'plugin_author'     => $headers['author'] ?? '',
+            'plugin_description' => $headers['description'] ?? '',
             'requires_php'      => $headers['requires_php'] ?? '',
             'requires_wp'       => $headers['requires_wp'] ?? '',
+            'requires_plugins'  => $headers['requires_plugins'] ?? '',
+            'requires_extensions' => $headers['requires_extensions'] ?? '',
+            'network'           => $headers['network'] ?? '',
+            'tested_up_to'      => $headers['tested_up_to'] ?? '',
             'action'            => $action,
             'installed_version' => $installed_version,
             'plugin_file'       => $plugin_file,
+            'expected_sha256'   => ( new BPIChecksumVerifier() )->readSidecar( $path ),
         );
     }
 
     /**
      * Load plugins from a saved profile.
      *
-     * @param string $profile_name Profile name to load.
+     * @param string $profile_name Profile ID or name to load.
      * @return array|null Array of plugin data, or null on failure.
      */
     private function loadFromProfile( string $profile_name ): ?array {
-        $all_profiles = $this->profiles->getAllProfiles();
-        $profile      = null;
-
-        foreach ( $all_profiles as $p ) {
-            if ( ( $p['name'] ?? '' ) === $profile_name ) {
-                $profile = $p;
-                break;
-            }
-        }
-
+        $profile = $this->requireProfile( $profile_name );
         if ( null === $profile ) {
-            \WP_CLI::error(
-                sprintf(
-                    /* translators: %s: profile name */
-                    __( "Profile '%s' not found.", 'bulk-plugin-installer' ),
-                    $profile_name
-                )
-            );
-            \WP_CLI::halt( 2 );
             return null;
         }
 
@@ -558,4 +1229,338 @@ class BPICLIInterface {
 
         return $plugins;
     }
+
+    /**
+     * Load plugins from a manifest, downloading its remote plugins.
+     *
+     * Every plugin must resolve and match its entry; otherwise nothing is
+     * installed, so the site never ends up with part of the stack.
+     *
+     * @param string $manifest_path Path to the manifest.
+     * @param bool   $lock          Whether to write a lock file next to the manifest.
+     * @return array|null Array of plugin data, or null on failure.
+     */
+    private function loadFromManifest( string $manifest_path, bool $lock ): ?array {
+        $content = is_readable( $manifest_path ) ? file_get_contents( $manifest_path ) : false; // phpcs:ignore WordPress.WP.AlternativeFunctions.file_get_contents_file_get_contents
+        if ( false === $content ) {
+            \WP_CLI::error(
+                sprintf(
+                    /* translators: %s: file path */
+                    __( 'Could not read %s.', 'bulk-plugin-installer' ),
+                    $manifest_path
+                )
+            );
+            \WP_CLI::halt( 2 );
+            return null;
+        }
+
+        $manifest_parser = new BPIManifest();
+        $manifest        = $manifest_parser->parse( $content, preg_match( '/\.ya?ml$/i', $manifest_path ) ? 'yaml' : 'json' );
+        if ( is_wp_error( $manifest ) ) {
+            \WP_CLI::error( $manifest->get_error_message() );
+            \WP_CLI::halt( 2 );
+            return null;
+        }
+
+        $base_dir = dirname( (string) realpath( $manifest_path ) );
+        $verifier = new BPIChecksumVerifier();
+        $plugins  = array();
+        $locked   = array();
+
+        foreach ( $manifest['plugins'] as $entry ) {
+            $plugin = $this->resolveManifestEntry( $manifest_parser, $entry, $base_dir );
+            if ( null === $plugin ) {
+                continue;
+            }
+
+            $plugins[] = $plugin;
+            $locked[]  = $manifest_parser->lockEntry( $entry, $plugin['slug'], $plugin['plugin_version'], $verifier->hashFile( $plugin['file_path'] ) );
+        }
+
+        if ( count( $plugins ) !== count( $manifest['plugins'] ) ) {
+            \WP_CLI::error( __( 'Not every plugin of the manifest could be resolved. Nothing was installed.', 'bulk-plugin-installer' ) );
+            $this->removeDownloads();
+            \WP_CLI::halt( 2 );
+            return null;
+        }
+
+        if ( $lock && ! $this->writeLockFile( $manifest_path, $manifest_parser->toJson( array( 'plugins' => $locked ) + $manifest ) ) ) {
+            return null;
+        }
+
+        \WP_CLI::log(
+            sprintf(
+                /* translators: 1: count, 2: manifest path */
+                __( 'Loaded %1$d plugin(s) from manifest "%2$s".', 'bulk-plugin-installer' ),
+                count( $plugins ),
+                $manifest_path
+            )
+        );
+
+        return $plugins;
+    }
+
+    /**
+     * Resolve one manifest entry to the plugin data of its ZIP.
+     *
+     * @param BPIManifest $manifest_parser Manifest parser.
+     * @param array       $entry           Normalized plugin entry.
+     * @param string      $base_dir        Directory local paths are relative to.
+     * @return array|null Plugin data, or null after reporting why the entry failed.
+     */
+    private function resolveManifestEntry( BPIManifest $manifest_parser, array $entry, string $base_dir ): ?array {
+        $file_name = '';
+
+        if ( 'path' === $entry['source_type'] ) {
+            $path = str_starts_with( $entry['source'], '/' ) ? $entry['source'] : $base_dir . '/' . $entry['source'];
+        } else {
+            $line   = $manifest_parser->getSourceLine( $entry );
+            $source = ( new BPIRemoteSource() )->resolve( $line );
+            $path   = is_wp_error( $source ) ? $source : $this->getHttpSource()->download( $source['url'] );
+
+            if ( is_wp_error( $path ) ) {
+                \WP_CLI::warning(
+                    sprintf(
+                        /* translators: 1: source, 2: error message */
+                        __( 'Could not download %1$s: %2$s', 'bulk-plugin-installer' ),
+                        $line,
+                        $path->get_error_message()
+                    )
+                );
+                return null;
+            }
+
+            $this->downloads[] = $path;
+            $file_name         = $source['file_name'];
+        }
+
+        $plugin = $this->validateSingleFile( $path );
+        if ( null === $plugin ) {
+            return null;
+        }
+
+        $mismatch = $manifest_parser->checkPlugin( $entry, $plugin['slug'], $plugin['plugin_version'] );
+        if ( '' !== $mismatch ) {
+            \WP_CLI::warning( $mismatch );
+            return null;
+        }
+
+        if ( '' !== $file_name ) {
+            $plugin['file_name'] = $file_name;
+        }
+        if ( '' !== $entry['sha256'] ) {
+            $plugin['expected_sha256'] = $entry['sha256'];
+        }
+        if ( null !== $entry['activate'] ) {
+            $plugin['activate'] = $entry['activate'];
+        }
+        if ( $entry['network'] && is_multisite() ) {
+            $plugin['network_activate'] = true;
+        }
+
+        return $plugin;
+    }
+
+    /**
+     * Write the lock file of a manifest.
+     *
+     * The lock file sits next to the manifest, e.g. `bpi.lock.json` for `bpi.json`.
+     *
+     * @param string $manifest_path Path to the manifest.
+     * @param string $json          Locked manifest JSON.
+     * @return bool True on success; false after reporting the error.
+     */
+    private function writeLockFile( string $manifest_path, string $json ): bool {
+        $lock_path = preg_replace( '/\.(json|ya?ml)$/i', '', $manifest_path ) . '.lock.json';
+
+        if ( false === file_put_contents( $lock_path, $json . "\n" ) ) { // phpcs:ignore WordPress.WP.AlternativeFunctions.file_system_operations_file_put_contents
+            \WP_CLI::error(
+                sprintf(
+                    /* translators: %s: file path */
+                    __( 'Could not write to %s.', 'bulk-plugin-installer' ),
+                    $lock_path
+                )
+            );
+            $this->removeDownloads();
+            \WP_CLI::halt( 1 );
+            return false;
+        }
+
+        \WP_CLI::log(
+            sprintf(
+                /* translators: %s: file path */
+                __( 'Wrote lock file %s.', 'bulk-plugin-installer' ),
+                $lock_path
+            )
+        );
+
+        return true;
+    }
+
+    /**
+     * Delete the temporary files downloaded for the current command.
+     */
+    private function removeDownloads(): void {
+        foreach ( $this->downloads as $file ) {
+            if ( file_exists( $file ) ) {
+                unlink( $file );
+            }
+        }
+
+        $this->downloads = array();
+    }
+
+    /**
+     * Force or suppress activation of every plugin from --activate and --network.
+     *
+     * Without either argument, the per-plugin choice or the auto-activate
+     * setting applies. --network implies --activate unless --no-activate
+     * is given.
+     *
+     * @param array $plugins    Array of plugin data arrays.
+     * @param array $assoc_args Associative arguments.
+     * @return array Plugin data arrays with the overrides applied.
+     */
+    private function applyActivationOverrides( array $plugins, array $assoc_args ): array {
+        $network = ! empty( $assoc_args['network'] );
+
+        if ( array_key_exists( 'activate', $assoc_args ) ) {
+            $activate = (bool) $assoc_args['activate'];
+        } elseif ( $network ) {
+            $activate = true;
+        } else {
+            return $plugins;
+        }
+
+        return array_map( fn( $plugin ) => array_merge( $plugin, array(
+            'activate'         => $activate,
+            'network_activate' => $network && $activate,
+        ) ), $plugins );
+    }
+
+    /**
+     * Read and validate the --format argument.
+     *
+     * @param array $assoc_args Associative arguments.
+     * @return string|null Output format, or null after reporting an invalid one.
+     */
+    private function getFormat( array $assoc_args ): ?string {
+        $format = (string) ( $assoc_args['format'] ?? 'table' );
+
+        if ( in_array( $format, self::OUTPUT_FORMATS, true ) ) {
+            return $format;
+        }
+
+        \WP_CLI::error(
+            sprintf(
+                /* translators: 1: requested format, 2: comma-separated list of formats */
+                __( 'Invalid format "%1$s". Use one of: %2$s.', 'bulk-plugin-installer' ),
+                $format,
+                implode( ', ', self::OUTPUT_FORMATS )
+            )
+        );
+        \WP_CLI::halt( 2 );
+        return null;
+    }
+
+    /**
+     * Stop before a destructive operation unless --yes is given.
+     *
+     * @param string $message    Description of the operation.
+     * @param array  $assoc_args Associative arguments.
+     * @return bool True if the operation may go ahead.
+     */
+    private function confirm( string $message, array $assoc_args ): bool {
+        if ( isset( $assoc_args['yes'] ) ) {
+            return true;
+        }
+
+        \WP_CLI::line( $message );
+        \WP_CLI::line( __( 'Use --yes to skip this prompt.', 'bulk-plugin-installer' ) );
+        \WP_CLI::halt( 0 );
+        return false;
+    }
+
+    /**
+     * Find a profile by ID or name.
+     *
+     * @param string $reference Profile ID or name.
+     * @return array|null Profile data, or null if not found.
+     */
+    private function findProfile( string $reference ): ?array {
+        if ( ctype_digit( $reference ) ) {
+            $profile = $this->profiles->getProfile( (int) $reference );
+            if ( null !== $profile ) {
+                return $profile;
+            }
+        }
+
+        foreach ( $this->profiles->getAllProfiles() as $profile ) {
+            if ( ( $profile['name'] ?? '' ) === $reference ) {
+                return $profile;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Find a profile by ID or name, reporting an error if it does not exist.
+     *
+     * @param string $reference Profile ID or name.
+     * @return array|null Profile data, or null after reporting the error.
+     */
+    private function requireProfile( string $reference ): ?array {
+        $profile = $this->findProfile( $reference );
+
+        if ( null === $profile ) {
+            \WP_CLI::error(
+                sprintf(
+                    /* translators: %s: profile name */
+                    __( "Profile '%s' not found.", 'bulk-plugin-installer' ),
+                    $reference
+                )
+            );
+            \WP_CLI::halt( 2 );
+        }
+
+        return $profile;
+    }
+
+    /**
+     * Get the batch rollback manager, creating one if none was set.
+     *
+     * @return BPIBatchRollbackManager Batch rollback manager.
+     */
+    private function getBatchRollbackManager(): BPIBatchRollbackManager {
+        $this->batchRollbackManager ??= new BPIBatchRollbackManager(
+            new BPIRollbackManager(),
+            new BPISettingsManager(),
+            $this->getLogManager()
+        );
+
+        return $this->batchRollbackManager;
+    }
+
+    /**
+     * Get the log manager, creating one if none was set.
+     *
+     * @return BPILogManager Log manager.
+     */
+    private function getLogManager(): BPILogManager {
+        $this->logManager ??= new BPILogManager();
+
+        return $this->logManager;
+    }
+
+    /**
+     * Get the HTTP source, creating one if none was set.
+     *
+     * @return BPIHttpSource HTTP source.
+     */
+    private function getHttpSource(): BPIHttpSource {
+        $this->httpSource ??= new BPIHttpSource();
+
+        return $this->httpSource;
+    }
 }
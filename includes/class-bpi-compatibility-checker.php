@@ -2,8 +2,9 @@
 /**
  * Compatibility Checker for Bulk Plugin Installer.
  *
- * Validates PHP version, WordPress version, and slug conflicts
- * for queued plugins before installation.
+ * Validates PHP version and extensions, WordPress version, multisite
+ * context, slug conflicts, plugin dependencies and known conflicts for
+ * queued plugins before installation.
  *
  * @package BulkPluginInstaller
  */
@@ -16,23 +17,72 @@ if ( ! defined( 'ABSPATH' ) ) {
 /**
  * Checks plugin compatibility against the current environment.
  *
- * Reads `Requires PHP` and `Requires at least` headers from plugin
- * data and compares them against the running PHP and WordPress versions.
+ * Reads `Requires PHP`, `Requires at least`, `Requires PHP Extensions`,
+ * `Network` and `Tested up to` from plugin data and compares them against
+ * the running PHP, its extensions, WordPress and the admin context.
  * Also detects slug conflicts where two queued plugins target the same
- * directory.
+ * directory, dependencies declared in `Requires Plugins` that are
+ * neither installed nor queued, and plugin pairs the admin marked as
+ * conflicting.
+ *
+ * Every issue has a severity: blocking issues leave the plugin unselected
+ * in the preview, advisory issues are shown as a notice only.
  *
  * @since 1.0.0
  */
 class BPICompatibilityChecker {
 
+    /**
+     * Severity of an issue that should prevent installation by default.
+     *
+     * @var string
+     */
+    public const SEVERITY_BLOCKING = 'blocking';
+
+    /**
+     * Severity of an issue that is only worth a notice.
+     *
+     * @var string
+     */
+    public const SEVERITY_ADVISORY = 'advisory';
+
+    /**
+     * Number of major WordPress releases "Tested up to" can lag behind the
+     * running version before it raises an advisory (about a year).
+     *
+     * @var int
+     */
+    private const TESTED_UP_TO_MAX_BEHIND = 3;
+
+    /**
+     * Whether to check for Network Admin, or null to detect it from the request.
+     *
+     * @var bool|null
+     */
+    private ?bool $networkAdmin;
+
+    /**
+     * Constructor.
+     *
+     * @since 1.1.0
+     *
+     * @param bool|null $network_admin Whether to check for Network Admin, e.g. for
+     *                                 a REST request; null to detect it from the
+     *                                 current admin screen.
+     */
+    public function __construct( ?bool $network_admin = null ) {
+        $this->networkAdmin = $network_admin;
+    }
+
     /**
      * Check a single plugin for compatibility issues.
      *
-     * Reads `requires_php` and `requires_wp` from the plugin data array
-     * and compares against the current environment.
+     * Reads `requires_php`, `requires_wp`, `requires_extensions`, `network`
+     * and `tested_up_to` from the plugin data array and compares against
+     * the current environment.
      *
      * @param array $plugin_data Plugin metadata with `requires_php` and `requires_wp` keys.
-     * @return array Array of issue arrays, each with 'type', 'required', 'current', and 'message'.
+     * @return array Array of issue arrays, each with 'type', 'severity', 'required', 'current', and 'message'.
      *
      * @since 1.0.0
      */
@@ -43,6 +93,7 @@ class BPICompatibilityChecker {
         if ( '' !== $requires_php && ! $this->checkPhpVersion( $requires_php ) ) {
             $issues[] = array(
                 'type'     => 'php_version',
+                'severity' => self::SEVERITY_BLOCKING,
                 'required' => $requires_php,
                 'current'  => PHP_VERSION,
                 'message'  => sprintf(
@@ -59,6 +110,7 @@ class BPICompatibilityChecker {
             $current_wp = $this->getWpVersion();
             $issues[]   = array(
                 'type'     => 'wp_version',
+                'severity' => self::SEVERITY_BLOCKING,
                 'required' => $requires_wp,
                 'current'  => $current_wp,
                 'message'  => sprintf(
@@ -70,14 +122,63 @@ class BPICompatibilityChecker {
             );
         }
 
+        $missing_extensions = array_values( array_filter(
+            $this->parseList( $plugin_data['requires_extensions'] ?? '' ),
+            function ( $extension ) {
+                return ! extension_loaded( $extension );
+            }
+        ) );
+        if ( ! empty( $missing_extensions ) ) {
+            $issues[] = array(
+                'type'     => 'php_extension',
+                'severity' => self::SEVERITY_BLOCKING,
+                'required' => implode( ', ', $missing_extensions ),
+                'current'  => '',
+                'message'  => sprintf(
+                    /* translators: %s: comma-separated PHP extension names */
+                    __( 'Requires the PHP extensions %s, which are not loaded.', 'bulk-plugin-installer' ),
+                    implode( ', ', $missing_extensions )
+                ),
+            );
+        }
+
+        if ( $this->isNetworkOnly( $plugin_data ) && ! $this->isNetworkAdmin() ) {
+            $issues[] = array(
+                'type'     => 'network_only',
+                'severity' => self::SEVERITY_BLOCKING,
+                'required' => 'network',
+                'current'  => 'site',
+                'message'  => __( 'This plugin can only be network activated. Install it from the Network Admin.', 'bulk-plugin-installer' ),
+            );
+        }
+
+        $tested_up_to = $plugin_data['tested_up_to'] ?? '';
+        if ( '' !== $tested_up_to && $this->isTestedUpToOutdated( $tested_up_to ) ) {
+            $current_wp = $this->getWpVersion();
+            $issues[]   = array(
+                'type'     => 'tested_up_to',
+                'severity' => self::SEVERITY_ADVISORY,
+                'required' => $tested_up_to,
+                'current'  => $current_wp,
+                'message'  => sprintf(
+                    /* translators: 1: "Tested up to" WordPress version, 2: current WordPress version */
+                    __( 'Only tested up to WordPress %1$s. Current version: %2$s.', 'bulk-plugin-installer' ),
+                    $tested_up_to,
+                    $current_wp
+                ),
+            );
+        }
+
         return $issues;
     }
 
     /**
      * Check all queued plugins for compatibility issues.
      *
-     * Runs `checkPlugin()` on each item and also checks for slug conflicts.
-     * Each queue item gets a `compatibility_issues` key added with any found issues.
+     * Runs `checkPlugin()` on each item and also checks for slug conflicts,
+     * unmet dependencies and known conflicts. Each queue item gets a `compatibility_issues`
+     * key added with any found issues, and the queue is returned sorted so
+     * that dependencies come before the plugins requiring them.
      *
      * @param array $queue Array of queue items (plugin data arrays).
      * @return array The queue with `compatibility_issues` populated on each item.
@@ -85,7 +186,9 @@ class BPICompatibilityChecker {
      * @since 1.0.0
      */
     public function checkAll( array $queue ): array {
-        $slug_conflicts = $this->checkSlugConflicts( $queue );
+        $slug_conflicts  = $this->checkSlugConflicts( $queue );
+        $dependencies    = $this->checkDependencies( $queue );
+        $known_conflicts = $this->checkKnownConflicts( $queue );
 
         foreach ( $queue as &$item ) {
             $issues = $this->checkPlugin( $item );
@@ -96,11 +199,21 @@ class BPICompatibilityChecker {
                 $issues = array_merge( $issues, $slug_conflicts[ $slug ] );
             }
 
+            // Merge any unmet dependency issues for this item.
+            if ( isset( $dependencies[ $slug ] ) ) {
+                $issues = array_merge( $issues, $dependencies[ $slug ] );
+            }
+
+            // Merge any admin-listed conflicts for this item.
+            if ( isset( $known_conflicts[ $slug ] ) ) {
+                $issues = array_merge( $issues, $known_conflicts[ $slug ] );
+            }
+
             $item['compatibility_issues'] = $issues;
         }
         unset( $item );
 
-        return $queue;
+        return $this->sortByDependencies( $queue );
     }
 
     /**
@@ -159,6 +272,7 @@ class BPICompatibilityChecker {
             if ( $count > 1 ) {
                 $issue = array(
                     'type'     => 'slug_conflict',
+                    'severity' => self::SEVERITY_BLOCKING,
                     'required' => '',
                     'current'  => '',
                     'slug'     => $slug,
@@ -177,6 +291,291 @@ class BPICompatibilityChecker {
         return $conflicts;
     }
 
+    /**
+     * Check queued plugins against the admin-maintained conflict list.
+     *
+     * A plugin is flagged when its counterpart in a known conflicting pair
+     * is active on the site or also in the queue.
+     *
+     * @param array $queue Array of queue items.
+     * @return array Associative array keyed by slug, each value is an array of issue arrays.
+     *
+     * @since 1.1.0
+     */
+    public function checkKnownConflicts( array $queue ): array {
+        $pairs = ( new BPISettingsManager() )->getKnownConflicts();
+        if ( empty( $pairs ) ) {
+            return array();
+        }
+
+        $queued = array_column( $queue, 'slug' );
+        $active = $this->getActiveSlugs();
+
+        $conflicts = array();
+        foreach ( $queued as $slug ) {
+            foreach ( $pairs as $pair ) {
+                if ( ! in_array( $slug, $pair, true ) ) {
+                    continue;
+                }
+
+                $other = $pair[0] === $slug ? $pair[1] : $pair[0];
+                if ( in_array( $other, $queued, true ) ) {
+                    /* translators: %s: slug of the conflicting plugin */
+                    $message = __( 'Known to conflict with "%s", which is also in the upload queue.', 'bulk-plugin-installer' );
+                } elseif ( in_array( $other, $active, true ) ) {
+                    /* translators: %s: slug of the conflicting plugin */
+                    $message = __( 'Known to conflict with "%s", which is active on this site.', 'bulk-plugin-installer' );
+                } else {
+                    continue;
+                }
+
+                $conflicts[ $slug ][] = array(
+                    'type'     => 'known_conflict',
+                    'severity' => self::SEVERITY_BLOCKING,
+                    'required' => '',
+                    'current'  => $other,
+                    'conflict' => $other,
+                    'message'  => sprintf( $message, $other ),
+                );
+            }
+        }
+
+        return $conflicts;
+    }
+
+    /**
+     * Check whether a list of issues contains a blocking issue.
+     *
+     * Issues without a severity are treated as blocking.
+     *
+     * @param array $issues Array of issue arrays.
+     * @return bool True if at least one issue is blocking.
+     *
+     * @since 1.1.0
+     */
+    public function hasBlockingIssues( array $issues ): bool {
+        foreach ( $issues as $issue ) {
+            if ( self::SEVERITY_ADVISORY !== ( $issue['severity'] ?? self::SEVERITY_BLOCKING ) ) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Get the slugs of the plugins a plugin depends on.
+     *
+     * Reads `requires_plugins`, either the raw comma-separated
+     * `Requires Plugins` header or an already parsed list of slugs.
+     *
+     * @param array $plugin_data Plugin metadata with an optional `requires_plugins` key.
+     * @return string[] Unique dependency slugs, in declaration order.
+     *
+     * @since 1.1.0
+     */
+    public function getRequiredPlugins( array $plugin_data ): array {
+        $requires = $plugin_data['requires_plugins'] ?? array();
+        if ( is_string( $requires ) ) {
+            $requires = explode( ',', $requires );
+        }
+        if ( ! is_array( $requires ) ) {
+            return array();
+        }
+
+        $slugs = array();
+        foreach ( $requires as $slug ) {
+            $slug = is_string( $slug ) ? preg_replace( '/[^a-z0-9-]/', '', strtolower( trim( $slug ) ) ) : '';
+            if ( '' !== $slug && ( $plugin_data['slug'] ?? '' ) !== $slug && ! in_array( $slug, $slugs, true ) ) {
+                $slugs[] = $slug;
+            }
+        }
+
+        return $slugs;
+    }
+
+    /**
+     * Check for dependencies that are neither installed nor queued.
+     *
+     * @param array $queue Array of queue items.
+     * @return array Associative array keyed by slug, each value is an array of issue arrays.
+     *
+     * @since 1.1.0
+     */
+    public function checkDependencies( array $queue ): array {
+        $available = array_column( $queue, 'slug' );
+        $installed = function_exists( 'get_plugins' ) ? get_plugins() : array();
+        foreach ( array_keys( $installed ) as $plugin_file ) {
+            $available[] = dirname( $plugin_file );
+        }
+
+        $missing = array();
+        foreach ( $queue as $item ) {
+            $slug = $item['slug'] ?? '';
+            if ( '' === $slug ) {
+                continue;
+            }
+
+            foreach ( $this->getRequiredPlugins( $item ) as $dependency ) {
+                if ( in_array( $dependency, $available, true ) ) {
+                    continue;
+                }
+
+                $missing[ $slug ][] = array(
+                    'type'       => 'missing_dependency',
+                    'severity'   => self::SEVERITY_BLOCKING,
+                    'required'   => $dependency,
+                    'current'    => '',
+                    'dependency' => $dependency,
+                    'message'    => sprintf(
+                        /* translators: %s: slug of the required plugin */
+                        __( 'Requires the plugin "%s", which is neither installed nor in the upload queue.', 'bulk-plugin-installer' ),
+                        $dependency
+                    ),
+                );
+            }
+        }
+
+        return $missing;
+    }
+
+    /**
+     * Sort plugins so that dependencies come before the plugins requiring them.
+     *
+     * Only dependencies present in the list affect the order. Plugins keep
+     * their original relative order otherwise; plugins caught in a
+     * dependency cycle are appended in their original order.
+     *
+     * @param array $plugins Array of plugin data arrays.
+     * @return array Sorted, re-indexed array.
+     *
+     * @since 1.1.0
+     */
+    public function sortByDependencies( array $plugins ): array {
+        $plugins = array_values( $plugins );
+        $slugs   = array_column( $plugins, 'slug' );
+        $pending = array();
+
+        foreach ( $plugins as $index => $plugin ) {
+            $pending[ $index ] = array_values( array_intersect( $this->getRequiredPlugins( $plugin ), $slugs ) );
+        }
+
+        $sorted = array();
+        $placed = array();
+
+        while ( ! empty( $pending ) ) {
+            $ready = null;
+            foreach ( $pending as $index => $dependencies ) {
+                if ( empty( array_diff( $dependencies, $placed ) ) ) {
+                    $ready = $index;
+                    break;
+                }
+            }
+
+            // A cycle: keep the remaining plugins in their original order.
+            if ( null === $ready ) {
+                foreach ( array_keys( $pending ) as $index ) {
+                    $sorted[] = $plugins[ $index ];
+                }
+                break;
+            }
+
+            $sorted[] = $plugins[ $ready ];
+            $placed[] = $plugins[ $ready ]['slug'] ?? '';
+            unset( $pending[ $ready ] );
+        }
+
+        return $sorted;
+    }
+
+    /**
+     * Split a comma-separated header value into trimmed, non-empty entries.
+     *
+     * @param string $value Raw header value.
+     * @return string[] Entries.
+     */
+    private function parseList( string $value ): array {
+        return array_values( array_filter( array_map( 'trim', explode( ',', $value ) ), 'strlen' ) );
+    }
+
+    /**
+     * Check whether a plugin declares `Network: true`.
+     *
+     * @param array $plugin_data Plugin metadata.
+     * @return bool True if the plugin can only be network activated.
+     */
+    private function isNetworkOnly( array $plugin_data ): bool {
+        $network = $plugin_data['network'] ?? '';
+        return true === $network || 'true' === strtolower( trim( (string) $network ) );
+    }
+
+    /**
+     * Check whether the request comes from the Network Admin of a multisite.
+     *
+     * On a single site `Network: true` has no effect, so it counts as
+     * network admin there.
+     *
+     * @return bool True if network-only plugins can be activated here.
+     */
+    private function isNetworkAdmin(): bool {
+        if ( ! function_exists( 'is_multisite' ) || ! is_multisite() ) {
+            return true;
+        }
+        return $this->networkAdmin ?? ( function_exists( 'is_network_admin' ) && is_network_admin() );
+    }
+
+    /**
+     * Check whether "Tested up to" lags too far behind the running WordPress.
+     *
+     * Compares major releases only (6.4, 6.5, ...), so 6.7.1 counts as 6.7.
+     *
+     * @param string $tested_up_to "Tested up to" WordPress version.
+     * @return bool True if at least TESTED_UP_TO_MAX_BEHIND releases behind.
+     */
+    private function isTestedUpToOutdated( string $tested_up_to ): bool {
+        $tested  = $this->getMajorRelease( $tested_up_to );
+        $current = $this->getMajorRelease( $this->getWpVersion() );
+
+        if ( null === $tested || null === $current ) {
+            return false;
+        }
+
+        return $current - $tested >= self::TESTED_UP_TO_MAX_BEHIND;
+    }
+
+    /**
+     * Map a WordPress version to a sequential major release number.
+     *
+     * WordPress major releases go from x.9 to (x+1).0, so 6.0 maps to 60
+     * and 5.9 to 59.
+     *
+     * @param string $version WordPress version string.
+     * @return int|null Release number, or null for an unparseable version.
+     */
+    private function getMajorRelease( string $version ): ?int {
+        if ( ! preg_match( '/^(\d+)(?:\.(\d))?/', trim( $version ), $matches ) ) {
+            return null;
+        }
+        return (int) $matches[1] * 10 + (int) ( $matches[2] ?? 0 );
+    }
+
+    /**
+     * Get the slugs of the plugins active on this site or network-wide.
+     *
+     * @return string[] Active plugin slugs.
+     */
+    private function getActiveSlugs(): array {
+        $installed = function_exists( 'get_plugins' ) ? get_plugins() : array();
+        $active    = array();
+
+        foreach ( array_keys( $installed ) as $plugin_file ) {
+            if ( function_exists( 'is_plugin_active' ) && is_plugin_active( $plugin_file ) ) {
+                $active[] = dirname( $plugin_file );
+            }
+        }
+
+        return $active;
+    }
+
     /**
      * Get the current WordPress version.
      *
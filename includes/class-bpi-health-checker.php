@@ -0,0 +1,153 @@
+<?php
+/**
+ * Health Checker for Bulk Plugin Installer.
+ *
+ * Probes the site with loopback requests after plugins are activated.
+ *
+ * @package BulkPluginInstaller
+ */
+
+// Abort if this file is called directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Checks that the front end and the admin still load.
+ *
+ * Requests the home page and an admin URL through the WordPress HTTP API,
+ * passing the current user's cookies so the admin request is authenticated,
+ * and treats a server error status or a PHP fatal error in the response
+ * body as a failed check.
+ *
+ * @since 1.1.0
+ */
+class BPIHealthChecker {
+
+    /**
+     * Request timeout in seconds.
+     *
+     * @var int
+     */
+    private const TIMEOUT = 10;
+
+    /**
+     * Response body fragments that indicate a PHP fatal error.
+     *
+     * @var string[]
+     */
+    private const FATAL_MARKERS = array(
+        'There has been a critical error on this website',
+        'Fatal error</b>:',
+        'Parse error</b>:',
+        'PHP Fatal error:',
+    );
+
+    /**
+     * Maintenance mode whose page the probes are let through (optional, set via setter).
+     *
+     * @var BPIMaintenanceMode|null
+     */
+    private ?BPIMaintenanceMode $maintenanceMode = null;
+
+    /**
+     * Set the maintenance mode, so the probes see the site rather than the maintenance page.
+     *
+     * @since 1.1.0
+     *
+     * @param BPIMaintenanceMode $maintenanceMode Maintenance mode instance.
+     */
+    public function setMaintenanceMode( BPIMaintenanceMode $maintenanceMode ): void {
+        $this->maintenanceMode = $maintenanceMode;
+    }
+
+    /**
+     * Probe the home page and the admin.
+     *
+     * The probed URLs can be changed with the `bpi_health_check_urls` filter.
+     *
+     * @since 1.1.0
+     *
+     * @return true|\WP_Error True if every URL loaded cleanly, WP_Error describing the first failure otherwise.
+     */
+    public function check(): true|\WP_Error {
+        $urls = (array) apply_filters( 'bpi_health_check_urls', array( home_url( '/' ), admin_url( 'plugins.php' ) ) );
+
+        foreach ( $urls as $url ) {
+            $result = $this->checkUrl( (string) $url );
+            if ( is_wp_error( $result ) ) {
+                return $result;
+            }
+        }
+
+        return true;
+    }
+
+    // ------------------------------------------------------------------
+    // Private helpers
+    // ------------------------------------------------------------------
+
+    /**
+     * Request a single URL and inspect the response.
+     *
+     * Redirects are not followed: a redirect (for example to the login
+     * screen when no cookies are available) still proves the page loaded.
+     *
+     * @param string $url URL to request.
+     * @return true|\WP_Error True if the URL loaded cleanly.
+     */
+    private function checkUrl( string $url ): true|\WP_Error {
+        $response = wp_remote_get(
+            $url,
+            array(
+                'timeout'     => self::TIMEOUT,
+                'redirection' => 0,
+                'cookies'     => wp_unslash( $_COOKIE ),
+                'headers'     => array( 'Cache-Control' => 'no-cache' ) + ( $this->maintenanceMode?->getBypassHeaders() ?? array() ),
+                /** This filter is documented in wp-includes/class-wp-http-streams.php */
+                'sslverify'   => apply_filters( 'https_local_ssl_verify', false ),
+            )
+        );
+
+        if ( is_wp_error( $response ) ) {
+            return new \WP_Error(
+                'bpi_health_unreachable',
+                sprintf(
+                    /* translators: 1: URL, 2: error message */
+                    __( '%1$s could not be loaded: %2$s', 'bulk-plugin-installer' ),
+                    $url,
+                    $response->get_error_message()
+                )
+            );
+        }
+
+        $code = (int) wp_remote_retrieve_response_code( $response );
+        if ( $code >= 500 ) {
+            return new \WP_Error(
+                'bpi_health_server_error',
+                sprintf(
+                    /* translators: 1: URL, 2: HTTP status code */
+                    __( '%1$s returned HTTP %2$d.', 'bulk-plugin-installer' ),
+                    $url,
+                    $code
+                )
+            );
+        }
+
+        $body = wp_remote_retrieve_body( $response );
+        foreach ( self::FATAL_MARKERS as $marker ) {
+            if ( str_contains( $body, $marker ) ) {
+                return new \WP_Error(
+                    'bpi_health_fatal_error',
+                    sprintf(
+                        /* translators: %s: URL */
+                        __( '%s shows a PHP fatal error.', 'bulk-plugin-installer' ),
+                        $url
+                    )
+                );
+            }
+        }
+
+        return true;
+    }
+}
@@ -0,0 +1,104 @@
+<?php
+/**
+ * HTTP Source for Bulk Plugin Installer.
+ *
+ * Downloads remote plugin ZIP files into temporary files.
+ *
+ * @package BulkPluginInstaller
+ */
+
+// Abort if this file is called directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Downloads plugin ZIPs from URLs using the WordPress HTTP API.
+ *
+ * Kept separate from BPIRemoteSource so tests and offline setups can
+ * swap in a source that serves local files instead of the network.
+ *
+ * @since 1.1.0
+ */
+class BPIHttpSource {
+
+    /**
+     * Download timeout in seconds.
+     *
+     * @var int
+     */
+    private const TIMEOUT = 60;
+
+    /**
+     * Largest download accepted when no size limit is given, in bytes (256 MB).
+     *
+     * @var int
+     */
+    private const DEFAULT_MAX_SIZE = 268435456;
+
+    /**
+     * Download a URL to a temporary file.
+     *
+     * Goes through wp_safe_remote_get(), which refuses local and private
+     * network addresses, and streams the body to disk. The stream is cut
+     * off one byte past the size limit, so an oversized file fails without
+     * filling the disk.
+     *
+     * @since 1.1.0
+     *
+     * @param string $url       URL to download.
+     * @param int    $max_bytes Size limit in bytes; DEFAULT_MAX_SIZE when 0.
+     * @return \WP_Error|string Path to the temporary file, or WP_Error on failure.
+     */
+    public function download( string $url, int $max_bytes = 0 ): \WP_Error|string {
+        if ( ! function_exists( 'wp_tempnam' ) ) {
+            require_once ABSPATH . 'wp-admin/includes/file.php'; // phpcs:ignore PHPMD -- WordPress core file, no namespace available.
+        }
+
+        $max_bytes = $max_bytes > 0 ? $max_bytes : self::DEFAULT_MAX_SIZE;
+        $tmp_file  = wp_tempnam( $url );
+
+        $response = wp_safe_remote_get(
+            $url,
+            array(
+                'timeout'             => self::TIMEOUT,
+                'stream'              => true,
+                'filename'            => $tmp_file,
+                'limit_response_size' => $max_bytes + 1,
+            )
+        );
+
+        $code  = wp_remote_retrieve_response_code( $response );
+        $error = null;
+        if ( is_wp_error( $response ) ) {
+            $error = $response;
+        } elseif ( 200 !== $code ) {
+            $error = new \WP_Error(
+                'http_' . $code,
+                sprintf(
+                    /* translators: %d: HTTP status code */
+                    __( 'The server responded with HTTP status %d.', 'bulk-plugin-installer' ),
+                    $code
+                )
+            );
+        } elseif ( (int) filesize( $tmp_file ) > $max_bytes ) {
+            $error = new \WP_Error(
+                'file_too_large',
+                sprintf(
+                    /* translators: %d: max size in MB */
+                    __( 'The file exceeds the maximum allowed size of %dMB.', 'bulk-plugin-installer' ),
+                    (int) ceil( $max_bytes / 1048576 )
+                )
+            );
+        }
+
+        if ( null !== $error ) {
+            if ( file_exists( $tmp_file ) ) {
+                unlink( $tmp_file );
+            }
+            return $error;
+        }
+
+        return $tmp_file;
+    }
+}
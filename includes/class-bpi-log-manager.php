@@ -24,10 +24,35 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class BPILogManager {
 
+    use BPIAjaxResponder;
+
+    /**
+     * Maximum number of entries written to a single export.
+     *
+     * @var int
+     */
+    private const EXPORT_LIMIT = 10000;
+
     /**
-     * Security verification failure message.
+     * Columns included in exports, in order.
+     *
+     * @var string[]
      */
-    private const MSG_SECURITY_FAILED = 'Security verification failed. Please refresh the page and try again.';
+    private const EXPORT_COLUMNS = array(
+        'id',
+        'timestamp',
+        'user_id',
+        'user_name',
+        'action',
+        'batch_id',
+        'plugin_slug',
+        'plugin_name',
+        'from_version',
+        'to_version',
+        'status',
+        'message',
+        'is_dry_run',
+    );
 
     /**
      * Get the full table name including the WordPress prefix.
@@ -137,22 +162,25 @@ class BPILogManager {
      * Get log entries with pagination.
      *
      * @since 1.0.0
+     * @since 1.1.0 Added the `$filters` parameter.
      *
-     * @param int $limit  Maximum number of entries to return. Default 50.
-     * @param int $offset Number of entries to skip. Default 0.
+     * @param int   $limit   Maximum number of entries to return. Default 50.
+     * @param int   $offset  Number of entries to skip. Default 0.
+     * @param array $filters Optional filters, as returned by sanitizeFilters().
      * @return array List of log entry objects ordered by timestamp descending.
      */
-    public function getEntries( int $limit = 50, int $offset = 0 ): array {
+    public function getEntries( int $limit = 50, int $offset = 0, array $filters = array() ): array {
         global $wpdb;
 
         $table_name = $this->getTableName();
         $limit      = absint( $limit );
         $offset     = absint( $offset );
 
+        list( $where, $args ) = $this->buildWhereClause( $filters );
+
         $query = $wpdb->prepare(
-            "SELECT * FROM {$table_name} ORDER BY timestamp DESC LIMIT %d OFFSET %d", // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
-            $limit,
-            $offset
+            "SELECT * FROM {$table_name}{$where} ORDER BY timestamp DESC LIMIT %d OFFSET %d", // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+            array_merge( $args, array( $limit, $offset ) )
         );
 
         $results = $wpdb->get_results( $query );
@@ -160,6 +188,158 @@ class BPILogManager {
         return is_array( $results ) ? $results : array();
     }
 
+    /**
+     * Count the log entries matching the given filters.
+     *
+     * @since 1.1.0
+     *
+     * @param array $filters Optional filters, as returned by sanitizeFilters().
+     * @return int Number of matching entries.
+     */
+    public function countEntries( array $filters = array() ): int {
+        global $wpdb;
+
+        $table_name = $this->getTableName();
+
+        list( $where, $args ) = $this->buildWhereClause( $filters );
+
+        $query = "SELECT COUNT(*) FROM {$table_name}{$where}";
+        if ( ! empty( $args ) ) {
+            $query = $wpdb->prepare( $query, $args ); // phpcs:ignore WordPress.DB.PreparedSQL.NotPrepared
+        }
+
+        return (int) $wpdb->get_var( $query );
+    }
+
+    /**
+     * Sanitize log filters from request input.
+     *
+     * The action filter is read from `log_action`, as `action` is taken
+     * by the AJAX action name. Unknown keys and malformed dates are
+     * dropped.
+     *
+     * @since 1.1.0
+     *
+     * @param array $input Raw input, typically $_GET.
+     * @return array {
+     *     Sanitized filters. Only non-empty filters are present.
+     *
+     *     @type string $action      Action type.
+     *     @type int    $user_id     User ID.
+     *     @type string $plugin_slug Plugin slug.
+     *     @type string $batch_id    Batch identifier.
+     *     @type string $date_from   Start date (Y-m-d), inclusive.
+     *     @type string $date_to     End date (Y-m-d), inclusive.
+     * }
+     */
+    public function sanitizeFilters( array $input ): array {
+        $input   = wp_unslash( $input );
+        $filters = array();
+
+        if ( ! empty( $input['log_action'] ) ) {
+            $filters['action'] = sanitize_key( $input['log_action'] );
+        }
+
+        if ( ! empty( $input['user_id'] ) && absint( $input['user_id'] ) > 0 ) {
+            $filters['user_id'] = absint( $input['user_id'] );
+        }
+
+        foreach ( array( 'plugin_slug', 'batch_id' ) as $key ) {
+            if ( isset( $input[ $key ] ) && '' !== trim( (string) $input[ $key ] ) ) {
+                $filters[ $key ] = sanitize_text_field( $input[ $key ] );
+            }
+        }
+
+        foreach ( array( 'date_from', 'date_to' ) as $key ) {
+            if ( isset( $input[ $key ] ) && preg_match( '/^\d{4}-\d{2}-\d{2}$/', (string) $input[ $key ] ) ) {
+                $filters[ $key ] = (string) $input[ $key ];
+            }
+        }
+
+        return array_filter( $filters );
+    }
+
+    /**
+     * Get the display labels for each logged action type.
+     *
+     * @since 1.1.0
+     *
+     * @return array<string, string> Map of action type to label.
+     */
+    public function getActionLabels(): array {
+        return array(
+            'install'        => __( 'Install', 'bulk-plugin-installer' ),
+            'update'         => __( 'Update', 'bulk-plugin-installer' ),
+            'rollback'       => __( 'Rollback', 'bulk-plugin-installer' ),
+            'batch_rollback' => __( 'Batch rollback', 'bulk-plugin-installer' ),
+            'dry_run'        => __( 'Dry run', 'bulk-plugin-installer' ),
+        );
+    }
+
+    /**
+     * Get the users that have log entries.
+     *
+     * @since 1.1.0
+     *
+     * @return array List of arrays with `id` and `name`.
+     */
+    public function getLoggedUsers(): array {
+        global $wpdb;
+
+        $table_name = $this->getTableName();
+        $user_ids   = $wpdb->get_col( "SELECT DISTINCT user_id FROM {$table_name} ORDER BY user_id ASC" ); // phpcs:ignore WordPress.DB.PreparedSQL.InterpolatedNotPrepared
+
+        $users = array();
+        foreach ( (array) $user_ids as $user_id ) {
+            $users[] = array(
+                'id'   => (int) $user_id,
+                'name' => $this->getUserName( (int) $user_id ),
+            );
+        }
+
+        return $users;
+    }
+
+    /**
+     * Export the log entries matching the given filters.
+     *
+     * At most EXPORT_LIMIT entries are exported, most recent first. CSV
+     * cells that a spreadsheet would evaluate as a formula are prefixed
+     * with a single quote.
+     *
+     * @since 1.1.0
+     *
+     * @param array  $filters Filters, as returned by sanitizeFilters().
+     * @param string $format  Export format: 'csv' or 'json'.
+     * @return string Exported data.
+     */
+    public function exportEntries( array $filters, string $format ): string {
+        $rows = array();
+        foreach ( $this->getEntries( self::EXPORT_LIMIT, 0, $filters ) as $entry ) {
+            $entry = $this->withUserName( $entry );
+            $row   = array();
+            foreach ( self::EXPORT_COLUMNS as $column ) {
+                $row[ $column ] = $entry->$column ?? '';
+            }
+            $rows[] = $row;
+        }
+
+        if ( 'json' === $format ) {
+            return (string) wp_json_encode( $rows, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES );
+        }
+
+        $handle = fopen( 'php://temp', 'r+' );
+        fputcsv( $handle, self::EXPORT_COLUMNS, ',', '"', '' );
+        foreach ( $rows as $row ) {
+            fputcsv( $handle, array_map( array( $this, 'escapeCsvCell' ), $row ), ',', '"', '' );
+        }
+        rewind( $handle );
+        $csv = stream_get_contents( $handle );
+        fclose( $handle );
+
+        return (string) $csv;
+    }
+
     /**
      * Clear all log entries.
      *
@@ -180,37 +360,80 @@ class BPILogManager {
      * @since 1.0.0
      */
     public function handleGetLog(): void {
-        if ( ! isset( $_GET['_wpnonce'] ) && ! isset( $_POST['_wpnonce'] ) ) {
-            wp_send_json_error(
-                array( 'message' => __( self::MSG_SECURITY_FAILED, 'bulk-plugin-installer' ) ),
-                403
-            );
+        if ( ! $this->verifyReadRequest() ) {
             return;
         }
 
-        $nonce = isset( $_GET['_wpnonce'] ) ? wp_unslash( $_GET['_wpnonce'] ) : wp_unslash( $_POST['_wpnonce'] );
-        if ( ! wp_verify_nonce( $nonce, 'bpi_get_log' ) ) {
-            wp_send_json_error(
-                array( 'message' => __( self::MSG_SECURITY_FAILED, 'bulk-plugin-installer' ) ),
-                403
-            );
+        wp_send_json_success( $this->getLogPage( $_GET ) );
+    }
+
+    /**
+     * AJAX handler for wp_ajax_bpi_export_log.
+     *
+     * Returns the filtered log as a CSV or JSON document for the browser
+     * to download. Verifies nonce and capability.
+     *
+     * @since 1.1.0
+     */
+    public function handleExportLog(): void {
+        if ( ! $this->verifyReadRequest() ) {
             return;
         }
 
-        if ( ! current_user_can( 'install_plugins' ) ) {
+        $result = $this->exportLog( $_GET );
+
+        if ( is_wp_error( $result ) ) {
             wp_send_json_error(
-                array( 'message' => __( 'You do not have permission to view the log.', 'bulk-plugin-installer' ) ),
-                403
+                array( 'message' => $result->get_error_message() ),
+                $result->get_error_data()['status'] ?? 400
             );
             return;
         }
 
-        $limit  = isset( $_GET['limit'] ) ? absint( $_GET['limit'] ) : 50;
-        $offset = isset( $_GET['offset'] ) ? absint( $_GET['offset'] ) : 0;
+        wp_send_json_success( $result );
+    }
 
-        $entries = $this->getEntries( $limit, $offset );
+    /**
+     * Get a page of log entries for the log viewer.
+     *
+     * @since 1.1.0
+     *
+     * @param array $params Request parameters: 'limit', 'offset' and the filters of sanitizeFilters().
+     * @return array Entries with user names, the filtered total, the page and the logged users.
+     */
+    public function getLogPage( array $params ): array {
+        $limit   = isset( $params['limit'] ) ? absint( $params['limit'] ) : 50;
+        $offset  = isset( $params['offset'] ) ? absint( $params['offset'] ) : 0;
+        $filters = $this->sanitizeFilters( $params );
 
-        wp_send_json_success( array( 'entries' => $entries ) );
+        return array(
+            'entries' => array_map( array( $this, 'withUserName' ), $this->getEntries( $limit, $offset, $filters ) ),
+            'total'   => $this->countEntries( $filters ),
+            'limit'   => $limit,
+            'offset'  => $offset,
+            'users'   => $this->getLoggedUsers(),
+        );
+    }
+
+    /**
+     * Export the filtered log as a download.
+     *
+     * @since 1.1.0
+     *
+     * @param array $params Request parameters: 'format' ('csv' or 'json') and the filters of sanitizeFilters().
+     * @return array|\WP_Error File name, MIME type and content, or WP_Error with an HTTP 'status'.
+     */
+    public function exportLog( array $params ): array|\WP_Error {
+        $format = isset( $params['format'] ) ? sanitize_text_field( wp_unslash( $params['format'] ) ) : 'csv';
+        if ( ! in_array( $format, array( 'csv', 'json' ), true ) ) {
+            return new \WP_Error( 'bpi_invalid_format', __( 'Unsupported export format.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
+        }
+
+        return array(
+            'filename' => 'bpi-log-' . gmdate( 'Y-m-d' ) . '.' . $format,
+            'type'     => 'json' === $format ? 'application/json' : 'text/csv',
+            'content'  => $this->exportEntries( $this->sanitizeFilters( $params ), $format ),
+        );
     }
 
     /**
@@ -221,19 +444,7 @@ class BPILogManager {
      * @since 1.0.0
      */
     public function handleClearLog(): void {
-        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( wp_unslash( $_POST['_wpnonce'] ), 'bpi_clear_log' ) ) {
-            wp_send_json_error(
-                array( 'message' => __( self::MSG_SECURITY_FAILED, 'bulk-plugin-installer' ) ),
-                403
-            );
-            return;
-        }
-
-        if ( ! current_user_can( 'install_plugins' ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'You do not have permission to clear the log.', 'bulk-plugin-installer' ) ),
-                403
-            );
+        if ( ! $this->verifyAjaxRequest( 'bpi_clear_log', 'install_plugins', __( 'You do not have permission to clear the log.', 'bulk-plugin-installer' ) ) ) {
             return;
         }
 
@@ -243,4 +454,108 @@ class BPILogManager {
             array( 'message' => __( 'Activity log cleared.', 'bulk-plugin-installer' ) )
         );
     }
+
+    // ------------------------------------------------------------------
+    // Private helpers
+    // ------------------------------------------------------------------
+
+    /**
+     * Verify nonce and capability for a request that reads the log.
+     *
+     * The nonce is accepted from either GET or POST.
+     *
+     * @return bool True if verified, false if an error response was sent.
+     */
+    private function verifyReadRequest(): bool {
+        return $this->verifyAjaxRequest(
+            'bpi_get_log',
+            'install_plugins',
+            __( 'You do not have permission to view the log.', 'bulk-plugin-installer' ),
+            isset( $_GET['_wpnonce'] ) ? $_GET : $_POST
+        );
+    }
+
+    /**
+     * Build the WHERE clause for a set of filters.
+     *
+     * @param array $filters Filters, as returned by sanitizeFilters().
+     * @return array Two elements: the clause (empty, or starting with ' WHERE') and its prepare() arguments.
+     */
+    private function buildWhereClause( array $filters ): array {
+        $conditions = array();
+        $args       = array();
+
+        foreach ( array( 'action', 'plugin_slug', 'batch_id' ) as $column ) {
+            if ( ! empty( $filters[ $column ] ) ) {
+                $conditions[] = "{$column} = %s";
+                $args[]       = (string) $filters[ $column ];
+            }
+        }
+
+        if ( ! empty( $filters['user_id'] ) ) {
+            $conditions[] = 'user_id = %d';
+            $args[]       = (int) $filters['user_id'];
+        }
+
+        if ( ! empty( $filters['date_from'] ) ) {
+            $conditions[] = 'timestamp >= %s';
+            $args[]       = $filters['date_from'] . ' 00:00:00';
+        }
+
+        if ( ! empty( $filters['date_to'] ) ) {
+            $conditions[] = 'timestamp <= %s';
+            $args[]       = $filters['date_to'] . ' 23:59:59';
+        }
+
+        if ( empty( $conditions ) ) {
+            return array( '', array() );
+        }
+
+        return array( ' WHERE ' . implode( ' AND ', $conditions ), $args );
+    }
+
+    /**
+     * Add the display name of the acting user to a log entry.
+     *
+     * @param object $entry Log entry.
+     * @return object Log entry with a `user_name` property.
+     */
+    private function withUserName( object $entry ): object {
+        $entry->user_name = $this->getUserName( (int) ( $entry->user_id ?? 0 ) );
+        return $entry;
+    }
+
+    /**
+     * Get the display name for a user ID.
+     *
+     * @param int $user_id User ID.
+     * @return string Display name, or a placeholder for system and deleted users.
+     */
+    private function getUserName( int $user_id ): string {
+        if ( 0 === $user_id ) {
+            return __( 'System', 'bulk-plugin-installer' );
+        }
+
+        $user = get_userdata( $user_id );
+        if ( ! $user ) {
+            /* translators: %d: user ID */
+            return sprintf( __( 'User #%d', 'bulk-plugin-installer' ), $user_id );
+        }
+
+        return (string) $user->display_name;
+    }
+
+    /**
+     * Neutralize a CSV cell that a spreadsheet would evaluate as a formula.
+     *
+     * @param mixed $value Cell value.
+     * @return string Safe cell value.
+     */
+    private function escapeCsvCell( $value ): string {
+        $value = (string) $value;
+        if ( '' !== $value && in_array( $value[0], array( '=', '+', '-', '@', "\t", "\r" ), true ) ) {
+            return "'" . $value;
+        }
+        return $value;
+    }
 }
@@ -0,0 +1,214 @@
+<?php
+/**
+ * Maintenance Mode for Bulk Plugin Installer.
+ *
+ * Shows visitors a maintenance page while a batch is processed.
+ *
+ * @package BulkPluginInstaller
+ */
+
+// Abort if this file is called directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Turns a maintenance page on and off around a batch.
+ *
+ * The state is kept in an autoloaded option, so checking it on the front
+ * end costs no query. Unlike the `.maintenance` file of WordPress core, the
+ * page is only shown on the front end and lets through users who can
+ * `manage_options`, the IP addresses allowed in the settings and the
+ * loopback requests of the site health check.
+ *
+ * Every state carries an expiry time that the batch pushes back as it
+ * progresses, so a batch that dies without turning maintenance mode off
+ * (a closed tab, a fatal error) cannot lock visitors out for good.
+ *
+ * @since 1.1.0
+ */
+class BPIMaintenanceMode {
+
+    /**
+     * Option key for the maintenance state.
+     *
+     * @var string
+     */
+    private const OPTION = 'bpi_maintenance_mode';
+
+    /**
+     * Seconds the maintenance page stays up without the batch making progress.
+     *
+     * @var int
+     */
+    private const TIMEOUT = 600;
+
+    /**
+     * Request header that lets the health check's loopback requests through.
+     *
+     * @var string
+     */
+    public const BYPASS_HEADER = 'X-BPI-Maintenance-Key';
+
+    /**
+     * Settings manager instance.
+     *
+     * @var BPISettingsManager
+     */
+    private BPISettingsManager $settingsManager;
+
+    /**
+     * Constructor.
+     *
+     * @since 1.1.0
+     *
+     * @param BPISettingsManager $settings_manager Settings manager instance.
+     */
+    public function __construct( BPISettingsManager $settings_manager ) {
+        $this->settingsManager = $settings_manager;
+    }
+
+    /**
+     * Register the hook that serves the maintenance page.
+     *
+     * @since 1.1.0
+     */
+    public function registerHooks(): void {
+        add_action( 'template_redirect', array( $this, 'maybeShowMaintenancePage' ), 0 );
+    }
+
+    /**
+     * Turn maintenance mode on for a batch, or push back its expiry.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id Batch ID.
+     */
+    public function enable( string $batch_id ): void {
+        $state = $this->getState();
+        $key   = ( null !== $state && $batch_id === $state['batch_id'] ) ? $state['key'] : wp_generate_password( 32, false );
+
+        update_option( self::OPTION, array(
+            'batch_id' => $batch_id,
+            'key'      => $key,
+            'expires'  => time() + self::TIMEOUT,
+        ), true );
+    }
+
+    /**
+     * Turn maintenance mode off.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id Only turn it off if it was turned on for this batch; any batch when empty.
+     */
+    public function disable( string $batch_id = '' ): void {
+        $state = $this->getState();
+        if ( null === $state || ( '' !== $batch_id && $batch_id !== $state['batch_id'] ) ) {
+            return;
+        }
+
+        delete_option( self::OPTION );
+    }
+
+    /**
+     * Check whether maintenance mode is on.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id Only check for this batch; any batch when empty.
+     * @return bool True if the maintenance page is shown.
+     */
+    public function isActive( string $batch_id = '' ): bool {
+        $state = $this->getState();
+
+        return null !== $state && $state['expires'] > time() && ( '' === $batch_id || $batch_id === $state['batch_id'] );
+    }
+
+    /**
+     * Check whether the current request gets the maintenance page.
+     *
+     * @since 1.1.0
+     *
+     * @return bool True if maintenance mode is on and the request is not let through.
+     */
+    public function shouldBlock(): bool {
+        if ( ! $this->isActive() ) {
+            return false;
+        }
+
+        if ( current_user_can( 'manage_options' ) ) {
+            return false;
+        }
+
+        $key = isset( $_SERVER['HTTP_X_BPI_MAINTENANCE_KEY'] ) ? sanitize_text_field( wp_unslash( $_SERVER['HTTP_X_BPI_MAINTENANCE_KEY'] ) ) : '';
+        if ( '' !== $key && hash_equals( $this->getState()['key'], $key ) ) {
+            return false;
+        }
+
+        $ip = isset( $_SERVER['REMOTE_ADDR'] ) ? sanitize_text_field( wp_unslash( $_SERVER['REMOTE_ADDR'] ) ) : '';
+
+        return ! in_array( $ip, $this->settingsManager->getMaintenanceAllowedIps(), true );
+    }
+
+    /**
+     * Serve the maintenance page to blocked requests.
+     *
+     * Hooked to `template_redirect`. Sends HTTP 503 with a Retry-After
+     * header, so search engines do not index the page.
+     *
+     * @since 1.1.0
+     */
+    public function maybeShowMaintenancePage(): void {
+        if ( ! $this->shouldBlock() ) {
+            return;
+        }
+
+        header( 'Retry-After: 60' );
+        nocache_headers();
+        wp_die(
+            wp_kses_post( wpautop( $this->getMessage() ) ),
+            esc_html__( 'Maintenance', 'bulk-plugin-installer' ),
+            array( 'response' => 503 )
+        );
+    }
+
+    /**
+     * Get the message shown on the maintenance page.
+     *
+     * @since 1.1.0
+     *
+     * @return string Message from the settings, or the default message.
+     */
+    public function getMessage(): string {
+        $message = trim( (string) $this->settingsManager->getOption( 'bpi_maintenance_message' ) );
+
+        return '' !== $message ? $message : __( 'Briefly unavailable for scheduled maintenance. Check back in a minute.', 'bulk-plugin-installer' );
+    }
+
+    /**
+     * Get the headers that let a loopback request through the maintenance page.
+     *
+     * @since 1.1.0
+     *
+     * @return array<string, string> Headers; empty when maintenance mode is off.
+     */
+    public function getBypassHeaders(): array {
+        return $this->isActive() ? array( self::BYPASS_HEADER => $this->getState()['key'] ) : array();
+    }
+
+    // ------------------------------------------------------------------
+    // Private helpers
+    // ------------------------------------------------------------------
+
+    /**
+     * Get the stored maintenance state.
+     *
+     * @return array|null State with batch_id, key and expires, or null when maintenance mode is off.
+     */
+    private function getState(): ?array {
+        $state = get_option( self::OPTION, null );
+
+        return is_array( $state ) && isset( $state['batch_id'], $state['key'], $state['expires'] ) ? $state : null;
+    }
+}
@@ -0,0 +1,540 @@
+<?php
+/**
+ * Manifest for Bulk Plugin Installer.
+ *
+ * Reads and writes `bpi.json` manifests: declarative plugin stacks that can
+ * be installed on any site from the upload screen or with
+ * `wp bulk-plugin install --manifest=bpi.json`.
+ *
+ * @package BulkPluginInstaller
+ */
+
+// Abort if this file is called directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Parses, validates and builds plugin manifests.
+ *
+ * A manifest is a JSON (or YAML) document with an optional `name` and a
+ * `plugins` list. Plugins are installed in the order they are listed.
+ * Each plugin entry supports:
+ *
+ * - `slug`: plugin slug; required for WordPress.org sources.
+ * - `source`: `wordpress.org` (the default), a ZIP URL, or a local ZIP path
+ *   relative to the manifest.
+ * - `version`: version constraint, e.g. `5.3`, `^5.0`, `~2.1`, `>=1.0 <2.0`
+ *   or `*`. An exact version pins the WordPress.org download.
+ * - `sha256`: expected checksum of the ZIP.
+ * - `activate`: activate after install; omit to use the preview default.
+ * - `network`: network-activate on a multisite network.
+ *
+ * A lock file is a manifest whose versions and checksums were recorded from
+ * the resolved ZIPs, so installing from it reproduces the same stack.
+ *
+ * @since 1.1.0
+ */
+class BPIManifest {
+
+    /**
+     * Manifest schema version written to exported manifests.
+     *
+     * @var int
+     */
+    public const SCHEMA_VERSION = 1;
+
+    /**
+     * Source value for WordPress.org plugins.
+     *
+     * @var string
+     */
+    public const SOURCE_WPORG = 'wordpress.org';
+
+    /**
+     * Pattern of a single version constraint, e.g. `^1.2`, `>=2.0` or `1.4.1`.
+     *
+     * @var string
+     */
+    private const CONSTRAINT_PATTERN = '/^(\^|~|>=|<=|>|<|!=|=)?v?(\d+(?:\.\d+)*)([-+][0-9A-Za-z.-]+)?$/';
+
+    /**
+     * Parse and validate a manifest.
+     *
+     * @since 1.1.0
+     *
+     * @param string $content Manifest contents.
+     * @param string $format  'json' or 'yaml'; detected from the contents when empty.
+     * @return \WP_Error|array {
+     *     Normalized manifest, or WP_Error with the validation 'errors'.
+     *
+     *     @type string $name    Manifest name ('' when not set).
+     *     @type array  $plugins Normalized plugin entries, in install order.
+     * }
+     */
+    public function parse( string $content, string $format = '' ): \WP_Error|array {
+        $content = trim( $content );
+        if ( '' === $format ) {
+            $format = str_starts_with( $content, '{' ) ? 'json' : 'yaml';
+        }
+
+        $data = 'yaml' === $format ? $this->decodeYaml( $content ) : json_decode( $content, true );
+
+        if ( is_wp_error( $data ) ) {
+            return $data;
+        }
+
+        if ( ! is_array( $data ) ) {
+            return new \WP_Error(
+                'bpi_invalid_manifest',
+                __( 'The manifest could not be read. Check that it is valid JSON or YAML.', 'bulk-plugin-installer' ),
+                array( 'errors' => array() )
+            );
+        }
+
+        if ( ! isset( $data['plugins'] ) || ! is_array( $data['plugins'] ) || empty( $data['plugins'] ) ) {
+            return new \WP_Error(
+                'bpi_invalid_manifest',
+                __( 'The manifest must contain a non-empty "plugins" list.', 'bulk-plugin-installer' ),
+                array( 'errors' => array() )
+            );
+        }
+
+        $plugins = array();
+        $errors  = array();
+
+        foreach ( array_values( $data['plugins'] ) as $index => $raw ) {
+            $entry = $this->normalizeEntry( $raw, $index + 1 );
+            if ( is_wp_error( $entry ) ) {
+                $errors[] = $entry->get_error_message();
+                continue;
+            }
+            $plugins[] = $entry;
+        }
+
+        if ( ! empty( $errors ) ) {
+            return new \WP_Error( 'bpi_invalid_manifest', implode( ' ', $errors ), array( 'errors' => $errors ) );
+        }
+
+        return array(
+            'name'    => is_string( $data['name'] ?? null ) ? sanitize_text_field( $data['name'] ) : '',
+            'plugins' => $plugins,
+        );
+    }
+
+    /**
+     * Check whether a version satisfies a constraint.
+     *
+     * Constraints follow Composer's syntax: exact versions, `^` and `~`
+     * ranges, comparison operators, space- or comma-separated conditions
+     * that must all match, and `||` between alternatives. An empty
+     * constraint or `*` matches any version.
+     *
+     * @since 1.1.0
+     *
+     * @param string $version    Plugin version.
+     * @param string $constraint Version constraint.
+     * @return bool True if the version satisfies the constraint.
+     */
+    public function satisfies( string $version, string $constraint ): bool {
+        $constraint = trim( $constraint );
+        if ( '' === $constraint || '*' === $constraint ) {
+            return true;
+        }
+
+        foreach ( preg_split( '/\s*\|\|\s*/', $constraint ) as $alternative ) {
+            $conditions = preg_split( '/[\s,]+/', trim( $alternative ), -1, PREG_SPLIT_NO_EMPTY );
+            $matches    = ! empty( $conditions );
+
+            foreach ( $conditions as $condition ) {
+                if ( ! $this->satisfiesCondition( $version, $condition ) ) {
+                    $matches = false;
+                    break;
+                }
+            }
+
+            if ( $matches ) {
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Check a resolved plugin against the slug and version of its entry.
+     *
+     * @since 1.1.0
+     *
+     * @param array  $entry   Normalized plugin entry.
+     * @param string $slug    Slug of the resolved plugin.
+     * @param string $version Version of the resolved plugin.
+     * @return string Error message, or '' if the plugin matches the entry.
+     */
+    public function checkPlugin( array $entry, string $slug, string $version ): string {
+        if ( '' !== $entry['slug'] && $entry['slug'] !== $slug ) {
+            return sprintf(
+                /* translators: 1: expected slug, 2: slug found in the ZIP */
+                __( 'Expected the plugin "%1$s" but the ZIP contains "%2$s".', 'bulk-plugin-installer' ),
+                $entry['slug'],
+                $slug
+            );
+        }
+
+        if ( ! $this->satisfies( $version, $entry['version'] ) ) {
+            return sprintf(
+                /* translators: 1: plugin slug, 2: plugin version, 3: version constraint */
+                __( '"%1$s" %2$s does not satisfy the version constraint %3$s.', 'bulk-plugin-installer' ),
+                $slug,
+                $version,
+                $entry['version']
+            );
+        }
+
+        return '';
+    }
+
+    /**
+     * Get the version a constraint pins, if it names a single version.
+     *
+     * @since 1.1.0
+     *
+     * @param string $constraint Version constraint.
+     * @return string Exact version, or '' for ranges and empty constraints.
+     */
+    public function getPinnedVersion( string $constraint ): string {
+        if ( 1 !== preg_match( self::CONSTRAINT_PATTERN, trim( $constraint ), $matches ) ) {
+            return '';
+        }
+
+        if ( '' !== $matches[1] && '=' !== $matches[1] ) {
+            return '';
+        }
+
+        return $matches[2] . ( $matches[3] ?? '' );
+    }
+
+    /**
+     * Get the line BPIRemoteSource resolves for a remote entry.
+     *
+     * @since 1.1.0
+     *
+     * @param array $entry Normalized plugin entry.
+     * @return string ZIP URL or `slug[@version]`; '' for local paths.
+     */
+    public function getSourceLine( array $entry ): string {
+        if ( 'url' === $entry['source_type'] ) {
+            return $entry['source'];
+        }
+
+        if ( 'wporg' === $entry['source_type'] ) {
+            $pinned = $this->getPinnedVersion( $entry['version'] );
+            return '' !== $pinned ? $entry['slug'] . '@' . $pinned : $entry['slug'];
+        }
+
+        return '';
+    }
+
+    /**
+     * Pin an entry to the version and checksum of the ZIP it resolved to.
+     *
+     * @since 1.1.0
+     *
+     * @param array  $entry   Normalized plugin entry.
+     * @param string $slug    Slug of the resolved plugin.
+     * @param string $version Version of the resolved plugin.
+     * @param string $sha256  Checksum of the resolved ZIP.
+     * @return array Locked entry.
+     */
+    public function lockEntry( array $entry, string $slug, string $version, string $sha256 ): array {
+        $entry['slug']    = $slug;
+        $entry['version'] = $version;
+        $entry['sha256']  = $sha256;
+
+        return $entry;
+    }
+
+    /**
+     * Build a manifest from a saved profile.
+     *
+     * Profiles do not record where a plugin came from, so every plugin is
+     * taken from WordPress.org.
+     *
+     * @since 1.1.0
+     *
+     * @param array $profile Profile data.
+     * @return array Normalized manifest.
+     */
+    public function fromProfile( array $profile ): array {
+        $plugins = array();
+
+        foreach ( $profile['plugins'] ?? array() as $plugin ) {
+            $plugins[] = array(
+                'slug'        => $plugin['slug'] ?? '',
+                'source'      => self::SOURCE_WPORG,
+                'source_type' => 'wporg',
+                'version'     => $plugin['version'] ?? '',
+                'sha256'      => $plugin['sha256'] ?? '',
+                'activate'    => isset( $plugin['activate'] ) ? (bool) $plugin['activate'] : null,
+                'network'     => false,
+            );
+        }
+
+        return array(
+            'name'    => $profile['name'] ?? '',
+            'plugins' => $plugins,
+        );
+    }
+
+    /**
+     * Encode a normalized manifest as `bpi.json`.
+     *
+     * Default values are left out.
+     *
+     * @since 1.1.0
+     *
+     * @param array $manifest Normalized manifest.
+     * @return string Pretty-printed JSON.
+     */
+    public function toJson( array $manifest ): string {
+        $plugins = array();
+
+        foreach ( $manifest['plugins'] as $entry ) {
+            $plugin = array( 'slug' => $entry['slug'] );
+            if ( self::SOURCE_WPORG !== $entry['source'] ) {
+                $plugin['source'] = $entry['source'];
+            }
+            if ( '' !== $entry['version'] ) {
+                $plugin['version'] = $entry['version'];
+            }
+            if ( '' !== $entry['sha256'] ) {
+                $plugin['sha256'] = $entry['sha256'];
+            }
+            if ( null !== $entry['activate'] ) {
+                $plugin['activate'] = $entry['activate'];
+            }
+            if ( $entry['network'] ) {
+                $plugin['network'] = true;
+            }
+            $plugins[] = array_filter( $plugin, fn( $value ) => '' !== $value );
+        }
+
+        $data = array( 'schema' => self::SCHEMA_VERSION );
+        if ( '' !== ( $manifest['name'] ?? '' ) ) {
+            $data['name'] = $manifest['name'];
+        }
+        $data['plugins'] = $plugins;
+
+        return wp_json_encode( $data, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES );
+    }
+
+    // ------------------------------------------------------------------
+    // Private helpers
+    // ------------------------------------------------------------------
+
+    /**
+     * Decode a YAML manifest.
+     *
+     * Uses the PHP yaml extension, or the YAML parser bundled with WP-CLI.
+     *
+     * @param string $content YAML document.
+     * @return mixed|\WP_Error Decoded data, or WP_Error if no YAML parser is available.
+     */
+    private function decodeYaml( string $content ): mixed {
+        if ( function_exists( 'yaml_parse' ) ) {
+            return yaml_parse( $content );
+        }
+
+        if ( function_exists( 'spyc_load' ) ) {
+            return spyc_load( $content );
+        }
+
+        return new \WP_Error(
+            'bpi_yaml_unsupported',
+            __( 'YAML manifests need the PHP yaml extension or WP-CLI. Use a bpi.json manifest instead.', 'bulk-plugin-installer' ),
+            array( 'errors' => array() )
+        );
+    }
+
+    /**
+     * Validate and normalize one plugin entry.
+     *
+     * A bare string is read as a WordPress.org slug.
+     *
+     * @param mixed $raw    Entry as decoded.
+     * @param int   $number 1-based position of the entry, for error messages.
+     * @return \WP_Error|array Normalized entry, or WP_Error describing the problem.
+     */
+    private function normalizeEntry( mixed $raw, int $number ): \WP_Error|array {
+        if ( is_string( $raw ) ) {
+            $raw = array( 'slug' => $raw );
+        }
+
+        if ( ! is_array( $raw ) ) {
+            /* translators: %d: entry number */
+            return new \WP_Error( 'bpi_invalid_entry', sprintf( __( 'Plugin %d must be an object or a slug.', 'bulk-plugin-installer' ), $number ) );
+        }
+
+        $slug    = is_scalar( $raw['slug'] ?? null ) ? sanitize_key( (string) $raw['slug'] ) : '';
+        $source  = is_string( $raw['source'] ?? null ) ? trim( $raw['source'] ) : '';
+        $version = is_scalar( $raw['version'] ?? null ) ? trim( (string) $raw['version'] ) : '';
+        $label   = '' !== $slug ? $slug : (string) $number;
+
+        if ( '' === $source || in_array( strtolower( $source ), array( self::SOURCE_WPORG, 'wporg' ), true ) ) {
+            $source      = self::SOURCE_WPORG;
+            $source_type = 'wporg';
+        } elseif ( preg_match( '#^[a-z][a-z0-9+.-]*://#i', $source ) ) {
+            $source_type = 'url';
+        } else {
+            $source_type = 'path';
+        }
+
+        if ( 'wporg' === $source_type && '' === $slug ) {
+            /* translators: %d: entry number */
+            return new \WP_Error( 'bpi_invalid_entry', sprintf( __( 'Plugin %d needs a "slug" to be installed from WordPress.org.', 'bulk-plugin-installer' ), $number ) );
+        }
+
+        if ( '' !== $version && '*' !== $version && ! $this->isValidConstraint( $version ) ) {
+            return new \WP_Error(
+                'bpi_invalid_entry',
+                /* translators: 1: plugin slug or entry number, 2: version constraint */
+                sprintf( __( 'Plugin %1$s: "%2$s" is not a valid version constraint.', 'bulk-plugin-installer' ), $label, $version )
+            );
+        }
+
+        $sha256 = '';
+        if ( isset( $raw['sha256'] ) && '' !== $raw['sha256'] ) {
+            $sha256 = is_string( $raw['sha256'] ) ? ( new BPIChecksumVerifier() )->normalize( $raw['sha256'] ) : '';
+            if ( '' === $sha256 ) {
+                return new \WP_Error(
+                    'bpi_invalid_entry',
+                    /* translators: %s: plugin slug or entry number */
+                    sprintf( __( 'Plugin %s: "sha256" must be a SHA-256 hash of 64 hexadecimal characters.', 'bulk-plugin-installer' ), $label )
+                );
+            }
+        }
+
+        return array(
+            'slug'        => $slug,
+            'source'      => $source,
+            'source_type' => $source_type,
+            'version'     => $version,
+            'sha256'      => $sha256,
+            'activate'    => isset( $raw['activate'] ) ? filter_var( $raw['activate'], FILTER_VALIDATE_BOOLEAN ) : null,
+            'network'     => isset( $raw['network'] ) && filter_var( $raw['network'], FILTER_VALIDATE_BOOLEAN ),
+        );
+    }
+
+    /**
+     * Check the syntax of a version constraint.
+     *
+     * @param string $constraint Version constraint.
+     * @return bool True if every condition is well-formed.
+     */
+    private function isValidConstraint( string $constraint ): bool {
+        foreach ( preg_split( '/\s*\|\|\s*/', $constraint ) as $alternative ) {
+            $conditions = preg_split( '/[\s,]+/', trim( $alternative ), -1, PREG_SPLIT_NO_EMPTY );
+            if ( empty( $conditions ) ) {
+                return false;
+            }
+            foreach ( $conditions as $condition ) {
+                if ( 1 !== preg_match( self::CONSTRAINT_PATTERN, $condition ) ) {
+                    return false;
+                }
+            }
+        }
+
+        return true;
+    }
+
+    /**
+     * Check a version against a single condition, e.g. `^1.2` or `<2.0`.
+     *
+     * @param string $version   Plugin version.
+     * @param string $condition Single condition.
+     * @return bool True if the version satisfies the condition.
+     */
+    private function satisfiesCondition( string $version, string $condition ): bool {
+        if ( '*' === $condition ) {
+            return true;
+        }
+
+        if ( 1 !== preg_match( self::CONSTRAINT_PATTERN, $condition, $matches ) ) {
+            return false;
+        }
+
+        $target = $matches[2] . ( $matches[3] ?? '' );
+
+        switch ( $matches[1] ) {
+            case '^':
+                return version_compare( $version, $target, '>=' )
+                    && version_compare( $version, $this->getCaretUpperBound( $matches[2] ), '<' );
+            case '~':
+                return version_compare( $version, $target, '>=' )
+                    && version_compare( $version, $this->getTildeUpperBound( $matches[2] ), '<' );
+            case '>=':
+            case '<=':
+            case '>':
+            case '<':
+                return version_compare( $version, $target, $matches[1] );
+            case '!=':
+                return ! $this->isSameVersion( $version, $target );
+            default:
+                return $this->isSameVersion( $version, $target );
+        }
+    }
+
+    /**
+     * Compare two versions, treating missing trailing parts as zero (1.2 = 1.2.0).
+     *
+     * @param string $a First version.
+     * @param string $b Second version.
+     * @return bool True if the versions are equal.
+     */
+    private function isSameVersion( string $a, string $b ): bool {
+        $trim = fn( $version ) => preg_replace( '/(?:\.0+)+$/', '', $version );
+        return version_compare( $trim( $a ), $trim( $b ), '==' );
+    }
+
+    /**
+     * Get the exclusive upper bound of a `^` range.
+     *
+     * The first non-zero part may not change: ^1.2 allows up to 2.0, ^0.3
+     * up to 0.4.
+     *
+     * @param string $version Lower bound.
+     * @return string Upper bound.
+     */
+    private function getCaretUpperBound( string $version ): string {
+        $parts = array_map( 'intval', explode( '.', $version ) );
+
+        foreach ( $parts as $index => $part ) {
+            if ( 0 !== $part || count( $parts ) - 1 === $index ) {
+                return implode( '.', array_merge( array_slice( $parts, 0, $index ), array( $part + 1 ) ) );
+            }
+        }
+
+        return (string) ( $parts[0] + 1 );
+    }
+
+    /**
+     * Get the exclusive upper bound of a `~` range.
+     *
+     * The last given part may increase: ~1.2 allows up to 2.0, ~1.2.3 up to 1.3.
+     *
+     * @param string $version Lower bound.
+     * @return string Upper bound.
+     */
+    private function getTildeUpperBound( string $version ): string {
+        $parts = array_map( 'intval', explode( '.', $version ) );
+
+        if ( count( $parts ) < 2 ) {
+            return (string) ( $parts[0] + 1 );
+        }
+
+        $parts = array_slice( $parts, 0, count( $parts ) - 1 );
+        $parts[ count( $parts ) - 1 ]++;
+
+        return implode( '.', $parts );
+    }
+}
@@ -0,0 +1,497 @@
+<?php
+/**
+ * Plugin Diff for Bulk Plugin Installer.
+ *
+ * Compares an uploaded plugin ZIP against the installed plugin directory.
+ *
+ * @package BulkPluginInstaller
+ */
+
+// Abort if this file is called directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Lists what an update would change in a plugin directory.
+ *
+ * Files are matched by their path relative to the plugin directory and
+ * compared by size and CRC32, so unchanged files are never read. Modified
+ * PHP, JS and CSS files get a line diff laid out as side-by-side rows,
+ * grouped into hunks with a few lines of context.
+ *
+ * @since 1.1.0
+ */
+class BPIPluginDiff {
+
+    /**
+     * File extensions that get an inline text diff.
+     *
+     * @var string[]
+     */
+    private const TEXT_EXTENSIONS = array( 'php', 'js', 'css' );
+
+    /**
+     * Largest file, in bytes, that gets an inline text diff.
+     *
+     * @var int
+     */
+    private const MAX_DIFF_BYTES = 262144;
+
+    /**
+     * Maximum number of modified files that get an inline text diff.
+     *
+     * @var int
+     */
+    private const MAX_DIFF_FILES = 50;
+
+    /**
+     * Largest changed region, in old lines times new lines, that is diffed.
+     *
+     * @var int
+     */
+    private const MAX_DIFF_CELLS = 1000000;
+
+    /**
+     * Maximum number of rows returned per file diff.
+     *
+     * @var int
+     */
+    private const MAX_DIFF_ROWS = 500;
+
+    /**
+     * Unchanged lines shown around each change.
+     *
+     * @var int
+     */
+    private const CONTEXT_LINES = 3;
+
+    /**
+     * Compare a plugin ZIP against an installed plugin directory.
+     *
+     * @since 1.1.0
+     *
+     * @param string $zip_path   Path to the uploaded plugin ZIP.
+     * @param string $plugin_dir Path to the installed plugin directory.
+     * @return array|\WP_Error {
+     *     Differences, or WP_Error if either side cannot be read.
+     *
+     *     @type array $added    Added files, each with 'path' and 'size'.
+     *     @type array $removed  Removed files, each with 'path' and 'size'.
+     *     @type array $modified Modified files, each with 'path', 'old_size', 'new_size',
+     *                           'size_delta', 'diff_status' and 'hunks'.
+     *     @type array $summary  Counts of added, removed and modified files and the total 'size_delta'.
+     * }
+     */
+    public function compare( string $zip_path, string $plugin_dir ): array|\WP_Error {
+        if ( ! is_dir( $plugin_dir ) ) {
+            return new \WP_Error( 'bpi_diff_not_installed', __( 'The installed plugin directory was not found.', 'bulk-plugin-installer' ) );
+        }
+
+        $zip = new \ZipArchive();
+        if ( ! is_file( $zip_path ) || true !== $zip->open( $zip_path ) ) {
+            return new \WP_Error( 'bpi_diff_invalid_zip', __( 'The uploaded ZIP file could not be opened.', 'bulk-plugin-installer' ) );
+        }
+
+        $new_files = $this->listZipFiles( $zip );
+        $old_files = $this->listDirectoryFiles( $plugin_dir );
+
+        $result = array(
+            'added'    => array(),
+            'removed'  => array(),
+            'modified' => array(),
+        );
+        $diffed = 0;
+
+        foreach ( $new_files as $path => $entry ) {
+            if ( ! isset( $old_files[ $path ] ) ) {
+                $result['added'][] = array( 'path' => $path, 'size' => $entry['size'] );
+                continue;
+            }
+
+            $old_path = $old_files[ $path ];
+            $old_size = (int) filesize( $old_path );
+            if ( $old_size === $entry['size'] && $this->fileCrc( $old_path ) === $entry['crc'] ) {
+                continue;
+            }
+
+            $item = array(
+                'path'        => $path,
+                'old_size'    => $old_size,
+                'new_size'    => $entry['size'],
+                'size_delta'  => $entry['size'] - $old_size,
+                'diff_status' => 'none',
+                'hunks'       => array(),
+            );
+
+            if ( $this->isTextFile( $path ) ) {
+                if ( $diffed >= self::MAX_DIFF_FILES ) {
+                    $item['diff_status'] = 'limit';
+                } elseif ( max( $old_size, $entry['size'] ) > self::MAX_DIFF_BYTES ) {
+                    $item['diff_status'] = 'too_large';
+                } else {
+                    $diffed++;
+                    $item = $this->addTextDiff( $item, (string) file_get_contents( $old_path ), (string) $zip->getFromIndex( $entry['index'] ) );
+                }
+            }
+
+            $result['modified'][] = $item;
+        }
+        $zip->close();
+
+        foreach ( $old_files as $path => $old_path ) {
+            if ( ! isset( $new_files[ $path ] ) ) {
+                $result['removed'][] = array( 'path' => $path, 'size' => (int) filesize( $old_path ) );
+            }
+        }
+
+        $result['summary'] = array(
+            'added'      => count( $result['added'] ),
+            'removed'    => count( $result['removed'] ),
+            'modified'   => count( $result['modified'] ),
+            'size_delta' => array_sum( array_column( $result['added'], 'size' ) )
+                - array_sum( array_column( $result['removed'], 'size' ) )
+                + array_sum( array_column( $result['modified'], 'size_delta' ) ),
+        );
+
+        return $result;
+    }
+
+    /**
+     * Build side-by-side diff hunks between two texts.
+     *
+     * Each row has a 'type' ('context', 'changed', 'removed' or 'added'),
+     * the old and new line numbers and the old and new line text; the side
+     * a row does not cover is null.
+     *
+     * @since 1.1.0
+     *
+     * @param string $old_text Old file contents.
+     * @param string $new_text New file contents.
+     * @return array|null Hunks, each with a 'rows' list, or null if the change is too large to diff.
+     */
+    public function diffText( string $old_text, string $new_text ): ?array {
+        $old = $this->splitLines( $old_text );
+        $new = $this->splitLines( $new_text );
+
+        $ops = $this->diffLines( $old, $new );
+        if ( null === $ops ) {
+            return null;
+        }
+
+        return $this->buildHunks( $ops, $old, $new );
+    }
+
+    // ------------------------------------------------------------------
+    // Private helpers
+    // ------------------------------------------------------------------
+
+    /**
+     * List the files of a ZIP relative to its top-level plugin directory.
+     *
+     * @param \ZipArchive $zip Open archive.
+     * @return array<string, array{index: int, size: int, crc: int}> Entries keyed by relative path.
+     */
+    private function listZipFiles( \ZipArchive $zip ): array {
+        $entries = array();
+        $roots   = array();
+
+        for ( $i = 0; $i < $zip->numFiles; $i++ ) {
+            $stat = $zip->statIndex( $i );
+            if ( false === $stat || str_ends_with( $stat['name'], '/' ) ) {
+                continue;
+            }
+
+            $entries[ $stat['name'] ] = array(
+                'index' => $i,
+                'size'  => (int) $stat['size'],
+                'crc'   => (int) $stat['crc'],
+            );
+            $roots[ strtok( $stat['name'], '/' ) ] = true;
+        }
+
+        // Strip the plugin directory when every entry lives inside it.
+        $prefix = '';
+        if ( 1 === count( $roots ) ) {
+            $root = (string) array_key_first( $roots );
+            if ( ! isset( $entries[ $root ] ) ) {
+                $prefix = $root . '/';
+            }
+        }
+
+        $files = array();
+        foreach ( $entries as $name => $entry ) {
+            $files[ substr( $name, strlen( $prefix ) ) ] = $entry;
+        }
+        ksort( $files );
+
+        return $files;
+    }
+
+    /**
+     * List the files of a directory, recursively.
+     *
+     * @param string $dir Directory path.
+     * @return array<string, string> Absolute paths keyed by relative path.
+     */
+    private function listDirectoryFiles( string $dir ): array {
+        $files    = array();
+        $base_len = strlen( rtrim( $dir, '/' ) ) + 1;
+        $iterator = new \RecursiveIteratorIterator(
+            new \RecursiveDirectoryIterator( $dir, \RecursiveDirectoryIterator::SKIP_DOTS )
+        );
+
+        foreach ( $iterator as $file ) {
+            if ( $file->isFile() ) {
+                $files[ str_replace( '\\', '/', substr( $file->getPathname(), $base_len ) ) ] = $file->getPathname();
+            }
+        }
+        ksort( $files );
+
+        return $files;
+    }
+
+    /**
+     * Compute the CRC32 of a file, as stored in ZIP entries.
+     *
+     * @param string $path File path.
+     * @return int CRC32 checksum.
+     */
+    private function fileCrc( string $path ): int {
+        return (int) hexdec( (string) hash_file( 'crc32b', $path ) );
+    }
+
+    /**
+     * Check whether a file gets an inline text diff.
+     *
+     * @param string $path Relative file path.
+     * @return bool True for PHP, JS and CSS files.
+     */
+    private function isTextFile( string $path ): bool {
+        return in_array( strtolower( pathinfo( $path, PATHINFO_EXTENSION ) ), self::TEXT_EXTENSIONS, true );
+    }
+
+    /**
+     * Add the text diff of a modified file to its item.
+     *
+     * @param array  $item     Modified file item.
+     * @param string $old_text Old file contents.
+     * @param string $new_text New file contents.
+     * @return array The item with 'diff_status' and 'hunks' set.
+     */
+    private function addTextDiff( array $item, string $old_text, string $new_text ): array {
+        $hunks = $this->diffText( $old_text, $new_text );
+        if ( null === $hunks ) {
+            $item['diff_status'] = 'too_large';
+            return $item;
+        }
+
+        // Keep the response small: cut the diff after MAX_DIFF_ROWS rows.
+        $rows_left = self::MAX_DIFF_ROWS;
+        foreach ( $hunks as $index => $hunk ) {
+            if ( $rows_left <= 0 ) {
+                $hunks = array_slice( $hunks, 0, $index );
+                $item['diff_status'] = 'truncated';
+                break;
+            }
+            if ( count( $hunk['rows'] ) > $rows_left ) {
+                $hunks[ $index ]['rows'] = array_slice( $hunk['rows'], 0, $rows_left );
+                $hunks = array_slice( $hunks, 0, $index + 1 );
+                $item['diff_status'] = 'truncated';
+                break;
+            }
+            $rows_left -= count( $hunk['rows'] );
+        }
+
+        if ( 'truncated' !== $item['diff_status'] ) {
+            $item['diff_status'] = 'ok';
+        }
+        $item['hunks'] = $hunks;
+
+        return $item;
+    }
+
+    /**
+     * Split text into lines, ignoring line ending differences.
+     *
+     * @param string $text Text.
+     * @return string[] Lines without line endings.
+     */
+    private function splitLines( string $text ): array {
+        if ( '' === $text ) {
+            return array();
+        }
+        $text = str_replace( array( "\r\n", "\r" ), "\n", $text );
+        return explode( "\n", rtrim( $text, "\n" ) );
+    }
+
+    /**
+     * Compute the line operations turning the old lines into the new ones.
+     *
+     * Uses a longest common subsequence over the region between the common
+     * prefix and suffix. The DP directions are kept one byte per cell so
+     * large regions stay affordable.
+     *
+     * @param string[] $old Old lines.
+     * @param string[] $new New lines.
+     * @return array|null Operations as [op, old index, new index] with op '=', '-' or '+', or null if too large.
+     */
+    private function diffLines( array $old, array $new ): ?array {
+        $old_count = count( $old );
+        $new_count = count( $new );
+
+        $start = 0;
+        while ( $start < $old_count && $start < $new_count && $old[ $start ] === $new[ $start ] ) {
+            $start++;
+        }
+
+        $old_end = $old_count;
+        $new_end = $new_count;
+        while ( $old_end > $start && $new_end > $start && $old[ $old_end - 1 ] === $new[ $new_end - 1 ] ) {
+            $old_end--;
+            $new_end--;
+        }
+
+        $rows = $old_end - $start;
+        $cols = $new_end - $start;
+        if ( $rows * $cols > self::MAX_DIFF_CELLS ) {
+            return null;
+        }
+
+        // LCS lengths of the suffixes, filled bottom-up one row at a time.
+        $directions = str_repeat( '=', $rows * $cols );
+        $below      = array_fill( 0, $cols + 1, 0 );
+        for ( $i = $rows - 1; $i >= 0; $i-- ) {
+            $current = array_fill( 0, $cols + 1, 0 );
+            for ( $j = $cols - 1; $j >= 0; $j-- ) {
+                if ( $old[ $start + $i ] === $new[ $start + $j ] ) {
+                    $current[ $j ] = $below[ $j + 1 ] + 1;
+                } elseif ( $below[ $j ] >= $current[ $j + 1 ] ) {
+                    $current[ $j ]                  = $below[ $j ];
+                    $directions[ $i * $cols + $j ] = '-';
+                } else {
+                    $current[ $j ]                  = $current[ $j + 1 ];
+                    $directions[ $i * $cols + $j ] = '+';
+                }
+            }
+            $below = $current;
+        }
+
+        $ops = array();
+        for ( $k = 0; $k < $start; $k++ ) {
+            $ops[] = array( '=', $k, $k );
+        }
+
+        $i = 0;
+        $j = 0;
+        while ( $i < $rows || $j < $cols ) {
+            if ( $i >= $rows ) {
+                $ops[] = array( '+', null, $start + $j++ );
+            } elseif ( $j >= $cols ) {
+                $ops[] = array( '-', $start + $i++, null );
+            } elseif ( '=' === $directions[ $i * $cols + $j ] ) {
+                $ops[] = array( '=', $start + $i++, $start + $j++ );
+            } elseif ( '-' === $directions[ $i * $cols + $j ] ) {
+                $ops[] = array( '-', $start + $i++, null );
+            } else {
+                $ops[] = array( '+', null, $start + $j++ );
+            }
+        }
+
+        for ( $k = 0; $k < $old_count - $old_end; $k++ ) {
+            $ops[] = array( '=', $old_end + $k, $new_end + $k );
+        }
+
+        return $ops;
+    }
+
+    /**
+     * Group line operations into hunks of side-by-side rows.
+     *
+     * @param array    $ops Operations from diffLines().
+     * @param string[] $old Old lines.
+     * @param string[] $new New lines.
+     * @return array Hunks, each with a 'rows' list.
+     */
+    private function buildHunks( array $ops, array $old, array $new ): array {
+        // Mark the operations within CONTEXT_LINES of a change.
+        $count   = count( $ops );
+        $visible = array_fill( 0, $count, false );
+        foreach ( $ops as $index => $op ) {
+            if ( '=' === $op[0] ) {
+                continue;
+            }
+            $from = max( 0, $index - self::CONTEXT_LINES );
+            $to   = min( $count - 1, $index + self::CONTEXT_LINES );
+            for ( $k = $from; $k <= $to; $k++ ) {
+                $visible[ $k ] = true;
+            }
+        }
+
+        $hunks   = array();
+        $rows    = array();
+        $removed = array();
+        $added   = array();
+
+        for ( $index = 0; $index <= $count; $index++ ) {
+            $op = $ops[ $index ] ?? null;
+
+            if ( null !== $op && '-' === $op[0] ) {
+                $removed[] = $op[1];
+                continue;
+            }
+            if ( null !== $op && '+' === $op[0] ) {
+                $added[] = $op[2];
+                continue;
+            }
+
+            // Pair the pending removed and added lines side by side.
+            $pairs = max( count( $removed ), count( $added ) );
+            for ( $k = 0; $k < $pairs; $k++ ) {
+                $old_index = $removed[ $k ] ?? null;
+                $new_index = $added[ $k ] ?? null;
+                $type      = null === $old_index ? 'added' : ( null === $new_index ? 'removed' : 'changed' );
+                $rows[]    = $this->buildRow( $type, $old_index, $new_index, $old, $new );
+            }
+            $removed = array();
+            $added   = array();
+
+            if ( null === $op ) {
+                break;
+            }
+
+            if ( $visible[ $index ] ) {
+                $rows[] = $this->buildRow( 'context', $op[1], $op[2], $old, $new );
+            } elseif ( ! empty( $rows ) ) {
+                $hunks[] = array( 'rows' => $rows );
+                $rows    = array();
+            }
+        }
+
+        if ( ! empty( $rows ) ) {
+            $hunks[] = array( 'rows' => $rows );
+        }
+
+        return $hunks;
+    }
+
+    /**
+     * Build a single side-by-side diff row.
+     *
+     * @param string   $type      Row type.
+     * @param int|null $old_index Old line index, or null.
+     * @param int|null $new_index New line index, or null.
+     * @param string[] $old       Old lines.
+     * @param string[] $new       New lines.
+     * @return array Row with 'type', 'old_line', 'new_line', 'old' and 'new'.
+     */
+    private function buildRow( string $type, ?int $old_index, ?int $new_index, array $old, array $new ): array {
+        return array(
+            'type'     => $type,
+            'old_line' => null === $old_index ? null : $old_index + 1,
+            'new_line' => null === $new_index ? null : $new_index + 1,
+            'old'      => null === $old_index ? null : $old[ $old_index ],
+            'new'      => null === $new_index ? null : $new[ $new_index ],
+        );
+    }
+}
@@ -25,6 +25,8 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class BPIPluginProcessor {
 
+    use BPIAjaxResponder;
+
     /**
      * Rollback manager instance.
      *
@@ -60,6 +62,27 @@ class BPIPluginProcessor {
      */
     private ?BPIBatchRollbackManager $batchRollbackManager = null;
 
+    /**
+     * Batch progress tracker instance (optional, set via setter).
+     *
+     * @var BPIBatchProgressTracker|null
+     */
+    private ?BPIBatchProgressTracker $progressTracker = null;
+
+    /**
+     * Site health checker instance (optional, set via setter).
+     *
+     * @var BPIHealthChecker|null
+     */
+    private ?BPIHealthChecker $healthChecker = null;
+
+    /**
+     * Maintenance mode instance (optional, set via setter).
+     *
+     * @var BPIMaintenanceMode|null
+     */
+    private ?BPIMaintenanceMode $maintenanceMode = null;
+
     /**
      * Results from the current batch.
      *
@@ -115,27 +138,83 @@ class BPIPluginProcessor {
         $this->batchRollbackManager = $batchRollbackManager;
     }
 
+    /**
+     * Set the progress tracker used to report per-plugin stages.
+     *
+     * @param BPIBatchProgressTracker $progressTracker Batch progress tracker instance.
+     *
+     * @since 1.1.0
+     */
+    public function setProgressTracker( BPIBatchProgressTracker $progressTracker ): void {
+        $this->progressTracker = $progressTracker;
+    }
+
+    /**
+     * Set the health checker used after activation.
+     *
+     * @param BPIHealthChecker $healthChecker Health checker instance.
+     *
+     * @since 1.1.0
+     */
+    public function setHealthChecker( BPIHealthChecker $healthChecker ): void {
+        $this->healthChecker = $healthChecker;
+    }
+
+    /**
+     * Set the maintenance mode shown to visitors while a batch runs.
+     *
+     * @param BPIMaintenanceMode $maintenanceMode Maintenance mode instance.
+     *
+     * @since 1.1.0
+     */
+    public function setMaintenanceMode( BPIMaintenanceMode $maintenanceMode ): void {
+        $this->maintenanceMode = $maintenanceMode;
+    }
+
     /**
      * Process a batch of selected plugins.
      *
      * Generates a unique batch ID, iterates through plugins sequentially,
      * and tracks results. Continues processing even if individual plugins fail.
+     * Plugins are processed after the plugins they require from the same batch.
+     * In the 'batch' health check mode, the site is probed once at the end.
+     *
+     * With `$maintenance`, visitors get a maintenance page until the batch,
+     * including its health check and rollbacks, has finished or failed.
      *
      * @param array $selected_plugins Array of plugin data arrays.
      * @param bool  $dry_run          Whether to simulate without making changes.
+     * @param bool  $maintenance      Whether to show the maintenance page while the batch runs.
      * @return array Array of per-plugin result arrays.
      *
      * @since 1.0.0
+     * @since 1.1.0 Added the `$maintenance` parameter.
      */
-    public function processBatch( array $selected_plugins, bool $dry_run = false ): array {
+    public function processBatch( array $selected_plugins, bool $dry_run = false, bool $maintenance = false ): array {
         $this->results  = array();
         $this->batchId = 'bpi_' . wp_generate_uuid4();
+        $maintenance   = $maintenance && ! $dry_run;
+
+        $selected_plugins = ( new BPICompatibilityChecker() )->sortByDependencies( $selected_plugins );
 
         do_action( 'bpi_before_process_batch', $selected_plugins, $dry_run );
 
-        foreach ( $selected_plugins as $plugin_data ) {
-            $result          = $this->processPlugin( $plugin_data, $dry_run );
-            $this->results[] = $result;
+        try {
+            foreach ( $selected_plugins as $plugin_data ) {
+                if ( $maintenance ) {
+                    $this->getMaintenanceMode()->enable( $this->batchId );
+                }
+                $result          = $this->processPlugin( $plugin_data, $dry_run );
+                $this->results[] = $result;
+            }
+
+            if ( ! $dry_run ) {
+                $this->checkBatchHealth();
+            }
+        } finally {
+            if ( $maintenance ) {
+                $this->getMaintenanceMode()->disable( $this->batchId );
+            }
         }
 
         do_action( 'bpi_after_process_batch', $this->results, $dry_run );
@@ -190,7 +269,24 @@ class BPIPluginProcessor {
             'rolled_back' => false,
         );
 
-        if ( $dry_run ) {
+        // Hash the file being installed; the checksum is kept in the result
+        // (and so in the batch manifest) and in the log entry.
+        $verifier = new BPIChecksumVerifier();
+        $sha256   = $verifier->hashFile( $plugin_data['file_path'] ?? '' );
+        $expected = $verifier->normalize( (string) ( $plugin_data['expected_sha256'] ?? '' ) );
+        if ( '' !== $sha256 ) {
+            $result['sha256']  = $sha256;
+            $log_ctx['sha256'] = $sha256;
+        }
+
+        // The findings are not taken from the request: scan the queued file again.
+        $security_findings = $this->getBlockingSecurityFindings( $plugin_data );
+
+        if ( BPIChecksumVerifier::STATUS_MISMATCH === $verifier->verify( $sha256, $expected ) ) {
+            $result = $this->rejectChecksumMismatch( $result, $expected, $log_ctx, $dry_run );
+        } elseif ( ! empty( $security_findings ) ) {
+            $result = $this->blockInsecurePlugin( $result, $security_findings, $log_ctx, $dry_run );
+        } elseif ( $dry_run ) {
             $result = $this->simulateDryRun( $plugin_data, $result, $log_ctx );
         } else {
             $result = $this->executePluginOperation( $plugin_data, $result, $log_ctx );
@@ -247,6 +343,10 @@ class BPIPluginProcessor {
     public function registerAjaxHandler(): void {
         add_action( 'wp_ajax_bpi_process', array( $this, 'handleAjaxProcess' ) );
         add_action( 'wp_ajax_bpi_dry_run', array( $this, 'handleAjaxDryRun' ) );
+        add_action( 'wp_ajax_bpi_process_start', array( $this, 'handleAjaxProcessStart' ) );
+        add_action( 'wp_ajax_bpi_process_step', array( $this, 'handleAjaxProcessStep' ) );
+        add_action( 'wp_ajax_bpi_batch_status', array( $this, 'handleAjaxBatchStatus' ) );
+        add_action( 'wp_ajax_bpi_discard_batch', array( $this, 'handleAjaxDiscardBatch' ) );
     }
 
     /**
@@ -258,20 +358,7 @@ class BPIPluginProcessor {
      * @since 1.0.0
      */
     public function handleAjaxProcess(): void {
-        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( wp_unslash( $_POST['_wpnonce'] ), 'bpi_process' ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'Security verification failed. Please refresh the page and try again.', 'bulk-plugin-installer' ) ),
-                403
-            );
-            return;
-        }
-
-        $required_cap = $this->getRequiredCapability();
-        if ( ! current_user_can( $required_cap ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'You do not have permission to install plugins.', 'bulk-plugin-installer' ) ),
-                403
-            );
+        if ( ! $this->verifyAjaxRequest( 'bpi_process' ) ) {
             return;
         }
 
@@ -288,39 +375,8 @@ class BPIPluginProcessor {
         // Sanitize and validate each plugin entry.
         $selected = $this->sanitizeSelectedPlugins( $selected );
 
-        $results = $this->processBatch( $selected, $dry_run );
-        $summary = $this->getBatchSummary();
-
-        // Record batch manifest for rollback (skip for dry runs).
-        if ( ! $dry_run && null !== $this->batchRollbackManager ) {
-            $this->batchRollbackManager->recordBatch( $this->batchId, array(
-                'batch_id'  => $this->batchId,
-                'user_id'   => get_current_user_id(),
-                'timestamp' => current_time( 'mysql' ),
-                'plugins'   => $results,
-                'summary'   => $summary,
-            ) );
-        }
-
-        // Send notification email after batch completion (skip for dry runs).
-        if ( ! $dry_run && null !== $this->notificationManager ) {
-            $this->notificationManager->sendBatchEmail( array(
-                'timestamp' => current_time( 'mysql' ),
-                'user_id'   => get_current_user_id(),
-                'plugins'   => $results,
-                'summary'   => $summary,
-            ) );
-            $this->notificationManager->queueAdminNotice(
-                sprintf(
-                    /* translators: %1$d: total count, %2$d: success count, %3$d: failure count */
-                    __( 'Bulk operation complete: %1$d plugins processed (%2$d succeeded, %3$d failed).', 'bulk-plugin-installer' ),
-                    $summary['total'] ?? 0,
-                    ( $summary['installed'] ?? 0 ) + ( $summary['updated'] ?? 0 ),
-                    $summary['failed'] ?? 0
-                ),
-                ( $summary['failed'] ?? 0 ) > 0 ? 'warning' : 'success'
-            );
-        }
+        $results = $this->processBatch( $selected, $dry_run, ! empty( $_POST['maintenance_mode'] ) );
+        $summary = $this->finalizeBatch( $dry_run );
 
         wp_send_json_success(
             array(
@@ -342,20 +398,7 @@ class BPIPluginProcessor {
      * @since 1.0.0
      */
     public function handleAjaxDryRun(): void {
-        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( wp_unslash( $_POST['_wpnonce'] ), 'bpi_process' ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'Security verification failed. Please refresh the page and try again.', 'bulk-plugin-installer' ) ),
-                403
-            );
-            return;
-        }
-
-        $required_cap = $this->getRequiredCapability();
-        if ( ! current_user_can( $required_cap ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'You do not have permission to install plugins.', 'bulk-plugin-installer' ) ),
-                403
-            );
+        if ( ! $this->verifyAjaxRequest( 'bpi_process' ) ) {
             return;
         }
 
@@ -385,6 +428,297 @@ class BPIPluginProcessor {
         );
     }
 
+    /**
+     * AJAX handler for wp_ajax_bpi_process_start.
+     *
+     * See startBatch(). The client then calls `bpi_process_step` once per
+     * plugin.
+     *
+     * @since 1.1.0
+     */
+    public function handleAjaxProcessStart(): void {
+        if ( ! $this->verifyAjaxRequest( 'bpi_process' ) ) {
+            return;
+        }
+
+        $selected = isset( $_POST['selected_plugins'] ) ? wp_unslash( $_POST['selected_plugins'] ) : array();
+
+        $this->sendJsonResult( $this->startBatch( is_array( $selected ) ? $selected : array(), ! empty( $_POST['dry_run'] ), ! empty( $_POST['maintenance_mode'] ) ) );
+    }
+
+    /**
+     * AJAX handler for wp_ajax_bpi_process_step.
+     *
+     * See stepBatch().
+     *
+     * @since 1.1.0
+     */
+    public function handleAjaxProcessStep(): void {
+        if ( ! $this->verifyAjaxRequest( 'bpi_process' ) ) {
+            return;
+        }
+
+        $this->sendJsonResult( $this->stepBatch( $this->getRequestedBatchId() ) );
+    }
+
+    /**
+     * AJAX handler for wp_ajax_bpi_batch_status.
+     *
+     * See getBatchStatus().
+     *
+     * @since 1.1.0
+     */
+    public function handleAjaxBatchStatus(): void {
+        if ( ! $this->verifyAjaxRequest( 'bpi_process' ) ) {
+            return;
+        }
+
+        $this->sendJsonResult( $this->getBatchStatus( $this->getRequestedBatchId() ) );
+    }
+
+    /**
+     * AJAX handler for wp_ajax_bpi_discard_batch.
+     *
+     * See discardBatch().
+     *
+     * @since 1.1.0
+     */
+    public function handleAjaxDiscardBatch(): void {
+        if ( ! $this->verifyAjaxRequest( 'bpi_process' ) ) {
+            return;
+        }
+
+        $this->sendJsonResult( $this->discardBatch( $this->getRequestedBatchId() ) );
+    }
+
+    /**
+     * Start a step-wise batch.
+     *
+     * Validates the selection, orders it so that dependencies come first,
+     * assigns a batch ID and records the pending plugins with the progress
+     * tracker. The batch is then processed one plugin at a time through
+     * stepBatch().
+     *
+     * With `$maintenance`, the maintenance page is shown from now until the
+     * last step, or until the batch is discarded or stops making progress.
+     *
+     * @since 1.1.0
+     *
+     * @param array $selected    Selected plugin entries, unsanitized.
+     * @param bool  $dry_run     Whether to simulate the batch.
+     * @param bool  $maintenance Whether to show the maintenance page while the batch runs.
+     * @return array|\WP_Error Progress response, or WP_Error with an HTTP 'status'.
+     */
+    public function startBatch( array $selected, bool $dry_run, bool $maintenance = false ): array|\WP_Error {
+        if ( empty( $selected ) ) {
+            return new \WP_Error( 'bpi_no_selection', __( 'No plugins selected for processing.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
+        }
+
+        $selected      = ( new BPICompatibilityChecker() )->sortByDependencies( $this->sanitizeSelectedPlugins( $selected ) );
+        $this->batchId = 'bpi_' . wp_generate_uuid4();
+        $maintenance   = $maintenance && ! $dry_run;
+        $state         = $this->getProgressTracker()->start( $this->batchId, $selected, $dry_run, $maintenance );
+
+        if ( $maintenance ) {
+            $this->getMaintenanceMode()->enable( $this->batchId );
+        }
+
+        do_action( 'bpi_before_process_batch', $selected, $dry_run );
+
+        return $this->getProgressTracker()->toResponse( $state );
+    }
+
+    /**
+     * Process the next pending plugin of a step-wise batch.
+     *
+     * When the last plugin has been processed, the batch is finalized
+     * (manifest recorded, notifications sent) and the full results and
+     * summary are returned.
+     *
+     * Because progress is persisted after every plugin, a batch can be resumed
+     * after a reload or a timed-out request. A plugin left in the installing
+     * state is reported as busy while its request may still be running, and
+     * marked as interrupted (failed) once that request must have died.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id Batch ID.
+     * @return array|\WP_Error Step response, or WP_Error with an HTTP 'status'.
+     */
+    public function stepBatch( string $batch_id ): array|\WP_Error {
+        $tracker = $this->getProgressTracker();
+        $state   = $this->loadBatchState( $batch_id );
+        if ( is_wp_error( $state ) ) {
+            return $state;
+        }
+
+        $this->batchId = $state['batch_id'];
+        $dry_run       = ! empty( $state['dry_run'] );
+        $maintenance   = ! empty( $state['maintenance'] );
+        $interrupted   = null;
+
+        $running = $tracker->getRunningIndex( $state );
+        if ( null !== $running ) {
+            if ( ! $tracker->isStale( $state['plugins'][ $running ] ) ) {
+                return array(
+                    'batch_id' => $this->batchId,
+                    'index'    => $running,
+                    'busy'     => true,
+                    'done'     => false,
+                );
+            }
+
+            $interrupted = $this->buildInterruptedResult( $state['plugins'][ $running ]['data'] );
+            $state       = $tracker->recordResult( $this->batchId, $running, $interrupted );
+        }
+
+        $index  = $tracker->getNextIndex( $state );
+        $result = null;
+
+        if ( null !== $index ) {
+            // Earlier results tell whether a dependency failed in this batch.
+            $this->results = $tracker->getResults( $state );
+
+            if ( $maintenance ) {
+                $this->getMaintenanceMode()->enable( $this->batchId );
+            }
+
+            // Claim the plugin before its checksum and scan run, so a retried step cannot process it again.
+            $tracker->markInstalling( $this->batchId, $index );
+
+            $result = $this->processPlugin( $state['plugins'][ $index ]['data'], $dry_run );
+            $state  = $tracker->recordResult( $this->batchId, $index, $result );
+        }
+
+        $response = array(
+            'batch_id'    => $this->batchId,
+            'index'       => $index,
+            'result'      => $result,
+            'interrupted' => $interrupted,
+            'elapsed'     => null !== $index ? $tracker->getElapsed( $state['plugins'][ $index ] ) : null,
+            'done'        => null === $tracker->getNextIndex( $state ),
+        );
+
+        if ( $response['done'] ) {
+            $this->results = $tracker->getResults( $state );
+
+            if ( 'complete' !== ( $state['status'] ?? '' ) ) {
+                try {
+                    if ( ! $dry_run ) {
+                        $this->checkBatchHealth();
+
+                        // Keep plugins rolled back by the batch health check in sync.
+                        foreach ( $this->results as $result_index => $processed ) {
+                            if ( 'failed' === ( $processed['health_check'] ?? '' ) ) {
+                                $tracker->recordResult( $this->batchId, $result_index, $processed );
+                            }
+                        }
+                    }
+                } finally {
+                    if ( $maintenance ) {
+                        $this->getMaintenanceMode()->disable( $this->batchId );
+                    }
+                }
+
+                do_action( 'bpi_after_process_batch', $this->results, $dry_run );
+                $this->finalizeBatch( $dry_run );
+                $tracker->complete( $this->batchId );
+            }
+
+            $response['results']    = $this->results;
+            $response['summary']    = $this->getBatchSummary();
+            $response['is_dry_run'] = $dry_run;
+        }
+
+        return $response;
+    }
+
+    /**
+     * Get the live progress of a batch.
+     *
+     * Returns each plugin's status, current stage and elapsed time. Intended
+     * to be polled while a step is running.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id Batch ID.
+     * @return array|\WP_Error Progress response, or WP_Error with an HTTP 'status'.
+     */
+    public function getBatchStatus( string $batch_id ): array|\WP_Error {
+        $state = $this->loadBatchState( $batch_id );
+        if ( is_wp_error( $state ) ) {
+            return $state;
+        }
+
+        return $this->getProgressTracker()->toResponse( $state );
+    }
+
+    /**
+     * Discard an unfinished step-wise batch.
+     *
+     * The batch is no longer offered for resumption. Plugins already
+     * processed are left as they are, and its maintenance page is removed.
+     *
+     * @since 1.1.0
+     *
+     * @param string $batch_id Batch ID.
+     * @return array|\WP_Error Message, or WP_Error with an HTTP 'status'.
+     */
+    public function discardBatch( string $batch_id ): array|\WP_Error {
+        $state = $this->loadBatchState( $batch_id );
+        if ( is_wp_error( $state ) ) {
+            return $state;
+        }
+
+        $this->getProgressTracker()->delete( $state['batch_id'] );
+        $this->getMaintenanceMode()->disable( $state['batch_id'] );
+
+        return array( 'message' => __( 'The unfinished batch was discarded.', 'bulk-plugin-installer' ) );
+    }
+
+    /**
+     * Sanitize a selection for a batch that runs later.
+     *
+     * Server paths and expected checksums are taken from the current user's
+     * queue now, because the queue may be gone by the time the batch runs.
+     *
+     * @since 1.1.0
+     *
+     * @param array $selected Selected plugin entries, unsanitized.
+     * @return array Sanitized plugin data for runPreparedBatch().
+     */
+    public function prepareSelection( array $selected ): array {
+        return $this->sanitizeSelectedPlugins( $selected );
+    }
+
+    /**
+     * Process a prepared selection and finalize the batch.
+     *
+     * Used for batches that run without a browser, such as scheduled
+     * batches on WP-Cron: the manifest is recorded for rollback and the
+     * batch email is sent as for a batch started from the preview screen.
+     *
+     * @since 1.1.0
+     *
+     * @param array $plugins     Plugin data from prepareSelection().
+     * @param bool  $maintenance Whether to show the maintenance page while the batch runs.
+     * @return array {
+     *     @type string $batch_id Batch ID.
+     *     @type array  $results  Per-plugin results.
+     *     @type array  $summary  Batch summary.
+     * }
+     */
+    public function runPreparedBatch( array $plugins, bool $maintenance = false ): array {
+        $results = $this->processBatch( $plugins, false, $maintenance );
+        $summary = $this->finalizeBatch( false );
+
+        return array(
+            'batch_id' => $this->batchId,
+            'results'  => $results,
+            'summary'  => $summary,
+        );
+    }
+
     // ------------------------------------------------------------------
     // Protected methods (overridable for testing)
     // ------------------------------------------------------------------
@@ -455,6 +789,31 @@ class BPIPluginProcessor {
         return activate_plugin( $plugin_file, '', $network_wide );
     }
 
+    /**
+     * Activate a plugin on a single site of a multisite network.
+     *
+     * @since 1.1.0
+     *
+     * @param string $plugin_file Plugin file path.
+     * @param int    $site_id     Site ID.
+     * @return \WP_Error|null WP_Error on failure, null on success.
+     */
+    protected function wpActivatePluginOnSite( string $plugin_file, int $site_id ): \WP_Error|null {
+        switch_to_blog( $site_id );
+        $result = activate_plugin( $plugin_file );
+        restore_current_blog();
+        return $result;
+    }
+
+    /**
+     * Silently deactivate a plugin via WordPress API.
+     *
+     * @param string $plugin_file Plugin file path.
+     */
+    protected function wpDeactivatePlugin( string $plugin_file ): void {
+        deactivate_plugins( $plugin_file, true );
+    }
+
     // ------------------------------------------------------------------
     // Private helpers
     // ------------------------------------------------------------------
@@ -497,6 +856,7 @@ class BPIPluginProcessor {
 
         // For updates: create a backup before proceeding.
         if ( 'update' === $action ) {
+            $this->reportStage( $slug, 'backing_up' );
             $backup_path = $this->rollback->createBackup( $this->getPluginDir( $slug ) );
 
             if ( is_wp_error( $backup_path ) ) {
@@ -512,26 +872,44 @@ class BPIPluginProcessor {
         }
 
         // Perform the install or update.
+        $this->reportStage( $slug, 'extracting' );
         $install_result = $this->runUpgrader( $action, $file_path, $plugin_file );
 
         if ( is_wp_error( $install_result ) || true !== $install_result ) {
             return $this->handleInstallFailure( $install_result, $result, $backup_path, $log_ctx );
         }
 
-        // Success — clean up backup if it was an update.
-        if ( 'update' === $action && '' !== $backup_path ) {
-            $this->rollback->cleanupBackup( $backup_path );
-        }
-
-        $result['status']     = 'success';
-        $result['messages'][] = sprintf(
+        $result['status']      = 'success';
+        $result['plugin_file'] = $plugin_file;
+        $result['messages'][]  = sprintf(
             __( 'Successfully %1$s "%2$s".', 'bulk-plugin-installer' ),
             'update' === $action ? 'updated' : 'installed',
             $plugin_name
         );
 
+        if ( '' !== $backup_path ) {
+            $result['backup_path'] = $backup_path;
+        }
+
         $this->handleActivation( $plugin_data, $plugin_file, $result );
 
+        // Probe the site now that the plugin is active.
+        if ( 'plugin' === $this->getHealthCheckMode() && ! empty( $result['activated'] ) ) {
+            $this->reportStage( $slug, 'checking_health' );
+            $health = $this->getHealthChecker()->check();
+
+            if ( is_wp_error( $health ) ) {
+                return $this->revertUnhealthyPlugin( $result, $health, $log_ctx );
+            }
+        }
+
+        // Keep the backup of an update in the batch manifest so the batch
+        // can still be rolled back; without a manifest, remove it.
+        if ( '' !== $backup_path && null === $this->batchRollbackManager ) {
+            $this->rollback->cleanupBackup( $backup_path );
+            unset( $result['backup_path'] );
+        }
+
         $this->logOperation( $log_ctx + array( 'status' => 'success', 'messages' => $result['messages'] ) );
         return $result;
     }
@@ -548,6 +926,8 @@ class BPIPluginProcessor {
         $action      = $plugin_data['action'] ?? 'install';
         $plugin_name = $plugin_data['plugin_name'] ?? ( $plugin_data['slug'] ?? '' );
 
+        $this->reportStage( $plugin_data['slug'] ?? '', 'simulating' );
+
         // Check compatibility during dry run.
         $requires_php = $plugin_data['requires_php'] ?? '';
         if ( '' !== $requires_php && version_compare( PHP_VERSION, $requires_php, '<' ) ) {
@@ -577,7 +957,14 @@ class BPIPluginProcessor {
             $plugin_name
         );
 
-        if ( $this->shouldActivate( $plugin_data ) ) {
+        if ( $this->shouldActivate( $plugin_data ) && $this->usesSiteActivation( $plugin_data ) ) {
+            $result['messages'][] = sprintf(
+                /* translators: 1: plugin name, 2: number of sites */
+                __( 'Would activate "%1$s" on %2$d site(s) after installation.', 'bulk-plugin-installer' ),
+                $plugin_name,
+                count( $plugin_data['activate_sites'] )
+            );
+        } elseif ( $this->shouldActivate( $plugin_data ) ) {
             $result['messages'][] = sprintf(
                 __( 'Would activate "%s" after installation.', 'bulk-plugin-installer' ),
                 $plugin_name
@@ -616,6 +1003,7 @@ class BPIPluginProcessor {
         $plugin_dir = $this->getPluginDir( $slug );
 
         // Attempt rollback for updates, cleanup for new installs.
+        $this->reportStage( $slug, 'rolling_back' );
         if ( '' !== $backup_path ) {
             $restore_result = $this->rollback->restoreBackup( $backup_path, $plugin_dir );
             $result['rolled_back'] = ! is_wp_error( $restore_result );
@@ -636,10 +1024,12 @@ class BPIPluginProcessor {
      */
     private function handleActivation( array $plugin_data, string $plugin_file, array &$result ): void {
         // For updates: if the plugin is already active, report it as activated
-        // without calling wpActivatePlugin again.
+        // without calling wpActivatePlugin again. Sites chosen for activation
+        // are still activated on.
         $action = $plugin_data['action'] ?? 'install';
-        if ( 'update' === $action && $this->isPluginActive( $plugin_file ) ) {
-            $result['activated'] = true;
+        if ( 'update' === $action && ! $this->usesSiteActivation( $plugin_data ) && $this->isPluginActive( $plugin_file ) ) {
+            $result['activated']         = true;
+            $result['previously_active'] = true;
             return;
         }
 
@@ -647,6 +1037,26 @@ class BPIPluginProcessor {
             return;
         }
 
+        // Do not activate a plugin whose dependency failed in this batch.
+        $failed_dependencies = $this->getFailedDependencies( $plugin_data );
+        if ( ! empty( $failed_dependencies ) ) {
+            $result['failed_dependencies'] = $failed_dependencies;
+            $result['messages'][]          = sprintf(
+                /* translators: 1: plugin name, 2: comma-separated plugin slugs */
+                __( '"%1$s" was not activated because a required plugin failed in this batch: %2$s.', 'bulk-plugin-installer' ),
+                $result['plugin_name'] ?? '',
+                implode( ', ', $failed_dependencies )
+            );
+            return;
+        }
+
+        $this->reportStage( $result['slug'] ?? '', 'activating' );
+
+        if ( $this->usesSiteActivation( $plugin_data ) ) {
+            $this->activateOnSites( $plugin_file, $plugin_data['activate_sites'], $result );
+            return;
+        }
+
         $network_wide = ! empty( $plugin_data['network_activate'] );
         $activate_result = $this->wpActivatePlugin( $plugin_file, $network_wide );
 
@@ -666,6 +1076,430 @@ class BPIPluginProcessor {
     }
 
 
+    /**
+     * Check whether a plugin is to be activated on chosen sites of a network.
+     *
+     * Network activation takes precedence over a site selection.
+     *
+     * @param array $plugin_data Plugin data array.
+     * @return bool True if activate_sites lists sites and network_activate is off.
+     */
+    private function usesSiteActivation( array $plugin_data ): bool {
+        return ! empty( $plugin_data['activate_sites'] ) && empty( $plugin_data['network_activate'] );
+    }
+
+    /**
+     * Activate a plugin on each chosen site of a network.
+     *
+     * @param string $plugin_file Plugin file path.
+     * @param int[]  $site_ids    Site IDs.
+     * @param array  &$result     Result array (modified by reference).
+     */
+    private function activateOnSites( string $plugin_file, array $site_ids, array &$result ): void {
+        $activated = array();
+
+        foreach ( $site_ids as $site_id ) {
+            $activate_result = $this->wpActivatePluginOnSite( $plugin_file, (int) $site_id );
+            if ( is_wp_error( $activate_result ) ) {
+                $result['messages'][] = sprintf(
+                    /* translators: 1: plugin name, 2: site ID, 3: error message */
+                    __( '"%1$s" could not be activated on site %2$d: %3$s', 'bulk-plugin-installer' ),
+                    $result['plugin_name'] ?? '',
+                    (int) $site_id,
+                    $activate_result->get_error_message()
+                );
+            } else {
+                $activated[] = (int) $site_id;
+            }
+        }
+
+        $result['activated_sites'] = $activated;
+        if ( ! empty( $activated ) ) {
+            $result['activated']  = true;
+            $result['messages'][] = sprintf(
+                /* translators: 1: plugin name, 2: number of sites */
+                __( 'Activated "%1$s" on %2$d site(s).', 'bulk-plugin-installer' ),
+                $result['plugin_name'] ?? '',
+                count( $activated )
+            );
+        }
+    }
+
+    /**
+     * Get the dependencies of a plugin that failed earlier in the current batch.
+     *
+     * @param array $plugin_data Plugin data array.
+     * @return string[] Slugs of the failed dependencies.
+     */
+    private function getFailedDependencies( array $plugin_data ): array {
+        $required = ( new BPICompatibilityChecker() )->getRequiredPlugins( $plugin_data );
+        if ( empty( $required ) ) {
+            return array();
+        }
+
+        $failed = array();
+        foreach ( $this->results as $processed ) {
+            $slug = $processed['slug'] ?? '';
+            if ( 'success' !== ( $processed['status'] ?? '' ) && in_array( $slug, $required, true ) ) {
+                $failed[] = $slug;
+            }
+        }
+
+        return array_values( array_unique( $failed ) );
+    }
+
+    /**
+     * Report the stage a plugin has entered.
+     *
+     * Updates the progress tracker (when one is set) so polling clients can
+     * show what the server is actually doing, and fires `bpi_plugin_stage`.
+     *
+     * @param string $slug  Plugin slug.
+     * @param string $stage Stage name.
+     */
+    private function reportStage( string $slug, string $stage ): void {
+        if ( null !== $this->progressTracker && '' !== $this->batchId ) {
+            $this->progressTracker->setStage( $this->batchId, $slug, $stage );
+        }
+
+        do_action( 'bpi_plugin_stage', $slug, $stage, $this->batchId );
+    }
+
+    /**
+     * Build the failed result for a plugin whose processing request was interrupted.
+     *
+     * The plugin may be partially installed, so nothing is cleaned up
+     * automatically; the message asks the admin to verify it.
+     *
+     * @param array $plugin_data Plugin data array.
+     * @return array Result array.
+     */
+    private function buildInterruptedResult( array $plugin_data ): array {
+        $slug        = $plugin_data['slug'] ?? '';
+        $plugin_name = $plugin_data['plugin_name'] ?? $slug;
+        $action      = $plugin_data['action'] ?? 'install';
+
+        $result = array(
+            'slug'        => $slug,
+            'plugin_name' => $plugin_name,
+            'action'      => $action,
+            'status'      => 'failed',
+            'messages'    => array(
+                sprintf(
+                    /* translators: %s: plugin name */
+                    __( 'Processing of "%s" was interrupted (the request timed out or the page was closed). Please verify the plugin on the Plugins screen.', 'bulk-plugin-installer' ),
+                    $plugin_name
+                ),
+            ),
+            'activated'   => false,
+            'rolled_back' => false,
+        );
+
+        $this->logOperation( array(
+            'action'      => $action,
+            'slug'        => $slug,
+            'plugin_name' => $plugin_name,
+            'old_version' => $plugin_data['installed_version'] ?? '',
+            'new_version' => $plugin_data['plugin_version'] ?? '',
+            'status'      => 'failed',
+            'messages'    => $result['messages'],
+        ) );
+
+        return $result;
+    }
+
+    /**
+     * Roll back a plugin that failed the post-activation health check.
+     *
+     * An update is restored from its backup and a new install is
+     * deactivated and removed. A plugin that was active before its update
+     * stays active on the restored version.
+     *
+     * @param array     $result  Successful result of the plugin.
+     * @param \WP_Error $error   Health check failure.
+     * @param array     $log_ctx Logging context.
+     * @return array Failed result array.
+     */
+    private function revertUnhealthyPlugin( array $result, \WP_Error $error, array $log_ctx ): array {
+        $slug        = $result['slug'] ?? '';
+        $plugin_file = $result['plugin_file'] ?? $slug . '/' . $slug . '.php';
+        $backup_path = $result['backup_path'] ?? '';
+        $plugin_dir  = $this->getPluginDir( $slug );
+
+        $this->reportStage( $slug, 'rolling_back' );
+
+        $result['status']       = 'failed';
+        $result['health_check'] = 'failed';
+
+        if ( empty( $result['previously_active'] ) ) {
+            $this->wpDeactivatePlugin( $plugin_file );
+            $result['activated'] = false;
+        }
+
+        if ( 'update' === ( $result['action'] ?? '' ) ) {
+            $restore_result        = '' !== $backup_path
+                ? $this->rollback->restoreBackup( $backup_path, $plugin_dir )
+                : new \WP_Error( 'no_backup', __( 'No backup path available.', 'bulk-plugin-installer' ) );
+            $result['rolled_back'] = ! is_wp_error( $restore_result );
+
+            if ( $result['rolled_back'] ) {
+                $this->rollback->cleanupBackup( $backup_path );
+                unset( $result['backup_path'] );
+            }
+        } else {
+            $this->rollback->removePartialInstall( $plugin_dir );
+            $result['rolled_back'] = true;
+        }
+
+        if ( $result['rolled_back'] ) {
+            $result['messages'][] = sprintf(
+                /* translators: %s: health check error */
+                __( 'Rolled back: site health check failed. %s', 'bulk-plugin-installer' ),
+                $error->get_error_message()
+            );
+        } else {
+            $result['messages'][] = sprintf(
+                /* translators: 1: health check error, 2: restore error */
+                __( 'Site health check failed. %1$s The previous version could not be restored: %2$s', 'bulk-plugin-installer' ),
+                $error->get_error_message(),
+                $restore_result->get_error_message()
+            );
+        }
+
+        $this->logOperation( $log_ctx + array( 'status' => 'failed', 'messages' => $result['messages'] ) );
+        return $result;
+    }
+
+    /**
+     * Probe the site once after a batch and roll back on failure.
+     *
+     * Only runs in the 'batch' health check mode, and only when the batch
+     * activated a plugin. As the culprit is unknown, every plugin the batch
+     * left active is rolled back.
+     */
+    private function checkBatchHealth(): void {
+        if ( 'batch' !== $this->getHealthCheckMode() ) {
+            return;
+        }
+
+        $activated = array_keys( array_filter( $this->results, function ( $result ) {
+            return 'success' === ( $result['status'] ?? '' ) && ! empty( $result['activated'] );
+        } ) );
+
+        if ( empty( $activated ) ) {
+            return;
+        }
+
+        $health = $this->getHealthChecker()->check();
+        if ( ! is_wp_error( $health ) ) {
+            return;
+        }
+
+        foreach ( $activated as $index ) {
+            $result                  = $this->results[ $index ];
+            $this->results[ $index ] = $this->revertUnhealthyPlugin( $result, $health, array(
+                'action'      => $result['action'] ?? 'install',
+                'slug'        => $result['slug'] ?? '',
+                'plugin_name' => $result['plugin_name'] ?? '',
+            ) );
+        }
+    }
+
+    /**
+     * Fail a plugin whose ZIP does not match its expected checksum.
+     *
+     * @param array  $result   Result array to populate.
+     * @param string $expected Expected SHA-256 checksum.
+     * @param array  $log_ctx  Logging context.
+     * @param bool   $dry_run  Whether this is a dry run.
+     * @return array Populated result array.
+     */
+    private function rejectChecksumMismatch( array $result, string $expected, array $log_ctx, bool $dry_run ): array {
+        $result['status']          = 'failed';
+        $result['expected_sha256'] = $expected;
+        $result['messages'][]      = sprintf(
+            /* translators: 1: plugin name, 2: expected checksum, 3: actual checksum */
+            __( 'The ZIP of "%1$s" does not match the expected SHA-256 checksum (expected %2$s, got %3$s). It may have been modified.', 'bulk-plugin-installer' ),
+            $result['plugin_name'],
+            $expected,
+            '' !== ( $result['sha256'] ?? '' ) ? $result['sha256'] : __( 'unreadable file', 'bulk-plugin-installer' )
+        );
+
+        if ( $dry_run ) {
+            $result['is_dry_run'] = true;
+        }
+        $this->logOperation( $log_ctx + array( 'status' => 'failed', 'messages' => $result['messages'], 'is_dry_run' => $dry_run ) );
+
+        return $result;
+    }
+
+    /**
+     * Get the high-severity security findings that block a plugin.
+     *
+     * @param array $plugin_data Plugin data array.
+     * @return array[] Blocking findings; empty unless the scan is set to block.
+     */
+    private function getBlockingSecurityFindings( array $plugin_data ): array {
+        $file_path = $plugin_data['file_path'] ?? '';
+        $scanner   = new BPISecurityScanner();
+        if ( '' === $file_path || 'block' !== $scanner->getMode() ) {
+            return array();
+        }
+
+        return array_values( array_filter( $scanner->scan( $file_path ), function ( $finding ) {
+            return BPISecurityScanner::SEVERITY_HIGH === $finding['severity'];
+        } ) );
+    }
+
+    /**
+     * Fail a plugin that the security scan blocks.
+     *
+     * @param array   $result   Result array to populate.
+     * @param array[] $findings Blocking findings.
+     * @param array   $log_ctx  Logging context.
+     * @param bool    $dry_run  Whether this is a dry run.
+     * @return array Populated result array.
+     */
+    private function blockInsecurePlugin( array $result, array $findings, array $log_ctx, bool $dry_run ): array {
+        $result['status']            = 'failed';
+        $result['security_findings'] = $findings;
+        $result['messages'][]        = sprintf(
+            /* translators: %s: plugin name */
+            __( 'Installation of "%s" was blocked by the security scan.', 'bulk-plugin-installer' ),
+            $result['plugin_name']
+        );
+        foreach ( $findings as $finding ) {
+            $location = $finding['line'] > 0 ? $finding['file'] . ':' . $finding['line'] : $finding['file'];
+            $result['messages'][] = $location . ' ' . $finding['message'];
+        }
+
+        if ( $dry_run ) {
+            $result['is_dry_run'] = true;
+        }
+        $this->logOperation( $log_ctx + array( 'status' => 'failed', 'messages' => $result['messages'], 'is_dry_run' => $dry_run ) );
+
+        return $result;
+    }
+
+    /**
+     * Get the configured post-activation health check mode.
+     *
+     * @return string 'off', 'plugin' or 'batch'.
+     */
+    private function getHealthCheckMode(): string {
+        return (string) $this->settings->getOption( 'bpi_health_check' );
+    }
+
+    /**
+     * Get the health checker, creating a default one if none was set.
+     *
+     * @return BPIHealthChecker
+     */
+    private function getHealthChecker(): BPIHealthChecker {
+        if ( null === $this->healthChecker ) {
+            $this->healthChecker = new BPIHealthChecker();
+            $this->healthChecker->setMaintenanceMode( $this->getMaintenanceMode() );
+        }
+        return $this->healthChecker;
+    }
+
+    /**
+     * Get the maintenance mode, creating a default one if none was set.
+     *
+     * @return BPIMaintenanceMode
+     */
+    private function getMaintenanceMode(): BPIMaintenanceMode {
+        return $this->maintenanceMode ??= new BPIMaintenanceMode( $this->settings );
+    }
+
+    /**
+     * Record the batch manifest and send notifications for a finished batch.
+     *
+     * Both steps are skipped for dry runs.
+     *
+     * @param bool $dry_run Whether the batch was a dry run.
+     * @return array Batch summary.
+     */
+    private function finalizeBatch( bool $dry_run ): array {
+        $results = $this->results;
+        $summary = $this->getBatchSummary();
+
+        // Record batch manifest for rollback (skip for dry runs).
+        if ( ! $dry_run && null !== $this->batchRollbackManager ) {
+            $this->batchRollbackManager->recordBatch( $this->batchId, array(
+                'batch_id'  => $this->batchId,
+                'user_id'   => get_current_user_id(),
+                'timestamp' => current_time( 'mysql' ),
+                'plugins'   => $results,
+                'summary'   => $summary,
+            ) );
+        }
+
+        // Send notification email after batch completion (skip for dry runs).
+        if ( ! $dry_run && null !== $this->notificationManager ) {
+            $this->notificationManager->sendBatchEmail( array(
+                'timestamp' => current_time( 'mysql' ),
+                'user_id'   => get_current_user_id(),
+                'plugins'   => $results,
+                'summary'   => $summary,
+            ) );
+            $this->notificationManager->queueAdminNotice(
+                sprintf(
+                    /* translators: %1$d: total count, %2$d: success count, %3$d: failure count */
+                    __( 'Bulk operation complete: %1$d plugins processed (%2$d succeeded, %3$d failed).', 'bulk-plugin-installer' ),
+                    $summary['total'] ?? 0,
+                    ( $summary['installed'] ?? 0 ) + ( $summary['updated'] ?? 0 ),
+                    $summary['failed'] ?? 0
+                ),
+                ( $summary['failed'] ?? 0 ) > 0 ? 'warning' : 'success'
+            );
+        }
+
+        return $summary;
+    }
+
+    /**
+     * Get the batch ID of the current AJAX request.
+     *
+     * @return string Batch ID, or an empty string if none was sent.
+     */
+    private function getRequestedBatchId(): string {
+        return isset( $_POST['batch_id'] ) ? sanitize_text_field( wp_unslash( $_POST['batch_id'] ) ) : '';
+    }
+
+    /**
+     * Load the progress state of a batch owned by the current user.
+     *
+     * @param string $batch_id Batch ID.
+     * @return array|\WP_Error Progress state, or WP_Error with an HTTP 'status'
+     *                         when the batch ID is missing or the batch is
+     *                         unknown, expired, or owned by another user.
+     */
+    private function loadBatchState( string $batch_id ): array|\WP_Error {
+        if ( '' === $batch_id ) {
+            return new \WP_Error( 'bpi_missing_batch_id', __( 'No batch ID provided.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
+        }
+
+        $state = $this->getProgressTracker()->getForCurrentUser( $batch_id );
+
+        if ( empty( $state ) ) {
+            return new \WP_Error( 'bpi_batch_not_found', __( 'Batch not found or has expired.', 'bulk-plugin-installer' ), array( 'status' => 404 ) );
+        }
+
+        return $state;
+    }
+
+    /**
+     * Get the progress tracker, creating a default one if none was set.
+     *
+     * @return BPIBatchProgressTracker
+     */
+    private function getProgressTracker(): BPIBatchProgressTracker {
+        if ( null === $this->progressTracker ) {
+            $this->progressTracker = new BPIBatchProgressTracker();
+        }
+        return $this->progressTracker;
+    }
 
     /**
      * Log an operation via the Log_Manager.
@@ -681,9 +1515,15 @@ class BPIPluginProcessor {
      *     @type string $status      Outcome status.
      *     @type array  $messages    Messages array.
      *     @type bool   $is_dry_run  Whether this is a dry run operation.
+     *     @type string $sha256      SHA-256 checksum of the installed ZIP, appended to the message.
      * }
      */
     private function logOperation( array $context ): void {
+        $messages = $context['messages'] ?? array();
+        if ( ! empty( $context['sha256'] ) ) {
+            $messages[] = 'SHA-256: ' . $context['sha256'];
+        }
+
         $this->logger->log(
             $context['action'] ?? '',
             array(
@@ -693,7 +1533,7 @@ class BPIPluginProcessor {
                 'from_version' => $context['old_version'] ?? '',
                 'to_version'   => $context['new_version'] ?? '',
                 'status'       => $context['status'] ?? '',
-                'message'      => implode( ' ', $context['messages'] ?? array() ),
+                'message'      => implode( ' ', $messages ),
                 'is_dry_run'   => $context['is_dry_run'] ?? false,
             )
         );
@@ -708,8 +1548,26 @@ class BPIPluginProcessor {
     private function sanitizeSelectedPlugins( array $selected ): array {
         $upload_dir = wp_upload_dir();
         $bpi_tmp    = trailingslashit( $upload_dir['basedir'] ) . 'bpi-tmp/';
+        $checker    = new BPICompatibilityChecker();
+        $verifier   = new BPIChecksumVerifier();
+
+        // The preview does not expose server paths or queued checksums:
+        // take them from the queue when the request leaves them out.
+        $queued = array();
+        foreach ( ( new BPIQueueManager() )->getAll() as $item ) {
+            $queued[ $item['slug'] ?? '' ] = $item;
+        }
+
+        return array_map( function ( $p ) use ( $bpi_tmp, $checker, $verifier, $queued ) {
+            $queued_item = $queued[ sanitize_text_field( $p['slug'] ?? '' ) ] ?? array();
+            $expected    = ! empty( $p['expected_sha256'] ) ? (string) $p['expected_sha256'] : (string) ( $queued_item['expected_sha256'] ?? '' );
+
+            // Sites to activate on apply to multisite networks only.
+            $activate_sites = array();
+            if ( is_multisite() && ! empty( $p['activate_sites'] ) ) {
+                $activate_sites = array_values( array_unique( array_filter( array_map( 'absint', (array) $p['activate_sites'] ) ) ) );
+            }
 
-        return array_map( function ( $p ) use ( $bpi_tmp ) {
             $sanitized = array(
                 'slug'              => sanitize_text_field( $p['slug'] ?? '' ),
                 'plugin_name'       => sanitize_text_field( $p['plugin_name'] ?? '' ),
@@ -719,8 +1577,11 @@ class BPIPluginProcessor {
                 'plugin_file'       => sanitize_text_field( $p['plugin_file'] ?? '' ),
                 'activate'          => ! empty( $p['activate'] ),
                 'network_activate'  => ! empty( $p['network_activate'] ),
+                'activate_sites'    => $activate_sites,
+                'requires_plugins'  => $checker->getRequiredPlugins( $p ),
+                'expected_sha256'   => $verifier->normalize( $expected ),
             );
-            $file_path = $p['file_path'] ?? '';
+            $file_path = ! empty( $p['file_path'] ) ? $p['file_path'] : ( $queued_item['file_path'] ?? '' );
             if ( '' !== $file_path ) {
                 $real_path = realpath( $file_path );
                 $real_tmp  = realpath( $bpi_tmp );
@@ -736,19 +1597,4 @@ class BPIPluginProcessor {
         }, $selected );
     }
 
-    /**
-     * Determine the required capability for the current context.
-     *
-     * In Network Admin context (multisite), requires `manage_network_plugins`.
-     * On single sites or individual sites within multisite, requires `install_plugins`.
-     *
-     * @return string The required capability name.
-     */
-    private function getRequiredCapability(): string {
-        if ( function_exists( 'is_multisite' ) && is_multisite()
-            && function_exists( 'is_network_admin' ) && is_network_admin() ) {
-            return 'manage_network_plugins';
-        }
-        return 'install_plugins';
-    }
 }
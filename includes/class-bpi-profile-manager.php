@@ -21,6 +21,8 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class BPIProfileManager {
 
+    use BPIAjaxResponder;
+
     /**
      * Option key for storing profiles.
      *
@@ -28,11 +30,6 @@ class BPIProfileManager {
      */
     const OPTION_KEY = 'bpi_profiles';
 
-    /**
-     * Security verification failure message.
-     */
-    private const MSG_SECURITY_FAILED = 'Security verification failed.';
-
     /**
      * Permission denied message.
      */
@@ -139,21 +136,114 @@ class BPIProfileManager {
         return true;
     }
 
+    /**
+     * Replace the name and plugin list of a profile.
+     *
+     * The ID and creation date are kept; `updated_at` records the change.
+     *
+     * @since 1.1.0
+     *
+     * @param int    $id      Profile ID.
+     * @param string $name    New profile name.
+     * @param array  $plugins New plugin list, in install order.
+     * @return bool True if the profile was updated, false if not found.
+     */
+    public function updateProfile( int $id, string $name, array $plugins ): bool {
+        $profiles = $this->getAllProfiles();
+
+        foreach ( $profiles as $index => $profile ) {
+            if ( isset( $profile['id'] ) && $profile['id'] === $id ) {
+                $profiles[ $index ]['name']       = $name;
+                $profiles[ $index ]['plugins']    = $plugins;
+                $profiles[ $index ]['updated_at'] = gmdate( 'Y-m-d\TH:i:s\Z' );
+                update_option( self::OPTION_KEY, $profiles );
+                return true;
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Validate a plugin list from an import or the profile editor.
+     *
+     * Every entry needs a plugin slug; the pinned version and the expected
+     * SHA-256 checksum are optional. A slug may only appear once.
+     *
+     * @since 1.1.0
+     *
+     * @param array $plugins Raw plugin entries.
+     * @return string[] Error messages, one per invalid entry; empty when valid.
+     */
+    public function validatePlugins( array $plugins ): array {
+        $errors   = array();
+        $seen     = array();
+        $verifier = new BPIChecksumVerifier();
+
+        foreach ( array_values( $plugins ) as $index => $plugin ) {
+            $position = $index + 1;
+            $slug     = is_array( $plugin ) && is_scalar( $plugin['slug'] ?? null ) ? (string) $plugin['slug'] : '';
+            $version  = is_array( $plugin ) && is_scalar( $plugin['version'] ?? '' ) ? (string) ( $plugin['version'] ?? '' ) : null;
+            $sha256   = is_array( $plugin ) && is_scalar( $plugin['sha256'] ?? '' ) ? trim( (string) ( $plugin['sha256'] ?? '' ) ) : null;
+
+            if ( ! preg_match( '/^[A-Za-z0-9._-]+$/', $slug ) ) {
+                $errors[] = sprintf(
+                    /* translators: 1: entry position, 2: slug */
+                    __( 'Plugin %1$d: "%2$s" is not a valid plugin slug.', 'bulk-plugin-installer' ),
+                    $position,
+                    $slug
+                );
+            } elseif ( isset( $seen[ $slug ] ) ) {
+                $errors[] = sprintf(
+                    /* translators: 1: entry position, 2: slug */
+                    __( 'Plugin %1$d: "%2$s" is listed more than once.', 'bulk-plugin-installer' ),
+                    $position,
+                    $slug
+                );
+            } elseif ( null === $version || ! preg_match( '/^[0-9A-Za-z.+-]*$/', $version ) ) {
+                $errors[] = sprintf(
+                    /* translators: 1: entry position, 2: slug */
+                    __( 'Plugin %1$d: the version pinned for "%2$s" is not a valid version number.', 'bulk-plugin-installer' ),
+                    $position,
+                    $slug
+                );
+            } elseif ( null === $sha256 || ( '' !== $sha256 && ! preg_match( '/^[a-f0-9]{64}$/i', $sha256 ) ) ) {
+                $errors[] = sprintf(
+                    /* translators: 1: entry position, 2: slug */
+                    __( 'Plugin %1$d: the checksum for "%2$s" is not a SHA-256 hash of 64 hexadecimal characters.', 'bulk-plugin-installer' ),
+                    $position,
+                    $slug
+                );
+            }
+
+            $seen[ $slug ] = true;
+        }
+
+        return $errors;
+    }
+
     /**
      * Export a profile as a JSON string.
      *
      * @since 1.0.0
+     * @since 1.1.0 Added the `$format` parameter.
      *
-     * @param int $id Profile ID.
+     * @param int    $id     Profile ID.
+     * @param string $format 'profile' for the profile JSON, or 'manifest' for a bpi.json manifest.
      * @return string JSON string of the profile, or empty string if not found.
      */
-    public function exportProfile( int $id ): string {
+    public function exportProfile( int $id, string $format = 'profile' ): string {
         $profile = $this->getProfile( $id );
 
         if ( null === $profile ) {
             return '';
         }
 
+        if ( 'manifest' === $format ) {
+            $manifest = new BPIManifest();
+            return $manifest->toJson( $manifest->fromProfile( $profile ) );
+        }
+
         return wp_json_encode( $profile, JSON_PRETTY_PRINT | JSON_UNESCAPED_SLASHES );
     }
 
@@ -164,15 +254,74 @@ class BPIProfileManager {
      * @return array Sanitized plugins array.
      */
     private function sanitizePlugins( array $raw_plugins ): array {
-        return array_map( function ( $p ) {
-            return array(
+        $verifier = new BPIChecksumVerifier();
+
+        return array_map( function ( $p ) use ( $verifier ) {
+            $plugin = array(
                 'slug'    => sanitize_text_field( $p['slug'] ?? '' ),
                 'name'    => sanitize_text_field( $p['name'] ?? '' ),
                 'version' => sanitize_text_field( $p['version'] ?? '' ),
             );
+
+            // The activation choice is optional; without it the preview default applies.
+            if ( isset( $p['activate'] ) ) {
+                $plugin['activate'] = filter_var( $p['activate'], FILTER_VALIDATE_BOOLEAN );
+            }
+
+            // The expected ZIP checksum is optional as well.
+            $sha256 = is_scalar( $p['sha256'] ?? null ) ? $verifier->normalize( (string) $p['sha256'] ) : '';
+            if ( '' !== $sha256 ) {
+                $plugin['sha256'] = $sha256;
+            }
+
+            return $plugin;
         }, $raw_plugins );
     }
 
+    /**
+     * Match a profile's plugins against the upload queue and installed plugins.
+     *
+     * Each plugin gets `queued`, `queued_version`, `installed` and
+     * `installed_version` fields. Plugins that are neither queued nor
+     * installed are listed by slug in `missing`: their ZIPs still have to
+     * be uploaded before the profile can be applied.
+     *
+     * @since 1.1.0
+     *
+     * @param array $profile Profile data.
+     * @return array Profile data with plugin status and a `missing` list.
+     */
+    public function getProfileStatus( array $profile ): array {
+        $queued = array();
+        foreach ( ( new BPIQueueManager() )->getAll() as $item ) {
+            $queued[ $item['slug'] ] = $item['plugin_version'] ?? '';
+        }
+
+        $installed = $this->getInstalledVersions();
+        $plugins   = array();
+        $missing   = array();
+
+        foreach ( $profile['plugins'] ?? array() as $plugin ) {
+            $slug = $plugin['slug'] ?? '';
+
+            $plugin['queued']            = isset( $queued[ $slug ] );
+            $plugin['queued_version']    = $queued[ $slug ] ?? '';
+            $plugin['installed']         = isset( $installed[ $slug ] );
+            $plugin['installed_version'] = $installed[ $slug ] ?? '';
+
+            if ( ! $plugin['queued'] && ! $plugin['installed'] ) {
+                $missing[] = $slug;
+            }
+
+            $plugins[] = $plugin;
+        }
+
+        $profile['plugins'] = $plugins;
+        $profile['missing'] = $missing;
+
+        return $profile;
+    }
+
     /**
      * Import a profile from a JSON string.
      *
@@ -201,7 +350,12 @@ class BPIProfileManager {
             );
         }
 
-        $plugins = $this->sanitizePlugins( $data['plugins'] );
+        $errors = $this->validatePlugins( $data['plugins'] );
+        if ( ! empty( $errors ) ) {
+            return new \WP_Error( 'invalid_plugins', implode( ' ', $errors ), array( 'errors' => $errors ) );
+        }
+
+        $plugins = $this->sanitizePlugins( array_values( $data['plugins'] ) );
 
         return $this->saveProfile(
             sanitize_text_field( $data['name'] ),
@@ -219,176 +373,286 @@ class BPIProfileManager {
         add_action( 'wp_ajax_bpi_import_profile', array( $this, 'handleAjaxImportProfile' ) );
         add_action( 'wp_ajax_bpi_export_profile', array( $this, 'handleAjaxExportProfile' ) );
         add_action( 'wp_ajax_bpi_delete_profile', array( $this, 'handleAjaxDeleteProfile' ) );
+        add_action( 'wp_ajax_bpi_list_profiles', array( $this, 'handleAjaxListProfiles' ) );
+        add_action( 'wp_ajax_bpi_update_profile', array( $this, 'handleAjaxUpdateProfile' ) );
     }
 
     /**
-     * Verify nonce and capability for an AJAX request.
+     * Verify nonce and capability for a profile AJAX request.
      *
-     * Sends a JSON error response and returns false if verification fails.
+     * Profiles need `install_plugins`, in the Network Admin too.
      *
      * @param string $nonce_action Nonce action name.
-     * @param string $method      HTTP method to check ('POST' or 'REQUEST').
+     * @param string $method       HTTP method to check ('POST' or 'REQUEST').
      * @return bool True if verified, false if error response was sent.
      */
-    private function verifyAjaxRequest( string $nonce_action, string $method = 'POST' ): bool {
-        $input = 'REQUEST' === $method ? $_REQUEST : $_POST;
+    private function verifyProfileRequest( string $nonce_action, string $method = 'POST' ): bool {
+        return $this->verifyAjaxRequest(
+            $nonce_action,
+            'install_plugins',
+            __( self::MSG_PERMISSION_DENIED, 'bulk-plugin-installer' ),
+            'REQUEST' === $method ? $_REQUEST : $_POST
+        );
+    }
 
-        if ( ! isset( $input['_wpnonce'] ) || ! wp_verify_nonce( wp_unslash( $input['_wpnonce'] ), $nonce_action ) ) {
-            wp_send_json_error(
-                array( 'message' => __( self::MSG_SECURITY_FAILED, 'bulk-plugin-installer' ) ),
-                403
-            );
-            return false;
+    /**
+     * AJAX handler: Save a profile.
+     *
+     * @since 1.0.0
+     */
+    public function handleAjaxSaveProfile(): void {
+        if ( ! $this->verifyProfileRequest( 'bpi_save_profile' ) ) {
+            return;
         }
 
-        if ( ! current_user_can( 'install_plugins' ) ) {
-            wp_send_json_error(
-                array( 'message' => __( self::MSG_PERMISSION_DENIED, 'bulk-plugin-installer' ) ),
-                403
-            );
-            return false;
+        $name        = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
+        $raw_plugins = isset( $_POST['plugins'] ) ? wp_unslash( $_POST['plugins'] ) : array();
+
+        $this->sendJsonResult( $this->saveProfileResponse( $name, $raw_plugins ) );
+    }
+
+    /**
+     * AJAX handler: Import a profile from JSON.
+     *
+     * @since 1.0.0
+     */
+    public function handleAjaxImportProfile(): void {
+        if ( ! $this->verifyProfileRequest( 'bpi_import_profile' ) ) {
+            return;
         }
 
-        return true;
+        $json = isset( $_POST['profile_json'] ) ? wp_unslash( $_POST['profile_json'] ) : '';
+
+        $this->sendJsonResult( $this->importProfileResponse( (string) $json ) );
     }
 
     /**
-     * AJAX handler: Save a profile.
+     * AJAX handler: Export a profile as JSON.
      *
      * @since 1.0.0
      */
-    public function handleAjaxSaveProfile(): void {
-        if ( ! $this->verifyAjaxRequest( 'bpi_save_profile' ) ) {
+    public function handleAjaxExportProfile(): void {
+        if ( ! $this->verifyProfileRequest( 'bpi_export_profile', 'REQUEST' ) ) {
             return;
         }
 
+        $id     = isset( $_REQUEST['profile_id'] ) ? absint( $_REQUEST['profile_id'] ) : 0;
+        $format = isset( $_REQUEST['format'] ) ? sanitize_key( wp_unslash( $_REQUEST['format'] ) ) : 'profile';
+
+        $this->sendJsonResult( $this->exportProfileResponse( $id, $format ) );
+    }
+
+    /**
+     * AJAX handler: Rename a profile and replace its plugin list.
+     *
+     * @since 1.1.0
+     */
+    public function handleAjaxUpdateProfile(): void {
+        if ( ! $this->verifyProfileRequest( 'bpi_update_profile' ) ) {
+            return;
+        }
+
+        $id          = isset( $_POST['profile_id'] ) ? absint( $_POST['profile_id'] ) : 0;
         $name        = isset( $_POST['name'] ) ? sanitize_text_field( wp_unslash( $_POST['name'] ) ) : '';
         $raw_plugins = isset( $_POST['plugins'] ) ? wp_unslash( $_POST['plugins'] ) : array();
 
-        if ( empty( $name ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'Profile name is required.', 'bulk-plugin-installer' ) )
-            );
+        $this->sendJsonResult( $this->updateProfileResponse( $id, $name, $raw_plugins ) );
+    }
+
+    /**
+     * AJAX handler: Delete a profile.
+     *
+     * @since 1.0.0
+     */
+    public function handleAjaxDeleteProfile(): void {
+        if ( ! $this->verifyProfileRequest( 'bpi_delete_profile' ) ) {
             return;
         }
 
-        if ( ! is_array( $raw_plugins ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'Plugins must be an array.', 'bulk-plugin-installer' ) )
-            );
+        $id = isset( $_POST['profile_id'] ) ? absint( $_POST['profile_id'] ) : 0;
+
+        $this->sendJsonResult( $this->deleteProfileResponse( $id ) );
+    }
+
+    /**
+     * AJAX handler: List profiles with their queue and install status.
+     *
+     * Used by the profile picker on the Bulk Upload screen.
+     *
+     * @since 1.1.0
+     */
+    public function handleAjaxListProfiles(): void {
+        if ( ! $this->verifyProfileRequest( 'bpi_list_profiles' ) ) {
             return;
         }
 
-        $plugins = $this->sanitizePlugins( $raw_plugins );
+        wp_send_json_success( $this->listProfilesResponse() );
+    }
+
+    /**
+     * Save a new profile from request input.
+     *
+     * @since 1.1.0
+     *
+     * @param string $name        Sanitized profile name.
+     * @param mixed  $raw_plugins Plugin entries as received.
+     * @return array|\WP_Error Message, ID and saved profile, or WP_Error with an HTTP 'status'.
+     */
+    public function saveProfileResponse( string $name, mixed $raw_plugins ): array|\WP_Error {
+        if ( empty( $name ) ) {
+            return new \WP_Error( 'bpi_profile_name_required', __( 'Profile name is required.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
+        }
+
+        if ( ! is_array( $raw_plugins ) ) {
+            return new \WP_Error( 'bpi_profile_invalid_plugins', __( 'Plugins must be an array.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
+        }
 
-        $id = $this->saveProfile( $name, $plugins );
+        $id = $this->saveProfile( $name, $this->sanitizePlugins( $raw_plugins ) );
 
-        wp_send_json_success( array(
+        return array(
             'message' => __( 'Profile saved successfully.', 'bulk-plugin-installer' ),
             'id'      => $id,
             'profile' => $this->getProfile( $id ),
-        ) );
+        );
     }
 
     /**
-     * AJAX handler: Import a profile from JSON.
+     * Import a profile from request input.
      *
-     * @since 1.0.0
+     * @since 1.1.0
+     *
+     * @param string $json Profile JSON.
+     * @return array|\WP_Error Message, ID and imported profile, or WP_Error with an
+     *                         HTTP 'status' and the validation 'errors'.
      */
-    public function handleAjaxImportProfile(): void {
-        if ( ! $this->verifyAjaxRequest( 'bpi_import_profile' ) ) {
-            return;
-        }
-
-        $json = isset( $_POST['profile_json'] ) ? wp_unslash( $_POST['profile_json'] ) : '';
-
+    public function importProfileResponse( string $json ): array|\WP_Error {
         if ( empty( $json ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'No profile JSON provided.', 'bulk-plugin-installer' ) )
-            );
-            return;
+            return new \WP_Error( 'bpi_profile_json_required', __( 'No profile JSON provided.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
         }
 
         $result = $this->importProfile( $json );
 
         if ( is_wp_error( $result ) ) {
-            wp_send_json_error(
-                array( 'message' => $result->get_error_message() )
+            $error_data = $result->get_error_data();
+            return new \WP_Error(
+                $result->get_error_code(),
+                $result->get_error_message(),
+                array(
+                    'status' => 400,
+                    'errors' => $error_data['errors'] ?? array( $result->get_error_message() ),
+                )
             );
-            return;
         }
 
-        wp_send_json_success( array(
+        return array(
             'message' => __( 'Profile imported successfully.', 'bulk-plugin-installer' ),
             'id'      => $result,
             'profile' => $this->getProfile( $result ),
-        ) );
+        );
     }
 
     /**
-     * AJAX handler: Export a profile as JSON.
+     * Export a profile for a request.
      *
-     * @since 1.0.0
+     * @since 1.1.0
+     *
+     * @param int    $id     Profile ID.
+     * @param string $format 'profile' or 'manifest', see exportProfile().
+     * @return array|\WP_Error Profile JSON under 'json', or WP_Error with an HTTP 'status'.
      */
-    public function handleAjaxExportProfile(): void {
-        if ( ! $this->verifyAjaxRequest( 'bpi_export_profile', 'REQUEST' ) ) {
-            return;
-        }
-
-        $id = isset( $_REQUEST['profile_id'] ) ? absint( $_REQUEST['profile_id'] ) : 0;
-
+    public function exportProfileResponse( int $id, string $format = 'profile' ): array|\WP_Error {
         if ( 0 === $id ) {
-            wp_send_json_error(
-                array( 'message' => __( 'Profile ID is required.', 'bulk-plugin-installer' ) )
-            );
-            return;
+            return new \WP_Error( 'bpi_profile_id_required', __( 'Profile ID is required.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
         }
 
-        $json = $this->exportProfile( $id );
+        $json = $this->exportProfile( $id, $format );
 
         if ( '' === $json ) {
-            wp_send_json_error(
-                array( 'message' => __( 'Profile not found.', 'bulk-plugin-installer' ) )
-            );
-            return;
+            return new \WP_Error( 'bpi_profile_not_found', __( 'Profile not found.', 'bulk-plugin-installer' ), array( 'status' => 404 ) );
         }
 
-        wp_send_json_success( array(
-            'json' => $json,
-        ) );
+        return array( 'json' => $json );
     }
 
     /**
-     * AJAX handler: Delete a profile.
+     * Rename a profile and replace its plugin list from request input.
      *
-     * @since 1.0.0
+     * @since 1.1.0
+     *
+     * @param int    $id          Profile ID.
+     * @param string $name        Sanitized profile name.
+     * @param mixed  $raw_plugins Plugin entries as received.
+     * @return array|\WP_Error Message and updated profile, or WP_Error with an HTTP
+     *                         'status' and, for invalid entries, the 'errors'.
      */
-    public function handleAjaxDeleteProfile(): void {
-        if ( ! $this->verifyAjaxRequest( 'bpi_delete_profile' ) ) {
-            return;
+    public function updateProfileResponse( int $id, string $name, mixed $raw_plugins ): array|\WP_Error {
+        if ( 0 === $id ) {
+            return new \WP_Error( 'bpi_profile_id_required', __( 'Profile ID is required.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
         }
 
-        $id = isset( $_POST['profile_id'] ) ? absint( $_POST['profile_id'] ) : 0;
+        if ( empty( $name ) ) {
+            return new \WP_Error( 'bpi_profile_name_required', __( 'Profile name is required.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
+        }
 
-        if ( 0 === $id ) {
-            wp_send_json_error(
-                array( 'message' => __( 'Profile ID is required.', 'bulk-plugin-installer' ) )
+        if ( ! is_array( $raw_plugins ) ) {
+            return new \WP_Error( 'bpi_profile_invalid_plugins', __( 'Plugins must be an array.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
+        }
+
+        $errors = $this->validatePlugins( $raw_plugins );
+        if ( ! empty( $errors ) ) {
+            return new \WP_Error(
+                'bpi_profile_invalid_plugins',
+                implode( ' ', $errors ),
+                array(
+                    'status' => 400,
+                    'errors' => $errors,
+                )
             );
-            return;
         }
 
-        $deleted = $this->deleteProfile( $id );
+        if ( ! $this->updateProfile( $id, $name, $this->sanitizePlugins( array_values( $raw_plugins ) ) ) ) {
+            return new \WP_Error( 'bpi_profile_not_found', __( 'Profile not found.', 'bulk-plugin-installer' ), array( 'status' => 404 ) );
+        }
 
-        if ( ! $deleted ) {
-            wp_send_json_error(
-                array( 'message' => __( 'Profile not found.', 'bulk-plugin-installer' ) )
-            );
-            return;
+        return array(
+            'message' => __( 'Profile updated.', 'bulk-plugin-installer' ),
+            'profile' => $this->getProfile( $id ),
+        );
+    }
+
+    /**
+     * Delete a profile for a request.
+     *
+     * @since 1.1.0
+     *
+     * @param int $id Profile ID.
+     * @return array|\WP_Error Message, or WP_Error with an HTTP 'status'.
+     */
+    public function deleteProfileResponse( int $id ): array|\WP_Error {
+        if ( 0 === $id ) {
+            return new \WP_Error( 'bpi_profile_id_required', __( 'Profile ID is required.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
         }
 
-        wp_send_json_success( array(
+        if ( ! $this->deleteProfile( $id ) ) {
+            return new \WP_Error( 'bpi_profile_not_found', __( 'Profile not found.', 'bulk-plugin-installer' ), array( 'status' => 404 ) );
+        }
+
+        return array(
             'message' => __( 'Profile deleted successfully.', 'bulk-plugin-installer' ),
-        ) );
+        );
+    }
+
+    /**
+     * List all profiles with their queue and install status.
+     *
+     * @since 1.1.0
+     *
+     * @return array Profiles from getProfileStatus() under 'profiles'.
+     */
+    public function listProfilesResponse(): array {
+        return array(
+            'profiles' => array_map( array( $this, 'getProfileStatus' ), $this->getAllProfiles() ),
+        );
     }
 
     /**
@@ -441,4 +705,29 @@ class BPIProfileManager {
         </div>
         <?php
     }
+
+    // ------------------------------------------------------------------
+    // Private helpers
+    // ------------------------------------------------------------------
+
+    /**
+     * Get the installed version of each plugin, keyed by slug.
+     *
+     * @return array<string, string> Installed versions.
+     */
+    private function getInstalledVersions(): array {
+        if ( ! function_exists( 'get_plugins' ) ) {
+            require_once ABSPATH . 'wp-admin/includes/plugin.php'; // phpcs:ignore PHPMD -- WordPress core file, no namespace available.
+        }
+
+        $versions = array();
+        foreach ( get_plugins() as $plugin_file => $plugin_info ) {
+            $slug = dirname( $plugin_file );
+            if ( '.' !== $slug ) {
+                $versions[ $slug ] = $plugin_info['Version'] ?? '';
+            }
+        }
+
+        return $versions;
+    }
 }
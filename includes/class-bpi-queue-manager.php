@@ -24,6 +24,8 @@ if ( ! defined( 'ABSPATH' ) ) {
  */
 class BPIQueueManager {
 
+    use BPIAjaxResponder;
+
     /**
      * Transient expiration in seconds (1 hour).
      *
@@ -81,10 +83,21 @@ class BPIQueueManager {
             'plugin_description' => $plugin_data['plugin_description'] ?? '',
             'requires_php'       => $plugin_data['requires_php'] ?? '',
             'requires_wp'        => $plugin_data['requires_wp'] ?? '',
+            'requires_plugins'   => $plugin_data['requires_plugins'] ?? '',
+            'requires_extensions' => $plugin_data['requires_extensions'] ?? '',
+            'network'            => $plugin_data['network'] ?? '',
+            'tested_up_to'       => $plugin_data['tested_up_to'] ?? '',
             'action'             => $plugin_data['action'] ?? 'install',
             'installed_version'  => $plugin_data['installed_version'] ?? null,
             'compatibility_issues' => $plugin_data['compatibility_issues'] ?? array(),
+            'security_findings'  => $plugin_data['security_findings'] ?? null,
+            'sha256'             => $plugin_data['sha256'] ?? '',
+            'expected_sha256'    => $plugin_data['expected_sha256'] ?? '',
+            'checksum_source'    => $plugin_data['checksum_source'] ?? '',
             'changelog'          => $plugin_data['changelog'] ?? array(),
+            'source'             => $plugin_data['source'] ?? '',
+            'activate'           => $plugin_data['activate'] ?? null,
+            'network_activate'   => $plugin_data['network_activate'] ?? null,
             'added_at'           => gmdate( 'c' ),
         );
 
@@ -145,6 +158,45 @@ class BPIQueueManager {
         return true;
     }
 
+    /**
+     * Set the expected SHA-256 checksum of a queued plugin.
+     *
+     * @since 1.1.0
+     *
+     * @param string $slug     Plugin slug.
+     * @param string $expected Normalized checksum; empty to remove it.
+     * @param string $source   Where the checksum came from: 'manual', 'sidecar', 'profile' or 'manifest'.
+     * @return bool True if the item was found and updated, false otherwise.
+     */
+    public function setExpectedChecksum( string $slug, string $expected, string $source ): bool {
+        $lock_key = $this->getTransientKey() . '_lock';
+        $max_wait = 5;
+        $waited = 0;
+        while ( get_transient( $lock_key ) && $waited < $max_wait ) {
+            usleep( 200000 ); // 200ms
+            $waited++;
+        }
+        set_transient( $lock_key, 1, 10 );
+
+        $queue = $this->getAll();
+        $found = false;
+
+        foreach ( $queue as $index => $item ) {
+            if ( $item['slug'] === $slug ) {
+                $queue[ $index ]['expected_sha256'] = $expected;
+                $queue[ $index ]['checksum_source'] = '' === $expected ? '' : $source;
+                $found                              = true;
+            }
+        }
+
+        if ( $found ) {
+            set_transient( $this->getTransientKey(), $queue, self::TRANSIENT_EXPIRATION );
+        }
+
+        delete_transient( $lock_key );
+        return $found;
+    }
+
     /**
      * Get all queued items for the current user.
      *
@@ -157,6 +209,40 @@ class BPIQueueManager {
         return is_array( $queue ) ? $queue : array();
     }
 
+    /**
+     * Get the queued items for display in the admin UI.
+     *
+     * Strips server file paths and the extracted changelog, keeping the
+     * fields the queue list renders.
+     *
+     * @since 1.1.0
+     *
+     * @return array Array of queue items without internal data.
+     */
+    public function getAllForDisplay(): array {
+        $verifier = new BPIChecksumVerifier();
+
+        return array_map( function ( $item ) use ( $verifier ) {
+            $sha256   = $item['sha256'] ?? '';
+            $expected = $item['expected_sha256'] ?? '';
+
+            return array(
+                'slug'            => $item['slug'] ?? '',
+                'file_name'       => $item['file_name'] ?? '',
+                'file_size'       => (int) ( $item['file_size'] ?? 0 ),
+                'plugin_name'     => $item['plugin_name'] ?? '',
+                'plugin_version'  => $item['plugin_version'] ?? '',
+                'action'          => $item['action'] ?? 'install',
+                'source'          => $item['source'] ?? '',
+                'added_at'        => $item['added_at'] ?? '',
+                'sha256'          => $sha256,
+                'expected_sha256' => $expected,
+                'checksum_source' => $item['checksum_source'] ?? '',
+                'checksum_status' => $verifier->verify( $sha256, $expected ),
+            );
+        }, $this->getAll() );
+    }
+
     /**
      * Clear the entire queue for the current user.
      *
@@ -210,82 +296,176 @@ class BPIQueueManager {
     }
 
     /**
-     * Verify nonce and capability for an AJAX request.
+     * AJAX handler for removing a plugin from the queue.
+     *
+     * Verifies nonce and capability before removing the specified slug.
+     * Registered on `wp_ajax_bpi_queue_remove`.
      *
-     * @param string $nonce_action Nonce action name.
-     * @return bool True if verified, false if error response was sent.
+     * @since 1.0.0
      */
-    private function verifyAjaxRequest( string $nonce_action ): bool {
-        if ( ! isset( $_POST['_wpnonce'] ) || ! wp_verify_nonce( wp_unslash( $_POST['_wpnonce'] ), $nonce_action ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'Security verification failed. Please refresh the page and try again.', 'bulk-plugin-installer' ) ),
-                403
-            );
-            return false;
+    public function handleQueueRemove(): void {
+        if ( ! $this->verifyAjaxRequest( 'bpi_queue_remove' ) ) {
+            return;
         }
 
-        $required_cap = 'install_plugins';
-        if ( function_exists( 'is_multisite' ) && is_multisite()
-            && function_exists( 'is_network_admin' ) && is_network_admin() ) {
-            $required_cap = 'manage_network_plugins';
+        $slug = isset( $_POST['slug'] ) ? sanitize_text_field( wp_unslash( $_POST['slug'] ) ) : '';
+
+        $this->sendJsonResult( $this->removeFromQueue( $slug ) );
+    }
+
+    /**
+     * AJAX handler for listing the current user's queue.
+     *
+     * Lets the Bulk Upload page restore files uploaded before a reload.
+     * Registered on `wp_ajax_bpi_queue_list`.
+     *
+     * @since 1.1.0
+     */
+    public function handleQueueList(): void {
+        if ( ! $this->verifyAjaxRequest( 'bpi_queue_list' ) ) {
+            return;
         }
 
-        if ( ! current_user_can( $required_cap ) ) {
-            wp_send_json_error(
-                array( 'message' => __( 'You do not have permission to install plugins.', 'bulk-plugin-installer' ) ),
-                403
-            );
-            return false;
+        wp_send_json_success( $this->getQueueResponse() );
+    }
+
+    /**
+     * AJAX handler for clearing the current user's queue.
+     *
+     * Registered on `wp_ajax_bpi_queue_clear`.
+     *
+     * @since 1.1.0
+     */
+    public function handleQueueClear(): void {
+        if ( ! $this->verifyAjaxRequest( 'bpi_queue_clear' ) ) {
+            return;
         }
 
-        return true;
+        wp_send_json_success( $this->clearQueue() );
     }
 
     /**
-     * AJAX handler for removing a plugin from the queue.
+     * AJAX handler for setting the expected checksum of a queued plugin.
      *
-     * Verifies nonce and capability before removing the specified slug.
-     * Registered on `wp_ajax_bpi_queue_remove`.
+     * Registered on `wp_ajax_bpi_queue_checksum`.
      *
-     * @since 1.0.0
+     * @since 1.1.0
      */
-    public function handleQueueRemove(): void {
-        if ( ! $this->verifyAjaxRequest( 'bpi_queue_remove' ) ) {
+    public function handleQueueChecksum(): void {
+        if ( ! $this->verifyAjaxRequest( 'bpi_queue_checksum' ) ) {
             return;
         }
 
-        // Get slug to remove.
-        $slug = isset( $_POST['slug'] ) ? sanitize_text_field( wp_unslash( $_POST['slug'] ) ) : '';
+        $slug   = isset( $_POST['slug'] ) ? sanitize_text_field( wp_unslash( $_POST['slug'] ) ) : '';
+        $raw    = isset( $_POST['expected_sha256'] ) ? sanitize_text_field( wp_unslash( $_POST['expected_sha256'] ) ) : '';
+        $source = isset( $_POST['checksum_source'] ) ? sanitize_key( wp_unslash( $_POST['checksum_source'] ) ) : '';
+
+        $this->sendJsonResult( $this->updateExpectedChecksum( $slug, $raw, $source ) );
+    }
+
+    /**
+     * Get the current user's queue as returned to the Bulk Upload page.
+     *
+     * @since 1.1.0
+     *
+     * @return array Queue items for display, their count and total size.
+     */
+    public function getQueueResponse(): array {
+        return array(
+            'queue' => $this->getAllForDisplay(),
+            'count' => $this->getCount(),
+            'size'  => $this->getTotalSize(),
+        );
+    }
 
+    /**
+     * Remove a plugin from the queue on behalf of a request.
+     *
+     * @since 1.1.0
+     *
+     * @param string $slug Plugin slug.
+     * @return array|\WP_Error Message and the remaining queue, or WP_Error with an HTTP 'status'.
+     */
+    public function removeFromQueue( string $slug ): array|\WP_Error {
         if ( '' === $slug ) {
-            wp_send_json_error(
-                array( 'message' => __( 'No plugin slug specified.', 'bulk-plugin-installer' ) ),
-                400
-            );
-            return;
+            return new \WP_Error( 'bpi_missing_slug', __( 'No plugin slug specified.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
         }
 
-        $removed = $this->remove( $slug );
+        if ( ! $this->remove( $slug ) ) {
+            return new \WP_Error( 'bpi_not_queued', __( 'Plugin not found in queue.', 'bulk-plugin-installer' ), array( 'status' => 404 ) );
+        }
+
+        return array(
+            'message' => sprintf(
+                /* translators: %s: plugin slug */
+                __( "Plugin '%s' removed from queue.", 'bulk-plugin-installer' ),
+                $slug
+            ),
+            'queue'   => $this->getAll(),
+            'count'   => $this->getCount(),
+            'size'    => $this->getTotalSize(),
+        );
+    }
+
+    /**
+     * Clear the current user's queue on behalf of a request.
+     *
+     * @since 1.1.0
+     *
+     * @return array Message and the empty queue.
+     */
+    public function clearQueue(): array {
+        $this->clear();
+
+        return array(
+            'message' => __( 'Upload queue cleared.', 'bulk-plugin-installer' ),
+            'queue'   => array(),
+            'count'   => 0,
+            'size'    => 0,
+        );
+    }
+
+    /**
+     * Set the expected checksum of a queued plugin on behalf of a request.
+     *
+     * Accepts a bare SHA-256 hash or the contents of a `.sha256` sidecar
+     * file; an empty value removes the expected checksum.
+     *
+     * @since 1.1.0
+     *
+     * @param string $slug   Plugin slug.
+     * @param string $raw    Expected checksum as entered.
+     * @param string $source One of BPIChecksumVerifier::SOURCES; anything else is stored as 'manual'.
+     * @return array|\WP_Error The updated queue item, or WP_Error with an HTTP 'status'.
+     */
+    public function updateExpectedChecksum( string $slug, string $raw, string $source ): array|\WP_Error {
+        $expected = ( new BPIChecksumVerifier() )->normalize( $raw );
 
-        if ( ! $removed ) {
-            wp_send_json_error(
-                array( 'message' => __( 'Plugin not found in queue.', 'bulk-plugin-installer' ) ),
-                404
+        if ( '' === $slug ) {
+            return new \WP_Error( 'bpi_missing_slug', __( 'No plugin slug specified.', 'bulk-plugin-installer' ), array( 'status' => 400 ) );
+        }
+
+        if ( '' !== trim( $raw ) && '' === $expected ) {
+            return new \WP_Error(
+                'bpi_invalid_checksum',
+                __( 'The expected checksum must be a SHA-256 hash of 64 hexadecimal characters.', 'bulk-plugin-installer' ),
+                array( 'status' => 400 )
             );
-            return;
         }
 
-        wp_send_json_success(
-            array(
-                'message' => sprintf(
-                    /* translators: %s: plugin slug */
-                    __( "Plugin '%s' removed from queue.", 'bulk-plugin-installer' ),
-                    $slug
-                ),
-                'queue'   => $this->getAll(),
-                'count'   => $this->getCount(),
-                'size'    => $this->getTotalSize(),
-            )
-        );
+        if ( ! in_array( $source, BPIChecksumVerifier::SOURCES, true ) ) {
+            $source = 'manual';
+        }
+
+        if ( $this->setExpectedChecksum( $slug, $expected, $source ) ) {
+            foreach ( $this->getAllForDisplay() as $item ) {
+                if ( $item['slug'] === $slug ) {
+                    return array( 'item' => $item );
+                }
+            }
+        }
+
+        return new \WP_Error( 'bpi_not_queued', __( 'Plugin not found in queue.', 'bulk-plugin-installer' ), array( 'status' => 404 ) );
     }
+
 }
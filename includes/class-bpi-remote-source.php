@@ -0,0 +1,157 @@
+<?php
+/**
+ * Remote Source for Bulk Plugin Installer.
+ *
+ * Turns pasted ZIP URLs and WordPress.org plugin slugs into download URLs.
+ *
+ * @package BulkPluginInstaller
+ */
+
+// Abort if this file is called directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Resolves remote plugin sources.
+ *
+ * Accepts one source per line:
+ * - a ZIP URL (`https://example.com/my-plugin.zip`),
+ * - a WordPress.org slug (`akismet`), optionally pinned to a version (`akismet@5.3`),
+ * - a WordPress.org plugin page URL (`https://wordpress.org/plugins/akismet/`).
+ *
+ * @since 1.1.0
+ */
+class BPIRemoteSource {
+
+    /**
+     * Base URL for WordPress.org plugin downloads.
+     *
+     * @var string
+     */
+    public const WPORG_DOWNLOAD_URL = 'https://downloads.wordpress.org/plugin/';
+
+    /**
+     * Split pasted input into source lines.
+     *
+     * Blank lines and lines starting with `#` are ignored; duplicates are removed.
+     *
+     * @since 1.1.0
+     *
+     * @param string $input Raw input, one source per line.
+     * @return string[] Source lines.
+     */
+    public function parseList( string $input ): array {
+        $lines = array();
+
+        foreach ( preg_split( '/\r\n|\r|\n/', $input ) as $line ) {
+            $line = trim( $line );
+            if ( '' === $line || str_starts_with( $line, '#' ) ) {
+                continue;
+            }
+            $lines[] = $line;
+        }
+
+        return array_values( array_unique( $lines ) );
+    }
+
+    /**
+     * Resolve a source line to a download URL.
+     *
+     * @since 1.1.0
+     *
+     * @param string $line Source line.
+     * @return \WP_Error|array {
+     *     Resolved source, or WP_Error if the line is not a supported source.
+     *
+     *     @type string $type      'url' or 'wporg'.
+     *     @type string $url       Download URL.
+     *     @type string $slug      WordPress.org slug ('' for URLs).
+     *     @type string $version   Pinned version ('' when not pinned).
+     *     @type string $file_name File name to show in the queue.
+     * }
+     */
+    public function resolve( string $line ): \WP_Error|array {
+        $line = trim( $line );
+
+        if ( preg_match( '#^https?://(?:www\.)?wordpress\.org/plugins/([a-z0-9_-]+)/?$#i', $line, $matches ) ) {
+            return $this->resolveWporg( strtolower( $matches[1] ), '' );
+        }
+
+        if ( preg_match( '#^[a-z][a-z0-9+.-]*://#i', $line ) ) {
+            return $this->resolveUrl( $line );
+        }
+
+        if ( preg_match( '/^([a-z0-9_-]+)(?:@([0-9A-Za-z][0-9A-Za-z.-]*))?$/', $line, $matches ) ) {
+            return $this->resolveWporg( $matches[1], $matches[2] ?? '' );
+        }
+
+        return new \WP_Error(
+            'invalid_source',
+            sprintf(
+                /* translators: %s: source line */
+                __( "'%s' is neither a ZIP URL nor a WordPress.org plugin slug.", 'bulk-plugin-installer' ),
+                $line
+            )
+        );
+    }
+
+    // ------------------------------------------------------------------
+    // Private helpers
+    // ------------------------------------------------------------------
+
+    /**
+     * Resolve a WordPress.org slug, optionally pinned to a version.
+     *
+     * @param string $slug    Plugin slug.
+     * @param string $version Pinned version, or '' for the latest stable release.
+     * @return array Resolved source.
+     */
+    private function resolveWporg( string $slug, string $version ): array {
+        $file_name = '' !== $version ? $slug . '.' . $version . '.zip' : $slug . '.zip';
+
+        return array(
+            'type'      => 'wporg',
+            'url'       => self::WPORG_DOWNLOAD_URL . $file_name,
+            'slug'      => $slug,
+            'version'   => $version,
+            'file_name' => $file_name,
+        );
+    }
+
+    /**
+     * Resolve a ZIP URL.
+     *
+     * @param string $url URL.
+     * @return \WP_Error|array Resolved source, or WP_Error for unsupported URLs.
+     */
+    private function resolveUrl( string $url ): \WP_Error|array {
+        $scheme = strtolower( (string) wp_parse_url( $url, PHP_URL_SCHEME ) );
+
+        if ( ! in_array( $scheme, array( 'http', 'https' ), true ) || false === filter_var( $url, FILTER_VALIDATE_URL ) ) {
+            return new \WP_Error(
+                'invalid_url',
+                sprintf(
+                    /* translators: %s: URL */
+                    __( "'%s' is not a valid HTTP or HTTPS URL.", 'bulk-plugin-installer' ),
+                    $url
+                )
+            );
+        }
+
+        $file_name = sanitize_file_name( basename( (string) wp_parse_url( $url, PHP_URL_PATH ) ) );
+        if ( '' === $file_name ) {
+            $file_name = 'plugin.zip';
+        } elseif ( ! str_ends_with( strtolower( $file_name ), '.zip' ) ) {
+            $file_name .= '.zip';
+        }
+
+        return array(
+            'type'      => 'url',
+            'url'       => $url,
+            'slug'      => '',
+            'version'   => '',
+            'file_name' => $file_name,
+        );
+    }
+}
@@ -0,0 +1,756 @@
+<?php
+/**
+ * REST Controller for Bulk Plugin Installer.
+ *
+ * Exposes the upload, preview, processing and rollback pipeline under the
+ * `bpi/v1` REST namespace.
+ *
+ * @package BulkPluginInstaller
+ */
+
+// Abort if this file is called directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Registers the `bpi/v1` REST routes.
+ *
+ * Every route delegates to the same component methods as the matching
+ * admin-ajax action, so both interfaces share validation and responses.
+ * Requests are authenticated by WordPress core: the admin screens send the
+ * `wp_rest` nonce, external clients use application passwords.
+ *
+ * Queue, preview, batch and schedule routes require `install_plugins`, or
+ * `manage_network_plugins` when the `network` parameter is set on a
+ * multisite. Profile and log routes require `install_plugins`.
+ *
+ * @since 1.1.0
+ */
+class BPIRestController {
+
+    /**
+     * REST namespace.
+     *
+     * @var string
+     */
+    public const NAMESPACE = 'bpi/v1';
+
+    /**
+     * Returns the plugin processor, created on first use.
+     *
+     * @var \Closure
+     */
+    private \Closure $processor;
+
+    /**
+     * Returns the batch rollback manager, created on first use.
+     *
+     * @var \Closure
+     */
+    private \Closure $batchRollback;
+
+    /**
+     * Returns the profile manager, created on first use.
+     *
+     * @var \Closure
+     */
+    private \Closure $profiles;
+
+    /**
+     * Log manager instance.
+     *
+     * @var BPILogManager
+     */
+    private BPILogManager $logManager;
+
+    /**
+     * Admin page instance, which builds the preview.
+     *
+     * @var BPIAdminPage
+     */
+    private BPIAdminPage $adminPage;
+
+    /**
+     * Batch scheduler, created on first use.
+     *
+     * @var BPIBatchScheduler|null
+     */
+    private ?BPIBatchScheduler $scheduler = null;
+
+    /**
+     * Constructor.
+     *
+     * @since 1.1.0
+     *
+     * @param \Closure      $processor      Returns the BPIPluginProcessor.
+     * @param \Closure      $batch_rollback Returns the BPIBatchRollbackManager.
+     * @param \Closure      $profiles       Returns the BPIProfileManager.
+     * @param BPILogManager $log_manager    Log manager instance.
+     * @param BPIAdminPage  $admin_page     Admin page instance.
+     */
+    public function __construct( \Closure $processor, \Closure $batch_rollback, \Closure $profiles, BPILogManager $log_manager, BPIAdminPage $admin_page ) {
+        $this->processor     = $processor;
+        $this->batchRollback = $batch_rollback;
+        $this->profiles      = $profiles;
+        $this->logManager    = $log_manager;
+        $this->adminPage     = $admin_page;
+    }
+
+    /**
+     * Register the REST routes.
+     *
+     * Hooked to `rest_api_init`.
+     *
+     * @since 1.1.0
+     */
+    public function registerRoutes(): void {
+        $network = array(
+            'network' => array(
+                'type'    => 'boolean',
+                'default' => false,
+            ),
+        );
+
+        register_rest_route( self::NAMESPACE, '/queue', array(
+            $this->endpoint( \WP_REST_Server::READABLE, 'getQueue', 'canInstallPlugins', $network ),
+            $this->endpoint( \WP_REST_Server::CREATABLE, 'uploadPlugin', 'canInstallPlugins', $network ),
+            $this->endpoint( \WP_REST_Server::DELETABLE, 'clearQueue', 'canInstallPlugins', $network ),
+        ) );
+        register_rest_route( self::NAMESPACE, '/queue/chunks', array(
+            $this->endpoint( \WP_REST_Server::CREATABLE, 'uploadChunk', 'canInstallPlugins', $network ),
+        ) );
+        register_rest_route( self::NAMESPACE, '/queue/remote', array(
+            $this->endpoint( \WP_REST_Server::CREATABLE, 'addRemotePlugins', 'canInstallPlugins', $network ),
+        ) );
+        register_rest_route( self::NAMESPACE, '/queue/manifest', array(
+            $this->endpoint( \WP_REST_Server::CREATABLE, 'addManifestPlugins', 'canInstallPlugins', $network + array(
+                'manifest' => array(
+                    'type'     => 'string',
+                    'required' => true,
+                ),
+                'format'   => array(
+                    'type' => 'string',
+                    'enum' => array( 'json', 'yaml' ),
+                ),
+            ) ),
+        ) );
+        register_rest_route( self::NAMESPACE, '/queue/(?P<slug>[^/]+)', array(
+            $this->endpoint( \WP_REST_Server::EDITABLE, 'updateQueueChecksum', 'canInstallPlugins', $network ),
+            $this->endpoint( \WP_REST_Server::DELETABLE, 'removeQueueItem', 'canInstallPlugins', $network ),
+        ) );
+
+        register_rest_route( self::NAMESPACE, '/preview', array(
+            $this->endpoint( \WP_REST_Server::READABLE, 'getPreview', 'canInstallPlugins', $network + array(
+                'profile_id' => array(
+                    'type'    => 'integer',
+                    'default' => 0,
+                ),
+            ) ),
+        ) );
+        register_rest_route( self::NAMESPACE, '/preview/(?P<slug>[^/]+)/diff', array(
+            $this->endpoint( \WP_REST_Server::READABLE, 'getPluginDiff', 'canInstallPlugins', $network ),
+        ) );
+
+        register_rest_route( self::NAMESPACE, '/batches', array(
+            $this->endpoint( \WP_REST_Server::READABLE, 'getBatchHistory', 'canInstallPlugins', $network ),
+            $this->endpoint( \WP_REST_Server::CREATABLE, 'startBatch', 'canInstallPlugins', $network + array(
+                'selected_plugins' => array(
+                    'type'     => 'array',
+                    'required' => true,
+                ),
+                'dry_run'          => array(
+                    'type'    => 'boolean',
+                    'default' => false,
+                ),
+                'maintenance_mode' => array(
+                    'type'    => 'boolean',
+                    'default' => false,
+                ),
+            ) ),
+        ) );
+        register_rest_route( self::NAMESPACE, '/batches/(?P<batch_id>[A-Za-z0-9_-]+)', array(
+            $this->endpoint( \WP_REST_Server::READABLE, 'getBatchStatus', 'canInstallPlugins', $network ),
+            $this->endpoint( \WP_REST_Server::DELETABLE, 'discardBatch', 'canInstallPlugins', $network ),
+        ) );
+        register_rest_route( self::NAMESPACE, '/batches/(?P<batch_id>[A-Za-z0-9_-]+)/step', array(
+            $this->endpoint( \WP_REST_Server::CREATABLE, 'stepBatch', 'canInstallPlugins', $network ),
+        ) );
+        register_rest_route( self::NAMESPACE, '/batches/(?P<batch_id>[A-Za-z0-9_-]+)/rollback', array(
+            $this->endpoint( \WP_REST_Server::CREATABLE, 'rollbackBatch', 'canInstallPlugins', $network + array(
+                'slugs' => array(
+                    'type'    => 'array',
+                    'default' => array(),
+                ),
+            ) ),
+        ) );
+        register_rest_route( self::NAMESPACE, '/schedules', array(
+            $this->endpoint( \WP_REST_Server::READABLE, 'getScheduledBatches', 'canInstallPlugins', $network ),
+            $this->endpoint( \WP_REST_Server::CREATABLE, 'scheduleBatch', 'canInstallPlugins', $network + array(
+                'selected_plugins' => array(
+                    'type'     => 'array',
+                    'required' => true,
+                ),
+                'timestamp'        => array(
+                    'type'     => 'integer',
+                    'required' => true,
+                ),
+                'maintenance_mode' => array(
+                    'type'    => 'boolean',
+                    'default' => false,
+                ),
+            ) ),
+        ) );
+        register_rest_route( self::NAMESPACE, '/schedules/(?P<schedule_id>[A-Za-z0-9_-]+)', array(
+            $this->endpoint( \WP_REST_Server::EDITABLE, 'rescheduleBatch', 'canInstallPlugins', $network + array(
+                'timestamp' => array(
+                    'type'     => 'integer',
+                    'required' => true,
+                ),
+            ) ),
+            $this->endpoint( \WP_REST_Server::DELETABLE, 'cancelScheduledBatch', 'canInstallPlugins', $network ),
+        ) );
+
+        register_rest_route( self::NAMESPACE, '/profiles', array(
+            $this->endpoint( \WP_REST_Server::READABLE, 'listProfiles' ),
+            $this->endpoint( \WP_REST_Server::CREATABLE, 'createProfile' ),
+        ) );
+        register_rest_route( self::NAMESPACE, '/profiles/import', array(
+            $this->endpoint( \WP_REST_Server::CREATABLE, 'importProfile' ),
+        ) );
+        register_rest_route( self::NAMESPACE, '/profiles/(?P<id>\d+)', array(
+            $this->endpoint( \WP_REST_Server::EDITABLE, 'updateProfile' ),
+            $this->endpoint( \WP_REST_Server::DELETABLE, 'deleteProfile' ),
+        ) );
+        register_rest_route( self::NAMESPACE, '/profiles/(?P<id>\d+)/export', array(
+            $this->endpoint( \WP_REST_Server::READABLE, 'exportProfile', 'canManageSettings', array(
+                'format' => array(
+                    'type'    => 'string',
+                    'enum'    => array( 'profile', 'manifest' ),
+                    'default' => 'profile',
+                ),
+            ) ),
+        ) );
+
+        register_rest_route( self::NAMESPACE, '/log', array(
+            $this->endpoint( \WP_REST_Server::READABLE, 'getLog' ),
+            $this->endpoint( \WP_REST_Server::DELETABLE, 'clearLog' ),
+        ) );
+        register_rest_route( self::NAMESPACE, '/log/export', array(
+            $this->endpoint( \WP_REST_Server::READABLE, 'exportLog' ),
+        ) );
+    }
+
+    /**
+     * Permission callback for the queue, preview and batch routes.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return true|\WP_Error True if allowed, WP_Error otherwise.
+     */
+    public function canInstallPlugins( \WP_REST_Request $request ): true|\WP_Error {
+        $capability = $this->isNetworkRequest( $request ) ? 'manage_network_plugins' : 'install_plugins';
+
+        if ( ! current_user_can( $capability ) ) {
+            return new \WP_Error(
+                'rest_forbidden',
+                __( 'You do not have permission to install plugins.', 'bulk-plugin-installer' ),
+                array( 'status' => rest_authorization_required_code() )
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * Permission callback for the profile and log routes of the settings page.
+     *
+     * @since 1.1.0
+     *
+     * @return true|\WP_Error True if allowed, WP_Error otherwise.
+     */
+    public function canManageSettings(): true|\WP_Error {
+        if ( ! current_user_can( 'install_plugins' ) ) {
+            return new \WP_Error(
+                'rest_forbidden',
+                __( 'You do not have permission to perform this action.', 'bulk-plugin-installer' ),
+                array( 'status' => rest_authorization_required_code() )
+            );
+        }
+
+        return true;
+    }
+
+    /**
+     * GET /queue: list the current user's queue.
+     *
+     * @since 1.1.0
+     *
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function getQueue(): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response( ( new BPIQueueManager() )->getQueueResponse() );
+    }
+
+    /**
+     * POST /queue: upload a plugin ZIP as the `plugin_zip` file.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function uploadPlugin( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $files = $request->get_file_params();
+
+        return rest_ensure_response( ( new BPIBulkUploader() )->uploadFile( $files['plugin_zip'] ?? array() ) );
+    }
+
+    /**
+     * POST /queue/chunks: upload one chunk of a large plugin ZIP as the `chunk` file.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function uploadChunk( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $files = $request->get_file_params();
+
+        return rest_ensure_response(
+            ( new BPIBulkUploader() )->uploadChunk(
+                sanitize_text_field( (string) $request->get_param( 'upload_id' ) ),
+                absint( $request->get_param( 'chunk_index' ) ),
+                absint( $request->get_param( 'total_chunks' ) ),
+                sanitize_text_field( (string) $request->get_param( 'file_name' ) ),
+                absint( $request->get_param( 'file_size' ) ),
+                $files['chunk'] ?? array()
+            )
+        );
+    }
+
+    /**
+     * POST /queue/remote: add plugins from ZIP URLs and WordPress.org slugs.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function addRemotePlugins( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $sources = sanitize_textarea_field( (string) $request->get_param( 'sources' ) );
+
+        return rest_ensure_response( ( new BPIBulkUploader() )->addRemoteSources( $sources ) );
+    }
+
+    /**
+     * POST /queue/manifest: add the plugins of a bpi.json or YAML manifest.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function addManifestPlugins( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response(
+            ( new BPIBulkUploader() )->addManifest( (string) $request->get_param( 'manifest' ), (string) $request->get_param( 'format' ) )
+        );
+    }
+
+    /**
+     * DELETE /queue: clear the current user's queue.
+     *
+     * @since 1.1.0
+     *
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function clearQueue(): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response( ( new BPIQueueManager() )->clearQueue() );
+    }
+
+    /**
+     * DELETE /queue/{slug}: remove a plugin from the queue.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function removeQueueItem( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $slug = sanitize_text_field( (string) $request->get_param( 'slug' ) );
+
+        return rest_ensure_response( ( new BPIQueueManager() )->removeFromQueue( $slug ) );
+    }
+
+    /**
+     * PUT /queue/{slug}: set the expected checksum of a queued plugin.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function updateQueueChecksum( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response(
+            ( new BPIQueueManager() )->updateExpectedChecksum(
+                sanitize_text_field( (string) $request->get_param( 'slug' ) ),
+                sanitize_text_field( (string) $request->get_param( 'expected_sha256' ) ),
+                sanitize_key( (string) $request->get_param( 'checksum_source' ) )
+            )
+        );
+    }
+
+    /**
+     * GET /preview: build the preview of the current user's queue.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function getPreview( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response(
+            $this->adminPage->buildPreview( absint( $request->get_param( 'profile_id' ) ), $this->isNetworkRequest( $request ) )
+        );
+    }
+
+    /**
+     * GET /preview/{slug}/diff: compare a queued update with the installed plugin.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function getPluginDiff( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $slug = sanitize_text_field( (string) $request->get_param( 'slug' ) );
+
+        return rest_ensure_response( $this->adminPage->getPluginDiff( $slug ) );
+    }
+
+    /**
+     * POST /batches: start a step-wise batch.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function startBatch( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $selected = $request->get_param( 'selected_plugins' );
+
+        return rest_ensure_response(
+            ( $this->processor )()->startBatch(
+                is_array( $selected ) ? $selected : array(),
+                (bool) $request->get_param( 'dry_run' ),
+                (bool) $request->get_param( 'maintenance_mode' )
+            )
+        );
+    }
+
+    /**
+     * GET /batches: list the batches that can still be rolled back, and the scheduled batches.
+     *
+     * @since 1.1.0
+     *
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function getBatchHistory(): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response( array(
+            'batches'   => ( $this->batchRollback )()->getBatchHistory(),
+            'scheduled' => $this->getScheduler()->getHistory(),
+        ) );
+    }
+
+    /**
+     * GET /batches/{batch_id}: get the live progress of a batch.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function getBatchStatus( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response( ( $this->processor )()->getBatchStatus( $this->getBatchId( $request ) ) );
+    }
+
+    /**
+     * POST /batches/{batch_id}/step: process the next plugin of a batch.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function stepBatch( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response( ( $this->processor )()->stepBatch( $this->getBatchId( $request ) ) );
+    }
+
+    /**
+     * DELETE /batches/{batch_id}: discard an unfinished batch.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function discardBatch( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response( ( $this->processor )()->discardBatch( $this->getBatchId( $request ) ) );
+    }
+
+    /**
+     * POST /batches/{batch_id}/rollback: roll back a batch or selected plugins of it.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function rollbackBatch( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $slugs = $request->get_param( 'slugs' );
+
+        return rest_ensure_response(
+            ( $this->batchRollback )()->performRollback( $this->getBatchId( $request ), is_array( $slugs ) ? $slugs : array() )
+        );
+    }
+
+    /**
+     * GET /schedules: list the scheduled batches.
+     *
+     * @since 1.1.0
+     *
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function getScheduledBatches(): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response( array( 'scheduled' => $this->getScheduler()->getHistory() ) );
+    }
+
+    /**
+     * POST /schedules: schedule the selected plugins to be processed on WP-Cron.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function scheduleBatch( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        $selected = $request->get_param( 'selected_plugins' );
+
+        return rest_ensure_response(
+            $this->getScheduler()->schedule(
+                is_array( $selected ) ? $selected : array(),
+                (int) $request->get_param( 'timestamp' ),
+                (bool) $request->get_param( 'maintenance_mode' )
+            )
+        );
+    }
+
+    /**
+     * PUT /schedules/{schedule_id}: move a scheduled batch to another time.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function rescheduleBatch( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response(
+            $this->getScheduler()->reschedule( $this->getScheduleId( $request ), (int) $request->get_param( 'timestamp' ) )
+        );
+    }
+
+    /**
+     * DELETE /schedules/{schedule_id}: cancel a scheduled batch.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function cancelScheduledBatch( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response( $this->getScheduler()->cancel( $this->getScheduleId( $request ) ) );
+    }
+
+    /**
+     * GET /profiles: list profiles with their queue and install status.
+     *
+     * @since 1.1.0
+     *
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function listProfiles(): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response( ( $this->profiles )()->listProfilesResponse() );
+    }
+
+    /**
+     * POST /profiles: save a new profile.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function createProfile( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response(
+            ( $this->profiles )()->saveProfileResponse(
+                sanitize_text_field( (string) $request->get_param( 'name' ) ),
+                $request->get_param( 'plugins' ) ?? array()
+            )
+        );
+    }
+
+    /**
+     * POST /profiles/import: import a profile from JSON.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function importProfile( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response( ( $this->profiles )()->importProfileResponse( (string) $request->get_param( 'profile_json' ) ) );
+    }
+
+    /**
+     * GET /profiles/{id}/export: export a profile as JSON, or as a manifest with `format=manifest`.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function exportProfile( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response(
+            ( $this->profiles )()->exportProfileResponse( absint( $request->get_param( 'id' ) ), (string) ( $request->get_param( 'format' ) ?? 'profile' ) )
+        );
+    }
+
+    /**
+     * PUT /profiles/{id}: rename a profile and replace its plugin list.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function updateProfile( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response(
+            ( $this->profiles )()->updateProfileResponse(
+                absint( $request->get_param( 'id' ) ),
+                sanitize_text_field( (string) $request->get_param( 'name' ) ),
+                $request->get_param( 'plugins' ) ?? array()
+            )
+        );
+    }
+
+    /**
+     * DELETE /profiles/{id}: delete a profile.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function deleteProfile( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response( ( $this->profiles )()->deleteProfileResponse( absint( $request->get_param( 'id' ) ) ) );
+    }
+
+    /**
+     * GET /log: get a page of log entries.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function getLog( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response( $this->logManager->getLogPage( $request->get_params() ) );
+    }
+
+    /**
+     * GET /log/export: export the filtered log as CSV or JSON.
+     *
+     * @since 1.1.0
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function exportLog( \WP_REST_Request $request ): \WP_REST_Response|\WP_Error {
+        return rest_ensure_response( $this->logManager->exportLog( $request->get_params() ) );
+    }
+
+    /**
+     * DELETE /log: clear all log entries.
+     *
+     * @since 1.1.0
+     *
+     * @return \WP_REST_Response|\WP_Error Response.
+     */
+    public function clearLog(): \WP_REST_Response|\WP_Error {
+        $this->logManager->clear();
+
+        return rest_ensure_response( array( 'message' => __( 'Activity log cleared.', 'bulk-plugin-installer' ) ) );
+    }
+
+    // ------------------------------------------------------------------
+    // Private helpers
+    // ------------------------------------------------------------------
+
+    /**
+     * Build the options of a single endpoint of a route.
+     *
+     * @param string $methods    HTTP methods, a WP_REST_Server constant.
+     * @param string $callback   Name of the callback method.
+     * @param string $permission Name of the permission callback method.
+     * @param array  $args       Endpoint arguments.
+     * @return array Endpoint options for register_rest_route().
+     */
+    private function endpoint( string $methods, string $callback, string $permission = 'canManageSettings', array $args = array() ): array {
+        return array(
+            'methods'             => $methods,
+            'callback'            => array( $this, $callback ),
+            'permission_callback' => array( $this, $permission ),
+            'args'                => $args,
+        );
+    }
+
+    /**
+     * Check whether a request asks for the Network Admin context.
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return bool True on a multisite when the `network` parameter is set.
+     */
+    private function isNetworkRequest( \WP_REST_Request $request ): bool {
+        return function_exists( 'is_multisite' ) && is_multisite() && (bool) $request->get_param( 'network' );
+    }
+
+    /**
+     * Get the sanitized batch ID from the route.
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return string Batch ID.
+     */
+    private function getBatchId( \WP_REST_Request $request ): string {
+        return sanitize_text_field( (string) $request->get_param( 'batch_id' ) );
+    }
+
+    /**
+     * Get the sanitized schedule ID from the route.
+     *
+     * @param \WP_REST_Request $request Request.
+     * @return string Schedule ID.
+     */
+    private function getScheduleId( \WP_REST_Request $request ): string {
+        return sanitize_text_field( (string) $request->get_param( 'schedule_id' ) );
+    }
+
+    /**
+     * Get the batch scheduler.
+     *
+     * @return BPIBatchScheduler Batch scheduler.
+     */
+    private function getScheduler(): BPIBatchScheduler {
+        return $this->scheduler ??= new BPIBatchScheduler( $this->processor );
+    }
+}
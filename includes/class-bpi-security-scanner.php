@@ -0,0 +1,312 @@
+<?php
+/**
+ * Security Scanner for Bulk Plugin Installer.
+ *
+ * Looks for risky code patterns and files in uploaded plugin ZIPs.
+ *
+ * @package BulkPluginInstaller
+ */
+
+// Abort if this file is called directly.
+if ( ! defined( 'ABSPATH' ) ) {
+    exit;
+}
+
+/**
+ * Statically scans plugin ZIPs for patterns common in malicious code.
+ *
+ * PHP and JS files are matched against the content rules
+ * (eval of decoded payloads, remote includes, long base64 blobs); every
+ * entry is also checked for executables and server configuration files.
+ * Nothing is executed or extracted to disk.
+ *
+ * @since 1.1.0
+ */
+class BPISecurityScanner {
+
+    /**
+     * Severity of findings that can block installation.
+     *
+     * @var string
+     */
+    public const SEVERITY_HIGH = 'high';
+
+    /**
+     * Severity of findings that are only reported.
+     *
+     * @var string
+     */
+    public const SEVERITY_MEDIUM = 'medium';
+
+    /**
+     * File extensions whose contents are scanned.
+     *
+     * @var string[]
+     */
+    private const SCANNED_EXTENSIONS = array( 'php', 'phtml', 'inc', 'js' );
+
+    /**
+     * File extensions of executables that have no place in a plugin.
+     *
+     * @var string[]
+     */
+    private const EXECUTABLE_EXTENSIONS = array( 'exe', 'dll', 'so', 'dylib', 'bin', 'msi', 'bat', 'cmd', 'com', 'sh', 'phar' );
+
+    /**
+     * File names that change how the web server handles requests.
+     *
+     * @var string[]
+     */
+    private const SERVER_CONFIG_FILES = array( '.htaccess', '.user.ini' );
+
+    /**
+     * Largest file, in bytes, whose contents are scanned.
+     *
+     * @var int
+     */
+    private const MAX_SCAN_BYTES = 2097152;
+
+    /**
+     * Maximum number of findings reported per plugin.
+     *
+     * @var int
+     */
+    private const MAX_FINDINGS = 50;
+
+    /**
+     * Scan a plugin ZIP.
+     *
+     * @since 1.1.0
+     *
+     * @param string $zip_path Path to the plugin ZIP.
+     * @return array[] {
+     *     Findings, high severity first and at most MAX_FINDINGS; empty if
+     *     nothing was found or the ZIP cannot be opened.
+     *
+     *     @type string $rule     Rule identifier.
+     *     @type string $severity SEVERITY_HIGH or SEVERITY_MEDIUM.
+     *     @type string $file     Path of the file inside the ZIP.
+     *     @type int    $line     Line number, or 0 for findings about the file itself.
+     *     @type string $message  Human-readable description.
+     * }
+     */
+    public function scan( string $zip_path ): array {
+        $zip = new \ZipArchive();
+        if ( ! is_file( $zip_path ) || true !== $zip->open( $zip_path ) ) {
+            return array();
+        }
+
+        $rules = $this->getContentRules();
+
+        // Every file is scanned, and high-severity findings are kept apart
+        // from the rest, so a flood of medium findings cannot crowd out the
+        // finding that blocks installation.
+        $findings = array(
+            self::SEVERITY_HIGH   => array(),
+            self::SEVERITY_MEDIUM => array(),
+        );
+
+        for ( $i = 0; $i < $zip->numFiles; $i++ ) {
+            $stat = $zip->statIndex( $i );
+            $name = $stat['name'] ?? '';
+            if ( '' === $name || str_ends_with( $name, '/' ) ) {
+                continue;
+            }
+
+            $file_findings = array();
+
+            $file_finding = $this->checkFileName( $name );
+            if ( null !== $file_finding ) {
+                $file_findings[] = $file_finding;
+            }
+
+            $extension = strtolower( pathinfo( $name, PATHINFO_EXTENSION ) );
+            if ( in_array( $extension, self::SCANNED_EXTENSIONS, true ) ) {
+                if ( $stat['size'] > self::MAX_SCAN_BYTES ) {
+                    // Padding PHP code past the size limit must not get it past a blocking scan.
+                    if ( 'js' !== $extension ) {
+                        $file_findings[] = $this->buildFinding( 'too_large', self::SEVERITY_HIGH, $name, 0, __( 'PHP file too large to scan.', 'bulk-plugin-installer' ) );
+                    }
+                } else {
+                    $contents = $zip->getFromIndex( $i );
+                    if ( false !== $contents ) {
+                        $file_findings = array_merge( $file_findings, $this->scanContents( $name, $contents, $rules ) );
+                    }
+                }
+            }
+
+            foreach ( $file_findings as $finding ) {
+                if ( count( $findings[ $finding['severity'] ] ) < self::MAX_FINDINGS ) {
+                    $findings[ $finding['severity'] ][] = $finding;
+                }
+            }
+        }
+
+        $zip->close();
+
+        return array_slice( array_merge( $findings[ self::SEVERITY_HIGH ], $findings[ self::SEVERITY_MEDIUM ] ), 0, self::MAX_FINDINGS );
+    }
+
+    /**
+     * Check whether findings contain a high-severity finding.
+     *
+     * @since 1.1.0
+     *
+     * @param array[] $findings Findings from scan().
+     * @return bool True if any finding is high severity.
+     */
+    public function hasHighSeverity( array $findings ): bool {
+        foreach ( $findings as $finding ) {
+            if ( self::SEVERITY_HIGH === ( $finding['severity'] ?? '' ) ) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Check whether findings block installation under the current settings.
+     *
+     * @since 1.1.0
+     *
+     * @param array[] $findings Findings from scan().
+     * @return bool True if the scan is set to block and a high-severity finding exists.
+     */
+    public function blocksInstall( array $findings ): bool {
+        return 'block' === $this->getMode() && $this->hasHighSeverity( $findings );
+    }
+
+    /**
+     * Get the configured scan mode.
+     *
+     * @since 1.1.0
+     *
+     * @return string 'off', 'warn' or 'block'.
+     */
+    public function getMode(): string {
+        return (string) ( new BPISettingsManager() )->getOption( 'bpi_security_scan' );
+    }
+
+    // ------------------------------------------------------------------
+    // Private helpers
+    // ------------------------------------------------------------------
+
+    /**
+     * Get the content rules, filtered through `bpi_security_scan_rules`.
+     *
+     * @return array<string, array{pattern: string, severity: string, message: string}> Rules keyed by identifier.
+     */
+    private function getContentRules(): array {
+        $rules = array(
+            'eval_decoded'    => array(
+                'pattern'  => '/\b(?:eval|assert)\s*\(\s*(?:base64_decode|gzinflate|gzuncompress|gzdecode|str_rot13|hex2bin|convert_uudecode)\s*\(/i',
+                'severity' => self::SEVERITY_HIGH,
+                'message'  => __( 'Evaluates decoded data as code.', 'bulk-plugin-installer' ),
+            ),
+            'remote_include'  => array(
+                'pattern'  => '/\b(?:include|require)(?:_once)?\s*\(?\s*[\'"](?:https?|ftp|data):/i',
+                'severity' => self::SEVERITY_HIGH,
+                'message'  => __( 'Includes code from a remote URL.', 'bulk-plugin-installer' ),
+            ),
+            'obfuscated_blob' => array(
+                'pattern'  => '/[\'"][A-Za-z0-9+\/]{1000,}={0,2}[\'"]/',
+                'severity' => self::SEVERITY_MEDIUM,
+                'message'  => __( 'Contains a long base64-encoded string, which may hide obfuscated code.', 'bulk-plugin-installer' ),
+            ),
+        );
+
+        /**
+         * Filters the content rules of the upload security scan.
+         *
+         * @since 1.1.0
+         *
+         * @param array $rules Rules keyed by identifier, each with a regular
+         *                     expression 'pattern' matched against the whole
+         *                     file, a 'severity' ('high' or 'medium') and a
+         *                     'message'.
+         */
+        $rules = (array) apply_filters( 'bpi_security_scan_rules', $rules );
+
+        return array_filter( $rules, function ( $rule ) {
+            return is_array( $rule ) && ! empty( $rule['pattern'] ) && is_string( $rule['pattern'] );
+        } );
+    }
+
+    /**
+     * Check a ZIP entry name for executables and server configuration files.
+     *
+     * @param string $name Path of the file inside the ZIP.
+     * @return array|null Finding, or null if the file name is unremarkable.
+     */
+    private function checkFileName( string $name ): ?array {
+        $basename  = strtolower( basename( $name ) );
+        $extension = strtolower( pathinfo( $name, PATHINFO_EXTENSION ) );
+
+        if ( in_array( $extension, self::EXECUTABLE_EXTENSIONS, true ) ) {
+            return $this->buildFinding( 'executable', self::SEVERITY_HIGH, $name, 0, __( 'Contains an executable file.', 'bulk-plugin-installer' ) );
+        }
+
+        if ( in_array( $basename, self::SERVER_CONFIG_FILES, true ) ) {
+            return $this->buildFinding( 'server_config', self::SEVERITY_MEDIUM, $name, 0, __( 'Contains a server configuration file that can change how requests are handled.', 'bulk-plugin-installer' ) );
+        }
+
+        return null;
+    }
+
+    /**
+     * Match file contents against the content rules.
+     *
+     * Rules are matched against the whole file, so a call split over
+     * several lines is still found; the line number is that of the start
+     * of the match.
+     *
+     * @param string $name     Path of the file inside the ZIP.
+     * @param string $contents File contents.
+     * @param array  $rules    Content rules.
+     * @return array[] Findings, ordered by line.
+     */
+    private function scanContents( string $name, string $contents, array $rules ): array {
+        $findings = array();
+        $contents = str_replace( array( "\r\n", "\r" ), "\n", $contents );
+
+        foreach ( $rules as $rule_id => $rule ) {
+            if ( ! preg_match_all( $rule['pattern'], $contents, $matches, PREG_OFFSET_CAPTURE ) ) {
+                continue;
+            }
+
+            foreach ( $matches[0] as $match ) {
+                $findings[] = $this->buildFinding(
+                    (string) $rule_id,
+                    self::SEVERITY_HIGH === ( $rule['severity'] ?? '' ) ? self::SEVERITY_HIGH : self::SEVERITY_MEDIUM,
+                    $name,
+                    substr_count( $contents, "\n", 0, $match[1] ) + 1,
+                    (string) ( $rule['message'] ?? '' )
+                );
+            }
+        }
+
+        usort( $findings, fn( $a, $b ) => $a['line'] <=> $b['line'] );
+
+        return $findings;
+    }
+
+    /**
+     * Build a single finding.
+     *
+     * @param string $rule     Rule identifier.
+     * @param string $severity Severity.
+     * @param string $file     Path of the file inside the ZIP.
+     * @param int    $line     Line number, or 0.
+     * @param string $message  Description.
+     * @return array Finding.
+     */
+    private function buildFinding( string $rule, string $severity, string $file, int $line, string $message ): array {
+        return array(
+            'rule'     => $rule,
+            'severity' => $severity,
+            'file'     => $file,
+            'line'     => $line,
+            'message'  => $message,
+        );
+    }
+}
@@ -54,13 +54,33 @@ class BPISettingsManager {
         'bpi_auto_activate'            => false,
         'bpi_max_plugins'              => 20,
         'bpi_auto_rollback'            => true,
+        'bpi_health_check'             => 'off',
+        'bpi_known_conflicts'          => '',
+        'bpi_security_scan'            => 'warn',
         'bpi_max_file_size'            => 0,
+        'bpi_upload_concurrency'       => 3,
         'bpi_rollback_retention'       => 24,
         'bpi_email_notifications'      => false,
         'bpi_email_recipients'         => '',
+        'bpi_maintenance_message'      => '',
+        'bpi_maintenance_allowed_ips'  => '',
         'bpi_delete_data_on_uninstall' => false,
     );
 
+    /**
+     * Allowed values for the post-activation health check setting.
+     *
+     * @var string[]
+     */
+    private const HEALTH_CHECK_MODES = array( 'off', 'plugin', 'batch' );
+
+    /**
+     * Allowed values for the upload security scan setting.
+     *
+     * @var string[]
+     */
+    private const SECURITY_SCAN_MODES = array( 'off', 'warn', 'block' );
+
     /**
      * Register all settings with the WordPress Settings API.
      *
@@ -123,6 +143,53 @@ class BPISettingsManager {
             )
         );
 
+        add_settings_field(
+            'bpi_health_check',
+            __( 'Site Health Check', 'bulk-plugin-installer' ),
+            array( $this, 'renderSelectField' ),
+            self::PAGE_SLUG,
+            self::SECTION_ID,
+            array(
+                'key'         => 'bpi_health_check',
+                'description' => __( 'Load the home page and the admin after activation and roll back if either returns a server error or a PHP fatal error.', 'bulk-plugin-installer' ),
+                'options'     => array(
+                    'off'    => __( 'Off', 'bulk-plugin-installer' ),
+                    'plugin' => __( 'After each plugin', 'bulk-plugin-installer' ),
+                    'batch'  => __( 'After the batch', 'bulk-plugin-installer' ),
+                ),
+            )
+        );
+
+        add_settings_field(
+            'bpi_known_conflicts',
+            __( 'Known Plugin Conflicts', 'bulk-plugin-installer' ),
+            array( $this, 'renderTextareaField' ),
+            self::PAGE_SLUG,
+            self::SECTION_ID,
+            array(
+                'key'         => 'bpi_known_conflicts',
+                'description' => __( 'Pairs of plugin slugs that conflict, one pair per line, separated by a comma. The preview flags a plugin whose counterpart is active or queued.', 'bulk-plugin-installer' ),
+                'placeholder' => 'plugin-a, plugin-b',
+            )
+        );
+
+        add_settings_field(
+            'bpi_security_scan',
+            __( 'Security Scan', 'bulk-plugin-installer' ),
+            array( $this, 'renderSelectField' ),
+            self::PAGE_SLUG,
+            self::SECTION_ID,
+            array(
+                'key'         => 'bpi_security_scan',
+                'description' => __( 'Scan uploaded plugins for risky code such as eval of decoded data, remote includes, obfuscated strings, executables and .htaccess files. Findings are shown on the preview screen.', 'bulk-plugin-installer' ),
+                'options'     => array(
+                    'off'   => __( 'Off', 'bulk-plugin-installer' ),
+                    'warn'  => __( 'Show findings', 'bulk-plugin-installer' ),
+                    'block' => __( 'Show findings and block high-severity findings', 'bulk-plugin-installer' ),
+                ),
+            )
+        );
+
         add_settings_field(
             'bpi_max_file_size',
             __( 'Maximum File Size (MB)', 'bulk-plugin-installer' ),
@@ -137,6 +204,20 @@ class BPISettingsManager {
             )
         );
 
+        add_settings_field(
+            'bpi_upload_concurrency',
+            __( 'Simultaneous Uploads', 'bulk-plugin-installer' ),
+            array( $this, 'renderNumberField' ),
+            self::PAGE_SLUG,
+            self::SECTION_ID,
+            array(
+                'key'         => 'bpi_upload_concurrency',
+                'description' => __( 'Number of ZIP files uploaded at the same time (1-10). Further files wait in the queue.', 'bulk-plugin-installer' ),
+                'min'         => 1,
+                'max'         => 10,
+            )
+        );
+
         add_settings_field(
             'bpi_rollback_retention',
             __( 'Rollback Retention (Hours)', 'bulk-plugin-installer' ),
@@ -176,6 +257,32 @@ class BPISettingsManager {
             )
         );
 
+        add_settings_field(
+            'bpi_maintenance_message',
+            __( 'Maintenance Page Message', 'bulk-plugin-installer' ),
+            array( $this, 'renderTextareaField' ),
+            self::PAGE_SLUG,
+            self::SECTION_ID,
+            array(
+                'key'         => 'bpi_maintenance_message',
+                'description' => __( 'Shown to visitors while a batch runs with maintenance mode. Leave empty for the default message.', 'bulk-plugin-installer' ),
+                'placeholder' => __( 'Briefly unavailable for scheduled maintenance. Check back in a minute.', 'bulk-plugin-installer' ),
+            )
+        );
+
+        add_settings_field(
+            'bpi_maintenance_allowed_ips',
+            __( 'Maintenance Mode Allowed IPs', 'bulk-plugin-installer' ),
+            array( $this, 'renderTextareaField' ),
+            self::PAGE_SLUG,
+            self::SECTION_ID,
+            array(
+                'key'         => 'bpi_maintenance_allowed_ips',
+                'description' => __( 'IP addresses that see the site instead of the maintenance page, one per line. Logged-in administrators always see the site.', 'bulk-plugin-installer' ),
+                'placeholder' => '203.0.113.10',
+            )
+        );
+
         add_settings_field(
             'bpi_delete_data_on_uninstall',
             __( 'Delete Data on Uninstall', 'bulk-plugin-installer' ),
@@ -223,13 +330,28 @@ class BPISettingsManager {
             __( 'Maximum plugins must be a positive integer between 1 and 100.', 'bulk-plugin-installer' )
         );
         $sanitized['bpi_auto_rollback']       = ! empty( $input['bpi_auto_rollback'] );
+        $sanitized['bpi_health_check']        = in_array( $input['bpi_health_check'] ?? '', self::HEALTH_CHECK_MODES, true )
+            ? $input['bpi_health_check']
+            : (string) $this->getOption( 'bpi_health_check' );
+        $sanitized['bpi_known_conflicts']     = $this->sanitizeKnownConflicts( $input );
+        $sanitized['bpi_security_scan']       = in_array( $input['bpi_security_scan'] ?? '', self::SECURITY_SCAN_MODES, true )
+            ? $input['bpi_security_scan']
+            : (string) $this->getOption( 'bpi_security_scan' );
         $sanitized['bpi_max_file_size']       = $this->sanitizeNonNegativeInt( $input, 'bpi_max_file_size' );
+        $sanitized['bpi_upload_concurrency']  = $this->sanitizeIntRange(
+            $input, 'bpi_upload_concurrency', 1, 10, 'bpi_invalid_upload_concurrency',
+            __( 'Simultaneous uploads must be between 1 and 10.', 'bulk-plugin-installer' )
+        );
         $sanitized['bpi_rollback_retention']  = $this->sanitizeIntRange(
             $input, 'bpi_rollback_retention', 1, 720, 'bpi_invalid_rollback_retention',
             __( 'Rollback retention must be between 1 and 720 hours.', 'bulk-plugin-installer' )
         );
         $sanitized['bpi_email_notifications'] = ! empty( $input['bpi_email_notifications'] );
         $sanitized['bpi_email_recipients']    = $this->sanitizeEmailRecipients( $input );
+        $sanitized['bpi_maintenance_message'] = isset( $input['bpi_maintenance_message'] )
+            ? sanitize_textarea_field( (string) $input['bpi_maintenance_message'] )
+            : (string) $this->getOption( 'bpi_maintenance_message' );
+        $sanitized['bpi_maintenance_allowed_ips'] = $this->sanitizeMaintenanceAllowedIps( $input );
         $sanitized['bpi_delete_data_on_uninstall'] = ! empty( $input['bpi_delete_data_on_uninstall'] );
 
         // Persist each setting as an individual option.
@@ -334,6 +456,143 @@ class BPISettingsManager {
         return implode( ', ', $valid_emails );
     }
 
+    /**
+     * Sanitize the IP addresses allowed through the maintenance page.
+     *
+     * @param array $input Raw input.
+     * @return string Sanitized list, one IP address per line.
+     */
+    private function sanitizeMaintenanceAllowedIps( array $input ): string {
+        if ( ! isset( $input['bpi_maintenance_allowed_ips'] ) ) {
+            return (string) $this->getOption( 'bpi_maintenance_allowed_ips' );
+        }
+
+        $ips = $this->parseIpList( (string) $input['bpi_maintenance_allowed_ips'], $has_invalid );
+
+        if ( $has_invalid ) {
+            add_settings_error(
+                'bpi_settings',
+                'bpi_invalid_maintenance_allowed_ips',
+                __( 'One or more allowed IP addresses are invalid.', 'bulk-plugin-installer' ),
+                'error'
+            );
+            return (string) $this->getOption( 'bpi_maintenance_allowed_ips' );
+        }
+
+        return implode( "\n", $ips );
+    }
+
+    /**
+     * Sanitize the known conflicts setting.
+     *
+     * Each non-empty line must name two different plugin slugs separated
+     * by a comma. Lines are normalized to "slug-a, slug-b".
+     *
+     * @param array $input Raw input.
+     * @return string Sanitized list, one pair per line.
+     */
+    private function sanitizeKnownConflicts( array $input ): string {
+        if ( ! isset( $input['bpi_known_conflicts'] ) ) {
+            return (string) $this->getOption( 'bpi_known_conflicts' );
+        }
+
+        $pairs = $this->parseConflictPairs( (string) $input['bpi_known_conflicts'], $has_invalid );
+
+        if ( $has_invalid ) {
+            add_settings_error(
+                'bpi_settings',
+                'bpi_invalid_known_conflicts',
+                __( 'Each known conflict must be two different plugin slugs separated by a comma.', 'bulk-plugin-installer' ),
+                'error'
+            );
+            return (string) $this->getOption( 'bpi_known_conflicts' );
+        }
+
+        return implode( "\n", array_map( function ( $pair ) {
+            return implode( ', ', $pair );
+        }, $pairs ) );
+    }
+
+    /**
+     * Get the plugin pairs the admin marked as conflicting.
+     *
+     * Invalid lines in the stored option are ignored.
+     *
+     * @since 1.1.0
+     *
+     * @return array<int, array{0: string, 1: string}> Pairs of plugin slugs.
+     */
+    public function getKnownConflicts(): array {
+        return $this->parseConflictPairs( (string) $this->getOption( 'bpi_known_conflicts' ), $has_invalid );
+    }
+
+    /**
+     * Get the IP addresses allowed through the maintenance page.
+     *
+     * Invalid entries in the stored option are ignored.
+     *
+     * @since 1.1.0
+     *
+     * @return string[] IP addresses.
+     */
+    public function getMaintenanceAllowedIps(): array {
+        return $this->parseIpList( (string) $this->getOption( 'bpi_maintenance_allowed_ips' ), $has_invalid );
+    }
+
+    /**
+     * Parse a list of IP addresses, separated by new lines or commas.
+     *
+     * @param string    $raw         Raw list.
+     * @param bool|null $has_invalid Set to whether any non-empty entry was invalid.
+     * @return string[] Valid, unique IP addresses.
+     */
+    private function parseIpList( string $raw, ?bool &$has_invalid ): array {
+        $ips         = array();
+        $has_invalid = false;
+
+        foreach ( preg_split( '/[\s,]+/', $raw, -1, PREG_SPLIT_NO_EMPTY ) as $ip ) {
+            if ( false === filter_var( $ip, FILTER_VALIDATE_IP ) ) {
+                $has_invalid = true;
+                continue;
+            }
+
+            $ips[] = $ip;
+        }
+
+        return array_values( array_unique( $ips ) );
+    }
+
+    /**
+     * Parse a list of conflicting plugin pairs, one per line.
+     *
+     * @param string    $raw         Raw list.
+     * @param bool|null $has_invalid Set to whether any non-empty line was invalid.
+     * @return array<int, array{0: string, 1: string}> Valid pairs of plugin slugs.
+     */
+    private function parseConflictPairs( string $raw, ?bool &$has_invalid ): array {
+        $pairs       = array();
+        $has_invalid = false;
+
+        foreach ( preg_split( '/\r\n|\r|\n/', $raw ) as $line ) {
+            if ( '' === trim( $line ) ) {
+                continue;
+            }
+
+            $slugs = array_map( function ( $slug ) {
+                return preg_replace( '/[^a-z0-9-]/', '', strtolower( trim( $slug ) ) );
+            }, explode( ',', $line ) );
+
+            if ( 2 !== count( $slugs ) || '' === $slugs[0] || '' === $slugs[1] || $slugs[0] === $slugs[1] ) {
+                $has_invalid = true;
+                continue;
+            }
+
+            $pairs[] = $slugs;
+        }
+
+        return $pairs;
+    }
+
     /**
      * Add the settings page under the WordPress Settings menu.
      *
@@ -352,8 +611,8 @@ class BPISettingsManager {
     /**
      * Render the settings page HTML.
      *
-     * Displays the settings form and the last 50 activity log entries
-     * with a clear log button.
+     * Displays the settings form, the plugin profiles manager and the last
+     * 50 activity log entries with a clear log button.
      *
      * @since 1.0.0
      */
@@ -372,9 +631,17 @@ class BPISettingsManager {
 
             <hr />
 
+            <div id="bpi-profile-manager" class="bpi-profile-manager">
+                <?php ( new BPIProfileManager() )->renderProfilesList(); ?>
+            </div>
+
+            <hr />
+
             <h2><?php esc_html_e( 'Activity Log', 'bulk-plugin-installer' ); ?></h2>
 
-            <?php $this->renderLogSection(); ?>
+            <div id="bpi-log-viewer" class="bpi-log-viewer">
+                <?php $this->renderLogSection(); ?>
+            </div>
         </div>
         <?php
     }
@@ -463,6 +730,54 @@ class BPISettingsManager {
         <?php
     }
 
+    /**
+     * Render a textarea settings field.
+     *
+     * @param array $args Field arguments including 'key', 'description', 'placeholder'.
+     *
+     * @since 1.1.0
+     */
+    public function renderTextareaField( array $args ): void {
+        $key         = $args['key'];
+        $value       = $this->getOption( $key );
+        $placeholder = $args['placeholder'] ?? '';
+        ?>
+        <textarea
+            id="<?php echo esc_attr( $key ); ?>"
+            name="bpi_settings[<?php echo esc_attr( $key ); ?>]"
+            rows="5"
+            placeholder="<?php echo esc_attr( $placeholder ); ?>"
+            aria-describedby="<?php echo esc_attr( $key ); ?>-description"
+            class="large-text code"
+        ><?php echo esc_textarea( (string) $value ); ?></textarea>
+        <p id="<?php echo esc_attr( $key ); ?>-description" class="description"><?php echo esc_html( $args['description'] ?? '' ); ?></p>
+        <?php
+    }
+
+    /**
+     * Render a select settings field.
+     *
+     * @param array $args Field arguments including 'key', 'description', 'options'.
+     *
+     * @since 1.1.0
+     */
+    public function renderSelectField( array $args ): void {
+        $key   = $args['key'];
+        $value = (string) $this->getOption( $key );
+        ?>
+        <select
+            id="<?php echo esc_attr( $key ); ?>"
+            name="bpi_settings[<?php echo esc_attr( $key ); ?>]"
+            aria-describedby="<?php echo esc_attr( $key ); ?>-description"
+        >
+            <?php foreach ( $args['options'] ?? array() as $option => $label ) : ?>
+                <option value="<?php echo esc_attr( (string) $option ); ?>" <?php selected( $value, (string) $option ); ?>><?php echo esc_html( $label ); ?></option>
+            <?php endforeach; ?>
+        </select>
+        <p id="<?php echo esc_attr( $key ); ?>-description" class="description"><?php echo esc_html( $args['description'] ?? '' ); ?></p>
+        <?php
+    }
+
     /**
      * Render the activity log section with the last 50 entries and a clear button.
      */
@@ -0,0 +1,92 @@
+<?php
+/**
+ * Local stand-in for BPIHttpSource.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Support;
+
+use BPIHttpSource;
+
+/**
+ * Serves plugin ZIPs from the local filesystem instead of the network.
+ *
+ * Register a file per URL with serve(), or a directory with serveDirectory()
+ * to answer any URL whose file name exists in it. Unknown URLs fail with an
+ * `http_404` error, and every requested URL is recorded in $requests.
+ */
+class LocalHttpSource extends BPIHttpSource {
+
+    /**
+     * Requested URLs, in order.
+     *
+     * @var string[]
+     */
+    public array $requests = array();
+
+    /**
+     * Files served per URL.
+     *
+     * @var array<string, string>
+     */
+    private array $files = array();
+
+    /**
+     * Directories searched by URL file name.
+     *
+     * @var string[]
+     */
+    private array $directories = array();
+
+    /**
+     * Serve a local file for a URL.
+     *
+     * @param string $url  URL.
+     * @param string $path Local file path.
+     * @return static
+     */
+    public function serve( string $url, string $path ): static {
+        $this->files[ $url ] = $path;
+        return $this;
+    }
+
+    /**
+     * Serve any URL whose file name exists in a local directory.
+     *
+     * @param string $directory Local directory.
+     * @return static
+     */
+    public function serveDirectory( string $directory ): static {
+        $this->directories[] = rtrim( $directory, '/' );
+        return $this;
+    }
+
+    /**
+     * Copy the file served for a URL to a temporary file.
+     *
+     * @param string $url       URL to download.
+     * @param int    $max_bytes Size limit in bytes; ignored.
+     * @return \WP_Error|string Temporary file path, or WP_Error if nothing is served for the URL.
+     */
+    public function download( string $url, int $max_bytes = 0 ): \WP_Error|string {
+        $this->requests[] = $url;
+
+        $path = $this->files[ $url ] ?? null;
+        foreach ( $this->directories as $directory ) {
+            $candidate = $directory . '/' . basename( (string) parse_url( $url, PHP_URL_PATH ) );
+            if ( null === $path && is_file( $candidate ) ) {
+                $path = $candidate;
+            }
+        }
+
+        if ( null === $path || ! is_file( $path ) ) {
+            return new \WP_Error( 'http_404', 'Not Found' );
+        }
+
+        $tmp = tempnam( sys_get_temp_dir(), 'bpi-local-' );
+        copy( $path, $tmp );
+
+        return $tmp;
+    }
+}
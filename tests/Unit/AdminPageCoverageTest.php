@@ -136,4 +136,167 @@ class AdminPageCoverageTest extends TestCase {
         $this->assertArrayHasKey( 'bpi-admin', $bpi_test_localized_scripts );
         $this->assertArrayHasKey( 'networkActivateNonce', $bpi_test_localized_scripts['bpi-admin']['data'] );
     }
+
+    public function test_enqueue_assets_localizes_inflight_batch(): void {
+        global $bpi_test_localized_scripts, $bpi_test_transients;
+
+        $bpi_test_transients        = array();
+        $bpi_test_localized_scripts = array();
+
+        $this->page->enqueueAssets( 'plugins_page_bpi-bulk-upload' );
+        $this->assertNull( $bpi_test_localized_scripts['bpi-admin']['data']['inflightBatch'] );
+
+        ( new \BPIBatchProgressTracker() )->start( 'bpi_resume', array( array( 'slug' => 'one', 'plugin_name' => 'One' ) ), false );
+        $this->page->enqueueAssets( 'plugins_page_bpi-bulk-upload' );
+
+        $inflight = $bpi_test_localized_scripts['bpi-admin']['data']['inflightBatch'];
+        $this->assertSame( 'bpi_resume', $inflight['batch_id'] );
+        $this->assertSame( 0, $inflight['processed'] );
+        $this->assertSame( 'one', $inflight['plugins'][0]['slug'] );
+    }
+
+    public function test_upload_chunk_size_stays_below_server_upload_limit(): void {
+        global $bpi_test_max_upload_size;
+
+        $bpi_test_max_upload_size = 64 * 1024 * 1024;
+        $this->assertSame( \BPIAdminPage::UPLOAD_CHUNK_SIZE, $this->page->getUploadChunkSize() );
+
+        $bpi_test_max_upload_size = 1024 * 1024;
+        $this->assertSame( 1024 * 1024 - 65536, $this->page->getUploadChunkSize() );
+
+        $bpi_test_max_upload_size = null;
+    }
+
+    public function test_enqueue_assets_localizes_chunk_size(): void {
+        global $bpi_test_localized_scripts;
+
+        $bpi_test_localized_scripts = array();
+
+        $this->page->enqueueAssets( 'plugins_page_bpi-bulk-upload' );
+
+        $this->assertSame( $this->page->getUploadChunkSize(), $bpi_test_localized_scripts['bpi-admin']['data']['chunkSize'] );
+    }
+
+    public function test_enqueue_assets_localizes_upload_concurrency(): void {
+        global $bpi_test_localized_scripts, $bpi_test_options;
+
+        $bpi_test_localized_scripts = array();
+        $bpi_test_options['bpi_upload_concurrency'] = 5;
+
+        $this->page->enqueueAssets( 'plugins_page_bpi-bulk-upload' );
+
+        $this->assertSame( 5, $bpi_test_localized_scripts['bpi-admin']['data']['uploadConcurrency'] );
+        unset( $bpi_test_options['bpi_upload_concurrency'] );
+    }
+
+    public function test_enqueue_assets_localizes_zip_inspection_messages(): void {
+        global $bpi_test_localized_scripts;
+
+        $bpi_test_localized_scripts = array();
+
+        $this->page->enqueueAssets( 'plugins_page_bpi-bulk-upload' );
+
+        $i18n = $bpi_test_localized_scripts['bpi-admin']['data']['i18n'];
+        foreach ( array( 'zipRejected', 'zipInvalid', 'zipTooManyEntries', 'zipPathTraversal', 'zipSymlink', 'zipBomb', 'zipNested', 'zipTheme', 'zipNoPlugin', 'zipNoHeader' ) as $key ) {
+            $this->assertArrayHasKey( $key, $i18n, "i18n key '{$key}' should be localized" );
+        }
+    }
+
+    public function test_enqueue_assets_localizes_remote_source_strings(): void {
+        global $bpi_test_localized_scripts;
+
+        $bpi_test_localized_scripts = array();
+
+        $this->page->enqueueAssets( 'plugins_page_bpi-bulk-upload' );
+
+        $i18n = $bpi_test_localized_scripts['bpi-admin']['data']['i18n'];
+        foreach ( array( 'addFromUrls', 'remoteSourcesHelp', 'remotePlaceholder', 'addRemote', 'fetchingRemote', 'remoteAddFailed' ) as $key ) {
+            $this->assertArrayHasKey( $key, $i18n, "i18n key '{$key}' should be localized" );
+        }
+    }
+
+    public function test_enqueue_assets_localizes_profile_picker(): void {
+        global $bpi_test_localized_scripts;
+
+        $bpi_test_localized_scripts = array();
+
+        $this->page->enqueueAssets( 'plugins_page_bpi-bulk-upload' );
+
+        $data = $bpi_test_localized_scripts['bpi-admin']['data'];
+        $this->assertArrayHasKey( 'listProfilesNonce', $data );
+        foreach ( array( 'applyProfile', 'noProfile', 'profileInQueue', 'profileInstalled', 'profileZipMissing', 'profileMissingZips', 'profileReady', 'profileApplied', 'profilePreselected' ) as $key ) {
+            $this->assertArrayHasKey( $key, $data['i18n'], "i18n key '{$key}' should be localized" );
+        }
+    }
+
+    public function test_enqueue_assets_loads_on_settings_page_for_profile_manager(): void {
+        global $bpi_test_localized_scripts;
+
+        $bpi_test_localized_scripts = array();
+
+        $this->page->enqueueAssets( 'settings_page_bpi-settings' );
+
+        $data = $bpi_test_localized_scripts['bpi-admin']['data'];
+        foreach ( array( 'listProfilesNonce', 'exportProfileNonce', 'importProfileNonce', 'updateProfileNonce', 'deleteProfileNonce' ) as $key ) {
+            $this->assertArrayHasKey( $key, $data );
+        }
+        foreach ( array( 'profilesHeading', 'editProfileLabel', 'confirmDeleteProfile', 'invalidProfileJson', 'removeEntryLabel' ) as $key ) {
+            $this->assertArrayHasKey( $key, $data['i18n'], "i18n key '{$key}' should be localized" );
+        }
+    }
+
+    public function test_enqueue_assets_localizes_log_viewer(): void {
+        global $bpi_test_localized_scripts;
+
+        $bpi_test_localized_scripts = array();
+
+        $this->page->enqueueAssets( 'settings_page_bpi-settings' );
+
+        $data = $bpi_test_localized_scripts['bpi-admin']['data'];
+        $this->assertArrayHasKey( 'getLogNonce', $data );
+        $this->assertArrayHasKey( 'clearLogNonce', $data );
+        $this->assertArrayHasKey( 'batch_rollback', $data['logActions'] );
+        foreach ( array( 'allActions', 'exportLogCsv', 'confirmClearLog', 'logPageOf', 'logDetailsLabel' ) as $key ) {
+            $this->assertArrayHasKey( $key, $data['i18n'], "i18n key '{$key}' should be localized" );
+        }
+    }
+
+    public function test_enqueue_assets_localizes_batch_history(): void {
+        global $bpi_test_localized_scripts;
+
+        $bpi_test_localized_scripts = array();
+
+        $this->page->enqueueAssets( 'plugins_page_bpi-bulk-upload' );
+
+        $data = $bpi_test_localized_scripts['bpi-admin']['data'];
+        $this->assertArrayHasKey( 'batchHistoryNonce', $data );
+        foreach ( array( 'batchHistory', 'noBatchHistory', 'batchRunBy', 'batchExpiresIn', 'durationHours', 'rollbackHistoryLabel', 'rollbackReport' ) as $key ) {
+            $this->assertArrayHasKey( $key, $data['i18n'], "i18n key '{$key}' should be localized" );
+        }
+    }
+
+    public function test_enqueue_assets_localizes_selective_rollback_strings(): void {
+        global $bpi_test_localized_scripts;
+
+        $bpi_test_localized_scripts = array();
+
+        $this->page->enqueueAssets( 'plugins_page_bpi-bulk-upload' );
+
+        $i18n = $bpi_test_localized_scripts['bpi-admin']['data']['i18n'];
+        foreach ( array( 'rollbackSelected', 'rollbackSelectedLabel', 'selectForRollbackLabel', 'confirmRollbackSelected' ) as $key ) {
+            $this->assertArrayHasKey( $key, $i18n, "i18n key '{$key}' should be localized" );
+        }
+    }
+
+    public function test_enqueue_assets_localizes_health_check_strings(): void {
+        global $bpi_test_localized_scripts;
+
+        $bpi_test_localized_scripts = array();
+
+        $this->page->enqueueAssets( 'plugins_page_bpi-bulk-upload' );
+
+        $i18n = $bpi_test_localized_scripts['bpi-admin']['data']['i18n'];
+        $this->assertSame( 'Checking site health…', $i18n['stageCheckingHealth'] );
+        $this->assertSame( 'Rolled back: site health check failed', $i18n['healthCheckRolledBack'] );
+    }
 }
@@ -25,9 +25,10 @@ class AdminPagePreviewTest extends TestCase {
 
         global $bpi_test_hooks, $bpi_test_nonce_valid, $bpi_test_user_can;
         global $bpi_test_json_responses, $bpi_test_transients, $bpi_test_installed_plugins;
-        global $bpi_test_localized_scripts;
+        global $bpi_test_localized_scripts, $bpi_test_options;
 
         $bpi_test_hooks              = array();
+        $bpi_test_options            = array();
         $bpi_test_nonce_valid        = true;
         $bpi_test_user_can           = true;
         $bpi_test_json_responses     = array();
@@ -41,7 +42,9 @@ class AdminPagePreviewTest extends TestCase {
     }
 
     protected function tearDown(): void {
-        $_POST = array();
+        global $bpi_test_options;
+        $bpi_test_options = array();
+        $_POST            = array();
         parent::tearDown();
     }
 
@@ -241,6 +244,73 @@ class AdminPagePreviewTest extends TestCase {
         $this->assertNotEmpty( $plugin['compatibility_issues'] );
     }
 
+    /**
+     * Test that dependencies are listed, sorted first, and unmet ones reported.
+     */
+    public function test_handle_preview_orders_dependencies_and_flags_missing_ones(): void {
+        global $bpi_test_json_responses, $bpi_test_transients;
+
+        $bpi_test_transients['bpi_queue_1'] = array(
+            'value' => array(
+                array(
+                    'slug'             => 'addon-plugin',
+                    'file_path'        => '/tmp/addon-plugin.zip',
+                    'plugin_name'      => 'Addon Plugin',
+                    'plugin_version'   => self::VERSION_100,
+                    'requires_plugins' => 'base-plugin, missing-plugin',
+                ),
+                array(
+                    'slug'             => 'base-plugin',
+                    'file_path'        => '/tmp/base-plugin.zip',
+                    'plugin_name'      => 'Base Plugin',
+                    'plugin_version'   => self::VERSION_100,
+                    'requires_plugins' => '',
+                ),
+            ),
+            'expiration' => 3600,
+        );
+
+        $_POST['_wpnonce'] = 'nonce_bpi_preview';
+
+        $this->adminPage->handlePreview();
+
+        $plugins = $bpi_test_json_responses[0]['data']['plugins'];
+        $this->assertSame( array( 'base-plugin', 'addon-plugin' ), array_column( $plugins, 'slug' ) );
+        $this->assertSame( array(), $plugins[0]['requires_plugins'] );
+        $this->assertSame( array( 'base-plugin', 'missing-plugin' ), $plugins[1]['requires_plugins'] );
+        $this->assertFalse( $plugins[1]['compatible'] );
+        $this->assertSame( 'missing_dependency', $plugins[1]['compatibility_issues'][0]['type'] );
+    }
+
+    /**
+     * Test that advisory issues are shown without unchecking the plugin.
+     */
+    public function test_handle_preview_keeps_plugins_with_advisory_issues_checked(): void {
+        global $bpi_test_json_responses, $bpi_test_transients;
+
+        $bpi_test_transients['bpi_queue_1'] = array(
+            'value' => array(
+                array(
+                    'slug'           => 'old-plugin',
+                    'file_path'      => '/tmp/old-plugin.zip',
+                    'plugin_name'    => 'Old Plugin',
+                    'plugin_version' => self::VERSION_100,
+                    'tested_up_to'   => '3.0',
+                ),
+            ),
+            'expiration' => 3600,
+        );
+
+        $_POST['_wpnonce'] = 'nonce_bpi_preview';
+
+        $this->adminPage->handlePreview();
+
+        $plugin = $bpi_test_json_responses[0]['data']['plugins'][0];
+        $this->assertTrue( $plugin['compatible'] );
+        $this->assertTrue( $plugin['checked'] );
+        $this->assertSame( 'advisory', $plugin['compatibility_issues'][0]['severity'] );
+    }
+
     /**
      * Test that enqueueAssets includes previewNonce in localized data.
      */
@@ -324,4 +394,267 @@ class AdminPagePreviewTest extends TestCase {
         $this->assertSame( '1.2.0', $plugins[1]['installed_version'] );
         $this->assertSame( 'minor', $plugins[1]['update_type'] );
     }
+
+    /**
+     * Test that handlePreview shows stored security findings without blocking in warn mode.
+     */
+    public function test_handle_preview_includes_security_findings(): void {
+        global $bpi_test_json_responses;
+
+        $this->queueScannedPlugin();
+        $_POST['_wpnonce'] = 'nonce_bpi_preview';
+
+        $this->adminPage->handlePreview();
+
+        $plugin = $bpi_test_json_responses[0]['data']['plugins'][0];
+        $this->assertSame( 'eval_decoded', $plugin['security_findings'][0]['rule'] );
+        $this->assertFalse( $plugin['security_blocked'] );
+        $this->assertTrue( $plugin['checked'] );
+    }
+
+    /**
+     * Test that handlePreview deselects a plugin blocked by the security scan.
+     */
+    public function test_handle_preview_blocks_high_severity_findings_in_block_mode(): void {
+        global $bpi_test_json_responses, $bpi_test_options;
+        $bpi_test_options['bpi_security_scan'] = 'block';
+
+        $this->queueScannedPlugin();
+        $_POST['_wpnonce'] = 'nonce_bpi_preview';
+
+        $this->adminPage->handlePreview();
+
+        $plugin = $bpi_test_json_responses[0]['data']['plugins'][0];
+        $this->assertTrue( $plugin['security_blocked'] );
+        $this->assertFalse( $plugin['checked'] );
+    }
+
+    /**
+     * Test that handlePreview hides security findings when the scan is off.
+     */
+    public function test_handle_preview_hides_security_findings_when_scan_is_off(): void {
+        global $bpi_test_json_responses, $bpi_test_options;
+        $bpi_test_options['bpi_security_scan'] = 'off';
+
+        $this->queueScannedPlugin();
+        $_POST['_wpnonce'] = 'nonce_bpi_preview';
+
+        $this->adminPage->handlePreview();
+
+        $plugin = $bpi_test_json_responses[0]['data']['plugins'][0];
+        $this->assertSame( array(), $plugin['security_findings'] );
+        $this->assertTrue( $plugin['checked'] );
+    }
+
+    /**
+     * Test that handlePreview deselects a plugin whose ZIP does not match its expected checksum.
+     */
+    public function test_handle_preview_deselects_checksum_mismatch(): void {
+        global $bpi_test_json_responses;
+
+        $this->queueChecksummedPlugin( hash( 'sha256', 'tampered' ) );
+        $_POST['_wpnonce'] = 'nonce_bpi_preview';
+
+        $this->adminPage->handlePreview();
+
+        $plugin = $bpi_test_json_responses[0]['data']['plugins'][0];
+        $this->assertSame( hash( 'sha256', 'original' ), $plugin['sha256'] );
+        $this->assertSame( BPIChecksumVerifier::STATUS_MISMATCH, $plugin['checksum_status'] );
+        $this->assertFalse( $plugin['checked'] );
+    }
+
+    /**
+     * Test that handlePreview takes the expected checksum from the chosen profile.
+     */
+    public function test_handle_preview_applies_profile_checksum(): void {
+        global $bpi_test_json_responses, $bpi_test_options;
+
+        $bpi_test_options['bpi_profiles'] = array(
+            array(
+                'id'      => 3,
+                'name'    => 'Stack',
+                'plugins' => array(
+                    array( 'slug' => 'summed-plugin', 'name' => 'Summed Plugin', 'version' => '', 'sha256' => hash( 'sha256', 'original' ) ),
+                ),
+            ),
+        );
+        $this->queueChecksummedPlugin( '' );
+        $_POST['_wpnonce']   = 'nonce_bpi_preview';
+        $_POST['profile_id'] = '3';
+
+        $this->adminPage->handlePreview();
+
+        $plugin = $bpi_test_json_responses[0]['data']['plugins'][0];
+        $this->assertSame( 'profile', $plugin['checksum_source'] );
+        $this->assertSame( BPIChecksumVerifier::STATUS_MATCH, $plugin['checksum_status'] );
+        $this->assertTrue( $plugin['checked'] );
+    }
+
+    /**
+     * Test that handlePluginDiff rejects invalid nonce.
+     */
+    public function test_handle_plugin_diff_rejects_invalid_nonce(): void {
+        global $bpi_test_nonce_valid, $bpi_test_json_responses;
+        $bpi_test_nonce_valid = false;
+
+        $_POST['_wpnonce'] = 'bad_nonce';
+        $_POST['slug']     = 'my-plugin';
+
+        $this->adminPage->handlePluginDiff();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 403, $bpi_test_json_responses[0]['status'] );
+    }
+
+    /**
+     * Test that handlePluginDiff rejects a slug that is not queued.
+     */
+    public function test_handle_plugin_diff_rejects_unknown_slug(): void {
+        global $bpi_test_json_responses;
+
+        $_POST['_wpnonce'] = 'nonce_bpi_preview';
+        $_POST['slug']     = 'not-queued';
+
+        $this->adminPage->handlePluginDiff();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 404, $bpi_test_json_responses[0]['status'] );
+    }
+
+    /**
+     * Test that handlePluginDiff reports a plugin that is not installed.
+     */
+    public function test_handle_plugin_diff_returns_error_when_not_installed(): void {
+        global $bpi_test_json_responses;
+
+        $this->queueDiffPlugin( '/tmp/bpi-missing-diff-plugin.zip' );
+
+        $_POST['_wpnonce'] = 'nonce_bpi_preview';
+        $_POST['slug']     = 'bpi-diff-plugin';
+
+        $this->adminPage->handlePluginDiff();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 400, $bpi_test_json_responses[0]['status'] );
+    }
+
+    /**
+     * Test that handlePluginDiff compares the queued ZIP with the installed plugin.
+     */
+    public function test_handle_plugin_diff_returns_file_changes(): void {
+        global $bpi_test_json_responses;
+
+        $created    = array();
+        $plugin_dir = WP_CONTENT_DIR . '/plugins/bpi-diff-plugin';
+        foreach ( array( WP_CONTENT_DIR, WP_CONTENT_DIR . '/plugins', $plugin_dir ) as $dir ) {
+            if ( ! is_dir( $dir ) ) {
+                mkdir( $dir, 0755 );
+                $created[] = $dir;
+            }
+        }
+        file_put_contents( $plugin_dir . '/bpi-diff-plugin.php', "<?php\n// 1.0.0\n" );
+
+        $zip_path = sys_get_temp_dir() . '/bpi-diff-plugin-' . uniqid() . '.zip';
+        $zip      = new \ZipArchive();
+        $zip->open( $zip_path, \ZipArchive::CREATE );
+        $zip->addFromString( 'bpi-diff-plugin/bpi-diff-plugin.php', "<?php\n// 1.1.0\n" );
+        $zip->addFromString( 'bpi-diff-plugin/readme.txt', 'Readme' );
+        $zip->close();
+
+        $this->queueDiffPlugin( $zip_path );
+
+        $_POST['_wpnonce'] = 'nonce_bpi_preview';
+        $_POST['slug']     = 'bpi-diff-plugin';
+
+        try {
+            $this->adminPage->handlePluginDiff();
+        } finally {
+            unlink( $zip_path );
+            unlink( $plugin_dir . '/bpi-diff-plugin.php' );
+            foreach ( array_reverse( $created ) as $dir ) {
+                rmdir( $dir );
+            }
+        }
+
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $data = $bpi_test_json_responses[0]['data'];
+        $this->assertSame( 'readme.txt', $data['added'][0]['path'] );
+        $this->assertSame( 'bpi-diff-plugin.php', $data['modified'][0]['path'] );
+        $this->assertSame( 'changed', $data['modified'][0]['hunks'][0]['rows'][1]['type'] );
+        $this->assertSame( 1, $data['summary']['modified'] );
+    }
+
+    /**
+     * Queue a plugin with a stored high-severity security finding.
+     */
+    private function queueScannedPlugin(): void {
+        global $bpi_test_transients;
+
+        $bpi_test_transients['bpi_queue_1'] = array(
+            'value'      => array(
+                array(
+                    'slug'              => 'scanned-plugin',
+                    'file_path'         => '/tmp/scanned-plugin.zip',
+                    'plugin_name'       => 'Scanned Plugin',
+                    'plugin_version'    => self::VERSION_100,
+                    'security_findings' => array(
+                        array(
+                            'rule'     => 'eval_decoded',
+                            'severity' => 'high',
+                            'file'     => 'scanned-plugin/scanned-plugin.php',
+                            'line'     => 3,
+                            'message'  => 'Evaluates decoded data as code.',
+                        ),
+                    ),
+                ),
+            ),
+            'expiration' => 3600,
+        );
+    }
+
+    /**
+     * Queue a plugin with a recorded SHA-256 checksum.
+     *
+     * @param string $expected Expected checksum; empty for none.
+     */
+    private function queueChecksummedPlugin( string $expected ): void {
+        global $bpi_test_transients;
+
+        $bpi_test_transients['bpi_queue_1'] = array(
+            'value'      => array(
+                array(
+                    'slug'            => 'summed-plugin',
+                    'file_path'       => '/tmp/summed-plugin.zip',
+                    'plugin_name'     => 'Summed Plugin',
+                    'plugin_version'  => self::VERSION_100,
+                    'sha256'          => hash( 'sha256', 'original' ),
+                    'expected_sha256' => $expected,
+                    'checksum_source' => '' === $expected ? '' : 'manual',
+                ),
+            ),
+            'expiration' => 3600,
+        );
+    }
+
+    /**
+     * Queue a single update for the diff handler tests.
+     *
+     * @param string $file_path Path to the queued ZIP.
+     */
+    private function queueDiffPlugin( string $file_path ): void {
+        global $bpi_test_transients;
+
+        $bpi_test_transients['bpi_queue_1'] = array(
+            'value'      => array(
+                array(
+                    'slug'           => 'bpi-diff-plugin',
+                    'file_path'      => $file_path,
+                    'file_name'      => basename( $file_path ),
+                    'plugin_name'    => 'Diff Plugin',
+                    'plugin_version' => '1.1.0',
+                ),
+            ),
+            'expiration' => 3600,
+        );
+    }
 }
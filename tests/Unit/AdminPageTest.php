@@ -239,6 +239,7 @@ class AdminPageTest extends TestCase {
         $output = ob_get_clean();
 
         $this->assertStringContainsString( 'id="bpi-bulk-upload-app"', $output );
+        $this->assertStringContainsString( 'id="bpi-batch-history"', $output );
     }
 
     /**
@@ -318,6 +319,20 @@ class AdminPageTest extends TestCase {
         $this->assertContains( 'jquery', $bpi_test_enqueued_scripts['bpi-admin']['deps'] );
     }
 
+    /**
+     * Test that enqueueAssets loads wp.apiFetch and localizes the REST API URL and nonce.
+     */
+    public function test_enqueue_assets_localizes_rest_api(): void {
+        $this->adminPage->enqueueAssets( 'plugins_page_bpi-bulk-upload' );
+
+        global $bpi_test_enqueued_scripts, $bpi_test_localized_scripts;
+        $data = $bpi_test_localized_scripts['bpi-admin']['data'];
+
+        $this->assertContains( 'wp-api-fetch', $bpi_test_enqueued_scripts['bpi-admin']['deps'] );
+        $this->assertSame( 'https://example.com/wp-json/bpi/v1/', $data['restUrl'] );
+        $this->assertNotEmpty( $data['restNonce'] );
+    }
+
     /**
      * Test that the MENU_SLUG constant is defined.
      */
@@ -0,0 +1,228 @@
+<?php
+/**
+ * Unit tests for the BPIBatchProgressTracker class.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPIBatchProgressTracker;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for per-plugin batch progress tracking.
+ */
+class BatchProgressTrackerTest extends TestCase {
+
+    private BPIBatchProgressTracker $tracker;
+
+    protected function setUp(): void {
+        global $bpi_test_transients, $bpi_test_current_user_id;
+        $bpi_test_transients      = array();
+        $bpi_test_current_user_id = 1;
+
+        $this->tracker = new BPIBatchProgressTracker();
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_current_user_id;
+        $bpi_test_current_user_id = null;
+    }
+
+    /**
+     * Build sample sanitized plugin data.
+     *
+     * @return array
+     */
+    private function plugins(): array {
+        return array(
+            array( 'slug' => 'alpha', 'plugin_name' => 'Alpha', 'file_path' => '/tmp/alpha.zip' ),
+            array( 'slug' => 'beta', 'plugin_name' => 'Beta', 'file_path' => '/tmp/beta.zip' ),
+        );
+    }
+
+    public function test_start_stores_pending_plugins_in_transient(): void {
+        global $bpi_test_transients;
+
+        $state = $this->tracker->start( 'bpi_abc', $this->plugins(), true );
+
+        $this->assertArrayHasKey( 'bpi_progress_bpi_abc', $bpi_test_transients );
+        $this->assertSame( 'running', $state['status'] );
+        $this->assertTrue( $state['dry_run'] );
+        $this->assertSame( 1, $state['user_id'] );
+        $this->assertCount( 2, $state['plugins'] );
+        $this->assertSame( 'pending', $state['plugins'][0]['status'] );
+        $this->assertSame( '/tmp/alpha.zip', $state['plugins'][0]['data']['file_path'] );
+    }
+
+    public function test_get_returns_empty_array_for_unknown_batch(): void {
+        $this->assertSame( array(), $this->tracker->get( 'bpi_missing' ) );
+    }
+
+    public function test_get_for_current_user_hides_other_users_batches(): void {
+        global $bpi_test_current_user_id;
+
+        $this->tracker->start( 'bpi_owned', $this->plugins(), false );
+        $bpi_test_current_user_id = 2;
+
+        $this->assertSame( array(), $this->tracker->getForCurrentUser( 'bpi_owned' ) );
+    }
+
+    public function test_set_stage_marks_plugin_installing_and_starts_clock(): void {
+        $this->tracker->start( 'bpi_stage', $this->plugins(), false );
+
+        $this->tracker->setStage( 'bpi_stage', 'beta', 'extracting' );
+        $state = $this->tracker->get( 'bpi_stage' );
+
+        $this->assertSame( 'installing', $state['plugins'][1]['status'] );
+        $this->assertSame( 'extracting', $state['plugins'][1]['stage'] );
+        $this->assertNotNull( $state['plugins'][1]['started_at'] );
+        $this->assertSame( 'pending', $state['plugins'][0]['status'] );
+    }
+
+    public function test_set_stage_keeps_original_start_time(): void {
+        $this->tracker->start( 'bpi_clock', $this->plugins(), false );
+
+        $this->tracker->setStage( 'bpi_clock', 'alpha', 'extracting' );
+        $started = $this->tracker->get( 'bpi_clock' )['plugins'][0]['started_at'];
+        $this->tracker->setStage( 'bpi_clock', 'alpha', 'activating' );
+        $state = $this->tracker->get( 'bpi_clock' );
+
+        $this->assertSame( $started, $state['plugins'][0]['started_at'] );
+        $this->assertSame( 'activating', $state['plugins'][0]['stage'] );
+    }
+
+    public function test_mark_installing_claims_plugin_before_first_stage(): void {
+        $this->tracker->start( 'bpi_claim', $this->plugins(), false );
+
+        $state = $this->tracker->markInstalling( 'bpi_claim', 0 );
+
+        $this->assertSame( 'installing', $state['plugins'][0]['status'] );
+        $this->assertSame( '', $state['plugins'][0]['stage'] );
+        $this->assertNotNull( $state['plugins'][0]['started_at'] );
+        $this->assertSame( 0, $this->tracker->getRunningIndex( $state ) );
+        $this->assertSame( 1, $this->tracker->getNextIndex( $state ) );
+    }
+
+    public function test_set_stage_ignores_unknown_batch(): void {
+        global $bpi_test_transients;
+
+        $this->tracker->setStage( 'bpi_nope', 'alpha', 'extracting' );
+
+        $this->assertEmpty( $bpi_test_transients );
+    }
+
+    public function test_next_index_advances_as_results_are_recorded(): void {
+        $state = $this->tracker->start( 'bpi_next', $this->plugins(), false );
+        $this->assertSame( 0, $this->tracker->getNextIndex( $state ) );
+
+        $state = $this->tracker->recordResult( 'bpi_next', 0, array( 'slug' => 'alpha', 'status' => 'success' ) );
+        $this->assertSame( 1, $this->tracker->getNextIndex( $state ) );
+
+        $state = $this->tracker->recordResult( 'bpi_next', 1, array( 'slug' => 'beta', 'status' => 'failed' ) );
+        $this->assertNull( $this->tracker->getNextIndex( $state ) );
+    }
+
+    public function test_record_result_stores_status_and_clears_stage(): void {
+        $this->tracker->start( 'bpi_result', $this->plugins(), false );
+        $this->tracker->setStage( 'bpi_result', 'alpha', 'rolling_back' );
+
+        $state = $this->tracker->recordResult( 'bpi_result', 0, array( 'slug' => 'alpha', 'status' => 'failed', 'messages' => array( 'Boom' ) ) );
+
+        $this->assertSame( 'failed', $state['plugins'][0]['status'] );
+        $this->assertSame( '', $state['plugins'][0]['stage'] );
+        $this->assertNotNull( $state['plugins'][0]['finished_at'] );
+        $this->assertSame( array( 'slug' => 'alpha', 'status' => 'failed', 'messages' => array( 'Boom' ) ), $this->tracker->getResults( $state )[0] );
+    }
+
+    public function test_get_elapsed_uses_start_and_finish_times(): void {
+        $this->assertNull( $this->tracker->getElapsed( array( 'started_at' => null, 'finished_at' => null ) ) );
+        $this->assertSame( 2.5, $this->tracker->getElapsed( array( 'started_at' => 100.0, 'finished_at' => 102.5 ) ) );
+        $this->assertSame( 4.0, $this->tracker->getElapsed( array( 'started_at' => 100.0, 'finished_at' => null ), 104.0 ) );
+    }
+
+    public function test_to_response_strips_plugin_data(): void {
+        $state    = $this->tracker->start( 'bpi_resp', $this->plugins(), false );
+        $response = $this->tracker->toResponse( $state );
+
+        $this->assertSame( 'bpi_resp', $response['batch_id'] );
+        $this->assertFalse( $response['dry_run'] );
+        $this->assertArrayNotHasKey( 'data', $response['plugins'][0] );
+        $this->assertSame( 'Alpha', $response['plugins'][0]['plugin_name'] );
+        $this->assertNull( $response['plugins'][0]['elapsed'] );
+    }
+
+    public function test_complete_and_delete(): void {
+        global $bpi_test_transients;
+
+        $this->tracker->start( 'bpi_done', $this->plugins(), false );
+        $this->tracker->complete( 'bpi_done' );
+        $this->assertSame( 'complete', $this->tracker->get( 'bpi_done' )['status'] );
+
+        $this->tracker->delete( 'bpi_done' );
+        $this->assertArrayNotHasKey( 'bpi_progress_bpi_done', $bpi_test_transients );
+    }
+
+    public function test_get_in_flight_returns_started_batch_for_current_user(): void {
+        $this->tracker->start( 'bpi_live', $this->plugins(), true );
+
+        $state = $this->tracker->getInFlight();
+
+        $this->assertSame( 'bpi_live', $state['batch_id'] );
+        $this->assertTrue( $state['dry_run'] );
+    }
+
+    public function test_get_in_flight_is_empty_for_other_users(): void {
+        global $bpi_test_current_user_id;
+
+        $this->tracker->start( 'bpi_live', $this->plugins(), false );
+        $bpi_test_current_user_id = 2;
+
+        $this->assertSame( array(), $this->tracker->getInFlight() );
+    }
+
+    public function test_get_in_flight_is_cleared_on_complete_and_delete(): void {
+        $this->tracker->start( 'bpi_first', $this->plugins(), false );
+        $this->tracker->complete( 'bpi_first' );
+        $this->assertSame( array(), $this->tracker->getInFlight() );
+
+        $this->tracker->start( 'bpi_second', $this->plugins(), false );
+        $this->tracker->delete( 'bpi_second' );
+        $this->assertSame( array(), $this->tracker->getInFlight() );
+    }
+
+    public function test_delete_of_older_batch_keeps_newer_pointer(): void {
+        $this->tracker->start( 'bpi_old', $this->plugins(), false );
+        $this->tracker->start( 'bpi_new', $this->plugins(), false );
+
+        $this->tracker->delete( 'bpi_old' );
+
+        $this->assertSame( 'bpi_new', $this->tracker->getInFlight()['batch_id'] );
+    }
+
+    public function test_get_running_index_finds_installing_plugin(): void {
+        $state = $this->tracker->start( 'bpi_run', $this->plugins(), false );
+        $this->assertNull( $this->tracker->getRunningIndex( $state ) );
+
+        $this->tracker->setStage( 'bpi_run', 'beta', 'extracting' );
+
+        $this->assertSame( 1, $this->tracker->getRunningIndex( $this->tracker->get( 'bpi_run' ) ) );
+    }
+
+    public function test_is_stale_after_time_limit_and_grace(): void {
+        $limit = (int) ini_get( 'max_execution_time' );
+        $limit = $limit > 0 ? $limit : 300;
+
+        $this->assertFalse( $this->tracker->isStale( array( 'started_at' => 1000.0 ), 1000.0 + $limit ) );
+        $this->assertTrue( $this->tracker->isStale( array( 'started_at' => 1000.0 ), 1000.0 + $limit + 31 ) );
+        $this->assertTrue( $this->tracker->isStale( array( 'started_at' => null ) ) );
+    }
+
+    public function test_to_response_reports_processed_count(): void {
+        $this->tracker->start( 'bpi_count', $this->plugins(), false );
+        $state = $this->tracker->recordResult( 'bpi_count', 0, array( 'slug' => 'alpha', 'status' => 'success' ) );
+
+        $this->assertSame( 1, $this->tracker->toResponse( $state )['processed'] );
+    }
+}
@@ -448,6 +448,247 @@ class BatchRollbackManagerTest extends TestCase {
         unset( $_POST['_wpnonce'], $_POST['batch_id'] );
     }
 
+    // ------------------------------------------------------------------
+    // Backup tracking tests
+    // ------------------------------------------------------------------
+
+    public function test_record_batch_tracks_backup_paths(): void {
+        $this->manager->recordBatch( 'tracked_batch', $this->createSampleManifest() );
+
+        $this->assertSame(
+            array( 'tracked_batch' => array( '/backups/plugin-beta_123' ) ),
+            get_option( 'bpi_batch_backups' )
+        );
+    }
+
+    public function test_cleanup_expired_removes_backups_when_transient_is_gone(): void {
+        global $bpi_test_transients;
+
+        $this->manager->recordBatch( 'gone_batch', $this->createSampleManifest() );
+        unset( $bpi_test_transients['bpi_batch_gone_batch'] );
+
+        $this->rollback->expects( $this->once() )
+            ->method( 'cleanupBackup' )
+            ->with( '/backups/plugin-beta_123' );
+
+        $this->manager->cleanupExpired();
+
+        $this->assertSame( array(), get_option( 'bpi_batch_backups' ) );
+        $this->assertNotContains( 'gone_batch', get_option( 'bpi_active_batches', array() ) );
+    }
+
+    public function test_rollback_batch_removes_restored_backup_and_stops_tracking(): void {
+        $this->rollback->method( 'restoreBackup' )->willReturn( true );
+        $this->rollback->expects( $this->once() )
+            ->method( 'cleanupBackup' )
+            ->with( '/backups/plugin-beta_123' );
+
+        $this->manager->recordBatch( 'restored_batch', $this->createSampleManifest() );
+        $this->manager->rollbackBatch( 'restored_batch' );
+
+        $this->assertSame( array(), get_option( 'bpi_batch_backups' ) );
+    }
+
+    public function test_rollback_batch_keeps_backup_that_failed_to_restore(): void {
+        $this->rollback->method( 'restoreBackup' )->willReturn( new \WP_Error( 'restore_copy_failed', 'Copy failed' ) );
+        $this->rollback->expects( $this->never() )->method( 'cleanupBackup' );
+
+        $this->manager->recordBatch( 'failed_restore', $this->createSampleManifest() );
+        $result = $this->manager->rollbackBatch( 'failed_restore' );
+
+        $this->assertFalse( $result['success'] );
+    }
+
+    // ------------------------------------------------------------------
+    // getBatchHistory() tests
+    // ------------------------------------------------------------------
+
+    public function test_get_batch_history_lists_batches_newest_first(): void {
+        global $bpi_test_users;
+        $bpi_test_users = array( 5 => 'Jordan' );
+
+        $older              = $this->createSampleManifest();
+        $older['timestamp'] = '2026-03-01 10:00:00';
+        $older['user_id']   = 5;
+        $newer              = array( 'plugins' => array(), 'timestamp' => '2026-03-02 09:00:00', 'user_id' => 99 );
+
+        $this->manager->recordBatch( 'older_batch', $older );
+        $this->manager->recordBatch( 'newer_batch', $newer );
+
+        $history = $this->manager->getBatchHistory();
+
+        $this->assertSame( array( 'newer_batch', 'older_batch' ), array_column( $history, 'batch_id' ) );
+        $this->assertSame( 'Jordan', $history[1]['user_name'] );
+        $this->assertSame( '', $history[0]['user_name'] );
+        $this->assertSame( 1, $history[1]['summary']['updated'] );
+
+        $bpi_test_users = array();
+    }
+
+    public function test_get_batch_history_reports_time_left_and_hides_backup_paths(): void {
+        $this->manager->recordBatch( 'batch_exp', $this->createSampleManifest() );
+
+        $entry = $this->manager->getBatchHistory()[0];
+
+        $this->assertGreaterThan( 23 * 3600, $entry['expires_in'] );
+        $this->assertLessThanOrEqual( 24 * 3600, $entry['expires_in'] );
+        $this->assertFalse( $entry['plugins'][0]['has_backup'] );
+        $this->assertTrue( $entry['plugins'][1]['has_backup'] );
+        $this->assertArrayNotHasKey( 'backup_path', $entry['plugins'][1] );
+    }
+
+    public function test_ajax_batch_history_rejects_invalid_nonce(): void {
+        global $bpi_test_nonce_valid, $bpi_test_json_responses;
+        $bpi_test_nonce_valid = false;
+        $_POST['_wpnonce']    = 'invalid';
+
+        $this->manager->handleAjaxBatchHistory();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 403, $bpi_test_json_responses[0]['status'] );
+
+        unset( $_POST['_wpnonce'] );
+    }
+
+    public function test_ajax_batch_history_returns_batches(): void {
+        global $bpi_test_json_responses;
+
+        $this->manager->recordBatch( 'listed_batch', $this->createSampleManifest() );
+        $_POST['_wpnonce'] = 'valid';
+
+        $this->manager->handleAjaxBatchHistory();
+
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 'listed_batch', $bpi_test_json_responses[0]['data']['batches'][0]['batch_id'] );
+
+        unset( $_POST['_wpnonce'] );
+    }
+
+    public function test_register_ajax_handler_adds_history_action(): void {
+        global $bpi_test_hooks;
+        $bpi_test_hooks = array();
+
+        $this->manager->registerAjaxHandler();
+
+        $this->assertContains( 'wp_ajax_bpi_batch_history', array_column( $bpi_test_hooks, 'hook' ) );
+    }
+
+    // ------------------------------------------------------------------
+    // rollbackPlugins() tests
+    // ------------------------------------------------------------------
+
+    public function test_rollback_plugins_returns_failure_for_missing_manifest(): void {
+        $result = $this->manager->rollbackPlugins( 'nonexistent', array( 'plugin-alpha' ) );
+
+        $this->assertFalse( $result['success'] );
+        $this->assertNotEmpty( $result['failures'] );
+    }
+
+    public function test_rollback_plugins_only_reverts_selected_plugins(): void {
+        $this->rollback->expects( $this->once() )
+            ->method( 'removePartialInstall' )
+            ->with( WP_CONTENT_DIR . '/plugins/plugin-alpha' );
+        $this->rollback->expects( $this->never() )->method( 'restoreBackup' );
+
+        $this->manager->recordBatch( 'partial_batch', $this->createSampleManifest() );
+        $result = $this->manager->rollbackPlugins( 'partial_batch', array( 'plugin-alpha' ) );
+
+        $this->assertTrue( $result['success'] );
+        $this->assertCount( 1, $result['results'] );
+        $this->assertSame( 'remove', $result['results'][0]['action'] );
+
+        $plugins = $this->manager->getBatchManifest( 'partial_batch' )['plugins'];
+        $this->assertTrue( $plugins[0]['rolled_back'] );
+        $this->assertArrayHasKey( 'rolled_back_at', $plugins[0] );
+        $this->assertArrayNotHasKey( 'rolled_back', $plugins[1] );
+    }
+
+    public function test_rollback_plugins_keeps_remaining_retention_period(): void {
+        global $bpi_test_transients;
+
+        $this->manager->recordBatch( 'kept_batch', $this->createSampleManifest() );
+        $this->manager->rollbackPlugins( 'kept_batch', array( 'plugin-alpha' ) );
+
+        $expiration = $bpi_test_transients['bpi_batch_kept_batch']['expiration'];
+        $this->assertGreaterThan( 23 * 3600, $expiration );
+        $this->assertLessThanOrEqual( 24 * 3600, $expiration );
+        $this->assertContains( 'kept_batch', get_option( 'bpi_active_batches', array() ) );
+    }
+
+    public function test_full_rollback_skips_plugins_already_rolled_back(): void {
+        $this->rollback->expects( $this->once() )->method( 'removePartialInstall' );
+        $this->rollback->expects( $this->once() )->method( 'restoreBackup' )->willReturn( true );
+
+        $this->manager->recordBatch( 'mixed_batch', $this->createSampleManifest() );
+        $this->manager->rollbackPlugins( 'mixed_batch', array( 'plugin-alpha' ) );
+        $result = $this->manager->rollbackBatch( 'mixed_batch' );
+
+        $this->assertTrue( $result['success'] );
+        $this->assertSame( 'skipped', $result['results'][0]['status'] );
+        $this->assertSame( 'restore', $result['results'][1]['action'] );
+    }
+
+    public function test_rollback_plugins_stops_tracking_restored_backup(): void {
+        $this->rollback->method( 'restoreBackup' )->willReturn( true );
+        $this->rollback->expects( $this->once() )
+            ->method( 'cleanupBackup' )
+            ->with( '/backups/plugin-beta_123' );
+
+        $this->manager->recordBatch( 'backup_batch', $this->createSampleManifest() );
+        $this->manager->rollbackPlugins( 'backup_batch', array( 'plugin-beta' ) );
+
+        $this->assertSame( array(), get_option( 'bpi_batch_backups' ) );
+        $this->assertFalse( $this->manager->getBatchHistory()[0]['plugins'][1]['can_rollback'] );
+    }
+
+    public function test_rollback_plugins_retires_batch_when_nothing_is_left(): void {
+        $this->rollback->method( 'restoreBackup' )->willReturn( true );
+
+        $this->manager->recordBatch( 'done_batch', $this->createSampleManifest() );
+        $this->manager->rollbackPlugins( 'done_batch', array( 'plugin-alpha', 'plugin-beta' ) );
+
+        $this->assertEmpty( $this->manager->getBatchManifest( 'done_batch' ) );
+        $this->assertNotContains( 'done_batch', get_option( 'bpi_active_batches', array() ) );
+    }
+
+    public function test_rollback_plugins_reports_unknown_slug(): void {
+        $this->manager->recordBatch( 'unknown_batch', $this->createSampleManifest() );
+        $result = $this->manager->rollbackPlugins( 'unknown_batch', array( 'not-in-batch' ) );
+
+        $this->assertFalse( $result['success'] );
+        $this->assertStringContainsString( 'not-in-batch', $result['failures'][0] );
+    }
+
+    public function test_rollback_plugins_keeps_plugin_that_failed_to_restore(): void {
+        $this->rollback->method( 'restoreBackup' )->willReturn( new \WP_Error( 'restore_copy_failed', 'Copy failed' ) );
+
+        $this->manager->recordBatch( 'retry_batch', $this->createSampleManifest() );
+        $result = $this->manager->rollbackPlugins( 'retry_batch', array( 'plugin-beta' ) );
+
+        $this->assertFalse( $result['success'] );
+        $this->assertTrue( $this->manager->getBatchHistory()[0]['plugins'][1]['can_rollback'] );
+    }
+
+    public function test_ajax_handler_rolls_back_selected_plugins(): void {
+        global $bpi_test_json_responses;
+
+        $this->rollback->expects( $this->once() )->method( 'removePartialInstall' );
+        $this->rollback->expects( $this->never() )->method( 'restoreBackup' );
+
+        $this->manager->recordBatch( 'ajax_partial', $this->createSampleManifest() );
+
+        $_POST['_wpnonce'] = 'valid';
+        $_POST['batch_id'] = 'ajax_partial';
+        $_POST['slugs']    = array( 'plugin-alpha' );
+
+        $this->manager->handleAjaxRollback();
+
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $this->assertCount( 1, $bpi_test_json_responses[0]['data']['results'] );
+
+        unset( $_POST['_wpnonce'], $_POST['batch_id'], $_POST['slugs'] );
+    }
+
     // ------------------------------------------------------------------
     // Helpers
     // ------------------------------------------------------------------
@@ -0,0 +1,271 @@
+<?php
+/**
+ * Unit tests for the BPIBatchScheduler class.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPIBatchScheduler;
+use BPILogManager;
+use BPIPluginProcessor;
+use BPIQueueManager;
+use BPIRollbackManager;
+use BPISettingsManager;
+use PHPUnit\Framework\TestCase;
+use WP_Error;
+
+/**
+ * Testable processor that records the user each plugin is installed as.
+ */
+class SchedulerTestableProcessor extends BPIPluginProcessor {
+
+    /** @var array<string> Installs as "slug:user_id". */
+    public array $installs = array();
+
+    public bool $throw = false;
+
+    protected function runUpgrader( string $action, string $file_path, string $plugin_file ): true|\WP_Error {
+        if ( $this->throw ) {
+            throw new \RuntimeException( 'Activation hook crashed' );
+        }
+        $this->installs[] = basename( $file_path, '.zip' ) . ':' . get_current_user_id();
+        return true;
+    }
+
+    protected function getPluginDir( string $slug ): string {
+        return sys_get_temp_dir() . '/bpi_scheduler_test/' . $slug;
+    }
+
+    protected function isPluginActive( string $plugin_file ): bool {
+        return false;
+    }
+
+    protected function wpActivatePlugin( string $plugin_file, bool $network_wide = false ): \WP_Error|null {
+        return null;
+    }
+}
+
+/**
+ * Tests for scheduling, rescheduling, cancelling and running batches.
+ */
+class BatchSchedulerTest extends TestCase {
+
+    private BPIBatchScheduler $scheduler;
+
+    private SchedulerTestableProcessor $processor;
+
+    private string $tmpDir;
+
+    protected function setUp(): void {
+        global $bpi_test_options, $bpi_test_user_can, $bpi_test_transients, $bpi_test_current_user_id,
+            $bpi_test_cron_events, $bpi_test_users, $wpdb;
+        $bpi_test_options         = array( 'bpi_auto_activate' => false, 'bpi_auto_rollback' => true );
+        $bpi_test_user_can        = true;
+        $bpi_test_transients      = array();
+        $bpi_test_current_user_id = 7;
+        $bpi_test_cron_events     = array();
+        $bpi_test_users           = array( 7 => 'Night Shift' );
+        $wpdb->reset_bpi_log();
+
+        $this->tmpDir = wp_upload_dir()['basedir'] . '/bpi-tmp';
+        if ( ! is_dir( $this->tmpDir ) ) {
+            mkdir( $this->tmpDir, 0755, true );
+        }
+
+        $this->processor = new SchedulerTestableProcessor( new BPIRollbackManager(), new BPILogManager(), new BPISettingsManager() );
+        $processor       = $this->processor;
+        $this->scheduler = new BPIBatchScheduler( fn () => $processor );
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_user_can, $bpi_test_current_user_id, $bpi_test_users;
+        $bpi_test_user_can        = true;
+        $bpi_test_current_user_id = null;
+        $bpi_test_users           = array();
+
+        foreach ( glob( $this->tmpDir . '/bpi-scheduler-*.zip' ) as $file ) {
+            unlink( $file );
+        }
+    }
+
+    public function test_schedule_stores_batch_and_cron_event_and_dequeues_plugins(): void {
+        global $bpi_test_cron_events;
+        $this->queuePlugin( 'bpi-scheduler-one' );
+        $this->queuePlugin( 'bpi-scheduler-two' );
+        $timestamp = time() + 3600;
+
+        $result = $this->scheduler->schedule( array( array( 'slug' => 'bpi-scheduler-one', 'action' => 'install' ) ), $timestamp );
+
+        $schedule = $result['schedule'];
+        $this->assertSame( 'scheduled', $schedule['status'] );
+        $this->assertSame( $timestamp, $schedule['timestamp'] );
+        $this->assertSame( 'Night Shift', $schedule['user_name'] );
+        $this->assertSame(
+            array( array( 'timestamp' => $timestamp, 'hook' => BPIBatchScheduler::CRON_HOOK, 'args' => array( $schedule['id'] ) ) ),
+            $bpi_test_cron_events
+        );
+        $this->assertSame( array( 'bpi-scheduler-two' ), array_column( ( new BPIQueueManager() )->getAll(), 'slug' ) );
+    }
+
+    public function test_schedule_rejects_empty_selection_and_past_time(): void {
+        $this->queuePlugin( 'bpi-scheduler-one' );
+
+        $empty = $this->scheduler->schedule( array(), time() + 3600 );
+        $past  = $this->scheduler->schedule( array( array( 'slug' => 'bpi-scheduler-one' ) ), time() - 60 );
+
+        $this->assertSame( 400, $empty->get_error_data()['status'] );
+        $this->assertSame( 'bpi_invalid_schedule', $past->get_error_code() );
+        $this->assertEmpty( $this->scheduler->getHistory() );
+    }
+
+    public function test_schedule_rejects_plugins_that_are_not_queued(): void {
+        $result = $this->scheduler->schedule( array( array( 'slug' => 'bpi-scheduler-missing' ) ), time() + 3600 );
+
+        $this->assertInstanceOf( WP_Error::class, $result );
+        $this->assertSame( 'bpi_not_queued', $result->get_error_code() );
+    }
+
+    public function test_reschedule_moves_cron_event(): void {
+        global $bpi_test_cron_events;
+        $schedule_id = $this->scheduleOne();
+        $timestamp   = time() + 86400;
+
+        $result = $this->scheduler->reschedule( $schedule_id, $timestamp );
+
+        $this->assertSame( $timestamp, $result['schedule']['timestamp'] );
+        $this->assertCount( 1, $bpi_test_cron_events );
+        $this->assertSame( $timestamp, $bpi_test_cron_events[0]['timestamp'] );
+    }
+
+    public function test_cancel_removes_cron_event_and_keeps_history(): void {
+        global $bpi_test_cron_events;
+        $schedule_id = $this->scheduleOne();
+
+        $result = $this->scheduler->cancel( $schedule_id );
+
+        $this->assertSame( 'cancelled', $result['schedule']['status'] );
+        $this->assertEmpty( $bpi_test_cron_events );
+        $this->assertSame( 400, $this->scheduler->reschedule( $schedule_id, time() + 86400 )->get_error_data()['status'] );
+    }
+
+    public function test_cancel_deletes_uploaded_files(): void {
+        $schedule_id = $this->scheduleOne();
+        $this->assertFileExists( $this->tmpDir . '/bpi-scheduler-one.zip' );
+
+        $this->scheduler->cancel( $schedule_id );
+
+        $this->assertFileDoesNotExist( $this->tmpDir . '/bpi-scheduler-one.zip' );
+    }
+
+    public function test_unknown_schedule_returns_404(): void {
+        $this->assertSame( 404, $this->scheduler->cancel( 'bpi_schedule_missing' )->get_error_data()['status'] );
+        $this->assertSame( 404, $this->scheduler->reschedule( 'bpi_schedule_missing', time() + 60 )->get_error_data()['status'] );
+    }
+
+    public function test_run_processes_batch_as_scheduling_user(): void {
+        global $bpi_test_current_user_id;
+        $schedule_id              = $this->scheduleOne();
+        $bpi_test_current_user_id = 0;
+
+        $this->scheduler->run( $schedule_id );
+
+        $schedule = $this->scheduler->getHistory()[0];
+        $this->assertSame( array( 'bpi-scheduler-one:7' ), $this->processor->installs );
+        $this->assertSame( 'complete', $schedule['status'] );
+        $this->assertStringStartsWith( 'bpi_', $schedule['batch_id'] );
+        $this->assertSame( 1, $schedule['summary']['installed'] );
+        $this->assertSame( 0, $bpi_test_current_user_id, 'The previous user should be restored' );
+    }
+
+    public function test_run_marks_schedule_failed_when_processing_throws(): void {
+        global $bpi_test_current_user_id;
+        $schedule_id              = $this->scheduleOne();
+        $bpi_test_current_user_id = 0;
+        $this->processor->throw   = true;
+
+        $this->scheduler->run( $schedule_id );
+
+        $schedule = $this->scheduler->getHistory()[0];
+        $this->assertSame( 'failed', $schedule['status'] );
+        $this->assertSame( 'Activation hook crashed', $schedule['message'] );
+        $this->assertNotEmpty( $schedule['finished_at'] );
+        $this->assertSame( 0, $bpi_test_current_user_id, 'The previous user should be restored' );
+    }
+
+    public function test_run_skips_schedule_claimed_by_overlapping_run(): void {
+        global $bpi_test_options;
+        $schedule_id = $this->scheduleOne();
+        $bpi_test_options[ 'bpi_scheduled_batches_lock_' . $schedule_id ] = time();
+
+        $this->scheduler->run( $schedule_id );
+
+        $this->assertEmpty( $this->processor->installs );
+        $this->assertSame( 'scheduled', $this->scheduler->getHistory()[0]['status'] );
+    }
+
+    public function test_run_releases_claim_lock(): void {
+        global $bpi_test_options;
+        $schedule_id = $this->scheduleOne();
+
+        $this->scheduler->run( $schedule_id );
+        $this->scheduler->run( $schedule_id );
+
+        $this->assertSame( array( 'bpi-scheduler-one:7' ), $this->processor->installs );
+        $this->assertArrayNotHasKey( 'bpi_scheduled_batches_lock_' . $schedule_id, $bpi_test_options );
+    }
+
+    public function test_run_ignores_cancelled_schedules(): void {
+        $schedule_id = $this->scheduleOne();
+        $this->scheduler->cancel( $schedule_id );
+
+        $this->scheduler->run( $schedule_id );
+
+        $this->assertEmpty( $this->processor->installs );
+        $this->assertSame( 'cancelled', $this->scheduler->getHistory()[0]['status'] );
+    }
+
+    public function test_run_fails_when_user_lost_capability(): void {
+        global $bpi_test_user_can;
+        $schedule_id       = $this->scheduleOne();
+        $bpi_test_user_can = false;
+
+        $this->scheduler->run( $schedule_id );
+
+        $schedule = $this->scheduler->getHistory()[0];
+        $this->assertEmpty( $this->processor->installs );
+        $this->assertSame( 'failed', $schedule['status'] );
+        $this->assertNotEmpty( $schedule['message'] );
+    }
+
+    public function test_history_does_not_expose_server_paths(): void {
+        $this->scheduleOne();
+
+        $plugin = $this->scheduler->getHistory()[0]['plugins'][0];
+
+        $this->assertSame( array( 'slug', 'plugin_name', 'action' ), array_keys( $plugin ) );
+    }
+
+    /**
+     * Queue and schedule a single plugin an hour from now.
+     */
+    private function scheduleOne(): string {
+        $this->queuePlugin( 'bpi-scheduler-one' );
+
+        return $this->scheduler->schedule( array( array( 'slug' => 'bpi-scheduler-one', 'action' => 'install' ) ), time() + 3600 )['schedule']['id'];
+    }
+
+    /**
+     * Write a ZIP to bpi-tmp and add it to the current user's queue.
+     */
+    private function queuePlugin( string $slug ): void {
+        $file_path = $this->tmpDir . '/' . $slug . '.zip';
+        file_put_contents( $file_path, 'zip' );
+
+        ( new BPIQueueManager() )->add( $file_path, array(
+            'slug'        => $slug,
+            'plugin_name' => ucfirst( $slug ),
+        ) );
+    }
+}
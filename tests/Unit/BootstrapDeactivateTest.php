@@ -67,6 +67,16 @@ class BootstrapDeactivateTest extends TestCase {
         $this->assertDirectoryDoesNotExist( $this->backupDir );
     }
 
+    public function test_deactivate_deletes_scheduled_batches(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_scheduled_batches'] = array( 'bpi_schedule_1' => array( 'status' => 'scheduled' ) );
+
+        $instance = BulkPluginInstaller::getInstance();
+        $instance->deactivate();
+
+        $this->assertArrayNotHasKey( 'bpi_scheduled_batches', $bpi_test_options );
+    }
+
     public function test_activate_sets_delete_data_on_uninstall_default(): void {
         global $bpi_test_options;
         $bpi_test_options = array();
@@ -62,7 +62,7 @@ class BootstrapTest extends TestCase {
     }
 
     /**
-     * Test that init() registers all 11 AJAX action hooks.
+     * Test that init() registers all 15 AJAX action hooks.
      */
     public function test_init_registers_all_ajax_endpoints(): void {
         global $bpi_test_hooks;
@@ -73,15 +73,30 @@ class BootstrapTest extends TestCase {
 
         $expected_ajax_hooks = array(
             'wp_ajax_bpi_upload',
+            'wp_ajax_bpi_upload_chunk',
+            'wp_ajax_bpi_add_remote',
             'wp_ajax_bpi_preview',
+            'wp_ajax_bpi_plugin_diff',
             'wp_ajax_bpi_process',
             'wp_ajax_bpi_queue_remove',
+            'wp_ajax_bpi_queue_list',
+            'wp_ajax_bpi_queue_clear',
+            'wp_ajax_bpi_queue_checksum',
             'wp_ajax_bpi_dry_run',
+            'wp_ajax_bpi_process_start',
+            'wp_ajax_bpi_process_step',
+            'wp_ajax_bpi_batch_status',
+            'wp_ajax_bpi_discard_batch',
             'wp_ajax_bpi_batch_rollback',
+            'wp_ajax_bpi_batch_history',
             'wp_ajax_bpi_save_profile',
             'wp_ajax_bpi_import_profile',
             'wp_ajax_bpi_export_profile',
+            'wp_ajax_bpi_list_profiles',
+            'wp_ajax_bpi_update_profile',
+            'wp_ajax_bpi_delete_profile',
             'wp_ajax_bpi_get_log',
+            'wp_ajax_bpi_export_log',
             'wp_ajax_bpi_clear_log',
         );
 
@@ -97,7 +112,67 @@ class BootstrapTest extends TestCase {
             $this->assertContains( $expected, $registered_hooks, "AJAX hook '{$expected}' should be registered" );
         }
 
-        $this->assertCount( count( $expected_ajax_hooks ), $registered_hooks, 'Exactly 11 BPI AJAX hooks should be registered' );
+        $this->assertCount( count( $expected_ajax_hooks ), $registered_hooks, 'Exactly 26 BPI AJAX hooks should be registered' );
+    }
+
+    /**
+     * Test that init() registers the REST routes on rest_api_init.
+     */
+    public function test_init_registers_rest_routes(): void {
+        global $bpi_test_hooks, $bpi_test_rest_routes;
+        $bpi_test_hooks       = array();
+        $bpi_test_rest_routes = array();
+
+        $instance = BulkPluginInstaller::getInstance();
+        $instance->init();
+
+        $rest_hooks = array_values( array_filter(
+            $bpi_test_hooks,
+            fn( $hook ) => 'action' === $hook['type'] && 'rest_api_init' === $hook['hook']
+        ) );
+
+        $this->assertCount( 1, $rest_hooks, 'rest_api_init action should be registered' );
+
+        ( $rest_hooks[0]['callback'] )();
+
+        $this->assertArrayHasKey( 'bpi/v1/queue', $bpi_test_rest_routes );
+        $this->assertArrayHasKey( 'bpi/v1/batches/(?P<batch_id>[A-Za-z0-9_-]+)/rollback', $bpi_test_rest_routes );
+    }
+
+    /**
+     * Test that init() registers the scheduled batch cron hook.
+     */
+    public function test_init_registers_scheduled_batch_cron_hook(): void {
+        global $bpi_test_hooks;
+        $bpi_test_hooks = array();
+
+        $instance = BulkPluginInstaller::getInstance();
+        $instance->init();
+
+        $cron_hooks = array_filter(
+            $bpi_test_hooks,
+            fn( $hook ) => 'action' === $hook['type'] && \BPIBatchScheduler::CRON_HOOK === $hook['hook']
+        );
+
+        $this->assertCount( 1, $cron_hooks, 'Scheduled batch cron hook should be registered' );
+    }
+
+    /**
+     * Test that init() registers the maintenance page on template_redirect.
+     */
+    public function test_init_registers_maintenance_page_hook(): void {
+        global $bpi_test_hooks;
+        $bpi_test_hooks = array();
+
+        $instance = BulkPluginInstaller::getInstance();
+        $instance->init();
+
+        $maintenance_hooks = array_filter(
+            $bpi_test_hooks,
+            fn( $hook ) => 'action' === $hook['type'] && 'template_redirect' === $hook['hook']
+        );
+
+        $this->assertCount( 1, $maintenance_hooks, 'Maintenance page hook should be registered' );
     }
 
     /**
@@ -0,0 +1,329 @@
+<?php
+/**
+ * Unit tests for BPIBulkUploader chunked uploads.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPIBulkUploader;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for handleChunkUpload().
+ */
+class BulkUploaderChunkTest extends TestCase {
+
+    private BPIBulkUploader $uploader;
+    private string $tempDir;
+    private string $chunkRoot;
+
+    protected function setUp(): void {
+        global $bpi_test_nonce_valid, $bpi_test_user_can, $bpi_test_json_responses,
+               $bpi_test_options, $bpi_test_is_multisite, $bpi_test_is_network_admin;
+
+        $bpi_test_nonce_valid      = true;
+        $bpi_test_user_can         = true;
+        $bpi_test_json_responses   = array();
+        $bpi_test_options          = array( 'bpi_max_file_size' => 0 );
+        $bpi_test_is_multisite     = false;
+        $bpi_test_is_network_admin = false;
+
+        $this->tempDir = sys_get_temp_dir() . '/bpi_upload_chunk_' . uniqid();
+        mkdir( $this->tempDir, 0755, true );
+
+        $this->chunkRoot = wp_upload_dir()['basedir'] . '/bpi-tmp/chunks';
+        $this->recursiveDelete( $this->chunkRoot );
+
+        $this->uploader = new BPIBulkUploader();
+
+        $_POST = array();
+        unset( $_FILES['chunk'] );
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_nonce_valid, $bpi_test_options;
+        $bpi_test_nonce_valid = true;
+        $bpi_test_options     = array();
+        $_POST                = array();
+        unset( $_FILES['chunk'] );
+        $this->recursiveDelete( $this->tempDir );
+        $this->recursiveDelete( $this->chunkRoot );
+    }
+
+    public function test_intermediate_chunk_reports_progress(): void {
+        global $bpi_test_json_responses;
+
+        $chunks = $this->splitFile( $this->createValidPluginZip( 'chunked-plugin' ), 3 );
+
+        $this->sendChunk( 'upload-abc123', 0, $chunks );
+
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $this->assertFalse( $bpi_test_json_responses[0]['data']['complete'] );
+        $this->assertSame( 1, $bpi_test_json_responses[0]['data']['received'] );
+        $this->assertSame( 'upload-abc123', $bpi_test_json_responses[0]['data']['upload_id'] );
+    }
+
+    public function test_last_chunk_reassembles_and_queues_plugin(): void {
+        global $bpi_test_json_responses;
+
+        $zip_path = $this->createValidPluginZip( 'chunked-plugin' );
+        $chunks   = $this->splitFile( $zip_path, 3 );
+
+        foreach ( array_keys( $chunks ) as $index ) {
+            $this->sendChunk( 'upload-abc123', $index, $chunks );
+        }
+
+        $final = end( $bpi_test_json_responses );
+        $this->assertTrue( $final['success'] );
+        $this->assertTrue( $final['data']['complete'] );
+        $this->assertSame( 'chunked-plugin', $final['data']['slug'] );
+        $this->assertSame( 'chunked-plugin.zip', $final['data']['file_name'] );
+        $this->assertSame( filesize( $zip_path ), $final['data']['file_size'] );
+        $this->assertDirectoryDoesNotExist( $this->chunkRoot . '/1-upload-abc123' );
+    }
+
+    public function test_chunks_received_out_of_order_are_assembled_in_order(): void {
+        global $bpi_test_json_responses;
+
+        $chunks = $this->splitFile( $this->createValidPluginZip( 'chunked-plugin' ), 3 );
+
+        $this->sendChunk( 'upload-abc123', 2, $chunks );
+        $this->sendChunk( 'upload-abc123', 0, $chunks );
+        $this->sendChunk( 'upload-abc123', 1, $chunks );
+
+        $final = end( $bpi_test_json_responses );
+        $this->assertTrue( $final['success'] );
+        $this->assertSame( 'chunked-plugin', $final['data']['slug'] );
+    }
+
+    public function test_retried_chunk_overwrites_previous_attempt(): void {
+        global $bpi_test_json_responses;
+
+        $chunks = $this->splitFile( $this->createValidPluginZip( 'chunked-plugin' ), 2 );
+
+        $this->sendChunk( 'upload-abc123', 0, $chunks );
+        $this->sendChunk( 'upload-abc123', 0, $chunks );
+
+        $this->assertSame( 1, $bpi_test_json_responses[1]['data']['received'] );
+
+        $this->sendChunk( 'upload-abc123', 1, $chunks );
+
+        $this->assertTrue( $bpi_test_json_responses[2]['success'] );
+        $this->assertTrue( $bpi_test_json_responses[2]['data']['complete'] );
+    }
+
+    public function test_rejects_invalid_upload_id(): void {
+        global $bpi_test_json_responses;
+
+        $chunks = $this->splitFile( $this->createValidPluginZip( 'chunked-plugin' ), 2 );
+
+        $this->sendChunk( '../../etc', 0, $chunks );
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 400, $bpi_test_json_responses[0]['status'] );
+        $this->assertDirectoryDoesNotExist( $this->chunkRoot );
+    }
+
+    public function test_rejects_chunk_index_out_of_range(): void {
+        global $bpi_test_json_responses;
+
+        $chunks = $this->splitFile( $this->createValidPluginZip( 'chunked-plugin' ), 2 );
+
+        $this->sendChunk( 'upload-abc123', 0, $chunks, array( 'chunk_index' => 2 ) );
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 400, $bpi_test_json_responses[0]['status'] );
+    }
+
+    public function test_rejects_missing_chunk_file(): void {
+        global $bpi_test_json_responses;
+
+        $_POST = array(
+            '_wpnonce'     => 'valid',
+            'upload_id'    => 'upload-abc123',
+            'chunk_index'  => 0,
+            'total_chunks' => 1,
+            'file_name'    => 'chunked-plugin.zip',
+            'file_size'    => 100,
+        );
+
+        $this->uploader->handleChunkUpload();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 400, $bpi_test_json_responses[0]['status'] );
+    }
+
+    public function test_rejects_file_exceeding_size_limit(): void {
+        global $bpi_test_json_responses, $bpi_test_options;
+
+        $bpi_test_options = array( 'bpi_max_file_size' => 1 );
+        $chunks           = $this->splitFile( $this->createValidPluginZip( 'chunked-plugin' ), 2 );
+
+        $this->sendChunk( 'upload-abc123', 0, $chunks, array( 'file_size' => 2 * 1024 * 1024 ) );
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertStringContainsString( 'exceeds the maximum allowed size', $bpi_test_json_responses[0]['data']['message'] );
+    }
+
+    public function test_size_mismatch_fails_and_discards_chunks(): void {
+        global $bpi_test_json_responses;
+
+        $zip_path = $this->createValidPluginZip( 'chunked-plugin' );
+        $chunks   = $this->splitFile( $zip_path, 2 );
+        $extra    = array( 'file_size' => filesize( $zip_path ) + 10 );
+
+        $this->sendChunk( 'upload-abc123', 0, $chunks, $extra );
+        $this->sendChunk( 'upload-abc123', 1, $chunks, $extra );
+
+        $this->assertFalse( $bpi_test_json_responses[1]['success'] );
+        $this->assertStringContainsString( 'does not match the original size', $bpi_test_json_responses[1]['data']['message'] );
+        $this->assertDirectoryDoesNotExist( $this->chunkRoot . '/1-upload-abc123' );
+    }
+
+    public function test_rejects_chunk_once_parts_exceed_declared_size(): void {
+        global $bpi_test_json_responses;
+
+        $zip_path = $this->createValidPluginZip( 'chunked-plugin' );
+        $chunks   = $this->splitFile( $zip_path, 3 );
+        $extra    = array( 'file_size' => filesize( $chunks[0] ) + 10 );
+
+        $this->sendChunk( 'upload-abc123', 0, $chunks, $extra );
+        $this->sendChunk( 'upload-abc123', 1, $chunks, $extra );
+
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $this->assertFalse( $bpi_test_json_responses[1]['success'] );
+        $this->assertSame( 400, $bpi_test_json_responses[1]['status'] );
+        $this->assertStringContainsString( 'exceed the original size', $bpi_test_json_responses[1]['data']['message'] );
+        $this->assertDirectoryDoesNotExist( $this->chunkRoot . '/1-upload-abc123' );
+    }
+
+    public function test_retried_chunk_is_not_counted_twice_against_declared_size(): void {
+        global $bpi_test_json_responses;
+
+        $zip_path = $this->createValidPluginZip( 'chunked-plugin' );
+        $chunks   = $this->splitFile( $zip_path, 2 );
+
+        $this->sendChunk( 'upload-abc123', 1, $chunks );
+        $this->sendChunk( 'upload-abc123', 1, $chunks );
+
+        $this->assertTrue( $bpi_test_json_responses[1]['success'] );
+        $this->assertSame( 1, $bpi_test_json_responses[1]['data']['received'] );
+    }
+
+    public function test_invalid_zip_is_rejected_after_assembly(): void {
+        global $bpi_test_json_responses;
+
+        $bad_file = $this->tempDir . '/chunked-plugin.zip';
+        file_put_contents( $bad_file, str_repeat( 'not a zip ', 20 ) );
+        $chunks = $this->splitFile( $bad_file, 2 );
+
+        $this->sendChunk( 'upload-abc123', 0, $chunks );
+        $this->sendChunk( 'upload-abc123', 1, $chunks );
+
+        $this->assertFalse( $bpi_test_json_responses[1]['success'] );
+        $this->assertSame( 400, $bpi_test_json_responses[1]['status'] );
+        $this->assertStringContainsString( "File 'chunked-plugin.zip'", $bpi_test_json_responses[1]['data']['message'] );
+    }
+
+    public function test_rejects_invalid_nonce(): void {
+        global $bpi_test_json_responses, $bpi_test_nonce_valid;
+
+        $bpi_test_nonce_valid = false;
+        $chunks               = $this->splitFile( $this->createValidPluginZip( 'chunked-plugin' ), 2 );
+
+        $this->sendChunk( 'upload-abc123', 0, $chunks );
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 403, $bpi_test_json_responses[0]['status'] );
+    }
+
+    public function test_first_chunk_removes_stale_chunk_directories(): void {
+        $stale_dir = $this->chunkRoot . '/1-stale-upload';
+        mkdir( $stale_dir, 0755, true );
+        file_put_contents( $stale_dir . '/0.part', 'stale' );
+        touch( $stale_dir, time() - 2 * 86400 );
+
+        $chunks = $this->splitFile( $this->createValidPluginZip( 'chunked-plugin' ), 2 );
+        $this->sendChunk( 'upload-abc123', 0, $chunks );
+
+        $this->assertDirectoryDoesNotExist( $stale_dir );
+        $this->assertDirectoryExists( $this->chunkRoot . '/1-upload-abc123' );
+    }
+
+    /**
+     * Simulate the POST of a single chunk.
+     */
+    private function sendChunk( string $upload_id, int $index, array $chunks, array $overrides = array() ): void {
+        $_POST = array_merge(
+            array(
+                '_wpnonce'     => 'valid',
+                'upload_id'    => $upload_id,
+                'chunk_index'  => $index,
+                'total_chunks' => count( $chunks ),
+                'file_name'    => 'chunked-plugin.zip',
+                'file_size'    => array_sum( array_map( 'filesize', $chunks ) ),
+            ),
+            $overrides
+        );
+
+        // Copy the chunk, as the uploader moves it into place.
+        $tmp_name = $this->tempDir . '/upload-' . uniqid() . '.tmp';
+        copy( $chunks[ $index ], $tmp_name );
+
+        $_FILES['chunk'] = array(
+            'tmp_name' => $tmp_name,
+            'name'     => 'chunked-plugin.zip.part',
+            'size'     => filesize( $tmp_name ),
+            'error'    => UPLOAD_ERR_OK,
+        );
+
+        $this->uploader->handleChunkUpload();
+    }
+
+    /**
+     * Split a file into the given number of chunk files.
+     *
+     * @return string[] Chunk file paths, in order.
+     */
+    private function splitFile( string $path, int $count ): array {
+        $contents = file_get_contents( $path );
+        $size     = (int) ceil( strlen( $contents ) / $count );
+        $chunks   = array();
+
+        foreach ( str_split( $contents, $size ) as $index => $part ) {
+            $chunk_path = $path . '.chunk' . $index;
+            file_put_contents( $chunk_path, $part );
+            $chunks[] = $chunk_path;
+        }
+
+        return $chunks;
+    }
+
+    private function createValidPluginZip( string $slug ): string {
+        $zip_path = $this->tempDir . '/' . $slug . '.zip';
+        $zip = new \ZipArchive();
+        $zip->open( $zip_path, \ZipArchive::CREATE );
+        $zip->addFromString(
+            $slug . '/' . $slug . '.php',
+            "<?php\n/**\n * Plugin Name: " . ucfirst( $slug ) . "\n * Version: 1.0.0\n * Author: Test\n * Description: Test plugin\n */"
+        );
+        $zip->close();
+        return $zip_path;
+    }
+
+    private function recursiveDelete( string $path ): void {
+        if ( ! is_dir( $path ) ) {
+            return;
+        }
+        $it = new \RecursiveIteratorIterator(
+            new \RecursiveDirectoryIterator( $path, \RecursiveDirectoryIterator::SKIP_DOTS ),
+            \RecursiveIteratorIterator::CHILD_FIRST
+        );
+        foreach ( $it as $item ) {
+            $item->isDir() ? rmdir( $item->getPathname() ) : unlink( $item->getPathname() );
+        }
+        rmdir( $path );
+    }
+}
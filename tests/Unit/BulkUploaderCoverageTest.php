@@ -8,6 +8,7 @@
 namespace BPI\Tests\Unit;
 
 use BPIBulkUploader;
+use BPIQueueManager;
 use PHPUnit\Framework\TestCase;
 
 /**
@@ -20,8 +21,9 @@ class BulkUploaderCoverageTest extends TestCase {
 
     protected function setUp(): void {
         global $bpi_test_nonce_valid, $bpi_test_user_can, $bpi_test_json_responses,
-               $bpi_test_options, $bpi_test_is_multisite, $bpi_test_is_network_admin;
+               $bpi_test_options, $bpi_test_is_multisite, $bpi_test_is_network_admin, $bpi_test_transients;
 
+        $bpi_test_transients      = array();
         $bpi_test_nonce_valid     = true;
         $bpi_test_user_can        = true;
         $bpi_test_json_responses  = array();
@@ -141,6 +143,43 @@ class BulkUploaderCoverageTest extends TestCase {
         $this->assertTrue( $bpi_test_json_responses[0]['success'] );
     }
 
+    public function test_queue_zip_stores_security_findings(): void {
+        $zip_path = $this->createValidPluginZip( 'scanned-plugin' );
+        $zip      = new \ZipArchive();
+        $zip->open( $zip_path );
+        $zip->addFromString( 'scanned-plugin/.htaccess', 'Deny from all' );
+        $zip->close();
+
+        $result = $this->uploader->queueZip( $zip_path, 'scanned-plugin.zip', filesize( $zip_path ) );
+
+        $this->assertIsArray( $result );
+        $queue = ( new BPIQueueManager() )->getAll();
+        $this->assertSame( 'server_config', $queue[0]['security_findings'][0]['rule'] );
+        $this->assertSame( 'scanned-plugin/.htaccess', $queue[0]['security_findings'][0]['file'] );
+    }
+
+    public function test_queue_zip_skips_security_scan_when_off(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_security_scan'] = 'off';
+
+        $zip_path = $this->createValidPluginZip( 'unscanned-plugin' );
+
+        $this->uploader->queueZip( $zip_path, 'unscanned-plugin.zip', filesize( $zip_path ) );
+
+        $queue = ( new BPIQueueManager() )->getAll();
+        $this->assertNull( $queue[0]['security_findings'] );
+    }
+
+    public function test_queue_zip_records_sha256(): void {
+        $zip_path = $this->createValidPluginZip( 'hashed-plugin' );
+        $sha256   = hash_file( 'sha256', $zip_path );
+
+        $result = $this->uploader->queueZip( $zip_path, 'hashed-plugin.zip', filesize( $zip_path ) );
+
+        $this->assertSame( $sha256, $result['sha256'] );
+        $this->assertSame( $sha256, ( new BPIQueueManager() )->getAll()[0]['sha256'] );
+    }
+
     private function createValidPluginZip( string $slug ): string {
         $zip_path = $this->tempDir . '/' . $slug . '.zip';
         $zip = new \ZipArchive();
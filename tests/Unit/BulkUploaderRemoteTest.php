@@ -0,0 +1,261 @@
+<?php
+/**
+ * Unit tests for BPIBulkUploader remote sources.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPI\Tests\Support\LocalHttpSource;
+use BPIBulkUploader;
+use BPIQueueManager;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for handleRemoteAdd() and addManifest().
+ */
+class BulkUploaderRemoteTest extends TestCase {
+
+    private BPIBulkUploader $uploader;
+    private LocalHttpSource $http;
+    private string $tempDir;
+
+    protected function setUp(): void {
+        global $bpi_test_nonce_valid, $bpi_test_user_can, $bpi_test_json_responses,
+               $bpi_test_options, $bpi_test_transients, $bpi_test_is_multisite, $bpi_test_is_network_admin;
+
+        $bpi_test_nonce_valid      = true;
+        $bpi_test_user_can         = true;
+        $bpi_test_json_responses   = array();
+        $bpi_test_options          = array( 'bpi_max_file_size' => 0 );
+        $bpi_test_transients       = array();
+        $bpi_test_is_multisite     = false;
+        $bpi_test_is_network_admin = false;
+
+        $this->tempDir = sys_get_temp_dir() . '/bpi_remote_' . uniqid();
+        mkdir( $this->tempDir, 0755, true );
+
+        $this->http     = new LocalHttpSource();
+        $this->uploader = new BPIBulkUploader( $this->http );
+
+        $_POST = array();
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_nonce_valid, $bpi_test_options, $bpi_test_transients;
+        $bpi_test_nonce_valid = true;
+        $bpi_test_options     = array();
+        $bpi_test_transients  = array();
+        $_POST                = array();
+
+        foreach ( glob( $this->tempDir . '/*' ) as $file ) {
+            unlink( $file );
+        }
+        rmdir( $this->tempDir );
+    }
+
+    public function test_queues_plugin_from_zip_url(): void {
+        global $bpi_test_json_responses;
+
+        $this->http->serve( 'https://example.com/remote-plugin.zip', $this->createValidPluginZip( 'remote-plugin' ) );
+
+        $this->addSources( 'https://example.com/remote-plugin.zip' );
+
+        $response = $bpi_test_json_responses[0];
+        $this->assertTrue( $response['success'] );
+        $this->assertSame( 1, $response['data']['queue_count'] );
+
+        $result = $response['data']['results'][0];
+        $this->assertSame( 'https://example.com/remote-plugin.zip', $result['input'] );
+        $this->assertTrue( $result['success'] );
+        $this->assertSame( 'remote-plugin', $result['slug'] );
+        $this->assertSame( 'remote-plugin.zip', $result['file_name'] );
+
+        $queue = ( new BPIQueueManager() )->getAll();
+        $this->assertSame( 'https://example.com/remote-plugin.zip', $queue[0]['source'] );
+        $this->assertFileExists( $queue[0]['file_path'] );
+    }
+
+    public function test_slugs_are_downloaded_from_wporg(): void {
+        global $bpi_test_json_responses;
+
+        $this->createValidPluginZip( 'hello-dolly' );
+        $this->createValidPluginZip( 'classic-editor', 'classic-editor.1.6.3.zip' );
+        $this->http->serveDirectory( $this->tempDir );
+
+        $this->addSources( "hello-dolly\nclassic-editor@1.6.3" );
+
+        $this->assertSame(
+            array(
+                'https://downloads.wordpress.org/plugin/hello-dolly.zip',
+                'https://downloads.wordpress.org/plugin/classic-editor.1.6.3.zip',
+            ),
+            $this->http->requests
+        );
+        $this->assertSame( 2, $bpi_test_json_responses[0]['data']['queue_count'] );
+        $this->assertSame( 'classic-editor', $bpi_test_json_responses[0]['data']['results'][1]['slug'] );
+    }
+
+    public function test_failed_sources_are_reported_without_stopping_the_rest(): void {
+        global $bpi_test_json_responses;
+
+        $this->http->serve( 'https://example.com/good-plugin.zip', $this->createValidPluginZip( 'good-plugin' ) );
+
+        $this->addSources( "https://example.com/missing.zip\nnot a plugin!\nhttps://example.com/good-plugin.zip" );
+
+        $results = $bpi_test_json_responses[0]['data']['results'];
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $this->assertFalse( $results[0]['success'] );
+        $this->assertStringContainsString( 'Could not download https://example.com/missing.zip', $results[0]['message'] );
+        $this->assertFalse( $results[1]['success'] );
+        $this->assertTrue( $results[2]['success'] );
+        $this->assertSame( 1, $bpi_test_json_responses[0]['data']['queue_count'] );
+    }
+
+    public function test_downloaded_file_that_is_not_a_plugin_is_rejected(): void {
+        global $bpi_test_json_responses;
+
+        $bad_file = $this->tempDir . '/bad.zip';
+        file_put_contents( $bad_file, 'not a zip' );
+        $this->http->serve( 'https://example.com/bad.zip', $bad_file );
+
+        $this->addSources( 'https://example.com/bad.zip' );
+
+        $result = $bpi_test_json_responses[0]['data']['results'][0];
+        $this->assertFalse( $result['success'] );
+        $this->assertStringContainsString( "File 'bad.zip'", $result['message'] );
+        $this->assertSame( 0, $bpi_test_json_responses[0]['data']['queue_count'] );
+    }
+
+    public function test_downloaded_file_exceeding_size_limit_is_rejected(): void {
+        global $bpi_test_json_responses, $bpi_test_options;
+
+        $bpi_test_options = array( 'bpi_max_file_size' => 1 );
+        $big_file         = $this->tempDir . '/big-plugin.zip';
+        file_put_contents( $big_file, str_repeat( 'x', 2 * 1024 * 1024 ) );
+        $this->http->serve( 'https://example.com/big-plugin.zip', $big_file );
+
+        $this->addSources( 'https://example.com/big-plugin.zip' );
+
+        $result = $bpi_test_json_responses[0]['data']['results'][0];
+        $this->assertFalse( $result['success'] );
+        $this->assertStringContainsString( 'exceeds the maximum allowed size', $result['message'] );
+    }
+
+    public function test_rejects_empty_input(): void {
+        global $bpi_test_json_responses;
+
+        $this->addSources( "\n# nothing here\n" );
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 400, $bpi_test_json_responses[0]['status'] );
+        $this->assertSame( array(), $this->http->requests );
+    }
+
+    public function test_rejects_more_sources_than_max_plugins(): void {
+        global $bpi_test_json_responses, $bpi_test_options;
+
+        $bpi_test_options['bpi_max_plugins'] = 2;
+
+        $this->addSources( "one\ntwo\nthree" );
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 400, $bpi_test_json_responses[0]['status'] );
+        $this->assertSame( array(), $this->http->requests );
+    }
+
+    public function test_rejects_invalid_nonce(): void {
+        global $bpi_test_json_responses, $bpi_test_nonce_valid;
+
+        $bpi_test_nonce_valid = false;
+
+        $this->addSources( 'hello-dolly' );
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 403, $bpi_test_json_responses[0]['status'] );
+        $this->assertSame( array(), $this->http->requests );
+    }
+
+    public function test_rejects_user_without_capability(): void {
+        global $bpi_test_json_responses, $bpi_test_user_can;
+
+        $bpi_test_user_can = false;
+
+        $this->addSources( 'hello-dolly' );
+
+        $this->assertSame( 403, $bpi_test_json_responses[0]['status'] );
+        $this->assertSame( array(), $this->http->requests );
+    }
+
+    public function test_add_manifest_queues_plugins_with_manifest_choices(): void {
+        $this->createValidPluginZip( 'hello-dolly', 'hello-dolly.1.0.0.zip' );
+        $this->http->serveDirectory( $this->tempDir );
+
+        $result = $this->uploader->addManifest( wp_json_encode( array(
+            'name'    => 'Stack',
+            'plugins' => array(
+                array( 'slug' => 'hello-dolly', 'version' => '1.0.0', 'sha256' => str_repeat( 'a', 64 ), 'activate' => false ),
+            ),
+        ) ) );
+
+        $this->assertSame( 'Stack', $result['name'] );
+        $this->assertTrue( $result['results'][0]['success'] );
+        $this->assertSame( array( 'https://downloads.wordpress.org/plugin/hello-dolly.1.0.0.zip' ), $this->http->requests );
+
+        $queued = ( new BPIQueueManager() )->getAll()[0];
+        $this->assertSame( str_repeat( 'a', 64 ), $queued['expected_sha256'] );
+        $this->assertSame( 'manifest', $queued['checksum_source'] );
+        $this->assertFalse( $queued['activate'] );
+    }
+
+    public function test_add_manifest_rejects_plugins_outside_the_constraint_and_local_paths(): void {
+        $this->http->serve( 'https://example.com/old-plugin.zip', $this->createValidPluginZip( 'old-plugin' ) );
+
+        $result = $this->uploader->addManifest( wp_json_encode( array(
+            'plugins' => array(
+                array( 'source' => 'https://example.com/old-plugin.zip', 'version' => '^2.0' ),
+                array( 'slug' => 'local', 'source' => 'zips/local.zip' ),
+            ),
+        ) ) );
+
+        $this->assertFalse( $result['results'][0]['success'] );
+        $this->assertStringContainsString( '^2.0', $result['results'][0]['message'] );
+        $this->assertFalse( $result['results'][1]['success'] );
+        $this->assertStringContainsString( 'WP-CLI', $result['results'][1]['message'] );
+        $this->assertSame( 0, $result['queue_count'] );
+    }
+
+    public function test_add_manifest_returns_validation_errors(): void {
+        $result = $this->uploader->addManifest( '{"plugins":[{"version":"1.0"}]}' );
+
+        $this->assertInstanceOf( \WP_Error::class, $result );
+        $this->assertSame( 400, $result->get_error_data()['status'] );
+        $this->assertCount( 1, $result->get_error_data()['errors'] );
+        $this->assertSame( array(), $this->http->requests );
+    }
+
+    /**
+     * Simulate the POST of a list of sources.
+     */
+    private function addSources( string $sources ): void {
+        $_POST = array(
+            '_wpnonce' => 'valid',
+            'sources'  => $sources,
+        );
+
+        $this->uploader->handleRemoteAdd();
+    }
+
+    private function createValidPluginZip( string $slug, string $file_name = '' ): string {
+        $zip_path = $this->tempDir . '/' . ( '' !== $file_name ? $file_name : $slug . '.zip' );
+        $zip = new \ZipArchive();
+        $zip->open( $zip_path, \ZipArchive::CREATE );
+        $zip->addFromString(
+            $slug . '/' . $slug . '.php',
+            "<?php\n/**\n * Plugin Name: " . ucfirst( $slug ) . "\n * Version: 1.0.0\n * Author: Test\n * Description: Test plugin\n */"
+        );
+        $zip->close();
+        return $zip_path;
+    }
+}
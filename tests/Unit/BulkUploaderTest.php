@@ -281,12 +281,16 @@ class BulkUploaderTest extends TestCase {
      */
     public function test_extract_plugin_headers_reads_all_headers(): void {
         $zip_path = $this->createPluginZip( 'test-plugin', array(
-            'Plugin Name'       => 'Test Plugin',
-            'Version'           => '2.5.1',
-            'Author'            => 'Jane Doe',
-            'Description'       => 'A wonderful test plugin.',
-            'Requires PHP'      => '8.0',
-            'Requires at least' => '6.0',
+            'Plugin Name'             => 'Test Plugin',
+            'Version'                 => '2.5.1',
+            'Author'                  => 'Jane Doe',
+            'Description'             => 'A wonderful test plugin.',
+            'Requires PHP'            => '8.0',
+            'Requires at least'       => '6.0',
+            'Requires Plugins'        => 'akismet, woocommerce',
+            'Requires PHP Extensions' => 'intl, gd',
+            'Network'                 => 'true',
+            'Tested up to'            => '6.7',
         ) );
 
         $headers = $this->uploader->extractPluginHeaders( $zip_path );
@@ -297,6 +301,10 @@ class BulkUploaderTest extends TestCase {
         $this->assertSame( 'A wonderful test plugin.', $headers['description'] );
         $this->assertSame( '8.0', $headers['requires_php'] );
         $this->assertSame( '6.0', $headers['requires_wp'] );
+        $this->assertSame( 'akismet, woocommerce', $headers['requires_plugins'] );
+        $this->assertSame( 'intl, gd', $headers['requires_extensions'] );
+        $this->assertSame( 'true', $headers['network'] );
+        $this->assertSame( '6.7', $headers['tested_up_to'] );
     }
 
     /**
@@ -328,6 +336,7 @@ class BulkUploaderTest extends TestCase {
         $this->assertSame( self::VERSION_100, $headers['version'] );
         $this->assertSame( '', $headers['requires_php'] );
         $this->assertSame( '', $headers['requires_wp'] );
+        $this->assertSame( '', $headers['requires_plugins'] );
     }
 
     // ---------------------------------------------------------------
@@ -129,7 +129,7 @@ class CLIInterfaceTest extends TestCase {
 
         $this->cli->registerCommands();
 
-        $this->assertCount( 1, $bpi_test_cli_commands );
+        $this->assertCount( 12, $bpi_test_cli_commands );
         $this->assertSame( 'bulk-plugin install', $bpi_test_cli_commands[0]['name'] );
     }
 
@@ -0,0 +1,210 @@
+<?php
+/**
+ * Unit tests for installing manifests with `wp bulk-plugin install --manifest`.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPI\Tests\Support\LocalHttpSource;
+use BPIBulkUploader;
+use BPICLIInterface;
+use BPICompatibilityChecker;
+use BPILogManager;
+use BPIProfileManager;
+use BPIQueueManager;
+use BPIRollbackManager;
+use BPISettingsManager;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for the --manifest and --lock arguments and manifest profile exports.
+ */
+class CLIManifestTest extends TestCase {
+
+    private BPICLIInterface $cli;
+    private CLISubcommandsRecordingProcessor $processor;
+    private LocalHttpSource $http;
+    private BPIProfileManager $profiles;
+    private string $tempDir;
+
+    protected function setUp(): void {
+        global $bpi_test_cli_log, $bpi_test_cli_halt_code, $bpi_test_options, $bpi_test_transients,
+            $bpi_test_installed_plugins, $bpi_test_is_multisite;
+
+        $bpi_test_cli_log           = array();
+        $bpi_test_cli_halt_code     = null;
+        $bpi_test_options           = array( 'bpi_auto_activate' => false );
+        $bpi_test_transients        = array();
+        $bpi_test_installed_plugins = array();
+        $bpi_test_is_multisite      = false;
+
+        $this->tempDir = sys_get_temp_dir() . '/bpi_cli_manifest_' . uniqid();
+        mkdir( $this->tempDir, 0755, true );
+
+        $this->processor = new CLISubcommandsRecordingProcessor( new BPIRollbackManager(), new BPILogManager(), new BPISettingsManager() );
+        $this->http      = new LocalHttpSource();
+        $this->profiles  = new BPIProfileManager();
+
+        $this->cli = new BPICLIInterface(
+            new BPIBulkUploader(),
+            new BPIQueueManager(),
+            new BPICompatibilityChecker(),
+            $this->processor,
+            $this->profiles
+        );
+        $this->cli->setHttpSource( $this->http );
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_is_multisite;
+        $bpi_test_is_multisite = false;
+
+        foreach ( glob( $this->tempDir . '/*' ) as $file ) {
+            unlink( $file );
+        }
+        rmdir( $this->tempDir );
+    }
+
+    public function test_installs_local_paths_relative_to_manifest_in_order(): void {
+        $this->createPluginZip( 'second-plugin' );
+        $this->createPluginZip( 'first-plugin' );
+        $manifest = $this->writeManifest( array(
+            'plugins' => array(
+                array( 'slug' => 'second-plugin', 'source' => 'second-plugin.zip', 'version' => '^1.0', 'activate' => true ),
+                array( 'slug' => 'first-plugin', 'source' => 'first-plugin.zip' ),
+            ),
+        ) );
+
+        $this->cli->install( array(), array( 'manifest' => $manifest, 'yes' => true ) );
+
+        $batch = $this->processor->batches[0];
+        $this->assertSame( array( 'second-plugin', 'first-plugin' ), array_column( $batch, 'slug' ) );
+        $this->assertTrue( $batch[0]['activate'] );
+        $this->assertArrayNotHasKey( 'activate', $batch[1] );
+        $this->assertStringContainsString( 'Loaded 2 plugin(s) from manifest', $this->getCliMessages( 'log' )[0]['message'] );
+    }
+
+    public function test_manifest_checksum_and_network_flag_are_applied(): void {
+        global $bpi_test_is_multisite;
+        $bpi_test_is_multisite = true;
+
+        $this->createPluginZip( 'net-plugin' );
+        $manifest = $this->writeManifest( array(
+            'plugins' => array(
+                array( 'slug' => 'net-plugin', 'source' => 'net-plugin.zip', 'sha256' => str_repeat( 'c', 64 ), 'network' => true ),
+            ),
+        ) );
+
+        $this->cli->install( array(), array( 'manifest' => $manifest, 'yes' => true ) );
+
+        $plugin = $this->processor->batches[0][0];
+        $this->assertSame( str_repeat( 'c', 64 ), $plugin['expected_sha256'] );
+        $this->assertTrue( $plugin['network_activate'] );
+    }
+
+    public function test_downloads_wporg_plugins_and_writes_lock_file(): void {
+        $zip      = $this->createPluginZip( 'hello-dolly', 'hello-dolly.zip', '1.7.2' );
+        $manifest = $this->writeManifest( array(
+            'name'    => 'Locked',
+            'plugins' => array( array( 'slug' => 'hello-dolly', 'version' => '^1.7' ) ),
+        ) );
+        $this->http->serveDirectory( $this->tempDir );
+
+        $this->cli->install( array(), array( 'manifest' => $manifest, 'lock' => true, 'yes' => true ) );
+
+        $this->assertSame( array( 'https://downloads.wordpress.org/plugin/hello-dolly.zip' ), $this->http->requests );
+        $this->assertSame( 'hello-dolly.zip', $this->processor->batches[0][0]['file_name'] );
+        $this->assertFileDoesNotExist( $this->processor->batches[0][0]['file_path'], 'Downloads should be removed after the install' );
+
+        $lock = json_decode( (string) file_get_contents( $this->tempDir . '/bpi.lock.json' ), true );
+        $this->assertSame( 'Locked', $lock['name'] );
+        $this->assertSame( '1.7.2', $lock['plugins'][0]['version'] );
+        $this->assertSame( hash_file( 'sha256', $zip ), $lock['plugins'][0]['sha256'] );
+    }
+
+    public function test_version_mismatch_aborts_the_whole_manifest(): void {
+        global $bpi_test_cli_halt_code;
+
+        $this->createPluginZip( 'good-plugin' );
+        $this->createPluginZip( 'old-plugin' );
+        $manifest = $this->writeManifest( array(
+            'plugins' => array(
+                array( 'slug' => 'good-plugin', 'source' => 'good-plugin.zip' ),
+                array( 'slug' => 'old-plugin', 'source' => 'old-plugin.zip', 'version' => '>=2.0' ),
+            ),
+        ) );
+
+        $this->cli->install( array(), array( 'manifest' => $manifest, 'lock' => true, 'yes' => true ) );
+
+        $this->assertSame( 2, $bpi_test_cli_halt_code );
+        $this->assertEmpty( $this->processor->batches );
+        $this->assertStringContainsString( '>=2.0', $this->getCliMessages( 'warning' )[0]['message'] );
+        $this->assertFileDoesNotExist( $this->tempDir . '/bpi.lock.json' );
+    }
+
+    public function test_invalid_manifest_outputs_error(): void {
+        global $bpi_test_cli_halt_code;
+
+        $manifest = $this->tempDir . '/bpi.json';
+        file_put_contents( $manifest, '{"plugins":[{"slug":"akismet","version":"latest"}]}' );
+
+        $this->cli->install( array(), array( 'manifest' => $manifest, 'yes' => true ) );
+
+        $this->assertSame( 2, $bpi_test_cli_halt_code );
+        $this->assertStringContainsString( 'latest', $this->getCliMessages( 'error' )[0]['message'] );
+    }
+
+    public function test_missing_manifest_outputs_error(): void {
+        global $bpi_test_cli_halt_code;
+
+        $this->cli->install( array(), array( 'manifest' => $this->tempDir . '/missing.json', 'yes' => true ) );
+
+        $this->assertSame( 2, $bpi_test_cli_halt_code );
+        $this->assertEmpty( $this->processor->batches );
+    }
+
+    public function test_profile_export_writes_manifest(): void {
+        global $bpi_test_cli_log;
+        $this->profiles->saveProfile( 'starter', array( array( 'slug' => 'akismet', 'version' => '5.0' ) ) );
+
+        $this->cli->exportProfile( array( 'starter' ), array( 'manifest' => true ) );
+
+        $data = json_decode( $bpi_test_cli_log[0]['message'], true );
+        $this->assertSame( 1, $data['schema'] );
+        $this->assertSame( array( 'slug' => 'akismet', 'version' => '5.0' ), $data['plugins'][0] );
+    }
+
+    /**
+     * Get CLI log messages of a specific type.
+     */
+    private function getCliMessages( string $type ): array {
+        global $bpi_test_cli_log;
+        return array_values( array_filter( $bpi_test_cli_log, fn( $entry ) => $entry['type'] === $type ) );
+    }
+
+    /**
+     * Write bpi.json to the temp directory.
+     */
+    private function writeManifest( array $data ): string {
+        $path = $this->tempDir . '/bpi.json';
+        file_put_contents( $path, wp_json_encode( $data ) );
+        return $path;
+    }
+
+    /**
+     * Create a plugin ZIP in the temp directory.
+     */
+    private function createPluginZip( string $slug, string $file_name = '', string $version = '1.0.0' ): string {
+        $zip_path = $this->tempDir . '/' . ( '' !== $file_name ? $file_name : $slug . '.zip' );
+        $zip      = new \ZipArchive();
+        $zip->open( $zip_path, \ZipArchive::CREATE );
+        $zip->addFromString(
+            $slug . '/' . $slug . '.php',
+            "<?php\n/**\n * Plugin Name: " . ucfirst( $slug ) . "\n * Version: " . $version . "\n * Author: Test\n * Description: Test plugin\n */"
+        );
+        $zip->close();
+        return $zip_path;
+    }
+}
@@ -0,0 +1,389 @@
+<?php
+/**
+ * Unit tests for the BPICLIInterface subcommands beyond `bulk-plugin install`.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPIBatchRollbackManager;
+use BPIBulkUploader;
+use BPICLIInterface;
+use BPICompatibilityChecker;
+use BPILogManager;
+use BPIPluginProcessor;
+use BPIProfileManager;
+use BPIQueueManager;
+use BPIRollbackManager;
+use BPISettingsManager;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Processor that records the plugins it is given instead of installing them.
+ */
+class CLISubcommandsRecordingProcessor extends BPIPluginProcessor {
+
+    public array $batches = array();
+
+    public array $maintenance = array();
+
+    public function processBatch( array $selected_plugins, bool $dry_run = false, bool $maintenance = false ): array {
+        $this->batches[]     = $selected_plugins;
+        $this->maintenance[] = $maintenance;
+        return array();
+    }
+}
+
+/**
+ * Processor that installs every plugin without touching the file system.
+ */
+class CLISubcommandsInstallingProcessor extends BPIPluginProcessor {
+
+    protected function runUpgrader( string $action, string $file_path, string $plugin_file ): true|\WP_Error {
+        return true;
+    }
+
+    protected function getPluginDir( string $slug ): string {
+        return '/plugins/' . $slug;
+    }
+
+    protected function isPluginActive( string $plugin_file ): bool {
+        return false;
+    }
+
+    protected function wpActivatePlugin( string $plugin_file, bool $network_wide = false ): \WP_Error|null {
+        return null;
+    }
+}
+
+/**
+ * Tests for the rollback, batches, profile, log and queue subcommands and
+ * the --format, --activate and --network arguments.
+ */
+class CLISubcommandsTest extends TestCase {
+
+    private BPICLIInterface $cli;
+    private CLISubcommandsRecordingProcessor $processor;
+    private BPIBatchRollbackManager $batchRollback;
+    private BPILogManager $logManager;
+    private BPIProfileManager $profiles;
+    private BPIQueueManager $queue;
+
+    protected function setUp(): void {
+        global $bpi_test_cli_commands, $bpi_test_cli_log, $bpi_test_cli_halt_code,
+            $bpi_test_cli_format_items_calls, $bpi_test_options, $bpi_test_transients,
+            $bpi_test_installed_plugins, $bpi_test_is_multisite, $wpdb;
+
+        $bpi_test_cli_commands           = array();
+        $bpi_test_cli_log                = array();
+        $bpi_test_cli_halt_code          = null;
+        $bpi_test_cli_format_items_calls = array();
+        $bpi_test_options                = array( 'bpi_auto_activate' => false );
+        $bpi_test_transients             = array();
+        $bpi_test_installed_plugins      = array();
+        $bpi_test_is_multisite           = false;
+        $wpdb->reset_bpi_log();
+
+        $this->logManager    = new BPILogManager();
+        $this->batchRollback = new BPIBatchRollbackManager( new BPIRollbackManager(), new BPISettingsManager(), $this->logManager );
+        $this->processor     = new CLISubcommandsRecordingProcessor( new BPIRollbackManager(), $this->logManager, new BPISettingsManager() );
+        $this->profiles      = new BPIProfileManager();
+        $this->queue         = new BPIQueueManager();
+
+        $this->cli = new BPICLIInterface(
+            new BPIBulkUploader(),
+            $this->queue,
+            new BPICompatibilityChecker(),
+            $this->processor,
+            $this->profiles
+        );
+        $this->cli->setBatchRollbackManager( $this->batchRollback );
+        $this->cli->setLogManager( $this->logManager );
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_is_multisite;
+        $bpi_test_is_multisite = false;
+    }
+
+    /**
+     * Get CLI log messages of a specific type.
+     */
+    private function getCliMessages( string $type ): array {
+        global $bpi_test_cli_log;
+        return array_values( array_filter( $bpi_test_cli_log, fn( $entry ) => $entry['type'] === $type ) );
+    }
+
+    /**
+     * Save a profile with one plugin and return its ID.
+     */
+    private function saveStarterProfile(): int {
+        return $this->profiles->saveProfile( 'starter', array(
+            array( 'slug' => 'akismet', 'name' => 'Akismet', 'version' => '5.0', 'activate' => true ),
+        ) );
+    }
+
+    public function test_register_commands_adds_every_subcommand(): void {
+        global $bpi_test_cli_commands;
+
+        $this->cli->registerCommands();
+        $names = array_column( $bpi_test_cli_commands, 'name' );
+
+        foreach ( array(
+            'bulk-plugin rollback',
+            'bulk-plugin batches list',
+            'bulk-plugin profile list',
+            'bulk-plugin profile show',
+            'bulk-plugin profile export',
+            'bulk-plugin profile import',
+            'bulk-plugin profile delete',
+            'bulk-plugin log list',
+            'bulk-plugin log clear',
+            'bulk-plugin queue list',
+            'bulk-plugin queue clear',
+        ) as $name ) {
+            $this->assertContains( $name, $names );
+        }
+
+        foreach ( $bpi_test_cli_commands as $command ) {
+            $this->assertTrue( method_exists( $this->cli, $command['callable'][1] ), "{$command['name']} should have a handler" );
+        }
+    }
+
+    public function test_invalid_format_is_rejected(): void {
+        global $bpi_test_cli_halt_code, $bpi_test_cli_format_items_calls;
+
+        $this->cli->listProfiles( array(), array( 'format' => 'xml' ) );
+
+        $this->assertStringContainsString( 'Invalid format', $this->getCliMessages( 'error' )[0]['message'] );
+        $this->assertSame( 2, $bpi_test_cli_halt_code );
+        $this->assertEmpty( $bpi_test_cli_format_items_calls );
+    }
+
+    public function test_install_passes_format_to_preview(): void {
+        global $bpi_test_cli_format_items_calls;
+        $this->saveStarterProfile();
+
+        $this->cli->install( array(), array( 'profile' => 'starter', 'format' => 'json', 'yes' => true ) );
+
+        $this->assertSame( 'json', $bpi_test_cli_format_items_calls[0]['format'] );
+    }
+
+    public function test_install_activate_flag_overrides_activation(): void {
+        $this->saveStarterProfile();
+
+        $this->cli->install( array(), array( 'profile' => 'starter', 'activate' => false, 'yes' => true ) );
+
+        $this->assertFalse( $this->processor->batches[0][0]['activate'] );
+        $this->assertFalse( $this->processor->batches[0][0]['network_activate'] );
+    }
+
+    public function test_install_network_flag_network_activates_on_multisite(): void {
+        global $bpi_test_is_multisite;
+        $bpi_test_is_multisite = true;
+        $this->saveStarterProfile();
+
+        $this->cli->install( array(), array( 'profile' => 'starter', 'network' => true, 'yes' => true ) );
+
+        $this->assertTrue( $this->processor->batches[0][0]['activate'] );
+        $this->assertTrue( $this->processor->batches[0][0]['network_activate'] );
+    }
+
+    public function test_install_maintenance_flag_reaches_processor(): void {
+        $this->saveStarterProfile();
+
+        $this->cli->install( array(), array( 'profile' => 'starter', 'yes' => true ) );
+        $this->cli->install( array(), array( 'profile' => 'starter', 'maintenance' => true, 'yes' => true ) );
+
+        $this->assertSame( array( false, true ), $this->processor->maintenance );
+    }
+
+    public function test_install_network_flag_requires_multisite(): void {
+        global $bpi_test_cli_halt_code;
+        $this->saveStarterProfile();
+
+        $this->cli->install( array(), array( 'profile' => 'starter', 'network' => true, 'yes' => true ) );
+
+        $this->assertSame( 2, $bpi_test_cli_halt_code );
+        $this->assertEmpty( $this->processor->batches );
+    }
+
+    public function test_rollback_unknown_batch_outputs_error(): void {
+        global $bpi_test_cli_halt_code;
+
+        $this->cli->rollback( array( 'bpi_missing' ), array( 'yes' => true ) );
+
+        $this->assertStringContainsString( 'not found', $this->getCliMessages( 'error' )[0]['message'] );
+        $this->assertSame( 2, $bpi_test_cli_halt_code );
+    }
+
+    public function test_rollback_without_yes_halts_for_confirmation(): void {
+        global $bpi_test_cli_halt_code;
+        $this->batchRollback->recordBatch( 'cli_batch', array(
+            'plugins' => array( array( 'slug' => 'one', 'action' => 'install', 'status' => 'failed' ) ),
+        ) );
+
+        $this->cli->rollback( array( 'cli_batch' ), array() );
+
+        $this->assertSame( 0, $bpi_test_cli_halt_code );
+        $this->assertNotEmpty( $this->batchRollback->getBatchManifest( 'cli_batch' ) );
+    }
+
+    public function test_rollback_reports_results_and_success(): void {
+        global $bpi_test_cli_format_items_calls;
+        $this->batchRollback->recordBatch( 'cli_batch', array(
+            'plugins' => array( array( 'slug' => 'one', 'action' => 'install', 'status' => 'failed' ) ),
+        ) );
+
+        $this->cli->rollback( array( 'cli_batch' ), array( 'yes' => true ) );
+
+        $this->assertSame( 'one', $bpi_test_cli_format_items_calls[0]['items'][0]['slug'] );
+        $this->assertNotEmpty( $this->getCliMessages( 'success' ) );
+    }
+
+    public function test_rollback_of_unknown_plugin_exits_with_failure(): void {
+        global $bpi_test_cli_halt_code;
+        $this->batchRollback->recordBatch( 'cli_batch', array(
+            'plugins' => array( array( 'slug' => 'one', 'action' => 'install', 'status' => 'failed' ) ),
+        ) );
+
+        $this->cli->rollback( array( 'cli_batch' ), array( 'plugins' => 'two', 'yes' => true ) );
+
+        $this->assertStringContainsString( '"two" is not part of this batch', $this->getCliMessages( 'warning' )[0]['message'] );
+        $this->assertSame( 1, $bpi_test_cli_halt_code );
+    }
+
+    public function test_install_records_batch_for_batches_list(): void {
+        global $bpi_test_cli_format_items_calls;
+        $this->saveStarterProfile();
+
+        $processor = new CLISubcommandsInstallingProcessor( new BPIRollbackManager(), $this->logManager, new BPISettingsManager() );
+        $processor->setBatchRollbackManager( $this->batchRollback );
+        $cli = new BPICLIInterface( new BPIBulkUploader(), $this->queue, new BPICompatibilityChecker(), $processor, $this->profiles );
+        $cli->setBatchRollbackManager( $this->batchRollback );
+
+        $cli->install( array(), array( 'profile' => 'starter', 'yes' => true ) );
+        $cli->listBatches( array(), array( 'format' => 'json' ) );
+
+        $items = end( $bpi_test_cli_format_items_calls )['items'];
+        $this->assertCount( 1, $items );
+        $this->assertSame( 'akismet', $items[0]['plugins'] );
+        $this->assertContains( 'Batch ID: ' . $items[0]['batch_id'], array_column( $this->getCliMessages( 'line' ), 'message' ) );
+    }
+
+    public function test_batches_list_outputs_history(): void {
+        global $bpi_test_cli_format_items_calls;
+        $this->batchRollback->recordBatch( 'cli_batch', array(
+            'plugins' => array( array( 'slug' => 'one', 'action' => 'install', 'status' => 'success' ) ),
+        ) );
+
+        $this->cli->listBatches( array(), array( 'format' => 'csv' ) );
+
+        $call = $bpi_test_cli_format_items_calls[0];
+        $this->assertSame( 'csv', $call['format'] );
+        $this->assertSame( 'cli_batch', $call['items'][0]['batch_id'] );
+        $this->assertSame( 'one', $call['items'][0]['plugins'] );
+        $this->assertSame( 1, $call['items'][0]['can_rollback'] );
+    }
+
+    public function test_profile_list_and_show(): void {
+        global $bpi_test_cli_format_items_calls;
+        $id = $this->saveStarterProfile();
+
+        $this->cli->listProfiles( array(), array() );
+        $this->cli->showProfile( array( (string) $id ), array( 'format' => 'yaml' ) );
+
+        $this->assertSame( 1, $bpi_test_cli_format_items_calls[0]['items'][0]['plugins'] );
+        $this->assertSame( 'yaml', $bpi_test_cli_format_items_calls[1]['format'] );
+        $this->assertSame( 'akismet', $bpi_test_cli_format_items_calls[1]['items'][0]['slug'] );
+        $this->assertSame( 'yes', $bpi_test_cli_format_items_calls[1]['items'][0]['activate'] );
+    }
+
+    public function test_profile_show_unknown_profile_outputs_error(): void {
+        global $bpi_test_cli_halt_code;
+
+        $this->cli->showProfile( array( 'missing' ), array() );
+
+        $this->assertStringContainsString( 'not found', $this->getCliMessages( 'error' )[0]['message'] );
+        $this->assertSame( 2, $bpi_test_cli_halt_code );
+    }
+
+    public function test_profile_export_and_import_roundtrip_through_file(): void {
+        $this->saveStarterProfile();
+        $file = tempnam( sys_get_temp_dir(), 'bpi_profile_' );
+
+        $this->cli->exportProfile( array( 'starter' ), array( 'file' => $file ) );
+        $this->cli->importProfile( array( $file ), array() );
+        unlink( $file );
+
+        $profiles = $this->profiles->getAllProfiles();
+        $this->assertCount( 2, $profiles );
+        $this->assertSame( 'akismet', $profiles[1]['plugins'][0]['slug'] );
+        $this->assertCount( 2, $this->getCliMessages( 'success' ) );
+    }
+
+    public function test_profile_export_without_file_prints_json(): void {
+        $this->saveStarterProfile();
+
+        $this->cli->exportProfile( array( 'starter' ), array() );
+
+        $json = json_decode( $this->getCliMessages( 'line' )[0]['message'], true );
+        $this->assertSame( 'starter', $json['name'] );
+    }
+
+    public function test_profile_import_reports_invalid_json(): void {
+        global $bpi_test_cli_halt_code;
+        $file = tempnam( sys_get_temp_dir(), 'bpi_profile_' );
+        file_put_contents( $file, '{"name":' );
+
+        $this->cli->importProfile( array( $file ), array() );
+        unlink( $file );
+
+        $this->assertNotEmpty( $this->getCliMessages( 'error' ) );
+        $this->assertSame( 1, $bpi_test_cli_halt_code );
+        $this->assertEmpty( $this->profiles->getAllProfiles() );
+    }
+
+    public function test_profile_delete_requires_yes(): void {
+        $id = $this->saveStarterProfile();
+
+        $this->cli->deleteProfile( array( 'starter' ), array() );
+        $this->assertNotNull( $this->profiles->getProfile( $id ) );
+
+        $this->cli->deleteProfile( array( 'starter' ), array( 'yes' => true ) );
+        $this->assertNull( $this->profiles->getProfile( $id ) );
+    }
+
+    public function test_log_list_applies_filters(): void {
+        global $bpi_test_cli_format_items_calls;
+        $this->logManager->log( 'install', array( 'plugin_slug' => 'one', 'plugin_name' => 'One', 'status' => 'success', 'message' => 'Installed.' ) );
+        $this->logManager->log( 'update', array( 'plugin_slug' => 'two', 'plugin_name' => 'Two', 'status' => 'success', 'message' => 'Updated.' ) );
+
+        $this->cli->listLog( array(), array( 'plugin' => 'two', 'format' => 'json' ) );
+
+        $items = $bpi_test_cli_format_items_calls[0]['items'];
+        $this->assertCount( 1, $items );
+        $this->assertSame( 'update', $items[0]['action'] );
+        $this->assertEmpty( $this->getCliMessages( 'log' ), 'The entry count should not be added to JSON output' );
+    }
+
+    public function test_log_clear_with_yes_empties_log(): void {
+        $this->logManager->log( 'install', array( 'plugin_slug' => 'one', 'status' => 'success', 'message' => 'Installed.' ) );
+
+        $this->cli->clearLog( array(), array( 'yes' => true ) );
+
+        $this->assertSame( 0, $this->logManager->countEntries() );
+    }
+
+    public function test_queue_list_and_clear(): void {
+        global $bpi_test_cli_format_items_calls;
+        $this->queue->add( '/tmp/one.zip', array( 'slug' => 'one', 'file_name' => 'one.zip', 'file_size' => 10 ) );
+
+        $this->cli->listQueue( array(), array() );
+        $this->assertSame( 'one', $bpi_test_cli_format_items_calls[0]['items'][0]['slug'] );
+
+        $this->cli->clearQueue( array(), array( 'yes' => true ) );
+        $this->assertSame( 0, $this->queue->getCount() );
+    }
+}
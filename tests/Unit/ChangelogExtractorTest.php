@@ -148,6 +148,16 @@ Major update, please backup before upgrading.
 README;
     }
 
+    /**
+     * Get the plain text of each list item.
+     *
+     * @param array[] $items List items from parseBlocks().
+     * @return string[]
+     */
+    private function itemTexts( array $items ): array {
+        return array_map( fn( $item ) => implode( '', array_column( $item['content'], 'text' ) ), $items );
+    }
+
     /**
      * Build a sample CHANGELOG.md content.
      *
@@ -307,6 +317,118 @@ CHANGELOG;
         $this->assertSame( array(), $result );
     }
 
+    public function test_get_entries_between_treats_trailing_zero_parts_as_equal(): void {
+        $changelog = array(
+            array( 'version' => self::VERSION_200, 'date' => '', 'changes' => array( 'A' ) ),
+            array( 'version' => self::VERSION_150, 'date' => '', 'changes' => array( 'B' ) ),
+            array( 'version' => '1.5', 'date' => '', 'changes' => array( 'C' ) ),
+        );
+
+        $result = $this->extractor->getEntriesBetween( $changelog, '1.5', '2.0' );
+
+        $this->assertSame( array( self::VERSION_200 ), array_column( $result, 'version' ) );
+    }
+
+    // ------------------------------------------------------------------
+    // Structured blocks and highlights tests
+    // ------------------------------------------------------------------
+
+    public function test_parse_changelog_md_keeps_headings_nested_lists_and_inline_markup(): void {
+        $content = "## [2.0.0] - 2024-01-10\n\n### Added\n\n- New `bpi_items` filter, see [docs](https://example.com/docs)\n  - Works with **multisite**\n    continued here\n- Second item\n\nSome closing words.\n";
+
+        $entry = $this->extractor->parseChangelogMd( $content )['entries'][0];
+
+        $this->assertSame(
+            array( 'New `bpi_items` filter, see [docs](https://example.com/docs)', 'Works with **multisite**', 'Second item' ),
+            $entry['changes']
+        );
+        $this->assertSame( array( 'heading', 'list', 'paragraph' ), array_column( $entry['blocks'], 'type' ) );
+        $this->assertSame( array( array( 'type' => 'text', 'text' => 'Added' ) ), $entry['blocks'][0]['content'] );
+
+        $items = $entry['blocks'][1]['items'];
+        $this->assertCount( 2, $items );
+        $this->assertSame(
+            array(
+                array( 'type' => 'text', 'text' => 'New ' ),
+                array( 'type' => 'code', 'text' => 'bpi_items' ),
+                array( 'type' => 'text', 'text' => ' filter, see ' ),
+                array( 'type' => 'link', 'text' => 'docs', 'url' => 'https://example.com/docs' ),
+            ),
+            $items[0]['content']
+        );
+        $this->assertSame(
+            array(
+                array( 'type' => 'text', 'text' => 'Works with ' ),
+                array( 'type' => 'strong', 'text' => 'multisite' ),
+                array( 'type' => 'text', 'text' => ' continued here' ),
+            ),
+            $items[0]['children'][0]['content']
+        );
+        $this->assertSame( array(), $items[1]['children'] );
+        $this->assertSame( array( array( 'type' => 'text', 'text' => 'Some closing words.' ) ), $entry['blocks'][2]['content'] );
+    }
+
+    public function test_parse_readme_adds_blocks_for_bullets(): void {
+        $entries = $this->extractor->parseReadme( $this->sampleReadme() )['entries'];
+
+        $this->assertSame( 'list', $entries[0]['blocks'][0]['type'] );
+        $this->assertSame(
+            array( array( 'type' => 'text', 'text' => 'Added new dashboard widget' ) ),
+            $entries[0]['blocks'][0]['items'][0]['content']
+        );
+    }
+
+    public function test_parse_inline_keeps_only_http_links(): void {
+        $this->assertSame(
+            array(
+                array( 'type' => 'text', 'text' => 'Click ' ),
+                array( 'type' => 'text', 'text' => 'here' ),
+                array( 'type' => 'text', 'text' => ' or ' ),
+                array( 'type' => 'link', 'text' => 'http://example.com', 'url' => 'http://example.com' ),
+            ),
+            $this->extractor->parseInline( 'Click [here](javascript:alert%281%29) or <http://example.com>' )
+        );
+    }
+
+    public function test_parse_inline_leaves_html_as_text(): void {
+        $this->assertSame(
+            array( array( 'type' => 'text', 'text' => '<script>alert(1)</script>' ) ),
+            $this->extractor->parseInline( '<script>alert(1)</script>' )
+        );
+    }
+
+    public function test_parse_blocks_treats_bold_line_as_heading(): void {
+        $blocks = $this->extractor->parseBlocks( array( '**Bug fixes**', '* Fixed a crash' ) );
+
+        $this->assertSame( array( 'heading', 'list' ), array_column( $blocks, 'type' ) );
+        $this->assertSame( array( array( 'type' => 'text', 'text' => 'Bug fixes' ) ), $blocks[0]['content'] );
+    }
+
+    public function test_parse_blocks_keeps_items_after_deeper_first_item(): void {
+        $blocks = $this->extractor->parseBlocks( array( '  * first', '* second', '* third' ) );
+
+        $this->assertCount( 1, $blocks );
+        $this->assertSame( array( 'first', 'second', 'third' ), $this->itemTexts( $blocks[0]['items'] ) );
+    }
+
+    public function test_parse_blocks_keeps_children_of_mixed_nesting(): void {
+        $blocks = $this->extractor->parseBlocks( array( '* a', '    * a1', '  * a2', '* b' ) );
+
+        $items = $blocks[0]['items'];
+        $this->assertSame( array( 'a', 'b' ), $this->itemTexts( $items ) );
+        $this->assertSame( array( 'a1', 'a2' ), $this->itemTexts( $items[0]['children'] ) );
+    }
+
+    public function test_entries_flag_security_breaking_and_deprecated_notes(): void {
+        $content = "## 3.0.0\n### Security\n- Escaped output\n## 2.0.0\n- BREAKING: removed the legacy API\n- Deprecates `old_function()`\n## 1.0.0\n- Initial release\n";
+
+        $entries = $this->extractor->parseChangelogMd( $content )['entries'];
+
+        $this->assertSame( array( 'security' ), $entries[0]['highlights'] );
+        $this->assertSame( array( 'breaking', 'deprecated' ), $entries[1]['highlights'] );
+        $this->assertSame( array(), $entries[2]['highlights'] );
+    }
+
     // ------------------------------------------------------------------
     // classifyUpdate() tests
     // ------------------------------------------------------------------
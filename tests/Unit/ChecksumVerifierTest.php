@@ -0,0 +1,81 @@
+<?php
+/**
+ * Unit tests for BPIChecksumVerifier.
+ *
+ * @package BulkPluginInstaller
+ */
+
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Class ChecksumVerifierTest
+ *
+ * Tests hashing, checksum parsing, sidecar files and verification.
+ */
+class ChecksumVerifierTest extends TestCase {
+
+    private BPIChecksumVerifier $verifier;
+    private string $tempDir;
+
+    protected function setUp(): void {
+        parent::setUp();
+        $this->tempDir = sys_get_temp_dir() . '/bpi_checksum_' . uniqid();
+        mkdir( $this->tempDir, 0755, true );
+        $this->verifier = new BPIChecksumVerifier();
+    }
+
+    protected function tearDown(): void {
+        foreach ( glob( $this->tempDir . '/*' ) as $file ) {
+            unlink( $file );
+        }
+        rmdir( $this->tempDir );
+        parent::tearDown();
+    }
+
+    public function test_hash_file_returns_sha256(): void {
+        $path = $this->tempDir . '/my-plugin.zip';
+        file_put_contents( $path, 'zip contents' );
+
+        $this->assertSame( hash( 'sha256', 'zip contents' ), $this->verifier->hashFile( $path ) );
+    }
+
+    public function test_hash_file_returns_empty_string_for_missing_file(): void {
+        $this->assertSame( '', $this->verifier->hashFile( $this->tempDir . '/missing.zip' ) );
+        $this->assertSame( '', $this->verifier->hashFile( '' ) );
+    }
+
+    public function test_normalize_accepts_bare_hash_and_sha256sum_line(): void {
+        $hash = hash( 'sha256', 'x' );
+
+        $this->assertSame( $hash, $this->verifier->normalize( strtoupper( $hash ) ) );
+        $this->assertSame( $hash, $this->verifier->normalize( '  ' . $hash . "\n" ) );
+        $this->assertSame( $hash, $this->verifier->normalize( $hash . '  my-plugin.zip' ) );
+        $this->assertSame( $hash, $this->verifier->normalize( 'SHA256 (my-plugin.zip) = ' . $hash ) );
+    }
+
+    public function test_normalize_rejects_invalid_values(): void {
+        $this->assertSame( '', $this->verifier->normalize( '' ) );
+        $this->assertSame( '', $this->verifier->normalize( 'not a checksum' ) );
+        $this->assertSame( '', $this->verifier->normalize( md5( 'x' ) ) );
+        $this->assertSame( '', $this->verifier->normalize( hash( 'sha512', 'x' ) ) );
+    }
+
+    public function test_read_sidecar_supports_both_file_names(): void {
+        $hash = hash( 'sha256', 'x' );
+        file_put_contents( $this->tempDir . '/first.zip.sha256', $hash . '  first.zip' );
+        file_put_contents( $this->tempDir . '/second.sha256', $hash );
+
+        $this->assertSame( $hash, $this->verifier->readSidecar( $this->tempDir . '/first.zip' ) );
+        $this->assertSame( $hash, $this->verifier->readSidecar( $this->tempDir . '/second.zip' ) );
+        $this->assertSame( '', $this->verifier->readSidecar( $this->tempDir . '/third.zip' ) );
+    }
+
+    public function test_verify_reports_match_mismatch_and_unverified(): void {
+        $hash = hash( 'sha256', 'x' );
+
+        $this->assertSame( BPIChecksumVerifier::STATUS_MATCH, $this->verifier->verify( $hash, strtoupper( $hash ) ) );
+        $this->assertSame( BPIChecksumVerifier::STATUS_MISMATCH, $this->verifier->verify( $hash, hash( 'sha256', 'y' ) ) );
+        $this->assertSame( BPIChecksumVerifier::STATUS_MISMATCH, $this->verifier->verify( '', $hash ) );
+        $this->assertSame( BPIChecksumVerifier::STATUS_UNVERIFIED, $this->verifier->verify( $hash, '' ) );
+    }
+}
@@ -30,8 +30,14 @@ class CompatibilityCheckerTest extends TestCase {
      * Set up test fixtures.
      */
     protected function setUp(): void {
-        global $bpi_test_wp_version;
-        $bpi_test_wp_version = self::WP_VERSION;
+        global $bpi_test_wp_version, $bpi_test_installed_plugins, $bpi_test_active_plugins,
+               $bpi_test_options, $bpi_test_is_multisite, $bpi_test_is_network_admin;
+        $bpi_test_wp_version        = self::WP_VERSION;
+        $bpi_test_installed_plugins = array();
+        $bpi_test_active_plugins    = array();
+        $bpi_test_options           = array();
+        $bpi_test_is_multisite      = false;
+        $bpi_test_is_network_admin  = false;
 
         $this->checker = new BPICompatibilityChecker();
     }
@@ -40,8 +46,14 @@ class CompatibilityCheckerTest extends TestCase {
      * Reset globals after each test.
      */
     protected function tearDown(): void {
-        global $bpi_test_wp_version;
-        $bpi_test_wp_version = self::WP_VERSION;
+        global $bpi_test_wp_version, $bpi_test_installed_plugins, $bpi_test_active_plugins,
+               $bpi_test_options, $bpi_test_is_multisite, $bpi_test_is_network_admin;
+        $bpi_test_wp_version        = self::WP_VERSION;
+        $bpi_test_installed_plugins = array();
+        $bpi_test_active_plugins    = array();
+        $bpi_test_options           = array();
+        $bpi_test_is_multisite      = false;
+        $bpi_test_is_network_admin  = false;
     }
 
     // ---------------------------------------------------------------
@@ -243,4 +255,226 @@ class CompatibilityCheckerTest extends TestCase {
         $result = $this->checker->checkAll( array() );
         $this->assertSame( array(), $result );
     }
+
+    public function test_check_all_reports_missing_dependency_and_sorts_queue(): void {
+        $queue = array(
+            $this->makePluginData( array( 'slug' => 'addon', 'requires_plugins' => 'core, missing-plugin' ) ),
+            $this->makePluginData( array( 'slug' => 'core' ) ),
+        );
+
+        $result = $this->checker->checkAll( $queue );
+
+        $this->assertSame( array( 'core', 'addon' ), array_column( $result, 'slug' ) );
+        $this->assertSame( array(), $result[0]['compatibility_issues'] );
+        $this->assertCount( 1, $result[1]['compatibility_issues'] );
+        $this->assertSame( 'missing_dependency', $result[1]['compatibility_issues'][0]['type'] );
+        $this->assertSame( 'missing-plugin', $result[1]['compatibility_issues'][0]['required'] );
+    }
+
+    // ---------------------------------------------------------------
+    // Dependency tests
+    // ---------------------------------------------------------------
+
+    public function test_get_required_plugins_parses_header(): void {
+        $plugin = $this->makePluginData( array( 'requires_plugins' => ' WooCommerce, akismet,, test-plugin, akismet ' ) );
+
+        $this->assertSame( array( 'woocommerce', 'akismet' ), $this->checker->getRequiredPlugins( $plugin ) );
+    }
+
+    public function test_get_required_plugins_accepts_parsed_list(): void {
+        $plugin = $this->makePluginData( array( 'requires_plugins' => array( 'akismet', '../evil', 42 ) ) );
+
+        $this->assertSame( array( 'akismet', 'evil' ), $this->checker->getRequiredPlugins( $plugin ) );
+    }
+
+    public function test_get_required_plugins_returns_empty_without_header(): void {
+        $this->assertSame( array(), $this->checker->getRequiredPlugins( $this->makePluginData() ) );
+    }
+
+    public function test_check_dependencies_accepts_installed_and_queued_plugins(): void {
+        global $bpi_test_installed_plugins;
+        $bpi_test_installed_plugins = array( 'akismet/akismet.php' => array( 'Name' => 'Akismet' ) );
+
+        $queue = array(
+            $this->makePluginData( array( 'slug' => 'addon', 'requires_plugins' => 'akismet, core' ) ),
+            $this->makePluginData( array( 'slug' => 'core' ) ),
+        );
+
+        $this->assertSame( array(), $this->checker->checkDependencies( $queue ) );
+    }
+
+    public function test_check_dependencies_reports_each_missing_plugin(): void {
+        $queue = array(
+            $this->makePluginData( array( 'slug' => 'addon', 'requires_plugins' => 'one, two' ) ),
+        );
+
+        $missing = $this->checker->checkDependencies( $queue );
+
+        $this->assertSame( array( 'addon' ), array_keys( $missing ) );
+        $this->assertSame( array( 'one', 'two' ), array_column( $missing['addon'], 'dependency' ) );
+        $this->assertStringContainsString( 'neither installed nor in the upload queue', $missing['addon'][0]['message'] );
+    }
+
+    public function test_sort_by_dependencies_keeps_order_of_independent_plugins(): void {
+        $plugins = array(
+            $this->makePluginData( array( 'slug' => 'b' ) ),
+            $this->makePluginData( array( 'slug' => 'c', 'requires_plugins' => 'd' ) ),
+            $this->makePluginData( array( 'slug' => 'a' ) ),
+            $this->makePluginData( array( 'slug' => 'd', 'requires_plugins' => 'a' ) ),
+        );
+
+        $sorted = $this->checker->sortByDependencies( $plugins );
+
+        $this->assertSame( array( 'b', 'a', 'd', 'c' ), array_column( $sorted, 'slug' ) );
+    }
+
+    public function test_sort_by_dependencies_keeps_cycles_in_original_order(): void {
+        $plugins = array(
+            $this->makePluginData( array( 'slug' => 'x', 'requires_plugins' => 'y' ) ),
+            $this->makePluginData( array( 'slug' => 'y', 'requires_plugins' => 'x' ) ),
+            $this->makePluginData( array( 'slug' => 'z' ) ),
+        );
+
+        $sorted = $this->checker->sortByDependencies( $plugins );
+
+        $this->assertSame( array( 'z', 'x', 'y' ), array_column( $sorted, 'slug' ) );
+    }
+
+    // ---------------------------------------------------------------
+    // Extension, multisite and "Tested up to" tests
+    // ---------------------------------------------------------------
+
+    public function test_check_plugin_marks_version_issues_as_blocking(): void {
+        $issues = $this->checker->checkPlugin( $this->makePluginData( array( 'requires_php' => self::IMPOSSIBLE_VERSION ) ) );
+
+        $this->assertSame( BPICompatibilityChecker::SEVERITY_BLOCKING, $issues[0]['severity'] );
+    }
+
+    public function test_check_plugin_reports_missing_php_extensions(): void {
+        $issues = $this->checker->checkPlugin( $this->makePluginData( array(
+            'requires_extensions' => 'json, bpi_missing_ext',
+        ) ) );
+
+        $this->assertCount( 1, $issues );
+        $this->assertSame( 'php_extension', $issues[0]['type'] );
+        $this->assertSame( 'bpi_missing_ext', $issues[0]['required'] );
+        $this->assertSame( BPICompatibilityChecker::SEVERITY_BLOCKING, $issues[0]['severity'] );
+    }
+
+    public function test_check_plugin_accepts_loaded_php_extensions(): void {
+        $issues = $this->checker->checkPlugin( $this->makePluginData( array( 'requires_extensions' => 'json' ) ) );
+
+        $this->assertSame( array(), $issues );
+    }
+
+    public function test_check_plugin_blocks_network_only_plugin_outside_network_admin(): void {
+        global $bpi_test_is_multisite;
+        $bpi_test_is_multisite = true;
+
+        $issues = $this->checker->checkPlugin( $this->makePluginData( array( 'network' => 'True' ) ) );
+
+        $this->assertCount( 1, $issues );
+        $this->assertSame( 'network_only', $issues[0]['type'] );
+        $this->assertSame( BPICompatibilityChecker::SEVERITY_BLOCKING, $issues[0]['severity'] );
+    }
+
+    public function test_check_plugin_accepts_network_only_plugin_in_network_admin(): void {
+        global $bpi_test_is_multisite, $bpi_test_is_network_admin;
+        $bpi_test_is_multisite     = true;
+        $bpi_test_is_network_admin = true;
+
+        $this->assertSame( array(), $this->checker->checkPlugin( $this->makePluginData( array( 'network' => 'true' ) ) ) );
+    }
+
+    public function test_check_plugin_uses_network_admin_context_passed_to_constructor(): void {
+        global $bpi_test_is_multisite;
+        $bpi_test_is_multisite = true;
+        $plugin_data           = $this->makePluginData( array( 'network' => 'true' ) );
+
+        $this->assertSame( array(), ( new BPICompatibilityChecker( true ) )->checkPlugin( $plugin_data ) );
+        $this->assertCount( 1, ( new BPICompatibilityChecker( false ) )->checkPlugin( $plugin_data ) );
+    }
+
+    public function test_check_plugin_ignores_network_header_on_single_site(): void {
+        $this->assertSame( array(), $this->checker->checkPlugin( $this->makePluginData( array( 'network' => 'true' ) ) ) );
+    }
+
+    public function test_check_plugin_flags_outdated_tested_up_to_as_advisory(): void {
+        $issues = $this->checker->checkPlugin( $this->makePluginData( array( 'tested_up_to' => '6.4' ) ) );
+
+        $this->assertCount( 1, $issues );
+        $this->assertSame( 'tested_up_to', $issues[0]['type'] );
+        $this->assertSame( BPICompatibilityChecker::SEVERITY_ADVISORY, $issues[0]['severity'] );
+    }
+
+    public function test_check_plugin_accepts_recent_tested_up_to(): void {
+        $this->assertSame( array(), $this->checker->checkPlugin( $this->makePluginData( array( 'tested_up_to' => '6.5.2' ) ) ) );
+    }
+
+    public function test_check_plugin_counts_releases_across_major_versions(): void {
+        global $bpi_test_wp_version;
+        $bpi_test_wp_version = '6.1';
+
+        $this->assertSame( array(), $this->checker->checkPlugin( $this->makePluginData( array( 'tested_up_to' => '5.9' ) ) ) );
+        $this->assertCount( 1, $this->checker->checkPlugin( $this->makePluginData( array( 'tested_up_to' => '5.8' ) ) ) );
+    }
+
+    public function test_has_blocking_issues_ignores_advisory_issues(): void {
+        $advisory = array( 'type' => 'tested_up_to', 'severity' => BPICompatibilityChecker::SEVERITY_ADVISORY );
+        $blocking = array( 'type' => 'php_version', 'severity' => BPICompatibilityChecker::SEVERITY_BLOCKING );
+
+        $this->assertFalse( $this->checker->hasBlockingIssues( array( $advisory ) ) );
+        $this->assertTrue( $this->checker->hasBlockingIssues( array( $advisory, $blocking ) ) );
+        $this->assertTrue( $this->checker->hasBlockingIssues( array( array( 'type' => 'custom' ) ) ) );
+    }
+
+    // ---------------------------------------------------------------
+    // Known conflict tests
+    // ---------------------------------------------------------------
+
+    public function test_check_known_conflicts_flags_active_counterpart(): void {
+        global $bpi_test_options, $bpi_test_installed_plugins, $bpi_test_active_plugins;
+        $bpi_test_options['bpi_known_conflicts'] = "cache-one, cache-two\nseo-one, seo-two";
+        $bpi_test_installed_plugins = array(
+            'cache-two/cache-two.php' => array( 'Name' => 'Cache Two' ),
+            'seo-two/seo-two.php'     => array( 'Name' => 'SEO Two' ),
+        );
+        $bpi_test_active_plugins = array( 'cache-two/cache-two.php' => true );
+
+        $conflicts = $this->checker->checkKnownConflicts( array(
+            $this->makePluginData( array( 'slug' => 'cache-one' ) ),
+            $this->makePluginData( array( 'slug' => 'seo-one' ) ),
+        ) );
+
+        $this->assertSame( array( 'cache-one' ), array_keys( $conflicts ) );
+        $this->assertSame( 'known_conflict', $conflicts['cache-one'][0]['type'] );
+        $this->assertSame( 'cache-two', $conflicts['cache-one'][0]['conflict'] );
+        $this->assertStringContainsString( 'active on this site', $conflicts['cache-one'][0]['message'] );
+    }
+
+    public function test_check_known_conflicts_flags_both_queued_plugins(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_known_conflicts'] = 'cache-one, cache-two';
+
+        $conflicts = $this->checker->checkKnownConflicts( array(
+            $this->makePluginData( array( 'slug' => 'cache-one' ) ),
+            $this->makePluginData( array( 'slug' => 'cache-two' ) ),
+        ) );
+
+        $this->assertSame( array( 'cache-one', 'cache-two' ), array_keys( $conflicts ) );
+        $this->assertStringContainsString( 'also in the upload queue', $conflicts['cache-two'][0]['message'] );
+    }
+
+    public function test_check_all_includes_known_conflicts(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_known_conflicts'] = 'cache-one, cache-two';
+
+        $result = $this->checker->checkAll( array(
+            $this->makePluginData( array( 'slug' => 'cache-one' ) ),
+            $this->makePluginData( array( 'slug' => 'cache-two' ) ),
+        ) );
+
+        $this->assertSame( 'known_conflict', $result[0]['compatibility_issues'][0]['type'] );
+        $this->assertSame( 'known_conflict', $result[1]['compatibility_issues'][0]['type'] );
+    }
 }
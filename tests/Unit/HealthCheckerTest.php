@@ -0,0 +1,110 @@
+<?php
+/**
+ * Unit tests for BPIHealthChecker.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPIHealthChecker;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for the post-activation loopback probe.
+ */
+class HealthCheckerTest extends TestCase {
+
+    private const HOME_URL  = 'https://example.com/';
+    private const ADMIN_URL = 'https://example.com/wp-admin/plugins.php';
+
+    protected function setUp(): void {
+        global $bpi_test_remote_responses, $bpi_test_remote_requests;
+        $bpi_test_remote_responses = array();
+        $bpi_test_remote_requests  = array();
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_remote_responses, $bpi_test_remote_requests;
+        $bpi_test_remote_responses = array();
+        $bpi_test_remote_requests  = array();
+        $_COOKIE                   = array();
+    }
+
+    public function test_check_passes_when_home_and_admin_load(): void {
+        global $bpi_test_remote_requests;
+
+        $this->assertTrue( ( new BPIHealthChecker() )->check() );
+        $this->assertSame( array( self::HOME_URL, self::ADMIN_URL ), array_column( $bpi_test_remote_requests, 'url' ) );
+    }
+
+    public function test_check_sends_cookies_and_does_not_follow_redirects(): void {
+        global $bpi_test_remote_requests;
+        $_COOKIE = array( 'wordpress_logged_in_abc' => 'admin|token' );
+
+        ( new BPIHealthChecker() )->check();
+
+        $args = $bpi_test_remote_requests[1]['args'];
+        $this->assertSame( array( 'wordpress_logged_in_abc' => 'admin|token' ), $args['cookies'] );
+        $this->assertSame( 0, $args['redirection'] );
+    }
+
+    public function test_check_treats_redirect_as_healthy(): void {
+        global $bpi_test_remote_responses;
+        $bpi_test_remote_responses[ self::ADMIN_URL ] = $this->response( 302 );
+
+        $this->assertTrue( ( new BPIHealthChecker() )->check() );
+    }
+
+    public function test_check_fails_on_server_error(): void {
+        global $bpi_test_remote_responses, $bpi_test_remote_requests;
+        $bpi_test_remote_responses[ self::HOME_URL ] = $this->response( 500 );
+
+        $result = ( new BPIHealthChecker() )->check();
+
+        $this->assertInstanceOf( \WP_Error::class, $result );
+        $this->assertSame( 'bpi_health_server_error', $result->get_error_code() );
+        $this->assertStringContainsString( 'HTTP 500', $result->get_error_message() );
+        $this->assertCount( 1, $bpi_test_remote_requests );
+    }
+
+    public function test_check_fails_on_critical_error_page(): void {
+        global $bpi_test_remote_responses;
+        $bpi_test_remote_responses[ self::ADMIN_URL ] = $this->response( 200, '<p>There has been a critical error on this website.</p>' );
+
+        $result = ( new BPIHealthChecker() )->check();
+
+        $this->assertInstanceOf( \WP_Error::class, $result );
+        $this->assertSame( 'bpi_health_fatal_error', $result->get_error_code() );
+        $this->assertStringContainsString( self::ADMIN_URL, $result->get_error_message() );
+    }
+
+    public function test_check_fails_on_displayed_fatal_error(): void {
+        global $bpi_test_remote_responses;
+        $bpi_test_remote_responses[ self::HOME_URL ] = $this->response( 200, "<br />\n<b>Fatal error</b>:  Uncaught Error: Call to undefined function" );
+
+        $result = ( new BPIHealthChecker() )->check();
+
+        $this->assertSame( 'bpi_health_fatal_error', $result->get_error_code() );
+    }
+
+    public function test_check_fails_when_request_errors(): void {
+        global $bpi_test_remote_responses;
+        $bpi_test_remote_responses[ self::HOME_URL ] = new \WP_Error( 'http_request_failed', 'Operation timed out' );
+
+        $result = ( new BPIHealthChecker() )->check();
+
+        $this->assertSame( 'bpi_health_unreachable', $result->get_error_code() );
+        $this->assertStringContainsString( 'Operation timed out', $result->get_error_message() );
+    }
+
+    /**
+     * Build an HTTP API response array.
+     */
+    private function response( int $code, string $body = '' ): array {
+        return array(
+            'response' => array( 'code' => $code ),
+            'body'     => $body,
+        );
+    }
+}
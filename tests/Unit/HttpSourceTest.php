@@ -0,0 +1,78 @@
+<?php
+/**
+ * Unit tests for BPIHttpSource.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPIHttpSource;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for downloading through the WordPress HTTP API.
+ */
+class HttpSourceTest extends TestCase {
+
+    private string $fixture;
+
+    protected function setUp(): void {
+        global $bpi_test_download_files, $bpi_test_downloaded_urls;
+
+        $this->fixture = tempnam( sys_get_temp_dir(), 'bpi-fixture-' );
+        file_put_contents( $this->fixture, 'zip bytes' );
+
+        $bpi_test_download_files  = array( 'https://example.com/plugin.zip' => $this->fixture );
+        $bpi_test_downloaded_urls = array();
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_download_files, $bpi_test_downloaded_urls;
+        $bpi_test_download_files  = array();
+        $bpi_test_downloaded_urls = array();
+        unlink( $this->fixture );
+    }
+
+    public function test_download_returns_temporary_file(): void {
+        global $bpi_test_downloaded_urls;
+
+        $path = ( new BPIHttpSource() )->download( 'https://example.com/plugin.zip' );
+
+        $this->assertIsString( $path );
+        $this->assertSame( 'zip bytes', file_get_contents( $path ) );
+        $this->assertSame( array( 'https://example.com/plugin.zip' ), $bpi_test_downloaded_urls );
+        unlink( $path );
+    }
+
+    public function test_download_passes_through_http_errors(): void {
+        $result = ( new BPIHttpSource() )->download( 'https://example.com/missing.zip' );
+
+        $this->assertInstanceOf( \WP_Error::class, $result );
+        $this->assertSame( 'http_404', $result->get_error_code() );
+    }
+
+    public function test_download_streams_with_size_limit(): void {
+        global $bpi_test_remote_requests;
+        $bpi_test_remote_requests = array();
+
+        $path = ( new BPIHttpSource() )->download( 'https://example.com/plugin.zip', 1024 );
+
+        $this->assertIsString( $path );
+        $this->assertTrue( $bpi_test_remote_requests[0]['args']['stream'] );
+        $this->assertSame( $path, $bpi_test_remote_requests[0]['args']['filename'] );
+        $this->assertSame( 1025, $bpi_test_remote_requests[0]['args']['limit_response_size'] );
+        unlink( $path );
+    }
+
+    public function test_download_exceeding_size_limit_fails_and_removes_file(): void {
+        global $bpi_test_remote_requests;
+        $bpi_test_remote_requests = array();
+
+        $result = ( new BPIHttpSource() )->download( 'https://example.com/plugin.zip', 4 );
+
+        $this->assertInstanceOf( \WP_Error::class, $result );
+        $this->assertSame( 'file_too_large', $result->get_error_code() );
+        $this->assertFileDoesNotExist( $bpi_test_remote_requests[0]['args']['filename'] );
+    }
+}
@@ -1,6 +1,6 @@
 <?php
 /**
- * Unit tests for BPILogManager AJAX handlers (handleGetLog, handleClearLog).
+ * Unit tests for BPILogManager AJAX handlers (handleGetLog, handleExportLog, handleClearLog).
  *
  * @package BulkPluginInstaller
  */
@@ -23,7 +23,8 @@ class LogManagerAjaxTest extends TestCase {
         $bpi_test_user_can       = true;
         $bpi_test_json_responses = array();
         $wpdb->reset_bpi_log();
-        unset( $_GET['_wpnonce'], $_POST['_wpnonce'], $_GET['limit'], $_GET['offset'] );
+        $_GET = array();
+        unset( $_POST['_wpnonce'] );
 
         $this->manager = new BPILogManager();
     }
@@ -32,7 +33,8 @@ class LogManagerAjaxTest extends TestCase {
         global $bpi_test_nonce_valid, $bpi_test_user_can;
         $bpi_test_nonce_valid = true;
         $bpi_test_user_can    = true;
-        unset( $_GET['_wpnonce'], $_POST['_wpnonce'], $_GET['limit'], $_GET['offset'] );
+        $_GET = array();
+        unset( $_POST['_wpnonce'] );
     }
 
     public function test_handle_get_log_rejects_missing_nonce(): void {
@@ -102,6 +104,102 @@ class LogManagerAjaxTest extends TestCase {
         unset( $_POST['_wpnonce'] );
     }
 
+    public function test_handle_get_log_applies_filters_and_reports_total(): void {
+        global $bpi_test_json_responses, $bpi_test_users;
+        $bpi_test_users = array( 1 => 'Site Admin' );
+        $_GET           = array(
+            '_wpnonce'   => 'valid',
+            'log_action' => 'install',
+            'limit'      => '1',
+        );
+
+        $this->manager->log( 'install', array( 'plugin_slug' => 'a' ) );
+        $this->manager->log( 'install', array( 'plugin_slug' => 'b' ) );
+        $this->manager->log( 'update', array( 'plugin_slug' => 'c' ) );
+        $this->manager->handleGetLog();
+
+        $data = $bpi_test_json_responses[0]['data'];
+        $this->assertCount( 1, $data['entries'] );
+        $this->assertSame( 'install', $data['entries'][0]->action );
+        $this->assertSame( 'Site Admin', $data['entries'][0]->user_name );
+        $this->assertSame( 2, $data['total'] );
+        $this->assertSame( 1, $data['limit'] );
+        $this->assertSame( array( array( 'id' => 1, 'name' => 'Site Admin' ) ), $data['users'] );
+
+        $bpi_test_users = array();
+    }
+
+    public function test_handle_export_log_rejects_invalid_nonce(): void {
+        global $bpi_test_nonce_valid, $bpi_test_json_responses;
+        $bpi_test_nonce_valid = false;
+        $_GET['_wpnonce']     = 'bad';
+
+        $this->manager->handleExportLog();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 403, $bpi_test_json_responses[0]['status'] );
+    }
+
+    public function test_handle_export_log_rejects_unauthorized_user(): void {
+        global $bpi_test_user_can, $bpi_test_json_responses;
+        $bpi_test_user_can = false;
+        $_GET['_wpnonce']  = 'valid';
+
+        $this->manager->handleExportLog();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 403, $bpi_test_json_responses[0]['status'] );
+    }
+
+    public function test_handle_export_log_rejects_unknown_format(): void {
+        global $bpi_test_json_responses;
+        $_GET = array(
+            '_wpnonce' => 'valid',
+            'format'   => 'xml',
+        );
+
+        $this->manager->handleExportLog();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 400, $bpi_test_json_responses[0]['status'] );
+    }
+
+    public function test_handle_export_log_returns_filtered_csv(): void {
+        global $bpi_test_json_responses;
+        $_GET = array(
+            '_wpnonce'    => 'valid',
+            'format'      => 'csv',
+            'plugin_slug' => 'wanted',
+        );
+
+        $this->manager->log( 'install', array( 'plugin_slug' => 'wanted' ) );
+        $this->manager->log( 'install', array( 'plugin_slug' => 'other' ) );
+        $this->manager->handleExportLog();
+
+        $data = $bpi_test_json_responses[0]['data'];
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 'bpi-log-' . gmdate( 'Y-m-d' ) . '.csv', $data['filename'] );
+        $this->assertSame( 'text/csv', $data['type'] );
+        $this->assertStringContainsString( 'wanted', $data['content'] );
+        $this->assertStringNotContainsString( 'other', $data['content'] );
+    }
+
+    public function test_handle_export_log_returns_json(): void {
+        global $bpi_test_json_responses;
+        $_GET = array(
+            '_wpnonce' => 'valid',
+            'format'   => 'json',
+        );
+
+        $this->manager->log( 'install', array( 'plugin_slug' => 'alpha' ) );
+        $this->manager->handleExportLog();
+
+        $data = $bpi_test_json_responses[0]['data'];
+        $this->assertSame( 'application/json', $data['type'] );
+        $this->assertSame( 'bpi-log-' . gmdate( 'Y-m-d' ) . '.json', $data['filename'] );
+        $this->assertSame( 'alpha', json_decode( $data['content'], true )[0]['plugin_slug'] );
+    }
+
     public function test_handle_clear_log_rejects_invalid_nonce(): void {
         global $bpi_test_nonce_valid, $bpi_test_json_responses;
         $bpi_test_nonce_valid  = false;
@@ -320,4 +320,123 @@ class LogManagerTest extends TestCase {
         $this->assertSame( self::VERSION_100, $row['from_version'] );
         $this->assertSame( '2.0.0', $row['to_version'] );
     }
+
+    /**
+     * Test that getEntries() and countEntries() apply each column filter.
+     */
+    public function test_get_entries_filters_by_action_slug_batch_and_user(): void {
+        global $bpi_test_current_user_id;
+
+        $this->logManager->log( 'install', array( 'plugin_slug' => 'alpha', 'batch_id' => 'batch-1' ) );
+        $this->logManager->log( 'update', array( 'plugin_slug' => 'beta', 'batch_id' => 'batch-1' ) );
+        $bpi_test_current_user_id = 7;
+        $this->logManager->log( 'install', array( 'plugin_slug' => 'beta', 'batch_id' => 'batch-2' ) );
+
+        $this->assertSame( 2, $this->logManager->countEntries( array( 'action' => 'install' ) ) );
+        $this->assertSame( 2, $this->logManager->countEntries( array( 'plugin_slug' => 'beta' ) ) );
+        $this->assertSame( 2, $this->logManager->countEntries( array( 'batch_id' => 'batch-1' ) ) );
+        $this->assertSame( 1, $this->logManager->countEntries( array( 'user_id' => 7 ) ) );
+
+        $entries = $this->logManager->getEntries( 50, 0, array( 'action' => 'install', 'plugin_slug' => 'beta' ) );
+        $this->assertCount( 1, $entries );
+        $this->assertSame( 'batch-2', $entries[0]->batch_id );
+    }
+
+    /**
+     * Test that the date range includes both end days.
+     */
+    public function test_get_entries_filters_by_inclusive_date_range(): void {
+        global $wpdb;
+
+        foreach ( array( '2026-01-09 23:59:59', '2026-01-10 00:00:00', '2026-01-11 23:59:59', '2026-01-12 00:00:00' ) as $i => $timestamp ) {
+            $this->logManager->log( 'install', array( 'plugin_slug' => 'plugin-' . $i ) );
+            $wpdb->bpi_log_rows[ $i ]['timestamp'] = $timestamp;
+        }
+
+        $filters = array( 'date_from' => '2026-01-10', 'date_to' => '2026-01-11' );
+        $slugs   = array_map( fn( $e ) => $e->plugin_slug, $this->logManager->getEntries( 50, 0, $filters ) );
+
+        $this->assertSame( array( 'plugin-2', 'plugin-1' ), $slugs );
+        $this->assertSame( 2, $this->logManager->countEntries( $filters ) );
+    }
+
+    /**
+     * Test that countEntries() counts every entry without filters.
+     */
+    public function test_count_entries_without_filters(): void {
+        $this->assertSame( 0, $this->logManager->countEntries() );
+
+        $this->logManager->log( 'install', array( 'plugin_slug' => 'a' ) );
+        $this->logManager->log( 'rollback', array( 'plugin_slug' => 'b' ) );
+
+        $this->assertSame( 2, $this->logManager->countEntries() );
+    }
+
+    /**
+     * Test that sanitizeFilters() maps request keys and drops invalid values.
+     */
+    public function test_sanitize_filters_keeps_only_valid_values(): void {
+        $filters = $this->logManager->sanitizeFilters( array(
+            'action'      => 'bpi_get_log',
+            'log_action'  => 'Batch_Rollback',
+            'user_id'     => '12',
+            'plugin_slug' => ' my-plugin ',
+            'batch_id'    => '',
+            'date_from'   => '2026-02-01',
+            'date_to'     => '01/02/2026',
+            'unknown'     => 'x',
+        ) );
+
+        $this->assertSame(
+            array(
+                'action'      => 'batch_rollback',
+                'user_id'     => 12,
+                'plugin_slug' => 'my-plugin',
+                'date_from'   => '2026-02-01',
+            ),
+            $filters
+        );
+    }
+
+    /**
+     * Test that the JSON export contains the filtered entries with user names.
+     */
+    public function test_export_entries_as_json(): void {
+        global $bpi_test_users;
+        $bpi_test_users = array( 1 => 'Site Admin' );
+
+        $this->logManager->log( 'install', array( 'plugin_slug' => 'alpha', 'status' => 'success' ) );
+        $this->logManager->log( 'update', array( 'plugin_slug' => 'beta', 'status' => 'failed' ) );
+
+        $rows = json_decode( $this->logManager->exportEntries( array( 'action' => 'update' ), 'json' ), true );
+
+        $this->assertCount( 1, $rows );
+        $this->assertSame( 'beta', $rows[0]['plugin_slug'] );
+        $this->assertSame( 'Site Admin', $rows[0]['user_name'] );
+        $this->assertSame( 'failed', $rows[0]['status'] );
+
+        $bpi_test_users = array();
+    }
+
+    /**
+     * Test that the CSV export has a header row and neutralizes formulas.
+     */
+    public function test_export_entries_as_csv_escapes_formulas(): void {
+        $this->logManager->log( 'install', array(
+            'plugin_slug' => 'alpha',
+            'message'     => '=HYPERLINK("http://example.com")',
+        ) );
+
+        $csv   = $this->logManager->exportEntries( array(), 'csv' );
+        $lines = array_map( 'str_getcsv', array_filter( explode( "\n", $csv ) ) );
+
+        $this->assertSame( 'id', $lines[0][0] );
+        $this->assertContains( 'message', $lines[0] );
+        $this->assertCount( 2, $lines );
+
+        $row = array_combine( $lines[0], $lines[1] );
+        $this->assertSame( 'alpha', $row['plugin_slug'] );
+        $this->assertSame( "'=HYPERLINK(\"http://example.com\")", $row['message'] );
+        $this->assertSame( 'User #1', $row['user_name'] );
+    }
 }
@@ -0,0 +1,127 @@
+<?php
+/**
+ * Unit tests for the BPIMaintenanceMode class.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPIMaintenanceMode;
+use BPISettingsManager;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for turning the maintenance page on and off and who gets it.
+ */
+class MaintenanceModeTest extends TestCase {
+
+    private BPIMaintenanceMode $maintenance;
+
+    protected function setUp(): void {
+        global $bpi_test_options, $bpi_test_user_can;
+        $bpi_test_options  = array();
+        $bpi_test_user_can = false;
+        unset( $_SERVER['REMOTE_ADDR'], $_SERVER['HTTP_X_BPI_MAINTENANCE_KEY'] );
+
+        $this->maintenance = new BPIMaintenanceMode( new BPISettingsManager() );
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_options, $bpi_test_user_can;
+        $bpi_test_options  = array();
+        $bpi_test_user_can = true;
+        unset( $_SERVER['REMOTE_ADDR'], $_SERVER['HTTP_X_BPI_MAINTENANCE_KEY'] );
+    }
+
+    public function test_enable_and_disable(): void {
+        $this->maintenance->enable( 'bpi_one' );
+
+        $this->assertTrue( $this->maintenance->isActive() );
+        $this->assertTrue( $this->maintenance->isActive( 'bpi_one' ) );
+        $this->assertFalse( $this->maintenance->isActive( 'bpi_two' ) );
+
+        $this->maintenance->disable( 'bpi_one' );
+
+        $this->assertFalse( $this->maintenance->isActive() );
+    }
+
+    public function test_disable_ignores_other_batches(): void {
+        $this->maintenance->enable( 'bpi_one' );
+
+        $this->maintenance->disable( 'bpi_two' );
+
+        $this->assertTrue( $this->maintenance->isActive( 'bpi_one' ) );
+    }
+
+    public function test_enable_keeps_key_for_same_batch(): void {
+        $this->maintenance->enable( 'bpi_one' );
+        $headers = $this->maintenance->getBypassHeaders();
+
+        $this->maintenance->enable( 'bpi_one' );
+
+        $this->assertSame( $headers, $this->maintenance->getBypassHeaders() );
+        $this->assertNotEmpty( $headers[ BPIMaintenanceMode::BYPASS_HEADER ] );
+    }
+
+    public function test_expired_state_is_inactive(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_maintenance_mode'] = array(
+            'batch_id' => 'bpi_one',
+            'key'      => 'secret',
+            'expires'  => time() - 1,
+        );
+
+        $this->assertFalse( $this->maintenance->isActive() );
+        $this->assertFalse( $this->maintenance->shouldBlock() );
+        $this->assertSame( array(), $this->maintenance->getBypassHeaders() );
+    }
+
+    public function test_visitors_are_blocked(): void {
+        $_SERVER['REMOTE_ADDR'] = '203.0.113.9';
+        $this->assertFalse( $this->maintenance->shouldBlock() );
+
+        $this->maintenance->enable( 'bpi_one' );
+
+        $this->assertTrue( $this->maintenance->shouldBlock() );
+    }
+
+    public function test_admins_are_let_through(): void {
+        global $bpi_test_user_can;
+        $bpi_test_user_can = array( 'manage_options' => true );
+        $this->maintenance->enable( 'bpi_one' );
+
+        $this->assertFalse( $this->maintenance->shouldBlock() );
+    }
+
+    public function test_allowed_ips_are_let_through(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_maintenance_allowed_ips'] = "198.51.100.7\n2001:db8::1";
+        $this->maintenance->enable( 'bpi_one' );
+
+        $_SERVER['REMOTE_ADDR'] = '2001:db8::1';
+        $this->assertFalse( $this->maintenance->shouldBlock() );
+
+        $_SERVER['REMOTE_ADDR'] = '198.51.100.8';
+        $this->assertTrue( $this->maintenance->shouldBlock() );
+    }
+
+    public function test_bypass_header_is_let_through(): void {
+        $this->maintenance->enable( 'bpi_one' );
+
+        $_SERVER['HTTP_X_BPI_MAINTENANCE_KEY'] = 'wrong';
+        $this->assertTrue( $this->maintenance->shouldBlock() );
+
+        $_SERVER['HTTP_X_BPI_MAINTENANCE_KEY'] = $this->maintenance->getBypassHeaders()[ BPIMaintenanceMode::BYPASS_HEADER ];
+        $this->assertFalse( $this->maintenance->shouldBlock() );
+    }
+
+    public function test_message_defaults_when_empty(): void {
+        global $bpi_test_options;
+        $this->assertStringContainsString( 'scheduled maintenance', $this->maintenance->getMessage() );
+
+        $bpi_test_options['bpi_maintenance_message'] = 'Back at noon.';
+
+        $this->assertSame( 'Back at noon.', $this->maintenance->getMessage() );
+    }
+}
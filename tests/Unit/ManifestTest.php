@@ -0,0 +1,143 @@
+<?php
+/**
+ * Unit tests for BPIManifest.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPIManifest;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for parsing, version constraints and writing manifests.
+ */
+class ManifestTest extends TestCase {
+
+    private BPIManifest $manifest;
+
+    protected function setUp(): void {
+        $this->manifest = new BPIManifest();
+    }
+
+    public function test_parse_normalizes_entries_in_order(): void {
+        $parsed = $this->manifest->parse( wp_json_encode( array(
+            'name'    => 'Agency stack',
+            'plugins' => array(
+                'akismet',
+                array( 'slug' => 'classic-editor', 'version' => '^1.6', 'activate' => true ),
+                array( 'source' => 'https://example.com/custom.zip', 'network' => true ),
+                array( 'slug' => 'local', 'source' => 'zips/local.zip', 'sha256' => str_repeat( 'AB', 32 ) ),
+            ),
+        ) ) );
+
+        $this->assertSame( 'Agency stack', $parsed['name'] );
+        $this->assertSame( array( 'akismet', 'classic-editor', '', 'local' ), array_column( $parsed['plugins'], 'slug' ) );
+        $this->assertSame( array( 'wporg', 'wporg', 'url', 'path' ), array_column( $parsed['plugins'], 'source_type' ) );
+        $this->assertSame( BPIManifest::SOURCE_WPORG, $parsed['plugins'][0]['source'] );
+        $this->assertNull( $parsed['plugins'][0]['activate'] );
+        $this->assertTrue( $parsed['plugins'][1]['activate'] );
+        $this->assertTrue( $parsed['plugins'][2]['network'] );
+        $this->assertSame( str_repeat( 'ab', 32 ), $parsed['plugins'][3]['sha256'] );
+    }
+
+    public function test_parse_rejects_invalid_json_and_missing_plugins(): void {
+        $this->assertSame( 'bpi_invalid_manifest', $this->manifest->parse( '{"plugins":' )->get_error_code() );
+        $this->assertSame( 'bpi_invalid_manifest', $this->manifest->parse( '{"plugins":[]}' )->get_error_code() );
+    }
+
+    public function test_parse_collects_entry_errors(): void {
+        $result = $this->manifest->parse( wp_json_encode( array(
+            'plugins' => array(
+                array( 'version' => '1.0' ),
+                array( 'slug' => 'akismet', 'version' => 'latest' ),
+                array( 'slug' => 'hello-dolly', 'sha256' => 'abc' ),
+                42,
+            ),
+        ) ) );
+
+        $this->assertInstanceOf( \WP_Error::class, $result );
+        $this->assertCount( 4, $result->get_error_data()['errors'] );
+        $this->assertStringContainsString( 'akismet', $result->get_error_data()['errors'][1] );
+    }
+
+    public function test_yaml_without_parser_is_reported(): void {
+        if ( function_exists( 'yaml_parse' ) || function_exists( 'spyc_load' ) ) {
+            $this->markTestSkipped( 'A YAML parser is available.' );
+        }
+
+        $result = $this->manifest->parse( "plugins:\n  - akismet\n" );
+
+        $this->assertSame( 'bpi_yaml_unsupported', $result->get_error_code() );
+    }
+
+    public function test_satisfies_exact_and_comparison_constraints(): void {
+        $this->assertTrue( $this->manifest->satisfies( '1.2.0', '1.2' ) );
+        $this->assertFalse( $this->manifest->satisfies( '1.2.1', '1.2' ) );
+        $this->assertTrue( $this->manifest->satisfies( '2.0', '>=1.0 <3.0' ) );
+        $this->assertFalse( $this->manifest->satisfies( '3.0', '>=1.0, <3.0' ) );
+        $this->assertTrue( $this->manifest->satisfies( '9.9', '*' ) );
+        $this->assertTrue( $this->manifest->satisfies( '9.9', '' ) );
+    }
+
+    public function test_satisfies_caret_tilde_and_alternatives(): void {
+        $this->assertTrue( $this->manifest->satisfies( '5.9.1', '^5.3' ) );
+        $this->assertFalse( $this->manifest->satisfies( '6.0', '^5.3' ) );
+        $this->assertFalse( $this->manifest->satisfies( '0.3.0', '^0.2' ) );
+        $this->assertTrue( $this->manifest->satisfies( '2.1.9', '~2.1.0' ) );
+        $this->assertFalse( $this->manifest->satisfies( '2.2.0', '~2.1.0' ) );
+        $this->assertTrue( $this->manifest->satisfies( '2.9', '~2.1' ) );
+        $this->assertTrue( $this->manifest->satisfies( '4.0', '^2.0 || ^4.0' ) );
+        $this->assertFalse( $this->manifest->satisfies( '3.0', '^2.0 || ^4.0' ) );
+    }
+
+    public function test_pinned_version_and_source_line(): void {
+        $this->assertSame( '1.6.3', $this->manifest->getPinnedVersion( '=1.6.3' ) );
+        $this->assertSame( '', $this->manifest->getPinnedVersion( '^1.6' ) );
+
+        $parsed = $this->manifest->parse( '{"plugins":[{"slug":"classic-editor","version":"1.6.3"},{"slug":"akismet","version":"^5.0"}]}' );
+
+        $this->assertSame( 'classic-editor@1.6.3', $this->manifest->getSourceLine( $parsed['plugins'][0] ) );
+        $this->assertSame( 'akismet', $this->manifest->getSourceLine( $parsed['plugins'][1] ) );
+    }
+
+    public function test_check_plugin_reports_slug_and_version_mismatches(): void {
+        $entry = $this->manifest->parse( '{"plugins":[{"slug":"akismet","version":"^5.0"}]}' )['plugins'][0];
+
+        $this->assertSame( '', $this->manifest->checkPlugin( $entry, 'akismet', '5.3' ) );
+        $this->assertStringContainsString( 'hello-dolly', $this->manifest->checkPlugin( $entry, 'hello-dolly', '5.3' ) );
+        $this->assertStringContainsString( '^5.0', $this->manifest->checkPlugin( $entry, 'akismet', '4.1' ) );
+    }
+
+    public function test_to_json_round_trips_and_omits_defaults(): void {
+        $parsed = $this->manifest->parse( '{"name":"Stack","plugins":["akismet",{"slug":"custom","source":"https://example.com/custom.zip","activate":false}]}' );
+        $json   = $this->manifest->toJson( $parsed );
+        $data   = json_decode( $json, true );
+
+        $this->assertSame( BPIManifest::SCHEMA_VERSION, $data['schema'] );
+        $this->assertSame( array( 'slug' => 'akismet' ), $data['plugins'][0] );
+        $this->assertFalse( $data['plugins'][1]['activate'] );
+        $this->assertEquals( $parsed, $this->manifest->parse( $json ) );
+    }
+
+    public function test_lock_entry_records_resolved_version_and_checksum(): void {
+        $entry  = $this->manifest->parse( '{"plugins":[{"slug":"akismet","version":"^5.0"}]}' )['plugins'][0];
+        $locked = $this->manifest->lockEntry( $entry, 'akismet', '5.3.1', str_repeat( 'a', 64 ) );
+
+        $this->assertSame( '5.3.1', $locked['version'] );
+        $this->assertSame( str_repeat( 'a', 64 ), $locked['sha256'] );
+        $this->assertSame( 'akismet@5.3.1', $this->manifest->getSourceLine( $locked ) );
+    }
+
+    public function test_from_profile_uses_wporg_sources(): void {
+        $manifest = $this->manifest->fromProfile( array(
+            'name'    => 'Starter',
+            'plugins' => array( array( 'slug' => 'akismet', 'version' => '5.0', 'activate' => true ) ),
+        ) );
+
+        $this->assertSame( 'Starter', $manifest['name'] );
+        $this->assertSame( 'wporg', $manifest['plugins'][0]['source_type'] );
+        $this->assertTrue( $manifest['plugins'][0]['activate'] );
+    }
+}
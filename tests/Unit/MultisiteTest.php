@@ -52,8 +52,13 @@ class MultisiteTest extends TestCase {
      */
     protected function tearDown(): void {
         global $bpi_test_is_multisite, $bpi_test_is_network_admin;
-        $bpi_test_is_multisite     = false;
-        $bpi_test_is_network_admin = false;
+        global $bpi_test_sites, $bpi_test_network_active_plugins, $bpi_test_installed_plugins, $bpi_test_active_plugins;
+        $bpi_test_is_multisite           = false;
+        $bpi_test_is_network_admin       = false;
+        $bpi_test_sites                  = array();
+        $bpi_test_network_active_plugins = array();
+        $bpi_test_installed_plugins      = array();
+        $bpi_test_active_plugins         = array();
         parent::tearDown();
     }
 
@@ -518,6 +523,156 @@ class MultisiteTest extends TestCase {
         $this->assertFalse( $processor->lastNetworkWide );
     }
 
+    // ── Activation Defaults and Per-Site Activation ──────────
+
+    /**
+     * Test the preview reports the sites an installed plugin is active on and keeps that state.
+     */
+    public function test_preview_update_reports_active_sites_in_network_admin(): void {
+        global $bpi_test_is_multisite, $bpi_test_is_network_admin, $bpi_test_user_can, $bpi_test_json_responses;
+        global $bpi_test_installed_plugins, $bpi_test_sites;
+
+        $bpi_test_is_multisite      = true;
+        $bpi_test_is_network_admin  = true;
+        $bpi_test_user_can          = array( 'manage_network_plugins' => true );
+        $bpi_test_installed_plugins = array( 'test-plugin/test-plugin.php' => array( 'Version' => '0.9.0' ) );
+        $bpi_test_sites             = array(
+            1 => array( 'active_plugins' => array() ),
+            2 => array( 'active_plugins' => array( 'test-plugin/test-plugin.php' ) ),
+            3 => array( 'active_plugins' => array( 'test-plugin/test-plugin.php', 'other/other.php' ) ),
+        );
+        $this->queueTestPlugin();
+
+        ( new BPIAdminPage() )->handlePreview();
+
+        $plugin = end( $bpi_test_json_responses )['data']['plugins'][0];
+        $this->assertSame( 'update', $plugin['action'] );
+        $this->assertSame( array( 2, 3 ), $plugin['active_site_ids'] );
+        $this->assertFalse( $plugin['network_active'] );
+        $this->assertTrue( $plugin['activate'] );
+        $this->assertFalse( $plugin['network_activate'], 'An update must not network-activate a plugin active on some sites only' );
+    }
+
+    /**
+     * Test the preview keeps a network-active plugin network-active.
+     */
+    public function test_preview_update_defaults_to_network_activate_when_network_active(): void {
+        global $bpi_test_is_multisite, $bpi_test_is_network_admin, $bpi_test_user_can, $bpi_test_json_responses;
+        global $bpi_test_installed_plugins, $bpi_test_network_active_plugins;
+
+        $bpi_test_is_multisite           = true;
+        $bpi_test_is_network_admin       = true;
+        $bpi_test_user_can               = array( 'manage_network_plugins' => true );
+        $bpi_test_installed_plugins      = array( 'test-plugin/test-plugin.php' => array( 'Version' => '0.9.0' ) );
+        $bpi_test_network_active_plugins = array( 'test-plugin/test-plugin.php' );
+        $this->queueTestPlugin();
+
+        ( new BPIAdminPage() )->handlePreview();
+
+        $plugin = end( $bpi_test_json_responses )['data']['plugins'][0];
+        $this->assertTrue( $plugin['network_active'] );
+        $this->assertTrue( $plugin['activate'] );
+        $this->assertTrue( $plugin['network_activate'] );
+    }
+
+    /**
+     * Test the Activate toggle of an update reflects whether the plugin is active on a single site.
+     */
+    public function test_preview_update_activate_reflects_current_state_on_single_site(): void {
+        global $bpi_test_json_responses, $bpi_test_installed_plugins, $bpi_test_active_plugins, $bpi_test_options;
+
+        $bpi_test_installed_plugins = array( 'test-plugin/test-plugin.php' => array( 'Version' => '0.9.0' ) );
+        $bpi_test_options           = array( 'bpi_auto_activate' => true );
+        $this->queueTestPlugin();
+
+        ( new BPIAdminPage() )->handlePreview();
+        $inactive = end( $bpi_test_json_responses )['data']['plugins'][0];
+
+        $bpi_test_active_plugins = array( 'test-plugin/test-plugin.php' => true );
+        ( new BPIAdminPage() )->handlePreview();
+        $active = end( $bpi_test_json_responses )['data']['plugins'][0];
+
+        $this->assertFalse( $inactive['currently_active'] );
+        $this->assertFalse( $inactive['activate'], 'An inactive plugin stays inactive after its update' );
+        $this->assertTrue( $active['currently_active'] );
+        $this->assertTrue( $active['activate'] );
+        $this->assertSame( array(), $active['active_site_ids'] );
+    }
+
+    /**
+     * Test the Activate toggle of a new install follows the bpi_auto_activate setting.
+     */
+    public function test_preview_install_activate_follows_auto_activate_setting(): void {
+        global $bpi_test_json_responses, $bpi_test_options;
+
+        $this->queueTestPlugin();
+
+        ( new BPIAdminPage() )->handlePreview();
+        $this->assertFalse( end( $bpi_test_json_responses )['data']['plugins'][0]['activate'] );
+
+        $bpi_test_options = array( 'bpi_auto_activate' => true );
+        $this->queueTestPlugin();
+        ( new BPIAdminPage() )->handlePreview();
+        $this->assertTrue( end( $bpi_test_json_responses )['data']['plugins'][0]['activate'] );
+    }
+
+    /**
+     * Test the processor activates a plugin on each chosen site instead of the current site.
+     */
+    public function test_processor_activates_on_chosen_sites(): void {
+        $processor = $this->createSiteActivationProcessor();
+
+        $result = $processor->processPlugin( $this->sitePluginData( array( 'activate_sites' => array( 2, 3 ) ) ) );
+
+        $this->assertSame( 'success', $result['status'] );
+        $this->assertTrue( $result['activated'] );
+        $this->assertSame( array( 2, 3 ), $result['activated_sites'] );
+        $this->assertSame( array( 2, 3 ), $processor->siteActivations );
+        $this->assertFalse( $processor->activatedOnCurrentSite );
+    }
+
+    /**
+     * Test sites that fail to activate are reported and left out of activated_sites.
+     */
+    public function test_processor_reports_failed_site_activation(): void {
+        $processor = $this->createSiteActivationProcessor();
+        $processor->failingSite = 3;
+
+        $result = $processor->processPlugin( $this->sitePluginData( array( 'activate_sites' => array( 2, 3 ) ) ) );
+
+        $this->assertSame( array( 2 ), $result['activated_sites'] );
+        $messages = implode( ' ', $result['messages'] );
+        $this->assertStringContainsString( 'could not be activated on site 3', $messages );
+        $this->assertStringContainsString( 'on 1 site(s)', $messages );
+    }
+
+    /**
+     * Test network activation takes precedence over chosen sites.
+     */
+    public function test_processor_network_activate_overrides_chosen_sites(): void {
+        $processor = $this->createSiteActivationProcessor();
+
+        $result = $processor->processPlugin( $this->sitePluginData( array( 'activate_sites' => array( 2 ), 'network_activate' => true ) ) );
+
+        $this->assertTrue( $result['activated'] );
+        $this->assertSame( array(), $processor->siteActivations );
+        $this->assertTrue( $processor->activatedOnCurrentSite );
+    }
+
+    /**
+     * Test an update of an active plugin is still activated on newly chosen sites.
+     */
+    public function test_processor_update_of_active_plugin_activates_on_chosen_sites(): void {
+        $processor = $this->createSiteActivationProcessor();
+        $processor->active = true;
+
+        $result = $processor->processPlugin( $this->sitePluginData( array( 'action' => 'update', 'activate_sites' => array( 4 ) ) ) );
+
+        $this->assertSame( 'success', $result['status'] );
+        $this->assertSame( array( 4 ), $result['activated_sites'] );
+        $this->assertArrayNotHasKey( 'previously_active', $result );
+    }
+
     // ── Single Site Within Multisite ─────────────────────────
 
     /**
@@ -534,4 +689,90 @@ class MultisiteTest extends TestCase {
         $this->assertSame( 'install_plugins', $adminPage->getRequiredCapability() );
         $this->assertFalse( $adminPage->isNetworkAdminContext() );
     }
+
+    // ── Helpers ──────────────────────────────────────────────
+
+    /**
+     * Queue a single test plugin for the preview.
+     */
+    private function queueTestPlugin(): void {
+        global $bpi_test_transients;
+
+        $bpi_test_transients[ 'bpi_queue_' . get_current_user_id() ] = array(
+            'value'      => array(
+                array(
+                    'slug'           => 'test-plugin',
+                    'plugin_name'    => self::PLUGIN_NAME,
+                    'plugin_version' => self::VERSION_100,
+                    'file_path'      => '',
+                    'file_size'      => 1024,
+                ),
+            ),
+            'expiration' => 0,
+        );
+        $_POST['_wpnonce'] = 'valid_nonce';
+    }
+
+    /**
+     * Build plugin data for a processor activation test.
+     *
+     * @param array $overrides Values to override.
+     * @return array Plugin data.
+     */
+    private function sitePluginData( array $overrides = array() ): array {
+        return array_merge(
+            array(
+                'slug'              => 'test-plugin',
+                'action'            => 'install',
+                'plugin_name'       => self::PLUGIN_NAME,
+                'file_path'         => '/tmp/test.zip',
+                'plugin_file'       => 'test-plugin/test-plugin.php',
+                'plugin_version'    => self::VERSION_100,
+                'installed_version' => '',
+                'activate'          => true,
+            ),
+            $overrides
+        );
+    }
+
+    /**
+     * Create a processor that records current-site and per-site activations.
+     *
+     * @return BPIPluginProcessor
+     */
+    private function createSiteActivationProcessor(): BPIPluginProcessor {
+        $rollback = new class() extends BPIRollbackManager {
+            public function createBackup( string $plugin_dir ): string|\WP_Error {
+                return sys_get_temp_dir() . '/bpi-backup-test-plugin';
+            }
+        };
+
+        return new class( $rollback, new BPILogManager(), new BPISettingsManager() ) extends BPIPluginProcessor {
+            public array $siteActivations       = array();
+            public bool $activatedOnCurrentSite = false;
+            public bool $active                 = false;
+            public int $failingSite             = 0;
+
+            protected function runUpgrader( string $action, string $file_path, string $plugin_file ): true|\WP_Error {
+                return true;
+            }
+
+            protected function isPluginActive( string $plugin_file ): bool {
+                return $this->active;
+            }
+
+            protected function wpActivatePlugin( string $plugin_file, bool $network_wide = false ): \WP_Error|null {
+                $this->activatedOnCurrentSite = true;
+                return null;
+            }
+
+            protected function wpActivatePluginOnSite( string $plugin_file, int $site_id ): \WP_Error|null {
+                if ( $site_id === $this->failingSite ) {
+                    return new \WP_Error( 'activation_failed', 'Fatal error' );
+                }
+                $this->siteActivations[] = $site_id;
+                return null;
+            }
+        };
+    }
 }
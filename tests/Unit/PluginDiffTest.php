@@ -0,0 +1,210 @@
+<?php
+/**
+ * Unit tests for BPIPluginDiff.
+ *
+ * @package BulkPluginInstaller
+ */
+
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Class PluginDiffTest
+ *
+ * Tests the file comparison between an uploaded plugin ZIP and the
+ * installed plugin directory, and the side-by-side line diff.
+ */
+class PluginDiffTest extends TestCase {
+
+    private BPIPluginDiff $diff;
+    private string $tempDir;
+
+    protected function setUp(): void {
+        parent::setUp();
+        $this->tempDir = sys_get_temp_dir() . '/bpi_diff_' . uniqid();
+        mkdir( $this->tempDir . '/installed', 0755, true );
+        $this->diff = new BPIPluginDiff();
+    }
+
+    protected function tearDown(): void {
+        $this->recursiveDelete( $this->tempDir );
+        parent::tearDown();
+    }
+
+    public function test_compare_lists_added_removed_and_modified_files(): void {
+        $this->writeInstalled( array(
+            'my-plugin.php'  => "<?php\n// Version 1.0.0\n",
+            'readme.txt'     => 'Same readme',
+            'legacy/old.php' => "<?php\n",
+        ) );
+        $zip = $this->createZip( array(
+            'my-plugin.php'    => "<?php\n// Version 1.1.0\n",
+            'readme.txt'       => 'Same readme',
+            'includes/new.php' => "<?php\n// New file\n",
+        ) );
+
+        $result = $this->diff->compare( $zip, $this->tempDir . '/installed' );
+
+        $this->assertIsArray( $result );
+        $this->assertSame( array( array( 'path' => 'includes/new.php', 'size' => 18 ) ), $result['added'] );
+        $this->assertSame( array( array( 'path' => 'legacy/old.php', 'size' => 6 ) ), $result['removed'] );
+        $this->assertCount( 1, $result['modified'] );
+        $this->assertSame( 'my-plugin.php', $result['modified'][0]['path'] );
+        $this->assertSame( 0, $result['modified'][0]['size_delta'] );
+        $this->assertSame( 'ok', $result['modified'][0]['diff_status'] );
+        $this->assertSame(
+            array( 'added' => 1, 'removed' => 1, 'modified' => 1, 'size_delta' => 12 ),
+            $result['summary']
+        );
+    }
+
+    public function test_compare_skips_unchanged_files(): void {
+        $files = array(
+            'my-plugin.php' => "<?php\n// Plugin\n",
+            'assets/app.js' => 'console.log(1);',
+        );
+        $this->writeInstalled( $files );
+
+        $result = $this->diff->compare( $this->createZip( $files ), $this->tempDir . '/installed' );
+
+        $this->assertSame( array(), $result['added'] );
+        $this->assertSame( array(), $result['removed'] );
+        $this->assertSame( array(), $result['modified'] );
+        $this->assertSame( 0, $result['summary']['size_delta'] );
+    }
+
+    public function test_compare_reports_size_delta_without_text_diff_for_binary_files(): void {
+        $this->writeInstalled( array( 'assets/logo.png' => str_repeat( "\x89", 10 ) ) );
+        $zip = $this->createZip( array( 'assets/logo.png' => str_repeat( "\x90", 25 ) ) );
+
+        $result = $this->diff->compare( $zip, $this->tempDir . '/installed' );
+
+        $this->assertSame( 15, $result['modified'][0]['size_delta'] );
+        $this->assertSame( 'none', $result['modified'][0]['diff_status'] );
+        $this->assertSame( array(), $result['modified'][0]['hunks'] );
+    }
+
+    public function test_compare_returns_error_when_plugin_is_not_installed(): void {
+        $zip = $this->createZip( array( 'my-plugin.php' => "<?php\n" ) );
+
+        $result = $this->diff->compare( $zip, $this->tempDir . '/missing' );
+
+        $this->assertInstanceOf( WP_Error::class, $result );
+        $this->assertSame( 'bpi_diff_not_installed', $result->get_error_code() );
+    }
+
+    public function test_compare_returns_error_for_unreadable_zip(): void {
+        file_put_contents( $this->tempDir . '/broken.zip', 'not a zip' );
+
+        $result = $this->diff->compare( $this->tempDir . '/broken.zip', $this->tempDir . '/installed' );
+
+        $this->assertInstanceOf( WP_Error::class, $result );
+        $this->assertSame( 'bpi_diff_invalid_zip', $result->get_error_code() );
+    }
+
+    public function test_compare_returns_error_for_missing_zip_path(): void {
+        $result = $this->diff->compare( '', $this->tempDir . '/installed' );
+
+        $this->assertInstanceOf( WP_Error::class, $result );
+        $this->assertSame( 'bpi_diff_invalid_zip', $result->get_error_code() );
+    }
+
+    public function test_diff_text_pairs_changed_lines_with_context(): void {
+        $hunks = $this->diff->diffText( "a\nb\nc\n", "a\nB\nc\nd\n" );
+
+        $this->assertCount( 1, $hunks );
+        $this->assertSame(
+            array( 'context', 'changed', 'context', 'added' ),
+            array_column( $hunks[0]['rows'], 'type' )
+        );
+        $this->assertSame(
+            array( 'type' => 'changed', 'old_line' => 2, 'new_line' => 2, 'old' => 'b', 'new' => 'B' ),
+            $hunks[0]['rows'][1]
+        );
+        $this->assertSame(
+            array( 'type' => 'added', 'old_line' => null, 'new_line' => 4, 'old' => null, 'new' => 'd' ),
+            $hunks[0]['rows'][3]
+        );
+    }
+
+    public function test_diff_text_splits_distant_changes_into_hunks(): void {
+        $old_lines = range( 1, 20 );
+        $new_lines = $old_lines;
+        $new_lines[1]  = 'two';
+        $new_lines[17] = 'eighteen';
+
+        $hunks = $this->diff->diffText( implode( "\n", $old_lines ), implode( "\n", $new_lines ) );
+
+        $this->assertCount( 2, $hunks );
+        $this->assertSame( 1, $hunks[0]['rows'][0]['old_line'] );
+        $this->assertCount( 5, $hunks[0]['rows'] );
+        $this->assertSame( 15, $hunks[1]['rows'][0]['old_line'] );
+        $this->assertCount( 6, $hunks[1]['rows'] );
+    }
+
+    public function test_diff_text_reports_removed_lines(): void {
+        $hunks = $this->diff->diffText( "a\nb\nc", "a\nc" );
+
+        $this->assertSame(
+            array( 'type' => 'removed', 'old_line' => 2, 'new_line' => null, 'old' => 'b', 'new' => null ),
+            $hunks[0]['rows'][1]
+        );
+    }
+
+    public function test_diff_text_ignores_line_ending_changes(): void {
+        $this->assertSame( array(), $this->diff->diffText( "a\nb\n", "a\r\nb\r\n" ) );
+    }
+
+    public function test_diff_text_returns_null_for_too_large_changes(): void {
+        $old = implode( "\n", array_map( fn ( $n ) => 'old ' . $n, range( 1, 1001 ) ) );
+        $new = implode( "\n", array_map( fn ( $n ) => 'new ' . $n, range( 1, 1001 ) ) );
+
+        $this->assertNull( $this->diff->diffText( $old, $new ) );
+    }
+
+    /**
+     * Write files into the fake installed plugin directory.
+     *
+     * @param array<string, string> $files Contents keyed by relative path.
+     */
+    private function writeInstalled( array $files ): void {
+        foreach ( $files as $path => $contents ) {
+            $target = $this->tempDir . '/installed/' . $path;
+            if ( ! is_dir( dirname( $target ) ) ) {
+                mkdir( dirname( $target ), 0755, true );
+            }
+            file_put_contents( $target, $contents );
+        }
+    }
+
+    /**
+     * Create a plugin ZIP with the given files under a my-plugin/ folder.
+     *
+     * @param array<string, string> $files Contents keyed by relative path.
+     * @return string Path to the ZIP.
+     */
+    private function createZip( array $files ): string {
+        $zip_path = $this->tempDir . '/my-plugin.zip';
+        $zip      = new \ZipArchive();
+        $zip->open( $zip_path, \ZipArchive::CREATE | \ZipArchive::OVERWRITE );
+        $zip->addEmptyDir( 'my-plugin' );
+        foreach ( $files as $path => $contents ) {
+            $zip->addFromString( 'my-plugin/' . $path, $contents );
+        }
+        $zip->close();
+        return $zip_path;
+    }
+
+    private function recursiveDelete( string $path ): void {
+        if ( ! is_dir( $path ) ) {
+            return;
+        }
+        $it = new \RecursiveIteratorIterator(
+            new \RecursiveDirectoryIterator( $path, \RecursiveDirectoryIterator::SKIP_DOTS ),
+            \RecursiveIteratorIterator::CHILD_FIRST
+        );
+        foreach ( $it as $item ) {
+            $item->isDir() ? rmdir( $item->getPathname() ) : unlink( $item->getPathname() );
+        }
+        rmdir( $path );
+    }
+}
@@ -10,6 +10,7 @@
 
 namespace BPI\Tests\Unit;
 
+use BPIBatchRollbackManager;
 use BPIPluginProcessor;
 use BPIRollbackManager;
 use BPILogManager;
@@ -51,6 +52,7 @@ class CoverageTestableProcessor extends BPIPluginProcessor {
 class FailingBackupRollbackManager extends BPIRollbackManager {
 
     public bool $backupShouldFail = false;
+    public array $cleanedUp = array();
 
     public function createBackup( string $plugin_dir ): string|\WP_Error {
         if ( $this->backupShouldFail ) {
@@ -63,7 +65,9 @@ class FailingBackupRollbackManager extends BPIRollbackManager {
         return true;
     }
 
-    public function cleanupBackup( string $backup_path ): void {}
+    public function cleanupBackup( string $backup_path ): void {
+        $this->cleanedUp[] = $backup_path;
+    }
     public function removePartialInstall( string $plugin_dir ): void {}
 }
 
@@ -136,6 +140,30 @@ class PluginProcessorCoverageTest extends TestCase {
         $this->assertStringContainsString( 'updated', implode( ' ', $result['messages'] ) );
     }
 
+    public function test_update_success_keeps_backup_for_batch_rollback(): void {
+        $rollback  = new FailingBackupRollbackManager();
+        $processor = new CoverageTestableProcessor(
+            $rollback,
+            new BPILogManager(),
+            new BPISettingsManager()
+        );
+        $processor->setBatchRollbackManager(
+            new BPIBatchRollbackManager( $rollback, new BPISettingsManager(), new BPILogManager() )
+        );
+
+        $plugin = array(
+            'slug' => 'upd-kept', 'action' => 'update', 'plugin_name' => 'Upd Kept',
+            'file_path' => '/tmp/upd.zip', 'plugin_file' => 'upd-kept/upd-kept.php',
+            'plugin_version' => '2.0.0', 'installed_version' => '1.0.0',
+        );
+
+        $result = $processor->processPlugin( $plugin );
+
+        $this->assertSame( 'success', $result['status'] );
+        $this->assertStringStartsWith( '/tmp/fake-backup-', $result['backup_path'] );
+        $this->assertEmpty( $rollback->cleanedUp );
+    }
+
     public function test_failed_install_removes_partial_install(): void {
         $rollback = new FailingBackupRollbackManager();
 
@@ -0,0 +1,161 @@
+<?php
+/**
+ * Unit tests for dependency-aware processing in BPIPluginProcessor.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPIBatchProgressTracker;
+use BPIPluginProcessor;
+use BPIRollbackManager;
+use BPILogManager;
+use BPISettingsManager;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Testable processor that records the order of upgrades and activations.
+ */
+class DependencyTestableProcessor extends BPIPluginProcessor {
+
+    /** @var array<string, true|\WP_Error> Upgrader results keyed by slug. */
+    public array $upgraderResults = array();
+
+    /** @var string[] Slugs in the order they were upgraded. */
+    public array $upgraded = array();
+
+    /** @var string[] Plugin files in the order they were activated. */
+    public array $activated = array();
+
+    protected function runUpgrader( string $action, string $file_path, string $plugin_file ): true|\WP_Error {
+        $slug             = dirname( $plugin_file );
+        $this->upgraded[] = $slug;
+        return $this->upgraderResults[ $slug ] ?? true;
+    }
+
+    protected function getPluginDir( string $slug ): string {
+        return sys_get_temp_dir() . '/bpi_dependency_test/' . $slug;
+    }
+
+    protected function isPluginActive( string $plugin_file ): bool {
+        return false;
+    }
+
+    protected function wpActivatePlugin( string $plugin_file, bool $network_wide = false ): \WP_Error|null {
+        $this->activated[] = $plugin_file;
+        return null;
+    }
+}
+
+/**
+ * Tests for dependency ordering and blocked activation.
+ */
+class PluginProcessorDependencyTest extends TestCase {
+
+    private DependencyTestableProcessor $processor;
+
+    protected function setUp(): void {
+        global $bpi_test_options, $bpi_test_nonce_valid, $bpi_test_user_can,
+               $bpi_test_json_responses, $bpi_test_transients, $bpi_test_current_user_id, $wpdb;
+
+        $bpi_test_options         = array( 'bpi_auto_activate' => true );
+        $bpi_test_nonce_valid     = true;
+        $bpi_test_user_can        = true;
+        $bpi_test_json_responses  = array();
+        $bpi_test_transients      = array();
+        $bpi_test_current_user_id = 1;
+        $wpdb->reset_bpi_log();
+        $_POST = array();
+
+        $this->processor = new DependencyTestableProcessor(
+            new BPIRollbackManager(),
+            new BPILogManager(),
+            new BPISettingsManager()
+        );
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_options, $bpi_test_current_user_id;
+        $bpi_test_options         = array();
+        $bpi_test_current_user_id = null;
+        $_POST = array();
+    }
+
+    public function test_process_batch_installs_dependencies_first(): void {
+        $results = $this->processor->processBatch( array(
+            $this->pluginData( 'addon', 'core, helper' ),
+            $this->pluginData( 'helper', 'core' ),
+            $this->pluginData( 'core' ),
+        ) );
+
+        $this->assertSame( array( 'core', 'helper', 'addon' ), $this->processor->upgraded );
+        $this->assertSame( array( 'core', 'helper', 'addon' ), array_column( $results, 'slug' ) );
+        $this->assertSame( array( 'core/core.php', 'helper/helper.php', 'addon/addon.php' ), $this->processor->activated );
+    }
+
+    public function test_dependent_is_installed_but_not_activated_when_dependency_fails(): void {
+        $this->processor->upgraderResults['core'] = new \WP_Error( 'boom', 'Boom' );
+
+        $results = $this->processor->processBatch( array(
+            $this->pluginData( 'addon', 'core' ),
+            $this->pluginData( 'core' ),
+        ) );
+
+        $this->assertSame( 'failed', $results[0]['status'] );
+        $this->assertSame( 'success', $results[1]['status'] );
+        $this->assertFalse( $results[1]['activated'] );
+        $this->assertSame( array( 'core' ), $results[1]['failed_dependencies'] );
+        $this->assertStringContainsString( 'a required plugin failed in this batch: core', end( $results[1]['messages'] ) );
+        $this->assertSame( array(), $this->processor->activated );
+    }
+
+    public function test_dependency_outside_batch_does_not_block_activation(): void {
+        $results = $this->processor->processBatch( array(
+            $this->pluginData( 'addon', 'installed-elsewhere' ),
+        ) );
+
+        $this->assertTrue( $results[0]['activated'] );
+        $this->assertArrayNotHasKey( 'failed_dependencies', $results[0] );
+    }
+
+    public function test_step_batch_is_ordered_and_blocks_activation_after_failed_dependency(): void {
+        global $bpi_test_json_responses;
+
+        $this->processor->setProgressTracker( new BPIBatchProgressTracker() );
+        $this->processor->upgraderResults['core'] = new \WP_Error( 'boom', 'Boom' );
+
+        $_POST = array(
+            '_wpnonce'         => 'valid',
+            'selected_plugins' => array(
+                $this->pluginData( 'addon', 'core' ),
+                $this->pluginData( 'core' ),
+            ),
+        );
+        $this->processor->handleAjaxProcessStart();
+
+        $start = $bpi_test_json_responses[0]['data'];
+        $this->assertSame( array( 'core', 'addon' ), array_column( $start['plugins'], 'slug' ) );
+
+        $_POST = array( '_wpnonce' => 'valid', 'batch_id' => $start['batch_id'] );
+        $this->processor->handleAjaxProcessStep();
+        $this->processor->handleAjaxProcessStep();
+
+        $addon = $bpi_test_json_responses[2]['data']['result'];
+        $this->assertSame( 'addon', $addon['slug'] );
+        $this->assertSame( 'success', $addon['status'] );
+        $this->assertFalse( $addon['activated'] );
+        $this->assertSame( array( 'core' ), $addon['failed_dependencies'] );
+    }
+
+    private function pluginData( string $slug, string $requires = '' ): array {
+        return array(
+            'slug'             => $slug,
+            'action'           => 'install',
+            'plugin_name'      => ucfirst( $slug ),
+            'plugin_file'      => $slug . '/' . $slug . '.php',
+            'requires_plugins' => $requires,
+            'activate'         => true,
+        );
+    }
+}
@@ -0,0 +1,310 @@
+<?php
+/**
+ * Unit tests for the BPIPluginProcessor post-activation health check.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPIBatchProgressTracker;
+use BPIBatchRollbackManager;
+use BPIHealthChecker;
+use BPIPluginProcessor;
+use BPIRollbackManager;
+use BPILogManager;
+use BPISettingsManager;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Testable processor that tracks activation state in memory.
+ */
+class HealthCheckTestableProcessor extends BPIPluginProcessor {
+
+    public array $activePlugins = array();
+    public array $deactivated = array();
+
+    protected function runUpgrader( string $action, string $file_path, string $plugin_file ): true|\WP_Error {
+        return true;
+    }
+
+    protected function getPluginDir( string $slug ): string {
+        return '/plugins/' . $slug;
+    }
+
+    protected function isPluginActive( string $plugin_file ): bool {
+        return ! empty( $this->activePlugins[ $plugin_file ] );
+    }
+
+    protected function wpActivatePlugin( string $plugin_file, bool $network_wide = false ): \WP_Error|null {
+        $this->activePlugins[ $plugin_file ] = true;
+        return null;
+    }
+
+    protected function wpDeactivatePlugin( string $plugin_file ): void {
+        $this->deactivated[] = $plugin_file;
+        unset( $this->activePlugins[ $plugin_file ] );
+    }
+}
+
+/**
+ * Health checker returning a preset outcome.
+ */
+class PresetHealthChecker extends BPIHealthChecker {
+
+    public int $checks = 0;
+
+    public function __construct( private ?\WP_Error $error = null ) {}
+
+    public function check(): true|\WP_Error {
+        $this->checks++;
+        return $this->error ?? true;
+    }
+}
+
+/**
+ * Rollback manager that records the calls made to it.
+ */
+class RecordingRollbackManager extends BPIRollbackManager {
+
+    public array $calls = array();
+
+    public function createBackup( string $plugin_dir ): string|\WP_Error {
+        return '/backups/' . basename( $plugin_dir );
+    }
+
+    public function restoreBackup( string $backup_path, string $plugin_dir ): bool|\WP_Error {
+        $this->calls[] = 'restore:' . $backup_path;
+        return true;
+    }
+
+    public function cleanupBackup( string $backup_path ): void {
+        $this->calls[] = 'cleanup:' . $backup_path;
+    }
+
+    public function removePartialInstall( string $plugin_dir ): void {
+        $this->calls[] = 'remove:' . $plugin_dir;
+    }
+}
+
+/**
+ * Tests for the per-plugin and per-batch site health check.
+ */
+class PluginProcessorHealthCheckTest extends TestCase {
+
+    private HealthCheckTestableProcessor $processor;
+
+    private RecordingRollbackManager $rollback;
+
+    protected function setUp(): void {
+        global $bpi_test_options, $bpi_test_nonce_valid, $bpi_test_user_can,
+               $bpi_test_json_responses, $bpi_test_transients, $bpi_test_current_user_id, $wpdb;
+
+        $bpi_test_options         = array( 'bpi_auto_activate' => true, 'bpi_health_check' => 'plugin' );
+        $bpi_test_nonce_valid     = true;
+        $bpi_test_user_can        = true;
+        $bpi_test_json_responses  = array();
+        $bpi_test_transients      = array();
+        $bpi_test_current_user_id = 1;
+        $wpdb->reset_bpi_log();
+        $_POST = array();
+
+        $this->rollback  = new RecordingRollbackManager();
+        $this->processor = new HealthCheckTestableProcessor(
+            $this->rollback,
+            new BPILogManager(),
+            new BPISettingsManager()
+        );
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_options, $bpi_test_current_user_id;
+        $bpi_test_options         = array();
+        $bpi_test_current_user_id = null;
+        $_POST = array();
+    }
+
+    public function test_healthy_plugin_stays_installed(): void {
+        $checker = new PresetHealthChecker();
+        $this->processor->setHealthChecker( $checker );
+
+        $result = $this->processor->processPlugin( $this->installData( 'healthy' ) );
+
+        $this->assertSame( 'success', $result['status'] );
+        $this->assertSame( 1, $checker->checks );
+        $this->assertSame( array(), $this->rollback->calls );
+    }
+
+    public function test_unhealthy_install_is_deactivated_and_removed(): void {
+        $this->processor->setHealthChecker( new PresetHealthChecker( $this->healthError() ) );
+
+        $result = $this->processor->processPlugin( $this->installData( 'broken' ) );
+
+        $this->assertSame( 'failed', $result['status'] );
+        $this->assertTrue( $result['rolled_back'] );
+        $this->assertFalse( $result['activated'] );
+        $this->assertSame( 'failed', $result['health_check'] );
+        $this->assertSame( array( 'broken/broken.php' ), $this->processor->deactivated );
+        $this->assertSame( array( 'remove:/plugins/broken' ), $this->rollback->calls );
+        $this->assertStringStartsWith( 'Rolled back: site health check failed.', end( $result['messages'] ) );
+        $this->assertStringContainsString( 'HTTP 500', end( $result['messages'] ) );
+    }
+
+    public function test_unhealthy_update_of_active_plugin_is_restored_and_kept_active(): void {
+        $this->processor->setHealthChecker( new PresetHealthChecker( $this->healthError() ) );
+        $this->processor->activePlugins['broken/broken.php'] = true;
+
+        $result = $this->processor->processPlugin( $this->updateData( 'broken' ) );
+
+        $this->assertSame( 'failed', $result['status'] );
+        $this->assertTrue( $result['rolled_back'] );
+        $this->assertSame( array(), $this->processor->deactivated );
+        $this->assertSame( array( 'restore:/backups/broken', 'cleanup:/backups/broken' ), $this->rollback->calls );
+        $this->assertArrayNotHasKey( 'backup_path', $result );
+    }
+
+    public function test_unhealthy_update_activated_by_batch_is_deactivated(): void {
+        $this->processor->setHealthChecker( new PresetHealthChecker( $this->healthError() ) );
+
+        $result = $this->processor->processPlugin( $this->updateData( 'broken' ) );
+
+        $this->assertSame( array( 'broken/broken.php' ), $this->processor->deactivated );
+        $this->assertContains( 'restore:/backups/broken', $this->rollback->calls );
+        $this->assertFalse( $result['activated'] );
+    }
+
+    public function test_check_is_skipped_for_inactive_plugin(): void {
+        $checker = new PresetHealthChecker( $this->healthError() );
+        $this->processor->setHealthChecker( $checker );
+
+        $result = $this->processor->processPlugin( array_merge( $this->installData( 'inactive' ), array( 'activate' => false ) ) );
+
+        $this->assertSame( 'success', $result['status'] );
+        $this->assertSame( 0, $checker->checks );
+    }
+
+    public function test_check_is_skipped_when_disabled(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_health_check'] = 'off';
+
+        $checker = new PresetHealthChecker( $this->healthError() );
+        $this->processor->setHealthChecker( $checker );
+
+        $result = $this->processor->processPlugin( $this->installData( 'unchecked' ) );
+
+        $this->assertSame( 'success', $result['status'] );
+        $this->assertSame( 0, $checker->checks );
+    }
+
+    public function test_batch_mode_checks_once_and_rolls_back_activated_plugins(): void {
+        global $bpi_test_options, $bpi_test_json_responses;
+        $bpi_test_options['bpi_health_check'] = 'batch';
+
+        $checker = new PresetHealthChecker( $this->healthError() );
+        $this->processor->setHealthChecker( $checker );
+
+        $_POST = array(
+            '_wpnonce'         => 'valid',
+            'selected_plugins' => array(
+                $this->installData( 'one' ),
+                array_merge( $this->installData( 'two' ), array( 'activate' => false ) ),
+                $this->installData( 'three' ),
+            ),
+        );
+
+        $this->processor->handleAjaxProcess();
+
+        $data = $bpi_test_json_responses[0]['data'];
+        $this->assertSame( 1, $checker->checks );
+        $this->assertSame( array( 'failed', 'success', 'failed' ), array_column( $data['results'], 'status' ) );
+        $this->assertSame( 2, $data['summary']['failed'] );
+        $this->assertSame( 2, $data['summary']['rolled_back'] );
+        $this->assertSame( array( 'remove:/plugins/one', 'remove:/plugins/three' ), $this->rollback->calls );
+    }
+
+    public function test_batch_mode_records_rolled_back_plugins_in_manifest(): void {
+        global $bpi_test_options, $bpi_test_json_responses;
+        $bpi_test_options['bpi_health_check'] = 'batch';
+
+        $batch_rollback = new BPIBatchRollbackManager( $this->rollback, new BPISettingsManager(), new BPILogManager() );
+        $this->processor->setBatchRollbackManager( $batch_rollback );
+        $this->processor->setHealthChecker( new PresetHealthChecker( $this->healthError() ) );
+
+        $_POST = array(
+            '_wpnonce'         => 'valid',
+            'selected_plugins' => array( $this->installData( 'one' ) ),
+        );
+
+        $this->processor->handleAjaxProcess();
+
+        $manifest = $batch_rollback->getBatchManifest( $bpi_test_json_responses[0]['data']['batch_id'] );
+        $this->assertSame( 'failed', $manifest['plugins'][0]['status'] );
+        $this->assertSame( 'failed', $manifest['plugins'][0]['health_check'] );
+    }
+
+    public function test_batch_mode_updates_step_results_after_rollback(): void {
+        global $bpi_test_options, $bpi_test_json_responses;
+        $bpi_test_options['bpi_health_check'] = 'batch';
+
+        $tracker = new BPIBatchProgressTracker();
+        $this->processor->setProgressTracker( $tracker );
+        $this->processor->setHealthChecker( new PresetHealthChecker( $this->healthError() ) );
+
+        $_POST = array(
+            '_wpnonce'         => 'valid',
+            'selected_plugins' => array( $this->installData( 'one' ) ),
+        );
+        $this->processor->handleAjaxProcessStart();
+        $batch_id = $bpi_test_json_responses[0]['data']['batch_id'];
+
+        $_POST = array( '_wpnonce' => 'valid', 'batch_id' => $batch_id );
+        $this->processor->handleAjaxProcessStep();
+
+        $this->assertSame( 'failed', $bpi_test_json_responses[1]['data']['results'][0]['status'] );
+        $this->assertSame( 'failed', $tracker->getResults( $tracker->get( $batch_id ) )[0]['health_check'] );
+    }
+
+    public function test_batch_mode_skips_dry_run(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_health_check'] = 'batch';
+
+        $checker = new PresetHealthChecker( $this->healthError() );
+        $this->processor->setHealthChecker( $checker );
+
+        $_POST = array(
+            '_wpnonce'         => 'valid',
+            'dry_run'          => '1',
+            'selected_plugins' => array( $this->installData( 'one' ) ),
+        );
+
+        $this->processor->handleAjaxProcess();
+
+        $this->assertSame( 0, $checker->checks );
+    }
+
+    private function installData( string $slug ): array {
+        return array(
+            'slug'        => $slug,
+            'action'      => 'install',
+            'plugin_name' => ucfirst( $slug ),
+            'plugin_file' => $slug . '/' . $slug . '.php',
+            'activate'    => true,
+        );
+    }
+
+    private function updateData( string $slug ): array {
+        return array(
+            'slug'              => $slug,
+            'action'            => 'update',
+            'plugin_name'       => ucfirst( $slug ),
+            'plugin_file'       => $slug . '/' . $slug . '.php',
+            'plugin_version'    => '2.0.0',
+            'installed_version' => '1.0.0',
+            'activate'          => true,
+        );
+    }
+
+    private function healthError(): \WP_Error {
+        return new \WP_Error( 'bpi_health_server_error', 'https://example.com/ returned HTTP 500.' );
+    }
+}
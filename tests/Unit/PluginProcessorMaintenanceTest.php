@@ -0,0 +1,147 @@
+<?php
+/**
+ * Unit tests for maintenance mode around BPIPluginProcessor batches.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPIBatchProgressTracker;
+use BPILogManager;
+use BPIMaintenanceMode;
+use BPIPluginProcessor;
+use BPIRollbackManager;
+use BPISettingsManager;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Testable processor that records whether maintenance mode was on during each upgrade.
+ */
+class MaintenanceTestableProcessor extends BPIPluginProcessor {
+
+    public ?BPIMaintenanceMode $maintenance = null;
+
+    /** @var bool[] Maintenance state seen by each upgrade. */
+    public array $seen = array();
+
+    public bool $throw = false;
+
+    protected function runUpgrader( string $action, string $file_path, string $plugin_file ): true|\WP_Error {
+        $this->seen[] = $this->maintenance->isActive();
+        if ( $this->throw ) {
+            throw new \RuntimeException( 'Upgrader crashed' );
+        }
+        return true;
+    }
+
+    protected function getPluginDir( string $slug ): string {
+        return '/plugins/' . $slug;
+    }
+
+    protected function isPluginActive( string $plugin_file ): bool {
+        return false;
+    }
+
+    protected function wpActivatePlugin( string $plugin_file, bool $network_wide = false ): \WP_Error|null {
+        return null;
+    }
+}
+
+/**
+ * Tests that batches turn the maintenance page on and always turn it off.
+ */
+class PluginProcessorMaintenanceTest extends TestCase {
+
+    private MaintenanceTestableProcessor $processor;
+
+    private BPIMaintenanceMode $maintenance;
+
+    protected function setUp(): void {
+        global $bpi_test_options, $bpi_test_user_can, $bpi_test_transients, $bpi_test_current_user_id, $wpdb;
+        $bpi_test_options         = array( 'bpi_auto_activate' => false, 'bpi_health_check' => 'off' );
+        $bpi_test_user_can        = true;
+        $bpi_test_transients      = array();
+        $bpi_test_current_user_id = 1;
+        $wpdb->reset_bpi_log();
+
+        $settings          = new BPISettingsManager();
+        $this->maintenance = new BPIMaintenanceMode( $settings );
+        $this->processor   = new MaintenanceTestableProcessor( new BPIRollbackManager(), new BPILogManager(), $settings );
+        $this->processor->maintenance = $this->maintenance;
+        $this->processor->setMaintenanceMode( $this->maintenance );
+        $this->processor->setProgressTracker( new BPIBatchProgressTracker() );
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_options, $bpi_test_current_user_id;
+        $bpi_test_options         = array();
+        $bpi_test_current_user_id = null;
+    }
+
+    public function test_process_batch_enables_maintenance_while_processing(): void {
+        $this->processor->processBatch( array( $this->installData( 'one' ), $this->installData( 'two' ) ), false, true );
+
+        $this->assertSame( array( true, true ), $this->processor->seen );
+        $this->assertFalse( $this->maintenance->isActive() );
+    }
+
+    public function test_process_batch_without_maintenance_leaves_site_up(): void {
+        $this->processor->processBatch( array( $this->installData( 'one' ) ) );
+
+        $this->assertSame( array( false ), $this->processor->seen );
+    }
+
+    public function test_dry_run_never_enables_maintenance(): void {
+        global $bpi_test_options;
+
+        $this->processor->processBatch( array( $this->installData( 'one' ) ), true, true );
+
+        $this->assertArrayNotHasKey( 'bpi_maintenance_mode', $bpi_test_options );
+    }
+
+    public function test_maintenance_is_removed_when_batch_crashes(): void {
+        $this->processor->throw = true;
+
+        try {
+            $this->processor->processBatch( array( $this->installData( 'one' ) ), false, true );
+            $this->fail( 'The upgrader exception should propagate' );
+        } catch ( \RuntimeException $e ) {
+            $this->assertSame( 'Upgrader crashed', $e->getMessage() );
+        }
+
+        $this->assertSame( array( true ), $this->processor->seen );
+        $this->assertFalse( $this->maintenance->isActive() );
+    }
+
+    public function test_step_batch_keeps_maintenance_until_last_plugin(): void {
+        $state = $this->processor->startBatch( array( $this->installData( 'one' ), $this->installData( 'two' ) ), false, true );
+        $this->assertTrue( $this->maintenance->isActive( $state['batch_id'] ) );
+
+        $this->processor->stepBatch( $state['batch_id'] );
+        $this->assertTrue( $this->maintenance->isActive( $state['batch_id'] ) );
+
+        $response = $this->processor->stepBatch( $state['batch_id'] );
+
+        $this->assertTrue( $response['done'] );
+        $this->assertSame( array( true, true ), $this->processor->seen );
+        $this->assertFalse( $this->maintenance->isActive() );
+    }
+
+    public function test_discard_batch_removes_maintenance(): void {
+        $state = $this->processor->startBatch( array( $this->installData( 'one' ) ), false, true );
+
+        $this->processor->discardBatch( $state['batch_id'] );
+
+        $this->assertFalse( $this->maintenance->isActive() );
+    }
+
+    private function installData( string $slug ): array {
+        return array(
+            'slug'        => $slug,
+            'action'      => 'install',
+            'plugin_name' => ucfirst( $slug ),
+            'plugin_file' => $slug . '/' . $slug . '.php',
+        );
+    }
+}
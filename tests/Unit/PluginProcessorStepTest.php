@@ -0,0 +1,384 @@
+<?php
+/**
+ * Unit tests for BPIPluginProcessor step-wise processing endpoints.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPIPluginProcessor;
+use BPIRollbackManager;
+use BPILogManager;
+use BPISettingsManager;
+use BPIBatchRollbackManager;
+use BPIBatchProgressTracker;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Testable processor that records the tracker stage seen during the upgrade.
+ */
+class StepTestableProcessor extends BPIPluginProcessor {
+
+    /** @var array<string, true|\WP_Error> Upgrader results keyed by slug. */
+    public array $upgraderResults = array();
+
+    /** @var array<string> Stages observed by the upgrader, as "slug:stage". */
+    public array $observedStages = array();
+
+    public ?BPIBatchProgressTracker $tracker = null;
+
+    public string $currentBatchId = '';
+
+    /** @var array<string> Tracker status of each plugin when processing starts, as "slug:status". */
+    public array $statusOnEntry = array();
+
+    public function processPlugin( array $plugin_data, bool $dry_run = false ): array {
+        if ( null !== $this->tracker && '' !== $this->currentBatchId ) {
+            foreach ( $this->tracker->get( $this->currentBatchId )['plugins'] as $item ) {
+                if ( $plugin_data['slug'] === $item['slug'] ) {
+                    $this->statusOnEntry[] = $item['slug'] . ':' . $item['status'];
+                }
+            }
+        }
+        return parent::processPlugin( $plugin_data, $dry_run );
+    }
+
+    protected function runUpgrader( string $action, string $file_path, string $plugin_file ): true|\WP_Error {
+        $slug = dirname( $plugin_file );
+        if ( null !== $this->tracker && '' !== $this->currentBatchId ) {
+            foreach ( $this->tracker->get( $this->currentBatchId )['plugins'] as $item ) {
+                if ( $slug === $item['slug'] ) {
+                    $this->observedStages[] = $slug . ':' . $item['stage'];
+                }
+            }
+        }
+        return $this->upgraderResults[ $slug ] ?? true;
+    }
+
+    protected function getPluginDir( string $slug ): string {
+        return sys_get_temp_dir() . '/bpi_step_test/' . $slug;
+    }
+
+    protected function isPluginActive( string $plugin_file ): bool {
+        return false;
+    }
+
+    protected function wpActivatePlugin( string $plugin_file, bool $network_wide = false ): \WP_Error|null {
+        return null;
+    }
+}
+
+/**
+ * Tests for bpi_process_start, bpi_process_step and bpi_batch_status.
+ */
+class PluginProcessorStepTest extends TestCase {
+
+    private StepTestableProcessor $processor;
+
+    private BPIBatchProgressTracker $tracker;
+
+    protected function setUp(): void {
+        global $bpi_test_options, $bpi_test_nonce_valid, $bpi_test_user_can, $bpi_test_json_responses, $wpdb, $bpi_test_transients, $bpi_test_current_user_id;
+        $bpi_test_options         = array( 'bpi_auto_activate' => false, 'bpi_auto_rollback' => true );
+        $bpi_test_nonce_valid     = true;
+        $bpi_test_user_can        = true;
+        $bpi_test_json_responses  = array();
+        $bpi_test_transients      = array();
+        $bpi_test_current_user_id = 1;
+        $wpdb->reset_bpi_log();
+        $_POST = array();
+
+        $this->tracker   = new BPIBatchProgressTracker();
+        $this->processor = new StepTestableProcessor(
+            new BPIRollbackManager(),
+            new BPILogManager(),
+            new BPISettingsManager()
+        );
+        $this->processor->setProgressTracker( $this->tracker );
+        $this->processor->tracker = $this->tracker;
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_nonce_valid, $bpi_test_user_can, $bpi_test_current_user_id;
+        $bpi_test_nonce_valid     = true;
+        $bpi_test_user_can        = true;
+        $bpi_test_current_user_id = null;
+        $_POST = array();
+    }
+
+    /**
+     * Start a two-plugin batch and return its batch ID.
+     *
+     * @param bool $dry_run Whether to start a dry run.
+     * @return string
+     */
+    private function startBatch( bool $dry_run = false ): string {
+        global $bpi_test_json_responses;
+
+        $_POST = array(
+            '_wpnonce'         => 'valid',
+            'dry_run'          => $dry_run ? '1' : '0',
+            'selected_plugins' => array(
+                array( 'slug' => 'one', 'action' => 'install', 'plugin_name' => 'One', 'plugin_file' => 'one/one.php', 'activate' => '1' ),
+                array( 'slug' => 'two', 'action' => 'install', 'plugin_name' => 'Two', 'plugin_file' => 'two/two.php' ),
+            ),
+        );
+
+        $this->processor->handleAjaxProcessStart();
+        $batch_id = $bpi_test_json_responses[0]['data']['batch_id'];
+
+        $bpi_test_json_responses        = array();
+        $this->processor->currentBatchId = $batch_id;
+        $_POST = array( '_wpnonce' => 'valid', 'batch_id' => $batch_id );
+
+        return $batch_id;
+    }
+
+    public function test_process_start_returns_pending_plugins_without_file_paths(): void {
+        global $bpi_test_json_responses;
+
+        $_POST = array(
+            '_wpnonce'         => 'valid',
+            'selected_plugins' => array(
+                array( 'slug' => 'one', 'action' => 'install', 'plugin_name' => 'One', 'file_path' => '/etc/passwd' ),
+            ),
+        );
+
+        $this->processor->handleAjaxProcessStart();
+
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $data = $bpi_test_json_responses[0]['data'];
+        $this->assertStringStartsWith( 'bpi_', $data['batch_id'] );
+        $this->assertSame( 'running', $data['status'] );
+        $this->assertSame( 'pending', $data['plugins'][0]['status'] );
+        $this->assertArrayNotHasKey( 'data', $data['plugins'][0] );
+    }
+
+    public function test_process_start_rejects_empty_selection(): void {
+        global $bpi_test_json_responses;
+
+        $_POST = array( '_wpnonce' => 'valid', 'selected_plugins' => array() );
+
+        $this->processor->handleAjaxProcessStart();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+    }
+
+    public function test_process_start_rejects_invalid_nonce(): void {
+        global $bpi_test_json_responses, $bpi_test_nonce_valid;
+        $bpi_test_nonce_valid = false;
+
+        $_POST = array( '_wpnonce' => 'bad', 'selected_plugins' => array( array( 'slug' => 'one' ) ) );
+
+        $this->processor->handleAjaxProcessStart();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 403, $bpi_test_json_responses[0]['status'] );
+    }
+
+    public function test_process_step_processes_one_plugin_per_request(): void {
+        global $bpi_test_json_responses;
+
+        $this->startBatch();
+
+        $this->processor->handleAjaxProcessStep();
+        $first = $bpi_test_json_responses[0]['data'];
+
+        $this->assertSame( 0, $first['index'] );
+        $this->assertSame( 'one', $first['result']['slug'] );
+        $this->assertSame( 'success', $first['result']['status'] );
+        $this->assertIsFloat( $first['elapsed'] );
+        $this->assertFalse( $first['done'] );
+        $this->assertArrayNotHasKey( 'summary', $first );
+
+        $this->processor->handleAjaxProcessStep();
+        $second = $bpi_test_json_responses[1]['data'];
+
+        $this->assertSame( 1, $second['index'] );
+        $this->assertTrue( $second['done'] );
+        $this->assertCount( 2, $second['results'] );
+        $this->assertSame( 2, $second['summary']['installed'] );
+    }
+
+    public function test_process_step_reports_real_stages_to_tracker(): void {
+        global $bpi_test_json_responses;
+
+        $this->processor->upgraderResults['two'] = new \WP_Error( 'boom', 'Boom' );
+        $batch_id = $this->startBatch();
+
+        $this->processor->handleAjaxProcessStep();
+        $this->processor->handleAjaxProcessStep();
+
+        $this->assertSame( array( 'one:extracting', 'two:extracting' ), $this->processor->observedStages );
+        $this->assertSame( 'failed', $bpi_test_json_responses[1]['data']['result']['status'] );
+
+        $state = $this->tracker->get( $batch_id );
+        $this->assertSame( 'complete', $state['status'] );
+        $this->assertSame( 'failed', $state['plugins'][1]['status'] );
+    }
+
+    public function test_process_step_records_batch_manifest_when_done(): void {
+        global $bpi_test_transients;
+
+        $this->processor->setBatchRollbackManager(
+            new BPIBatchRollbackManager( new BPIRollbackManager(), new BPISettingsManager(), new BPILogManager() )
+        );
+        $batch_id = $this->startBatch();
+
+        $this->processor->handleAjaxProcessStep();
+        $this->assertArrayNotHasKey( 'bpi_batch_' . $batch_id, $bpi_test_transients );
+
+        $this->processor->handleAjaxProcessStep();
+        $this->assertArrayHasKey( 'bpi_batch_' . $batch_id, $bpi_test_transients );
+        $this->assertCount( 2, $bpi_test_transients[ 'bpi_batch_' . $batch_id ]['value']['plugins'] );
+    }
+
+    public function test_process_step_dry_run_skips_manifest(): void {
+        global $bpi_test_json_responses, $bpi_test_transients;
+
+        $this->processor->setBatchRollbackManager(
+            new BPIBatchRollbackManager( new BPIRollbackManager(), new BPISettingsManager(), new BPILogManager() )
+        );
+        $batch_id = $this->startBatch( true );
+
+        $this->processor->handleAjaxProcessStep();
+        $this->processor->handleAjaxProcessStep();
+
+        $data = $bpi_test_json_responses[1]['data'];
+        $this->assertTrue( $data['done'] );
+        $this->assertTrue( $data['is_dry_run'] );
+        $this->assertTrue( $data['results'][0]['is_dry_run'] );
+        $this->assertArrayNotHasKey( 'bpi_batch_' . $batch_id, $bpi_test_transients );
+    }
+
+    public function test_process_step_rejects_missing_batch_id(): void {
+        global $bpi_test_json_responses;
+
+        $_POST = array( '_wpnonce' => 'valid' );
+
+        $this->processor->handleAjaxProcessStep();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+    }
+
+    public function test_process_step_rejects_batch_of_another_user(): void {
+        global $bpi_test_json_responses, $bpi_test_current_user_id;
+
+        $this->startBatch();
+        $bpi_test_current_user_id = 2;
+
+        $this->processor->handleAjaxProcessStep();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 404, $bpi_test_json_responses[0]['status'] );
+    }
+
+    public function test_batch_status_returns_progress(): void {
+        global $bpi_test_json_responses;
+
+        $batch_id = $this->startBatch();
+        $this->tracker->setStage( $batch_id, 'one', 'activating' );
+
+        $this->processor->handleAjaxBatchStatus();
+
+        $data = $bpi_test_json_responses[0]['data'];
+        $this->assertSame( $batch_id, $data['batch_id'] );
+        $this->assertSame( 'installing', $data['plugins'][0]['status'] );
+        $this->assertSame( 'activating', $data['plugins'][0]['stage'] );
+        $this->assertSame( 'pending', $data['plugins'][1]['status'] );
+    }
+
+    public function test_register_ajax_handler_registers_step_endpoints(): void {
+        global $bpi_test_hooks;
+        $bpi_test_hooks = array();
+
+        $this->processor->registerAjaxHandler();
+
+        $hooks = array_column( $bpi_test_hooks, 'hook' );
+        $this->assertContains( 'wp_ajax_bpi_process_start', $hooks );
+        $this->assertContains( 'wp_ajax_bpi_process_step', $hooks );
+        $this->assertContains( 'wp_ajax_bpi_batch_status', $hooks );
+    }
+
+    public function test_process_step_claims_plugin_before_processing(): void {
+        $this->startBatch();
+
+        $this->processor->handleAjaxProcessStep();
+
+        $this->assertSame( array( 'one:installing' ), $this->processor->statusOnEntry );
+    }
+
+    public function test_process_step_reports_busy_while_plugin_is_still_running(): void {
+        global $bpi_test_json_responses;
+
+        $batch_id = $this->startBatch();
+        $this->tracker->setStage( $batch_id, 'one', 'extracting' );
+
+        $this->processor->handleAjaxProcessStep();
+
+        $data = $bpi_test_json_responses[0]['data'];
+        $this->assertTrue( $data['busy'] );
+        $this->assertSame( 0, $data['index'] );
+        $this->assertFalse( $data['done'] );
+        $this->assertSame( array(), $this->processor->observedStages );
+    }
+
+    public function test_process_step_marks_stale_plugin_interrupted_and_resumes(): void {
+        global $bpi_test_json_responses, $bpi_test_transients, $wpdb;
+
+        $batch_id = $this->startBatch();
+        $this->tracker->setStage( $batch_id, 'one', 'extracting' );
+        $bpi_test_transients[ 'bpi_progress_' . $batch_id ]['value']['plugins'][0]['started_at'] = microtime( true ) - 100000;
+
+        $this->processor->handleAjaxProcessStep();
+
+        $data = $bpi_test_json_responses[0]['data'];
+        $this->assertSame( 'one', $data['interrupted']['slug'] );
+        $this->assertSame( 'failed', $data['interrupted']['status'] );
+        $this->assertStringContainsString( 'interrupted', $data['interrupted']['messages'][0] );
+        $this->assertSame( 1, $data['index'] );
+        $this->assertSame( 'two', $data['result']['slug'] );
+        $this->assertTrue( $data['done'] );
+        $this->assertSame( 1, $data['summary']['failed'] );
+        $this->assertSame( 1, $data['summary']['installed'] );
+        $this->assertSame( 'failed', $wpdb->bpi_log_rows[0]['status'] );
+    }
+
+    public function test_resumed_batch_continues_from_first_unprocessed_plugin(): void {
+        global $bpi_test_json_responses;
+
+        $batch_id = $this->startBatch();
+        $this->tracker->recordResult( $batch_id, 0, array( 'slug' => 'one', 'status' => 'success', 'action' => 'install' ) );
+
+        $this->processor->handleAjaxProcessStep();
+
+        $data = $bpi_test_json_responses[0]['data'];
+        $this->assertSame( 1, $data['index'] );
+        $this->assertSame( array( 'two:extracting' ), $this->processor->observedStages );
+        $this->assertCount( 2, $data['results'] );
+    }
+
+    public function test_discard_batch_removes_progress(): void {
+        global $bpi_test_json_responses;
+
+        $batch_id = $this->startBatch();
+
+        $this->processor->handleAjaxDiscardBatch();
+
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( array(), $this->tracker->get( $batch_id ) );
+        $this->assertSame( array(), $this->tracker->getInFlight() );
+    }
+
+    public function test_discard_batch_rejects_unknown_batch(): void {
+        global $bpi_test_json_responses;
+
+        $_POST = array( '_wpnonce' => 'valid', 'batch_id' => 'bpi_unknown' );
+
+        $this->processor->handleAjaxDiscardBatch();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 404, $bpi_test_json_responses[0]['status'] );
+    }
+}
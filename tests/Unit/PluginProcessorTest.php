@@ -572,6 +572,120 @@ class PluginProcessorTest extends TestCase {
         $this->assertNotEmpty( $dry_run_hooks, 'wp_ajax_bpi_dry_run hook should be registered' );
     }
 
+    // ------------------------------------------------------------------
+    // Security scan tests
+    // ------------------------------------------------------------------
+
+    public function test_process_plugin_blocks_high_severity_findings_in_block_mode(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_security_scan'] = 'block';
+
+        $plugin              = $this->makePlugin( 'risky-plugin' );
+        $plugin['file_path'] = $this->createRiskyZip();
+
+        try {
+            $result = $this->processor->processPlugin( $plugin );
+        } finally {
+            unlink( $plugin['file_path'] );
+        }
+
+        $this->assertSame( 'failed', $result['status'] );
+        $this->assertSame( 'eval_decoded', $result['security_findings'][0]['rule'] );
+        $this->assertStringContainsString( 'blocked by the security scan', $result['messages'][0] );
+        $this->assertStringContainsString( 'risky-plugin/risky-plugin.php:2', $result['messages'][1] );
+        $this->assertEmpty( $this->processor->upgraderCalls );
+    }
+
+    public function test_process_plugin_installs_despite_findings_in_warn_mode(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_security_scan'] = 'warn';
+
+        $plugin              = $this->makePlugin( 'risky-plugin' );
+        $plugin['file_path'] = $this->createRiskyZip();
+
+        try {
+            $result = $this->processor->processPlugin( $plugin );
+        } finally {
+            unlink( $plugin['file_path'] );
+        }
+
+        $this->assertSame( 'success', $result['status'] );
+        $this->assertCount( 1, $this->processor->upgraderCalls );
+    }
+
+    public function test_dry_run_reports_security_block(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_security_scan'] = 'block';
+
+        $plugin              = $this->makePlugin( 'risky-plugin' );
+        $plugin['file_path'] = $this->createRiskyZip();
+
+        try {
+            $result = $this->processor->processPlugin( $plugin, true );
+        } finally {
+            unlink( $plugin['file_path'] );
+        }
+
+        $this->assertSame( 'failed', $result['status'] );
+        $this->assertTrue( $result['is_dry_run'] );
+    }
+
+    // ------------------------------------------------------------------
+    // Checksum tests
+    // ------------------------------------------------------------------
+
+    public function test_process_plugin_records_sha256_in_result_and_log(): void {
+        global $wpdb;
+
+        $plugin              = $this->makePlugin( 'hashed-plugin' );
+        $plugin['file_path'] = $this->createRiskyZip();
+        $sha256              = hash_file( 'sha256', $plugin['file_path'] );
+
+        try {
+            $result = $this->processor->processPlugin( $plugin );
+        } finally {
+            unlink( $plugin['file_path'] );
+        }
+
+        $this->assertSame( 'success', $result['status'] );
+        $this->assertSame( $sha256, $result['sha256'] );
+        $last_log = end( $wpdb->bpi_log_rows );
+        $this->assertStringContainsString( 'SHA-256: ' . $sha256, $last_log['message'] );
+    }
+
+    public function test_process_plugin_installs_when_checksum_matches(): void {
+        $plugin                    = $this->makePlugin( 'hashed-plugin' );
+        $plugin['file_path']       = $this->createRiskyZip();
+        $plugin['expected_sha256'] = strtoupper( hash_file( 'sha256', $plugin['file_path'] ) );
+
+        try {
+            $result = $this->processor->processPlugin( $plugin );
+        } finally {
+            unlink( $plugin['file_path'] );
+        }
+
+        $this->assertSame( 'success', $result['status'] );
+        $this->assertCount( 1, $this->processor->upgraderCalls );
+    }
+
+    public function test_process_plugin_fails_on_checksum_mismatch(): void {
+        $plugin                    = $this->makePlugin( 'hashed-plugin' );
+        $plugin['file_path']       = $this->createRiskyZip();
+        $plugin['expected_sha256'] = hash( 'sha256', 'something else' );
+
+        try {
+            $result = $this->processor->processPlugin( $plugin, true );
+        } finally {
+            unlink( $plugin['file_path'] );
+        }
+
+        $this->assertSame( 'failed', $result['status'] );
+        $this->assertTrue( $result['is_dry_run'] );
+        $this->assertSame( $plugin['expected_sha256'], $result['expected_sha256'] );
+        $this->assertStringContainsString( 'does not match the expected SHA-256 checksum', $result['messages'][0] );
+        $this->assertEmpty( $this->processor->upgraderCalls );
+    }
+
     // ------------------------------------------------------------------
     // AJAX handler tests
     // ------------------------------------------------------------------
@@ -634,6 +748,15 @@ class PluginProcessorTest extends TestCase {
     // Helpers
     // ------------------------------------------------------------------
 
+    private function createRiskyZip(): string {
+        $zip_path = sys_get_temp_dir() . '/bpi-risky-' . uniqid() . '.zip';
+        $zip      = new \ZipArchive();
+        $zip->open( $zip_path, \ZipArchive::CREATE );
+        $zip->addFromString( 'risky-plugin/risky-plugin.php', "<?php\neval( gzinflate( base64_decode( \$p ) ) );\n" );
+        $zip->close();
+        return $zip_path;
+    }
+
     private function recursiveDelete( string $path ): void {
         if ( ! is_dir( $path ) ) {
             return;
@@ -34,10 +34,13 @@ class ProfileManagerTest extends TestCase {
     }
 
     protected function tearDown(): void {
-        global $bpi_test_options, $bpi_test_hooks, $bpi_test_json_responses;
-        $bpi_test_options        = array();
-        $bpi_test_hooks          = array();
-        $bpi_test_json_responses = array();
+        global $bpi_test_options, $bpi_test_hooks, $bpi_test_json_responses,
+            $bpi_test_transients, $bpi_test_installed_plugins;
+        $bpi_test_options           = array();
+        $bpi_test_hooks             = array();
+        $bpi_test_json_responses    = array();
+        $bpi_test_transients        = array();
+        $bpi_test_installed_plugins = array();
         $_POST                   = array();
         $_REQUEST                = array();
     }
@@ -214,6 +217,17 @@ class ProfileManagerTest extends TestCase {
         $this->assertSame( $id, $decoded['id'] );
     }
 
+    public function test_export_profile_as_manifest(): void {
+        $id   = $this->manager->saveProfile( 'Manifest Me', $this->samplePlugins() );
+        $json = $this->manager->exportProfile( $id, 'manifest' );
+
+        $decoded = json_decode( $json, true );
+        $this->assertSame( \BPIManifest::SCHEMA_VERSION, $decoded['schema'] );
+        $this->assertSame( 'Manifest Me', $decoded['name'] );
+        $this->assertCount( 2, $decoded['plugins'] );
+        $this->assertArrayNotHasKey( 'id', $decoded );
+    }
+
     public function test_export_profile_returns_empty_for_nonexistent(): void {
         $this->assertSame( '', $this->manager->exportProfile( 999 ) );
     }
@@ -315,6 +329,8 @@ class ProfileManagerTest extends TestCase {
         $this->assertContains( 'wp_ajax_bpi_save_profile', $hooks );
         $this->assertContains( 'wp_ajax_bpi_import_profile', $hooks );
         $this->assertContains( 'wp_ajax_bpi_export_profile', $hooks );
+        $this->assertContains( 'wp_ajax_bpi_list_profiles', $hooks );
+        $this->assertContains( 'wp_ajax_bpi_update_profile', $hooks );
     }
 
     // ---------------------------------------------------------------
@@ -521,6 +537,267 @@ class ProfileManagerTest extends TestCase {
         $this->assertSame( 'Export AJAX', $decoded['name'] );
     }
 
+    public function test_import_profile_rejects_invalid_plugin_entries(): void {
+        $json   = json_encode( array(
+            'name'    => 'Bad Entries',
+            'plugins' => array(
+                array( 'slug' => 'good-plugin', 'version' => '1.0.0' ),
+                array( 'slug' => '../evil' ),
+                array( 'name' => 'No Slug' ),
+                array( 'slug' => 'good-plugin' ),
+                array( 'slug' => 'other-plugin', 'version' => '1.0 beta' ),
+            ),
+        ) );
+        $result = $this->manager->importProfile( $json );
+
+        $this->assertInstanceOf( \WP_Error::class, $result );
+        $this->assertSame( 'invalid_plugins', $result->get_error_code() );
+        $errors = $result->get_error_data()['errors'];
+        $this->assertCount( 4, $errors );
+        $this->assertStringStartsWith( 'Plugin 2:', $errors[0] );
+        $this->assertStringStartsWith( 'Plugin 3:', $errors[1] );
+        $this->assertStringContainsString( 'more than once', $errors[2] );
+        $this->assertStringContainsString( 'version', $errors[3] );
+        $this->assertSame( array(), $this->manager->getAllProfiles() );
+    }
+
+    public function test_ajax_import_profile_returns_all_validation_errors(): void {
+        global $bpi_test_json_responses;
+
+        $_POST['_wpnonce']     = 'valid';
+        $_POST['profile_json'] = json_encode( array(
+            'name'    => 'Bad',
+            'plugins' => array( array( 'slug' => '' ), array( 'slug' => 'a b' ) ),
+        ) );
+
+        $this->manager->handleAjaxImportProfile();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertCount( 2, $bpi_test_json_responses[0]['data']['errors'] );
+    }
+
+    // ---------------------------------------------------------------
+    // updateProfile() tests
+    // ---------------------------------------------------------------
+
+    public function test_update_profile_replaces_name_and_plugins(): void {
+        $id = $this->manager->saveProfile( 'Old Name', $this->samplePlugins( 2 ) );
+
+        $plugins = array_reverse( $this->samplePlugins( 3 ) );
+        $this->assertTrue( $this->manager->updateProfile( $id, 'New Name', $plugins ) );
+
+        $profile = $this->manager->getProfile( $id );
+        $this->assertSame( 'New Name', $profile['name'] );
+        $this->assertSame( $plugins, $profile['plugins'] );
+        $this->assertArrayHasKey( 'created_at', $profile );
+        $this->assertArrayHasKey( 'updated_at', $profile );
+    }
+
+    public function test_update_profile_returns_false_for_nonexistent(): void {
+        $this->assertFalse( $this->manager->updateProfile( 99, 'Name', array() ) );
+    }
+
+    // ---------------------------------------------------------------
+    // AJAX handler: update profile
+    // ---------------------------------------------------------------
+
+    public function test_ajax_update_profile_rejects_invalid_nonce(): void {
+        global $bpi_test_nonce_valid, $bpi_test_json_responses;
+        $bpi_test_nonce_valid = false;
+
+        $_POST['_wpnonce']   = 'bad';
+        $_POST['profile_id'] = 1;
+        $this->manager->handleAjaxUpdateProfile();
+
+        $this->assertSame( 403, $bpi_test_json_responses[0]['status'] );
+    }
+
+    public function test_ajax_update_profile_renames_and_reorders(): void {
+        global $bpi_test_json_responses;
+
+        $id = $this->manager->saveProfile( 'Stack', $this->samplePlugins( 2 ) );
+
+        $_POST['_wpnonce']   = 'valid';
+        $_POST['profile_id'] = $id;
+        $_POST['name']       = 'Renamed';
+        $_POST['plugins']    = array(
+            array( 'slug' => 'plugin-2', 'name' => 'Plugin 2', 'version' => '2.0.0', 'activate' => 'true' ),
+            array( 'slug' => 'plugin-1', 'name' => 'Plugin 1', 'version' => '', 'activate' => 'false' ),
+        );
+
+        $this->manager->handleAjaxUpdateProfile();
+
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $profile = $this->manager->getProfile( $id );
+        $this->assertSame( 'Renamed', $profile['name'] );
+        $this->assertSame( array( 'plugin-2', 'plugin-1' ), array_column( $profile['plugins'], 'slug' ) );
+        $this->assertSame( '2.0.0', $profile['plugins'][0]['version'] );
+        $this->assertTrue( $profile['plugins'][0]['activate'] );
+        $this->assertFalse( $profile['plugins'][1]['activate'] );
+    }
+
+    public function test_ajax_update_profile_allows_empty_plugin_list(): void {
+        global $bpi_test_json_responses;
+
+        $id = $this->manager->saveProfile( 'Stack', $this->samplePlugins( 2 ) );
+
+        $_POST['_wpnonce']   = 'valid';
+        $_POST['profile_id'] = $id;
+        $_POST['name']       = 'Stack';
+
+        $this->manager->handleAjaxUpdateProfile();
+
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( array(), $this->manager->getProfile( $id )['plugins'] );
+    }
+
+    public function test_ajax_update_profile_rejects_empty_name(): void {
+        global $bpi_test_json_responses;
+
+        $id = $this->manager->saveProfile( 'Stack', $this->samplePlugins( 1 ) );
+
+        $_POST['_wpnonce']   = 'valid';
+        $_POST['profile_id'] = $id;
+        $_POST['name']       = '';
+
+        $this->manager->handleAjaxUpdateProfile();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 'Stack', $this->manager->getProfile( $id )['name'] );
+    }
+
+    public function test_ajax_update_profile_returns_validation_errors(): void {
+        global $bpi_test_json_responses;
+
+        $id = $this->manager->saveProfile( 'Stack', $this->samplePlugins( 1 ) );
+
+        $_POST['_wpnonce']   = 'valid';
+        $_POST['profile_id'] = $id;
+        $_POST['name']       = 'Stack';
+        $_POST['plugins']    = array( array( 'slug' => 'plugin-1' ), array( 'slug' => 'plugin-1' ) );
+
+        $this->manager->handleAjaxUpdateProfile();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertCount( 1, $bpi_test_json_responses[0]['data']['errors'] );
+        $this->assertCount( 1, $this->manager->getProfile( $id )['plugins'] );
+    }
+
+    public function test_ajax_update_profile_rejects_nonexistent_profile(): void {
+        global $bpi_test_json_responses;
+
+        $_POST['_wpnonce']   = 'valid';
+        $_POST['profile_id'] = 99;
+        $_POST['name']       = 'Missing';
+
+        $this->manager->handleAjaxUpdateProfile();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 'Profile not found.', $bpi_test_json_responses[0]['data']['message'] );
+    }
+
+    // ---------------------------------------------------------------
+    // getProfileStatus() tests
+    // ---------------------------------------------------------------
+
+    public function test_profile_status_marks_queued_installed_and_missing_plugins(): void {
+        global $bpi_test_transients, $bpi_test_installed_plugins;
+
+        $bpi_test_transients = array();
+        set_transient( 'bpi_queue_1', array( array( 'slug' => 'plugin-1', 'plugin_version' => '1.1.0' ) ), 3600 );
+        $bpi_test_installed_plugins = array(
+            'plugin-2/plugin-2.php' => array( 'Version' => '1.0.0' ),
+        );
+
+        $id     = $this->manager->saveProfile( 'Stack', $this->samplePlugins( 3 ) );
+        $status = $this->manager->getProfileStatus( $this->manager->getProfile( $id ) );
+
+        $this->assertTrue( $status['plugins'][0]['queued'] );
+        $this->assertSame( '1.1.0', $status['plugins'][0]['queued_version'] );
+        $this->assertFalse( $status['plugins'][0]['installed'] );
+
+        $this->assertFalse( $status['plugins'][1]['queued'] );
+        $this->assertTrue( $status['plugins'][1]['installed'] );
+        $this->assertSame( '1.0.0', $status['plugins'][1]['installed_version'] );
+
+        $this->assertSame( array( 'plugin-3' ), $status['missing'] );
+    }
+
+    public function test_save_profile_keeps_activation_choice(): void {
+        $_POST['_wpnonce'] = 'valid';
+        $_POST['name']     = 'Stack';
+        $_POST['plugins']  = array(
+            array( 'slug' => 'plugin-1', 'name' => 'Plugin 1', 'version' => '1.0.0', 'activate' => 'true' ),
+            array( 'slug' => 'plugin-2', 'name' => 'Plugin 2', 'version' => '1.0.0', 'activate' => 'false' ),
+            array( 'slug' => 'plugin-3', 'name' => 'Plugin 3', 'version' => '1.0.0' ),
+        );
+
+        $this->manager->handleAjaxSaveProfile();
+
+        $plugins = $this->manager->getAllProfiles()[0]['plugins'];
+        $this->assertTrue( $plugins[0]['activate'] );
+        $this->assertFalse( $plugins[1]['activate'] );
+        $this->assertArrayNotHasKey( 'activate', $plugins[2] );
+    }
+
+    public function test_save_profile_keeps_normalized_checksum(): void {
+        $sha256            = hash( 'sha256', 'plugin-1' );
+        $_POST['_wpnonce'] = 'valid';
+        $_POST['name']     = 'Stack';
+        $_POST['plugins']  = array(
+            array( 'slug' => 'plugin-1', 'name' => 'Plugin 1', 'version' => '1.0.0', 'sha256' => strtoupper( $sha256 ) ),
+            array( 'slug' => 'plugin-2', 'name' => 'Plugin 2', 'version' => '1.0.0', 'sha256' => '' ),
+        );
+
+        $this->manager->handleAjaxSaveProfile();
+
+        $plugins = $this->manager->getAllProfiles()[0]['plugins'];
+        $this->assertSame( $sha256, $plugins[0]['sha256'] );
+        $this->assertArrayNotHasKey( 'sha256', $plugins[1] );
+    }
+
+    public function test_validate_plugins_rejects_invalid_checksum(): void {
+        $errors = $this->manager->validatePlugins( array(
+            array( 'slug' => 'plugin-1', 'sha256' => hash( 'sha256', 'plugin-1' ) ),
+            array( 'slug' => 'plugin-2', 'sha256' => 'abc123' ),
+        ) );
+
+        $this->assertCount( 1, $errors );
+        $this->assertStringStartsWith( 'Plugin 2:', $errors[0] );
+        $this->assertStringContainsString( 'SHA-256', $errors[0] );
+    }
+
+    // ---------------------------------------------------------------
+    // AJAX handler: list profiles
+    // ---------------------------------------------------------------
+
+    public function test_ajax_list_profiles_rejects_invalid_nonce(): void {
+        global $bpi_test_nonce_valid, $bpi_test_json_responses;
+        $bpi_test_nonce_valid = false;
+
+        $_POST['_wpnonce'] = 'bad';
+        $this->manager->handleAjaxListProfiles();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 403, $bpi_test_json_responses[0]['status'] );
+    }
+
+    public function test_ajax_list_profiles_returns_profiles_with_status(): void {
+        global $bpi_test_json_responses;
+
+        $this->manager->saveProfile( 'First', $this->samplePlugins( 1 ) );
+        $this->manager->saveProfile( 'Second', $this->samplePlugins( 2 ) );
+
+        $_POST['_wpnonce'] = 'valid';
+        $this->manager->handleAjaxListProfiles();
+
+        $profiles = $bpi_test_json_responses[0]['data']['profiles'];
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $this->assertCount( 2, $profiles );
+        $this->assertSame( 'Second', $profiles[1]['name'] );
+        $this->assertSame( array( 'plugin-1', 'plugin-2' ), $profiles[1]['missing'] );
+    }
+
     // ---------------------------------------------------------------
     // renderProfilesList() tests
     // ---------------------------------------------------------------
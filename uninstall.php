@@ -24,13 +24,22 @@ $bpi_options = array(
     'bpi_auto_activate',
     'bpi_max_plugins',
     'bpi_auto_rollback',
+    'bpi_health_check',
+    'bpi_known_conflicts',
+    'bpi_security_scan',
     'bpi_max_file_size',
+    'bpi_upload_concurrency',
     'bpi_rollback_retention',
     'bpi_email_notifications',
     'bpi_email_recipients',
+    'bpi_maintenance_message',
+    'bpi_maintenance_allowed_ips',
+    'bpi_maintenance_mode',
     'bpi_delete_data_on_uninstall',
     'bpi_profiles',
     'bpi_active_batches',
+    'bpi_batch_backups',
+    'bpi_scheduled_batches',
 );
 
 foreach ( $bpi_options as $option ) {
@@ -44,11 +53,13 @@ $wpdb->query( "DROP TABLE IF EXISTS {$table_name}" ); // phpcs:ignore WordPress.
 
 // Delete all BPI transients.
 $wpdb->query( $wpdb->prepare(
-    "DELETE FROM {$wpdb->options} WHERE option_name LIKE %s OR option_name LIKE %s OR option_name LIKE %s OR option_name LIKE %s OR option_name LIKE %s OR option_name LIKE %s",
+    "DELETE FROM {$wpdb->options} WHERE option_name LIKE %s OR option_name LIKE %s OR option_name LIKE %s OR option_name LIKE %s OR option_name LIKE %s OR option_name LIKE %s OR option_name LIKE %s OR option_name LIKE %s",
     $wpdb->esc_like( '_transient_bpi_queue_' ) . '%',
     $wpdb->esc_like( '_transient_timeout_bpi_queue_' ) . '%',
     $wpdb->esc_like( '_transient_bpi_batch_' ) . '%',
     $wpdb->esc_like( '_transient_timeout_bpi_batch_' ) . '%',
+    $wpdb->esc_like( '_transient_bpi_progress_' ) . '%',
+    $wpdb->esc_like( '_transient_timeout_bpi_progress_' ) . '%',
     $wpdb->esc_like( '_transient_bpi_admin_notice' ) . '%',
     $wpdb->esc_like( '_transient_timeout_bpi_admin_notice' ) . '%'
 ) );